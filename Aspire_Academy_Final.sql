@@ -7,7 +7,7 @@
 -- Timezone: +03:00 (Asia/Riyadh)
 -- Combined: 2026-02-12
 --
--- Tables: 26 | Views: 6 | Procedures: 6 | Triggers: 6 | Events: 5
+-- Tables: 52 | Views: 6 | Procedures: 5 | Triggers: 6 | Events: 4
 -- ============================================================
 
 SET NAMES utf8mb4;
@@ -42,6 +42,7 @@ CREATE TABLE IF NOT EXISTS `branches` (
   `longitude`      DECIMAL(11,8)  DEFAULT NULL,
   `capacity`       INT            DEFAULT 100,
   `facilities`     JSON           DEFAULT ('[]'),
+  `currency`       VARCHAR(3)     NOT NULL DEFAULT 'SAR' COMMENT 'Base currency: prices, payments and expenses of the branch',
   `working_hours`  JSON           DEFAULT ('{"sunday":{"open":"08:00","close":"22:00","closed":false},"monday":{"open":"08:00","close":"22:00","closed":false},"tuesday":{"open":"08:00","close":"22:00","closed":false},"wednesday":{"open":"08:00","close":"22:00","closed":false},"thursday":{"open":"08:00","close":"22:00","closed":false},"friday":{"open":"14:00","close":"22:00","closed":false},"saturday":{"open":"08:00","close":"22:00","closed":false}}'),
   `is_active`      TINYINT(1)     NOT NULL DEFAULT 1,
   `settings`       JSON           DEFAULT ('{}'),
@@ -75,10 +76,19 @@ CREATE TABLE IF NOT EXISTS `users` (
   `is_active`              TINYINT(1)    NOT NULL DEFAULT 1,
   `is_verified`            TINYINT(1)    NOT NULL DEFAULT 0,
   `last_login`             DATETIME      DEFAULT NULL,
+  `failed_login_attempts`  INT           NOT NULL DEFAULT 0,
+  `locked_until`           DATETIME      DEFAULT NULL,
+  `lockout_count`          INT           NOT NULL DEFAULT 0 COMMENT 'Consecutive lockouts since the last successful login (drives lock duration)',
+  `two_factor_enabled`     TINYINT(1)    NOT NULL DEFAULT 0,
+  `two_factor_method`      ENUM('totp','sms') DEFAULT NULL,
+  `two_factor_secret`      VARCHAR(64)   DEFAULT NULL COMMENT 'Base32 TOTP secret (set during setup, active once two_factor_enabled)',
+  `two_factor_recovery_codes` JSON       DEFAULT NULL COMMENT 'SHA-256 hashes of unused recovery codes',
+  `two_factor_last_step`   BIGINT        DEFAULT NULL COMMENT 'Last accepted TOTP time step (prevents code replay)',
+  `two_factor_enabled_at`  DATETIME      DEFAULT NULL,
   `password_reset_token`   VARCHAR(255)  DEFAULT NULL,
   `password_reset_expires` DATETIME      DEFAULT NULL,
   `preferences`            JSON          DEFAULT ('{"language":"ar","notifications":{"email":true,"sms":true,"push":true}}'),
-  `permissions`            JSON          DEFAULT NULL COMMENT 'Custom permissions for super_admin role',
+  `permissions`            JSON          DEFAULT NULL COMMENT 'Per-user permission overrides {grant: [], revoke: []}',
   `created_at`             DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at`             DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
@@ -112,10 +122,11 @@ CREATE TABLE IF NOT EXISTS `programs` (
   `age_group_max`        INT            DEFAULT 18,
   `capacity`             INT            DEFAULT 20,
   `current_enrollment`   INT            DEFAULT 0,
-  `price_monthly`        DECIMAL(10,2)  NOT NULL DEFAULT 0.00,
-  `price_quarterly`      DECIMAL(10,2)  DEFAULT NULL,
-  `price_annual`         DECIMAL(10,2)  DEFAULT NULL,
-  `registration_fee`     DECIMAL(10,2)  DEFAULT 0.00,
+  `price_monthly`        DECIMAL(11,3)  NOT NULL DEFAULT 0.000,
+  `price_quarterly`      DECIMAL(11,3)  DEFAULT NULL,
+  `price_annual`         DECIMAL(11,3)  DEFAULT NULL,
+  `registration_fee`     DECIMAL(11,3)  DEFAULT 0.000,
+  `prices_include_tax`   TINYINT(1)     NOT NULL DEFAULT 1 COMMENT 'Whether program prices already include VAT',
   `schedule`             JSON           DEFAULT ('[]') COMMENT 'Array of {day, start_time, end_time}',
   `start_date`           DATE           DEFAULT NULL,
   `end_date`             DATE           DEFAULT NULL,
@@ -142,7 +153,9 @@ CREATE TABLE IF NOT EXISTS `program_pricing_plans` (
   `name`             VARCHAR(100)   NOT NULL,
   `name_ar`          VARCHAR(100)   DEFAULT NULL,
   `duration_months`  INT            DEFAULT NULL COMMENT '1=monthly, 3=quarterly, 12=annual, NULL=custom',
-  `price`            DECIMAL(10,2)  NOT NULL DEFAULT 0.00,
+  `price`            DECIMAL(11,3)  NOT NULL DEFAULT 0.000,
+  `prices_include_tax` TINYINT(1)   DEFAULT NULL COMMENT 'Overrides programs.prices_include_tax (NULL = inherit)',
+  `max_installments` INT            NOT NULL DEFAULT 1 COMMENT 'Most installments the plan can be split into (1 = pay in full)',
   `description`      TEXT           DEFAULT NULL,
   `description_ar`   TEXT           DEFAULT NULL,
   `is_active`        TINYINT(1)     NOT NULL DEFAULT 1,
@@ -244,13 +257,18 @@ CREATE TABLE IF NOT EXISTS `subscriptions` (
   `plan_type`        ENUM('monthly','quarterly','annual','custom') NOT NULL DEFAULT 'monthly',
   `start_date`       DATE           NOT NULL,
   `end_date`         DATE           NOT NULL,
-  `status`           ENUM('active','expired','suspended','cancelled','pending') NOT NULL DEFAULT 'pending',
+  `status`           ENUM('pending','active','expiring','expired','suspended','frozen','cancelled') NOT NULL DEFAULT 'pending' COMMENT 'Changed only along SUBSCRIPTION_TRANSITIONS; history in subscription_events',
   `amount`           DECIMAL(10,2)  NOT NULL,
   `discount_amount`  DECIMAL(10,2)  DEFAULT 0.00,
   `discount_reason`  VARCHAR(255)   DEFAULT NULL,
   `total_amount`     DECIMAL(10,2)  NOT NULL,
   `is_auto_renew`    TINYINT(1)     NOT NULL DEFAULT 0,
+  `payment_method_id` CHAR(36)      DEFAULT NULL COMMENT 'Saved card charged for auto-renewal',
+  `auto_renew_attempts` INT         NOT NULL DEFAULT 0 COMMENT 'Failed renewal charges since the last success',
+  `auto_renew_next_attempt_at` DATETIME DEFAULT NULL,
+  `auto_renew_last_error` VARCHAR(500) DEFAULT NULL,
   `renewed_from_id`  CHAR(36)       DEFAULT NULL COMMENT 'Self-referencing FK for renewal chain',
+  `installment_count` INT           DEFAULT NULL COMMENT 'Number of scheduled installment payments (NULL = paid in full)',
   `notes`            TEXT           DEFAULT NULL,
   `created_at`       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at`       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -260,9 +278,11 @@ CREATE TABLE IF NOT EXISTS `subscriptions` (
   KEY `idx_subscriptions_status` (`status`),
   KEY `idx_subscriptions_end_date` (`end_date`),
   KEY `idx_subscriptions_renewed_from` (`renewed_from_id`),
+  KEY `idx_subscriptions_payment_method` (`payment_method_id`),
   CONSTRAINT `fk_subscriptions_player`  FOREIGN KEY (`player_id`)       REFERENCES `players` (`id`)        ON DELETE CASCADE ON UPDATE CASCADE,
   CONSTRAINT `fk_subscriptions_program` FOREIGN KEY (`program_id`)      REFERENCES `programs` (`id`)       ON DELETE RESTRICT ON UPDATE CASCADE,
-  CONSTRAINT `fk_subscriptions_renewed` FOREIGN KEY (`renewed_from_id`) REFERENCES `subscriptions` (`id`)  ON DELETE SET NULL ON UPDATE CASCADE
+  CONSTRAINT `fk_subscriptions_renewed` FOREIGN KEY (`renewed_from_id`) REFERENCES `subscriptions` (`id`)  ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_subscriptions_payment_method` FOREIGN KEY (`payment_method_id`) REFERENCES `payment_methods` (`id`) ON DELETE SET NULL ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================
@@ -280,10 +300,12 @@ CREATE TABLE IF NOT EXISTS `payments` (
   `pricing_plan_id`          CHAR(36)       DEFAULT NULL,
   `type`                     ENUM('subscription','registration','product','other') NOT NULL DEFAULT 'subscription',
   `description`              VARCHAR(500)   DEFAULT NULL,
-  `amount`                   DECIMAL(10,2)  NOT NULL,
-  `tax_amount`               DECIMAL(10,2)  DEFAULT 0.00,
-  `discount_amount`          DECIMAL(10,2)  DEFAULT 0.00,
-  `total_amount`             DECIMAL(10,2)  NOT NULL,
+  `amount`                   DECIMAL(11,3)  NOT NULL,
+  `tax_amount`               DECIMAL(11,3)  DEFAULT 0.000,
+  `tax_rate`                 DECIMAL(5,2)   DEFAULT NULL COMMENT 'VAT percent applied when the payment was priced',
+  `discount_amount`          DECIMAL(11,3)  DEFAULT 0.000,
+  `total_amount`             DECIMAL(11,3)  NOT NULL,
+  `refunded_amount`          DECIMAL(11,3)  NOT NULL DEFAULT 0.000 COMMENT 'Sum of completed / in-flight refunds',
   `currency`                 VARCHAR(3)     NOT NULL DEFAULT 'SAR',
   `payment_method`           ENUM('cash','credit_card','bank_transfer','mada','apple_pay','stc_pay') NOT NULL DEFAULT 'cash',
   `status`                   ENUM('pending','completed','failed','refunded','cancelled') NOT NULL DEFAULT 'pending',
@@ -291,8 +313,10 @@ CREATE TABLE IF NOT EXISTS `payments` (
   `payment_gateway_response` JSON           DEFAULT NULL,
   `paid_at`                  DATETIME       DEFAULT NULL,
   `due_date`                 DATE           DEFAULT NULL,
+  `installment_number`       INT            DEFAULT NULL COMMENT '1-based position in the subscription installment schedule',
   `receipt_url`              VARCHAR(500)   DEFAULT NULL,
   `processed_by`             CHAR(36)       DEFAULT NULL,
+  `cash_session_id`          CHAR(36)       DEFAULT NULL COMMENT 'Cash drawer shift that took the payment (cash only)',
   `notes`                    TEXT           DEFAULT NULL,
   `metadata`                 JSON           DEFAULT ('{}'),
   `created_at`               DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
@@ -309,14 +333,17 @@ CREATE TABLE IF NOT EXISTS `payments` (
   KEY `idx_payments_type` (`type`),
   KEY `idx_payments_payment_method` (`payment_method`),
   KEY `idx_payments_processed_by` (`processed_by`),
+  KEY `idx_payments_cash_session_id` (`cash_session_id`),
   KEY `idx_payments_paid_at` (`paid_at`),
+  KEY `idx_payments_due_date` (`due_date`),
   KEY `idx_payments_created_at` (`created_at`),
   CONSTRAINT `fk_payments_user`         FOREIGN KEY (`user_id`)         REFERENCES `users` (`id`)                  ON DELETE RESTRICT ON UPDATE CASCADE,
   CONSTRAINT `fk_payments_player`       FOREIGN KEY (`player_id`)       REFERENCES `players` (`id`)                ON DELETE SET NULL ON UPDATE CASCADE,
   CONSTRAINT `fk_payments_subscription` FOREIGN KEY (`subscription_id`) REFERENCES `subscriptions` (`id`)          ON DELETE SET NULL ON UPDATE CASCADE,
   CONSTRAINT `fk_payments_branch`       FOREIGN KEY (`branch_id`)       REFERENCES `branches` (`id`)               ON DELETE SET NULL ON UPDATE CASCADE,
   CONSTRAINT `fk_payments_pricing_plan` FOREIGN KEY (`pricing_plan_id`) REFERENCES `program_pricing_plans` (`id`)  ON DELETE SET NULL ON UPDATE CASCADE,
-  CONSTRAINT `fk_payments_processor`    FOREIGN KEY (`processed_by`)    REFERENCES `users` (`id`)                  ON DELETE SET NULL ON UPDATE CASCADE
+  CONSTRAINT `fk_payments_processor`    FOREIGN KEY (`processed_by`)    REFERENCES `users` (`id`)                  ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_payments_cash_session` FOREIGN KEY (`cash_session_id`) REFERENCES `cash_drawer_sessions` (`id`)   ON DELETE SET NULL ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================
@@ -376,6 +403,8 @@ CREATE TABLE IF NOT EXISTS `training_sessions` (
   `max_capacity`        INT           NOT NULL DEFAULT 20,
   `current_enrollment`  INT           DEFAULT 0,
   `is_recurring`        TINYINT(1)    NOT NULL DEFAULT 1,
+  `series_id`           CHAR(36)      DEFAULT NULL,
+  `series_date`         DATE          DEFAULT NULL COMMENT 'Occurrence of the series this session stands for (kept when the session is moved)',
   `is_cancelled`        TINYINT(1)    NOT NULL DEFAULT 0,
   `cancellation_reason` TEXT          DEFAULT NULL,
   `cancelled_by`        CHAR(36)      DEFAULT NULL,
@@ -395,13 +424,15 @@ CREATE TABLE IF NOT EXISTS `training_sessions` (
   KEY `idx_ts_is_cancelled` (`is_cancelled`),
   KEY `idx_ts_is_recurring` (`is_recurring`),
   KEY `idx_ts_attendance_marked` (`attendance_marked`),
+  UNIQUE KEY `uq_ts_series_occurrence` (`series_id`, `series_date`),
   KEY `idx_ts_coach_schedule` (`coach_id`, `date`, `start_time`, `end_time`),
   KEY `idx_ts_facility_schedule` (`branch_id`, `facility`, `date`, `start_time`, `end_time`),
   KEY `idx_ts_branch_date` (`branch_id`, `date`, `is_cancelled`),
   CONSTRAINT `fk_ts_program`      FOREIGN KEY (`program_id`)   REFERENCES `programs` (`id`)  ON DELETE CASCADE ON UPDATE CASCADE,
   CONSTRAINT `fk_ts_branch`       FOREIGN KEY (`branch_id`)    REFERENCES `branches` (`id`)  ON DELETE CASCADE ON UPDATE CASCADE,
   CONSTRAINT `fk_ts_coach`        FOREIGN KEY (`coach_id`)     REFERENCES `users` (`id`)     ON DELETE RESTRICT ON UPDATE CASCADE,
-  CONSTRAINT `fk_ts_cancelled_by` FOREIGN KEY (`cancelled_by`) REFERENCES `users` (`id`)     ON DELETE SET NULL ON UPDATE CASCADE
+  CONSTRAINT `fk_ts_cancelled_by` FOREIGN KEY (`cancelled_by`) REFERENCES `users` (`id`)     ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_ts_series`       FOREIGN KEY (`series_id`)    REFERENCES `session_series` (`id`) ON DELETE SET NULL ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================
@@ -535,7 +566,7 @@ CREATE TABLE IF NOT EXISTS `expenses` (
   `category`             ENUM('utilities','rent','salaries','equipment','maintenance','supplies','marketing','transportation','other') NOT NULL DEFAULT 'other',
   `title`                VARCHAR(200)   NOT NULL,
   `description`          TEXT           DEFAULT NULL,
-  `amount`               DECIMAL(10,2)  NOT NULL,
+  `amount`               DECIMAL(11,3)  NOT NULL,
   `currency`             VARCHAR(3)     NOT NULL DEFAULT 'SAR',
   `expense_date`         DATE           NOT NULL DEFAULT (CURRENT_DATE),
   `payment_method`       ENUM('cash','bank_transfer','credit_card','cheque') NOT NULL DEFAULT 'cash',
@@ -568,7 +599,7 @@ CREATE TABLE IF NOT EXISTS `waitlist` (
   `branch_id`   CHAR(36)      NOT NULL,
   `parent_id`   CHAR(36)      NOT NULL,
   `position`    INT           NOT NULL,
-  `status`      ENUM('waiting','notified','enrolled','expired','cancelled') NOT NULL DEFAULT 'waiting',
+  `status`      ENUM('waiting','notified','enrolled','declined','expired','cancelled') NOT NULL DEFAULT 'waiting',
   `notified_at` DATETIME      DEFAULT NULL,
   `expires_at`  DATETIME      DEFAULT NULL,
   `enrolled_at` DATETIME      DEFAULT NULL,
@@ -821,7 +852,7 @@ CREATE TABLE IF NOT EXISTS `auto_sms_settings` (
 CREATE TABLE IF NOT EXISTS `notifications` (
   `id`          CHAR(36)      NOT NULL DEFAULT (UUID()),
   `user_id`     CHAR(36)      NOT NULL,
-  `type`        ENUM('new_registration','payment_received','payment_overdue','subscription_expiring','low_attendance','staff_activity','system_alert','general') NOT NULL DEFAULT 'general',
+  `type`        ENUM('new_registration','payment_received','payment_overdue','subscription_expiring','subscription_renewed','payment_failed','payment_refunded','low_attendance','staff_activity','waitlist_spot_available','waitlist_update','system_alert','general') NOT NULL DEFAULT 'general',
   `title`       VARCHAR(255)  NOT NULL,
   `title_ar`    VARCHAR(255)  DEFAULT NULL,
   `message`     TEXT          DEFAULT NULL,
@@ -872,7 +903,7 @@ CREATE TABLE IF NOT EXISTS `otps` (
   `id`           CHAR(36)      NOT NULL DEFAULT (UUID()),
   `phone`        VARCHAR(20)   NOT NULL,
   `code`         VARCHAR(10)   NOT NULL,
-  `purpose`      ENUM('login','register','reset_password','verify_phone') NOT NULL DEFAULT 'login',
+  `purpose`      ENUM('login','register','reset_password','verify_phone','two_factor') NOT NULL DEFAULT 'login',
   `attempts`     INT           DEFAULT 0,
   `max_attempts` INT           DEFAULT 3,
   `is_used`      TINYINT(1)    NOT NULL DEFAULT 0,
@@ -915,6 +946,754 @@ CREATE TABLE IF NOT EXISTS `audit_logs` (
   CONSTRAINT `fk_audit_actor` FOREIGN KEY (`actor_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ============================================================
+-- 27. e_invoices
+-- ZATCA simplified tax invoices and credit notes (UBL 2.1 + TLV QR)
+-- Hash-chained per branch: previous_hash = invoice_hash of icv - 1
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `e_invoices` (
+  `id`                    CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `payment_id`            CHAR(36)       NOT NULL,
+  `branch_id`             CHAR(36)       DEFAULT NULL,
+  `type`                  ENUM('invoice','credit_note') NOT NULL DEFAULT 'invoice',
+  `invoice_number`        VARCHAR(60)    NOT NULL,
+  `uuid`                  CHAR(36)       NOT NULL,
+  `chain_key`             VARCHAR(36)    NOT NULL COMMENT 'Hash chain of the document - the branch ID, or ''academy'' for payments without a branch',
+  `icv`                   INT            NOT NULL COMMENT 'Invoice counter value - sequential per branch chain',
+  `issued_at`             DATETIME       NOT NULL,
+  `currency`              VARCHAR(3)     NOT NULL DEFAULT 'SAR',
+  `taxable_amount`        DECIMAL(10,2)  NOT NULL DEFAULT 0.00,
+  `tax_amount`            DECIMAL(10,2)  NOT NULL DEFAULT 0.00,
+  `total_amount`          DECIMAL(10,2)  NOT NULL,
+  `invoice_hash`          VARCHAR(100)   NOT NULL COMMENT 'Base64 SHA-256 of the invoice XML',
+  `previous_hash`         VARCHAR(100)   NOT NULL COMMENT 'Hash of the previous invoice in the same chain (PIH)',
+  `qr_code`               TEXT           NOT NULL COMMENT 'Base64 TLV payload',
+  `xml`                   LONGTEXT       NOT NULL,
+  `reference_invoice_id`  CHAR(36)       DEFAULT NULL COMMENT 'Credit notes: the invoice being credited',
+  `reason`                VARCHAR(500)   DEFAULT NULL,
+  `created_by`            CHAR(36)       DEFAULT NULL,
+  `created_at`            DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`            DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_e_invoices_invoice_number` (`invoice_number`),
+  UNIQUE KEY `uq_e_invoices_chain_icv` (`chain_key`, `icv`),
+  KEY `idx_e_invoices_payment_id` (`payment_id`),
+  KEY `idx_e_invoices_branch_id` (`branch_id`),
+  KEY `idx_e_invoices_type` (`type`),
+  KEY `idx_e_invoices_reference` (`reference_invoice_id`),
+  CONSTRAINT `fk_e_invoices_payment`   FOREIGN KEY (`payment_id`)           REFERENCES `payments` (`id`)    ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_e_invoices_branch`    FOREIGN KEY (`branch_id`)            REFERENCES `branches` (`id`)    ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_e_invoices_reference` FOREIGN KEY (`reference_invoice_id`) REFERENCES `e_invoices` (`id`)  ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_e_invoices_creator`   FOREIGN KEY (`created_by`)           REFERENCES `users` (`id`)       ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 28. products
+-- Store catalogue (replaces src/data/products.json)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `products` (
+  `id`              CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `legacy_id`       INT            DEFAULT NULL COMMENT 'Numeric ID from the former products.json store',
+  `name`            VARCHAR(200)   NOT NULL,
+  `name_ar`         VARCHAR(200)   NOT NULL,
+  `description`     TEXT           DEFAULT NULL,
+  `description_ar`  TEXT           DEFAULT NULL,
+  `category`        ENUM('jersey','shoes','equipment','accessory','other') NOT NULL DEFAULT 'other',
+  `price`           DECIMAL(10,2)  NOT NULL,
+  `badge`           JSON           DEFAULT ('{}') COMMENT '{en, ar, color}',
+  `image_url`       VARCHAR(500)   DEFAULT NULL,
+  `branch_ids`      JSON           DEFAULT NULL COMMENT 'Branches where the product is sold (NULL = all branches)',
+  `is_active`       TINYINT(1)     NOT NULL DEFAULT 1,
+  `created_by`      CHAR(36)       DEFAULT NULL,
+  `created_at`      DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`      DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_products_legacy_id` (`legacy_id`),
+  KEY `idx_products_is_active` (`is_active`),
+  KEY `idx_products_category` (`category`),
+  CONSTRAINT `fk_products_creator` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 29. product_variants
+-- Sellable SKUs (sizes) with stock levels
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `product_variants` (
+  `id`                   CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `product_id`           CHAR(36)       NOT NULL,
+  `sku`                  VARCHAR(64)    NOT NULL,
+  `size`                 VARCHAR(20)    DEFAULT NULL COMMENT 'Jersey / shoe size (matches players.jersey_size / shoe_size)',
+  `name`                 VARCHAR(100)   DEFAULT NULL,
+  `name_ar`              VARCHAR(100)   DEFAULT NULL,
+  `price`                DECIMAL(10,2)  DEFAULT NULL COMMENT 'Overrides products.price (NULL = product price)',
+  `stock_quantity`       INT            NOT NULL DEFAULT 0,
+  `low_stock_threshold`  INT            NOT NULL DEFAULT 5,
+  `is_active`            TINYINT(1)     NOT NULL DEFAULT 1,
+  `sort_order`           INT            DEFAULT 0,
+  `created_at`           DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`           DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_product_variants_sku` (`sku`),
+  KEY `idx_product_variants_product_id` (`product_id`),
+  KEY `idx_product_variants_size` (`size`),
+  KEY `idx_product_variants_is_active` (`is_active`),
+  CONSTRAINT `fk_product_variants_product` FOREIGN KEY (`product_id`) REFERENCES `products` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT `chk_product_variants_stock`  CHECK (`stock_quantity` >= 0)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 30. orders
+-- Store orders (paid through a payments row of type 'product')
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `orders` (
+  `id`                   CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `order_number`         VARCHAR(50)    NOT NULL COMMENT 'Format: ORD-YYYYMM-XXXXXX',
+  `user_id`              CHAR(36)       NOT NULL,
+  `branch_id`            CHAR(36)       NOT NULL COMMENT 'Pickup branch',
+  `payment_id`           CHAR(36)       DEFAULT NULL,
+  `status`               ENUM('pending','paid','ready_for_pickup','delivered','cancelled','refunded') NOT NULL DEFAULT 'pending',
+  `subtotal`             DECIMAL(10,2)  NOT NULL DEFAULT 0.00,
+  `tax_amount`           DECIMAL(10,2)  DEFAULT 0.00,
+  `total_amount`         DECIMAL(10,2)  NOT NULL,
+  `currency`             VARCHAR(3)     NOT NULL DEFAULT 'SAR',
+  `stock_deducted`       TINYINT(1)     NOT NULL DEFAULT 0,
+  `notes`                TEXT           DEFAULT NULL,
+  `paid_at`              DATETIME       DEFAULT NULL,
+  `ready_at`             DATETIME       DEFAULT NULL,
+  `delivered_at`         DATETIME       DEFAULT NULL,
+  `cancelled_at`         DATETIME       DEFAULT NULL,
+  `cancellation_reason`  VARCHAR(500)   DEFAULT NULL,
+  `handled_by`           CHAR(36)       DEFAULT NULL,
+  `created_at`           DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`           DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_orders_order_number` (`order_number`),
+  KEY `idx_orders_user_id` (`user_id`),
+  KEY `idx_orders_branch_id` (`branch_id`),
+  KEY `idx_orders_payment_id` (`payment_id`),
+  KEY `idx_orders_status` (`status`),
+  CONSTRAINT `fk_orders_user`    FOREIGN KEY (`user_id`)    REFERENCES `users` (`id`)    ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_orders_branch`  FOREIGN KEY (`branch_id`)  REFERENCES `branches` (`id`) ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_orders_payment` FOREIGN KEY (`payment_id`) REFERENCES `payments` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_orders_handler` FOREIGN KEY (`handled_by`) REFERENCES `users` (`id`)    ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 31. order_items
+-- Order lines with product / size snapshot
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `order_items` (
+  `id`               CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `order_id`         CHAR(36)       NOT NULL,
+  `product_id`       CHAR(36)       NOT NULL,
+  `variant_id`       CHAR(36)       NOT NULL,
+  `player_id`        CHAR(36)       DEFAULT NULL COMMENT 'Player the item is for (drives size selection)',
+  `product_name`     VARCHAR(200)   NOT NULL,
+  `product_name_ar`  VARCHAR(200)   DEFAULT NULL,
+  `sku`              VARCHAR(64)    NOT NULL,
+  `size`             VARCHAR(20)    DEFAULT NULL,
+  `quantity`         INT            NOT NULL DEFAULT 1,
+  `unit_price`       DECIMAL(10,2)  NOT NULL,
+  `total_price`      DECIMAL(10,2)  NOT NULL,
+  `created_at`       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_order_items_order_id` (`order_id`),
+  KEY `idx_order_items_product_id` (`product_id`),
+  KEY `idx_order_items_variant_id` (`variant_id`),
+  CONSTRAINT `fk_order_items_order`   FOREIGN KEY (`order_id`)   REFERENCES `orders` (`id`)           ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT `fk_order_items_product` FOREIGN KEY (`product_id`) REFERENCES `products` (`id`)         ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_order_items_variant` FOREIGN KEY (`variant_id`) REFERENCES `product_variants` (`id`) ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_order_items_player`  FOREIGN KEY (`player_id`)  REFERENCES `players` (`id`)          ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `chk_order_items_quantity` CHECK (`quantity` > 0)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 32. system_settings
+-- Academy-wide key/value settings (e.g. two_factor_policy)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `system_settings` (
+  `id`           CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `key`          VARCHAR(100)   NOT NULL,
+  `value`        JSON           DEFAULT NULL,
+  `description`  VARCHAR(255)   DEFAULT NULL,
+  `updated_by`   CHAR(36)       DEFAULT NULL,
+  `created_at`   DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`   DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_system_settings_key` (`key`),
+  KEY `idx_system_settings_updated_by` (`updated_by`),
+  CONSTRAINT `fk_system_settings_updater` FOREIGN KEY (`updated_by`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 33. payment_methods
+-- Saved (tokenized) cards for subscription auto-renewal
+-- Only provider tokens are stored - never card numbers
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `payment_methods` (
+  `id`            CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `user_id`       CHAR(36)       NOT NULL,
+  `provider`      ENUM('moyasar','tap','mock') NOT NULL,
+  `token`         VARCHAR(255)   NOT NULL COMMENT 'Provider token (Moyasar) or saved card id (Tap)',
+  `customer_id`   VARCHAR(255)   DEFAULT NULL COMMENT 'Provider customer the card is saved under (Tap)',
+  `brand`         VARCHAR(50)    DEFAULT NULL,
+  `last_four`     VARCHAR(4)     DEFAULT NULL,
+  `expiry_month`  INT            DEFAULT NULL,
+  `expiry_year`   INT            DEFAULT NULL,
+  `holder_name`   VARCHAR(255)   DEFAULT NULL,
+  `is_default`    TINYINT(1)     NOT NULL DEFAULT 0,
+  `status`        ENUM('active','removed') NOT NULL DEFAULT 'active',
+  `created_at`    DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`    DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_payment_methods_user_id` (`user_id`),
+  KEY `idx_payment_methods_status` (`status`),
+  CONSTRAINT `fk_payment_methods_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 34. payment_events
+-- Payment settlement log; gateway events are unique per
+-- (provider, event_id) so replayed webhooks/callbacks are ignored
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `payment_events` (
+  `id`               CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `payment_id`       CHAR(36)       NOT NULL,
+  `provider`         VARCHAR(20)    NOT NULL COMMENT 'moyasar / tap / mock, or manual for staff actions',
+  `event_id`         VARCHAR(255)   DEFAULT NULL COMMENT 'Gateway event ID (null for staff actions)',
+  `source`           ENUM('webhook','callback','verify','manual','mock','auto_renew') NOT NULL,
+  `status`           VARCHAR(20)    NOT NULL COMMENT 'Status reported by the event',
+  `previous_status`  VARCHAR(20)    DEFAULT NULL,
+  `applied`          TINYINT(1)     NOT NULL DEFAULT 0 COMMENT 'Whether the event changed the payment',
+  `payload`          JSON           DEFAULT NULL,
+  `actor_id`         CHAR(36)       DEFAULT NULL,
+  `created_at`       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_payment_events_provider_event` (`provider`, `event_id`),
+  KEY `idx_payment_events_payment_id` (`payment_id`),
+  CONSTRAINT `fk_payment_events_payment` FOREIGN KEY (`payment_id`) REFERENCES `payments` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT `fk_payment_events_actor`   FOREIGN KEY (`actor_id`)   REFERENCES `users` (`id`)    ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 35. refunds
+-- Partial / full refunds of a payment with the approver,
+-- gateway refund id and the effect on the linked subscription
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `refunds` (
+  `id`                         CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `payment_id`                 CHAR(36)       NOT NULL,
+  `branch_id`                  CHAR(36)       DEFAULT NULL,
+  `subscription_id`            CHAR(36)       DEFAULT NULL,
+  `amount`                     DECIMAL(11,3)  NOT NULL COMMENT 'Refunded amount incl. VAT',
+  `tax_amount`                 DECIMAL(11,3)  NOT NULL DEFAULT 0.000 COMMENT 'VAT share of the refunded amount',
+  `reason`                     TEXT           NOT NULL,
+  `method`                     ENUM('manual','gateway') NOT NULL DEFAULT 'manual',
+  `status`                     ENUM('pending','completed','failed') NOT NULL DEFAULT 'pending' COMMENT 'pending while the gateway refund is in flight',
+  `gateway_refund_id`          VARCHAR(255)   DEFAULT NULL,
+  `subscription_action`        ENUM('none','shortened','cancelled') NOT NULL DEFAULT 'none',
+  `subscription_days_removed`  INT            NOT NULL DEFAULT 0,
+  `previous_end_date`          DATE           DEFAULT NULL,
+  `credit_note_id`             CHAR(36)       DEFAULT NULL,
+  `approved_by`                CHAR(36)       DEFAULT NULL,
+  `cash_session_id`            CHAR(36)       DEFAULT NULL COMMENT 'Cash drawer shift that paid the refund out (cash only)',
+  `refunded_at`                DATETIME       DEFAULT NULL,
+  `failure_reason`             VARCHAR(500)   DEFAULT NULL,
+  `created_at`                 DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`                 DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_refunds_payment_id` (`payment_id`),
+  KEY `idx_refunds_branch_id` (`branch_id`),
+  KEY `idx_refunds_status_refunded_at` (`status`, `refunded_at`),
+  KEY `idx_refunds_cash_session_id` (`cash_session_id`),
+  CONSTRAINT `fk_refunds_payment`      FOREIGN KEY (`payment_id`)      REFERENCES `payments` (`id`)      ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_refunds_branch`       FOREIGN KEY (`branch_id`)       REFERENCES `branches` (`id`)      ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_refunds_subscription` FOREIGN KEY (`subscription_id`) REFERENCES `subscriptions` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_refunds_credit_note`  FOREIGN KEY (`credit_note_id`)  REFERENCES `e_invoices` (`id`)    ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_refunds_approver`     FOREIGN KEY (`approved_by`)     REFERENCES `users` (`id`)         ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_refunds_cash_session` FOREIGN KEY (`cash_session_id`) REFERENCES `cash_drawer_sessions` (`id`) ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 36. discount_rules
+-- Automatic checkout discounts: sibling, multi-program bundle,
+-- early bird and promo code rules with priority / stacking
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `discount_rules` (
+  `id`                 CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `branch_id`          CHAR(36)       DEFAULT NULL COMMENT 'Null = every branch',
+  `program_id`         CHAR(36)       DEFAULT NULL,
+  `pricing_plan_id`    CHAR(36)       DEFAULT NULL,
+  `name`               VARCHAR(255)   NOT NULL,
+  `name_ar`            VARCHAR(255)   DEFAULT NULL,
+  `rule_type`          ENUM('sibling','bundle','early_bird','promo_code') NOT NULL,
+  `discount_type`      ENUM('percentage','fixed') NOT NULL DEFAULT 'percentage',
+  `discount_value`     DECIMAL(10,2)  NOT NULL DEFAULT 0.00 COMMENT 'Used by early_bird / promo_code rules; sibling and bundle rules use tiers',
+  `tiers`              JSON           DEFAULT NULL COMMENT '[{ min, value }] - sibling: child position, bundle: number of programs',
+  `code`               VARCHAR(50)    DEFAULT NULL COMMENT 'Promo code (promo_code rules only)',
+  `usage_limit`        INT            DEFAULT NULL COMMENT 'Total redemptions allowed (null = unlimited)',
+  `per_user_limit`     INT            DEFAULT NULL COMMENT 'Redemptions allowed per payer (null = unlimited)',
+  `days_before_start`  INT            DEFAULT NULL COMMENT 'Early bird: pay at least this many days before the paid period starts',
+  `valid_from`         DATE           DEFAULT NULL,
+  `valid_until`        DATE           DEFAULT NULL,
+  `priority`           INT            NOT NULL DEFAULT 0 COMMENT 'Higher priority rules are applied first',
+  `stackable`          TINYINT(1)     NOT NULL DEFAULT 0 COMMENT 'Whether the rule combines with other discounts',
+  `is_active`          TINYINT(1)     NOT NULL DEFAULT 1,
+  `created_by`         CHAR(36)       DEFAULT NULL,
+  `created_at`         DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`         DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_discount_rules_code` (`code`),
+  KEY `idx_discount_rules_branch_id` (`branch_id`),
+  KEY `idx_discount_rules_type_active` (`rule_type`, `is_active`),
+  CONSTRAINT `fk_discount_rules_branch`       FOREIGN KEY (`branch_id`)       REFERENCES `branches` (`id`)              ON DELETE CASCADE  ON UPDATE CASCADE,
+  CONSTRAINT `fk_discount_rules_program`      FOREIGN KEY (`program_id`)      REFERENCES `programs` (`id`)              ON DELETE CASCADE  ON UPDATE CASCADE,
+  CONSTRAINT `fk_discount_rules_pricing_plan` FOREIGN KEY (`pricing_plan_id`) REFERENCES `program_pricing_plans` (`id`) ON DELETE CASCADE  ON UPDATE CASCADE,
+  CONSTRAINT `fk_discount_rules_creator`      FOREIGN KEY (`created_by`)      REFERENCES `users` (`id`)                 ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 37. discount_redemptions
+-- Which rule produced each payment discount; reserved at checkout,
+-- redeemed on completion, released when the payment fails
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `discount_redemptions` (
+  `id`                CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `discount_rule_id`  CHAR(36)       NOT NULL,
+  `payment_id`        CHAR(36)       NOT NULL,
+  `user_id`           CHAR(36)       DEFAULT NULL COMMENT 'Payer',
+  `player_id`         CHAR(36)       DEFAULT NULL,
+  `code`              VARCHAR(50)    DEFAULT NULL,
+  `amount`            DECIMAL(10,2)  NOT NULL COMMENT 'Discount on the price basis of the payment (incl. VAT for inclusive prices)',
+  `status`            ENUM('reserved','redeemed','released') NOT NULL DEFAULT 'reserved',
+  `redeemed_at`       DATETIME       DEFAULT NULL,
+  `created_at`        DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`        DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_discount_redemptions_rule_status` (`discount_rule_id`, `status`),
+  KEY `idx_discount_redemptions_payment_id` (`payment_id`),
+  KEY `idx_discount_redemptions_user_id` (`user_id`),
+  CONSTRAINT `fk_discount_redemptions_rule`    FOREIGN KEY (`discount_rule_id`) REFERENCES `discount_rules` (`id`) ON DELETE CASCADE  ON UPDATE CASCADE,
+  CONSTRAINT `fk_discount_redemptions_payment` FOREIGN KEY (`payment_id`)       REFERENCES `payments` (`id`)       ON DELETE CASCADE  ON UPDATE CASCADE,
+  CONSTRAINT `fk_discount_redemptions_user`    FOREIGN KEY (`user_id`)          REFERENCES `users` (`id`)          ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_discount_redemptions_player`  FOREIGN KEY (`player_id`)        REFERENCES `players` (`id`)        ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 38. subscription_events
+-- Subscription status history: every lifecycle transition with
+-- its source (payment, job, freeze, staff...) and reason
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `subscription_events` (
+  `id`               CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `subscription_id`  CHAR(36)       NOT NULL,
+  `from_status`      VARCHAR(20)    DEFAULT NULL COMMENT 'NULL when the subscription was created',
+  `to_status`        VARCHAR(20)    NOT NULL,
+  `source`           VARCHAR(30)    NOT NULL DEFAULT 'system' COMMENT 'manual / payment / lifecycle_job / freeze / refund / installment / renewal / migration / system',
+  `reason`           VARCHAR(500)   DEFAULT NULL,
+  `actor_id`         CHAR(36)       DEFAULT NULL,
+  `metadata`         JSON           DEFAULT NULL,
+  `created_at`       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_subscription_events_subscription` (`subscription_id`, `created_at`),
+  CONSTRAINT `fk_subscription_events_subscription` FOREIGN KEY (`subscription_id`) REFERENCES `subscriptions` (`id`) ON DELETE CASCADE  ON UPDATE CASCADE,
+  CONSTRAINT `fk_subscription_events_actor`        FOREIGN KEY (`actor_id`)        REFERENCES `users` (`id`)         ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 39. ledger_accounts
+-- Chart of accounts; system accounts receive automatic postings
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `ledger_accounts` (
+  `id`           CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `code`         VARCHAR(20)    NOT NULL,
+  `name`         VARCHAR(150)   NOT NULL,
+  `name_ar`      VARCHAR(150)   DEFAULT NULL,
+  `type`         ENUM('asset','liability','equity','revenue','expense') NOT NULL,
+  `description`  VARCHAR(500)   DEFAULT NULL,
+  `is_system`    TINYINT(1)     NOT NULL DEFAULT 0 COMMENT 'Used by automatic postings; cannot be deactivated',
+  `is_active`    TINYINT(1)     NOT NULL DEFAULT 1,
+  `created_at`   DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`   DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_ledger_accounts_code` (`code`),
+  KEY `idx_ledger_accounts_type` (`type`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 40. journal_entries
+-- Balanced general ledger entries, posted automatically for
+-- payments, refunds and expenses or manually by accountants
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `journal_entries` (
+  `id`              CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `entry_number`    VARCHAR(50)    NOT NULL,
+  `entry_date`      DATE           NOT NULL,
+  `branch_id`       CHAR(36)       DEFAULT NULL COMMENT 'Cost center (NULL = head office)',
+  `source_type`     ENUM('payment','refund','expense','manual') NOT NULL DEFAULT 'manual',
+  `source_id`       CHAR(36)       DEFAULT NULL,
+  `description`     VARCHAR(500)   DEFAULT NULL,
+  `total`           DECIMAL(12,2)  NOT NULL DEFAULT 0.00 COMMENT 'Sum of debits (= sum of credits)',
+  `status`          ENUM('posted','reversed') NOT NULL DEFAULT 'posted',
+  `reversal_of_id`  CHAR(36)       DEFAULT NULL,
+  `created_by`      CHAR(36)       DEFAULT NULL,
+  `created_at`      DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`      DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_journal_entries_number` (`entry_number`),
+  KEY `idx_journal_entries_date` (`entry_date`),
+  KEY `idx_journal_entries_branch` (`branch_id`),
+  KEY `idx_journal_entries_source` (`source_type`, `source_id`),
+  CONSTRAINT `fk_journal_entries_branch`   FOREIGN KEY (`branch_id`)      REFERENCES `branches` (`id`)        ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_journal_entries_reversal` FOREIGN KEY (`reversal_of_id`) REFERENCES `journal_entries` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_journal_entries_creator`  FOREIGN KEY (`created_by`)     REFERENCES `users` (`id`)           ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 41. journal_lines
+-- Debit / credit lines; branch_id is the line's cost center, amounts are in
+-- the line's currency (reports convert to the reporting currency)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `journal_lines` (
+  `id`                CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `journal_entry_id`  CHAR(36)       NOT NULL,
+  `account_id`        CHAR(36)       NOT NULL,
+  `branch_id`         CHAR(36)       DEFAULT NULL COMMENT 'Cost center (NULL = head office)',
+  `debit`             DECIMAL(13,3)  NOT NULL DEFAULT 0.000,
+  `credit`            DECIMAL(13,3)  NOT NULL DEFAULT 0.000,
+  `currency`          VARCHAR(3)     NOT NULL DEFAULT 'SAR' COMMENT 'Currency of the source document',
+  `description`       VARCHAR(500)   DEFAULT NULL,
+  `created_at`        DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`        DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_journal_lines_entry` (`journal_entry_id`),
+  KEY `idx_journal_lines_account` (`account_id`),
+  KEY `idx_journal_lines_branch` (`branch_id`),
+  CONSTRAINT `fk_journal_lines_entry`   FOREIGN KEY (`journal_entry_id`) REFERENCES `journal_entries` (`id`) ON DELETE CASCADE  ON UPDATE CASCADE,
+  CONSTRAINT `fk_journal_lines_account` FOREIGN KEY (`account_id`)       REFERENCES `ledger_accounts` (`id`) ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_journal_lines_branch`  FOREIGN KEY (`branch_id`)        REFERENCES `branches` (`id`)        ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 42. bank_statements
+-- Imported bank statement files (CSV / MT940 / CAMT.053)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `bank_statements` (
+  `id`               CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `branch_id`        CHAR(36)       DEFAULT NULL COMMENT 'Branch bank account (NULL = academy account, matches every branch)',
+  `format`           ENUM('csv','mt940','camt053') NOT NULL,
+  `file_name`        VARCHAR(255)   DEFAULT NULL,
+  `account_number`   VARCHAR(50)    DEFAULT NULL COMMENT 'IBAN / account from the file, when present',
+  `currency`         VARCHAR(3)     NOT NULL DEFAULT 'SAR',
+  `period_start`     DATE           DEFAULT NULL,
+  `period_end`       DATE           DEFAULT NULL,
+  `line_count`       INT            NOT NULL DEFAULT 0,
+  `duplicate_count`  INT            NOT NULL DEFAULT 0 COMMENT 'Lines skipped because an earlier import already had them',
+  `status`           ENUM('open','reconciled') NOT NULL DEFAULT 'open',
+  `imported_by`      CHAR(36)       DEFAULT NULL,
+  `created_at`       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_bank_statements_branch` (`branch_id`),
+  KEY `idx_bank_statements_created` (`created_at`),
+  CONSTRAINT `fk_bank_statements_branch`   FOREIGN KEY (`branch_id`)   REFERENCES `branches` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_bank_statements_importer` FOREIGN KEY (`imported_by`) REFERENCES `users` (`id`)    ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 43. bank_statement_lines
+-- Statement bookings matched to pending bank-transfer payments
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `bank_statement_lines` (
+  `id`                    CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `statement_id`          CHAR(36)       NOT NULL,
+  `line_number`           INT            NOT NULL,
+  `booking_date`          DATE           NOT NULL,
+  `value_date`            DATE           DEFAULT NULL,
+  `direction`             ENUM('credit','debit') NOT NULL DEFAULT 'credit',
+  `amount`                DECIMAL(13,3)  NOT NULL,
+  `currency`              VARCHAR(3)     NOT NULL DEFAULT 'SAR',
+  `bank_reference`        VARCHAR(100)   DEFAULT NULL COMMENT 'Bank transaction reference',
+  `reference`             VARCHAR(255)   DEFAULT NULL COMMENT 'Payer reference / end-to-end id',
+  `description`           TEXT           DEFAULT NULL,
+  `counterparty_name`     VARCHAR(200)   DEFAULT NULL,
+  `counterparty_account`  VARCHAR(50)    DEFAULT NULL,
+  `fingerprint`           VARCHAR(64)    NOT NULL COMMENT 'Hash of date, amount and references; detects re-imported lines',
+  `status`                ENUM('unmatched','proposed','matched','completed','ignored') NOT NULL DEFAULT 'unmatched',
+  `payment_id`            CHAR(36)       DEFAULT NULL,
+  `match_type`            ENUM('invoice_number','reference','amount','manual') DEFAULT NULL,
+  `proposals`             JSON           DEFAULT NULL COMMENT '[{ payment_id, invoice_number, total_amount, score, reasons }] for review',
+  `matched_by`            CHAR(36)       DEFAULT NULL,
+  `completed_by`          CHAR(36)       DEFAULT NULL,
+  `completed_at`          DATETIME       DEFAULT NULL,
+  `created_at`            DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`            DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_bank_statement_lines_statement` (`statement_id`, `line_number`),
+  KEY `idx_bank_statement_lines_fingerprint` (`fingerprint`),
+  KEY `idx_bank_statement_lines_payment` (`payment_id`),
+  KEY `idx_bank_statement_lines_status` (`status`),
+  CONSTRAINT `fk_bank_statement_lines_statement` FOREIGN KEY (`statement_id`) REFERENCES `bank_statements` (`id`) ON DELETE CASCADE  ON UPDATE CASCADE,
+  CONSTRAINT `fk_bank_statement_lines_payment`   FOREIGN KEY (`payment_id`)   REFERENCES `payments` (`id`)        ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_bank_statement_lines_matcher`   FOREIGN KEY (`matched_by`)   REFERENCES `users` (`id`)           ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_bank_statement_lines_completer` FOREIGN KEY (`completed_by`) REFERENCES `users` (`id`)           ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 44. cash_drawer_sessions
+-- Front-desk cashier shifts: float, cash takings, counted vs expected, sign-off
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `cash_drawer_sessions` (
+  `id`               CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `branch_id`        CHAR(36)       NOT NULL,
+  `cashier_id`       CHAR(36)       NOT NULL,
+  `status`           ENUM('open','closed','signed_off') NOT NULL DEFAULT 'open',
+  `opening_float`    DECIMAL(10,2)  NOT NULL DEFAULT 0.00,
+  `opened_at`        DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `opening_notes`    TEXT           DEFAULT NULL,
+  `cash_sales`       DECIMAL(10,2)  DEFAULT NULL COMMENT 'Cash payments taken, frozen at closing',
+  `cash_refunds`     DECIMAL(10,2)  DEFAULT NULL COMMENT 'Cash refunds paid out, frozen at closing',
+  `expected_amount`  DECIMAL(10,2)  DEFAULT NULL COMMENT 'opening_float + cash_sales - cash_refunds',
+  `counted_amount`   DECIMAL(10,2)  DEFAULT NULL,
+  `variance`         DECIMAL(10,2)  DEFAULT NULL COMMENT 'counted - expected (negative = short)',
+  `denominations`    JSON           DEFAULT NULL COMMENT 'Counted notes / coins: { "500": 2, "100": 4 }',
+  `closed_at`        DATETIME       DEFAULT NULL,
+  `closed_by`        CHAR(36)       DEFAULT NULL,
+  `closing_notes`    TEXT           DEFAULT NULL,
+  `signed_off_by`    CHAR(36)       DEFAULT NULL,
+  `signed_off_at`    DATETIME       DEFAULT NULL,
+  `sign_off_notes`   TEXT           DEFAULT NULL,
+  `created_at`       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_cash_drawer_sessions_branch_status` (`branch_id`, `status`),
+  KEY `idx_cash_drawer_sessions_cashier_status` (`cashier_id`, `status`),
+  KEY `idx_cash_drawer_sessions_closed_at` (`closed_at`),
+  CONSTRAINT `fk_cash_drawer_sessions_branch`  FOREIGN KEY (`branch_id`)     REFERENCES `branches` (`id`) ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_cash_drawer_sessions_cashier` FOREIGN KEY (`cashier_id`)    REFERENCES `users` (`id`)    ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_cash_drawer_sessions_closer`  FOREIGN KEY (`closed_by`)     REFERENCES `users` (`id`)    ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_cash_drawer_sessions_signer`  FOREIGN KEY (`signed_off_by`) REFERENCES `users` (`id`)    ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 45. exchange_rates
+-- Exchange rates by effective date (1 base_currency = rate quote_currency)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `exchange_rates` (
+  `id`              CHAR(36)       NOT NULL DEFAULT (UUID()),
+  `base_currency`   VARCHAR(3)     NOT NULL,
+  `quote_currency`  VARCHAR(3)     NOT NULL,
+  `rate`            DECIMAL(18,8)  NOT NULL,
+  `effective_date`  DATE           NOT NULL COMMENT 'Applies until the next effective_date of the pair',
+  `source`          ENUM('manual','csv') NOT NULL DEFAULT 'manual',
+  `created_by`      CHAR(36)       DEFAULT NULL,
+  `created_at`      DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`      DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_exchange_rates_pair_date` (`base_currency`, `quote_currency`, `effective_date`),
+  KEY `idx_exchange_rates_effective_date` (`effective_date`),
+  CONSTRAINT `fk_exchange_rates_creator` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 46. holiday_calendars
+-- Named holiday calendars (academy-wide or per branch) skipped by recurring sessions
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `holiday_calendars` (
+  `id`          CHAR(36)      NOT NULL DEFAULT (UUID()),
+  `name`        VARCHAR(150)  NOT NULL,
+  `name_ar`     VARCHAR(150)  DEFAULT NULL,
+  `branch_id`   CHAR(36)      DEFAULT NULL COMMENT 'Null = academy-wide',
+  `is_default`  TINYINT(1)    NOT NULL DEFAULT 0 COMMENT 'Used by recurring sessions that name no calendar',
+  `is_active`   TINYINT(1)    NOT NULL DEFAULT 1,
+  `created_by`  CHAR(36)      DEFAULT NULL,
+  `created_at`  DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`  DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_holiday_calendars_branch_id` (`branch_id`),
+  KEY `idx_holiday_calendars_is_default` (`is_default`),
+  CONSTRAINT `fk_holiday_calendars_branch`  FOREIGN KEY (`branch_id`)  REFERENCES `branches` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT `fk_holiday_calendars_creator` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`)    ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 47. holidays
+-- Holiday date ranges (inclusive) of a calendar
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `holidays` (
+  `id`           CHAR(36)      NOT NULL DEFAULT (UUID()),
+  `calendar_id`  CHAR(36)      NOT NULL,
+  `name`         VARCHAR(150)  NOT NULL,
+  `name_ar`      VARCHAR(150)  DEFAULT NULL,
+  `start_date`   DATE          NOT NULL,
+  `end_date`     DATE          NOT NULL COMMENT 'Inclusive; equals start_date for one-day holidays',
+  `created_at`   DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`   DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_holidays_calendar_id` (`calendar_id`),
+  KEY `idx_holidays_dates` (`start_date`, `end_date`),
+  CONSTRAINT `fk_holidays_calendar` FOREIGN KEY (`calendar_id`) REFERENCES `holiday_calendars` (`id`) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 48. session_series
+-- Recurring training session series (weekly RRULE subset) with exception dates
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `session_series` (
+  `id`                   CHAR(36)      NOT NULL DEFAULT (UUID()),
+  `program_id`           CHAR(36)      NOT NULL,
+  `branch_id`            CHAR(36)      NOT NULL,
+  `coach_id`             CHAR(36)      NOT NULL,
+  `start_time`           TIME          NOT NULL,
+  `end_time`             TIME          NOT NULL,
+  `facility`             VARCHAR(100)  DEFAULT NULL,
+  `max_capacity`         INT           DEFAULT NULL,
+  `notes`                TEXT          DEFAULT NULL,
+  `interval_weeks`       INT           NOT NULL DEFAULT 1 COMMENT '1 = weekly, 2 = biweekly',
+  `by_day`               JSON          NOT NULL,
+  `start_date`           DATE          NOT NULL,
+  `until_date`           DATE          DEFAULT NULL,
+  `occurrence_count`     INT           DEFAULT NULL,
+  `exception_dates`      JSON          NOT NULL COMMENT 'EXDATEs: occurrences that never hold a session',
+  `holiday_calendar_id`  CHAR(36)      DEFAULT NULL COMMENT 'Null = the default calendar of the branch, else the academy-wide default',
+  `generated_until`      DATE          DEFAULT NULL COMMENT 'Sessions exist up to this date',
+  `status`               ENUM('active','ended','cancelled') NOT NULL DEFAULT 'active',
+  `source`               ENUM('manual','program_schedule','schedule_builder') NOT NULL DEFAULT 'manual',
+  `split_from_id`        CHAR(36)      DEFAULT NULL COMMENT 'Series this one continues after a "this and following" edit',
+  `created_by`           CHAR(36)      DEFAULT NULL,
+  `created_at`           DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`           DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_session_series_program_id` (`program_id`),
+  KEY `idx_session_series_branch_id` (`branch_id`),
+  KEY `idx_session_series_coach_id` (`coach_id`),
+  KEY `idx_session_series_status` (`status`),
+  CONSTRAINT `fk_session_series_program`    FOREIGN KEY (`program_id`)          REFERENCES `programs` (`id`)          ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT `fk_session_series_branch`     FOREIGN KEY (`branch_id`)           REFERENCES `branches` (`id`)          ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT `fk_session_series_coach`      FOREIGN KEY (`coach_id`)            REFERENCES `users` (`id`)             ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_session_series_calendar`   FOREIGN KEY (`holiday_calendar_id`) REFERENCES `holiday_calendars` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_session_series_split_from` FOREIGN KEY (`split_from_id`)       REFERENCES `session_series` (`id`)    ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_session_series_creator`    FOREIGN KEY (`created_by`)          REFERENCES `users` (`id`)             ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 49. closures
+-- Academy-wide or branch closures (Eid, national day, weather) that cancel sessions
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `closures` (
+  `id`                  CHAR(36)      NOT NULL DEFAULT (UUID()),
+  `title`               VARCHAR(200)  NOT NULL,
+  `title_ar`            VARCHAR(200)  DEFAULT NULL,
+  `type`                ENUM('holiday','ramadan','national_day','weather','maintenance','other') NOT NULL DEFAULT 'holiday',
+  `branch_id`           CHAR(36)      DEFAULT NULL COMMENT 'Null = academy-wide',
+  `start_date`          DATE          NOT NULL,
+  `end_date`            DATE          NOT NULL COMMENT 'Inclusive; equals start_date for one-day closures',
+  `reason`              TEXT          DEFAULT NULL,
+  `compensate`          TINYINT(1)    NOT NULL DEFAULT 0 COMMENT 'Extend subscriptions by the closed days through a subscription freeze',
+  `freeze_id`           CHAR(36)      DEFAULT NULL,
+  `status`              ENUM('active','cancelled') NOT NULL DEFAULT 'active',
+  `sessions_cancelled`  INT           NOT NULL DEFAULT 0,
+  `created_by`          CHAR(36)      NOT NULL,
+  `cancelled_by`        CHAR(36)      DEFAULT NULL,
+  `cancelled_at`        DATETIME      DEFAULT NULL,
+  `created_at`          DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`          DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_closures_branch_id` (`branch_id`),
+  KEY `idx_closures_status` (`status`),
+  KEY `idx_closures_dates` (`start_date`, `end_date`),
+  CONSTRAINT `fk_closures_branch`     FOREIGN KEY (`branch_id`)    REFERENCES `branches` (`id`)             ON DELETE CASCADE  ON UPDATE CASCADE,
+  CONSTRAINT `fk_closures_freeze`     FOREIGN KEY (`freeze_id`)    REFERENCES `subscription_freezes` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_closures_creator`    FOREIGN KEY (`created_by`)   REFERENCES `users` (`id`)                ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_closures_canceller`  FOREIGN KEY (`cancelled_by`) REFERENCES `users` (`id`)                ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 50. schedule_proposals
+-- Term timetables proposed by the schedule builder, reviewed before they create sessions
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `schedule_proposals` (
+  `id`            CHAR(36)      NOT NULL DEFAULT (UUID()),
+  `branch_id`     CHAR(36)      NOT NULL,
+  `name`          VARCHAR(200)  NOT NULL,
+  `start_date`    DATE          NOT NULL COMMENT 'First day of the term',
+  `end_date`      DATE          NOT NULL COMMENT 'Last day of the term',
+  `status`        ENUM('draft','committing','committed','discarded') NOT NULL DEFAULT 'draft' COMMENT 'committing while its series are being booked',
+  `input`         JSON          NOT NULL COMMENT 'Programs with weekly hours, facilities and options the proposal was built from',
+  `sessions`      JSON          NOT NULL COMMENT 'Proposed weekly slots with the reason each was chosen',
+  `unplaced`      JSON          NOT NULL COMMENT 'Sessions that could not be placed, with explanations',
+  `summary`       JSON          NOT NULL,
+  `series_ids`    JSON          NOT NULL COMMENT 'Session series created on commit',
+  `created_by`    CHAR(36)      NOT NULL,
+  `committed_by`  CHAR(36)      DEFAULT NULL,
+  `committed_at`  DATETIME      DEFAULT NULL,
+  `created_at`    DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`    DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_schedule_proposals_branch_id` (`branch_id`),
+  KEY `idx_schedule_proposals_status` (`status`),
+  CONSTRAINT `fk_schedule_proposals_branch`    FOREIGN KEY (`branch_id`)    REFERENCES `branches` (`id`) ON DELETE CASCADE  ON UPDATE CASCADE,
+  CONSTRAINT `fk_schedule_proposals_creator`   FOREIGN KEY (`created_by`)   REFERENCES `users` (`id`)    ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_schedule_proposals_committer` FOREIGN KEY (`committed_by`) REFERENCES `users` (`id`)    ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 51. coach_availability
+-- Weekly availability windows of a coach; a coach without windows can be booked any time
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `coach_availability` (
+  `id`               CHAR(36)      NOT NULL DEFAULT (UUID()),
+  `coach_id`         CHAR(36)      NOT NULL,
+  `day_of_week`      ENUM('sunday','monday','tuesday','wednesday','thursday','friday','saturday') NOT NULL,
+  `start_time`       TIME          NOT NULL,
+  `end_time`         TIME          NOT NULL,
+  `effective_from`   DATE          DEFAULT NULL COMMENT 'Null = since always',
+  `effective_until`  DATE          DEFAULT NULL COMMENT 'Null = until further notice',
+  `notes`            VARCHAR(255)  DEFAULT NULL,
+  `created_by`       CHAR(36)      DEFAULT NULL,
+  `created_at`       DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`       DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_coach_availability_coach_day` (`coach_id`, `day_of_week`),
+  CONSTRAINT `fk_coach_availability_coach`   FOREIGN KEY (`coach_id`)   REFERENCES `users` (`id`) ON DELETE CASCADE  ON UPDATE CASCADE,
+  CONSTRAINT `fk_coach_availability_creator` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `chk_coach_availability_times` CHECK (`end_time` > `start_time`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================
+-- 52. coach_leaves
+-- Coach leave requests, approved or rejected by the admins of the coach's branch
+-- ============================================================
+CREATE TABLE IF NOT EXISTS `coach_leaves` (
+  `id`                 CHAR(36)      NOT NULL DEFAULT (UUID()),
+  `coach_id`           CHAR(36)      NOT NULL,
+  `branch_id`          CHAR(36)      DEFAULT NULL COMMENT 'The coach''s branch, whose admins approve the request',
+  `type`               ENUM('annual','sick','emergency','training','other') NOT NULL DEFAULT 'annual',
+  `start_date`         DATE          NOT NULL,
+  `end_date`           DATE          NOT NULL COMMENT 'Inclusive',
+  `reason`             TEXT          DEFAULT NULL,
+  `status`             ENUM('pending','approved','rejected','cancelled') NOT NULL DEFAULT 'pending',
+  `sessions_affected`  INT           NOT NULL DEFAULT 0 COMMENT 'Booked sessions of the coach during the leave, when it was approved',
+  `requested_by`       CHAR(36)      NOT NULL,
+  `reviewed_by`        CHAR(36)      DEFAULT NULL,
+  `reviewed_at`        DATETIME      DEFAULT NULL,
+  `review_notes`       TEXT          DEFAULT NULL,
+  `created_at`         DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at`         DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_coach_leaves_coach_status` (`coach_id`, `status`),
+  KEY `idx_coach_leaves_branch_id` (`branch_id`),
+  KEY `idx_coach_leaves_dates` (`start_date`, `end_date`),
+  CONSTRAINT `fk_coach_leaves_coach`     FOREIGN KEY (`coach_id`)     REFERENCES `users` (`id`)    ON DELETE CASCADE  ON UPDATE CASCADE,
+  CONSTRAINT `fk_coach_leaves_branch`    FOREIGN KEY (`branch_id`)    REFERENCES `branches` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `fk_coach_leaves_requester` FOREIGN KEY (`requested_by`) REFERENCES `users` (`id`)    ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT `fk_coach_leaves_reviewer`  FOREIGN KEY (`reviewed_by`)  REFERENCES `users` (`id`)    ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT `chk_coach_leaves_dates` CHECK (`end_date` >= `start_date`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ============================================================
 -- Re-enable foreign key checks
 -- ============================================================
@@ -1094,14 +1873,6 @@ BEGIN
   SET inv_number = CONCAT('INV-', v_year_month, '-', LPAD(payment_count + 1, 6, '0'));
 END //
 
--- Update expired subscriptions (called daily by event)
-CREATE PROCEDURE IF NOT EXISTS `sp_update_expired_subscriptions`()
-BEGIN
-  UPDATE `subscriptions`
-  SET `status` = 'expired', `updated_at` = CURRENT_TIMESTAMP
-  WHERE `status` = 'active' AND `end_date` < CURDATE();
-END //
-
 -- Get branch statistics for dashboard
 CREATE PROCEDURE IF NOT EXISTS `sp_get_branch_stats`(IN p_branch_id CHAR(36))
 BEGIN
@@ -1152,18 +1923,18 @@ BEGIN
     UPDATE `subscriptions`
     SET `end_date` = DATE_ADD(`end_date`, INTERVAL v_freeze_days DAY),
         `updated_at` = CURRENT_TIMESTAMP
-    WHERE `status` = 'active';
+    WHERE `status` IN ('active','expiring');
   ELSEIF v_scope = 'branch' THEN
     UPDATE `subscriptions` s
     JOIN `programs` pr ON s.`program_id` = pr.`id`
     SET s.`end_date` = DATE_ADD(s.`end_date`, INTERVAL v_freeze_days DAY),
         s.`updated_at` = CURRENT_TIMESTAMP
-    WHERE s.`status` = 'active' AND pr.`branch_id` = v_branch_id;
+    WHERE s.`status` IN ('active','expiring') AND pr.`branch_id` = v_branch_id;
   ELSEIF v_scope = 'program' THEN
     UPDATE `subscriptions`
     SET `end_date` = DATE_ADD(`end_date`, INTERVAL v_freeze_days DAY),
         `updated_at` = CURRENT_TIMESTAMP
-    WHERE `status` = 'active' AND `program_id` = v_program_id;
+    WHERE `status` IN ('active','expiring') AND `program_id` = v_program_id;
   END IF;
 
   SET v_affected = ROW_COUNT();
@@ -1302,12 +2073,8 @@ DELIMITER ;
 
 SET GLOBAL event_scheduler = ON;
 
--- Daily: Mark expired subscriptions
-CREATE EVENT IF NOT EXISTS `evt_update_expired_subscriptions`
-ON SCHEDULE EVERY 1 DAY
-STARTS CURRENT_DATE + INTERVAL 1 DAY + INTERVAL 1 HOUR
-DO
-  CALL `sp_update_expired_subscriptions`();
+-- Subscription expiry (active -> expiring -> expired) runs in the app's daily
+-- lifecycle job so every status change is recorded in subscription_events
 
 -- Daily: Clean up OTPs older than 24 hours
 CREATE EVENT IF NOT EXISTS `evt_cleanup_old_otps`
@@ -1346,7 +2113,7 @@ DO
 -- ============================================================
 -- Database: academy_asp (matches backend config)
 --
--- Tables (26):
+-- Tables (52):
 --   1.  branches                      - Academy branches/locations
 --   2.  users                         - All system users
 --   3.  programs                      - Training programs
@@ -1373,24 +2140,49 @@ DO
 --   24. sessions                      - Auth sessions (JWT)
 --   25. otps                          - One-time passwords
 --   26. audit_logs                    - System audit trail
+--   27. e_invoices                    - ZATCA e-invoices / credit notes
+--   28. products                      - Store catalogue
+--   29. product_variants              - Product SKUs / sizes / stock
+--   30. orders                        - Store orders
+--   31. order_items                   - Store order lines
+--   32. system_settings               - Key/value academy settings (2FA policy, ...)
+--   33. payment_methods               - Saved cards for auto-renewal
+--   34. payment_events                - Payment settlement / gateway event log
+--   35. refunds                       - Partial / full payment refunds
+--   36. discount_rules                - Automatic sibling / bundle / early bird / promo code discounts
+--   37. discount_redemptions          - Rule applied to each payment discount (promo usage)
+--   38. subscription_events           - Subscription status history (lifecycle transitions)
+--   39. ledger_accounts               - Chart of accounts
+--   40. journal_entries               - General ledger journal entries (auto-posted and manual)
+--   41. journal_lines                 - Debit / credit lines with branch cost center
+--   42. bank_statements               - Imported bank statement files
+--   43. bank_statement_lines          - Statement lines matched to pending transfers
+--   44. cash_drawer_sessions          - Front-desk cashier shifts and daily closing
+--   45. exchange_rates                - Exchange rates by effective date for multi-currency reporting
+--   46. holiday_calendars             - Named holiday calendars skipped by recurring sessions
+--   47. holidays                      - Holiday date ranges of a calendar
+--   48. session_series                - Recurring training session series (weekly RRULE)
+--   49. closures                      - Academy and branch closures that cancel sessions and pause reminders
+--   50. schedule_proposals            - Term timetables proposed by the schedule builder
+--   51. coach_availability            - Weekly coach availability windows
+--   52. coach_leaves                  - Coach leave requests and approvals
 --
 -- Views (6):
 --   v_active_players, v_payment_summary_by_branch,
 --   v_attendance_summary_by_program, v_subscription_overview,
 --   v_coach_workload, v_expense_summary
 --
--- Stored Procedures (6):
+-- Stored Procedures (5):
 --   sp_generate_registration_number, sp_generate_invoice_number,
---   sp_update_expired_subscriptions, sp_get_branch_stats,
---   sp_get_player_evaluations, sp_apply_subscription_freeze
+--   sp_get_branch_stats, sp_get_player_evaluations,
+--   sp_apply_subscription_freeze
 --
 -- Triggers (6):
 --   trg_player_after_insert, trg_player_after_update,
 --   trg_player_after_delete, trg_notification_before_update,
 --   trg_evaluation_before_insert, trg_evaluation_before_update
 --
--- Events (5):
---   evt_update_expired_subscriptions, evt_cleanup_old_otps,
---   evt_cleanup_expired_sessions, evt_activate_subscription_freezes,
---   evt_complete_subscription_freezes
+-- Events (4):
+--   evt_cleanup_old_otps, evt_cleanup_expired_sessions,
+--   evt_activate_subscription_freezes, evt_complete_subscription_freezes
 -- ============================================================
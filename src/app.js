@@ -10,6 +10,9 @@ const playerRoutes = require('./routes/player.routes');
 const branchRoutes = require('./routes/branch.routes');
 const programRoutes = require('./routes/program.routes');
 const paymentRoutes = require('./routes/payment.routes');
+const bankStatementRoutes = require('./routes/bankStatement.routes');
+const cashDrawerRoutes = require('./routes/cashDrawer.routes');
+const exchangeRateRoutes = require('./routes/exchangeRate.routes');
 const attendanceRoutes = require('./routes/attendance.routes');
 const smsRoutes = require('./routes/sms.routes');
 const announcementRoutes = require('./routes/announcement.routes');
@@ -19,14 +22,20 @@ const statsRoutes = require('./routes/stats.routes');
 const subscriptionRoutes = require('./routes/subscription.routes');
 const notificationRoutes = require('./routes/notification.routes');
 const scheduleRoutes = require('./routes/schedule.routes');
+const holidayCalendarRoutes = require('./routes/holidayCalendar.routes');
+const closureRoutes = require('./routes/closure.routes');
+const coachAvailabilityRoutes = require('./routes/coachAvailability.routes');
 const evaluationRoutes = require('./routes/evaluation.routes');
 const expenseRoutes = require('./routes/expense.routes');
+const ledgerRoutes = require('./routes/ledger.routes');
 const accountantAutoAnnouncementRoutes = require('./routes/accountantAutoAnnouncement.routes');
 const discountRoutes = require('./routes/discount.routes');
 const subscriptionFreezeRoutes = require('./routes/subscriptionFreeze.routes');
 const webhookRoutes = require('./routes/webhook.routes');
 const productRoutes = require('./routes/product.routes');
+const orderRoutes = require('./routes/order.routes');
 const auditLogRoutes = require('./routes/auditLog.routes');
+const permissionRoutes = require('./routes/permission.routes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -34,6 +43,14 @@ const { notFound } = require('./middleware/notFound');
 
 const app = express();
 
+// Behind a reverse proxy (nginx / load balancer) req.ip must come from
+// X-Forwarded-For, otherwise every client shares the proxy's rate limits.
+// TRUST_PROXY = number of proxy hops (e.g. 1) or an Express trust proxy value.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -72,6 +89,9 @@ app.use('/api/players', playerRoutes);
 app.use('/api/branches', branchRoutes);
 app.use('/api/programs', programRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/bank-statements', bankStatementRoutes);
+app.use('/api/cash-drawers', cashDrawerRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/sms', smsRoutes);
 app.use('/api/announcements', announcementRoutes);
@@ -81,14 +101,20 @@ app.use('/api/stats', statsRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/schedule', scheduleRoutes);
+app.use('/api/holiday-calendars', holidayCalendarRoutes);
+app.use('/api/closures', closureRoutes);
+app.use('/api/coaches', coachAvailabilityRoutes);
 app.use('/api/evaluations', evaluationRoutes);
 app.use('/api/expenses', expenseRoutes);
+app.use('/api/ledger', ledgerRoutes);
 app.use('/api/accountant-auto-announcements', accountantAutoAnnouncementRoutes);
 app.use('/api/discounts', discountRoutes);
 app.use('/api/subscription-freezes', subscriptionFreezeRoutes);
 app.use('/api/webhooks', webhookRoutes); // SMS delivery callbacks (no JWT auth)
 app.use('/api/products', productRoutes);
+app.use('/api/orders', orderRoutes);
 app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/permissions', permissionRoutes);
 
 // 404 handler
 app.use(notFound);
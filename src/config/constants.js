@@ -18,6 +18,9 @@ const ROLE_HIERARCHY = {
   [ROLES.OWNER]: 5
 };
 
+// Roles whose data access is limited to their own branch(es)
+const BRANCH_SCOPED_ROLES = [ROLES.BRANCH_ADMIN, ROLES.COACH];
+
 // Payment Status
 const PAYMENT_STATUS = {
   PENDING: 'pending',
@@ -27,6 +30,13 @@ const PAYMENT_STATUS = {
   CANCELLED: 'cancelled'
 };
 
+// Refund Status
+const REFUND_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
 // Payment Methods
 const PAYMENT_METHODS = {
   CASH: 'cash',
@@ -37,13 +47,58 @@ const PAYMENT_METHODS = {
   STC_PAY: 'stc_pay'
 };
 
+// Currencies (ISO 4217) and their minor units per major unit; KWD, BHD and
+// OMR have 1000 fils / baisa, so gateway amounts are not always "* 100"
+const CURRENCY = {
+  DEFAULT: 'SAR',
+  MINOR_UNITS: {
+    SAR: 2,
+    AED: 2,
+    QAR: 2,
+    KWD: 3,
+    BHD: 3,
+    OMR: 3,
+    EGP: 2,
+    JOD: 3,
+    USD: 2,
+    EUR: 2,
+    GBP: 2
+  }
+};
+
 // Subscription Status
 const SUBSCRIPTION_STATUS = {
+  PENDING: 'pending',
   ACTIVE: 'active',
+  EXPIRING: 'expiring',
   EXPIRED: 'expired',
   SUSPENDED: 'suspended',
+  FROZEN: 'frozen',
+  CANCELLED: 'cancelled'
+};
+
+// Subscription lifecycle: status -> statuses it may move to (see services/subscriptionLifecycle.service)
+const SUBSCRIPTION_TRANSITIONS = {
+  pending: ['active', 'expired', 'cancelled'],
+  active: ['expiring', 'expired', 'suspended', 'frozen', 'cancelled'],
+  expiring: ['active', 'expired', 'suspended', 'frozen', 'cancelled'],
+  suspended: ['active', 'expiring', 'expired', 'cancelled'],
+  frozen: ['active', 'expiring', 'expired', 'cancelled'],
+  expired: ['active'],
+  cancelled: []
+};
+
+// Statuses of a subscription the player is currently paid up on
+const CURRENT_SUBSCRIPTION_STATUSES = ['active', 'expiring'];
+
+// Store Order Status
+const ORDER_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  READY_FOR_PICKUP: 'ready_for_pickup',
+  DELIVERED: 'delivered',
   CANCELLED: 'cancelled',
-  PENDING: 'pending'
+  REFUNDED: 'refunded'
 };
 
 // Attendance Status
@@ -86,6 +141,133 @@ const ANNOUNCEMENT_TYPES = {
   MAINTENANCE: 'maintenance'
 };
 
+// VAT (KSA standard rate, percent) - overridable per branch via Branch.settings
+const DEFAULT_VAT_RATE = 15;
+
+// Auth endpoint throttling (per window, per key type)
+const RATE_LIMITS = {
+  LOGIN: { windowMs: 15 * 60 * 1000, ip: 20, phone: 10 },
+  SEND_OTP: { windowMs: 60 * 60 * 1000, ip: 10, phone: 5 },
+  VERIFY_OTP: { windowMs: 15 * 60 * 1000, ip: 30, phone: 10 },
+  FORGOT_PASSWORD: { windowMs: 60 * 60 * 1000, ip: 5, email: 3 },
+  SETUP_KEY: { windowMs: 60 * 60 * 1000, ip: 5 }
+};
+
+// Progressive account lockout after failed password logins.
+// Each consecutive lockout doubles the duration, up to MAX_LOCK_MINUTES.
+const LOGIN_LOCKOUT = {
+  MAX_FAILED_ATTEMPTS: 5,
+  BASE_LOCK_MINUTES: 15,
+  MAX_LOCK_MINUTES: 24 * 60
+};
+
+// Staff two-factor authentication
+const TWO_FACTOR = {
+  STAFF_ROLES: [ROLES.OWNER, ROLES.SUPER_ADMIN, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN],
+  METHODS: ['totp', 'sms'],
+  ISSUER: 'Aspire Academy',
+  TOTP_DIGITS: 6,
+  TOTP_PERIOD_SECONDS: 30,
+  TOTP_WINDOW: 1, // accepted steps of clock drift either way
+  RECOVERY_CODE_COUNT: 10,
+  TOKEN_EXPIRES_IN: '10m'
+};
+
+// Subscription auto-renewal with saved cards.
+// The daily job charges DAYS_BEFORE_END days before end_date; after a failed
+// charge the next attempt waits RETRY_BASE_HOURS, doubling each time, and
+// auto-renew is switched off after MAX_ATTEMPTS failures.
+const AUTO_RENEW = {
+  DAYS_BEFORE_END: 3,
+  MAX_ATTEMPTS: 4,
+  RETRY_BASE_HOURS: 24
+};
+
+// Installment schedules. An unpaid installment GRACE_DAYS past its due_date
+// suspends the subscription until every overdue installment is paid.
+const INSTALLMENTS = {
+  GRACE_DAYS: 3
+};
+
+// Academy time zone: calendar days (expiry, freezes) roll over at midnight here
+const ACADEMY_TIMEZONE = 'Asia/Riyadh';
+
+// Active subscriptions ending within EXPIRING_DAYS are moved to 'expiring' by the daily job
+const SUBSCRIPTION_LIFECYCLE = {
+  EXPIRING_DAYS: 7
+};
+
+// General ledger account codes for automatic postings (chart in services/ledger.service)
+const LEDGER_ACCOUNTS = {
+  CASH: '1000',
+  BANK: '1010',
+  CARD_CLEARING: '1020',
+  CARD_PAYABLE: '2010',
+  VAT_PAYABLE: '2100',
+  OWNER_EQUITY: '3000',
+  SUBSCRIPTION_REVENUE: '4000',
+  REGISTRATION_REVENUE: '4010',
+  STORE_REVENUE: '4020',
+  OTHER_REVENUE: '4090',
+  REFUNDS: '4900',
+  // Expense.category -> account
+  EXPENSES: {
+    utilities: '5010',
+    rent: '5020',
+    salaries: '5030',
+    equipment: '5040',
+    maintenance: '5050',
+    supplies: '5060',
+    marketing: '5070',
+    transportation: '5080',
+    other: '5090'
+  }
+};
+
+// Bank statement reconciliation. Only pending payments created within
+// MATCH_WINDOW_DAYS before a booking are considered; review proposals need
+// at least PROPOSAL_MIN_SCORE (0-100) and at most MAX_PROPOSALS are kept.
+const BANK_RECONCILIATION = {
+  MATCH_WINDOW_DAYS: 60,
+  PROPOSAL_MIN_SCORE: 40,
+  MAX_PROPOSALS: 3,
+  STATEMENT_EXTENSIONS: ['.csv', '.txt', '.sta', '.940', '.mt940', '.xml']
+};
+
+// Cash drawer sessions (front-desk shifts)
+const CASH_DRAWER = {
+  // Variance (either way, in the branch currency) above which closing and sign-off
+  // need a note - about 5 SAR in each currency
+  VARIANCE_TOLERANCE: {
+    SAR: 5,
+    AED: 5,
+    QAR: 5,
+    KWD: 0.4,
+    BHD: 0.5,
+    OMR: 0.5,
+    EGP: 65,
+    JOD: 1,
+    USD: 1.5,
+    EUR: 1.25,
+    GBP: 1
+  },
+  STATUS: { OPEN: 'open', CLOSED: 'closed', SIGNED_OFF: 'signed_off' }
+};
+
+// Program waitlists
+const WAITLIST = {
+  // Hours a family has to accept an offered spot before it cascades to the next
+  OFFER_HOURS: 48,
+  STATUS: {
+    WAITING: 'waiting',
+    NOTIFIED: 'notified',
+    ENROLLED: 'enrolled',
+    DECLINED: 'declined',
+    EXPIRED: 'expired',
+    CANCELLED: 'cancelled'
+  }
+};
+
 // File Upload Limits
 const UPLOAD_LIMITS = {
   MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
@@ -96,14 +278,32 @@ const UPLOAD_LIMITS = {
 module.exports = {
   ROLES,
   ROLE_HIERARCHY,
+  BRANCH_SCOPED_ROLES,
   PAYMENT_STATUS,
+  REFUND_STATUS,
   PAYMENT_METHODS,
+  CURRENCY,
   SUBSCRIPTION_STATUS,
+  SUBSCRIPTION_TRANSITIONS,
+  CURRENT_SUBSCRIPTION_STATUSES,
+  ORDER_STATUS,
   ATTENDANCE_STATUS,
   PLAYER_STATUS,
   PROGRAM_TYPES,
   SMS_STATUS,
   ANNOUNCEMENT_TYPES,
+  DEFAULT_VAT_RATE,
+  RATE_LIMITS,
+  LOGIN_LOCKOUT,
+  TWO_FACTOR,
+  AUTO_RENEW,
+  INSTALLMENTS,
+  SUBSCRIPTION_LIFECYCLE,
+  ACADEMY_TIMEZONE,
+  LEDGER_ACCOUNTS,
+  BANK_RECONCILIATION,
+  CASH_DRAWER,
+  WAITLIST,
   UPLOAD_LIMITS
 };
 
@@ -26,13 +26,16 @@ module.exports = {
       idle: 10000
     }
   },
+  // Integration tests run on in-memory SQLite (DB_DIALECT=sqlite, set by tests/setup/env.js)
+  // or on a disposable MySQL schema when DB_DIALECT is left unset
   test: {
     username: process.env.DB_USER || 'root',
     password: process.env.DB_PASSWORD || '',
     database: process.env.DB_NAME || 'academy_asp_test',
     host: process.env.DB_HOST || 'localhost',
     port: process.env.DB_PORT || 3306,
-    dialect: 'mysql',
+    dialect: process.env.DB_DIALECT || 'mysql',
+    storage: process.env.DB_STORAGE || ':memory:',
     logging: false,
     timezone: '+03:00', // Saudi Arabia timezone (Asia/Riyadh)
     dialectOptions: {
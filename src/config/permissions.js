@@ -0,0 +1,141 @@
+const { ROLES } = require('./constants');
+
+const { SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN, COACH, PARENT } = ROLES;
+
+/**
+ * Permission catalog: name -> { description, roles }
+ *
+ * `roles` are the default grants for each role. Owners implicitly hold every
+ * permission. Per-user overrides live in User.permissions as
+ * { grant: [...], revoke: [...] } and are applied on top of the role defaults.
+ */
+const PERMISSIONS = {
+  // Payments
+  'payments.view': { description: 'View payments and pending receipts', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+  'payments.create': { description: 'Record payments and upload receipts for players', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+  'payments.update': { description: 'Edit payments', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'payments.delete': { description: 'Delete payments', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'payments.complete': { description: 'Approve receipts / mark payments completed', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+  'payments.cancel': { description: 'Cancel pending payments', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'payments.refund': { description: 'Refund payments (manual and gateway)', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'payments.reports': { description: 'Payment statistics and revenue reports', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'payments.reconcile': { description: 'Import bank statements and complete matched transfers', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'payment_methods.manage': { description: 'Save and remove own cards for auto-renewal', roles: [PARENT] },
+
+  // Cash drawers
+  'cash_drawers.operate': { description: 'Open and close a front-desk cash drawer', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+  'cash_drawers.review': { description: 'Review, close and sign off any cash drawer', roles: [SUPER_ADMIN, ACCOUNTANT] },
+
+  // Discounts
+  'discounts.view': { description: 'View discounts', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+  'discounts.create': { description: 'Create discounts', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+  'discounts.update': { description: 'Edit or cancel discounts', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+
+  // Expenses
+  'expenses.view': { description: 'View expenses and expense statistics', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'expenses.manage': { description: 'Create, edit and delete expenses', roles: [SUPER_ADMIN, ACCOUNTANT] },
+
+  // Accounting
+  'ledger.view': { description: 'View the chart of accounts, journal and financial statements', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'ledger.manage': { description: 'Add ledger accounts, post and reverse manual journal entries, backfill the ledger', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'exchange_rates.view': { description: 'View exchange rates and convert amounts', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'exchange_rates.manage': { description: 'Add, import and delete exchange rates', roles: [SUPER_ADMIN, ACCOUNTANT] },
+
+  // Subscriptions
+  'subscriptions.view': { description: 'Subscription statistics, expiring and overdue lists', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+  'subscriptions.create': { description: 'Create subscriptions', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+  'subscriptions.update': { description: 'Edit subscriptions', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'subscriptions.renew': { description: 'Renew subscriptions', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+  'subscriptions.discount': { description: 'Apply discounts to subscriptions', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'subscriptions.cancel': { description: 'Cancel subscriptions', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'subscriptions.remind': { description: 'Send renewal reminders', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+  'subscriptions.auto_renew': { description: "Turn auto-renewal on or off for own or children's subscriptions", roles: [PARENT] },
+  'freezes.view': { description: 'View subscription freezes', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'freezes.view_active': { description: 'View currently active freezes', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'freezes.manage': { description: 'Create and cancel subscription freezes', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+
+  // Users & security
+  'users.view': { description: 'List and view user accounts', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'users.directory': { description: 'Look up users by role/branch (messaging audiences)', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+  'users.create': { description: 'Create user accounts', roles: [SUPER_ADMIN] },
+  'users.update': { description: 'Edit user accounts', roles: [SUPER_ADMIN] },
+  'users.delete': { description: 'Delete user accounts', roles: [SUPER_ADMIN] },
+  'users.status': { description: 'Activate / deactivate user accounts', roles: [SUPER_ADMIN] },
+  'permissions.manage': { description: 'View and edit per-user permission grants', roles: [SUPER_ADMIN] },
+  'security.view_policy': { description: 'View the two-factor policy', roles: [SUPER_ADMIN] },
+  'security.manage_policy': { description: 'Change which roles must use two-factor authentication', roles: [] },
+  'security.reset_two_factor': { description: "Reset another user's two-factor authentication", roles: [SUPER_ADMIN] },
+
+  // Branches & programs
+  'branches.create': { description: 'Create branches', roles: [SUPER_ADMIN] },
+  'branches.update': { description: 'Edit branch details', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'branches.delete': { description: 'Delete branches', roles: [SUPER_ADMIN] },
+  'branches.manage': { description: 'Assign branch managers and change branch status', roles: [SUPER_ADMIN] },
+  'branches.stats': { description: 'Cross-branch statistics', roles: [SUPER_ADMIN] },
+  'branches.view_players': { description: 'List players of a branch', roles: [SUPER_ADMIN, BRANCH_ADMIN, COACH] },
+  'branches.view_staff': { description: 'List staff of a branch', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'programs.create': { description: 'Create programs', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'programs.update': { description: 'Edit programs, images, schedules and status', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'programs.delete': { description: 'Delete programs', roles: [SUPER_ADMIN] },
+  'programs.stats': { description: 'Program statistics', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'programs.view_players': { description: 'List players of a program', roles: [SUPER_ADMIN, BRANCH_ADMIN, COACH] },
+  'programs.assign_coaches': { description: 'Assign and remove program coaches', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+
+  // Players
+  'players.view': { description: 'Player lists and statistics', roles: [SUPER_ADMIN, BRANCH_ADMIN, COACH] },
+  'players.manage': { description: 'Change player status and program assignment', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'players.delete': { description: 'Delete players', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+
+  // Attendance
+  'attendance.view': { description: 'View player attendance and reports', roles: [SUPER_ADMIN, BRANCH_ADMIN, COACH, ACCOUNTANT] },
+  'attendance.record': { description: 'Record and edit player attendance', roles: [SUPER_ADMIN, BRANCH_ADMIN, COACH, ACCOUNTANT] },
+  'attendance.delete': { description: 'Delete attendance records', roles: [SUPER_ADMIN, BRANCH_ADMIN, ACCOUNTANT] },
+  'attendance.coach': { description: 'View and record coach attendance', roles: [SUPER_ADMIN, BRANCH_ADMIN, ACCOUNTANT] },
+
+  // Schedule
+  'schedule.view': { description: 'View branch and program schedules', roles: [SUPER_ADMIN, BRANCH_ADMIN, ACCOUNTANT, COACH, PARENT] },
+  'schedule.view_day': { description: 'View the day sheet of a branch', roles: [SUPER_ADMIN, BRANCH_ADMIN, COACH, PARENT] },
+  'schedule.manage': { description: 'Create, edit, generate and cancel training sessions', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'schedule.stats': { description: 'Schedule statistics', roles: [SUPER_ADMIN, BRANCH_ADMIN, ACCOUNTANT] },
+  'schedule.export': { description: 'Export schedules (iCal / PDF)', roles: [SUPER_ADMIN, BRANCH_ADMIN, COACH] },
+  'waitlist.view': { description: 'View program waitlists', roles: [SUPER_ADMIN, BRANCH_ADMIN, ACCOUNTANT] },
+  'waitlist.join': { description: 'Add players to / remove them from waitlists', roles: [SUPER_ADMIN, BRANCH_ADMIN, PARENT] },
+  'waitlist.manage': { description: 'Update waitlist entries', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'holidays.view': { description: 'View academy and branch holiday calendars', roles: [SUPER_ADMIN, BRANCH_ADMIN, ACCOUNTANT, COACH] },
+  'holidays.manage': { description: 'Manage holiday calendars used by recurring sessions', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'closures.view': { description: 'View academy and branch closures', roles: [SUPER_ADMIN, BRANCH_ADMIN, ACCOUNTANT, COACH] },
+  'closures.manage': { description: 'Close the academy or a branch, cancelling its sessions', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'coach_availability.view': { description: 'View coach availability templates', roles: [SUPER_ADMIN, BRANCH_ADMIN, COACH] },
+  'coach_availability.manage': { description: 'Set coach availability templates (coaches: their own)', roles: [SUPER_ADMIN, BRANCH_ADMIN, COACH] },
+  'coach_leave.request': { description: 'Request and view coach leave (coaches: their own)', roles: [SUPER_ADMIN, BRANCH_ADMIN, COACH] },
+  'coach_leave.review': { description: 'Approve or reject coach leave and reassign the affected sessions', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+
+  // Evaluations
+  'evaluations.manage': { description: 'Create, edit and delete player evaluations', roles: [SUPER_ADMIN, BRANCH_ADMIN, COACH] },
+  'evaluations.view_player': { description: "View a player's evaluations", roles: [SUPER_ADMIN, BRANCH_ADMIN, COACH, PARENT] },
+
+  // Communication
+  'announcements.manage': { description: 'Create, edit, publish and pin announcements', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'announcements.automatic': { description: 'Manage automatic announcements', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'sms.view': { description: 'View sent SMS and templates', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'sms.send': { description: 'Send SMS to individual recipients', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'sms.send_branch': { description: 'Send SMS to a whole branch', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'sms.send_program': { description: 'Send SMS to a whole program', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'sms.schedule': { description: 'Schedule, edit and cancel SMS', roles: [SUPER_ADMIN, BRANCH_ADMIN] },
+  'sms.stats': { description: 'SMS statistics, provider balance and scheduler status', roles: [SUPER_ADMIN] },
+  'sms.auto_settings': { description: 'Manage automatic SMS rules', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+  'sms.trigger_auto': { description: 'Run automatic SMS rules manually', roles: [SUPER_ADMIN] },
+
+  // Store
+  'products.manage': { description: 'Manage store products, variants and stock', roles: [SUPER_ADMIN] },
+  'orders.fulfil': { description: 'Mark store orders ready / delivered', roles: [SUPER_ADMIN, ACCOUNTANT, BRANCH_ADMIN] },
+
+  // Dashboards
+  'stats.overview': { description: 'Academy-wide dashboard', roles: [SUPER_ADMIN] },
+  'stats.financial': { description: 'Financial and accountant dashboards', roles: [SUPER_ADMIN, ACCOUNTANT] },
+  'stats.branch': { description: 'Branch dashboard', roles: [SUPER_ADMIN, BRANCH_ADMIN, ACCOUNTANT] }
+};
+
+module.exports = {
+  PERMISSIONS
+};
@@ -5,6 +5,7 @@ const { paginate, formatPaginationResponse } = require('../utils/helpers');
 const { ROLES, ATTENDANCE_STATUS } = require('../config/constants');
 const { emitAttendanceUpdate } = require('../socket');
 const { logAuditEvent, getLatestAuditMap } = require('../utils/auditLogger');
+const { scoped, assertBranchAccess, branchWhere } = require('../utils/branchScope');
 
 /**
  * @desc    Get all attendance records
@@ -36,7 +37,7 @@ exports.getAllAttendance = asyncHandler(async (req, res) => {
     where.program_id = { [Op.in]: programs.map(p => p.id) };
   }
 
-  const attendance = await Attendance.findAndCountAll({
+  const attendance = await scoped(Attendance, req).findAndCountAll({
     where,
     include: [
       { association: 'player', attributes: ['id', 'first_name', 'last_name', 'registration_number'] },
@@ -73,6 +74,7 @@ exports.getAttendanceById = asyncHandler(async (req, res) => {
   if (!attendance) {
     throw new AppError('Attendance record not found', 404);
   }
+  assertBranchAccess(req, attendance.player?.branch_id, 'Not authorized to access this attendance record');
 
   res.json({
     success: true,
@@ -97,6 +99,7 @@ exports.recordAttendance = asyncHandler(async (req, res) => {
   if (!player) {
     throw new AppError('Player not found', 404);
   }
+  assertBranchAccess(req, player.branch_id, 'Player does not belong to your branch');
 
   const program = await Program.findByPk(program_id);
   if (!program) {
@@ -147,6 +150,7 @@ exports.bulkRecordAttendance = asyncHandler(async (req, res) => {
   if (!program) {
     throw new AppError('Program not found', 404);
   }
+  assertBranchAccess(req, program.branch_id, 'Program does not belong to your branch');
 
   const results = {
     created: 0,
@@ -156,6 +160,12 @@ exports.bulkRecordAttendance = asyncHandler(async (req, res) => {
 
   for (const record of attendance) {
     try {
+      const player = await scoped(Player, req).findByPk(record.player_id, { attributes: ['id'] });
+      if (!player) {
+        results.errors.push({ player_id: record.player_id, error: 'Player not found in your branch' });
+        continue;
+      }
+
       const [att, created] = await Attendance.upsert({
         player_id: record.player_id,
         program_id,
@@ -194,11 +204,14 @@ exports.bulkRecordAttendance = asyncHandler(async (req, res) => {
  * @access  Private/Admin/Coach
  */
 exports.updateAttendance = asyncHandler(async (req, res) => {
-  const attendance = await Attendance.findByPk(req.params.id);
+  const attendance = await Attendance.findByPk(req.params.id, {
+    include: [{ association: 'player', attributes: ['id', 'branch_id'] }]
+  });
 
   if (!attendance) {
     throw new AppError('Attendance record not found', 404);
   }
+  assertBranchAccess(req, attendance.player?.branch_id, 'Not authorized to access this attendance record');
 
   await attendance.update({
     ...req.body,
@@ -218,11 +231,14 @@ exports.updateAttendance = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 exports.deleteAttendance = asyncHandler(async (req, res) => {
-  const attendance = await Attendance.findByPk(req.params.id);
+  const attendance = await Attendance.findByPk(req.params.id, {
+    include: [{ association: 'player', attributes: ['id', 'branch_id'] }]
+  });
 
   if (!attendance) {
     throw new AppError('Attendance record not found', 404);
   }
+  assertBranchAccess(req, attendance.player?.branch_id, 'Not authorized to access this attendance record');
 
   await attendance.destroy();
 
@@ -245,6 +261,7 @@ exports.getAttendanceByPlayer = asyncHandler(async (req, res) => {
   if (!player) {
     throw new AppError('Player not found', 404);
   }
+  assertBranchAccess(req, player.branch_id, 'Not authorized to view this player\'s attendance');
 
   // Check access for parents
   if (req.user.role === ROLES.PARENT && player.parent_id !== req.user.id && player.self_user_id !== req.user.id) {
@@ -283,7 +300,7 @@ exports.getAttendanceByProgram = asyncHandler(async (req, res) => {
   const where = { program_id: programId };
   if (session_date) where.session_date = session_date;
 
-  const attendance = await Attendance.findAll({
+  const attendance = await scoped(Attendance, req).findAll({
     where,
     include: [
       { association: 'player', attributes: ['id', 'first_name', 'last_name', 'avatar'] }
@@ -318,7 +335,7 @@ exports.getAttendanceByDate = asyncHandler(async (req, res) => {
     where.program_id = { [Op.in]: programs.map(p => p.id) };
   }
 
-  const attendance = await Attendance.findAll({
+  const attendance = await scoped(Attendance, req).findAll({
     where,
     include: [
       { association: 'player', attributes: ['id', 'first_name', 'last_name', 'avatar'] },
@@ -346,6 +363,7 @@ exports.getPlayerAttendanceSummary = asyncHandler(async (req, res) => {
   if (!player) {
     throw new AppError('Player not found', 404);
   }
+  assertBranchAccess(req, player.branch_id, 'Not authorized to view this player\'s attendance');
 
   // Check access for parents
   if (req.user.role === ROLES.PARENT && player.parent_id !== req.user.id && player.self_user_id !== req.user.id) {
@@ -394,6 +412,7 @@ exports.getAttendanceReport = asyncHandler(async (req, res) => {
   if (!program) {
     throw new AppError('Program not found', 404);
   }
+  assertBranchAccess(req, program.branch_id, 'Program does not belong to your branch');
 
   const where = { program_id: programId };
   if (start_date && end_date) {
@@ -476,9 +495,10 @@ exports.getAttendanceStats = asyncHandler(async (req, res) => {
     where.session_date = { [Op.between]: [start_date, end_date] };
   }
 
+  const BranchAttendance = scoped(Attendance, req);
   const [total, byStatus] = await Promise.all([
-    Attendance.count({ where }),
-    Attendance.findAll({
+    BranchAttendance.count({ where }),
+    BranchAttendance.findAll({
       where,
       attributes: ['status', [require('sequelize').fn('COUNT', 'id'), 'count']],
       group: ['status']
@@ -519,7 +539,7 @@ exports.getCoachAttendance = asyncHandler(async (req, res) => {
   if (date) where.date = date;
   if (branch_id) where.branch_id = branch_id;
 
-  const attendance = await CoachAttendance.findAndCountAll({
+  const attendance = await scoped(CoachAttendance, req).findAndCountAll({
     where,
     include: [
       { 
@@ -579,9 +599,10 @@ exports.getCoachAttendanceStats = asyncHandler(async (req, res) => {
     where.date = { [Op.between]: [start_date, end_date] };
   }
 
+  const BranchCoachAttendance = scoped(CoachAttendance, req);
   const [total, byStatus] = await Promise.all([
-    CoachAttendance.count({ where }),
-    CoachAttendance.findAll({
+    BranchCoachAttendance.count({ where }),
+    BranchCoachAttendance.findAll({
       where,
       attributes: ['status', [require('sequelize').fn('COUNT', 'id'), 'count']],
       group: ['status']
@@ -620,6 +641,7 @@ exports.recordCoachAttendance = asyncHandler(async (req, res) => {
   if (!coach) {
     throw new AppError('Coach not found', 404);
   }
+  assertBranchAccess(req, branch_id || coach.branch_id, 'Coach does not belong to your branch');
 
   // Upsert - update if exists, create if not
   const [attendance, created] = await CoachAttendance.upsert({
@@ -651,6 +673,7 @@ exports.bulkRecordCoachAttendance = asyncHandler(async (req, res) => {
   if (!date || !attendances || !Array.isArray(attendances)) {
     throw new AppError('Date and attendances array required', 400);
   }
+  attendances.forEach(att => assertBranchAccess(req, att.branch_id, 'Coach does not belong to your branch'));
 
   const results = await Promise.all(
     attendances.map(async (att) => {
@@ -714,7 +737,7 @@ exports.getCoachAttendanceSummary = asyncHandler(async (req, res) => {
   if (branch_id) where.branch_id = branch_id;
 
   // Get all coaches
-  const coachWhere = { role: ROLES.COACH, is_active: true };
+  const coachWhere = { role: ROLES.COACH, is_active: true, ...branchWhere(req) };
   if (branch_id) coachWhere.branch_id = branch_id;
 
   const coaches = await User.findAll({
@@ -728,11 +751,12 @@ exports.getCoachAttendanceSummary = asyncHandler(async (req, res) => {
     coaches.map(async (coach) => {
       const coachWhere = { ...where, coach_id: coach.id };
       
+      const BranchCoachAttendance = scoped(CoachAttendance, req);
       const [present, absent, late, leave] = await Promise.all([
-        CoachAttendance.count({ where: { ...coachWhere, status: 'present' } }),
-        CoachAttendance.count({ where: { ...coachWhere, status: 'absent' } }),
-        CoachAttendance.count({ where: { ...coachWhere, status: 'late' } }),
-        CoachAttendance.count({ where: { ...coachWhere, status: 'leave' } })
+        BranchCoachAttendance.count({ where: { ...coachWhere, status: 'present' } }),
+        BranchCoachAttendance.count({ where: { ...coachWhere, status: 'absent' } }),
+        BranchCoachAttendance.count({ where: { ...coachWhere, status: 'late' } }),
+        BranchCoachAttendance.count({ where: { ...coachWhere, status: 'leave' } })
       ]);
 
       return {
@@ -771,7 +795,7 @@ exports.initCoachAttendance = asyncHandler(async (req, res) => {
   }
 
   // Get all active coaches
-  const coachWhere = { role: ROLES.COACH, is_active: true };
+  const coachWhere = { role: ROLES.COACH, is_active: true, ...branchWhere(req) };
   if (branch_id) coachWhere.branch_id = branch_id;
 
   const coaches = await User.findAll({
@@ -834,7 +858,7 @@ exports.getPlayersForAttendance = asyncHandler(async (req, res) => {
     }
   ];
 
-  const players = await Player.findAll({
+  const players = await scoped(Player, req).findAll({
     where: playerWhere,
     include,
     attributes: ['id', 'first_name', 'last_name', 'first_name_ar', 'last_name_ar', 'program_id', 'branch_id'],
@@ -842,7 +866,7 @@ exports.getPlayersForAttendance = asyncHandler(async (req, res) => {
   });
 
   // Get existing attendance for this date
-  const existingAttendance = date ? await Attendance.findAll({
+  const existingAttendance = date ? await scoped(Attendance, req).findAll({
     where: { session_date: date },
     attributes: ['player_id', 'status', 'id', 'updated_at', 'created_at'],
     include: [{ association: 'recorder', attributes: ['id', 'first_name', 'last_name', 'role'] }]
@@ -901,7 +925,7 @@ exports.initPlayerAttendance = asyncHandler(async (req, res) => {
     playerWhere.coach_id = req.user.id;
   }
 
-  const players = await Player.findAll({
+  const players = await scoped(Player, req).findAll({
     where: playerWhere,
     attributes: ['id', 'program_id']
   });
@@ -964,7 +988,8 @@ exports.bulkRecordPlayerAttendance = asyncHandler(async (req, res) => {
   const results = await Promise.all(
     attendances.map(async (att) => {
       // Get player's program_id and coach_id
-      const player = await Player.findByPk(att.player_id, { attributes: ['id', 'program_id', 'coach_id'] });
+      const player = await scoped(Player, req).findByPk(att.player_id, { attributes: ['id', 'program_id', 'coach_id'] });
+      // Players outside the caller's branch resolve to null and are skipped
       if (!player || !player.program_id) return null;
 
       // Role-based validation - Coaches can only record attendance for their own players
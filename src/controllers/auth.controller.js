@@ -1,10 +1,15 @@
 const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
 const { Op } = require('sequelize');
 const { User, Session, OTP, Branch, Player } = require('../models');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const { generateToken, formatPhoneNumber } = require('../utils/helpers');
 const smsService = require('../services/sms.service');
 const playersService = require('../services/players.service.js');
+const NotificationService = require('../services/notification.service');
+const twoFactorService = require('../services/twoFactor.service');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { LOGIN_LOCKOUT, TWO_FACTOR, ROLES } = require('../config/constants');
 
 /**
  * Generate JWT tokens
@@ -48,6 +53,122 @@ const createSession = async (user, accessToken, refreshToken, req) => {
   return session;
 };
 
+/**
+ * Error for a temporarily locked account
+ */
+const accountLockedError = (user) => {
+  const minutes = Math.max(1, Math.ceil((new Date(user.locked_until) - new Date()) / 60000));
+  return new AppError(`Account temporarily locked due to too many failed login attempts. Try again in ${minutes} minute(s).`, 423);
+};
+
+/**
+ * Count a failed password attempt and lock the account once the threshold is
+ * reached. Each consecutive lockout doubles the lock duration.
+ */
+const registerFailedLogin = async (user, req) => {
+  const attempts = (user.failed_login_attempts || 0) + 1;
+
+  if (attempts < LOGIN_LOCKOUT.MAX_FAILED_ATTEMPTS) {
+    await user.update({ failed_login_attempts: attempts });
+    return;
+  }
+
+  const lockoutCount = (user.lockout_count || 0) + 1;
+  const lockMinutes = Math.min(
+    LOGIN_LOCKOUT.BASE_LOCK_MINUTES * 2 ** (lockoutCount - 1),
+    LOGIN_LOCKOUT.MAX_LOCK_MINUTES
+  );
+
+  await user.update({
+    failed_login_attempts: 0,
+    lockout_count: lockoutCount,
+    locked_until: new Date(Date.now() + lockMinutes * 60 * 1000)
+  });
+
+  try {
+    await NotificationService.notifySystemAlert(
+      'Account locked after failed logins',
+      `${user.first_name} ${user.last_name} (${user.role}, ${user.phone}) was locked for ${lockMinutes} minutes after ${attempts} failed login attempts from ${req.ip}.`,
+      { user_id: user.id, ip: req.ip, lock_minutes: lockMinutes, lockout_count: lockoutCount }
+    );
+  } catch (error) {
+    console.error('Failed to send lockout alert:', error);
+  }
+};
+
+// Applied on every successful login
+const LOCKOUT_RESET = {
+  failed_login_attempts: 0,
+  lockout_count: 0,
+  locked_until: null
+};
+
+/**
+ * Final step of a password login (after 2FA, when enabled): open a session
+ * and return the tokens
+ */
+const completeLogin = async (user, req, res, message = 'Login successful', extraData = {}) => {
+  const { accessToken, refreshToken } = generateTokens(user.id);
+
+  await createSession(user, accessToken, refreshToken, req);
+
+  // Update last login
+  await user.update({ last_login: new Date(), ...LOCKOUT_RESET });
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      user: user.toJSON(),
+      accessToken,
+      refreshToken,
+      ...extraData
+    }
+  });
+};
+
+/**
+ * Staff two-factor gate of every login method: when the user has 2FA enabled
+ * (or must set it up), answer with the challenge instead of tokens
+ * @returns {Promise<boolean>} Whether a challenge was sent
+ */
+const sendTwoFactorChallenge = async (user, req, res) => {
+  if (!twoFactorService.isAvailableFor(user)) return false;
+
+  if (user.two_factor_enabled) {
+    if (user.two_factor_method === 'sms') {
+      await twoFactorService.sendSmsCode(user, req);
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor verification required',
+      data: {
+        requires_two_factor: true,
+        method: user.two_factor_method,
+        ...(user.two_factor_method === 'sms' && { phone: twoFactorService.maskPhone(user.phone) }),
+        two_factor_token: twoFactorService.signToken(user, '2fa')
+      }
+    });
+    return true;
+  }
+
+  if (await twoFactorService.isRequiredFor(user)) {
+    res.json({
+      success: true,
+      message: 'Two-factor authentication must be set up before signing in',
+      data: {
+        requires_two_factor_setup: true,
+        methods: TWO_FACTOR.METHODS,
+        setup_token: twoFactorService.signToken(user, '2fa_setup')
+      }
+    });
+    return true;
+  }
+
+  return false;
+};
+
 /**
  * @desc    Register a new user
  * @route   POST /api/auth/register
@@ -344,30 +465,23 @@ exports.login = asyncHandler(async (req, res) => {
     throw new AppError('Your account has been deactivated. Please contact support.', 403);
   }
 
+  if (user.isLocked()) {
+    throw accountLockedError(user);
+  }
+
   // Check password
   const isMatch = await user.comparePassword(password);
   if (!isMatch) {
+    await registerFailedLogin(user, req);
+    if (user.isLocked()) {
+      throw accountLockedError(user);
+    }
     throw new AppError('Invalid phone number or password', 401);
   }
 
-  // Generate tokens
-  const { accessToken, refreshToken } = generateTokens(user.id);
-
-  // Create session
-  await createSession(user, accessToken, refreshToken, req);
-
-  // Update last login
-  await user.update({ last_login: new Date() });
+  if (await sendTwoFactorChallenge(user, req, res)) return;
 
-  res.json({
-    success: true,
-    message: 'Login successful',
-    data: {
-      user: user.toJSON(),
-      accessToken,
-      refreshToken
-    }
-  });
+  await completeLogin(user, req, res);
 });
 
 /**
@@ -605,6 +719,7 @@ exports.resetPassword = asyncHandler(async (req, res) => {
   user.password = password;
   user.password_reset_token = null;
   user.password_reset_expires = null;
+  Object.assign(user, LOCKOUT_RESET);
   await user.save();
 
   // Invalidate all sessions
@@ -846,11 +961,18 @@ exports.verifyOTP = asyncHandler(async (req, res) => {
     throw new AppError('Your account has been deactivated. Please contact support.', 403);
   }
 
+  if (user.isLocked()) {
+    throw accountLockedError(user);
+  }
+
   // Mark phone as verified
   if (!user.is_verified) {
     await user.update({ is_verified: true });
   }
 
+  // The phone code is one factor: staff still pass their second one
+  if (await sendTwoFactorChallenge(user, req, res)) return;
+
   // Generate tokens
   const { accessToken, refreshToken } = generateTokens(user.id);
 
@@ -1273,6 +1395,7 @@ exports.resetAdminPasswordWithSetupKey = asyncHandler(async (req, res) => {
 
   adminUser.password = password;
   adminUser.is_active = true;
+  Object.assign(adminUser, LOCKOUT_RESET);
   await adminUser.save();
 
   // Invalidate old sessions so only the new password works
@@ -1287,3 +1410,417 @@ exports.resetAdminPasswordWithSetupKey = asyncHandler(async (req, res) => {
   });
 });
 
+
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+
+/**
+ * @desc    Complete a password login with a 2FA code (TOTP, SMS or recovery code)
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (requires two_factor_token from login)
+ */
+exports.verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { two_factor_token, code } = req.body;
+
+  if (!two_factor_token || !code) {
+    throw new AppError('Verification token and code are required', 400);
+  }
+
+  let decoded;
+  try {
+    decoded = twoFactorService.verifyToken(two_factor_token, '2fa');
+  } catch (error) {
+    throw new AppError('Verification session expired. Please login again.', 401);
+  }
+
+  const user = await User.findByPk(decoded.userId, {
+    include: [{ association: 'branch', attributes: ['id', 'name', 'name_ar'] }]
+  });
+
+  if (!user || !user.two_factor_enabled) {
+    throw new AppError('Verification session expired. Please login again.', 401);
+  }
+
+  if (!user.is_active) {
+    throw new AppError('Your account has been deactivated. Please contact support.', 403);
+  }
+
+  if (user.isLocked()) {
+    throw accountLockedError(user);
+  }
+
+  const method = await twoFactorService.verifyCode(user, code);
+
+  if (!method) {
+    // Wrong second factors count towards the same lockout as wrong passwords
+    await registerFailedLogin(user, req);
+    if (user.isLocked()) {
+      throw accountLockedError(user);
+    }
+    throw new AppError('Invalid verification code', 401);
+  }
+
+  if (method === 'recovery') {
+    const remaining = user.two_factor_recovery_codes.length;
+    return completeLogin(user, req, res, `Login successful. ${remaining} recovery code(s) left.`);
+  }
+
+  await completeLogin(user, req, res);
+});
+
+/**
+ * @desc    Resend the SMS code for a pending 2FA login
+ * @route   POST /api/auth/2fa/resend
+ * @access  Public (requires two_factor_token from login)
+ */
+exports.resendTwoFactorCode = asyncHandler(async (req, res) => {
+  const { two_factor_token } = req.body;
+
+  let decoded;
+  try {
+    decoded = twoFactorService.verifyToken(two_factor_token, '2fa');
+  } catch (error) {
+    throw new AppError('Verification session expired. Please login again.', 401);
+  }
+
+  const user = await User.findByPk(decoded.userId);
+  if (!user || !user.two_factor_enabled || user.two_factor_method !== 'sms') {
+    throw new AppError('SMS verification is not enabled for this account', 400);
+  }
+
+  const recent = await OTP.count({
+    where: {
+      phone: user.phone,
+      purpose: 'two_factor',
+      created_at: { [Op.gte]: new Date(Date.now() - 60 * 1000) }
+    }
+  });
+
+  if (recent >= 1) {
+    throw new AppError('Please wait before requesting another code', 429);
+  }
+
+  await twoFactorService.sendSmsCode(user, req);
+
+  res.json({
+    success: true,
+    message: 'Verification code sent',
+    data: { phone: twoFactorService.maskPhone(user.phone) }
+  });
+});
+
+/**
+ * @desc    Get 2FA status for the current user
+ * @route   GET /api/auth/2fa/status
+ * @access  Private
+ */
+exports.getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findByPk(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      available: twoFactorService.isAvailableFor(user),
+      required: await twoFactorService.isRequiredFor(user),
+      enabled: user.two_factor_enabled,
+      method: user.two_factor_enabled ? user.two_factor_method : null,
+      enabled_at: user.two_factor_enabled_at,
+      recovery_codes_remaining: user.two_factor_enabled ? (user.two_factor_recovery_codes || []).length : 0
+    }
+  });
+});
+
+/**
+ * @desc    Start 2FA enrolment (generate TOTP secret or send SMS code)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (session or setup_token from login)
+ */
+exports.setupTwoFactor = asyncHandler(async (req, res) => {
+  const { method } = req.body;
+  const user = await User.findByPk(req.user.id);
+
+  if (!twoFactorService.isAvailableFor(user)) {
+    throw new AppError('Two-factor authentication is only available for staff accounts', 403);
+  }
+
+  if (user.two_factor_enabled) {
+    throw new AppError('Two-factor authentication is already enabled. Disable it first to change method.', 400);
+  }
+
+  if (!TWO_FACTOR.METHODS.includes(method)) {
+    throw new AppError(`Method must be one of: ${TWO_FACTOR.METHODS.join(', ')}`, 400);
+  }
+
+  if (method === 'sms') {
+    if (!user.phone) {
+      throw new AppError('A phone number is required for SMS verification', 400);
+    }
+
+    await user.update({ two_factor_method: 'sms', two_factor_secret: null, two_factor_last_step: null });
+    await twoFactorService.sendSmsCode(user, req);
+
+    return res.json({
+      success: true,
+      message: 'Verification code sent. Confirm it to enable two-factor authentication.',
+      data: { method: 'sms', phone: twoFactorService.maskPhone(user.phone) }
+    });
+  }
+
+  const secret = twoFactorService.generateSecret();
+  await user.update({ two_factor_method: 'totp', two_factor_secret: secret, two_factor_last_step: null });
+
+  const otpauthUrl = twoFactorService.getOtpauthUrl(user, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm a code to enable two-factor authentication.',
+    data: {
+      method: 'totp',
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: qrCode
+    }
+  });
+});
+
+/**
+ * @desc    Confirm enrolment with a first code and enable 2FA
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private (session or setup_token from login)
+ */
+exports.enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await User.findByPk(req.user.id, {
+    include: [{ association: 'branch', attributes: ['id', 'name', 'name_ar'] }]
+  });
+
+  if (user.two_factor_enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  if (!user.two_factor_method) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+
+  const method = await twoFactorService.verifyCode(user, code, { allowRecovery: false });
+  if (!method) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+  const beforeData = user.toJSON();
+
+  await user.update({
+    two_factor_enabled: true,
+    two_factor_recovery_codes: hashes,
+    two_factor_enabled_at: new Date()
+  });
+
+  await logAuditEvent({
+    module: 'users',
+    entityType: 'user',
+    entityId: user.id,
+    action: 'update',
+    actor: user,
+    before: beforeData,
+    after: user,
+    metadata: { two_factor: 'enabled', method: user.two_factor_method }
+  });
+
+  // Enrolment forced by policy at login: finish signing the user in
+  if (req.twoFactorSetup) {
+    return completeLogin(
+      user, req, res,
+      'Two-factor authentication enabled. Save your recovery codes somewhere safe.',
+      { recovery_codes: codes }
+    );
+  }
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Save your recovery codes somewhere safe.',
+    data: { method: user.two_factor_method, recovery_codes: codes }
+  });
+});
+
+/**
+ * @desc    Disable 2FA (requires password and a current code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  const user = await User.findByPk(req.user.id);
+
+  if (!user.two_factor_enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (await twoFactorService.isRequiredFor(user)) {
+    throw new AppError('Two-factor authentication is required for your role and cannot be disabled', 403);
+  }
+
+  if (!password || !(await user.comparePassword(password))) {
+    throw new AppError('Password is incorrect', 401);
+  }
+
+  if (!(await twoFactorService.verifyCode(user, code))) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  const beforeData = user.toJSON();
+  await user.update({
+    two_factor_enabled: false,
+    two_factor_method: null,
+    two_factor_secret: null,
+    two_factor_recovery_codes: null,
+    two_factor_last_step: null,
+    two_factor_enabled_at: null
+  });
+
+  await logAuditEvent({
+    module: 'users',
+    entityType: 'user',
+    entityId: user.id,
+    action: 'update',
+    actor: req.user,
+    before: beforeData,
+    after: user,
+    metadata: { two_factor: 'disabled' }
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * @desc    Replace recovery codes (invalidates the old ones)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await User.findByPk(req.user.id);
+
+  if (!user.two_factor_enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!(await twoFactorService.verifyCode(user, code, { allowRecovery: false }))) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+  await user.update({ two_factor_recovery_codes: hashes });
+
+  res.json({
+    success: true,
+    message: 'New recovery codes generated. Previous codes no longer work.',
+    data: { recovery_codes: codes }
+  });
+});
+
+/**
+ * @desc    Reset another staff member's 2FA (lost device)
+ * @route   DELETE /api/auth/2fa/users/:userId
+ * @access  Private (owner, super_admin)
+ */
+exports.resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findByPk(req.params.userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user.role === ROLES.OWNER && req.user.role !== ROLES.OWNER) {
+    throw new AppError('Only an owner can reset two-factor authentication for an owner', 403);
+  }
+
+  const beforeData = user.toJSON();
+  await user.update({
+    two_factor_enabled: false,
+    two_factor_method: null,
+    two_factor_secret: null,
+    two_factor_recovery_codes: null,
+    two_factor_last_step: null,
+    two_factor_enabled_at: null
+  });
+
+  // Force the user to sign in again (and re-enrol if policy requires it)
+  await Session.update(
+    { is_active: false },
+    { where: { user_id: user.id } }
+  );
+
+  await logAuditEvent({
+    module: 'users',
+    entityType: 'user',
+    entityId: user.id,
+    action: 'update',
+    actor: req.user,
+    before: beforeData,
+    after: user,
+    metadata: { two_factor: 'reset_by_admin' }
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication reset. The user must sign in again.'
+  });
+});
+
+/**
+ * @desc    Get the 2FA role policy
+ * @route   GET /api/auth/2fa/policy
+ * @access  Private (owner, super_admin)
+ */
+exports.getTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const policy = await twoFactorService.getPolicy();
+
+  res.json({
+    success: true,
+    data: {
+      ...policy,
+      available_roles: TWO_FACTOR.STAFF_ROLES
+    }
+  });
+});
+
+/**
+ * @desc    Set which staff roles must use 2FA
+ * @route   PUT /api/auth/2fa/policy
+ * @access  Private (owner)
+ */
+exports.updateTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const { required_roles } = req.body;
+
+  if (!Array.isArray(required_roles)) {
+    throw new AppError('required_roles must be an array', 400);
+  }
+
+  const invalid = required_roles.filter(role => !TWO_FACTOR.STAFF_ROLES.includes(role));
+  if (invalid.length) {
+    throw new AppError(`Two-factor authentication is not available for: ${invalid.join(', ')}`, 400);
+  }
+
+  const before = await twoFactorService.getPolicy();
+  const policy = await twoFactorService.setPolicy({ required_roles }, req.user.id);
+
+  await logAuditEvent({
+    module: 'users',
+    entityType: 'system_setting',
+    entityId: 'two_factor_policy',
+    action: 'update',
+    actor: req.user,
+    before,
+    after: policy
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor policy updated',
+    data: policy
+  });
+});
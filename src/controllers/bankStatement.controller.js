@@ -0,0 +1,204 @@
+const { BankStatement, BankStatementLine, Branch, Payment } = require('../models');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { paginate, formatPaginationResponse } = require('../utils/helpers');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { scoped, assertBranchAccess } = require('../utils/branchScope');
+const bankReconciliation = require('../services/bankReconciliation.service');
+
+const lineIncludes = [
+  {
+    association: 'payment',
+    attributes: ['id', 'invoice_number', 'total_amount', 'status', 'branch_id'],
+    include: [
+      { association: 'player', attributes: ['id', 'first_name', 'last_name', 'first_name_ar', 'last_name_ar'] },
+      { association: 'user', attributes: ['id', 'first_name', 'last_name'] }
+    ]
+  }
+];
+
+const findStatement = async (req) => {
+  const statement = await scoped(BankStatement, req).findByPk(req.params.id);
+  if (!statement) {
+    throw new AppError('Bank statement not found', 404);
+  }
+  return statement;
+};
+
+/**
+ * @desc    Import a bank statement (CSV, MT940, CAMT.053) and match it to pending transfers
+ * @route   POST /api/bank-statements
+ * @access  Private (payments.reconcile)
+ */
+exports.importStatement = asyncHandler(async (req, res) => {
+  const { branch_id, format } = req.body;
+
+  if (!req.file) {
+    throw new AppError('Please upload a statement file', 400);
+  }
+
+  // Statements for every branch are for global staff only
+  assertBranchAccess(req, branch_id || null, 'You can only import statements for your branch');
+  if (branch_id && !(await Branch.findByPk(branch_id))) {
+    throw new AppError('Branch not found', 404);
+  }
+
+  const { statement, summary } = await bankReconciliation.importStatement(req.file.buffer, {
+    format: format || null,
+    fileName: req.file.originalname,
+    branchId: branch_id || null,
+    actor: req.user
+  });
+
+  await logAuditEvent({
+    module: 'payments',
+    entityType: 'bank_statement',
+    entityId: statement.id,
+    action: 'create',
+    actor: req.user,
+    before: null,
+    after: statement,
+    metadata: summary
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Statement imported: ${summary.matched} matched, ${summary.proposed} to review`,
+    data: { statement, summary }
+  });
+});
+
+/**
+ * @desc    Imported statements
+ * @route   GET /api/bank-statements
+ * @access  Private (payments.reconcile)
+ */
+exports.getStatements = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, branch_id, status } = req.query;
+  const { offset, limit: limitNum } = paginate(page, limit);
+
+  const where = {};
+  if (branch_id) where.branch_id = branch_id;
+  if (status) where.status = status;
+
+  const statements = await scoped(BankStatement, req).findAndCountAll({
+    where,
+    include: [
+      { association: 'branch', attributes: ['id', 'name', 'name_ar'] },
+      { association: 'importer', attributes: ['id', 'first_name', 'last_name'] }
+    ],
+    offset,
+    limit: limitNum,
+    order: [['created_at', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    ...formatPaginationResponse(statements, page, limit)
+  });
+});
+
+/**
+ * @desc    Statement with its lines, matches and proposals
+ * @route   GET /api/bank-statements/:id
+ * @access  Private (payments.reconcile)
+ */
+exports.getStatement = asyncHandler(async (req, res) => {
+  const statement = await findStatement(req);
+
+  const where = { statement_id: statement.id };
+  if (req.query.status) where.status = req.query.status;
+
+  const [lines, summary] = await Promise.all([
+    BankStatementLine.findAll({ where, include: lineIncludes, order: [['line_number', 'ASC']] }),
+    bankReconciliation.getSummary(statement)
+  ]);
+
+  res.json({
+    success: true,
+    data: { statement, summary, lines }
+  });
+});
+
+/**
+ * @desc    Match the statement again (e.g. after new transfers were recorded)
+ * @route   POST /api/bank-statements/:id/match
+ * @access  Private (payments.reconcile)
+ */
+exports.matchStatement = asyncHandler(async (req, res) => {
+  const statement = await findStatement(req);
+  const summary = await bankReconciliation.matchStatement(statement);
+
+  res.json({
+    success: true,
+    data: { statement, summary }
+  });
+});
+
+/**
+ * @desc    Confirm a proposal / match by hand, dismiss or reset a line
+ * @route   PATCH /api/bank-statements/:id/lines/:lineId
+ * @access  Private (payments.reconcile)
+ */
+exports.reviewLine = asyncHandler(async (req, res) => {
+  const statement = await findStatement(req);
+  const { action = 'match', payment_id } = req.body;
+
+  const line = await BankStatementLine.findOne({ where: { id: req.params.lineId, statement_id: statement.id } });
+  if (!line) {
+    throw new AppError('Statement line not found', 404);
+  }
+
+  let payment = null;
+  if (action === 'match') {
+    payment = payment_id ? await scoped(Payment, req).findByPk(payment_id) : null;
+    if (statement.branch_id && payment && String(payment.branch_id) !== String(statement.branch_id)) {
+      throw new AppError('Payment belongs to another branch than the statement', 400);
+    }
+  }
+
+  const before = line.toJSON();
+  await bankReconciliation.reviewLine(line, { action, payment, actor: req.user });
+
+  await logAuditEvent({
+    module: 'payments',
+    entityType: 'bank_statement_line',
+    entityId: line.id,
+    action: 'update',
+    actor: req.user,
+    before,
+    after: line,
+    metadata: { review_action: action, statement_id: statement.id }
+  });
+
+  const updated = await BankStatementLine.findByPk(line.id, { include: lineIncludes });
+
+  res.json({
+    success: true,
+    data: updated
+  });
+});
+
+/**
+ * @desc    Complete the payments of matched lines (all, or the given line_ids)
+ * @route   POST /api/bank-statements/:id/complete
+ * @access  Private (payments.reconcile)
+ */
+exports.completeMatches = asyncHandler(async (req, res) => {
+  const statement = await findStatement(req);
+  const { line_ids } = req.body;
+
+  if (line_ids !== undefined && (!Array.isArray(line_ids) || !line_ids.length)) {
+    throw new AppError('line_ids must be a non-empty list', 400);
+  }
+
+  const result = await bankReconciliation.completeMatched(statement, {
+    lineIds: line_ids || null,
+    actor: req.user
+  });
+
+  res.json({
+    success: true,
+    message: `${result.completed} payment(s) completed${result.failed ? `, ${result.failed} failed` : ''}`,
+    data: { ...result, summary: await bankReconciliation.getSummary(statement), status: statement.status }
+  });
+});
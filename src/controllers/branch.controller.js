@@ -1,8 +1,9 @@
-const { Branch, User, Program, Player } = require('../models');
+const { Branch, User, Program, Player, Payment, Expense } = require('../models');
 const { Op } = require('sequelize');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const { paginate, formatPaginationResponse } = require('../utils/helpers');
 const { ROLES } = require('../config/constants');
+const { normalizeCurrency } = require('../utils/currency');
 
 /**
  * @desc    Get public branches (for landing page)
@@ -158,7 +159,7 @@ exports.getBranchById = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 exports.createBranch = asyncHandler(async (req, res) => {
-  const { name, name_ar, code, address, city, region, phone, email, manager_id, capacity, facilities, working_hours, latitude, longitude } = req.body;
+  const { name, name_ar, code, address, city, region, phone, email, manager_id, capacity, facilities, working_hours, latitude, longitude, settings, currency } = req.body;
 
   // Validate required field
   if (!name) {
@@ -213,11 +214,13 @@ exports.createBranch = asyncHandler(async (req, res) => {
     phone,
     email,
     manager_id: normalizedManagerId,
+    currency: normalizeCurrency(currency),
     capacity,
     facilities,
     working_hours,
     latitude,
-    longitude
+    longitude,
+    settings
   });
 
   // Update manager's branch_id
@@ -252,6 +255,20 @@ exports.updateBranch = asyncHandler(async (req, res) => {
     }
   }
 
+  // Recorded payments and expenses keep the currency they were made in
+  if (req.body.currency !== undefined) {
+    req.body.currency = normalizeCurrency(req.body.currency);
+    if (req.body.currency !== branch.currency) {
+      const [payments, expenses] = await Promise.all([
+        Payment.count({ where: { branch_id: branch.id } }),
+        Expense.count({ where: { branch_id: branch.id } })
+      ]);
+      if (payments || expenses) {
+        throw new AppError('The base currency cannot change once the branch has payments or expenses', 400);
+      }
+    }
+  }
+
   await branch.update(req.body);
 
   res.json({
@@ -0,0 +1,220 @@
+const { CashDrawerSession, Branch, Payment, Refund } = require('../models');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { paginate, formatPaginationResponse } = require('../utils/helpers');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { CURRENCY } = require('../config/constants');
+const { scoped, assertBranchAccess } = require('../utils/branchScope');
+const permissionService = require('../services/permission.service');
+const cashDrawerService = require('../services/cashDrawer.service');
+
+const sessionIncludes = [
+  { association: 'branch', attributes: ['id', 'name', 'name_ar', 'currency'] },
+  { association: 'cashier', attributes: ['id', 'first_name', 'last_name'] },
+  { association: 'closer', attributes: ['id', 'first_name', 'last_name'] },
+  { association: 'signer', attributes: ['id', 'first_name', 'last_name'] }
+];
+
+/**
+ * Drawer in the caller's branches; cashiers without the review permission only see their own
+ */
+const findSession = async (req) => {
+  const session = await scoped(CashDrawerSession, req).findByPk(req.params.id, { include: sessionIncludes });
+  if (!session) {
+    throw new AppError('Cash drawer not found', 404);
+  }
+  if (String(session.cashier_id) !== String(req.user.id) && !permissionService.hasPermission(req.user, 'cash_drawers.review')) {
+    throw new AppError('You can only access your own cash drawer', 403);
+  }
+  return session;
+};
+
+const withTotals = async (session) => ({
+  ...session.toJSON(),
+  totals: await cashDrawerService.getTotals(session)
+});
+
+/**
+ * @desc    Open a cash drawer with a float
+ * @route   POST /api/cash-drawers/open
+ * @access  Private (cash_drawers.operate)
+ */
+exports.openSession = asyncHandler(async (req, res) => {
+  const { opening_float = 0, notes } = req.body;
+  const branchId = req.body.branch_id || req.user.branch_id;
+
+  if (!branchId) {
+    throw new AppError('Please select the branch of the drawer', 400);
+  }
+  assertBranchAccess(req, branchId, 'You can only open a drawer at your branch');
+  if (!(await Branch.findByPk(branchId))) {
+    throw new AppError('Branch not found', 404);
+  }
+
+  const session = await cashDrawerService.openSession({
+    branchId,
+    cashier: req.user,
+    openingFloat: opening_float,
+    notes: notes || null
+  });
+
+  await logAuditEvent({
+    module: 'payments',
+    entityType: 'cash_drawer',
+    entityId: session.id,
+    action: 'create',
+    actor: req.user,
+    before: null,
+    after: session
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Cash drawer opened',
+    data: session
+  });
+});
+
+/**
+ * @desc    The caller's open drawer with its running totals
+ * @route   GET /api/cash-drawers/current
+ * @access  Private (cash_drawers.operate)
+ */
+exports.getCurrentSession = asyncHandler(async (req, res) => {
+  const open = await cashDrawerService.getOpenSession(req.user.id);
+
+  res.json({
+    success: true,
+    data: open ? await withTotals(await CashDrawerSession.findByPk(open.id, { include: sessionIncludes })) : null
+  });
+});
+
+/**
+ * @desc    Cash drawer sessions (own drawers only without cash_drawers.review)
+ * @route   GET /api/cash-drawers
+ * @access  Private (cash_drawers.operate)
+ */
+exports.getSessions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, branch_id, cashier_id, status } = req.query;
+  const { offset, limit: limitNum } = paginate(page, limit);
+
+  const where = {};
+  if (branch_id) where.branch_id = branch_id;
+  if (status) where.status = status;
+  if (!permissionService.hasPermission(req.user, 'cash_drawers.review')) {
+    where.cashier_id = req.user.id;
+  } else if (cashier_id) {
+    where.cashier_id = cashier_id;
+  }
+
+  const sessions = await scoped(CashDrawerSession, req).findAndCountAll({
+    where,
+    include: sessionIncludes,
+    offset,
+    limit: limitNum,
+    order: [['opened_at', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    ...formatPaginationResponse(sessions, page, limit)
+  });
+});
+
+/**
+ * @desc    Drawer with its totals, payments and refunds
+ * @route   GET /api/cash-drawers/:id
+ * @access  Private (cash_drawers.operate)
+ */
+exports.getSession = asyncHandler(async (req, res) => {
+  const session = await findSession(req);
+
+  const [payments, refunds] = await Promise.all([
+    Payment.findAll({
+      where: { cash_session_id: session.id },
+      attributes: ['id', 'invoice_number', 'type', 'total_amount', 'status', 'paid_at', 'processed_by'],
+      include: [{ association: 'player', attributes: ['id', 'first_name', 'last_name', 'first_name_ar', 'last_name_ar'] }],
+      order: [['paid_at', 'ASC']]
+    }),
+    Refund.findAll({
+      where: { cash_session_id: session.id },
+      attributes: ['id', 'payment_id', 'amount', 'reason', 'status', 'refunded_at', 'approved_by'],
+      order: [['refunded_at', 'ASC']]
+    })
+  ]);
+
+  res.json({
+    success: true,
+    data: { ...(await withTotals(session)), payments, refunds }
+  });
+});
+
+/**
+ * @desc    Count the drawer and close the shift
+ * @route   POST /api/cash-drawers/:id/close
+ * @access  Private (cash_drawers.operate - own drawer, or cash_drawers.review)
+ */
+exports.closeSession = asyncHandler(async (req, res) => {
+  const found = await findSession(req);
+  const { counted_amount, denominations, notes } = req.body;
+
+  const before = found.toJSON();
+  const session = await cashDrawerService.closeSession(found.id, {
+    countedAmount: counted_amount,
+    denominations: denominations || null,
+    notes: notes || null,
+    actor: req.user
+  });
+
+  await logAuditEvent({
+    module: 'payments',
+    entityType: 'cash_drawer',
+    entityId: session.id,
+    action: 'close',
+    actor: req.user,
+    before,
+    after: session,
+    metadata: { variance: parseFloat(session.variance) }
+  });
+
+  const variance = parseFloat(session.variance);
+  res.json({
+    success: true,
+    message: variance === 0
+      ? 'Cash drawer closed - the count matches'
+      : `Cash drawer closed - ${variance < 0 ? 'short' : 'over'} by ${Math.abs(variance)} ${found.branch?.currency || CURRENCY.DEFAULT}`,
+    data: await withTotals(session)
+  });
+});
+
+/**
+ * @desc    Sign off a closed drawer, or send it back for a recount (approve: false)
+ * @route   POST /api/cash-drawers/:id/sign-off
+ * @access  Private (cash_drawers.review)
+ */
+exports.signOffSession = asyncHandler(async (req, res) => {
+  const found = await findSession(req);
+  const { approve = true, notes } = req.body;
+
+  const before = found.toJSON();
+  const session = await cashDrawerService.signOff(found.id, {
+    approve: approve !== false && approve !== 'false',
+    notes: notes || null,
+    actor: req.user
+  });
+
+  await logAuditEvent({
+    module: 'payments',
+    entityType: 'cash_drawer',
+    entityId: session.id,
+    action: session.status === 'signed_off' ? 'sign_off' : 'reopen',
+    actor: req.user,
+    before,
+    after: session
+  });
+
+  res.json({
+    success: true,
+    message: session.status === 'signed_off' ? 'Cash drawer signed off' : 'Cash drawer sent back to the cashier',
+    data: session
+  });
+});
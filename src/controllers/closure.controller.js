@@ -0,0 +1,120 @@
+const { Closure } = require('../models');
+const { Op } = require('sequelize');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { paginate, formatPaginationResponse } = require('../utils/helpers');
+const { scoped, assertBranchAccess } = require('../utils/branchScope');
+const closureService = require('../services/closure.service');
+
+const includeAssociations = [
+  { association: 'branch', attributes: ['id', 'name', 'name_ar'] },
+  { association: 'freeze', attributes: ['id', 'title', 'freeze_days', 'status', 'subscriptions_affected'] },
+  { association: 'creator', attributes: ['id', 'first_name', 'last_name'] }
+];
+
+// Academy-wide closures are visible to everyone but managed by unscoped users only
+const findClosure = async (req, { manage = false } = {}) => {
+  const closure = await scoped(Closure, req).findByPk(req.params.id, { include: includeAssociations });
+  if (!closure) {
+    throw new AppError('Closure not found', 404);
+  }
+  if (manage) {
+    assertBranchAccess(req, closure.branch_id, 'You can only manage closures of your own branch');
+  }
+  return closure;
+};
+
+/**
+ * @desc    Closures (academy-wide and branch), newest first
+ * @route   GET /api/closures
+ * @access  Private (closures.view)
+ */
+exports.getClosures = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, branch_id, status, type, from, to } = req.query;
+  const { offset, limit: limitNum } = paginate(page, limit);
+
+  const where = {};
+  if (branch_id) {
+    assertBranchAccess(req, branch_id);
+    where.branch_id = { [Op.or]: [null, branch_id] };
+  }
+  if (status) where.status = status;
+  if (type) where.type = type;
+  if (from) where.end_date = { [Op.gte]: from };
+  if (to) where.start_date = { [Op.lte]: to };
+
+  const closures = await scoped(Closure, req).findAndCountAll({
+    where,
+    include: includeAssociations,
+    offset,
+    limit: limitNum,
+    order: [['start_date', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    ...formatPaginationResponse(closures, page, limit)
+  });
+});
+
+/**
+ * @desc    A closure
+ * @route   GET /api/closures/:id
+ * @access  Private (closures.view)
+ */
+exports.getClosure = asyncHandler(async (req, res) => {
+  const closure = await findClosure(req);
+
+  res.json({
+    success: true,
+    data: closure
+  });
+});
+
+/**
+ * @desc    Close the academy (no branch_id) or a branch: sessions on those
+ *          days are cancelled and, with `compensate`, subscriptions extended
+ * @route   POST /api/closures
+ * @access  Private (closures.manage)
+ */
+exports.createClosure = asyncHandler(async (req, res) => {
+  const { title, title_ar, type, branch_id, start_date, end_date, reason, compensate } = req.body;
+  assertBranchAccess(req, branch_id || null, 'You can only close your own branch');
+
+  const { closure, sessions, freeze } = await closureService.create({
+    title,
+    titleAr: title_ar || null,
+    type,
+    branchId: branch_id || null,
+    startDate: start_date,
+    endDate: end_date || null,
+    reason: reason || null,
+    compensate: compensate === true || compensate === 'true',
+    actor: req.user
+  });
+
+  res.status(201).json({
+    success: true,
+    message: freeze
+      ? `Closure created. ${sessions.length} session(s) cancelled and ${freeze.subscriptions_affected} subscription(s) extended by ${freeze.freeze_days} days.`
+      : `Closure created. ${sessions.length} session(s) cancelled.`,
+    data: await Closure.findByPk(closure.id, { include: includeAssociations }),
+    cancelled_sessions: sessions.map(session => session.id)
+  });
+});
+
+/**
+ * @desc    Cancel a closure; its compensating freeze is reverted
+ * @route   POST /api/closures/:id/cancel
+ * @access  Private (closures.manage)
+ */
+exports.cancelClosure = asyncHandler(async (req, res) => {
+  const closure = await findClosure(req, { manage: true });
+
+  await closureService.cancel(closure, { actor: req.user });
+
+  res.json({
+    success: true,
+    message: 'Closure cancelled. Sessions cancelled by it stay cancelled - reschedule them if needed.',
+    data: await Closure.findByPk(closure.id, { include: includeAssociations })
+  });
+});
@@ -0,0 +1,248 @@
+const { CoachLeave, TrainingSession, User } = require('../models');
+const { Op } = require('sequelize');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { paginate, formatPaginationResponse } = require('../utils/helpers');
+const { scoped, assertBranchAccess } = require('../utils/branchScope');
+const { ROLES } = require('../config/constants');
+const coachAvailabilityService = require('../services/coachAvailability.service');
+
+const includeAssociations = [
+  { association: 'coach', attributes: ['id', 'first_name', 'last_name', 'name_ar'] },
+  { association: 'branch', attributes: ['id', 'name', 'name_ar'] },
+  { association: 'requester', attributes: ['id', 'first_name', 'last_name'] },
+  { association: 'reviewer', attributes: ['id', 'first_name', 'last_name'] }
+];
+
+const isCoach = req => req.user.role === ROLES.COACH;
+
+// Coaches reach only themselves; staff the coaches of their branch(es)
+const findCoach = async (req, coachId) => {
+  const coach = await User.findOne({ where: { id: coachId, role: ROLES.COACH } });
+  if (!coach) {
+    throw new AppError('Coach not found', 404);
+  }
+  if (isCoach(req)) {
+    if (coach.id !== req.user.id) {
+      throw new AppError('You can only manage your own availability and leave', 403);
+    }
+  } else {
+    assertBranchAccess(req, coach.branch_id, 'Coach does not belong to your branch');
+  }
+  return coach;
+};
+
+const findLeave = async (req) => {
+  const leave = await scoped(CoachLeave, req).findByPk(req.params.id, { include: includeAssociations });
+  if (!leave || (isCoach(req) && leave.coach_id !== req.user.id)) {
+    throw new AppError('Leave request not found', 404);
+  }
+  return leave;
+};
+
+/**
+ * @desc    A coach's weekly availability template
+ * @route   GET /api/coaches/:coachId/availability
+ * @access  Private (coach_availability.view)
+ */
+exports.getAvailability = asyncHandler(async (req, res) => {
+  const coach = await findCoach(req, req.params.coachId);
+
+  res.json({
+    success: true,
+    data: await coachAvailabilityService.getTemplate(coach.id)
+  });
+});
+
+/**
+ * @desc    Replace a coach's availability template (an empty list removes it)
+ * @route   PUT /api/coaches/:coachId/availability
+ * @access  Private (coach_availability.manage)
+ */
+exports.setAvailability = asyncHandler(async (req, res) => {
+  const coach = await findCoach(req, req.params.coachId);
+
+  const template = await coachAvailabilityService.setTemplate(coach, req.body.windows, { actor: req.user });
+
+  res.json({
+    success: true,
+    message: template.length
+      ? 'Availability updated. New sessions must fit inside these windows.'
+      : 'Availability removed. The coach can be booked at any time.',
+    data: template
+  });
+});
+
+/**
+ * @desc    Leave requests, newest first (coaches see their own)
+ * @route   GET /api/coaches/leave
+ * @access  Private (coach_leave.request)
+ */
+exports.getLeaves = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, coach_id, status, from, to } = req.query;
+  const { offset, limit: limitNum } = paginate(page, limit);
+
+  const where = {};
+  if (isCoach(req)) {
+    where.coach_id = req.user.id;
+  } else if (coach_id) {
+    where.coach_id = coach_id;
+  }
+  if (status) where.status = status;
+  if (from) where.end_date = { [Op.gte]: from };
+  if (to) where.start_date = { [Op.lte]: to };
+
+  const leaves = await scoped(CoachLeave, req).findAndCountAll({
+    where,
+    include: includeAssociations,
+    offset,
+    limit: limitNum,
+    order: [['start_date', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    ...formatPaginationResponse(leaves, page, limit)
+  });
+});
+
+/**
+ * @desc    A leave request
+ * @route   GET /api/coaches/leave/:id
+ * @access  Private (coach_leave.request)
+ */
+exports.getLeave = asyncHandler(async (req, res) => {
+  const leave = await findLeave(req);
+
+  res.json({
+    success: true,
+    data: leave
+  });
+});
+
+/**
+ * @desc    Request leave (coaches for themselves, staff on a coach's behalf)
+ * @route   POST /api/coaches/leave
+ * @access  Private (coach_leave.request)
+ */
+exports.requestLeave = asyncHandler(async (req, res) => {
+  const { coach_id, type, start_date, end_date, reason } = req.body;
+  if (!isCoach(req) && !coach_id) {
+    throw new AppError('coach_id is required', 400);
+  }
+  const coach = await findCoach(req, coach_id || req.user.id);
+
+  const leave = await coachAvailabilityService.requestLeave({
+    coach,
+    type,
+    startDate: start_date,
+    endDate: end_date || null,
+    reason: reason || null,
+    actor: req.user
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Leave requested. It takes effect once a branch admin approves it.',
+    data: await CoachLeave.findByPk(leave.id, { include: includeAssociations })
+  });
+});
+
+/**
+ * @desc    Approve a leave; returns the coach's booked sessions during the
+ *          leave with suggested substitutes
+ * @route   POST /api/coaches/leave/:id/approve
+ * @access  Private (coach_leave.review)
+ */
+exports.approveLeave = asyncHandler(async (req, res) => {
+  const leave = await findLeave(req);
+
+  const { sessions } = await coachAvailabilityService.approve(leave, { actor: req.user, notes: req.body.notes || null });
+
+  res.json({
+    success: true,
+    message: sessions.length
+      ? `Leave approved. ${sessions.length} booked session(s) need a substitute coach.`
+      : 'Leave approved.',
+    data: leave,
+    affected_sessions: sessions
+  });
+});
+
+/**
+ * @desc    Reject a leave
+ * @route   POST /api/coaches/leave/:id/reject
+ * @access  Private (coach_leave.review)
+ */
+exports.rejectLeave = asyncHandler(async (req, res) => {
+  const leave = await findLeave(req);
+
+  await coachAvailabilityService.reject(leave, { actor: req.user, notes: req.body.notes || null });
+
+  res.json({
+    success: true,
+    message: 'Leave rejected',
+    data: leave
+  });
+});
+
+/**
+ * @desc    Withdraw a pending leave or cut an approved one short
+ * @route   POST /api/coaches/leave/:id/cancel
+ * @access  Private (coach_leave.request)
+ */
+exports.cancelLeave = asyncHandler(async (req, res) => {
+  const leave = await findLeave(req);
+
+  await coachAvailabilityService.cancel(leave, { actor: req.user });
+
+  res.json({
+    success: true,
+    message: 'Leave cancelled',
+    data: leave
+  });
+});
+
+/**
+ * @desc    Sessions of the coach during the leave with suggested substitutes
+ * @route   GET /api/coaches/leave/:id/substitutes
+ * @access  Private (coach_leave.review)
+ */
+exports.getSubstitutes = asyncHandler(async (req, res) => {
+  const leave = await findLeave(req);
+
+  res.json({
+    success: true,
+    data: await coachAvailabilityService.suggestionsFor(leave)
+  });
+});
+
+/**
+ * @desc    Hand one of the affected sessions over to a substitute coach
+ * @route   POST /api/coaches/leave/:id/substitutes
+ * @access  Private (coach_leave.review)
+ */
+exports.assignSubstitute = asyncHandler(async (req, res) => {
+  const leave = await findLeave(req);
+  const { session_id, coach_id } = req.body;
+
+  const session = await TrainingSession.findOne({
+    where: {
+      id: session_id,
+      coach_id: leave.coach_id,
+      date: { [Op.between]: [leave.start_date, leave.end_date] }
+    },
+    include: [{ association: 'program', attributes: ['id', 'name', 'name_ar'] }]
+  });
+  if (!session) {
+    throw new AppError('Session not found among the sessions of this leave', 404);
+  }
+  await findCoach(req, coach_id);
+
+  await coachAvailabilityService.assignSubstitute(session, coach_id, { actor: req.user });
+
+  res.json({
+    success: true,
+    message: 'Substitute coach assigned',
+    data: session
+  });
+});
@@ -4,6 +4,7 @@ const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const { paginate, formatPaginationResponse } = require('../utils/helpers');
 const { ROLES } = require('../config/constants');
 const { logAuditEvent, getLatestAuditMap } = require('../utils/auditLogger');
+const { permissionScope, assertPermissionScope } = require('../utils/branchScope');
 
 const includeAssociations = [
   { association: 'branch', attributes: ['id', 'name', 'name_ar'] },
@@ -33,12 +34,13 @@ exports.getAllDiscounts = asyncHandler(async (req, res) => {
     where.reason = { [Op.like]: `%${search}%` };
   }
 
-  // Branch admins can only read discounts from their own branch
-  if (req.user.role === ROLES.BRANCH_ADMIN) {
-    if (!req.user.branch_id) {
-      throw new AppError('Branch admin is not assigned to a branch', 403);
+  // Branch staff, and anyone granted discounts.view, only read their own branch(es)
+  const branchIds = permissionScope(req, 'discounts.view');
+  if (branchIds) {
+    if (branch_id && !branchIds.includes(String(branch_id))) {
+      throw new AppError('You can only access data from your own branch', 403);
     }
-    where.branch_id = req.user.branch_id;
+    where.branch_id = branch_id || { [Op.in]: branchIds };
   }
 
   const discounts = await Discount.findAndCountAll({
@@ -105,10 +107,8 @@ exports.createDiscount = asyncHandler(async (req, res) => {
     throw new AppError('Branch not found', 404);
   }
 
-  // Branch admins can only create discounts for their own branch
-  if (req.user.role === ROLES.BRANCH_ADMIN && String(effectiveBranchId) !== String(req.user.branch_id)) {
-    throw new AppError('You can only create discounts for your branch', 403);
-  }
+  // Branch staff, and anyone granted discounts.create, only create for their own branch(es)
+  assertPermissionScope(req, 'discounts.create', effectiveBranchId, 'You can only create discounts for your branch');
 
   // Verify program if provided
   if (program_id) {
@@ -213,12 +213,8 @@ exports.updateDiscount = asyncHandler(async (req, res) => {
     throw new AppError('Discount not found', 404);
   }
 
-  // Branch admins can only update discounts from their own branch
-  if (req.user.role === ROLES.BRANCH_ADMIN) {
-    if (!req.user.branch_id || String(discount.branch_id) !== String(req.user.branch_id)) {
-      throw new AppError('Not authorized to update this discount', 403);
-    }
-  }
+  // Branch staff, and anyone granted discounts.update, only update their own branch(es)
+  assertPermissionScope(req, 'discounts.update', discount.branch_id, 'Not authorized to update this discount');
 
   if (discount.status === 'used') {
     throw new AppError('Cannot modify a used discount', 400);
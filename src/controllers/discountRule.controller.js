@@ -0,0 +1,283 @@
+const { DiscountRule, DiscountRedemption, Branch, Player, ProgramPricingPlan, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { paginate, formatPaginationResponse } = require('../utils/helpers');
+const { ROLES } = require('../config/constants');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { scoped, assertPermissionScope } = require('../utils/branchScope');
+const discountRuleService = require('../services/discountRule.service');
+const taxService = require('../services/tax.service');
+
+const RULE_TYPES = ['sibling', 'bundle', 'early_bird', 'promo_code'];
+const TIERED_TYPES = ['sibling', 'bundle'];
+
+const includeAssociations = [
+  { association: 'branch', attributes: ['id', 'name', 'name_ar'] },
+  { association: 'program', attributes: ['id', 'name', 'name_ar'] },
+  { association: 'pricingPlan', attributes: ['id', 'name', 'name_ar', 'price', 'duration_months'] },
+  { association: 'creator', attributes: ['id', 'first_name', 'last_name'] }
+];
+
+const EDITABLE_FIELDS = [
+  'name', 'name_ar', 'discount_type', 'discount_value', 'tiers', 'code', 'usage_limit',
+  'per_user_limit', 'days_before_start', 'valid_from', 'valid_until', 'priority', 'stackable', 'is_active'
+];
+
+/**
+ * Check a rule (new or with updates applied) before saving
+ * @throws {AppError} 400 with the first problem found
+ */
+const validateRule = async (rule, ruleId = null) => {
+  if (!rule.name) {
+    throw new AppError('Rule name is required', 400);
+  }
+  if (!RULE_TYPES.includes(rule.rule_type)) {
+    throw new AppError(`Rule type must be one of: ${RULE_TYPES.join(', ')}`, 400);
+  }
+  if (!['percentage', 'fixed'].includes(rule.discount_type)) {
+    throw new AppError('Discount type must be percentage or fixed', 400);
+  }
+
+  const values = TIERED_TYPES.includes(rule.rule_type)
+    ? (Array.isArray(rule.tiers) ? rule.tiers : []).map(tier => parseFloat(tier.value))
+    : [parseFloat(rule.discount_value)];
+
+  if (TIERED_TYPES.includes(rule.rule_type)) {
+    const tiers = Array.isArray(rule.tiers) ? rule.tiers : [];
+    if (!tiers.length || tiers.some(tier => !(parseInt(tier.min, 10) >= 2))) {
+      throw new AppError('Tiers must be a list of { min, value } with min of at least 2', 400);
+    }
+  }
+  if (!values.length || values.some(value => !(value > 0))) {
+    throw new AppError('Discount value must be greater than 0', 400);
+  }
+  if (rule.discount_type === 'percentage' && values.some(value => value > 100)) {
+    throw new AppError('Percentage discount cannot exceed 100%', 400);
+  }
+  if (rule.valid_from && rule.valid_until && rule.valid_until < rule.valid_from) {
+    throw new AppError('valid_until must be on or after valid_from', 400);
+  }
+
+  if (rule.rule_type === 'promo_code') {
+    if (!rule.code) {
+      throw new AppError('Promo code rules need a code', 400);
+    }
+    const taken = await DiscountRule.findOne({
+      where: { code: rule.code, ...(ruleId && { id: { [Op.ne]: ruleId } }) },
+      attributes: ['id']
+    });
+    if (taken) {
+      throw new AppError('Promo code already exists', 400);
+    }
+  }
+};
+
+/**
+ * Reserved + redeemed counts per rule id
+ */
+const getUsageMap = async (ruleIds) => {
+  if (!ruleIds.length) return {};
+
+  const rows = await DiscountRedemption.findAll({
+    where: { discount_rule_id: ruleIds, status: { [Op.in]: ['reserved', 'redeemed'] } },
+    attributes: ['discount_rule_id', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['discount_rule_id'],
+    raw: true
+  });
+
+  return rows.reduce((map, row) => ({ ...map, [row.discount_rule_id]: parseInt(row.count, 10) }), {});
+};
+
+/**
+ * @desc    Get discount rules
+ * @route   GET /api/discounts/rules
+ * @access  Private (discounts.view)
+ */
+exports.getDiscountRules = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, branch_id, rule_type, is_active, search } = req.query;
+  const { offset, limit: limitNum } = paginate(page, limit);
+
+  const where = {};
+  if (branch_id) where.branch_id = branch_id;
+  if (rule_type) where.rule_type = rule_type;
+  if (is_active !== undefined) where.is_active = is_active === 'true';
+  if (search) {
+    where[Op.or] = [
+      { name: { [Op.like]: `%${search}%` } },
+      { code: { [Op.like]: `%${search}%` } }
+    ];
+  }
+
+  const rules = await scoped(DiscountRule, req, 'discounts.view').findAndCountAll({
+    where,
+    include: includeAssociations,
+    offset,
+    limit: limitNum,
+    order: [['priority', 'DESC'], ['created_at', 'DESC']]
+  });
+
+  const usage = await getUsageMap(rules.rows.map(rule => rule.id));
+  rules.rows = rules.rows.map(rule => ({ ...rule.toJSON(), usage_count: usage[rule.id] || 0 }));
+
+  res.json({
+    success: true,
+    ...formatPaginationResponse(rules, page, limit)
+  });
+});
+
+/**
+ * @desc    Create a discount rule
+ * @route   POST /api/discounts/rules
+ * @access  Private (discounts.create)
+ */
+exports.createDiscountRule = asyncHandler(async (req, res) => {
+  const { branch_id, program_id, pricing_plan_id, rule_type } = req.body;
+
+  const data = { rule_type, branch_id: branch_id || null, program_id: program_id || null, pricing_plan_id: pricing_plan_id || null };
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+  data.discount_type = data.discount_type || 'percentage';
+  data.code = rule_type === 'promo_code' ? discountRuleService.normalizeCode(data.code) : null;
+
+  // Rules for every branch are for global staff only
+  assertPermissionScope(req, 'discounts.create', data.branch_id, 'You can only create discount rules for your branch');
+
+  if (data.branch_id && !(await Branch.findByPk(data.branch_id))) {
+    throw new AppError('Branch not found', 404);
+  }
+  if (data.pricing_plan_id) {
+    const plan = await ProgramPricingPlan.findByPk(data.pricing_plan_id, {
+      include: [{ association: 'program', attributes: ['id', 'branch_id'] }]
+    });
+    if (!plan) {
+      throw new AppError('Pricing plan not found', 404);
+    }
+    if (data.branch_id && String(plan.program?.branch_id) !== String(data.branch_id)) {
+      throw new AppError('Pricing plan does not belong to selected branch', 400);
+    }
+    data.program_id = data.program_id || plan.program_id;
+  }
+
+  await validateRule(data);
+
+  const rule = await DiscountRule.create({ ...data, created_by: req.user.id });
+  const fullRule = await DiscountRule.findByPk(rule.id, { include: includeAssociations });
+
+  await logAuditEvent({
+    module: 'discounts',
+    entityType: 'discount_rule',
+    entityId: rule.id,
+    action: 'create',
+    actor: req.user,
+    before: null,
+    after: fullRule
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Discount rule created successfully',
+    data: fullRule
+  });
+});
+
+/**
+ * @desc    Update a discount rule (values, limits, deactivate)
+ * @route   PATCH /api/discounts/rules/:id
+ * @access  Private (discounts.update)
+ */
+exports.updateDiscountRule = asyncHandler(async (req, res) => {
+  const rule = await scoped(DiscountRule, req, 'discounts.update').findByPk(req.params.id);
+
+  if (!rule) {
+    throw new AppError('Discount rule not found', 404);
+  }
+
+  const updates = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+  if (updates.code !== undefined) {
+    updates.code = rule.rule_type === 'promo_code' ? discountRuleService.normalizeCode(updates.code) : null;
+  }
+
+  await validateRule({ ...rule.toJSON(), ...updates }, rule.id);
+
+  const beforeData = rule.toJSON();
+  await rule.update(updates);
+
+  const fullRule = await DiscountRule.findByPk(rule.id, { include: includeAssociations });
+
+  await logAuditEvent({
+    module: 'discounts',
+    entityType: 'discount_rule',
+    entityId: rule.id,
+    action: 'update',
+    actor: req.user,
+    before: beforeData,
+    after: fullRule
+  });
+
+  res.json({
+    success: true,
+    message: 'Discount rule updated successfully',
+    data: fullRule
+  });
+});
+
+/**
+ * @desc    Preview the discounts a checkout would get (rules, promo code, manual discount)
+ * @route   GET /api/discounts/quote
+ * @access  Private (super_admin, owner, accountant, parent)
+ */
+exports.getDiscountQuote = asyncHandler(async (req, res) => {
+  const { player_id, pricing_plan_id, promo_code, discount_id } = req.query;
+
+  if (!player_id || !pricing_plan_id) {
+    throw new AppError('player_id and pricing_plan_id are required', 400);
+  }
+
+  const player = await Player.findByPk(player_id, { include: [{ association: 'branch' }] });
+  if (!player) {
+    throw new AppError('Player not found', 404);
+  }
+  if (req.user.role === ROLES.PARENT && player.parent_id !== req.user.id && player.self_user_id !== req.user.id) {
+    throw new AppError('Not authorized to view prices for this player', 403);
+  }
+
+  const pricingPlan = await ProgramPricingPlan.findByPk(pricing_plan_id, {
+    include: [{ association: 'program' }]
+  });
+  if (!pricingPlan) {
+    throw new AppError('Pricing plan not found', 404);
+  }
+
+  const quote = await discountRuleService.evaluate({
+    player,
+    pricingPlan,
+    price: parseFloat(pricingPlan.price) || 0,
+    discountId: discount_id,
+    promoCode: promo_code,
+    userId: player.parent_id || player.self_user_id || req.user.id
+  });
+
+  const amounts = await taxService.calculateForPayment({
+    branch: player.branch,
+    type: 'subscription',
+    price: quote.price,
+    discount: quote.discount_amount,
+    pricingPlan
+  });
+
+  res.json({
+    success: true,
+    data: {
+      price: quote.price,
+      discount_amount: quote.discount_amount,
+      applied_discounts: quote.applied,
+      amount: amounts.amount,
+      tax_amount: amounts.tax_amount,
+      total_amount: amounts.total_amount
+    }
+  });
+});
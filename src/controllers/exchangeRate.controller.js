@@ -0,0 +1,169 @@
+const { ExchangeRate } = require('../models');
+const { Op } = require('sequelize');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { paginate, formatPaginationResponse } = require('../utils/helpers');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { normalizeCurrency } = require('../utils/currency');
+const { CURRENCY } = require('../config/constants');
+const exchangeRateService = require('../services/exchangeRate.service');
+
+/**
+ * @desc    Supported currencies and the reporting currency
+ * @route   GET /api/exchange-rates/currencies
+ * @access  Private (exchange_rates.view)
+ */
+exports.getCurrencies = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      default_currency: CURRENCY.DEFAULT,
+      reporting_currency: exchangeRateService.getReportingCurrency(),
+      currencies: Object.entries(CURRENCY.MINOR_UNITS).map(([code, minorUnits]) => ({ code, minor_units: minorUnits }))
+    }
+  });
+});
+
+/**
+ * @desc    Stored exchange rates (newest first)
+ * @route   GET /api/exchange-rates
+ * @access  Private (exchange_rates.view)
+ */
+exports.getRates = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, base_currency, quote_currency, from, to } = req.query;
+  const { offset, limit: limitNum } = paginate(page, limit);
+
+  const where = {};
+  if (base_currency) where.base_currency = normalizeCurrency(base_currency);
+  if (quote_currency) where.quote_currency = normalizeCurrency(quote_currency);
+  if (from || to) {
+    where.effective_date = {};
+    if (from) where.effective_date[Op.gte] = from;
+    if (to) where.effective_date[Op.lte] = to;
+  }
+
+  const rates = await ExchangeRate.findAndCountAll({
+    where,
+    include: [{ association: 'creator', attributes: ['id', 'first_name', 'last_name'] }],
+    offset,
+    limit: limitNum,
+    order: [['effective_date', 'DESC'], ['base_currency', 'ASC'], ['quote_currency', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    ...formatPaginationResponse(rates, page, limit)
+  });
+});
+
+/**
+ * @desc    Add (or replace) the rate of a pair for a date
+ * @route   POST /api/exchange-rates
+ * @access  Private (exchange_rates.manage)
+ */
+exports.createRate = asyncHandler(async (req, res) => {
+  const { base_currency, quote_currency, rate, effective_date } = req.body;
+
+  const result = await exchangeRateService.setRate({
+    baseCurrency: base_currency,
+    quoteCurrency: quote_currency || CURRENCY.DEFAULT,
+    rate,
+    effectiveDate: effective_date || new Date().toISOString().split('T')[0],
+    actor: req.user
+  });
+
+  await logAuditEvent({
+    module: 'payments',
+    entityType: 'exchange_rate',
+    entityId: result.rate.id,
+    action: result.created ? 'create' : 'update',
+    actor: req.user,
+    before: null,
+    after: result.rate
+  });
+
+  res.status(result.created ? 201 : 200).json({
+    success: true,
+    message: result.created ? 'Exchange rate added' : 'Exchange rate updated',
+    data: result.rate
+  });
+});
+
+/**
+ * @desc    Import exchange rates from a CSV file (date, base, quote, rate)
+ * @route   POST /api/exchange-rates/import
+ * @access  Private (exchange_rates.manage)
+ */
+exports.importRates = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('Please upload a rates file', 400);
+  }
+
+  // Imported rows keep the importer in created_by and source 'csv'
+  const summary = await exchangeRateService.importCsv(req.file.buffer, { actor: req.user });
+
+  res.json({
+    success: true,
+    message: `${summary.created} rate(s) added, ${summary.updated} updated`,
+    data: summary
+  });
+});
+
+/**
+ * @desc    Delete a stored rate
+ * @route   DELETE /api/exchange-rates/:id
+ * @access  Private (exchange_rates.manage)
+ */
+exports.deleteRate = asyncHandler(async (req, res) => {
+  const rate = await ExchangeRate.findByPk(req.params.id);
+  if (!rate) {
+    throw new AppError('Exchange rate not found', 404);
+  }
+
+  const before = rate.toJSON();
+  await rate.destroy();
+
+  await logAuditEvent({
+    module: 'payments',
+    entityType: 'exchange_rate',
+    entityId: before.id,
+    action: 'delete',
+    actor: req.user,
+    before,
+    after: null
+  });
+
+  res.json({
+    success: true,
+    message: 'Exchange rate deleted'
+  });
+});
+
+/**
+ * @desc    Convert an amount with the stored rates
+ * @route   GET /api/exchange-rates/convert?amount=&from=&to=&date=
+ * @access  Private (exchange_rates.view)
+ */
+exports.convert = asyncHandler(async (req, res) => {
+  const { amount, from, to, date } = req.query;
+
+  if (amount === undefined || Number.isNaN(parseFloat(amount))) {
+    throw new AppError('amount is required', 400);
+  }
+  if (!from) {
+    throw new AppError('from currency is required', 400);
+  }
+
+  const result = await exchangeRateService.convert(amount, { from, to: to || null, date: date || null });
+
+  res.json({
+    success: true,
+    data: {
+      amount: parseFloat(amount),
+      from: normalizeCurrency(from),
+      to: result.currency,
+      date: date || null,
+      rate: result.rate,
+      converted: result.amount
+    }
+  });
+});
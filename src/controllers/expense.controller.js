@@ -1,6 +1,17 @@
-const { Expense, Branch, User } = require('../models');
+const { sequelize, Expense, Branch, User } = require('../models');
 const { Op } = require('sequelize');
+const ledgerService = require('../services/ledger.service');
 const { logAuditEvent, getLatestAuditMap } = require('../utils/auditLogger');
+const { scoped, canAccessBranch } = require('../utils/branchScope');
+
+// Changes to these fields re-post the expense's journal entry
+const LEDGER_FIELDS = ['branch_id', 'category', 'amount', 'expense_date', 'payment_method'];
+const normalize = (field, value) => (field === 'amount' ? Number(value) : String(value));
+
+const branchForbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'You can only access expenses from your own branch'
+});
 
 // Get all expenses (with optional branch filter)
 const getExpenses = async (req, res) => {
@@ -32,7 +43,7 @@ const getExpenses = async (req, res) => {
     
     const offset = (parseInt(page) - 1) * parseInt(limit);
     
-    const { rows: expenses, count: total } = await Expense.findAndCountAll({
+    const { rows: expenses, count: total } = await scoped(Expense, req).findAndCountAll({
       where,
       include: [
         {
@@ -109,6 +120,10 @@ const getExpenseById = async (req, res) => {
         message: 'Expense not found'
       });
     }
+
+    if (!canAccessBranch(req, expense.branch_id)) {
+      return branchForbidden(res);
+    }
     
     const latestAuditMap = await getLatestAuditMap('expense', [expense.id]);
     const latestAudit = latestAuditMap[expense.id];
@@ -159,6 +174,11 @@ const createExpense = async (req, res) => {
       });
     }
     
+    // Receipts are multipart, so body.branch_id is only available here
+    if (!canAccessBranch(req, branch_id)) {
+      return branchForbidden(res);
+    }
+
     // Check if branch exists
     const branch = await Branch.findByPk(branch_id);
     if (!branch) {
@@ -189,7 +209,11 @@ const createExpense = async (req, res) => {
       expenseData.receipt_url = `/uploads/receipts/${req.file.filename}`;
     }
     
-    const expense = await Expense.create(expenseData);
+    const expense = await sequelize.transaction(async (transaction) => {
+      const created = await Expense.create(expenseData, { transaction });
+      await ledgerService.postExpense(created, { actor: req.user, transaction });
+      return created;
+    });
     
     // Fetch with associations
     const createdExpense = await Expense.findByPk(expense.id, {
@@ -263,6 +287,10 @@ const updateExpense = async (req, res) => {
         message: 'Expense not found'
       });
     }
+
+    if (!canAccessBranch(req, expense.branch_id) || (branch_id && !canAccessBranch(req, branch_id))) {
+      return branchForbidden(res);
+    }
     
     const updateData = {};
     
@@ -287,7 +315,14 @@ const updateExpense = async (req, res) => {
     }
     
     const beforeData = expense.toJSON();
-    await expense.update(updateData);
+    await sequelize.transaction(async (transaction) => {
+      await expense.update(updateData, { transaction });
+
+      // Ledger entries are never edited: reverse and re-post when the figures change
+      if (LEDGER_FIELDS.some(field => normalize(field, beforeData[field]) !== normalize(field, expense[field]))) {
+        await ledgerService.repostExpense(expense, { actor: req.user, transaction });
+      }
+    });
     
     // Fetch with associations
     const updatedExpense = await Expense.findByPk(id, {
@@ -352,9 +387,20 @@ const deleteExpense = async (req, res) => {
         message: 'Expense not found'
       });
     }
+
+    if (!canAccessBranch(req, expense.branch_id)) {
+      return branchForbidden(res);
+    }
     
     const beforeData = expense.toJSON();
-    await expense.destroy();
+    await sequelize.transaction(async (transaction) => {
+      await expense.destroy({ transaction });
+      await ledgerService.reverseSource('expense', expense.id, {
+        reason: `Expense deleted: ${expense.title}`,
+        actor: req.user,
+        transaction
+      });
+    });
 
     await logAuditEvent({
       module: 'expenses',
@@ -402,7 +448,7 @@ const getExpenseStats = async (req, res) => {
     }
     
     // Get total expenses
-    const expenses = await Expense.findAll({ where });
+    const expenses = await scoped(Expense, req).findAll({ where });
     
     const totalAmount = expenses.reduce((sum, exp) => sum + parseFloat(exp.amount), 0);
     
@@ -0,0 +1,244 @@
+const { HolidayCalendar, Holiday, SessionSeries, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { getBranchScope, assertBranchAccess } = require('../utils/branchScope');
+const { logAuditEvent } = require('../utils/auditLogger');
+
+const toBoolean = value => value === true || value === 'true';
+
+// Calendar the caller may see: academy-wide ones, or those of their branches
+const findCalendar = async (req, { manage = false } = {}) => {
+  const calendar = await HolidayCalendar.findByPk(req.params.id, {
+    include: [{ model: Holiday, as: 'holidays' }],
+    order: [[{ model: Holiday, as: 'holidays' }, 'start_date', 'ASC']]
+  });
+  if (!calendar) {
+    throw new AppError('Holiday calendar not found', 404);
+  }
+
+  // Academy-wide calendars are visible to everyone but managed by unscoped users only
+  if (calendar.branch_id || manage) {
+    assertBranchAccess(req, calendar.branch_id, 'You can only manage holiday calendars of your own branch');
+  }
+  return calendar;
+};
+
+// A calendar becoming the default replaces the previous default at its level
+const clearOtherDefaults = (calendar, transaction) => HolidayCalendar.update(
+  { is_default: false },
+  { where: { branch_id: calendar.branch_id, is_default: true, id: { [Op.ne]: calendar.id } }, transaction }
+);
+
+/**
+ * @desc    Holiday calendars (academy-wide and branch calendars)
+ * @route   GET /api/holiday-calendars
+ * @access  Private (holidays.view)
+ */
+exports.getCalendars = asyncHandler(async (req, res) => {
+  const { branch_id, is_active } = req.query;
+  const branchIds = getBranchScope(req);
+
+  const where = {};
+  if (branch_id) {
+    assertBranchAccess(req, branch_id);
+    where.branch_id = { [Op.or]: [null, branch_id] };
+  } else if (branchIds) {
+    where.branch_id = { [Op.or]: [null, ...branchIds] };
+  }
+  if (is_active !== undefined) where.is_active = toBoolean(is_active);
+
+  const calendars = await HolidayCalendar.findAll({
+    where,
+    include: [{ association: 'branch', attributes: ['id', 'name', 'name_ar'] }],
+    order: [['is_default', 'DESC'], ['name', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    data: calendars
+  });
+});
+
+/**
+ * @desc    A holiday calendar with its holidays
+ * @route   GET /api/holiday-calendars/:id
+ * @access  Private (holidays.view)
+ */
+exports.getCalendar = asyncHandler(async (req, res) => {
+  const calendar = await findCalendar(req);
+
+  res.json({
+    success: true,
+    data: calendar
+  });
+});
+
+/**
+ * @desc    Create a holiday calendar (branch_id empty = academy-wide)
+ * @route   POST /api/holiday-calendars
+ * @access  Private (holidays.manage)
+ */
+exports.createCalendar = asyncHandler(async (req, res) => {
+  const { name, name_ar, branch_id, is_default, holidays = [] } = req.body;
+  assertBranchAccess(req, branch_id || null, 'You can only manage holiday calendars of your own branch');
+
+  const calendar = await sequelize.transaction(async (transaction) => {
+    const created = await HolidayCalendar.create({
+      name,
+      name_ar,
+      branch_id: branch_id || null,
+      is_default: toBoolean(is_default),
+      created_by: req.user.id
+    }, { transaction });
+
+    if (created.is_default) {
+      await clearOtherDefaults(created, transaction);
+    }
+    for (const holiday of holidays) {
+      await Holiday.create({
+        calendar_id: created.id,
+        name: holiday.name,
+        name_ar: holiday.name_ar,
+        start_date: holiday.start_date,
+        end_date: holiday.end_date || holiday.start_date
+      }, { transaction });
+    }
+    return created;
+  });
+
+  await logAuditEvent({
+    module: 'schedule',
+    entityType: 'holiday_calendar',
+    entityId: calendar.id,
+    action: 'create',
+    actor: req.user,
+    before: null,
+    after: calendar.toJSON(),
+    metadata: { holidays: holidays.length }
+  });
+
+  req.params.id = calendar.id;
+  res.status(201).json({
+    success: true,
+    message: 'Holiday calendar created',
+    data: await findCalendar(req)
+  });
+});
+
+/**
+ * @desc    Rename, (de)activate or make a calendar the default
+ * @route   PUT /api/holiday-calendars/:id
+ * @access  Private (holidays.manage)
+ */
+exports.updateCalendar = asyncHandler(async (req, res) => {
+  const calendar = await findCalendar(req, { manage: true });
+  const before = calendar.toJSON();
+  const { name, name_ar, is_default, is_active } = req.body;
+
+  await sequelize.transaction(async (transaction) => {
+    await calendar.update({
+      ...(name !== undefined && { name }),
+      ...(name_ar !== undefined && { name_ar }),
+      ...(is_default !== undefined && { is_default: toBoolean(is_default) }),
+      ...(is_active !== undefined && { is_active: toBoolean(is_active) })
+    }, { transaction });
+
+    if (calendar.is_default) {
+      await clearOtherDefaults(calendar, transaction);
+    }
+  });
+
+  await logAuditEvent({
+    module: 'schedule',
+    entityType: 'holiday_calendar',
+    entityId: calendar.id,
+    action: 'update',
+    actor: req.user,
+    before,
+    after: calendar.toJSON()
+  });
+
+  res.json({
+    success: true,
+    message: 'Holiday calendar updated',
+    data: calendar
+  });
+});
+
+/**
+ * @desc    Delete a holiday calendar no series uses
+ * @route   DELETE /api/holiday-calendars/:id
+ * @access  Private (holidays.manage)
+ */
+exports.deleteCalendar = asyncHandler(async (req, res) => {
+  const calendar = await findCalendar(req, { manage: true });
+
+  const inUse = await SessionSeries.count({ where: { holiday_calendar_id: calendar.id } });
+  if (inUse) {
+    throw new AppError(`This calendar is used by ${inUse} recurring series - deactivate it instead`, 400);
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await Holiday.destroy({ where: { calendar_id: calendar.id }, transaction });
+    await calendar.destroy({ transaction });
+  });
+
+  await logAuditEvent({
+    module: 'schedule',
+    entityType: 'holiday_calendar',
+    entityId: calendar.id,
+    action: 'delete',
+    actor: req.user,
+    before: calendar.toJSON(),
+    after: null
+  });
+
+  res.json({
+    success: true,
+    message: 'Holiday calendar deleted'
+  });
+});
+
+/**
+ * @desc    Add a holiday (one day, or an inclusive date range)
+ * @route   POST /api/holiday-calendars/:id/holidays
+ * @access  Private (holidays.manage)
+ */
+exports.addHoliday = asyncHandler(async (req, res) => {
+  const calendar = await findCalendar(req, { manage: true });
+  const { name, name_ar, start_date, end_date } = req.body;
+
+  const holiday = await Holiday.create({
+    calendar_id: calendar.id,
+    name,
+    name_ar,
+    start_date,
+    end_date: end_date || start_date
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Holiday added',
+    data: holiday
+  });
+});
+
+/**
+ * @desc    Remove a holiday from a calendar
+ * @route   DELETE /api/holiday-calendars/:id/holidays/:holidayId
+ * @access  Private (holidays.manage)
+ */
+exports.removeHoliday = asyncHandler(async (req, res) => {
+  const calendar = await findCalendar(req, { manage: true });
+
+  const holiday = calendar.holidays.find(entry => entry.id === req.params.holidayId);
+  if (!holiday) {
+    throw new AppError('Holiday not found', 404);
+  }
+  await holiday.destroy();
+
+  res.json({
+    success: true,
+    message: 'Holiday removed'
+  });
+});
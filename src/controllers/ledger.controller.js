@@ -0,0 +1,327 @@
+const { LedgerAccount, JournalEntry, Branch, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { paginate, formatPaginationResponse, today } = require('../utils/helpers');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { scoped, getBranchScope, assertBranchAccess } = require('../utils/branchScope');
+const ledgerService = require('../services/ledger.service');
+
+const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'revenue', 'expense'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const entryIncludes = [
+  { association: 'lines', include: [{ association: 'account', attributes: ['id', 'code', 'name', 'name_ar', 'type'] }] },
+  { association: 'branch', attributes: ['id', 'name', 'name_ar'] },
+  { association: 'creator', attributes: ['id', 'first_name', 'last_name'] }
+];
+
+/**
+ * Report period from the query (defaults to the current month up to today)
+ * @throws {AppError} 400 on malformed or inverted dates
+ */
+const getPeriod = (query) => {
+  const to = query.to || today();
+  const from = query.from || `${to.slice(0, 7)}-01`;
+
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+    throw new AppError('Dates must be in YYYY-MM-DD format', 400);
+  }
+  if (from > to) {
+    throw new AppError('from must be on or before to', 400);
+  }
+  return { from, to };
+};
+
+/**
+ * Cost centers to report on: the requested branch or the caller's scope
+ */
+const getReportBranches = (req) => {
+  const { branch_id } = req.query;
+  if (branch_id) {
+    assertBranchAccess(req, branch_id);
+    return [branch_id];
+  }
+  return getBranchScope(req);
+};
+
+/**
+ * @desc    Chart of accounts
+ * @route   GET /api/ledger/accounts
+ * @access  Private (ledger.view)
+ */
+exports.getAccounts = asyncHandler(async (req, res) => {
+  await ledgerService.ensureChartOfAccounts();
+
+  const where = {};
+  if (req.query.type) where.type = req.query.type;
+  if (req.query.is_active !== undefined) where.is_active = req.query.is_active === 'true';
+
+  const accounts = await LedgerAccount.findAll({ where, order: [['code', 'ASC']] });
+
+  res.json({
+    success: true,
+    data: accounts
+  });
+});
+
+/**
+ * @desc    Add an account for manual journal entries
+ * @route   POST /api/ledger/accounts
+ * @access  Private (ledger.manage)
+ */
+exports.createAccount = asyncHandler(async (req, res) => {
+  const { code, name, name_ar, type, description } = req.body;
+
+  if (!code || !name) {
+    throw new AppError('Account code and name are required', 400);
+  }
+  if (!ACCOUNT_TYPES.includes(type)) {
+    throw new AppError(`Account type must be one of: ${ACCOUNT_TYPES.join(', ')}`, 400);
+  }
+
+  await ledgerService.ensureChartOfAccounts();
+  if (await LedgerAccount.findOne({ where: { code: String(code) } })) {
+    throw new AppError('Account code already exists', 400);
+  }
+
+  const account = await LedgerAccount.create({ code: String(code), name, name_ar, type, description });
+
+  await logAuditEvent({
+    module: 'ledger',
+    entityType: 'ledger_account',
+    entityId: account.id,
+    action: 'create',
+    actor: req.user,
+    before: null,
+    after: account
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Account created successfully',
+    data: account
+  });
+});
+
+/**
+ * @desc    Journal entries (newest first)
+ * @route   GET /api/ledger/journal
+ * @access  Private (ledger.view)
+ */
+exports.getJournalEntries = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, branch_id, source_type, source_id, status, from, to } = req.query;
+  const { offset, limit: limitNum } = paginate(page, limit);
+
+  const where = {};
+  if (branch_id) where.branch_id = branch_id;
+  if (source_type) where.source_type = source_type;
+  if (source_id) where.source_id = source_id;
+  if (status) where.status = status;
+  if (from || to) {
+    where.entry_date = {};
+    if (from) where.entry_date[Op.gte] = from;
+    if (to) where.entry_date[Op.lte] = to;
+  }
+
+  const entries = await scoped(JournalEntry, req).findAndCountAll({
+    where,
+    include: entryIncludes,
+    offset,
+    limit: limitNum,
+    order: [['entry_date', 'DESC'], ['created_at', 'DESC']],
+    distinct: true
+  });
+
+  res.json({
+    success: true,
+    ...formatPaginationResponse(entries, page, limit)
+  });
+});
+
+/**
+ * @desc    Post a manual journal entry
+ * @route   POST /api/ledger/journal
+ * @access  Private (ledger.manage)
+ */
+exports.createJournalEntry = asyncHandler(async (req, res) => {
+  const { entry_date, branch_id, description, currency, lines } = req.body;
+
+  if (!Array.isArray(lines)) {
+    throw new AppError('lines must be a list of { account, debit, credit }', 400);
+  }
+  if (entry_date && !DATE_PATTERN.test(entry_date)) {
+    throw new AppError('entry_date must be in YYYY-MM-DD format', 400);
+  }
+
+  const branchIds = [branch_id, ...lines.map(line => line.branch_id)].filter(Boolean);
+  if (!branchIds.length) {
+    // Head office entries are for global staff only
+    assertBranchAccess(req, null, 'You can only post entries for your branch');
+  }
+  branchIds.forEach(id => assertBranchAccess(req, id, 'You can only post entries for your branch'));
+
+  const uniqueBranchIds = [...new Set(branchIds)];
+  if (uniqueBranchIds.length && await Branch.count({ where: { id: uniqueBranchIds } }) < uniqueBranchIds.length) {
+    throw new AppError('Branch not found', 404);
+  }
+
+  const entry = await sequelize.transaction(transaction => ledgerService.postEntry({
+    date: entry_date,
+    branchId: branch_id || null,
+    sourceType: 'manual',
+    description,
+    currency,
+    lines: lines.map(line => ({
+      account: line.account !== undefined ? String(line.account) : undefined,
+      account_id: line.account_id,
+      branch_id: line.branch_id,
+      debit: parseFloat(line.debit) || 0,
+      credit: parseFloat(line.credit) || 0,
+      description: line.description
+    })),
+    actor: req.user,
+    transaction
+  }));
+
+  const fullEntry = await JournalEntry.findByPk(entry.id, { include: entryIncludes });
+
+  await logAuditEvent({
+    module: 'ledger',
+    entityType: 'journal_entry',
+    entityId: entry.id,
+    action: 'create',
+    actor: req.user,
+    before: null,
+    after: fullEntry
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Journal entry posted successfully',
+    data: fullEntry
+  });
+});
+
+/**
+ * @desc    Reverse a manual journal entry (automatic postings follow their documents)
+ * @route   POST /api/ledger/journal/:id/reverse
+ * @access  Private (ledger.manage)
+ */
+exports.reverseJournalEntry = asyncHandler(async (req, res) => {
+  const entry = await scoped(JournalEntry, req).findByPk(req.params.id, { include: entryIncludes });
+
+  if (!entry) {
+    throw new AppError('Journal entry not found', 404);
+  }
+  if (entry.source_type !== 'manual') {
+    throw new AppError(`This entry follows its ${entry.source_type}; change the ${entry.source_type} instead`, 400);
+  }
+
+  const reversal = await sequelize.transaction(transaction => ledgerService.reverseEntry(entry, {
+    reason: req.body.reason,
+    actor: req.user,
+    transaction
+  }));
+
+  const fullReversal = await JournalEntry.findByPk(reversal.id, { include: entryIncludes });
+
+  await logAuditEvent({
+    module: 'ledger',
+    entityType: 'journal_entry',
+    entityId: entry.id,
+    action: 'reverse',
+    actor: req.user,
+    before: { status: 'posted' },
+    after: { status: 'reversed', reversal_id: reversal.id },
+    metadata: { reason: req.body.reason || null }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Journal entry reversed successfully',
+    data: fullReversal
+  });
+});
+
+/**
+ * @desc    Trial balance for a period, in the reporting currency (?currency=)
+ * @route   GET /api/ledger/trial-balance
+ * @access  Private (ledger.view)
+ */
+exports.getTrialBalance = asyncHandler(async (req, res) => {
+  const to = getPeriod(req.query).to;
+
+  const data = await ledgerService.getTrialBalance({
+    from: req.query.from || null,
+    to,
+    branchIds: getReportBranches(req),
+    currency: req.query.currency
+  });
+
+  res.json({
+    success: true,
+    data
+  });
+});
+
+/**
+ * @desc    Profit and loss with cost centers and reconciliation against payments / expenses, in the reporting currency (?currency=)
+ * @route   GET /api/ledger/profit-and-loss
+ * @access  Private (ledger.view)
+ */
+exports.getProfitAndLoss = asyncHandler(async (req, res) => {
+  const data = await ledgerService.getProfitAndLoss({
+    ...getPeriod(req.query),
+    branchIds: getReportBranches(req),
+    currency: req.query.currency
+  });
+
+  res.json({
+    success: true,
+    data
+  });
+});
+
+/**
+ * @desc    Balance sheet as of a date, in the reporting currency (?currency=)
+ * @route   GET /api/ledger/balance-sheet
+ * @access  Private (ledger.view)
+ */
+exports.getBalanceSheet = asyncHandler(async (req, res) => {
+  const asOf = req.query.as_of || today();
+  if (!DATE_PATTERN.test(asOf)) {
+    throw new AppError('as_of must be in YYYY-MM-DD format', 400);
+  }
+
+  const data = await ledgerService.getBalanceSheet({ asOf, branchIds: getReportBranches(req), currency: req.query.currency });
+
+  res.json({
+    success: true,
+    data
+  });
+});
+
+/**
+ * @desc    Post entries for payments, refunds and expenses recorded before the ledger
+ * @route   POST /api/ledger/backfill
+ * @access  Private (ledger.manage)
+ */
+exports.backfillLedger = asyncHandler(async (req, res) => {
+  const results = await ledgerService.backfill({ actor: req.user });
+
+  await logAuditEvent({
+    module: 'ledger',
+    entityType: 'ledger',
+    entityId: 'backfill',
+    action: 'backfill',
+    actor: req.user,
+    before: null,
+    after: results
+  });
+
+  res.json({
+    success: true,
+    message: 'Ledger backfill completed',
+    data: results
+  });
+});
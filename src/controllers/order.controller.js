@@ -0,0 +1,191 @@
+const { Order } = require('../models');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { paginate, formatPaginationResponse } = require('../utils/helpers');
+const { ROLES, ORDER_STATUS } = require('../config/constants');
+const orderService = require('../services/order.service');
+const paymentService = require('../services/payment.service');
+const { logAuditEvent } = require('../utils/auditLogger');
+
+const STAFF_ROLES = [ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN];
+
+const orderIncludes = [
+  { association: 'items', include: [{ association: 'player', attributes: ['id', 'first_name', 'last_name', 'first_name_ar', 'last_name_ar'] }] },
+  { association: 'branch', attributes: ['id', 'name', 'name_ar', 'code'] },
+  { association: 'user', attributes: ['id', 'first_name', 'last_name', 'phone'] },
+  { association: 'payment', attributes: ['id', 'invoice_number', 'status', 'total_amount', 'paid_at'] }
+];
+
+const assertOrderAccess = (req, order) => {
+  if (req.user.role === ROLES.PARENT && order.user_id !== req.user.id) {
+    throw new AppError('Not authorized to view this order', 403);
+  }
+  if (req.user.role === ROLES.BRANCH_ADMIN && req.user.branch_id && order.branch_id !== req.user.branch_id) {
+    throw new AppError('Not authorized to access orders of another branch', 403);
+  }
+};
+
+/**
+ * @desc    Checkout cart (creates order + pending payment and starts gateway payment)
+ * @route   POST /api/orders/checkout
+ * @access  Private
+ */
+exports.checkout = asyncHandler(async (req, res) => {
+  const { items, branch_id, notes } = req.body;
+
+  const { order, payment, gatewayPayment } = await orderService.checkout({
+    user: req.user,
+    branchId: branch_id,
+    items,
+    notes
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Order created',
+    data: {
+      order_id: order.id,
+      order_number: order.order_number,
+      payment_id: payment.id,
+      gateway_payment_id: gatewayPayment.id,
+      redirect_url: gatewayPayment.redirectUrl,
+      amount: parseFloat(order.total_amount),
+      currency: order.currency,
+      provider: paymentService.provider
+    }
+  });
+});
+
+/**
+ * @desc    List orders (parents see their own, branch admins their branch)
+ * @route   GET /api/orders
+ * @access  Private
+ */
+exports.getOrders = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status, branch_id } = req.query;
+  const { offset, limit: limitNum } = paginate(page, limit);
+
+  const where = {};
+  if (status) where.status = status;
+  if (branch_id) where.branch_id = branch_id;
+
+  if (req.user.role === ROLES.PARENT) {
+    where.user_id = req.user.id;
+  } else if (req.user.role === ROLES.BRANCH_ADMIN && req.user.branch_id) {
+    where.branch_id = req.user.branch_id;
+  } else if (!STAFF_ROLES.includes(req.user.role)) {
+    where.user_id = req.user.id;
+  }
+
+  const orders = await Order.findAndCountAll({
+    where,
+    include: orderIncludes,
+    distinct: true,
+    offset,
+    limit: limitNum,
+    order: [['created_at', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    ...formatPaginationResponse(orders, page, limit)
+  });
+});
+
+/**
+ * @desc    Get order by ID
+ * @route   GET /api/orders/:id
+ * @access  Private
+ */
+exports.getOrderById = asyncHandler(async (req, res) => {
+  const order = await Order.findByPk(req.params.id, { include: orderIncludes });
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  assertOrderAccess(req, order);
+
+  res.json({
+    success: true,
+    data: order
+  });
+});
+
+/**
+ * @desc    Update fulfilment status (ready_for_pickup / delivered)
+ * @route   PATCH /api/orders/:id/status
+ * @access  Private/Admin
+ */
+exports.updateOrderStatus = asyncHandler(async (req, res) => {
+  const { status } = req.body;
+
+  if (![ORDER_STATUS.READY_FOR_PICKUP, ORDER_STATUS.DELIVERED].includes(status)) {
+    throw new AppError('Status must be ready_for_pickup or delivered. Use cancel or payment refund for other changes.', 400);
+  }
+
+  const order = await Order.findByPk(req.params.id);
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  assertOrderAccess(req, order);
+
+  const beforeData = order.toJSON();
+  await orderService.updateFulfilment(order, status, req.user);
+
+  await logAuditEvent({
+    module: 'orders',
+    entityType: 'order',
+    entityId: order.id,
+    action: 'update',
+    actor: req.user,
+    before: beforeData,
+    after: order,
+    metadata: { transition: status }
+  });
+
+  res.json({
+    success: true,
+    message: 'Order status updated',
+    data: order
+  });
+});
+
+/**
+ * @desc    Cancel a pending order
+ * @route   PATCH /api/orders/:id/cancel
+ * @access  Private (owner of the order or staff)
+ */
+exports.cancelOrder = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const existing = await Order.findByPk(req.params.id);
+  if (!existing) {
+    throw new AppError('Order not found', 404);
+  }
+
+  if (!STAFF_ROLES.includes(req.user.role) && existing.user_id !== req.user.id) {
+    throw new AppError('Not authorized to cancel this order', 403);
+  }
+  assertOrderAccess(req, existing);
+
+  const beforeData = existing.toJSON();
+  const order = await orderService.cancel(existing.id, { reason: reason || null, actor: req.user });
+
+  await logAuditEvent({
+    module: 'orders',
+    entityType: 'order',
+    entityId: order.id,
+    action: 'update',
+    actor: req.user,
+    before: beforeData,
+    after: order,
+    metadata: { transition: 'cancelled', reason: reason || null }
+  });
+
+  res.json({
+    success: true,
+    message: 'Order cancelled successfully',
+    data: order
+  });
+});
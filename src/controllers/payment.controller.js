@@ -1,70 +1,42 @@
-const { Payment, User, Player, Subscription, Branch, Program, ProgramPricingPlan } = require('../models');
+const { sequelize, Payment, Refund, User, Player, Subscription, Branch, Program, ProgramPricingPlan, EInvoice } = require('../models');
 const { Op } = require('sequelize');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const { paginate, formatPaginationResponse } = require('../utils/helpers');
-const { ROLES, PAYMENT_STATUS } = require('../config/constants');
+const { ROLES, PAYMENT_STATUS, REFUND_STATUS, CURRENT_SUBSCRIPTION_STATUSES } = require('../config/constants');
 const NotificationService = require('../services/notification.service');
 const paymentService = require('../services/payment.service');
+const zatcaService = require('../services/zatca.service');
+const invoiceService = require('../services/invoice.service');
+const taxService = require('../services/tax.service');
+const autoRenewService = require('../services/autoRenew.service');
+const paymentSettlement = require('../services/paymentSettlement.service');
+const refundService = require('../services/refund.service');
+const installmentService = require('../services/installment.service');
+const discountRuleService = require('../services/discountRule.service');
+const exchangeRateService = require('../services/exchangeRate.service');
 const { logAuditEvent, getLatestAuditMap } = require('../utils/auditLogger');
-
-const toDateOnly = (dateValue) => new Date(dateValue).toISOString().split('T')[0];
-
-const addMonths = (dateValue, months) => {
-  const date = new Date(dateValue);
-  date.setMonth(date.getMonth() + (months || 1));
-  return date;
+const { scoped, assertBranchAccess } = require('../utils/branchScope');
+const { toMinorUnits, fromMinorUnits, roundToCurrency, arabicCurrency } = require('../utils/currency');
+
+// Normalized gateway status -> local payment status for webhook / verify settlement
+const WEBHOOK_STATUS_MAP = {
+  completed: PAYMENT_STATUS.COMPLETED,
+  failed: PAYMENT_STATUS.FAILED,
+  refunded: PAYMENT_STATUS.REFUNDED
 };
 
-const getRenewalAnchor = async ({ playerId, programId }) => {
-  const where = {
-    player_id: playerId,
-    status: { [Op.in]: ['active', 'expired', 'suspended', 'pending'] }
-  };
-  if (programId) where.program_id = programId;
-
-  const latestSubscription = await Subscription.findOne({
-    where,
-    attributes: ['id', 'end_date'],
-    order: [['end_date', 'DESC'], ['created_at', 'DESC']]
-  });
-
-  if (latestSubscription?.end_date) {
-    return { startDate: new Date(latestSubscription.end_date), renewedFromId: latestSubscription.id };
+// A gateway payment only settles the local payment it was created for, for the same amount
+const gatewayMismatch = (payment, gatewayPayment) => {
+  if (payment.transaction_id && gatewayPayment.id !== payment.transaction_id) {
+    return 'Gateway payment does not belong to this payment';
   }
-
-  return { startDate: new Date(), renewedFromId: null };
-};
-
-const createSubscriptionFromPayment = async ({
-  payment,
-  pricingPlan,
-  programIdOverride = null,
-  notes = null
-}) => {
-  if (!payment?.player_id || !pricingPlan) return null;
-
-  const programId = programIdOverride || pricingPlan.program_id;
-  const { startDate, renewedFromId } = await getRenewalAnchor({
-    playerId: payment.player_id,
-    programId
-  });
-  const endDate = addMonths(startDate, pricingPlan.duration_months || 1);
-
-  return Subscription.create({
-    player_id: payment.player_id,
-    program_id: programId,
-    payment_id: payment.id,
-    pricing_plan_id: pricingPlan.id,
-    start_date: toDateOnly(startDate),
-    end_date: toDateOnly(endDate),
-    amount: parseFloat(payment.amount || 0),
-    discount_amount: parseFloat(payment.discount_amount || 0),
-    total_amount: parseFloat(payment.total_amount || payment.amount || 0),
-    status: 'active',
-    is_auto_renew: false,
-    renewed_from_id: renewedFromId,
-    notes
-  });
+  if (gatewayPayment.currency && payment.currency && String(gatewayPayment.currency).toUpperCase() !== payment.currency) {
+    return 'Gateway currency does not match the payment';
+  }
+  if (gatewayPayment.amount !== undefined && toMinorUnits(payment.total_amount, payment.currency) !== gatewayPayment.amount) {
+    return 'Gateway amount does not match the payment';
+  }
+  return null;
 };
 
 /**
@@ -94,12 +66,7 @@ exports.getAllPayments = asyncHandler(async (req, res) => {
     };
   }
 
-  // Role-based filtering
-  if (req.user.role === ROLES.BRANCH_ADMIN && req.user.branch_id) {
-    where.branch_id = req.user.branch_id;
-  }
-
-  const payments = await Payment.findAndCountAll({
+  const payments = await scoped(Payment, req).findAndCountAll({
     where,
     include: [
       { association: 'user', attributes: ['id', 'first_name', 'last_name', 'email'] },
@@ -242,7 +209,7 @@ exports.getAllPayments = asyncHandler(async (req, res) => {
       const playerSubscription = await Subscription.findOne({
         where: { 
           player_id: paymentData.player_id,
-          status: { [Op.in]: ['active', 'pending'] }
+          status: { [Op.in]: [...CURRENT_SUBSCRIPTION_STATUSES, 'pending'] }
         },
         order: [['created_at', 'DESC']],
         attributes: ['id', 'plan_type', 'start_date', 'end_date', 'status', 'notes']
@@ -326,6 +293,7 @@ exports.getPaymentById = asyncHandler(async (req, res) => {
   if (!payment) {
     throw new AppError('Payment not found', 404);
   }
+  assertBranchAccess(req, payment.branch_id, 'Not authorized to access this payment');
 
   // Check access for parents
   if (req.user.role === ROLES.PARENT && payment.user_id !== req.user.id) {
@@ -355,35 +323,50 @@ exports.getPaymentById = asyncHandler(async (req, res) => {
 exports.createPayment = asyncHandler(async (req, res) => {
   const {
     user_id, player_id, subscription_id, branch_id, type,
-    description, amount, tax_amount = 0, discount_amount = 0,
+    description, amount, discount_amount = 0, prices_include_tax,
     payment_method, due_date, notes, pricing_plan_id, metadata, status
   } = req.body;
 
-  // Calculate total
-  const total_amount = parseFloat(amount) + parseFloat(tax_amount) - parseFloat(discount_amount);
-
   // Determine user_id (for parent creating payment)
   const payerId = user_id || req.user.id;
 
   const paymentStatus = status || PAYMENT_STATUS.PENDING;
+  const settleAsCompleted = paymentStatus === PAYMENT_STATUS.COMPLETED;
+  const paymentBranchId = branch_id || req.user.branch_id;
+  const paymentType = type || 'subscription';
+
+  // VAT is always calculated server-side; client-supplied tax/total are ignored
+  const pricingPlan = pricing_plan_id
+    ? await ProgramPricingPlan.findByPk(pricing_plan_id, { include: [{ association: 'program' }] })
+    : null;
+  const amounts = await taxService.calculateForPayment({
+    branch: paymentBranchId || null,
+    type: paymentType,
+    price: amount,
+    discount: discount_amount,
+    pricingPlan,
+    inclusive: prices_include_tax
+  });
 
   const payment = await Payment.create({
     user_id: payerId,
     player_id,
     subscription_id,
-    branch_id: branch_id || req.user.branch_id,
-    type: type || 'subscription',
+    branch_id: paymentBranchId,
+    type: paymentType,
     description,
-    amount,
-    tax_amount,
-    discount_amount,
-    total_amount,
+    amount: amounts.amount,
+    tax_amount: amounts.tax_amount,
+    tax_rate: amounts.tax_rate,
+    discount_amount: amounts.discount_amount,
+    total_amount: amounts.total_amount,
     payment_method: payment_method || 'cash',
-    status: paymentStatus,
+    // Completed payments are recorded as pending and settled below
+    status: settleAsCompleted ? PAYMENT_STATUS.PENDING : paymentStatus,
     due_date,
     notes,
     pricing_plan_id: pricing_plan_id || null,
-    metadata: metadata || null,
+    metadata: { ...(metadata || {}), prices_include_tax: amounts.prices_include_tax },
     processed_by: req.user.id
   });
 
@@ -397,22 +380,20 @@ exports.createPayment = asyncHandler(async (req, res) => {
     after: payment
   });
 
-  // Create subscription if pricing plan is provided and payment is completed
-  if (pricing_plan_id && paymentStatus === PAYMENT_STATUS.COMPLETED) {
-    const pricingPlan = await ProgramPricingPlan.findByPk(pricing_plan_id);
-    if (pricingPlan && player_id) {
-      await createSubscriptionFromPayment({
-        payment: { ...payment.toJSON(), player_id },
-        pricingPlan,
-        notes: `Auto-created from payment ${payment.invoice_number || payment.id}. Plan: ${pricingPlan.name} (${pricingPlan.duration_months} months)`
-      });
-    }
-  }
+  // Subscription (from the pricing plan) and e-invoice are handled by settlement
+  const settled = settleAsCompleted
+    ? (await paymentSettlement.settle(payment.id, {
+      status: PAYMENT_STATUS.COMPLETED,
+      source: 'manual',
+      actor: req.user,
+      notifyPayer: false
+    })).payment
+    : payment;
 
   res.status(201).json({
     success: true,
     message: 'Payment created successfully',
-    data: payment
+    data: settled
   });
 });
 
@@ -422,13 +403,13 @@ exports.createPayment = asyncHandler(async (req, res) => {
  * @access  Private/Parent
  */
 exports.createReceiptPayment = asyncHandler(async (req, res) => {
-  const { player_id, program_id, amount, description, discount_amount, discount_id, pricing_plan_id } = req.body;
+  const { player_id, program_id, amount, description, discount_amount, discount_id, promo_code, pricing_plan_id } = req.body;
 
   if (!req.file) {
     throw new AppError('Receipt file is required', 400);
   }
 
-  const player = await Player.findByPk(player_id);
+  const player = await Player.findByPk(player_id, { include: [{ association: 'branch' }] });
   if (!player) {
     throw new AppError('Player not found', 404);
   }
@@ -441,35 +422,66 @@ exports.createReceiptPayment = asyncHandler(async (req, res) => {
   if (program_id) {
     program = await Program.findByPk(program_id);
   }
+  const pricingPlan = pricing_plan_id ? await ProgramPricingPlan.findByPk(pricing_plan_id) : null;
 
-  // Frontend sends the already-discounted price as 'amount' (e.g., plan=600, discount=200, amount=400)
+  // Priced from the plan when there is one; otherwise the frontend sends the
+  // already-discounted price as 'amount' (e.g., plan=600, discount=200, amount=400)
   const finalAmount = parseFloat(amount) || parseFloat(program?.price_monthly) || 0;
   const discAmount = parseFloat(discount_amount) || 0;
-  // Original price = what the parent pays + discount
-  const originalAmount = finalAmount + discAmount;
-  // Total amount = what the parent actually pays (already discounted)
-  const total_amount = finalAmount;
-  const receiptUrl = `/uploads/documents/${req.file.filename}`;
+  const listPrice = pricingPlan ? parseFloat(pricingPlan.price) || 0 : finalAmount + discAmount;
+
+  // Manual discount, then sibling / bundle / early bird / promo code rules.
+  // Without a plan the manual discount is already taken off 'amount'.
+  const quote = await discountRuleService.evaluate({
+    player,
+    pricingPlan,
+    program,
+    price: pricingPlan ? listPrice : finalAmount,
+    discountId: pricingPlan ? discount_id : null,
+    promoCode: promo_code,
+    userId: req.user.id
+  });
+  const totalDiscount = pricingPlan ? quote.discount_amount : discAmount + quote.discount_amount;
 
-  const payment = await Payment.create({
-    user_id: req.user.id,
-    player_id,
-    branch_id: player.branch_id,
+  const amounts = await taxService.calculateForPayment({
+    branch: player.branch_id,
     type: 'subscription',
-    description: description || (program ? `Program enrollment: ${program.name}` : 'Program enrollment'),
-    amount: originalAmount,
-    tax_amount: 0,
-    discount_amount: discAmount,
-    total_amount,
-    payment_method: 'bank_transfer',
-    status: PAYMENT_STATUS.PENDING,
-    pricing_plan_id: pricing_plan_id || null,
-    receipt_url: receiptUrl,
-    processed_by: req.user.id,
-    metadata: {
-      program_id: program_id || null,
-      discount_id: discount_id || null
-    }
+    price: listPrice,
+    discount: totalDiscount,
+    pricingPlan,
+    program
+  });
+  const total_amount = amounts.total_amount;
+  const receiptUrl = `/uploads/documents/${req.file.filename}`;
+
+  const appliedDiscountId = pricingPlan ? quote.discount_id : discount_id || null;
+
+  const payment = await sequelize.transaction(async (transaction) => {
+    const created = await Payment.create({
+      user_id: req.user.id,
+      player_id,
+      branch_id: player.branch_id,
+      type: 'subscription',
+      description: description || (program ? `Program enrollment: ${program.name}` : 'Program enrollment'),
+      amount: amounts.amount,
+      tax_amount: amounts.tax_amount,
+      tax_rate: amounts.tax_rate,
+      discount_amount: amounts.discount_amount,
+      total_amount,
+      payment_method: 'bank_transfer',
+      status: PAYMENT_STATUS.PENDING,
+      pricing_plan_id: pricing_plan_id || null,
+      receipt_url: receiptUrl,
+      processed_by: req.user.id,
+      metadata: {
+        program_id: program_id || null,
+        discount_id: appliedDiscountId,
+        applied_discounts: quote.applied,
+        prices_include_tax: amounts.prices_include_tax
+      }
+    }, { transaction });
+    await discountRuleService.reserve(created, quote.applied, { transaction });
+    return created;
   });
 
   await logAuditEvent({
@@ -483,10 +495,10 @@ exports.createReceiptPayment = asyncHandler(async (req, res) => {
   });
 
   // Mark discount as used
-  if (discount_id) {
+  if (appliedDiscountId) {
     try {
       const { Discount } = require('../models');
-      const discount = await Discount.findByPk(discount_id);
+      const discount = await Discount.findByPk(appliedDiscountId);
       if (discount && discount.status === 'active') {
         await discount.update({
           status: 'used',
@@ -501,8 +513,8 @@ exports.createReceiptPayment = asyncHandler(async (req, res) => {
 
   await NotificationService.notifySuperAdmins({
     type: 'payment_received',
-    title: `Receipt submitted: ${total_amount} SAR`,
-    titleAr: `تم رفع إيصال: ${total_amount} ريال`,
+    title: `Receipt submitted: ${total_amount} ${payment.currency}`,
+    titleAr: `تم رفع إيصال: ${total_amount} ${arabicCurrency(payment.currency)}`,
     message: `Receipt submitted for ${player.first_name} ${player.last_name}`,
     messageAr: `تم رفع إيصال لـ ${player.first_name_ar || player.first_name} ${player.last_name_ar || player.last_name}`,
     data: { payment_id: payment.id, player_id: player.id, amount: total_amount }
@@ -510,8 +522,8 @@ exports.createReceiptPayment = asyncHandler(async (req, res) => {
 
   await NotificationService.notifyAccountants({
     type: 'payment_received',
-    title: `Receipt submitted: ${total_amount} SAR`,
-    titleAr: `تم رفع إيصال: ${total_amount} ريال`,
+    title: `Receipt submitted: ${total_amount} ${payment.currency}`,
+    titleAr: `تم رفع إيصال: ${total_amount} ${arabicCurrency(payment.currency)}`,
     message: `Receipt submitted for ${player.first_name} ${player.last_name}`,
     messageAr: `تم رفع إيصال لـ ${player.first_name_ar || player.first_name} ${player.last_name_ar || player.last_name}`,
     data: { payment_id: payment.id, player_id: player.id, amount: total_amount }
@@ -536,17 +548,27 @@ exports.createAdminReceiptPayment = asyncHandler(async (req, res) => {
   if (!player) {
     throw new AppError('Player not found', 404);
   }
+  assertBranchAccess(req, player.branch_id, 'Player does not belong to your branch');
 
   let program = null;
   if (program_id) {
     program = await Program.findByPk(program_id);
   }
 
+  const pricingPlan = pricing_plan_id ? await ProgramPricingPlan.findByPk(pricing_plan_id) : null;
+
   const baseAmount = amount || program?.price_monthly || 0;
-  const total_amount = parseFloat(baseAmount);
+  const amounts = await taxService.calculateForPayment({
+    branch: player.branch_id,
+    type: 'subscription',
+    price: baseAmount,
+    pricingPlan,
+    program
+  });
   const receiptUrl = req.file ? `/uploads/documents/${req.file.filename}` : null;
 
   const paymentStatus = status || (receiptUrl ? PAYMENT_STATUS.PENDING : PAYMENT_STATUS.COMPLETED);
+  const settleAsCompleted = paymentStatus === PAYMENT_STATUS.COMPLETED;
   const method = payment_method || 'bank_transfer';
 
   const payment = await Payment.create({
@@ -556,20 +578,23 @@ exports.createAdminReceiptPayment = asyncHandler(async (req, res) => {
     type: 'subscription',
     description: description || (program ? `Program enrollment: ${program.name}` : 'Manual payment'),
     notes: notes || null,
-    amount: baseAmount,
-    tax_amount: 0,
-    discount_amount: 0,
-    total_amount,
+    amount: amounts.amount,
+    tax_amount: amounts.tax_amount,
+    tax_rate: amounts.tax_rate,
+    discount_amount: amounts.discount_amount,
+    total_amount: amounts.total_amount,
     payment_method: method,
-    status: paymentStatus,
+    // Completed payments are recorded as pending and settled below
+    status: settleAsCompleted ? PAYMENT_STATUS.PENDING : paymentStatus,
     receipt_url: receiptUrl,
     pricing_plan_id: pricing_plan_id || null,
     processed_by: req.user.id,
     metadata: {
-      program_id: program_id || null,
+      program_id: pricingPlan?.program_id || program_id || null,
       receiptNumber: receipt_number || null,
       created_by: req.user.id,
-      created_by_role: req.user.role
+      created_by_role: req.user.role,
+      prices_include_tax: amounts.prices_include_tax
     }
   });
 
@@ -583,23 +608,20 @@ exports.createAdminReceiptPayment = asyncHandler(async (req, res) => {
     after: payment
   });
 
-  // Create subscription if pricing plan is provided
-  if (pricing_plan_id && paymentStatus === PAYMENT_STATUS.COMPLETED) {
-    const pricingPlan = await ProgramPricingPlan.findByPk(pricing_plan_id);
-    if (pricingPlan) {
-      await createSubscriptionFromPayment({
-        payment: { ...payment.toJSON(), player_id },
-        pricingPlan,
-        programIdOverride: pricingPlan.program_id || program_id,
-        notes: `Auto-created from payment ${payment.invoice_number || payment.id}. Plan: ${pricingPlan.name} (${pricingPlan.duration_months} months)`
-      });
-    }
-  }
+  // Subscription (from the pricing plan) and e-invoice are handled by settlement
+  const settled = settleAsCompleted
+    ? (await paymentSettlement.settle(payment.id, {
+      status: PAYMENT_STATUS.COMPLETED,
+      source: 'manual',
+      actor: req.user,
+      notifyPayer: false
+    })).payment
+    : payment;
 
   res.status(201).json({
     success: true,
     message: 'Payment created successfully',
-    data: payment
+    data: settled
   });
 });
 
@@ -614,14 +636,45 @@ exports.updatePayment = asyncHandler(async (req, res) => {
   if (!payment) {
     throw new AppError('Payment not found', 404);
   }
+  assertBranchAccess(req, payment.branch_id, 'Not authorized to access this payment');
 
-  const updates = { ...req.body };
+  // Status and refunds only change through settlement and the refund service, which
+  // also create the subscription, post the ledger and issue the e-invoice
+  const {
+    tax_amount, tax_rate, total_amount, status, refunded_amount, paid_at, cash_session_id, ...updates
+  } = req.body;
 
-  if (updates.amount !== undefined || updates.tax_amount !== undefined || updates.discount_amount !== undefined) {
-    const amount = parseFloat(updates.amount ?? payment.amount);
-    const taxAmount = parseFloat(updates.tax_amount ?? payment.tax_amount ?? 0);
-    const discountAmount = parseFloat(updates.discount_amount ?? payment.discount_amount ?? 0);
-    updates.total_amount = amount + taxAmount - discountAmount;
+  if (status !== undefined && status !== payment.status) {
+    throw new AppError('Use the complete, cancel or refund endpoints to change the payment status', 400);
+  }
+  if (refunded_amount !== undefined && Number(refunded_amount) !== Number(payment.refunded_amount || 0)) {
+    throw new AppError('Use the refund endpoint to refund a payment', 400);
+  }
+
+  // Edited amounts are net of VAT (as stored); VAT is re-derived server-side
+  const repricing = updates.amount !== undefined || updates.discount_amount !== undefined
+    || updates.type !== undefined || updates.branch_id !== undefined;
+  const settled = [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.REFUNDED].includes(payment.status);
+  if (settled && (repricing || (updates.currency !== undefined && updates.currency !== payment.currency))) {
+    throw new AppError('Settled payments are already in the ledger; refund and charge again to change the amount', 400);
+  }
+  if (repricing) {
+    const keepRate = updates.type === undefined && updates.branch_id === undefined && payment.tax_rate !== null;
+    const branch = await Branch.findByPk(updates.branch_id ?? payment.branch_id);
+    const amounts = taxService.calculate({
+      price: updates.amount ?? payment.amount,
+      discount: updates.discount_amount ?? payment.discount_amount ?? 0,
+      rate: keepRate ? payment.tax_rate : taxService.getRate(branch, updates.type ?? payment.type),
+      inclusive: false,
+      currency: payment.currency
+    });
+    Object.assign(updates, {
+      amount: amounts.amount,
+      discount_amount: amounts.discount_amount,
+      tax_amount: amounts.tax_amount,
+      tax_rate: amounts.tax_rate,
+      total_amount: amounts.total_amount
+    });
   }
 
   const beforeData = payment.toJSON();
@@ -656,6 +709,7 @@ exports.deletePayment = asyncHandler(async (req, res) => {
   if (!payment) {
     throw new AppError('Payment not found', 404);
   }
+  assertBranchAccess(req, payment.branch_id, 'Not authorized to access this payment');
 
   const beforeData = payment.toJSON();
   await payment.destroy();
@@ -689,7 +743,7 @@ exports.getPaymentsByUser = asyncHandler(async (req, res) => {
     throw new AppError('Not authorized to view these payments', 403);
   }
 
-  const payments = await Payment.findAll({
+  const payments = await scoped(Payment, req).findAll({
     where: { user_id: userId },
     include: [
       { 
@@ -762,7 +816,7 @@ exports.getPaymentsByPlayer = asyncHandler(async (req, res) => {
     throw new AppError('Not authorized to view these payments', 403);
   }
 
-  const payments = await Payment.findAll({
+  const payments = await scoped(Payment, req).findAll({
     where: { player_id: playerId },
     order: [['created_at', 'DESC']]
   });
@@ -806,44 +860,58 @@ exports.getPaymentsByBranch = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Process refund
+ * @desc    Process refund (full or partial; repeat for further partial refunds)
  * @route   POST /api/payments/:id/refund
  * @access  Private/Admin
  */
 exports.processRefund = asyncHandler(async (req, res) => {
-  const { reason } = req.body;
+  const { amount, reason, subscription_action } = req.body;
+
+  const { payment, refund, subscription } = await refundService.refundPayment(req.params.id, {
+    amount,
+    reason,
+    actor: req.user,
+    method: 'manual',
+    subscriptionAction: subscription_action || 'auto',
+    assertAccess: (found) => assertBranchAccess(req, found.branch_id, 'Not authorized to access this payment')
+  });
 
+  res.json({
+    success: true,
+    message: 'Refund processed successfully',
+    data: {
+      payment,
+      refund,
+      subscription,
+      refundable_amount: refundService.getRefundableAmount(payment)
+    }
+  });
+});
+
+/**
+ * @desc    Get refunds of a payment
+ * @route   GET /api/payments/:id/refunds
+ * @access  Private/Admin
+ */
+exports.getPaymentRefunds = asyncHandler(async (req, res) => {
   const payment = await Payment.findByPk(req.params.id);
 
   if (!payment) {
     throw new AppError('Payment not found', 404);
   }
+  assertBranchAccess(req, payment.branch_id, 'Not authorized to access this payment');
 
-  if (payment.status !== PAYMENT_STATUS.COMPLETED) {
-    throw new AppError('Only completed payments can be refunded', 400);
-  }
-
-  await payment.update({
-    status: PAYMENT_STATUS.REFUNDED,
-    processed_by: req.user.id,
-    notes: `${payment.notes || ''}\nRefund reason: ${reason}\nRefunded by: ${req.user.first_name} ${req.user.last_name}`
-  });
-
-  await logAuditEvent({
-    module: 'payments',
-    entityType: 'payment',
-    entityId: payment.id,
-    action: 'update',
-    actor: req.user,
-    before: null,
-    after: payment,
-    metadata: { reason }
-  });
+  const refunds = await refundService.listForPayment(payment.id);
 
   res.json({
     success: true,
-    message: 'Refund processed successfully',
-    data: payment
+    data: {
+      payment_id: payment.id,
+      total_amount: parseFloat(payment.total_amount),
+      refunded_amount: parseFloat(payment.refunded_amount) || 0,
+      refundable_amount: payment.status === PAYMENT_STATUS.COMPLETED ? refundService.getRefundableAmount(payment) : 0,
+      refunds
+    }
   });
 });
 
@@ -855,26 +923,39 @@ exports.processRefund = asyncHandler(async (req, res) => {
 exports.markAsCompleted = asyncHandler(async (req, res) => {
   const { transaction_id } = req.body;
 
-  const payment = await Payment.findByPk(req.params.id);
+  const existing = await Payment.findByPk(req.params.id);
 
-  if (!payment) {
+  if (!existing) {
     throw new AppError('Payment not found', 404);
   }
+  assertBranchAccess(req, existing.branch_id, 'Not authorized to access this payment');
 
-  await payment.update({
+  if (existing.status === PAYMENT_STATUS.REFUNDED) {
+    throw new AppError('Refunded payments cannot be completed', 400);
+  }
+
+  const { payment, changed } = await paymentSettlement.settle(existing.id, {
     status: PAYMENT_STATUS.COMPLETED,
-    paid_at: new Date(),
-    transaction_id,
-    processed_by: req.user.id
+    source: 'manual',
+    actor: req.user,
+    updates: transaction_id ? { transaction_id } : {}
   });
 
+  if (!changed) {
+    return res.json({
+      success: true,
+      message: 'Payment is already completed',
+      data: payment
+    });
+  }
+
   await logAuditEvent({
     module: 'payments',
     entityType: 'payment',
     entityId: payment.id,
     action: 'update',
     actor: req.user,
-    before: null,
+    before: existing,
     after: payment,
     metadata: { transition: 'completed' }
   });
@@ -885,8 +966,8 @@ exports.markAsCompleted = asyncHandler(async (req, res) => {
   if ([ROLES.SUPER_ADMIN, ROLES.OWNER].includes(req.user.role)) {
     await NotificationService.notifyAccountants({
       type: 'payment_received',
-      title: `Payment approved: ${amount} SAR`,
-      titleAr: `تم اعتماد دفعة: ${amount} ريال`,
+      title: `Payment approved: ${amount} ${payment.currency}`,
+      titleAr: `تم اعتماد دفعة: ${amount} ${arabicCurrency(payment.currency)}`,
       message: `Approved by Super Admin${paymentPlayer ? ` for ${paymentPlayer.first_name} ${paymentPlayer.last_name}` : ''}`,
       messageAr: `تم الاعتماد بواسطة الإدارة العليا${paymentPlayer ? ` لـ ${paymentPlayer.first_name_ar || paymentPlayer.first_name} ${paymentPlayer.last_name_ar || paymentPlayer.last_name}` : ''}`,
       data: { payment_id: payment.id, player_id: paymentPlayer?.id, amount }
@@ -894,42 +975,14 @@ exports.markAsCompleted = asyncHandler(async (req, res) => {
   } else if (req.user.role === ROLES.ACCOUNTANT) {
     await NotificationService.notifySuperAdmins({
       type: 'payment_received',
-      title: `Payment approved: ${amount} SAR`,
-      titleAr: `تم اعتماد دفعة: ${amount} ريال`,
+      title: `Payment approved: ${amount} ${payment.currency}`,
+      titleAr: `تم اعتماد دفعة: ${amount} ${arabicCurrency(payment.currency)}`,
       message: `Approved by Accountant${paymentPlayer ? ` for ${paymentPlayer.first_name} ${paymentPlayer.last_name}` : ''}`,
       messageAr: `تم الاعتماد بواسطة المحاسب${paymentPlayer ? ` لـ ${paymentPlayer.first_name_ar || paymentPlayer.first_name} ${paymentPlayer.last_name_ar || paymentPlayer.last_name}` : ''}`,
       data: { payment_id: payment.id, player_id: paymentPlayer?.id, amount }
     });
   }
 
-  // If subscription payment, activate subscription
-  if (payment.subscription_id) {
-    await Subscription.update(
-      { status: 'active' },
-      { where: { id: payment.subscription_id } }
-    );
-  } else if (payment.player_id && (payment.pricing_plan_id || payment.metadata?.pricing_plan_id)) {
-    // Auto-create subscription from receipt payment when no subscription exists
-    try {
-      const planId = payment.pricing_plan_id || payment.metadata.pricing_plan_id;
-      const pricingPlan = await ProgramPricingPlan.findByPk(planId);
-      
-      if (pricingPlan) {
-        const programId = payment.metadata?.program_id || pricingPlan.program_id;
-        const subscription = await createSubscriptionFromPayment({
-          payment: payment.toJSON(),
-          pricingPlan,
-          programIdOverride: programId,
-          notes: `Auto-created from payment ${payment.invoice_number || payment.id}. Plan: ${pricingPlan.name} (${pricingPlan.duration_months} months)`
-        });
-
-        await payment.update({ subscription_id: subscription.id });
-      }
-    } catch (subErr) {
-      console.error('Error auto-creating subscription from payment:', subErr);
-    }
-  }
-
   res.json({
     success: true,
     message: 'Payment marked as completed',
@@ -950,32 +1003,34 @@ exports.cancelPayment = asyncHandler(async (req, res) => {
   if (!payment) {
     throw new AppError('Payment not found', 404);
   }
+  assertBranchAccess(req, payment.branch_id, 'Not authorized to access this payment');
 
   if (payment.status === PAYMENT_STATUS.COMPLETED) {
     throw new AppError('Cannot cancel completed payments. Use refund instead.', 400);
   }
 
-  await payment.update({
+  const { payment: cancelled } = await paymentSettlement.settle(payment.id, {
     status: PAYMENT_STATUS.CANCELLED,
-    processed_by: req.user.id,
-    notes: `${payment.notes || ''}\nCancellation reason: ${reason}`
+    source: 'manual',
+    actor: req.user,
+    updates: { notes: `${payment.notes || ''}\nCancellation reason: ${reason}` }
   });
 
   await logAuditEvent({
     module: 'payments',
     entityType: 'payment',
-    entityId: payment.id,
+    entityId: cancelled.id,
     action: 'update',
     actor: req.user,
-    before: null,
-    after: payment,
+    before: payment,
+    after: cancelled,
     metadata: { reason }
   });
 
   res.json({
     success: true,
     message: 'Payment cancelled successfully',
-    data: payment
+    data: cancelled
   });
 });
 
@@ -987,11 +1042,7 @@ exports.cancelPayment = asyncHandler(async (req, res) => {
 exports.getPendingPayments = asyncHandler(async (req, res) => {
   const where = { status: PAYMENT_STATUS.PENDING };
 
-  if (req.user.role === ROLES.BRANCH_ADMIN && req.user.branch_id) {
-    where.branch_id = req.user.branch_id;
-  }
-
-  const payments = await Payment.findAll({
+  const payments = await scoped(Payment, req).findAll({
     where,
     include: [
       { association: 'user', attributes: ['id', 'first_name', 'last_name', 'phone'] },
@@ -1007,7 +1058,7 @@ exports.getPendingPayments = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Generate invoice
+ * @desc    Generate invoice (ZATCA simplified tax invoice, ?format=xml returns the UBL document)
  * @route   GET /api/payments/:id/invoice
  * @access  Private
  */
@@ -1023,13 +1074,35 @@ exports.generateInvoice = asyncHandler(async (req, res) => {
   if (!payment) {
     throw new AppError('Payment not found', 404);
   }
+  assertBranchAccess(req, payment.branch_id, 'Not authorized to access this payment');
 
   // Check access
   if (req.user.role === ROLES.PARENT && payment.user_id !== req.user.id) {
     throw new AppError('Not authorized', 403);
   }
 
-  // Return invoice data (in production, you'd generate PDF)
+  // Issued lazily for payments completed before e-invoicing was enabled
+  const eInvoice = await zatcaService.issueInvoice(payment, { actor: req.user });
+
+  if (req.query.format === 'xml') {
+    if (!eInvoice) {
+      throw new AppError('Tax invoice is only available for completed payments', 400);
+    }
+
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${eInvoice.invoice_number}.xml"`);
+    return res.send(eInvoice.xml);
+  }
+
+  const creditNotes = eInvoice
+    ? await EInvoice.findAll({
+      where: { payment_id: payment.id, type: 'credit_note' },
+      attributes: ['id', 'invoice_number', 'uuid', 'icv', 'issued_at', 'total_amount', 'tax_amount', 'reason', 'qr_code'],
+      order: [['icv', 'ASC']]
+    })
+    : [];
+  const seller = zatcaService.getSellerInfo(payment.branch, payment);
+
   res.json({
     success: true,
     data: {
@@ -1037,6 +1110,11 @@ exports.generateInvoice = asyncHandler(async (req, res) => {
       date: payment.created_at,
       due_date: payment.due_date,
       status: payment.status,
+      seller: {
+        name: seller.name,
+        vat_number: seller.vatNumber,
+        commercial_registration: seller.crNumber
+      },
       customer: {
         name: `${payment.user.first_name} ${payment.user.last_name}`,
         email: payment.user.email,
@@ -1060,7 +1138,114 @@ exports.generateInvoice = asyncHandler(async (req, res) => {
       total: payment.total_amount,
       currency: payment.currency,
       payment_method: payment.payment_method,
-      paid_at: payment.paid_at
+      paid_at: payment.paid_at,
+      zatca: eInvoice ? {
+        uuid: eInvoice.uuid,
+        icv: eInvoice.icv,
+        issued_at: eInvoice.issued_at,
+        invoice_hash: eInvoice.invoice_hash,
+        previous_hash: eInvoice.previous_hash,
+        qr_code: eInvoice.qr_code
+      } : null,
+      credit_notes: creditNotes,
+      pdf_url: eInvoice ? invoiceService.getPdfUrl(payment.id) : null
+    }
+  });
+});
+
+/**
+ * @desc    Download invoice / receipt as PDF
+ * @route   GET /api/payments/:id/invoice/pdf
+ * @access  Private
+ */
+exports.downloadInvoicePdf = asyncHandler(async (req, res) => {
+  const payment = await Payment.findByPk(req.params.id, {
+    include: [
+      { association: 'user', attributes: ['id', 'first_name', 'last_name', 'email', 'phone'] },
+      { association: 'player', attributes: ['id', 'first_name', 'last_name', 'registration_number'] },
+      { association: 'branch' }
+    ]
+  });
+
+  if (!payment) {
+    throw new AppError('Payment not found', 404);
+  }
+  assertBranchAccess(req, payment.branch_id, 'Not authorized to access this payment');
+
+  // Check access
+  if (req.user.role === ROLES.PARENT && payment.user_id !== req.user.id) {
+    throw new AppError('Not authorized', 403);
+  }
+
+  if (payment.status !== PAYMENT_STATUS.COMPLETED) {
+    throw new AppError('Invoice is only available for completed payments', 400);
+  }
+
+  const eInvoice = await paymentSettlement.issueEInvoice(payment, req.user);
+  const pdf = await invoiceService.renderPaymentInvoice(payment, eInvoice);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${payment.invoice_number}.pdf"`);
+  res.send(pdf);
+});
+
+/**
+ * @desc    Split a pricing plan into scheduled installment payments
+ * @route   POST /api/payments/installments (parent)
+ * @route   POST /api/payments/admin/installments (staff)
+ * @access  Private
+ */
+exports.createInstallmentPlan = asyncHandler(async (req, res) => {
+  const { player_id, pricing_plan_id, installments } = req.body;
+
+  const player = await Player.findByPk(player_id, {
+    include: [{ association: 'branch' }]
+  });
+
+  if (!player) {
+    throw new AppError('Player not found', 404);
+  }
+
+  if (req.user.role === ROLES.PARENT) {
+    if (player.parent_id !== req.user.id && player.self_user_id !== req.user.id) {
+      throw new AppError('Not authorized to make payment for this player', 403);
+    }
+  } else {
+    assertBranchAccess(req, player.branch_id, 'Not authorized to access this player');
+  }
+
+  const pricingPlan = await ProgramPricingPlan.findByPk(pricing_plan_id, {
+    include: [{ association: 'program' }]
+  });
+
+  if (!pricingPlan) {
+    throw new AppError('Pricing plan not found', 404);
+  }
+
+  const { subscription, payments } = await installmentService.createSchedule({
+    player,
+    pricingPlan,
+    installments,
+    actor: req.user
+  });
+
+  await logAuditEvent({
+    module: 'payments',
+    entityType: 'subscription',
+    entityId: subscription.id,
+    action: 'create',
+    actor: req.user,
+    before: null,
+    after: subscription,
+    metadata: { installments: payments.length, pricing_plan_id }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Installment plan created successfully',
+    data: {
+      subscription,
+      schedule: installmentService.summarize(subscription, payments)
     }
   });
 });
@@ -1075,23 +1260,21 @@ exports.getPaymentStats = asyncHandler(async (req, res) => {
   const where = {};
 
   if (branch_id) where.branch_id = branch_id;
-  if (req.user.role === ROLES.BRANCH_ADMIN && req.user.branch_id) {
-    where.branch_id = req.user.branch_id;
-  }
 
   if (start_date && end_date) {
     where.created_at = { [Op.between]: [new Date(start_date), new Date(end_date)] };
   }
 
+  const BranchPayment = scoped(Payment, req);
   const [totalRevenue, pendingAmount, byStatus, byMethod] = await Promise.all([
-    Payment.sum('total_amount', { where: { ...where, status: PAYMENT_STATUS.COMPLETED } }),
-    Payment.sum('total_amount', { where: { ...where, status: PAYMENT_STATUS.PENDING } }),
-    Payment.findAll({
+    BranchPayment.sum('total_amount', { where: { ...where, status: PAYMENT_STATUS.COMPLETED } }),
+    BranchPayment.sum('total_amount', { where: { ...where, status: PAYMENT_STATUS.PENDING } }),
+    BranchPayment.findAll({
       where,
       attributes: ['status', [require('sequelize').fn('COUNT', 'id'), 'count'], [require('sequelize').fn('SUM', require('sequelize').col('total_amount')), 'total']],
       group: ['status']
     }),
-    Payment.findAll({
+    BranchPayment.findAll({
       where: { ...where, status: PAYMENT_STATUS.COMPLETED },
       attributes: ['payment_method', [require('sequelize').fn('COUNT', 'id'), 'count'], [require('sequelize').fn('SUM', require('sequelize').col('total_amount')), 'total']],
       group: ['payment_method']
@@ -1116,45 +1299,114 @@ exports.getPaymentStats = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get revenue report
+ * @desc    Get revenue report, converted to the reporting currency (?currency=)
  * @route   GET /api/payments/revenue
  * @access  Private/Admin
  */
 exports.getRevenueReport = asyncHandler(async (req, res) => {
-  const { period = 'monthly', year = new Date().getFullYear() } = req.query;
-  const where = { status: PAYMENT_STATUS.COMPLETED };
-
-  if (req.user.role === ROLES.BRANCH_ADMIN && req.user.branch_id) {
-    where.branch_id = req.user.branch_id;
-  }
+  const { period = 'monthly', year = new Date().getFullYear(), currency } = req.query;
+  const yearRange = { [Op.between]: [new Date(`${year}-01-01`), new Date(`${year}-12-31`)] };
+  const converter = await exchangeRateService.createConverter(currency);
+  const round = (value) => roundToCurrency(value, converter.currency);
+  const splitRevenue = ({ total, tax }) => ({ gross: round(total), vat: round(tax), net: round(total - tax) });
+
+  // Grouped per currency and day, so each day converts at its own rate
+  const paidDay = sequelize.fn('DATE', sequelize.col('Payment.paid_at'));
+  const refundDay = sequelize.fn('DATE', sequelize.col('Refund.refunded_at'));
+
+  // Refunded payments stay in the month they were paid; their refunds are
+  // deducted in the month they were made
+  const revenue = await scoped(Payment, req).findAll({
+    where: {
+      status: { [Op.in]: [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.REFUNDED] },
+      paid_at: yearRange
+    },
+    attributes: [
+      'currency',
+      [paidDay, 'day'],
+      [sequelize.fn('SUM', sequelize.col('total_amount')), 'revenue'],
+      [sequelize.fn('SUM', sequelize.col('tax_amount')), 'vat'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'transactions']
+    ],
+    group: ['currency', paidDay],
+    raw: true
+  });
 
-  // Get revenue grouped by month
-  const revenue = await Payment.findAll({
+  const refunds = await scoped(Refund, req).findAll({
     where: {
-      ...where,
-      paid_at: {
-        [Op.between]: [new Date(`${year}-01-01`), new Date(`${year}-12-31`)]
-      }
+      status: REFUND_STATUS.COMPLETED,
+      refunded_at: yearRange
     },
     attributes: [
-      [require('sequelize').fn('MONTH', require('sequelize').col('paid_at')), 'month'],
-      [require('sequelize').fn('SUM', require('sequelize').col('total_amount')), 'revenue'],
-      [require('sequelize').fn('COUNT', require('sequelize').col('id')), 'transactions']
+      [refundDay, 'day'],
+      [sequelize.fn('SUM', sequelize.col('Refund.amount')), 'refunded'],
+      [sequelize.fn('SUM', sequelize.col('Refund.tax_amount')), 'vat'],
+      [sequelize.fn('COUNT', sequelize.col('Refund.id')), 'refunds']
     ],
-    group: [require('sequelize').fn('MONTH', require('sequelize').col('paid_at'))],
-    order: [[require('sequelize').fn('MONTH', require('sequelize').col('paid_at')), 'ASC']]
+    include: [{ association: 'payment', attributes: ['currency'] }],
+    group: ['payment.currency', refundDay],
+    raw: true
+  });
+
+  // month -> converted sums
+  const byMonth = new Map();
+  const monthOf = (day) => {
+    const month = parseInt(String(day).slice(5, 7));
+    if (!byMonth.has(month)) {
+      byMonth.set(month, { revenue: 0, vat: 0, transactions: 0, refunded: 0, refunded_vat: 0, refund_count: 0 });
+    }
+    return byMonth.get(month);
+  };
+
+  revenue.forEach((r) => {
+    const month = monthOf(r.day);
+    month.revenue = round(month.revenue + converter.convert(r.revenue, r.currency, r.day));
+    month.vat = round(month.vat + converter.convert(r.vat, r.currency, r.day));
+    month.transactions += parseInt(r.transactions) || 0;
+  });
+  refunds.forEach((r) => {
+    const month = monthOf(r.day);
+    month.refunded = round(month.refunded + converter.convert(r.refunded, r['payment.currency'], r.day));
+    month.refunded_vat = round(month.refunded_vat + converter.convert(r.vat, r['payment.currency'], r.day));
+    month.refund_count += parseInt(r.refunds) || 0;
   });
 
+  const months = [...byMonth.keys()].sort((a, b) => a - b).map(month => {
+    const m = byMonth.get(month);
+    const { gross, vat, net } = splitRevenue({ total: m.revenue, tax: m.vat });
+    return {
+      month,
+      revenue: gross,
+      net_revenue: net,
+      vat_collected: vat,
+      transactions: m.transactions,
+      refunds: m.refunded,
+      refunded_vat: m.refunded_vat,
+      refund_count: m.refund_count,
+      revenue_after_refunds: round(gross - m.refunded)
+    };
+  });
+
+  const totalRefunds = round(months.reduce((sum, m) => sum + m.refunds, 0));
+
   res.json({
     success: true,
     data: {
       year: parseInt(year),
       period,
-      revenue: revenue.map(r => ({
-        month: r.get('month'),
-        revenue: parseFloat(r.get('revenue')) || 0,
-        transactions: parseInt(r.get('transactions'))
-      }))
+      currency: converter.currency,
+      revenue: months,
+      totals: {
+        ...splitRevenue({
+          total: months.reduce((sum, m) => sum + m.revenue, 0),
+          tax: months.reduce((sum, m) => sum + m.vat_collected, 0)
+        }),
+        refunds: totalRefunds,
+        after_refunds: splitRevenue({
+          total: months.reduce((sum, m) => sum + m.revenue_after_refunds, 0),
+          tax: months.reduce((sum, m) => sum + m.vat_collected - m.refunded_vat, 0)
+        })
+      }
     }
   });
 });
@@ -1179,7 +1431,7 @@ exports.getGatewayConfig = asyncHandler(async (req, res) => {
  * @access  Private/Parent
  */
 exports.initiateOnlinePayment = asyncHandler(async (req, res) => {
-  const { player_id, pricing_plan_id, description, discount_id } = req.body;
+  const { player_id, pricing_plan_id, description, discount_id, promo_code, auto_renew, payment_method_id } = req.body;
 
   // Validate player
   const player = await Player.findByPk(player_id, {
@@ -1204,54 +1456,71 @@ exports.initiateOnlinePayment = asyncHandler(async (req, res) => {
     throw new AppError('Pricing plan not found', 404);
   }
 
-  // Calculate amount (in halalas for consistency)
-  let amount = Math.round(parseFloat(pricingPlan.price) * 100);
-  let discountAmount = 0;
-
-  // Apply discount if provided
-  if (discount_id) {
-    try {
-      const { Discount } = require('../models');
-      const discount = await Discount.findByPk(discount_id);
-      if (discount && discount.status === 'active') {
-        if (discount.discount_type === 'percentage') {
-          discountAmount = Math.round(amount * (discount.discount_value / 100));
-        } else {
-          discountAmount = Math.round(discount.discount_value * 100);
-        }
-        amount = amount - discountAmount;
-      }
-    } catch (discErr) {
-      console.error('Error applying discount:', discErr);
+  // Auto-renewal charges one of the payer's saved cards
+  let autoRenewCard = null;
+  if (auto_renew) {
+    if (!payment_method_id) {
+      throw new AppError('Choose a saved card for auto-renewal', 400);
     }
+    autoRenewCard = await autoRenewService.getActiveCard(req.user.id, payment_method_id);
   }
 
-  // Create pending payment record in database
-  const paymentRecord = await Payment.create({
-    user_id: req.user.id,
-    player_id,
-    branch_id: player.branch_id,
+  // Manual discount, then sibling / bundle / early bird / promo code rules
+  const quote = await discountRuleService.evaluate({
+    player,
+    pricingPlan,
+    price: parseFloat(pricingPlan.price) || 0,
+    discountId: discount_id,
+    promoCode: promo_code,
+    userId: req.user.id
+  });
+
+  const amounts = await taxService.calculateForPayment({
+    branch: player.branch,
     type: 'subscription',
-    description: description || `${pricingPlan.program?.name || 'Program'} - ${pricingPlan.name}`,
-    amount: amount / 100, // Store in SAR
-    tax_amount: 0,
-    discount_amount: discountAmount / 100,
-    total_amount: amount / 100,
-    payment_method: 'online',
-    status: PAYMENT_STATUS.PENDING,
-    pricing_plan_id,
-    metadata: {
-      program_id: pricingPlan.program_id,
-      discount_id: discount_id || null,
-      gateway_provider: paymentService.provider
-    }
+    price: quote.price,
+    discount: quote.discount_amount,
+    pricingPlan
+  });
+
+  // Create pending payment record in database, holding the applied discount rules
+  const paymentRecord = await sequelize.transaction(async (transaction) => {
+    const created = await Payment.create({
+      user_id: req.user.id,
+      player_id,
+      branch_id: player.branch_id,
+      type: 'subscription',
+      description: description || `${pricingPlan.program?.name || 'Program'} - ${pricingPlan.name}`,
+      amount: amounts.amount,
+      tax_amount: amounts.tax_amount,
+      tax_rate: amounts.tax_rate,
+      discount_amount: amounts.discount_amount,
+      total_amount: amounts.total_amount,
+      payment_method: 'online',
+      status: PAYMENT_STATUS.PENDING,
+      pricing_plan_id,
+      metadata: {
+        program_id: pricingPlan.program_id,
+        discount_id: quote.discount_id,
+        applied_discounts: quote.applied,
+        auto_renew: Boolean(autoRenewCard),
+        payment_method_id: autoRenewCard?.id || null,
+        gateway_provider: paymentService.provider,
+        prices_include_tax: amounts.prices_include_tax
+      }
+    }, { transaction });
+    await discountRuleService.reserve(created, quote.applied, { transaction });
+    return created;
   });
 
+  // Gateway amount in the minor unit of the branch currency (halalas, fils)
+  const amount = toMinorUnits(paymentRecord.total_amount, paymentRecord.currency);
+
   // Create payment session with gateway
   try {
     const gatewayPayment = await paymentService.createPayment({
-      amount: amount, // In halalas
-      currency: 'SAR',
+      amount,
+      currency: paymentRecord.currency,
       description: paymentRecord.description,
       metadata: {
         payment_id: paymentRecord.id,
@@ -1278,8 +1547,10 @@ exports.initiateOnlinePayment = asyncHandler(async (req, res) => {
         payment_id: paymentRecord.id,
         gateway_payment_id: gatewayPayment.id,
         redirect_url: gatewayPayment.redirectUrl,
-        amount: amount / 100,
-        currency: 'SAR',
+        amount: fromMinorUnits(amount, paymentRecord.currency),
+        discount_amount: amounts.discount_amount,
+        applied_discounts: quote.applied,
+        currency: paymentRecord.currency,
         provider: paymentService.provider
       }
     });
@@ -1289,28 +1560,89 @@ exports.initiateOnlinePayment = asyncHandler(async (req, res) => {
       status: PAYMENT_STATUS.FAILED,
       notes: `Gateway error: ${gatewayError.message}`
     });
+    await discountRuleService.release(paymentRecord.id);
     
     throw new AppError(`Payment gateway error: ${gatewayError.message}`, 500);
   }
 });
 
+/**
+ * @desc    Pay an existing pending payment online (e.g. the next installment)
+ * @route   POST /api/payments/gateway/initiate/:paymentId
+ * @access  Private/Parent
+ */
+exports.initiatePendingPayment = asyncHandler(async (req, res) => {
+  const payment = await Payment.findByPk(req.params.paymentId);
+
+  if (!payment) {
+    throw new AppError('Payment not found', 404);
+  }
+  if (payment.user_id !== req.user.id) {
+    throw new AppError('Not authorized to pay this payment', 403);
+  }
+  if (payment.status !== PAYMENT_STATUS.PENDING) {
+    throw new AppError('Only pending payments can be paid', 400);
+  }
+
+  // Gateway amount in the minor unit of the payment currency (halalas, fils)
+  const amount = toMinorUnits(payment.total_amount, payment.currency);
+
+  let gatewayPayment;
+  try {
+    gatewayPayment = await paymentService.createPayment({
+      amount,
+      currency: payment.currency,
+      description: payment.description,
+      metadata: {
+        payment_id: payment.id,
+        player_id: payment.player_id,
+        user_id: req.user.id,
+        pricing_plan_id: payment.pricing_plan_id
+      },
+      callbackUrl: `${process.env.PAYMENT_CALLBACK_URL}?payment_id=${payment.id}`
+    });
+  } catch (gatewayError) {
+    // The payment stays pending so it can be retried
+    throw new AppError(`Payment gateway error: ${gatewayError.message}`, 500);
+  }
+
+  await payment.update({
+    transaction_id: gatewayPayment.id,
+    metadata: {
+      ...payment.metadata,
+      gateway_provider: paymentService.provider,
+      gateway_payment_id: gatewayPayment.id
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Payment initiated',
+    data: {
+      payment_id: payment.id,
+      gateway_payment_id: gatewayPayment.id,
+      redirect_url: gatewayPayment.redirectUrl,
+      amount: fromMinorUnits(amount, payment.currency),
+      currency: payment.currency,
+      provider: paymentService.provider
+    }
+  });
+});
+
 /**
  * @desc    Handle payment callback from gateway
  * @route   GET /api/payments/gateway/callback
  * @access  Public (redirected from gateway)
  */
 exports.handleGatewayCallback = asyncHandler(async (req, res) => {
-  const { payment_id, id: gateway_payment_id, status: gateway_status } = req.query;
+  const { payment_id, id: gateway_payment_id } = req.query;
 
   if (!payment_id) {
     return res.redirect(`${process.env.FRONTEND_URL}/payment/result?status=error&message=Missing payment ID`);
   }
 
   const payment = await Payment.findByPk(payment_id, {
-    include: [
-      { association: 'player' },
-      { association: 'pricing_plan', include: [{ association: 'program' }] }
-    ]
+    include: [{ association: 'player' }]
   });
 
   if (!payment) {
@@ -1322,58 +1654,44 @@ exports.handleGatewayCallback = asyncHandler(async (req, res) => {
     const gatewayPaymentId = gateway_payment_id || payment.transaction_id || payment.metadata?.gateway_payment_id;
     const gatewayPayment = await paymentService.getPayment(gatewayPaymentId);
 
+    const mismatch = gatewayMismatch(payment, gatewayPayment);
+    if (mismatch) {
+      console.warn(`[Payment Callback] ${mismatch} for payment ${payment.id}`);
+      return res.redirect(`${process.env.FRONTEND_URL}/payment/result?status=error&message=${encodeURIComponent(mismatch)}`);
+    }
+
     if (gatewayPayment.status === 'completed') {
-      // Payment successful
-      await payment.update({
+      const { changed } = await paymentSettlement.settle(payment.id, {
         status: PAYMENT_STATUS.COMPLETED,
-        paid_at: new Date(),
-        payment_method: `online_${gatewayPayment.source?.type || 'card'}`,
-        notes: `Paid via ${paymentService.provider} - ${gatewayPayment.source?.company || 'Card'} ****${gatewayPayment.source?.lastFour || '****'}`
-      });
-
-      // Create subscription
-      if (payment.pricing_plan_id && payment.player_id) {
-        const pricingPlan = payment.pricing_plan || await ProgramPricingPlan.findByPk(payment.pricing_plan_id);
-        
-        if (pricingPlan) {
-          const subscription = await createSubscriptionFromPayment({
-            payment: payment.toJSON(),
-            pricingPlan,
-            notes: `Online payment - ${pricingPlan.name} (${pricingPlan.duration_months} months)`
-          });
-
-          await payment.update({ subscription_id: subscription.id });
+        source: 'callback',
+        eventId: paymentSettlement.gatewayEventId(gatewayPayment.id, gatewayPayment.status),
+        gatewayPayment,
+        updates: {
+          payment_method: `online_${gatewayPayment.source?.type || 'card'}`,
+          notes: `Paid via ${paymentService.provider} - ${gatewayPayment.source?.company || 'Card'} ****${gatewayPayment.source?.lastFour || '****'}`
         }
-      }
+      });
 
-      // Mark discount as used
-      if (payment.metadata?.discount_id) {
-        try {
-          const { Discount } = require('../models');
-          await Discount.update(
-            { status: 'used', used_at: new Date(), payment_id: payment.id },
-            { where: { id: payment.metadata.discount_id } }
-          );
-        } catch (discErr) {
-          console.error('Error marking discount as used:', discErr);
-        }
+      // Only the call that completed the payment notifies (the webhook may have won the race)
+      if (changed) {
+        await NotificationService.notifyAccountants({
+          type: 'payment_received',
+          title: `Online payment received: ${payment.total_amount} ${payment.currency}`,
+          titleAr: `تم استلام دفعة إلكترونية: ${payment.total_amount} ${arabicCurrency(payment.currency)}`,
+          message: `Payment from ${payment.player?.first_name} ${payment.player?.last_name} via ${paymentService.provider}`,
+          messageAr: `دفعة من ${payment.player?.first_name_ar || payment.player?.first_name} عبر ${paymentService.provider}`,
+          data: { payment_id: payment.id, amount: payment.total_amount }
+        });
       }
 
-      // Send notifications
-      await NotificationService.notifyAccountants({
-        type: 'payment_received',
-        title: `Online payment received: ${payment.total_amount} SAR`,
-        titleAr: `تم استلام دفعة إلكترونية: ${payment.total_amount} ريال`,
-        message: `Payment from ${payment.player?.first_name} ${payment.player?.last_name} via ${paymentService.provider}`,
-        messageAr: `دفعة من ${payment.player?.first_name_ar || payment.player?.first_name} عبر ${paymentService.provider}`,
-        data: { payment_id: payment.id, amount: payment.total_amount }
-      });
-
       return res.redirect(`${process.env.FRONTEND_URL}/payment/result?status=success&payment_id=${payment.id}`);
     } else if (gatewayPayment.status === 'failed') {
-      await payment.update({
+      await paymentSettlement.settle(payment.id, {
         status: PAYMENT_STATUS.FAILED,
-        notes: `Payment failed: ${gatewayPayment.raw?.message || 'Unknown error'}`
+        source: 'callback',
+        eventId: paymentSettlement.gatewayEventId(gatewayPayment.id, gatewayPayment.status),
+        gatewayPayment,
+        updates: { notes: `Payment failed: ${gatewayPayment.raw?.message || 'Unknown error'}` }
       });
 
       return res.redirect(`${process.env.FRONTEND_URL}/payment/result?status=failed&payment_id=${payment.id}`);
@@ -1414,40 +1732,33 @@ exports.handleGatewayWebhook = asyncHandler(async (req, res) => {
     return res.status(200).json({ success: true, message: 'Payment not found' });
   }
 
+  if (payment.transaction_id && gateway_payment_id && payment.transaction_id !== gateway_payment_id) {
+    console.warn(`[Payment Webhook] Gateway payment ${gateway_payment_id} does not belong to payment ${paymentId}`);
+    return res.status(200).json({ success: true, message: 'Gateway payment mismatch' });
+  }
+
   // Update payment status based on webhook
   const normalizedStatus = paymentService.provider === 'moyasar' 
     ? paymentService._normalizeMoyasarStatus(status)
     : paymentService._normalizeTapStatus(status);
+  const targetStatus = WEBHOOK_STATUS_MAP[normalizedStatus];
 
-  if (normalizedStatus === 'completed' && payment.status !== PAYMENT_STATUS.COMPLETED) {
-    await payment.update({
-      status: PAYMENT_STATUS.COMPLETED,
-      paid_at: new Date()
-    });
-
-    // Create subscription if needed
-    if (payment.pricing_plan_id && payment.player_id && !payment.subscription_id) {
-      const pricingPlan = await ProgramPricingPlan.findByPk(payment.pricing_plan_id);
-      if (pricingPlan) {
-        const subscription = await createSubscriptionFromPayment({
-          payment: payment.toJSON(),
-          pricingPlan
-        });
-
-        await payment.update({ subscription_id: subscription.id });
-      }
-    }
-  } else if (normalizedStatus === 'failed') {
-    await payment.update({ status: PAYMENT_STATUS.FAILED });
-  } else if (normalizedStatus === 'refunded') {
-    await payment.update({ status: PAYMENT_STATUS.REFUNDED });
+  if (!targetStatus) {
+    return res.status(200).json({ success: true, message: 'Webhook ignored' });
   }
 
-  res.status(200).json({ success: true, message: 'Webhook processed' });
+  const { duplicate } = await paymentSettlement.settle(payment.id, {
+    status: targetStatus,
+    source: 'webhook',
+    eventId: req.headers['x-event-id'] || paymentSettlement.gatewayEventId(gateway_payment_id, normalizedStatus),
+    gatewayPayment: { id: gateway_payment_id, status: normalizedStatus, provider: paymentService.provider, raw: req.body }
+  });
+
+  res.status(200).json({ success: true, message: duplicate ? 'Webhook already processed' : 'Webhook processed' });
 });
 
 /**
- * @desc    Verify payment status with gateway
+ * @desc    Verify payment status with gateway (and settle the payment if the gateway has)
  * @route   GET /api/payments/gateway/verify/:paymentId
  * @access  Private
  */
@@ -1478,25 +1789,11 @@ exports.verifyGatewayPayment = asyncHandler(async (req, res) => {
     });
   }
 
+  let gatewayPayment;
   try {
-    const gatewayPayment = await paymentService.getPayment(gatewayPaymentId);
-
-    res.json({
-      success: true,
-      data: {
-        payment_id: payment.id,
-        gateway_payment_id: gatewayPaymentId,
-        local_status: payment.status,
-        gateway_status: gatewayPayment.status,
-        verified: true,
-        amount: gatewayPayment.amount / 100,
-        currency: gatewayPayment.currency,
-        source: gatewayPayment.source,
-        provider: paymentService.provider
-      }
-    });
+    gatewayPayment = await paymentService.getPayment(gatewayPaymentId);
   } catch (error) {
-    res.json({
+    return res.json({
       success: true,
       data: {
         payment_id: payment.id,
@@ -1506,62 +1803,69 @@ exports.verifyGatewayPayment = asyncHandler(async (req, res) => {
       }
     });
   }
+
+  // Reconcile: a missed webhook / abandoned callback is settled here
+  let localStatus = payment.status;
+  let reconciled = false;
+  const targetStatus = WEBHOOK_STATUS_MAP[gatewayPayment.status];
+  if (targetStatus && targetStatus !== PAYMENT_STATUS.REFUNDED && !gatewayMismatch(payment, gatewayPayment)) {
+    const settlement = await paymentSettlement.settle(payment.id, {
+      status: targetStatus,
+      source: 'verify',
+      eventId: paymentSettlement.gatewayEventId(gatewayPayment.id, gatewayPayment.status),
+      gatewayPayment
+    });
+    localStatus = settlement.payment.status;
+    reconciled = settlement.changed;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      payment_id: payment.id,
+      gateway_payment_id: gatewayPaymentId,
+      local_status: localStatus,
+      gateway_status: gatewayPayment.status,
+      verified: true,
+      reconciled,
+      amount: fromMinorUnits(gatewayPayment.amount, gatewayPayment.currency || payment.currency),
+      currency: gatewayPayment.currency,
+      source: gatewayPayment.source,
+      provider: paymentService.provider
+    }
+  });
 });
 
 /**
- * @desc    Process online refund via gateway
+ * @desc    Process online refund via gateway (full or partial)
  * @route   POST /api/payments/gateway/:paymentId/refund
  * @access  Private/Admin
  */
 exports.processGatewayRefund = asyncHandler(async (req, res) => {
-  const { paymentId } = req.params;
-  const { amount, reason } = req.body;
-
-  const payment = await Payment.findByPk(paymentId);
-  if (!payment) {
-    throw new AppError('Payment not found', 404);
-  }
-
-  if (payment.status !== PAYMENT_STATUS.COMPLETED) {
-    throw new AppError('Only completed payments can be refunded', 400);
-  }
+  const { amount, reason, subscription_action } = req.body;
 
-  const gatewayPaymentId = payment.transaction_id || payment.metadata?.gateway_payment_id;
-  
-  if (!gatewayPaymentId) {
-    throw new AppError('No gateway payment ID found - cannot process online refund', 400);
-  }
-
-  try {
-    const refundAmount = amount ? Math.round(amount * 100) : null;
-    const refundResult = await paymentService.refund(gatewayPaymentId, refundAmount);
-
-    await payment.update({
-      status: PAYMENT_STATUS.REFUNDED,
-      notes: `${payment.notes || ''}\nRefund via ${paymentService.provider}: ${reason || 'No reason provided'}\nRefund ID: ${refundResult.refundId}`
-    });
+  const { payment, refund, subscription } = await refundService.refundPayment(req.params.paymentId, {
+    amount,
+    reason: reason || 'Refund via payment gateway',
+    actor: req.user,
+    method: 'gateway',
+    subscriptionAction: subscription_action || 'auto',
+    assertAccess: (found) => assertBranchAccess(req, found.branch_id, 'Not authorized to access this payment')
+  });
 
-    // Cancel subscription if exists
-    if (payment.subscription_id) {
-      await Subscription.update(
-        { status: 'cancelled' },
-        { where: { id: payment.subscription_id } }
-      );
+  res.json({
+    success: true,
+    message: 'Refund processed successfully',
+    data: {
+      payment_id: payment.id,
+      refund_id: refund.gateway_refund_id,
+      refund_amount: parseFloat(refund.amount),
+      status: payment.status,
+      refundable_amount: refundService.getRefundableAmount(payment),
+      refund,
+      subscription
     }
-
-    res.json({
-      success: true,
-      message: 'Refund processed successfully',
-      data: {
-        payment_id: payment.id,
-        refund_id: refundResult.refundId,
-        refund_amount: refundResult.amount / 100,
-        status: 'refunded'
-      }
-    });
-  } catch (error) {
-    throw new AppError(`Refund failed: ${error.message}`, 500);
-  }
+  });
 });
 
 /**
@@ -1588,29 +1892,17 @@ exports.completeMockPayment = asyncHandler(async (req, res) => {
     await paymentService.completeMockPayment(gatewayPaymentId, success);
   }
 
-  // Update local payment
-  await payment.update({
+  const gatewayStatus = success ? 'completed' : 'failed';
+  const { payment: settled } = await paymentSettlement.settle(payment.id, {
     status: success ? PAYMENT_STATUS.COMPLETED : PAYMENT_STATUS.FAILED,
-    paid_at: success ? new Date() : null,
-    payment_method: 'online_mock'
+    source: 'mock',
+    eventId: paymentSettlement.gatewayEventId(gatewayPaymentId, gatewayStatus),
+    updates: { payment_method: 'online_mock' }
   });
 
-  // Create subscription if successful
-  if (success && payment.pricing_plan_id && payment.player_id) {
-    const pricingPlan = await ProgramPricingPlan.findByPk(payment.pricing_plan_id);
-    if (pricingPlan) {
-      const subscription = await createSubscriptionFromPayment({
-        payment: payment.toJSON(),
-        pricingPlan
-      });
-
-      await payment.update({ subscription_id: subscription.id });
-    }
-  }
-
   res.json({
     success: true,
     message: success ? 'Mock payment completed' : 'Mock payment failed',
-    data: payment
+    data: settled
   });
 });
@@ -0,0 +1,48 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const autoRenewService = require('../services/autoRenew.service');
+
+/**
+ * @desc    Get my saved cards
+ * @route   GET /api/payments/methods
+ * @access  Private (payment_methods.manage)
+ */
+exports.getMyPaymentMethods = asyncHandler(async (req, res) => {
+  const cards = await autoRenewService.listCards(req.user);
+
+  res.json({
+    success: true,
+    data: cards
+  });
+});
+
+/**
+ * @desc    Save a card tokenized by the gateway form (for auto-renewal)
+ * @route   POST /api/payments/methods
+ * @access  Private (payment_methods.manage)
+ */
+exports.savePaymentMethod = asyncHandler(async (req, res) => {
+  const { token, is_default } = req.body;
+
+  const card = await autoRenewService.saveCard(req.user, { token, isDefault: is_default });
+
+  res.status(201).json({
+    success: true,
+    message: 'Card saved successfully',
+    data: card
+  });
+});
+
+/**
+ * @desc    Remove a saved card (subscriptions using it stop auto-renewing)
+ * @route   DELETE /api/payments/methods/:id
+ * @access  Private (payment_methods.manage)
+ */
+exports.deletePaymentMethod = asyncHandler(async (req, res) => {
+  const subscriptionsAffected = await autoRenewService.removeCard(req.user, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Card removed successfully',
+    data: { subscriptions_auto_renew_disabled: subscriptionsAffected }
+  });
+});
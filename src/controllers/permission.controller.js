@@ -0,0 +1,128 @@
+const { User } = require('../models');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const permissionService = require('../services/permission.service');
+const { ROLES } = require('../config/constants');
+const { logAuditEvent } = require('../utils/auditLogger');
+
+const describeUser = (user) => ({
+  user_id: user.id,
+  role: user.role,
+  defaults: permissionService.getRoleDefaults(user.role),
+  overrides: permissionService.getOverrides(user),
+  effective: permissionService.getEffectivePermissions(user)
+});
+
+/**
+ * @desc    Get the permission catalog and default grants per role
+ * @route   GET /api/permissions
+ * @access  Private (permissions.manage)
+ */
+exports.getCatalog = asyncHandler(async (req, res) => {
+  const roles = {};
+  Object.values(ROLES).forEach(role => {
+    roles[role] = permissionService.getRoleDefaults(role);
+  });
+
+  res.json({
+    success: true,
+    data: {
+      modules: permissionService.getCatalog(),
+      roles
+    }
+  });
+});
+
+/**
+ * @desc    Get the current user's effective permissions
+ * @route   GET /api/permissions/me
+ * @access  Private
+ */
+exports.getMyPermissions = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: describeUser(req.user)
+  });
+});
+
+/**
+ * @desc    Get default permissions for a role
+ * @route   GET /api/permissions/roles/:role
+ * @access  Private (permissions.manage)
+ */
+exports.getRolePermissions = asyncHandler(async (req, res) => {
+  const { role } = req.params;
+
+  if (!Object.values(ROLES).includes(role)) {
+    throw new AppError('Invalid role', 400);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      role,
+      permissions: permissionService.getRoleDefaults(role)
+    }
+  });
+});
+
+/**
+ * @desc    Get a user's role defaults, overrides and effective permissions
+ * @route   GET /api/permissions/users/:userId
+ * @access  Private (permissions.manage)
+ */
+exports.getUserPermissions = asyncHandler(async (req, res) => {
+  const user = await User.findByPk(req.params.userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: describeUser(user)
+  });
+});
+
+/**
+ * @desc    Replace a user's permission overrides
+ * @route   PUT /api/permissions/users/:userId
+ * @access  Private (permissions.manage)
+ */
+exports.updateUserPermissions = asyncHandler(async (req, res) => {
+  const user = await User.findByPk(req.params.userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user.role === ROLES.OWNER) {
+    throw new AppError('Owners always hold every permission', 400);
+  }
+
+  if (user.id === req.user.id) {
+    throw new AppError('You cannot change your own permissions', 403);
+  }
+
+  const overrides = permissionService.normalizeOverrides(req.body);
+  permissionService.assertCanGrant(req.user, overrides.grant);
+
+  const beforeData = user.toJSON();
+  await user.update({ permissions: overrides });
+
+  await logAuditEvent({
+    module: 'users',
+    entityType: 'user',
+    entityId: user.id,
+    action: 'update',
+    actor: req.user,
+    before: beforeData,
+    after: user,
+    metadata: { permissions: overrides }
+  });
+
+  res.json({
+    success: true,
+    message: 'Permissions updated successfully',
+    data: describeUser(user)
+  });
+});
@@ -5,6 +5,7 @@ const { paginate, formatPaginationResponse } = require('../utils/helpers');
 const { ROLES, PLAYER_STATUS } = require('../config/constants');
 const NotificationService = require('../services/notification.service');
 const { emitNotification } = require('../socket');
+const { scoped, assertBranchAccess } = require('../utils/branchScope');
 
 /**
  * @desc    Get all players
@@ -56,14 +57,12 @@ exports.getAllPlayers = asyncHandler(async (req, res) => {
       { parent_id: req.user.id },
       { self_user_id: req.user.id }
     ];
-  } else if (req.user.role === ROLES.BRANCH_ADMIN && req.user.branch_id) {
-    where.branch_id = req.user.branch_id;
   } else if (req.user.role === ROLES.COACH) {
     // Coaches see players directly assigned to them via coach_id
     where.coach_id = req.user.id;
   }
 
-  const players = await Player.findAndCountAll({
+  const players = await scoped(Player, req).findAndCountAll({
     where,
     include: [
       { association: 'parent', attributes: ['id', 'first_name', 'last_name', 'name_ar', 'email', 'phone'] },
@@ -124,6 +123,7 @@ exports.getPlayerById = asyncHandler(async (req, res) => {
   if (req.user.role === ROLES.PARENT && player.parent_id !== req.user.id && player.self_user_id !== req.user.id) {
     throw new AppError('Not authorized to view this player', 403);
   }
+  assertBranchAccess(req, player.branch_id, 'Not authorized to view this player');
 
   res.json({
     success: true,
@@ -150,6 +150,7 @@ exports.createPlayer = asyncHandler(async (req, res) => {
   if (!branch) {
     throw new AppError('Branch not found', 404);
   }
+  assertBranchAccess(req, branch.id);
 
   // Validate program if provided
   if (program_id) {
@@ -271,14 +272,7 @@ exports.updatePlayer = asyncHandler(async (req, res) => {
   if (req.user.role === ROLES.PARENT && player.parent_id !== req.user.id && player.self_user_id !== req.user.id) {
     throw new AppError('Not authorized to update this player', 403);
   }
-  if (req.user.role === ROLES.BRANCH_ADMIN) {
-    if (!req.user.branch_id || String(player.branch_id) !== String(req.user.branch_id)) {
-      throw new AppError('Not authorized to update this player', 403);
-    }
-    if (req.body.branch_id && String(req.body.branch_id) !== String(req.user.branch_id)) {
-      throw new AppError('Branch admin can only update players in their own branch', 403);
-    }
-  }
+  assertBranchAccess(req, player.branch_id, 'Not authorized to update this player');
 
   // Resolve intended target program/coach after update
   const nextProgramId = req.body.program_id !== undefined ? req.body.program_id : player.program_id;
@@ -290,9 +284,7 @@ exports.updatePlayer = asyncHandler(async (req, res) => {
     if (!program) {
       throw new AppError('Program not found', 404);
     }
-    if (req.user.role === ROLES.BRANCH_ADMIN && String(program.branch_id) !== String(req.user.branch_id)) {
-      throw new AppError('Program does not belong to your branch', 403);
-    }
+    assertBranchAccess(req, program.branch_id, 'Program does not belong to your branch');
   }
 
   // Validate coach if provided
@@ -378,11 +370,7 @@ exports.deletePlayer = asyncHandler(async (req, res) => {
   }
 
   // Branch admins can only delete players in their branch.
-  if (req.user.role === ROLES.BRANCH_ADMIN) {
-    if (!req.user.branch_id || String(player.branch_id) !== String(req.user.branch_id)) {
-      throw new AppError('Not authorized to delete this player', 403);
-    }
-  }
+  assertBranchAccess(req, player.branch_id, 'Not authorized to delete this player');
 
   try {
     // Update enrollment count before hard delete.
@@ -438,6 +426,7 @@ exports.uploadAvatar = asyncHandler(async (req, res) => {
   if (req.user.role === ROLES.PARENT && player.parent_id !== req.user.id && player.self_user_id !== req.user.id) {
     throw new AppError('Not authorized to update this player', 403);
   }
+  assertBranchAccess(req, player.branch_id, 'Not authorized to update this player');
 
   const avatarUrl = `/uploads/avatars/${req.file.filename}`;
   await player.update({ avatar: avatarUrl });
@@ -469,6 +458,7 @@ exports.uploadIdDocument = asyncHandler(async (req, res) => {
   if (req.user.role === ROLES.PARENT && player.parent_id !== req.user.id && player.self_user_id !== req.user.id) {
     throw new AppError('Not authorized to update this player', 403);
   }
+  assertBranchAccess(req, player.branch_id, 'Not authorized to update this player');
 
   const documentUrl = `/uploads/documents/${req.file.filename}`;
   await player.update({ id_document: documentUrl });
@@ -530,7 +520,7 @@ exports.getPlayersByBranch = asyncHandler(async (req, res) => {
   const where = { branch_id: branchId };
   if (status) where.status = status;
 
-  const players = await Player.findAndCountAll({
+  const players = await scoped(Player, req).findAndCountAll({
     where,
     include: [
       { association: 'parent', attributes: ['id', 'first_name', 'last_name', 'phone'] },
@@ -557,7 +547,7 @@ exports.getPlayersByBranch = asyncHandler(async (req, res) => {
 exports.getPlayersByProgram = asyncHandler(async (req, res) => {
   const { programId } = req.params;
 
-  const players = await Player.findAll({
+  const players = await scoped(Player, req).findAll({
     where: { program_id: programId, status: PLAYER_STATUS.ACTIVE },
     include: [
       { association: 'parent', attributes: ['id', 'first_name', 'last_name', 'phone'] }
@@ -584,6 +574,7 @@ exports.updatePlayerStatus = asyncHandler(async (req, res) => {
   if (!player) {
     throw new AppError('Player not found', 404);
   }
+  assertBranchAccess(req, player.branch_id, 'Not authorized to update this player');
 
   await player.update({ status });
 
@@ -607,10 +598,13 @@ exports.assignToProgram = asyncHandler(async (req, res) => {
     throw new AppError('Player not found', 404);
   }
 
+  assertBranchAccess(req, player.branch_id, 'Not authorized to update this player');
+
   const program = await Program.findByPk(program_id);
   if (!program) {
     throw new AppError('Program not found', 404);
   }
+  assertBranchAccess(req, program.branch_id, 'Program does not belong to your branch');
 
   // Check capacity
   if (program.capacity && program.current_enrollment >= program.capacity) {
@@ -642,20 +636,18 @@ exports.getPlayerStats = asyncHandler(async (req, res) => {
   const where = {};
 
   if (branch_id) where.branch_id = branch_id;
-  if (req.user.role === ROLES.BRANCH_ADMIN && req.user.branch_id) {
-    where.branch_id = req.user.branch_id;
-  }
 
+  const BranchPlayer = scoped(Player, req);
   const [total, active, inactive, byGender, bySkillLevel] = await Promise.all([
-    Player.count({ where }),
-    Player.count({ where: { ...where, status: PLAYER_STATUS.ACTIVE } }),
-    Player.count({ where: { ...where, status: PLAYER_STATUS.INACTIVE } }),
-    Player.findAll({
+    BranchPlayer.count({ where }),
+    BranchPlayer.count({ where: { ...where, status: PLAYER_STATUS.ACTIVE } }),
+    BranchPlayer.count({ where: { ...where, status: PLAYER_STATUS.INACTIVE } }),
+    BranchPlayer.findAll({
       where,
       attributes: ['gender', [require('sequelize').fn('COUNT', 'id'), 'count']],
       group: ['gender']
     }),
-    Player.findAll({
+    BranchPlayer.findAll({
       where,
       attributes: ['skill_level', [require('sequelize').fn('COUNT', 'id'), 'count']],
       group: ['skill_level']
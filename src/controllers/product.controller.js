@@ -1,94 +1,245 @@
-const fs = require('fs/promises');
-const path = require('path');
+const { Op } = require('sequelize');
+const { sequelize, Product, ProductVariant, OrderItem } = require('../models');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { generateCode } = require('../utils/helpers');
+const { logAuditEvent } = require('../utils/auditLogger');
+const inventoryService = require('../services/inventory.service');
 
-const DATA_DIR = path.join(__dirname, '../data');
-const DATA_FILE = path.join(DATA_DIR, 'products.json');
+const PRODUCT_CATEGORIES = ['jersey', 'shoes', 'equipment', 'accessory', 'other'];
 
-const DEFAULT_PRODUCTS = [
-  {
-    id: 1,
-    name: { en: 'Sport Bottle', ar: 'زجاجة رياضية' },
-    description: {
-      en: 'Premium quality water bottle with ASPIRE Academy logo',
-      ar: 'زجاجة مياه عالية الجودة بشعار أكاديمية أسباير'
-    },
-    price: 35,
-    badge: { en: 'New', ar: 'جديد', color: 'bg-primary' },
-    image_url: null,
-    is_active: true,
-    created_by: null,
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
-  },
-  {
-    id: 2,
-    name: { en: 'Official Jersey', ar: 'القميص الرسمي' },
-    description: {
-      en: 'Professional training jersey with academy design',
-      ar: 'قميص تدريب احترافي بتصميم الأكاديمية'
-    },
-    price: 100,
-    badge: { en: 'Best Seller', ar: 'الأكثر مبيعاً', color: 'bg-green-500' },
-    image_url: null,
-    is_active: true,
-    created_by: null,
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
-  }
-];
+const variantOrder = [[{ model: ProductVariant, as: 'variants' }, 'sort_order', 'ASC']];
 
-const ensureStorage = async () => {
-  await fs.mkdir(DATA_DIR, { recursive: true });
+// Multipart forms send arrays as JSON strings
+const parseJsonField = (value, fieldName) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string') return value;
 
   try {
-    await fs.access(DATA_FILE);
+    return JSON.parse(value);
   } catch (error) {
-    await fs.writeFile(DATA_FILE, JSON.stringify(DEFAULT_PRODUCTS, null, 2), 'utf8');
+    throw new AppError(`${fieldName} must be valid JSON`, 400);
   }
 };
 
-const readProducts = async () => {
-  await ensureStorage();
-  const raw = await fs.readFile(DATA_FILE, 'utf8');
-  const parsed = JSON.parse(raw);
-  return Array.isArray(parsed) ? parsed : [];
+const parseBoolean = (value) => value === true || value === 'true' || value === '1' || value === 1;
+
+// Products are addressed by UUID, or by their numeric ID from the old products.json store
+const findProduct = async (id, options = {}) => {
+  const where = /^\d+$/.test(String(id)) ? { legacy_id: Number(id) } : { id };
+  return Product.findOne({ where, ...options });
 };
 
-const writeProducts = async (products) => {
-  await fs.writeFile(DATA_FILE, JSON.stringify(products, null, 2), 'utf8');
+const formatVariant = (variant) => ({
+  id: variant.id,
+  sku: variant.sku,
+  size: variant.size,
+  name: { en: variant.name || variant.size || '', ar: variant.name_ar || variant.name || variant.size || '' },
+  price: variant.price !== null ? Number(variant.price) : null,
+  stock_quantity: variant.stock_quantity,
+  low_stock_threshold: variant.low_stock_threshold,
+  low_stock: variant.isLowStock(),
+  is_active: variant.is_active,
+  sort_order: variant.sort_order
+});
+
+// Keeps the response shape of the former JSON store ({ name: { en, ar }, ... })
+const formatProduct = (product, { includeInactiveVariants = false } = {}) => {
+  const variants = (product.variants || [])
+    .filter((variant) => includeInactiveVariants || variant.is_active)
+    .map(formatVariant);
+  const activeVariants = variants.filter((variant) => variant.is_active);
+
+  return {
+    id: product.id,
+    legacy_id: product.legacy_id,
+    name: { en: product.name, ar: product.name_ar },
+    description: { en: product.description || '', ar: product.description_ar || '' },
+    category: product.category,
+    price: Number(product.price),
+    badge: product.badge || {},
+    image_url: product.image_url,
+    branch_ids: product.branch_ids,
+    is_active: product.is_active,
+    variants,
+    stock_quantity: activeVariants.reduce((sum, variant) => sum + variant.stock_quantity, 0),
+    in_stock: activeVariants.some((variant) => variant.stock_quantity > 0),
+    low_stock: activeVariants.some((variant) => variant.low_stock),
+    created_by: product.created_by,
+    created_at: product.created_at,
+    updated_at: product.updated_at
+  };
 };
 
-const findProductIndexById = (products, id) => (
-  products.findIndex((product) => Number(product.id) === Number(id))
+const normalizeVariantInput = (variant, index) => {
+  const stock = variant.stock_quantity !== undefined ? Number(variant.stock_quantity) : undefined;
+  const threshold = variant.low_stock_threshold !== undefined ? Number(variant.low_stock_threshold) : undefined;
+  const price = variant.price !== undefined && variant.price !== null && variant.price !== '' ? Number(variant.price) : null;
+
+  if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+    throw new AppError('Variant stock quantity must be a whole number of 0 or more', 400);
+  }
+  if (threshold !== undefined && (!Number.isInteger(threshold) || threshold < 0)) {
+    throw new AppError('Low stock threshold must be a whole number of 0 or more', 400);
+  }
+  if (price !== null && (!Number.isFinite(price) || price <= 0)) {
+    throw new AppError('Variant price must be a valid number greater than 0', 400);
+  }
+
+  return {
+    id: variant.id || null,
+    sku: variant.sku ? String(variant.sku).trim().toUpperCase() : null,
+    size: variant.size ? String(variant.size).trim().toUpperCase() : null,
+    name: variant.name ? String(variant.name).trim() : null,
+    name_ar: variant.name_ar ? String(variant.name_ar).trim() : null,
+    price,
+    stock_quantity: stock,
+    low_stock_threshold: threshold,
+    is_active: variant.is_active !== undefined ? parseBoolean(variant.is_active) : true,
+    sort_order: variant.sort_order !== undefined ? Number(variant.sort_order) || 0 : index
+  };
+};
+
+const generateSku = (product, size) => (
+  `${(product.category || 'item').slice(0, 3).toUpperCase()}-${size ? `${size}-` : ''}${generateCode('', 6)}`
 );
 
 /**
- * @desc    List active store products
+ * Create / update the given variants of a product.
+ * Variants left out of the list are deactivated rather than deleted so order
+ * history keeps pointing at them. Stock of existing variants is changed
+ * through the inventory service, never overwritten here.
+ */
+const syncVariants = async (product, variantInputs, transaction) => {
+  const existing = await ProductVariant.findAll({ where: { product_id: product.id }, transaction });
+  const keptIds = new Set();
+
+  for (const [index, input] of variantInputs.map(normalizeVariantInput).entries()) {
+    const match = existing.find((variant) => (
+      (input.id && variant.id === input.id) || (input.sku && variant.sku === input.sku)
+    ));
+
+    if (match) {
+      keptIds.add(match.id);
+      await match.update({
+        sku: input.sku || match.sku,
+        size: input.size,
+        name: input.name,
+        name_ar: input.name_ar,
+        price: input.price,
+        low_stock_threshold: input.low_stock_threshold ?? match.low_stock_threshold,
+        is_active: input.is_active,
+        sort_order: input.sort_order
+      }, { transaction });
+      continue;
+    }
+
+    const created = await ProductVariant.create({
+      product_id: product.id,
+      sku: input.sku || generateSku(product, input.size),
+      size: input.size,
+      name: input.name,
+      name_ar: input.name_ar,
+      price: input.price,
+      stock_quantity: input.stock_quantity ?? 0,
+      low_stock_threshold: input.low_stock_threshold ?? 5,
+      is_active: input.is_active,
+      sort_order: input.sort_order ?? index
+    }, { transaction });
+    keptIds.add(created.id);
+  }
+
+  const removedIds = existing.filter((variant) => !keptIds.has(variant.id)).map((variant) => variant.id);
+  if (removedIds.length > 0) {
+    await ProductVariant.update(
+      { is_active: false },
+      { where: { id: { [Op.in]: removedIds } }, transaction }
+    );
+  }
+};
+
+const readProductBody = (body, existing = null) => {
+  const priceProvided = body.price !== undefined && body.price !== null && body.price !== '';
+  const price = priceProvided ? Number(body.price) : Number(existing?.price);
+
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new AppError('Price must be a valid number greater than 0', 400);
+  }
+
+  const category = body.category ?? existing?.category ?? 'other';
+  if (!PRODUCT_CATEGORIES.includes(category)) {
+    throw new AppError(`Category must be one of: ${PRODUCT_CATEGORIES.join(', ')}`, 400);
+  }
+
+  const branchIds = parseJsonField(body.branch_ids, 'branch_ids');
+  if (branchIds !== undefined && branchIds !== null && !Array.isArray(branchIds)) {
+    throw new AppError('branch_ids must be an array of branch IDs', 400);
+  }
+
+  const data = {
+    name: String(body.name_en ?? existing?.name ?? '').trim(),
+    name_ar: String(body.name_ar ?? existing?.name_ar ?? '').trim(),
+    description: String(body.description_en ?? existing?.description ?? '').trim(),
+    description_ar: String(body.description_ar ?? existing?.description_ar ?? '').trim(),
+    category,
+    price,
+    badge: {
+      en: String(body.badge_en ?? existing?.badge?.en ?? 'New').trim(),
+      ar: String(body.badge_ar ?? existing?.badge?.ar ?? 'جديد').trim(),
+      color: String(body.badge_color ?? existing?.badge?.color ?? 'bg-primary').trim()
+    },
+    branch_ids: branchIds !== undefined ? (branchIds && branchIds.length > 0 ? branchIds : null) : (existing?.branch_ids ?? null)
+  };
+
+  if (!data.name || !data.name_ar) {
+    throw new AppError('Product name in English and Arabic is required', 400);
+  }
+
+  return data;
+};
+
+/**
+ * @desc    List active store products (?branch_id= limits to products sold at that branch)
  * @route   GET /api/products
  * @access  Public
  */
 exports.getProducts = asyncHandler(async (req, res) => {
-  const products = await readProducts();
-  const activeProducts = products.filter((product) => product.is_active !== false);
+  const { branch_id, category } = req.query;
+  const where = { is_active: true };
+  if (category) where.category = category;
+
+  const products = await Product.findAll({
+    where,
+    include: [{ model: ProductVariant, as: 'variants', required: false }],
+    order: [['created_at', 'DESC'], ...variantOrder]
+  });
 
   res.json({
     success: true,
-    data: activeProducts
+    data: products
+      .filter((product) => product.isAvailableAt(branch_id))
+      .map((product) => formatProduct(product))
   });
 });
 
 /**
- * @desc    List all store products for admin
+ * @desc    List all store products for admin (?low_stock=true for products needing restock)
  * @route   GET /api/products/admin
  * @access  Private (super_admin, owner)
  */
 exports.getAllProductsAdmin = asyncHandler(async (req, res) => {
-  const products = await readProducts();
+  const products = await Product.findAll({
+    include: [{ model: ProductVariant, as: 'variants', required: false }],
+    order: [['created_at', 'DESC'], ...variantOrder]
+  });
+
+  let data = products.map((product) => formatProduct(product, { includeInactiveVariants: true }));
+  if (parseBoolean(req.query.low_stock)) {
+    data = data.filter((product) => product.low_stock);
+  }
 
   res.json({
     success: true,
-    data: products
+    data
   });
 });
 
@@ -98,65 +249,50 @@ exports.getAllProductsAdmin = asyncHandler(async (req, res) => {
  * @access  Private (super_admin, owner)
  */
 exports.createProduct = asyncHandler(async (req, res) => {
-  const {
-    name_en,
-    name_ar,
-    description_en,
-    description_ar,
-    badge_en,
-    badge_ar,
-    badge_color,
-    image_url
-  } = req.body;
-
-  const price = Number(req.body.price);
-
-  if (!name_en || !name_ar) {
-    throw new AppError('Product name in English and Arabic is required', 400);
-  }
+  const productData = readProductBody(req.body);
+  const variants = parseJsonField(req.body.variants, 'variants') || [];
+  const uploadedImageUrl = req.file ? `/uploads/store-products/${req.file.filename}` : null;
 
-  if (!Number.isFinite(price) || price <= 0) {
-    throw new AppError('Price must be a valid number greater than 0', 400);
+  if (!Array.isArray(variants)) {
+    throw new AppError('variants must be an array', 400);
   }
 
-  const products = await readProducts();
-  const nextId = products.length > 0
-    ? Math.max(...products.map((product) => Number(product.id) || 0)) + 1
-    : 1;
-
-  const now = new Date().toISOString();
-  const uploadedImageUrl = req.file ? `/uploads/store-products/${req.file.filename}` : null;
+  const product = await sequelize.transaction(async (transaction) => {
+    const created = await Product.create({
+      ...productData,
+      image_url: uploadedImageUrl || String(req.body.image_url || '').trim() || null,
+      is_active: true,
+      created_by: req.user.id
+    }, { transaction });
+
+    // Every product is sold through at least one variant
+    await syncVariants(created, variants.length > 0 ? variants : [{
+      stock_quantity: req.body.stock_quantity ?? 0,
+      low_stock_threshold: req.body.low_stock_threshold
+    }], transaction);
+
+    return created;
+  });
 
-  const product = {
-    id: nextId,
-    name: {
-      en: String(name_en).trim(),
-      ar: String(name_ar).trim()
-    },
-    description: {
-      en: String(description_en || '').trim(),
-      ar: String(description_ar || '').trim()
-    },
-    price,
-    badge: {
-      en: String(badge_en || 'New').trim(),
-      ar: String(badge_ar || 'جديد').trim(),
-      color: String(badge_color || 'bg-primary').trim()
-    },
-    image_url: uploadedImageUrl || String(image_url || '').trim() || null,
-    is_active: true,
-    created_by: req.user.id,
-    created_at: now,
-    updated_at: now
-  };
+  const createdProduct = await Product.findByPk(product.id, {
+    include: [{ model: ProductVariant, as: 'variants' }],
+    order: variantOrder
+  });
 
-  products.unshift(product);
-  await writeProducts(products);
+  await logAuditEvent({
+    module: 'products',
+    entityType: 'product',
+    entityId: product.id,
+    action: 'create',
+    actor: req.user,
+    before: null,
+    after: createdProduct
+  });
 
   res.status(201).json({
     success: true,
     message: 'Product created successfully',
-    data: product
+    data: formatProduct(createdProduct, { includeInactiveVariants: true })
   });
 });
 
@@ -166,54 +302,100 @@ exports.createProduct = asyncHandler(async (req, res) => {
  * @access  Private (super_admin, owner)
  */
 exports.updateProduct = asyncHandler(async (req, res) => {
-  const products = await readProducts();
-  const productIndex = findProductIndexById(products, req.params.id);
+  const existing = await findProduct(req.params.id, {
+    include: [{ model: ProductVariant, as: 'variants' }]
+  });
 
-  if (productIndex === -1) {
+  if (!existing) {
     throw new AppError('Product not found', 404);
   }
 
-  const existing = products[productIndex];
-  const priceProvided = req.body.price !== undefined && req.body.price !== null && req.body.price !== '';
-  const parsedPrice = priceProvided ? Number(req.body.price) : Number(existing.price);
+  const beforeData = existing.toJSON();
+  const productData = readProductBody(req.body, existing);
+  const variants = parseJsonField(req.body.variants, 'variants');
+  const uploadedImageUrl = req.file ? `/uploads/store-products/${req.file.filename}` : null;
 
-  if (!Number.isFinite(parsedPrice) || parsedPrice <= 0) {
-    throw new AppError('Price must be a valid number greater than 0', 400);
+  if (variants !== undefined && !Array.isArray(variants)) {
+    throw new AppError('variants must be an array', 400);
   }
 
-  const uploadedImageUrl = req.file ? `/uploads/store-products/${req.file.filename}` : null;
+  await sequelize.transaction(async (transaction) => {
+    await existing.update({
+      ...productData,
+      image_url: uploadedImageUrl || String(req.body.image_url || '').trim() || existing.image_url || null
+    }, { transaction });
 
-  const updatedProduct = {
-    ...existing,
-    name: {
-      en: String(req.body.name_en ?? existing.name?.en ?? '').trim(),
-      ar: String(req.body.name_ar ?? existing.name?.ar ?? '').trim()
-    },
-    description: {
-      en: String(req.body.description_en ?? existing.description?.en ?? '').trim(),
-      ar: String(req.body.description_ar ?? existing.description?.ar ?? '').trim()
-    },
-    price: parsedPrice,
-    badge: {
-      en: String(req.body.badge_en ?? existing.badge?.en ?? 'New').trim(),
-      ar: String(req.body.badge_ar ?? existing.badge?.ar ?? 'جديد').trim(),
-      color: String(req.body.badge_color ?? existing.badge?.color ?? 'bg-primary').trim()
-    },
-    image_url: uploadedImageUrl || String(req.body.image_url || '').trim() || existing.image_url || null,
-    updated_at: new Date().toISOString()
-  };
+    if (variants !== undefined) {
+      await syncVariants(existing, variants, transaction);
+    }
+  });
 
-  if (!updatedProduct.name.en || !updatedProduct.name.ar) {
-    throw new AppError('Product name in English and Arabic is required', 400);
-  }
+  const updatedProduct = await Product.findByPk(existing.id, {
+    include: [{ model: ProductVariant, as: 'variants' }],
+    order: variantOrder
+  });
 
-  products[productIndex] = updatedProduct;
-  await writeProducts(products);
+  await logAuditEvent({
+    module: 'products',
+    entityType: 'product',
+    entityId: existing.id,
+    action: 'update',
+    actor: req.user,
+    before: beforeData,
+    after: updatedProduct
+  });
 
   res.json({
     success: true,
     message: 'Product updated successfully',
-    data: updatedProduct
+    data: formatProduct(updatedProduct, { includeInactiveVariants: true })
+  });
+});
+
+/**
+ * @desc    Adjust or set stock of a product variant
+ * @route   PATCH /api/products/:id/variants/:variantId/stock
+ * @access  Private (super_admin, owner)
+ */
+exports.updateVariantStock = asyncHandler(async (req, res) => {
+  const { adjustment, stock_quantity } = req.body;
+
+  const product = await findProduct(req.params.id);
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+
+  const variant = await ProductVariant.findOne({
+    where: { id: req.params.variantId, product_id: product.id }
+  });
+  if (!variant) {
+    throw new AppError('Product variant not found', 404);
+  }
+
+  if (adjustment === undefined && stock_quantity === undefined) {
+    throw new AppError('Provide either adjustment or stock_quantity', 400);
+  }
+
+  const beforeData = variant.toJSON();
+  const updated = adjustment !== undefined
+    ? await inventoryService.adjustStock(variant.id, adjustment)
+    : await inventoryService.setStock(variant.id, stock_quantity);
+
+  await logAuditEvent({
+    module: 'products',
+    entityType: 'product_variant',
+    entityId: variant.id,
+    action: 'update',
+    actor: req.user,
+    before: beforeData,
+    after: updated,
+    metadata: { reason: req.body.reason || null }
+  });
+
+  res.json({
+    success: true,
+    message: 'Stock updated successfully',
+    data: formatVariant(updated)
   });
 });
 
@@ -223,26 +405,31 @@ exports.updateProduct = asyncHandler(async (req, res) => {
  * @access  Private (super_admin, owner)
  */
 exports.toggleProductStatus = asyncHandler(async (req, res) => {
-  const products = await readProducts();
-  const productIndex = findProductIndexById(products, req.params.id);
+  const product = await findProduct(req.params.id, {
+    include: [{ model: ProductVariant, as: 'variants' }]
+  });
 
-  if (productIndex === -1) {
+  if (!product) {
     throw new AppError('Product not found', 404);
   }
 
-  const updatedProduct = {
-    ...products[productIndex],
-    is_active: products[productIndex].is_active === false,
-    updated_at: new Date().toISOString()
-  };
-
-  products[productIndex] = updatedProduct;
-  await writeProducts(products);
+  const beforeData = product.toJSON();
+  await product.update({ is_active: !product.is_active });
+
+  await logAuditEvent({
+    module: 'products',
+    entityType: 'product',
+    entityId: product.id,
+    action: 'toggle',
+    actor: req.user,
+    before: beforeData,
+    after: product
+  });
 
   res.json({
     success: true,
-    message: updatedProduct.is_active ? 'Product activated successfully' : 'Product deactivated successfully',
-    data: updatedProduct
+    message: product.is_active ? 'Product activated successfully' : 'Product deactivated successfully',
+    data: formatProduct(product, { includeInactiveVariants: true })
   });
 });
 
@@ -252,15 +439,58 @@ exports.toggleProductStatus = asyncHandler(async (req, res) => {
  * @access  Private (super_admin, owner)
  */
 exports.deleteProduct = asyncHandler(async (req, res) => {
-  const products = await readProducts();
-  const productIndex = findProductIndexById(products, req.params.id);
+  const product = await findProduct(req.params.id, {
+    include: [{ model: ProductVariant, as: 'variants' }]
+  });
 
-  if (productIndex === -1) {
+  if (!product) {
     throw new AppError('Product not found', 404);
   }
 
-  const [deletedProduct] = products.splice(productIndex, 1);
-  await writeProducts(products);
+  const deletedProduct = formatProduct(product, { includeInactiveVariants: true });
+
+  // Order items keep their product (ON DELETE RESTRICT), so a product that
+  // has been sold is taken off sale instead, like variants in syncVariants
+  const orderCount = await OrderItem.count({ where: { product_id: product.id } });
+  if (orderCount > 0) {
+    await sequelize.transaction(async (transaction) => {
+      await ProductVariant.update({ is_active: false }, { where: { product_id: product.id }, transaction });
+      await product.update({ is_active: false }, { transaction });
+    });
+
+    const deactivatedProduct = formatProduct(
+      await findProduct(product.id, { include: [{ model: ProductVariant, as: 'variants' }], order: variantOrder }),
+      { includeInactiveVariants: true }
+    );
+
+    await logAuditEvent({
+      module: 'products',
+      entityType: 'product',
+      entityId: deactivatedProduct.id,
+      action: 'deactivate',
+      actor: req.user,
+      before: deletedProduct,
+      after: deactivatedProduct
+    });
+
+    return res.json({
+      success: true,
+      message: 'Product has orders, so it was deactivated instead of deleted',
+      data: deactivatedProduct
+    });
+  }
+
+  await product.destroy();
+
+  await logAuditEvent({
+    module: 'products',
+    entityType: 'product',
+    entityId: deletedProduct.id,
+    action: 'delete',
+    actor: req.user,
+    before: deletedProduct,
+    after: null
+  });
 
   res.json({
     success: true,
@@ -29,7 +29,7 @@ exports.getPublicPrograms = asyncHandler(async (req, res) => {
 
   const programs = await Program.findAll({
     where,
-    attributes: ['id', 'name', 'name_ar', 'description', 'description_ar', 'type', 'sport_type', 'age_group_min', 'age_group_max', 'price_monthly', 'schedule', 'image', 'features', 'capacity', 'current_enrollment'],
+    attributes: ['id', 'name', 'name_ar', 'description', 'description_ar', 'type', 'sport_type', 'age_group_min', 'age_group_max', 'price_monthly', 'prices_include_tax', 'schedule', 'image', 'features', 'capacity', 'current_enrollment'],
     include: [
       { association: 'branch', attributes: ['id', 'name', 'name_ar', 'city'] },
       {
@@ -41,7 +41,7 @@ exports.getPublicPrograms = asyncHandler(async (req, res) => {
         association: 'pricing_plans',
         where: { is_active: true },
         required: false,
-        attributes: ['id', 'name', 'name_ar', 'price', 'duration_months', 'description']
+        attributes: ['id', 'name', 'name_ar', 'price', 'prices_include_tax', 'duration_months', 'max_installments', 'description']
       }
     ],
     order: [['name', 'ASC']]
@@ -153,7 +153,7 @@ exports.createProgram = asyncHandler(async (req, res) => {
   const {
     name, name_ar, description, description_ar, type, sport_type,
     branch_id, coach_id, age_group_min, age_group_max, capacity,
-    price_monthly, price_quarterly, price_annual, registration_fee,
+    price_monthly, price_quarterly, price_annual, registration_fee, prices_include_tax,
     schedule, start_date, end_date, features, pricing_plans
   } = req.body;
 
@@ -208,6 +208,7 @@ exports.createProgram = asyncHandler(async (req, res) => {
     price_quarterly: price_quarterly || null,
     price_annual: price_annual || null,
     registration_fee: registration_fee || 0,
+    prices_include_tax: prices_include_tax !== undefined ? prices_include_tax : true,
     schedule: schedule || [],
     start_date,
     end_date,
@@ -222,7 +223,9 @@ exports.createProgram = asyncHandler(async (req, res) => {
         name: plan.name,
         name_ar: plan.name_ar || plan.name || null,
         duration_months: plan.duration_months || null,
+        max_installments: plan.max_installments || 1,
         price: plan.price || 0,
+        prices_include_tax: plan.prices_include_tax ?? null,
         description: plan.description || null,
         description_ar: plan.description_ar || null,
         is_active: true,
@@ -287,7 +290,9 @@ exports.updateProgram = asyncHandler(async (req, res) => {
           name: plan.name,
           name_ar: plan.name_ar || plan.name || null,
           duration_months: plan.duration_months || null,
+          max_installments: plan.max_installments || 1,
           price: plan.price || 0,
+          prices_include_tax: plan.prices_include_tax ?? null,
           description: plan.description || null,
           description_ar: plan.description_ar || null,
           is_active: plan.is_active !== false,
@@ -1,10 +1,43 @@
-const { TrainingSession, Program, Branch, User, Player, Waitlist } = require('../models');
+const { TrainingSession, SessionSeries, HolidayCalendar, Program, Branch, User, Player, Waitlist } = require('../models');
 const scheduleService = require('../services/schedule.service');
+const waitlistService = require('../services/waitlist.service');
+const sessionSeriesService = require('../services/sessionSeries.service');
+const closureService = require('../services/closure.service');
+const { addDays } = require('../utils/recurrence');
 const { emitScheduleUpdate, emitWaitlistUpdate } = require('../socket');
 const { Op } = require('sequelize');
 const ical = require('ical-generator').default;
 const PDFDocument = require('pdfkit');
 const { ROLES } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const { scoped, canAccessBranch } = require('../utils/branchScope');
+
+const branchForbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'You can only access data from your own branch.'
+});
+
+// Closures as all-day events (DTEND is exclusive, hence the extra day)
+const addClosureEvents = (calendar, closures) => {
+  closures.forEach((closure) => {
+    calendar.createEvent({
+      start: new Date(`${closure.start_date}T00:00:00`),
+      end: new Date(`${addDays(closure.end_date, 1)}T00:00:00`),
+      allDay: true,
+      summary: `Closed - ${closure.title}`,
+      description: [closure.title_ar, closure.reason].filter(Boolean).join('\n'),
+      url: process.env.FRONTEND_URL || 'http://localhost:5173'
+    });
+  });
+};
+
+// Default export window: the next 3 months
+const exportRange = ({ startDate, endDate }) => {
+  if (startDate && endDate) return [startDate, endDate];
+  const threeMonthsLater = new Date();
+  threeMonthsLater.setMonth(threeMonthsLater.getMonth() + 3);
+  return [new Date().toISOString().split('T')[0], threeMonthsLater.toISOString().split('T')[0]];
+};
 
 const getParentScope = async (userId) => {
   const players = await Player.findAll({
@@ -264,7 +297,7 @@ exports.getProgramSchedule = async (req, res, next) => {
       };
     }
 
-    const sessions = await TrainingSession.findAll({
+    const sessions = await scoped(TrainingSession, req).findAll({
       where: whereClause,
       include: [
         {
@@ -300,6 +333,7 @@ exports.createSession = async (req, res, next) => {
       facility,
       max_capacity,
       is_recurring,
+      recurrence,
       notes
     } = req.body;
 
@@ -312,6 +346,10 @@ exports.createSession = async (req, res, next) => {
       });
     }
 
+    if (!canAccessBranch(req, program.branch_id)) {
+      return branchForbidden(res);
+    }
+
     const day_of_week = scheduleService.getDayOfWeek(date);
 
     // Validate scheduling (check conflicts)
@@ -330,72 +368,68 @@ exports.createSession = async (req, res, next) => {
         message: 'Scheduling conflict detected',
         conflicts: {
           coach: validation.coachConflicts,
-          facility: validation.facilityConflicts
+          facility: validation.facilityConflicts,
+          closure: validation.closureConflicts,
+          leave: validation.leaveConflicts,
+          availability: validation.availabilityConflicts
         }
       });
     }
 
-    // Create session
-    const session = await TrainingSession.create({
-      program_id,
-      branch_id: program.branch_id,
-      coach_id,
-      date,
-      day_of_week,
-      start_time,
-      end_time,
-      facility,
-      max_capacity: max_capacity || program.capacity,
-      current_enrollment: program.current_enrollment,
-      is_recurring: is_recurring !== undefined ? is_recurring : true,
-      notes
-    });
-
-    // If recurring, create weekly sessions ahead
+    // Recurring sessions belong to a series; the first occurrence is this session
+    let session;
     let recurringCreated = 0;
+    let series = null;
+    let skipped = [];
     if (is_recurring === true) {
-      const startDate = new Date(date);
-      const programEndDate = program.end_date ? new Date(program.end_date) : null;
-      const defaultEnd = new Date(startDate);
-      defaultEnd.setDate(defaultEnd.getDate() + (52 * 7));
-      const endDate = programEndDate && programEndDate > startDate ? programEndDate : defaultEnd;
-
-      const nextDate = new Date(startDate);
-      nextDate.setDate(nextDate.getDate() + 7);
-
-      while (nextDate <= endDate) {
-        const nextDateString = nextDate.toISOString().split('T')[0];
-        const nextDayOfWeek = scheduleService.getDayOfWeek(nextDateString);
-
-        const recurringValidation = await scheduleService.validateSession({
-          coach_id,
-          branch_id: program.branch_id,
-          facility,
-          date: nextDateString,
-          start_time,
-          end_time
-        });
-
-        if (recurringValidation.isValid) {
-          await TrainingSession.create({
-            program_id,
-            branch_id: program.branch_id,
-            coach_id,
-            date: nextDateString,
-            day_of_week: nextDayOfWeek,
-            start_time,
-            end_time,
-            facility,
-            max_capacity: max_capacity || program.capacity,
-            current_enrollment: program.current_enrollment,
-            is_recurring: true,
-            notes
-          });
-          recurringCreated += 1;
-        }
+      const defaultUntil = program.end_date && program.end_date > date ? program.end_date : null;
+      const rule = sessionSeriesService.ruleFromRequest({
+        until: recurrence?.count ? null : (defaultUntil || addDays(date, 52 * 7)),
+        ...recurrence
+      }, date);
+
+      const result = await sessionSeriesService.createSeries({
+        program,
+        coachId: coach_id,
+        startDate: date,
+        startTime: start_time,
+        endTime: end_time,
+        facility,
+        maxCapacity: max_capacity,
+        notes,
+        rule,
+        exceptionDates: recurrence?.exception_dates || [],
+        holidayCalendarId: recurrence?.holiday_calendar_id || null,
+        weeksAhead: 52,
+        actor: req.user
+      });
 
-        nextDate.setDate(nextDate.getDate() + 7);
+      series = result.series;
+      skipped = result.skipped;
+      session = result.created.find(created => created.date === date) || result.created[0];
+      recurringCreated = result.created.length - (session ? 1 : 0);
+      if (!session) {
+        return res.status(409).json({
+          success: false,
+          message: 'No session of the series could be scheduled',
+          data: { series, skipped }
+        });
       }
+    } else {
+      session = await TrainingSession.create({
+        program_id,
+        branch_id: program.branch_id,
+        coach_id,
+        date,
+        day_of_week,
+        start_time,
+        end_time,
+        facility,
+        max_capacity: max_capacity || program.capacity,
+        current_enrollment: program.current_enrollment,
+        is_recurring: is_recurring !== undefined ? is_recurring : true,
+        notes
+      });
     }
 
     // Load full session data
@@ -427,7 +461,8 @@ exports.createSession = async (req, res, next) => {
       success: true,
       message: 'Training session created successfully',
       data: fullSession,
-      recurring_created: recurringCreated
+      recurring_created: recurringCreated,
+      ...(series && { series: { id: series.id, rrule: series.rrule }, skipped })
     });
   } catch (error) {
     next(error);
@@ -448,7 +483,8 @@ exports.updateSession = async (req, res, next) => {
       end_time,
       facility,
       max_capacity,
-      notes
+      notes,
+      scope = 'this'
     } = req.body;
 
     const session = await TrainingSession.findByPk(sessionId);
@@ -459,6 +495,36 @@ exports.updateSession = async (req, res, next) => {
       });
     }
 
+    if (!canAccessBranch(req, session.branch_id)) {
+      return branchForbidden(res);
+    }
+
+    // "This and following" / "whole series" edits of a recurring session
+    if (scope !== 'this') {
+      const result = await sessionSeriesService.updateOccurrences(session, {
+        coach_id, date, start_time, end_time, facility, max_capacity, notes
+      }, { scope, actor: req.user });
+
+      if (result.conflicts.length) {
+        return res.status(409).json({
+          success: false,
+          message: 'Scheduling conflict detected',
+          conflicts: result.conflicts
+        });
+      }
+
+      result.sessions.forEach(updated => emitScheduleUpdate('updated', updated.toJSON()));
+
+      return res.json({
+        success: true,
+        message: `${result.sessions.length} training session(s) updated`,
+        data: {
+          series: result.series,
+          sessions: result.sessions
+        }
+      });
+    }
+
     const oldDate = session.date;
     const oldTime = session.start_time;
 
@@ -480,7 +546,10 @@ exports.updateSession = async (req, res, next) => {
           message: 'Scheduling conflict detected',
           conflicts: {
             coach: validation.coachConflicts,
-            facility: validation.facilityConflicts
+            facility: validation.facilityConflicts,
+            closure: validation.closureConflicts,
+            leave: validation.leaveConflicts,
+            availability: validation.availabilityConflicts
           }
         });
       }
@@ -550,7 +619,7 @@ exports.updateSession = async (req, res, next) => {
 exports.cancelSession = async (req, res, next) => {
   try {
     const { sessionId } = req.params;
-    const { reason, permanent } = req.body;
+    const { reason, permanent, scope = 'this' } = req.body;
 
     const session = await TrainingSession.findByPk(sessionId);
     if (!session) {
@@ -560,31 +629,39 @@ exports.cancelSession = async (req, res, next) => {
       });
     }
 
+    if (!canAccessBranch(req, session.branch_id)) {
+      return branchForbidden(res);
+    }
+
     const branchId = session.branch_id;
 
-    if (permanent) {
-      // Permanent deletion
-      await session.destroy();
-    } else {
-      // Soft cancellation
-      await session.update({
-        is_cancelled: true,
-        cancellation_reason: reason,
-        cancelled_by: req.user.id,
-        cancelled_at: new Date()
+    // Occurrences of a series: this one, this and following, or the whole series
+    if (session.series_id) {
+      const result = await sessionSeriesService.cancelOccurrences(session, {
+        scope,
+        reason,
+        permanent: Boolean(permanent),
+        actor: req.user
       });
-    }
 
-    // Notify enrolled players
-    await scheduleService.notifyEnrolledPlayers(sessionId, 'cancelled', { reason });
+      result.sessions.forEach(cancelled => emitScheduleUpdate(permanent ? 'deleted' : 'cancelled', {
+        id: cancelled.id,
+        branch_id: branchId,
+        is_cancelled: !permanent ? true : undefined,
+        cancellation_reason: reason
+      }));
 
-    // Emit real-time update
-    emitScheduleUpdate(permanent ? 'deleted' : 'cancelled', {
-      id: sessionId,
-      branch_id: branchId,
-      is_cancelled: !permanent ? true : undefined,
-      cancellation_reason: reason
-    });
+      return res.json({
+        success: true,
+        message: permanent
+          ? `${result.sessions.length} training session(s) deleted permanently`
+          : `${result.sessions.length} training session(s) cancelled`,
+        data: { id: sessionId, series_id: result.series.id, sessions: result.sessions.map(cancelled => cancelled.id) }
+      });
+    }
+
+    // Cancel, notify enrolled players and emit the real-time update
+    await scheduleService.cancelSession(session, { reason, permanent, actor: req.user });
 
     res.json({
       success: true,
@@ -638,7 +715,7 @@ exports.getCoachSchedule = async (req, res, next) => {
     const weekEnd = new Date(weekStart);
     weekEnd.setDate(weekEnd.getDate() + 6);
 
-    const sessions = await TrainingSession.findAll({
+    const sessions = await scoped(TrainingSession, req).findAll({
       where: {
         coach_id: coachId,
         date: {
@@ -683,20 +760,181 @@ exports.getCoachSchedule = async (req, res, next) => {
 exports.generateRecurringSessions = async (req, res, next) => {
   try {
     const { programId } = req.params;
-    const { startDate, endDate, weeksAhead } = req.body;
+    const { startDate, endDate, weeksAhead, coach_id } = req.body;
 
-    const sessions = await scheduleService.generateRecurringSessions(programId, {
+    const program = await Program.findByPk(programId, { attributes: ['id', 'branch_id'] });
+    if (program && !canAccessBranch(req, program.branch_id)) {
+      return branchForbidden(res);
+    }
+
+    const { created, skipped, series } = await scheduleService.generateRecurringSessions(programId, {
       startDate,
       endDate,
-      weeksAhead
+      weeksAhead,
+      coachId: coach_id,
+      actor: req.user
     });
 
     res.status(201).json({
       success: true,
-      message: `Generated ${sessions.length} recurring sessions`,
+      message: `Generated ${created.length} recurring sessions`,
       data: {
-        count: sessions.length,
-        sessions: sessions.slice(0, 10) // Return first 10 as sample
+        count: created.length,
+        sessions: created.slice(0, 10), // Return first 10 as sample
+        series: series.map(entry => ({ id: entry.id, rrule: entry.rrule, start_time: entry.start_time })),
+        skipped
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Series in the caller's branches
+const findSeries = async (req) => {
+  const series = await scoped(SessionSeries, req).findByPk(req.params.seriesId);
+  if (!series) {
+    throw new AppError('Session series not found', 404);
+  }
+  return series;
+};
+
+/**
+ * Get the recurring series of a program
+ * @route GET /api/schedule/program/:programId/series
+ */
+exports.getProgramSeries = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    const series = await scoped(SessionSeries, req).findAll({
+      where: {
+        program_id: req.params.programId,
+        ...(status && { status })
+      },
+      include: [
+        { model: User, as: 'coach', attributes: ['id', 'first_name', 'last_name', 'name_ar'] },
+        { model: HolidayCalendar, as: 'holiday_calendar', attributes: ['id', 'name', 'name_ar'] }
+      ],
+      order: [['start_date', 'ASC'], ['start_time', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a recurring series with its upcoming sessions
+ * @route GET /api/schedule/series/:seriesId
+ */
+exports.getSeries = async (req, res, next) => {
+  try {
+    const series = await findSeries(req);
+
+    const sessions = await TrainingSession.findAll({
+      where: {
+        series_id: series.id,
+        date: { [Op.gte]: new Date().toISOString().split('T')[0] }
+      },
+      order: [['date', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { ...series.toJSON(), sessions }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate the missing sessions of a series (safe to repeat)
+ * @route POST /api/schedule/series/:seriesId/generate
+ */
+exports.generateSeriesSessions = async (req, res, next) => {
+  try {
+    const series = await findSeries(req);
+    const { endDate, weeksAhead } = req.body;
+
+    const { created, skipped } = await sessionSeriesService.materialize(series, {
+      to: endDate || null,
+      ...(weeksAhead && { weeksAhead: parseInt(weeksAhead, 10) })
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Generated ${created.length} recurring sessions`,
+      data: {
+        count: created.length,
+        sessions: created,
+        skipped
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add exception dates to a series; sessions on those dates are cancelled
+ * @route POST /api/schedule/series/:seriesId/exceptions
+ */
+exports.addSeriesExceptions = async (req, res, next) => {
+  try {
+    const series = await findSeries(req);
+
+    const { cancelled } = await sessionSeriesService.addExceptions(series, req.body.dates, {
+      reason: req.body.reason || null,
+      actor: req.user
+    });
+
+    cancelled.forEach(session => emitScheduleUpdate('cancelled', {
+      id: session.id,
+      branch_id: session.branch_id,
+      is_cancelled: true,
+      cancellation_reason: session.cancellation_reason
+    }));
+
+    res.json({
+      success: true,
+      message: `${cancelled.length} training session(s) cancelled`,
+      data: {
+        exception_dates: series.exception_dates,
+        cancelled: cancelled.map(session => session.id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an exception date; the occurrence is scheduled again
+ * @route DELETE /api/schedule/series/:seriesId/exceptions/:date
+ */
+exports.removeSeriesException = async (req, res, next) => {
+  try {
+    const series = await findSeries(req);
+
+    const { session, skipped } = await sessionSeriesService.removeException(series, req.params.date);
+
+    if (session) {
+      emitScheduleUpdate('updated', session.toJSON());
+    }
+
+    res.json({
+      success: true,
+      message: session ? 'Session reinstated' : 'Exception removed - no session could be scheduled',
+      data: {
+        exception_dates: series.exception_dates,
+        session,
+        skipped
       }
     });
   } catch (error) {
@@ -720,7 +958,7 @@ exports.getScheduleStats = async (req, res, next) => {
       };
     }
 
-    const allSessions = await TrainingSession.findAll({
+    const allSessions = await scoped(TrainingSession, req).findAll({
       where: whereClause,
       include: [
         {
@@ -874,7 +1112,7 @@ exports.getProgramWaitlist = async (req, res, next) => {
         {
           model: Player,
           as: 'player',
-          attributes: ['id', 'name', 'name_ar', 'date_of_birth', 'gender']
+          attributes: ['id', 'first_name', 'last_name', 'first_name_ar', 'last_name_ar', 'date_of_birth', 'gender']
         },
         {
           model: User,
@@ -945,10 +1183,7 @@ exports.addToWaitlist = async (req, res, next) => {
     }
 
     // Get the next position in the waitlist
-    const maxPosition = await Waitlist.max('position', {
-      where: { program_id: programId }
-    });
-    const nextPosition = (maxPosition || 0) + 1;
+    const nextPosition = await waitlistService.nextPosition(programId);
 
     // Create waitlist entry
     const waitlistEntry = await Waitlist.create({
@@ -967,7 +1202,7 @@ exports.addToWaitlist = async (req, res, next) => {
         {
           model: Player,
           as: 'player',
-          attributes: ['id', 'name', 'name_ar', 'date_of_birth']
+          attributes: ['id', 'first_name', 'last_name', 'first_name_ar', 'last_name_ar', 'date_of_birth']
         },
         {
           model: User,
@@ -1017,21 +1252,9 @@ exports.removeFromWaitlist = async (req, res, next) => {
 
     const programId = entry.program_id;
     const branchId = entry.branch_id;
-    const position = entry.position;
-
-    // Delete the entry
-    await entry.destroy();
-
-    // Reorder remaining waitlist entries
-    await Waitlist.update(
-      { position: Waitlist.sequelize.literal('position - 1') },
-      {
-        where: {
-          program_id: programId,
-          position: { [Op.gt]: position }
-        }
-      }
-    );
+
+    // Delete the entry, close the gap in the queue and pass on a held spot
+    await waitlistService.remove(entry);
 
     // Emit real-time update
     emitWaitlistUpdate('removed', {
@@ -1066,41 +1289,15 @@ exports.updateWaitlistStatus = async (req, res, next) => {
       });
     }
 
-    const updateData = { status };
-    if (notes !== undefined) {
-      updateData.notes = notes;
-    }
-
-    // Set timestamps based on status
-    if (status === 'enrolled') {
-      updateData.enrolled_at = new Date();
-    } else if (status === 'cancelled' || status === 'expired') {
-      // If cancelling or expiring, reorder remaining entries
-      const programId = entry.program_id;
-      const position = entry.position;
-
-      await entry.update(updateData);
-
-      // Reorder remaining waitlist entries
-      await Waitlist.update(
-        { position: Waitlist.sequelize.literal('position - 1') },
-        {
-          where: {
-            program_id: programId,
-            position: { [Op.gt]: position },
-            status: 'waiting'
-          }
-        }
-      );
-
-      // Process waitlist to notify next person if needed
-      await scheduleService.processWaitlist(programId);
+    // Leaving the queue closes the gap and passes a held spot on
+    if (['cancelled', 'expired', 'declined'].includes(status)) {
+      await waitlistService.remove(entry, { status, notes });
 
       // Emit real-time update
       emitWaitlistUpdate('status-updated', {
         ...entry.toJSON(),
         branch_id: entry.branch_id,
-        program_id: programId
+        program_id: entry.program_id
       });
 
       return res.json({
@@ -1110,7 +1307,20 @@ exports.updateWaitlistStatus = async (req, res, next) => {
       });
     }
 
+    const updateData = { status };
+    if (notes !== undefined) {
+      updateData.notes = notes;
+    }
+
+    // Set timestamps based on status
+    if (status === 'enrolled') {
+      updateData.enrolled_at = new Date();
+    }
+
     await entry.update(updateData);
+    if (status === 'enrolled') {
+      await waitlistService.renumber(entry.program_id);
+    }
 
     // Emit real-time update
     emitWaitlistUpdate('status-updated', {
@@ -1128,6 +1338,75 @@ exports.updateWaitlistStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Load a waitlist offer the caller may answer: the family's own entry, or any
+ * entry in their branch for staff who manage waitlists
+ */
+const findOwnOffer = async (req) => {
+  const entry = await Waitlist.findByPk(req.params.waitlistId, {
+    include: [{ model: Player, as: 'player', attributes: ['id', 'parent_id', 'self_user_id'] }]
+  });
+  if (!entry) {
+    throw new AppError('Waitlist entry not found', 404);
+  }
+
+  if (req.user.role === ROLES.PARENT) {
+    const ownsEntry = entry.parent_id === req.user.id
+      || entry.player?.parent_id === req.user.id
+      || entry.player?.self_user_id === req.user.id;
+    if (!ownsEntry) {
+      throw new AppError('Not authorized to answer this offer', 403);
+    }
+  } else if (!canAccessBranch(req, entry.branch_id)) {
+    throw new AppError('You can only access data from your own branch.', 403);
+  }
+
+  return entry;
+};
+
+/**
+ * Accept an offered waitlist spot - enrolls the player and raises the
+ * registration fee as a pending payment
+ * @route POST /api/schedule/waitlist/:waitlistId/accept
+ */
+exports.acceptWaitlistOffer = async (req, res, next) => {
+  try {
+    const entry = await findOwnOffer(req);
+
+    const result = await waitlistService.accept(entry.id, { actor: req.user });
+
+    res.json({
+      success: true,
+      message: result.payment
+        ? 'Spot accepted. The player is enrolled - please pay the registration fee to complete registration'
+        : 'Spot accepted. The player is enrolled',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline an offered waitlist spot - it is offered to the next family
+ * @route POST /api/schedule/waitlist/:waitlistId/decline
+ */
+exports.declineWaitlistOffer = async (req, res, next) => {
+  try {
+    const entry = await findOwnOffer(req);
+
+    const declined = await waitlistService.decline(entry.id, { actor: req.user, reason: req.body.reason || null });
+
+    res.json({
+      success: true,
+      message: 'Spot declined',
+      data: declined
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Export branch schedule as iCal
  * @route GET /api/schedule/export/branch/:branchId/ical
@@ -1135,23 +1414,13 @@ exports.updateWaitlistStatus = async (req, res, next) => {
 exports.exportBranchScheduleICal = async (req, res, next) => {
   try {
     const { branchId } = req.params;
-    const { startDate, endDate } = req.query;
-
-    const whereClause = { branch_id: branchId, is_cancelled: false };
+    const [from, to] = exportRange(req.query);
 
-    if (startDate && endDate) {
-      whereClause.date = {
-        [Op.between]: [startDate, endDate]
-      };
-    } else {
-      // Default to next 3 months
-      const today = new Date();
-      const threeMonthsLater = new Date();
-      threeMonthsLater.setMonth(threeMonthsLater.getMonth() + 3);
-      whereClause.date = {
-        [Op.between]: [today.toISOString().split('T')[0], threeMonthsLater.toISOString().split('T')[0]]
-      };
-    }
+    const whereClause = {
+      branch_id: branchId,
+      is_cancelled: false,
+      date: { [Op.between]: [from, to] }
+    };
 
     const sessions = await TrainingSession.findAll({
       where: whereClause,
@@ -1196,6 +1465,8 @@ exports.exportBranchScheduleICal = async (req, res, next) => {
       });
     });
 
+    addClosureEvents(calendar, await closureService.getClosures({ from, to, branchIds: [branchId] }));
+
     res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
     res.setHeader('Content-Disposition', 'attachment; filename="schedule.ics"');
     res.send(calendar.toString());
@@ -1211,25 +1482,15 @@ exports.exportBranchScheduleICal = async (req, res, next) => {
 exports.exportCoachScheduleICal = async (req, res, next) => {
   try {
     const { coachId } = req.params;
-    const { startDate, endDate } = req.query;
+    const [from, to] = exportRange(req.query);
 
-    const whereClause = { coach_id: coachId, is_cancelled: false };
-
-    if (startDate && endDate) {
-      whereClause.date = {
-        [Op.between]: [startDate, endDate]
-      };
-    } else {
-      // Default to next 3 months
-      const today = new Date();
-      const threeMonthsLater = new Date();
-      threeMonthsLater.setMonth(threeMonthsLater.getMonth() + 3);
-      whereClause.date = {
-        [Op.between]: [today.toISOString().split('T')[0], threeMonthsLater.toISOString().split('T')[0]]
-      };
-    }
+    const whereClause = {
+      coach_id: coachId,
+      is_cancelled: false,
+      date: { [Op.between]: [from, to] }
+    };
 
-    const sessions = await TrainingSession.findAll({
+    const sessions = await scoped(TrainingSession, req).findAll({
       where: whereClause,
       include: [
         {
@@ -1274,6 +1535,11 @@ exports.exportCoachScheduleICal = async (req, res, next) => {
       });
     });
 
+    // Closures of the branches the coach works at
+    const coach = await User.findByPk(coachId, { attributes: ['id', 'branch_id'] });
+    const coachBranchIds = [...new Set([coach?.branch_id, ...sessions.map(session => session.branch_id)].filter(Boolean))];
+    addClosureEvents(calendar, await closureService.getClosures({ from, to, branchIds: coachBranchIds }));
+
     res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
     res.setHeader('Content-Disposition', `attachment; filename="${coachName.replace(/\s+/g, '_')}_schedule.ics"`);
     res.send(calendar.toString());
@@ -1317,6 +1583,10 @@ exports.exportSessionICal = async (req, res, next) => {
       });
     }
 
+    if (!canAccessBranch(req, session.branch_id)) {
+      return branchForbidden(res);
+    }
+
     // Create calendar
     const calendar = ical({
       name: `${session.program?.name} - Training Session`,
@@ -0,0 +1,131 @@
+const { ScheduleProposal } = require('../models');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { paginate, formatPaginationResponse } = require('../utils/helpers');
+const { scoped, assertBranchAccess } = require('../utils/branchScope');
+const scheduleBuilderService = require('../services/scheduleBuilder.service');
+
+const includeAssociations = [
+  { association: 'branch', attributes: ['id', 'name', 'name_ar'] },
+  { association: 'creator', attributes: ['id', 'first_name', 'last_name'] },
+  { association: 'committer', attributes: ['id', 'first_name', 'last_name'] }
+];
+
+const findProposal = async (req) => {
+  const proposal = await scoped(ScheduleProposal, req).findByPk(req.params.proposalId, { include: includeAssociations });
+  if (!proposal) {
+    throw new AppError('Schedule proposal not found', 404);
+  }
+  return proposal;
+};
+
+/**
+ * @desc    Build a proposed term timetable for a branch (nothing is booked yet)
+ * @route   POST /api/schedule/builder/proposals
+ * @access  Private (schedule.manage)
+ */
+exports.buildProposal = asyncHandler(async (req, res) => {
+  const { branch_id, name, start_date, end_date, programs } = req.body;
+  assertBranchAccess(req, branch_id, 'You can only build schedules for your own branch');
+
+  const proposal = await scheduleBuilderService.build({
+    branchId: branch_id,
+    name: name || null,
+    startDate: start_date,
+    endDate: end_date,
+    programs,
+    actor: req.user
+  });
+
+  const { weekly_sessions_placed: placed, weekly_sessions_unplaced: unplaced } = proposal.summary;
+  res.status(201).json({
+    success: true,
+    message: unplaced
+      ? `Proposal built. ${placed} weekly session(s) placed, ${unplaced} could not be placed - see unplaced.`
+      : `Proposal built. All ${placed} weekly session(s) placed.`,
+    data: proposal
+  });
+});
+
+/**
+ * @desc    Schedule proposals, newest first
+ * @route   GET /api/schedule/builder/proposals
+ * @access  Private (schedule.manage)
+ */
+exports.getProposals = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, branch_id, status } = req.query;
+  const { offset, limit: limitNum } = paginate(page, limit);
+
+  const where = {};
+  if (branch_id) {
+    assertBranchAccess(req, branch_id);
+    where.branch_id = branch_id;
+  }
+  if (status) where.status = status;
+
+  const proposals = await scoped(ScheduleProposal, req).findAndCountAll({
+    where,
+    attributes: { exclude: ['input', 'sessions', 'unplaced'] },
+    include: includeAssociations,
+    offset,
+    limit: limitNum,
+    order: [['created_at', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    ...formatPaginationResponse(proposals, page, limit)
+  });
+});
+
+/**
+ * @desc    A proposal with its slots and the sessions that could not be placed
+ * @route   GET /api/schedule/builder/proposals/:proposalId
+ * @access  Private (schedule.manage)
+ */
+exports.getProposal = asyncHandler(async (req, res) => {
+  const proposal = await findProposal(req);
+
+  res.json({
+    success: true,
+    data: proposal
+  });
+});
+
+/**
+ * @desc    Book a reviewed proposal: one weekly series per slot for the term
+ * @route   POST /api/schedule/builder/proposals/:proposalId/commit
+ * @access  Private (schedule.manage)
+ */
+exports.commitProposal = asyncHandler(async (req, res) => {
+  const proposal = await findProposal(req);
+
+  const { series, created, skipped } = await scheduleBuilderService.commit(proposal, { actor: req.user });
+
+  res.json({
+    success: true,
+    message: `Proposal committed. ${series.length} series and ${created.length} session(s) created.`,
+    data: {
+      proposal,
+      series,
+      sessions_created: created.length,
+      skipped
+    }
+  });
+});
+
+/**
+ * @desc    Discard a draft proposal
+ * @route   DELETE /api/schedule/builder/proposals/:proposalId
+ * @access  Private (schedule.manage)
+ */
+exports.discardProposal = asyncHandler(async (req, res) => {
+  const proposal = await findProposal(req);
+
+  await scheduleBuilderService.discard(proposal, { actor: req.user });
+
+  res.json({
+    success: true,
+    message: 'Proposal discarded',
+    data: proposal
+  });
+});
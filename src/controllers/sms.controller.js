@@ -2,11 +2,20 @@ const { SMS, User, Player, Branch, Program, AutoSMSSettings } = require('../mode
 const { Op } = require('sequelize');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const { paginate, formatPaginationResponse, formatPhoneNumber } = require('../utils/helpers');
-const { ROLES, SMS_STATUS } = require('../config/constants');
+const { ROLES, SMS_STATUS, BRANCH_SCOPED_ROLES } = require('../config/constants');
+const permissionService = require('../services/permission.service');
 const smsScheduler = require('../jobs/scheduler');
 
 const BRANCH_SMS_ALLOWED_ROLES = [ROLES.COACH, ROLES.PARENT, 'player'];
 
+// Messages sent by these roles are visible academy-wide; everyone else's are private
+const ACADEMY_WIDE_SENDERS = [ROLES.OWNER, ROLES.SUPER_ADMIN, ROLES.ACCOUNTANT];
+
+// Branch staff, and anyone holding the SMS permission through a per-user grant
+// rather than their role, use it like a branch admin: for their own branch only
+const isBranchSender = (req, permission) =>
+  BRANCH_SCOPED_ROLES.includes(req.user.role) || !permissionService.hasRolePermission(req.user, permission);
+
 async function getBranchAudienceRecipients(branchId, roles = BRANCH_SMS_ALLOWED_ROLES) {
   const requestedRoles = Array.isArray(roles) ? roles : [];
   const normalizedRoles = requestedRoles
@@ -138,30 +147,30 @@ async function getBranchAudienceRecipientsByUsers(branchId, selectedIds = []) {
   return [...uniqueByPhone.values()];
 }
 
-function assertBranchAdminBranch(req) {
-  if (req.user.role === ROLES.BRANCH_ADMIN && !req.user.branch_id) {
-    throw new AppError('Branch admin is not assigned to a branch', 403);
+function assertBranchAdminBranch(req, permission) {
+  if (isBranchSender(req, permission) && !req.user.branch_id) {
+    throw new AppError('Your account is not assigned to a branch', 403);
   }
 }
 
-function assertBranchAdminOwnMessage(req, sms) {
-  if (req.user.role === ROLES.BRANCH_ADMIN) {
-    assertBranchAdminBranch(req);
+function assertBranchAdminOwnMessage(req, permission, sms) {
+  if (isBranchSender(req, permission)) {
+    assertBranchAdminBranch(req, permission);
     if (String(sms.sender_id) !== String(req.user.id) || String(sms.branch_id) !== String(req.user.branch_id)) {
       throw new AppError('Not authorized to access this SMS', 403);
     }
   }
 }
 
-function assertNoBranchAdminLeak(req, sms, senderRole) {
-  if (req.user.role !== ROLES.BRANCH_ADMIN && senderRole === ROLES.BRANCH_ADMIN) {
+function assertNoBranchAdminLeak(req, permission, sms, senderRole) {
+  if (!isBranchSender(req, permission) && senderRole && !ACADEMY_WIDE_SENDERS.includes(senderRole)) {
     throw new AppError('SMS message not found', 404);
   }
 }
 
-function assertBranchAdminOwnAutoSetting(req, setting) {
-  if (req.user.role === ROLES.BRANCH_ADMIN) {
-    assertBranchAdminBranch(req);
+function assertBranchAdminOwnAutoSetting(req, permission, setting) {
+  if (isBranchSender(req, permission)) {
+    assertBranchAdminBranch(req, permission);
     if (String(setting.branch_id || '') !== String(req.user.branch_id)) {
       throw new AppError('Auto SMS setting not found', 404);
     }
@@ -219,13 +228,13 @@ exports.getAllSMS = asyncHandler(async (req, res) => {
   if (branch_id) where.branch_id = branch_id;
 
   // Role-based filtering
-  if (req.user.role === ROLES.BRANCH_ADMIN) {
-    assertBranchAdminBranch(req);
+  if (isBranchSender(req, 'sms.view')) {
+    assertBranchAdminBranch(req, 'sms.view');
     where.branch_id = req.user.branch_id;
     where.sender_id = req.user.id;
   } else {
     // Branch-admin sent SMS is private to the sender only
-    senderWhere.role = { [Op.ne]: ROLES.BRANCH_ADMIN };
+    senderWhere.role = { [Op.in]: ACADEMY_WIDE_SENDERS };
   }
 
   const messages = await SMS.findAndCountAll({
@@ -270,8 +279,8 @@ exports.getSMSById = asyncHandler(async (req, res) => {
     throw new AppError('SMS message not found', 404);
   }
 
-  assertBranchAdminOwnMessage(req, sms);
-  assertNoBranchAdminLeak(req, sms, sms.sender?.role);
+  assertBranchAdminOwnMessage(req, 'sms.view', sms);
+  assertNoBranchAdminLeak(req, 'sms.view', sms, sms.sender?.role);
 
   res.json({
     success: true,
@@ -290,8 +299,8 @@ exports.sendSMS = asyncHandler(async (req, res) => {
   let recipientList = [];
   let audienceType = recipient_type;
 
-  if (req.user.role === ROLES.BRANCH_ADMIN) {
-    assertBranchAdminBranch(req);
+  if (isBranchSender(req, 'sms.send')) {
+    assertBranchAdminBranch(req, 'sms.send');
 
     let requestedRoles = BRANCH_SMS_ALLOWED_ROLES;
     let requestedUsers = [];
@@ -478,7 +487,7 @@ exports.sendSMS = asyncHandler(async (req, res) => {
  */
 exports.sendToBranch = asyncHandler(async (req, res) => {
   const { message, branch_id, include_parents = true, include_staff = false } = req.body;
-  const targetBranchId = req.user.role === ROLES.BRANCH_ADMIN
+  const targetBranchId = isBranchSender(req, 'sms.send_branch')
     ? req.user.branch_id
     : (branch_id || req.user.branch_id);
 
@@ -486,7 +495,7 @@ exports.sendToBranch = asyncHandler(async (req, res) => {
     throw new AppError('Branch ID is required', 400);
   }
 
-  if (req.user.role === ROLES.BRANCH_ADMIN && String(targetBranchId) !== String(req.user.branch_id)) {
+  if (isBranchSender(req, 'sms.send_branch') && String(targetBranchId) !== String(req.user.branch_id)) {
     throw new AppError('You can only send to your own branch', 403);
   }
 
@@ -573,8 +582,8 @@ exports.sendToProgram = asyncHandler(async (req, res) => {
     throw new AppError('Program not found', 404);
   }
 
-  if (req.user.role === ROLES.BRANCH_ADMIN) {
-    assertBranchAdminBranch(req);
+  if (isBranchSender(req, 'sms.send_program')) {
+    assertBranchAdminBranch(req, 'sms.send_program');
     if (String(program.branch_id) !== String(req.user.branch_id)) {
       throw new AppError('You can only send to programs in your branch', 403);
     }
@@ -645,7 +654,7 @@ exports.scheduleSMS = asyncHandler(async (req, res) => {
     recipient_type,
     recipients: recipients || [],
     message,
-    branch_id: req.user.role === ROLES.BRANCH_ADMIN ? req.user.branch_id : (branch_id || req.user.branch_id),
+    branch_id: isBranchSender(req, 'sms.schedule') ? req.user.branch_id : (branch_id || req.user.branch_id),
     program_id,
     total_recipients: recipients?.length || 0,
     status: SMS_STATUS.PENDING,
@@ -673,8 +682,8 @@ exports.cancelScheduledSMS = asyncHandler(async (req, res) => {
     throw new AppError('SMS message not found', 404);
   }
 
-  assertBranchAdminOwnMessage(req, sms);
-  assertNoBranchAdminLeak(req, sms, sms.sender?.role);
+  assertBranchAdminOwnMessage(req, 'sms.schedule', sms);
+  assertNoBranchAdminLeak(req, 'sms.schedule', sms, sms.sender?.role);
 
   if (sms.status !== SMS_STATUS.PENDING) {
     throw new AppError('Only pending SMS can be cancelled', 400);
@@ -793,8 +802,8 @@ exports.getSMSStats = asyncHandler(async (req, res) => {
  */
 exports.getAutoSMSSettings = asyncHandler(async (req, res) => {
   const where = {};
-  if (req.user.role === ROLES.BRANCH_ADMIN) {
-    assertBranchAdminBranch(req);
+  if (isBranchSender(req, 'sms.auto_settings')) {
+    assertBranchAdminBranch(req, 'sms.auto_settings');
     where.branch_id = req.user.branch_id;
   }
 
@@ -824,7 +833,7 @@ exports.getAutoSMSSettingById = asyncHandler(async (req, res) => {
     throw new AppError('Auto SMS setting not found', 404);
   }
 
-  assertBranchAdminOwnAutoSetting(req, setting);
+  assertBranchAdminOwnAutoSetting(req, 'sms.auto_settings', setting);
 
   res.json({
     success: true,
@@ -855,8 +864,8 @@ exports.createAutoSMSSetting = asyncHandler(async (req, res) => {
   let effectiveTargetAudience = target_audience || null;
   let effectiveTargetRole = target_role || 'parent';
 
-  if (req.user.role === ROLES.BRANCH_ADMIN) {
-    assertBranchAdminBranch(req);
+  if (isBranchSender(req, 'sms.auto_settings')) {
+    assertBranchAdminBranch(req, 'sms.auto_settings');
     // Branch admins can only create branch-scoped custom auto SMS.
     effectiveType = 'custom';
     effectiveBranchId = req.user.branch_id;
@@ -904,7 +913,7 @@ exports.updateAutoSMSSetting = asyncHandler(async (req, res) => {
     throw new AppError('Auto SMS setting not found', 404);
   }
 
-  assertBranchAdminOwnAutoSetting(req, setting);
+  assertBranchAdminOwnAutoSetting(req, 'sms.auto_settings', setting);
 
   const {
     title, title_ar, enabled, trigger_mode, days_before, days_after, specific_date,
@@ -916,7 +925,7 @@ exports.updateAutoSMSSetting = asyncHandler(async (req, res) => {
   let effectiveTargetRole = target_role;
   let effectiveTargetAudience = target_audience;
 
-  if (req.user.role === ROLES.BRANCH_ADMIN) {
+  if (isBranchSender(req, 'sms.auto_settings')) {
     effectiveBranchId = req.user.branch_id;
     effectiveTargetRole = 'all';
     effectiveTargetAudience = target_audience !== undefined
@@ -963,7 +972,7 @@ exports.deleteAutoSMSSetting = asyncHandler(async (req, res) => {
     throw new AppError('Auto SMS setting not found', 404);
   }
 
-  assertBranchAdminOwnAutoSetting(req, setting);
+  assertBranchAdminOwnAutoSetting(req, 'sms.auto_settings', setting);
 
   await setting.destroy();
 
@@ -1039,8 +1048,8 @@ exports.updateSMS = asyncHandler(async (req, res) => {
     throw new AppError('SMS message not found', 404);
   }
 
-  assertBranchAdminOwnMessage(req, sms);
-  assertNoBranchAdminLeak(req, sms, sms.sender?.role);
+  assertBranchAdminOwnMessage(req, 'sms.schedule', sms);
+  assertNoBranchAdminLeak(req, 'sms.schedule', sms, sms.sender?.role);
 
   await sms.update({ message });
 
@@ -1065,8 +1074,8 @@ exports.deleteSMS = asyncHandler(async (req, res) => {
     throw new AppError('SMS message not found', 404);
   }
 
-  assertBranchAdminOwnMessage(req, sms);
-  assertNoBranchAdminLeak(req, sms, sms.sender?.role);
+  assertBranchAdminOwnMessage(req, 'sms.schedule', sms);
+  assertNoBranchAdminLeak(req, 'sms.schedule', sms, sms.sender?.role);
 
   await sms.destroy();
 
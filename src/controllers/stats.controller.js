@@ -4,7 +4,11 @@ const {
 } = require('../models');
 const { Op } = require('sequelize');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
-const { ROLES, PAYMENT_STATUS, PLAYER_STATUS } = require('../config/constants');
+const { ROLES, PAYMENT_STATUS, PLAYER_STATUS, CURRENT_SUBSCRIPTION_STATUSES } = require('../config/constants');
+const installmentService = require('../services/installment.service');
+const cashDrawerService = require('../services/cashDrawer.service');
+const exchangeRateService = require('../services/exchangeRate.service');
+const { roundToCurrency } = require('../utils/currency');
 
 /**
  * @desc    Get super admin dashboard statistics
@@ -73,7 +77,7 @@ exports.getSuperAdminStats = asyncHandler(async (req, res) => {
     }),
     
     // Active subscriptions
-    Subscription.count({ where: { status: 'active' } }),
+    Subscription.count({ where: { status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES } } }),
     
     // Total parents
     User.count({ where: { role: ROLES.PARENT, is_active: true } })
@@ -342,7 +346,7 @@ exports.getParentStats = asyncHandler(async (req, res) => {
     where: { [Op.or]: [{ parent_id: parentId }, { self_user_id: parentId }] },
     include: [
       { association: 'program', attributes: ['id', 'name', 'schedule'] },
-      { association: 'subscriptions', where: { status: 'active' }, required: false }
+      { association: 'subscriptions', where: { status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES } }, required: false }
     ]
   });
 
@@ -352,13 +356,14 @@ exports.getParentStats = asyncHandler(async (req, res) => {
     activeSubscriptions,
     pendingPayments,
     thisMonthAttendance,
-    thisMonthTotal
+    thisMonthTotal,
+    installmentSubscriptions
   ] = await Promise.all([
     // Active subscriptions
     Subscription.count({
       where: {
         player_id: { [Op.in]: childrenIds },
-        status: 'active'
+        status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES }
       }
     }),
     
@@ -368,7 +373,7 @@ exports.getParentStats = asyncHandler(async (req, res) => {
         player_id: { [Op.in]: childrenIds },
         status: PAYMENT_STATUS.PENDING
       },
-      attributes: ['id', 'invoice_number', 'total_amount', 'due_date'],
+      attributes: ['id', 'invoice_number', 'total_amount', 'due_date', 'installment_number'],
       include: [{ association: 'player', attributes: ['first_name', 'last_name'] }]
     }),
     
@@ -387,9 +392,29 @@ exports.getParentStats = asyncHandler(async (req, res) => {
         player_id: { [Op.in]: childrenIds },
         session_date: { [Op.gte]: startOfMonth.toISOString().split('T')[0] }
       }
+    }),
+
+    // Subscriptions being paid in installments
+    Subscription.findAll({
+      where: {
+        player_id: { [Op.in]: childrenIds },
+        installment_count: { [Op.ne]: null },
+        status: { [Op.in]: [...CURRENT_SUBSCRIPTION_STATUSES, 'frozen', 'suspended', 'pending'] }
+      },
+      include: [
+        { association: 'player', attributes: ['first_name', 'last_name'] },
+        { association: 'program', attributes: ['id', 'name'] }
+      ],
+      order: [['start_date', 'ASC']]
     })
   ]);
 
+  const installmentPlans = await Promise.all(installmentSubscriptions.map(async (subscription) => ({
+    ...installmentService.summarize(subscription, await installmentService.getPayments(subscription.id), now),
+    player_name: `${subscription.player?.first_name || ''} ${subscription.player?.last_name || ''}`,
+    program_name: subscription.program?.name
+  })));
+
   // Calculate upcoming sessions from training sessions
   const upcomingSessions = [];
   const programIds = children
@@ -448,8 +473,10 @@ exports.getParentStats = asyncHandler(async (req, res) => {
         invoice_number: p.invoice_number,
         amount: p.total_amount,
         due_date: p.due_date,
+        installment_number: p.installment_number,
         player_name: `${p.player?.first_name || ''} ${p.player?.last_name || ''}`
       })),
+      installment_plans: installmentPlans,
       upcoming_sessions: upcomingSessions,
       attendance_summary: {
         this_month_rate: parseFloat(attendanceRate),
@@ -461,12 +488,13 @@ exports.getParentStats = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get financial statistics
+ * @desc    Get financial statistics, converted to the reporting currency
+ *          (?currency=, default REPORTING_CURRENCY) at each payment day's rate
  * @route   GET /api/stats/financial
  * @access  Private/SuperAdmin/Accountant
  */
 exports.getFinancialStats = asyncHandler(async (req, res) => {
-  const { branch_id, from_date, to_date } = req.query;
+  const { branch_id, from_date, to_date, currency } = req.query;
   
   // Default to current month if no dates provided
   const now = new Date();
@@ -474,59 +502,43 @@ exports.getFinancialStats = asyncHandler(async (req, res) => {
   const toDate = to_date ? new Date(to_date) : now;
 
   const where = {
-    created_at: { [Op.between]: [fromDate, toDate] }
-  };
-
-  const completedWhere = {
-    ...where,
-    status: PAYMENT_STATUS.COMPLETED
-  };
-
-  const refundedWhere = {
-    ...where,
-    status: PAYMENT_STATUS.REFUNDED
+    created_at: { [Op.between]: [fromDate, toDate] },
+    status: { [Op.in]: [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.REFUNDED] }
   };
 
   if (branch_id) {
     where.branch_id = branch_id;
-    completedWhere.branch_id = branch_id;
-    refundedWhere.branch_id = branch_id;
   }
 
-  const [
-    totalIncome,
-    totalRefunds,
-    paymentCount,
-    revenueByBranch,
-    revenueByProgram,
-    paymentMethodsBreakdown
-  ] = await Promise.all([
-    // Total income
-    Payment.sum('total_amount', { where: completedWhere }),
-    
-    // Total refunds
-    Payment.sum('total_amount', { where: refundedWhere }),
-    
-    // Payment count
-    Payment.count({ where: completedWhere }),
-    
-    // Revenue by branch
+  const converter = await exchangeRateService.createConverter(currency);
+  const paidDay = sequelize.fn('DATE', sequelize.col('Payment.paid_at'));
+
+  const [paymentRows, programRows] = await Promise.all([
+    // Completed / refunded payments per currency and day (branch and method kept for the breakdowns)
     Payment.findAll({
-      where: completedWhere,
+      where,
       attributes: [
+        'status',
+        'currency',
         'branch_id',
+        'payment_method',
+        [paidDay, 'day'],
         [sequelize.fn('SUM', sequelize.col('total_amount')), 'total'],
-        [sequelize.fn('COUNT', sequelize.col('Payment.id')), 'count']
+        [sequelize.fn('SUM', sequelize.col('tax_amount')), 'vat'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
       ],
-      include: [{ association: 'branch', attributes: ['name', 'code'] }],
-      group: ['branch_id', 'branch.id', 'branch.name', 'branch.code']
+      group: ['status', 'currency', 'branch_id', 'payment_method', paidDay],
+      raw: true
     }),
     
     // Revenue by program (through subscriptions)
     Payment.findAll({
-      where: { ...completedWhere, type: 'subscription' },
+      where: { ...where, status: PAYMENT_STATUS.COMPLETED, type: 'subscription' },
       attributes: [
+        'currency',
+        [paidDay, 'day'],
         [sequelize.fn('SUM', sequelize.col('Payment.total_amount')), 'total'],
+        [sequelize.fn('SUM', sequelize.col('Payment.tax_amount')), 'vat'],
         [sequelize.fn('COUNT', sequelize.col('Payment.id')), 'count']
       ],
       include: [{
@@ -537,22 +549,67 @@ exports.getFinancialStats = asyncHandler(async (req, res) => {
           attributes: ['id', 'name']
         }]
       }],
-      group: ['subscription.program.id', 'subscription.program.name']
-    }),
-    
-    // Payment methods breakdown
-    Payment.findAll({
-      where: completedWhere,
-      attributes: [
-        'payment_method',
-        [sequelize.fn('SUM', sequelize.col('total_amount')), 'total'],
-        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
-      ],
-      group: ['payment_method']
+      group: ['Payment.currency', paidDay, 'subscription.program.id', 'subscription.program.name'],
+      raw: true
     })
   ]);
 
-  const netRevenue = (totalIncome || 0) - (totalRefunds || 0);
+  const round = (value) => roundToCurrency(value, converter.currency);
+  const convert = (row, field) => converter.convert(row[field] || 0, row.currency, row.day);
+  const addTo = (map, key, fields, row) => {
+    const bucket = map.get(key) || { total: 0, vat: 0, count: 0, ...fields };
+    bucket.total = round(bucket.total + convert(row, 'total'));
+    bucket.vat = round(bucket.vat + convert(row, 'vat'));
+    bucket.count += parseInt(row.count);
+    map.set(key, bucket);
+  };
+
+  let totalIncome = 0;
+  let totalRefunds = 0;
+  let totalVat = 0;
+  let refundedVat = 0;
+  let paymentCount = 0;
+  const byBranch = new Map();
+  const byMethod = new Map();
+  const byCurrency = new Map();
+
+  paymentRows.forEach((row) => {
+    const original = byCurrency.get(row.currency) || { currency: row.currency, total_income: 0, total_refunds: 0, payment_count: 0, converted_income: 0 };
+    byCurrency.set(row.currency, original);
+
+    if (row.status === PAYMENT_STATUS.REFUNDED) {
+      totalRefunds = round(totalRefunds + convert(row, 'total'));
+      refundedVat = round(refundedVat + convert(row, 'vat'));
+      original.total_refunds = roundToCurrency(original.total_refunds + (parseFloat(row.total) || 0), row.currency);
+      return;
+    }
+
+    totalIncome = round(totalIncome + convert(row, 'total'));
+    totalVat = round(totalVat + convert(row, 'vat'));
+    paymentCount += parseInt(row.count);
+    original.total_income = roundToCurrency(original.total_income + (parseFloat(row.total) || 0), row.currency);
+    original.converted_income = round(original.converted_income + convert(row, 'total'));
+    original.payment_count += parseInt(row.count);
+
+    addTo(byBranch, row.branch_id, { branch_id: row.branch_id }, row);
+    addTo(byMethod, row.payment_method, { method: row.payment_method }, row);
+  });
+
+  const byProgram = new Map();
+  programRows.forEach((row) => {
+    addTo(byProgram, row['subscription.program.id'], {
+      program_id: row['subscription.program.id'],
+      program_name: row['subscription.program.name'] || 'Unknown'
+    }, row);
+  });
+
+  const branches = byBranch.size
+    ? await Branch.findAll({ where: { id: [...byBranch.keys()].filter(Boolean) }, attributes: ['id', 'name', 'code'] })
+    : [];
+  const branchById = new Map(branches.map(branch => [branch.id, branch]));
+
+  const netRevenue = round(totalIncome - totalRefunds);
+  const vatCollected = round(totalVat - refundedVat);
 
   res.json({
     success: true,
@@ -561,28 +618,37 @@ exports.getFinancialStats = asyncHandler(async (req, res) => {
         from: fromDate.toISOString().split('T')[0],
         to: toDate.toISOString().split('T')[0]
       },
-      total_income: totalIncome || 0,
-      total_refunds: totalRefunds || 0,
+      currency: converter.currency,
+      total_income: totalIncome,
+      total_refunds: totalRefunds,
       net_revenue: netRevenue,
+      vat_collected: vatCollected,
+      net_revenue_excl_vat: round(netRevenue - vatCollected),
       payment_count: paymentCount,
-      revenue_by_branch: revenueByBranch.map(r => ({
+      revenue_by_branch: [...byBranch.values()].map(r => ({
         branch_id: r.branch_id,
-        branch_name: r.branch?.name || 'Unknown',
-        branch_code: r.branch?.code,
-        total: parseFloat(r.get('total')) || 0,
-        count: parseInt(r.get('count'))
+        branch_name: branchById.get(r.branch_id)?.name || 'Unknown',
+        branch_code: branchById.get(r.branch_id)?.code,
+        total: r.total,
+        vat: r.vat,
+        net: round(r.total - r.vat),
+        count: r.count
       })),
-      revenue_by_program: revenueByProgram.map(r => ({
-        program_id: r.subscription?.program?.id,
-        program_name: r.subscription?.program?.name || 'Unknown',
-        total: parseFloat(r.get('total')) || 0,
-        count: parseInt(r.get('count'))
+      revenue_by_program: [...byProgram.values()].map(r => ({
+        program_id: r.program_id,
+        program_name: r.program_name,
+        total: r.total,
+        vat: r.vat,
+        net: round(r.total - r.vat),
+        count: r.count
       })),
-      payment_methods_breakdown: paymentMethodsBreakdown.map(p => ({
-        method: p.payment_method,
-        total: parseFloat(p.get('total')) || 0,
-        count: parseInt(p.get('count'))
-      }))
+      payment_methods_breakdown: [...byMethod.values()].map(p => ({
+        method: p.method,
+        total: p.total,
+        count: p.count
+      })),
+      // Takings in the currency they were paid in
+      by_currency: [...byCurrency.values()]
     }
   });
 });
@@ -603,7 +669,8 @@ exports.getAccountantStats = asyncHandler(async (req, res) => {
     pendingPaymentsCount,
     todayPayments,
     todayRevenue,
-    overduePayments
+    overduePayments,
+    cashDrawers
   ] = await Promise.all([
     // Total revenue this month
     Payment.sum('total_amount', {
@@ -645,7 +712,10 @@ exports.getAccountantStats = asyncHandler(async (req, res) => {
         status: PAYMENT_STATUS.PENDING,
         due_date: { [Op.lt]: today }
       }
-    })
+    }),
+
+    // Front-desk cash drawers: open, awaiting sign-off, today's variance
+    cashDrawerService.getDashboard()
   ]);
 
   res.json({
@@ -660,8 +730,32 @@ exports.getAccountantStats = asyncHandler(async (req, res) => {
         payments_count: todayPayments,
         revenue: todayRevenue || 0
       },
-      overdue_payments_count: overduePayments
+      overdue_payments_count: overduePayments,
+      cash_drawers: cashDrawers
     }
   });
 });
 
+/**
+ * @desc    Cash drawer variance by branch and cashier
+ * @route   GET /api/stats/cash-drawers
+ * @access  Private (stats.financial)
+ */
+exports.getCashDrawerStats = asyncHandler(async (req, res) => {
+  const { branch_id, from_date, to_date } = req.query;
+
+  const [report, dashboard] = await Promise.all([
+    cashDrawerService.getVarianceReport({
+      branchIds: branch_id ? [branch_id] : null,
+      startDate: from_date || null,
+      endDate: to_date || null
+    }),
+    cashDrawerService.getDashboard({ branchIds: branch_id ? [branch_id] : null })
+  ]);
+
+  res.json({
+    success: true,
+    data: { ...report, current: dashboard }
+  });
+});
+
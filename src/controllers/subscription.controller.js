@@ -1,9 +1,15 @@
-const { Subscription, Player, Program, Branch, Payment, User, Notification, SubscriptionFreeze } = require('../models');
+const { sequelize, Subscription, Player, Program, Branch, Payment, User, Notification, SubscriptionFreeze } = require('../models');
 const { Op } = require('sequelize');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
-const { paginate, formatPaginationResponse } = require('../utils/helpers');
-const { ROLES, SUBSCRIPTION_STATUS } = require('../config/constants');
+const { paginate, formatPaginationResponse, toDateOnly, toAcademyDate, addMonths } = require('../utils/helpers');
+const { ROLES, SUBSCRIPTION_STATUS, CURRENT_SUBSCRIPTION_STATUSES } = require('../config/constants');
 const smsService = require('../services/sms.service');
+const autoRenewService = require('../services/autoRenew.service');
+const installmentService = require('../services/installment.service');
+const subscriptionLifecycle = require('../services/subscriptionLifecycle.service');
+const { scoped, assertBranchAccess } = require('../utils/branchScope');
+
+const branchPlayerInclude = { association: 'player', attributes: ['id', 'branch_id'] };
 
 /**
  * @desc    Get all subscriptions
@@ -27,15 +33,9 @@ exports.getAllSubscriptions = asyncHandler(async (req, res) => {
       attributes: ['id']
     });
     where.player_id = { [Op.in]: playerIds.map(p => p.id) };
-  } else if (req.user.role === ROLES.BRANCH_ADMIN && req.user.branch_id) {
-    const players = await Player.findAll({
-      where: { branch_id: req.user.branch_id },
-      attributes: ['id']
-    });
-    where.player_id = { [Op.in]: players.map(p => p.id) };
   }
 
-  const subscriptions = await Subscription.findAndCountAll({
+  const subscriptions = await scoped(Subscription, req).findAndCountAll({
     where,
     include: [
       { 
@@ -78,6 +78,7 @@ exports.getSubscriptionById = asyncHandler(async (req, res) => {
   if (!subscription) {
     throw new AppError('Subscription not found', 404);
   }
+  assertBranchAccess(req, subscription.player?.branch_id, 'Not authorized to access this subscription');
 
   res.json({
     success: true,
@@ -85,6 +86,72 @@ exports.getSubscriptionById = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Get the installment schedule of a subscription
+ * @route   GET /api/subscriptions/:id/installments
+ * @access  Private
+ */
+exports.getSubscriptionInstallments = asyncHandler(async (req, res) => {
+  const subscription = await Subscription.findByPk(req.params.id, {
+    include: [{ association: 'player', attributes: ['id', 'branch_id', 'parent_id', 'self_user_id'] }]
+  });
+
+  if (!subscription) {
+    throw new AppError('Subscription not found', 404);
+  }
+  if (req.user.role === ROLES.PARENT) {
+    if (subscription.player?.parent_id !== req.user.id && subscription.player?.self_user_id !== req.user.id) {
+      throw new AppError('Not authorized to access this subscription', 403);
+    }
+  } else {
+    assertBranchAccess(req, subscription.player?.branch_id, 'Not authorized to access this subscription');
+  }
+
+  if (!subscription.installment_count) {
+    throw new AppError('This subscription is not paid in installments', 400);
+  }
+
+  const payments = await installmentService.getPayments(subscription.id);
+
+  res.json({
+    success: true,
+    data: installmentService.summarize(subscription, payments)
+  });
+});
+
+/**
+ * @desc    Get the status history of a subscription
+ * @route   GET /api/subscriptions/:id/history
+ * @access  Private
+ */
+exports.getSubscriptionHistory = asyncHandler(async (req, res) => {
+  const subscription = await Subscription.findByPk(req.params.id, {
+    include: [{ association: 'player', attributes: ['id', 'branch_id', 'parent_id', 'self_user_id'] }]
+  });
+
+  if (!subscription) {
+    throw new AppError('Subscription not found', 404);
+  }
+  if (req.user.role === ROLES.PARENT) {
+    if (subscription.player?.parent_id !== req.user.id && subscription.player?.self_user_id !== req.user.id) {
+      throw new AppError('Not authorized to access this subscription', 403);
+    }
+  } else {
+    assertBranchAccess(req, subscription.player?.branch_id, 'Not authorized to access this subscription');
+  }
+
+  const events = await subscriptionLifecycle.getHistory(subscription.id);
+
+  res.json({
+    success: true,
+    data: {
+      subscription_id: subscription.id,
+      status: subscription.status,
+      events
+    }
+  });
+});
+
 /**
  * @desc    Create new subscription
  * @route   POST /api/subscriptions
@@ -98,6 +165,7 @@ exports.createSubscription = asyncHandler(async (req, res) => {
   if (!player) {
     throw new AppError('Player not found', 404);
   }
+  assertBranchAccess(req, player.branch_id, 'Player does not belong to your branch');
 
   // Validate program
   const program = await Program.findByPk(program_id);
@@ -155,6 +223,8 @@ exports.createSubscription = asyncHandler(async (req, res) => {
     total_amount: totalAmount,
     status: SUBSCRIPTION_STATUS.PENDING,
     notes: freezeNote || null
+  }, {
+    lifecycle: { source: 'manual', actorId: req.user.id }
   });
 
   res.status(201).json({
@@ -172,13 +242,23 @@ exports.createSubscription = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.updateSubscription = asyncHandler(async (req, res) => {
-  const subscription = await Subscription.findByPk(req.params.id);
+  const subscription = await Subscription.findByPk(req.params.id, {
+    include: [branchPlayerInclude]
+  });
 
   if (!subscription) {
     throw new AppError('Subscription not found', 404);
   }
-
-  await subscription.update(req.body);
+  assertBranchAccess(req, subscription.player?.branch_id, 'Not authorized to access this subscription');
+
+  // Status changes go through the lifecycle so they are validated and logged
+  const { status, status_reason, ...updates } = req.body;
+  await subscriptionLifecycle.transition(subscription, status || subscription.status, {
+    source: 'manual',
+    reason: status_reason || null,
+    actor: req.user,
+    updates
+  });
 
   res.json({
     success: true,
@@ -196,29 +276,54 @@ exports.renewSubscription = asyncHandler(async (req, res) => {
   const { duration_months = 1, amount } = req.body;
 
   const subscription = await Subscription.findByPk(req.params.id, {
-    include: [{ association: 'program' }]
+    include: [{ association: 'program' }, branchPlayerInclude]
   });
 
   if (!subscription) {
     throw new AppError('Subscription not found', 404);
   }
+  assertBranchAccess(req, subscription.player?.branch_id, 'Not authorized to access this subscription');
 
-  // Calculate new end date
-  const currentEndDate = new Date(subscription.end_date);
-  const newEndDate = new Date(currentEndDate);
-  newEndDate.setMonth(newEndDate.getMonth() + duration_months);
+  if (subscription.status === SUBSCRIPTION_STATUS.CANCELLED) {
+    throw new AppError('Cancelled subscriptions cannot be renewed', 400);
+  }
 
-  // Create new subscription or extend current
-  await subscription.update({
-    end_date: newEndDate,
-    status: SUBSCRIPTION_STATUS.ACTIVE,
-    amount: amount || subscription.program.price_monthly * duration_months
+  const renewal = await sequelize.transaction(async (transaction) => {
+    // Lock the row so a double submit can't renew the same period twice
+    await Subscription.findByPk(subscription.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const existing = await Subscription.findOne({
+      where: { renewed_from_id: subscription.id, status: { [Op.ne]: SUBSCRIPTION_STATUS.CANCELLED } },
+      transaction
+    });
+    if (existing) {
+      throw new AppError('This subscription has already been renewed; renew the latest subscription instead', 409);
+    }
+
+    // The renewal is a new period starting where this one ends (or today if it
+    // already has); the old row keeps its dates
+    const today = toAcademyDate();
+    const startDate = subscription.end_date > today ? subscription.end_date : today;
+    const renewalAmount = amount || subscription.program.price_monthly * duration_months;
+
+    return Subscription.create({
+      player_id: subscription.player_id,
+      program_id: subscription.program_id,
+      start_date: startDate,
+      end_date: toDateOnly(addMonths(startDate, parseInt(duration_months, 10))),
+      amount: renewalAmount,
+      total_amount: renewalAmount,
+      status: SUBSCRIPTION_STATUS.ACTIVE,
+      renewed_from_id: subscription.id
+    }, {
+      transaction,
+      lifecycle: { source: 'renewal', reason: `Renewal of ${subscription.id}`, actorId: req.user.id }
+    });
   });
 
-  res.json({
+  res.status(201).json({
     success: true,
     message: 'Subscription renewed successfully',
-    data: subscription
+    data: renewal
   });
 });
 
@@ -230,11 +335,14 @@ exports.renewSubscription = asyncHandler(async (req, res) => {
 exports.applyDiscount = asyncHandler(async (req, res) => {
   const { discount_type, discount_value, reason } = req.body;
 
-  const subscription = await Subscription.findByPk(req.params.id);
+  const subscription = await Subscription.findByPk(req.params.id, {
+    include: [branchPlayerInclude]
+  });
 
   if (!subscription) {
     throw new AppError('Subscription not found', 404);
   }
+  assertBranchAccess(req, subscription.player?.branch_id, 'Not authorized to access this subscription');
 
   let discountAmount = 0;
   if (discount_type === 'percentage') {
@@ -259,19 +367,64 @@ exports.applyDiscount = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Turn auto-renewal on or off with a saved card
+ * @route   PATCH /api/subscriptions/:id/auto-renew
+ * @access  Private (subscriptions.auto_renew)
+ */
+exports.updateAutoRenew = asyncHandler(async (req, res) => {
+  const { enabled, payment_method_id } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    throw new AppError('enabled must be true or false', 400);
+  }
+
+  const subscription = await Subscription.findByPk(req.params.id, {
+    include: [{ association: 'player', attributes: ['id', 'parent_id', 'self_user_id'] }]
+  });
+
+  if (!subscription) {
+    throw new AppError('Subscription not found', 404);
+  }
+
+  const player = subscription.player;
+  if (!player || (player.parent_id !== req.user.id && player.self_user_id !== req.user.id)) {
+    throw new AppError('Not authorized to manage this subscription', 403);
+  }
+
+  await autoRenewService.setAutoRenew(req.user, subscription, {
+    enabled,
+    paymentMethodId: payment_method_id
+  });
+
+  res.json({
+    success: true,
+    message: enabled ? 'Auto-renewal turned on' : 'Auto-renewal turned off',
+    data: subscription
+  });
+});
+
 /**
  * @desc    Cancel subscription
  * @route   PATCH /api/subscriptions/:id/cancel
  * @access  Private
  */
 exports.cancelSubscription = asyncHandler(async (req, res) => {
-  const subscription = await Subscription.findByPk(req.params.id);
+  const subscription = await Subscription.findByPk(req.params.id, {
+    include: [branchPlayerInclude]
+  });
 
   if (!subscription) {
     throw new AppError('Subscription not found', 404);
   }
+  assertBranchAccess(req, subscription.player?.branch_id, 'Not authorized to access this subscription');
 
-  await subscription.update({ status: SUBSCRIPTION_STATUS.CANCELLED });
+  await subscriptionLifecycle.transition(subscription, SUBSCRIPTION_STATUS.CANCELLED, {
+    source: 'manual',
+    reason: req.body?.reason || null,
+    actor: req.user,
+    updates: { is_auto_renew: false }
+  });
 
   res.json({
     success: true,
@@ -296,12 +449,13 @@ exports.getSubscriptionStats = asyncHandler(async (req, res) => {
     playerWhere = { player_id: { [Op.in]: players.map(p => p.id) } };
   }
 
+  const BranchSubscription = scoped(Subscription, req);
   const [total, active, expired, pending, cancelled] = await Promise.all([
-    Subscription.count({ where: playerWhere }),
-    Subscription.count({ where: { ...playerWhere, status: SUBSCRIPTION_STATUS.ACTIVE } }),
-    Subscription.count({ where: { ...playerWhere, status: SUBSCRIPTION_STATUS.EXPIRED } }),
-    Subscription.count({ where: { ...playerWhere, status: SUBSCRIPTION_STATUS.PENDING } }),
-    Subscription.count({ where: { ...playerWhere, status: SUBSCRIPTION_STATUS.CANCELLED } })
+    BranchSubscription.count({ where: playerWhere }),
+    BranchSubscription.count({ where: { ...playerWhere, status: SUBSCRIPTION_STATUS.ACTIVE } }),
+    BranchSubscription.count({ where: { ...playerWhere, status: SUBSCRIPTION_STATUS.EXPIRED } }),
+    BranchSubscription.count({ where: { ...playerWhere, status: SUBSCRIPTION_STATUS.PENDING } }),
+    BranchSubscription.count({ where: { ...playerWhere, status: SUBSCRIPTION_STATUS.CANCELLED } })
   ]);
 
   res.json({
@@ -327,9 +481,9 @@ exports.getExpiringSubscriptions = asyncHandler(async (req, res) => {
   const expiryDate = new Date();
   expiryDate.setDate(expiryDate.getDate() + parseInt(days));
 
-  const subscriptions = await Subscription.findAll({
+  const subscriptions = await scoped(Subscription, req).findAll({
     where: {
-      status: SUBSCRIPTION_STATUS.ACTIVE,
+      status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES },
       end_date: {
         [Op.between]: [new Date(), expiryDate]
       }
@@ -353,23 +507,37 @@ exports.getExpiringSubscriptions = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getOverdueSubscriptions = asyncHandler(async (req, res) => {
-  const subscriptions = await Subscription.findAll({
-    where: {
-      status: SUBSCRIPTION_STATUS.ACTIVE,
-      end_date: {
-        [Op.lt]: new Date()
-      }
-    },
-    include: [
-      { association: 'player', include: [{ association: 'parent', attributes: ['id', 'phone', 'first_name'] }] },
-      { association: 'program', attributes: ['id', 'name'] }
-    ],
-    order: [['end_date', 'ASC']]
-  });
+  const [expired, installmentOverdue] = await Promise.all([
+    scoped(Subscription, req).findAll({
+      where: {
+        status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES },
+        end_date: {
+          [Op.lt]: new Date()
+        }
+      },
+      include: [
+        { association: 'player', include: [{ association: 'parent', attributes: ['id', 'phone', 'first_name'] }] },
+        { association: 'program', attributes: ['id', 'name'] }
+      ],
+      order: [['end_date', 'ASC']]
+    }),
+    // Active or already suspended for an unpaid installment
+    installmentService.findOverdue({ Model: scoped(Subscription, req) })
+  ]);
+
+  const expiredIds = new Set(expired.map(s => s.id));
 
   res.json({
     success: true,
-    data: subscriptions
+    data: [
+      ...expired.map(s => ({ ...s.toJSON(), overdue_reason: 'expired' })),
+      ...installmentOverdue
+        .filter(s => !expiredIds.has(s.id))
+        .map((s) => {
+          const { payments, ...subscription } = s.toJSON();
+          return { ...subscription, overdue_reason: 'installment', overdue_installments: payments };
+        })
+    ]
   });
 });
 
@@ -397,6 +565,7 @@ exports.sendRenewalReminder = asyncHandler(async (req, res) => {
   if (!subscription) {
     throw new AppError('Subscription not found', 404);
   }
+  assertBranchAccess(req, subscription.player?.branch_id, 'Not authorized to access this subscription');
 
   const parent = subscription.player?.parent;
   if (!parent) {
@@ -469,7 +638,7 @@ exports.sendBulkReminders = asyncHandler(async (req, res) => {
     throw new AppError('Please provide subscription IDs', 400);
   }
 
-  const subscriptions = await Subscription.findAll({
+  const subscriptions = await scoped(Subscription, req).findAll({
     where: { id: { [Op.in]: subscription_ids } },
     include: [
       { 
@@ -574,44 +743,45 @@ exports.getExpirySummary = asyncHandler(async (req, res) => {
   const in14Days = new Date(today.getTime() + 14 * 24 * 60 * 60 * 1000);
   const in30Days = new Date(today.getTime() + 30 * 24 * 60 * 60 * 1000);
 
+  const BranchSubscription = scoped(Subscription, req);
   const [expired, critical, urgent, soon, upcoming] = await Promise.all([
     // Already expired
-    Subscription.count({
+    BranchSubscription.count({
       where: {
         ...playerWhere,
-        status: SUBSCRIPTION_STATUS.ACTIVE,
+        status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES },
         end_date: { [Op.lt]: today }
       }
     }),
     // Critical: Expires within 3 days
-    Subscription.count({
+    BranchSubscription.count({
       where: {
         ...playerWhere,
-        status: SUBSCRIPTION_STATUS.ACTIVE,
+        status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES },
         end_date: { [Op.between]: [today, in3Days] }
       }
     }),
     // Urgent: Expires within 7 days
-    Subscription.count({
+    BranchSubscription.count({
       where: {
         ...playerWhere,
-        status: SUBSCRIPTION_STATUS.ACTIVE,
+        status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES },
         end_date: { [Op.between]: [in3Days, in7Days] }
       }
     }),
     // Soon: Expires within 14 days
-    Subscription.count({
+    BranchSubscription.count({
       where: {
         ...playerWhere,
-        status: SUBSCRIPTION_STATUS.ACTIVE,
+        status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES },
         end_date: { [Op.between]: [in7Days, in14Days] }
       }
     }),
     // Upcoming: Expires within 30 days
-    Subscription.count({
+    BranchSubscription.count({
       where: {
         ...playerWhere,
-        status: SUBSCRIPTION_STATUS.ACTIVE,
+        status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES },
         end_date: { [Op.between]: [in14Days, in30Days] }
       }
     })
@@ -1,8 +1,8 @@
-const { SubscriptionFreeze, Subscription, Branch, Program, Player, User } = require('../models');
+const { SubscriptionFreeze, Branch, Program, Player } = require('../models');
 const { Op, literal } = require('sequelize');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const { paginate, formatPaginationResponse } = require('../utils/helpers');
-const NotificationService = require('../services/notification.service');
+const subscriptionLifecycle = require('../services/subscriptionLifecycle.service');
 const { ROLES } = require('../config/constants');
 
 const includeAssociations = [
@@ -12,146 +12,6 @@ const includeAssociations = [
   { association: 'creator', attributes: ['id', 'first_name', 'last_name'] }
 ];
 
-/**
- * Calculate freeze days between two dates (inclusive)
- */
-function calcFreezeDays(startDate, endDate) {
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  return Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
-}
-
-/**
- * Build subscription WHERE clause based on freeze scope
- */
-function buildScopeWhere(freeze) {
-  const where = {
-    status: { [Op.in]: ['active', 'pending'] },
-    end_date: { [Op.gte]: freeze.start_date }
-  };
-
-  if (freeze.scope === 'program') {
-    where.program_id = freeze.program_id;
-  } else if (freeze.scope === 'branch') {
-    // For branch scope, need to find programs in that branch then filter subscriptions
-    // We'll handle this with include below
-  }
-  if (freeze.player_id) {
-    where.player_id = freeze.player_id;
-  }
-  // global: no extra filter
-
-  return where;
-}
-
-/**
- * Get affected subscriptions for a freeze
- */
-async function getAffectedSubscriptions(freeze) {
-  const where = buildScopeWhere(freeze);
-  const include = [];
-
-  if (freeze.scope === 'branch') {
-    include.push({
-      model: Program,
-      as: 'program',
-      attributes: ['id', 'name'],
-      where: { branch_id: freeze.branch_id },
-      required: true
-    });
-  }
-
-  return Subscription.findAll({ where, include });
-}
-
-/**
- * Extend subscription end dates by freeze_days
- */
-async function extendSubscriptions(freeze) {
-  const subscriptions = await getAffectedSubscriptions(freeze);
-
-  for (const sub of subscriptions) {
-    const currentEnd = new Date(sub.end_date);
-    currentEnd.setDate(currentEnd.getDate() + freeze.freeze_days);
-    const newEndDate = currentEnd.toISOString().split('T')[0];
-
-    await sub.update({
-      end_date: newEndDate,
-      notes: (sub.notes || '') + `\n[Freeze] Extended ${freeze.freeze_days} days - ${freeze.title} (${freeze.start_date} to ${freeze.end_date})`
-    });
-  }
-
-  return subscriptions.length;
-}
-
-/**
- * Revert subscription end dates by freeze_days (undo)
- */
-async function revertSubscriptions(freeze) {
-  const subscriptions = await getAffectedSubscriptions(freeze);
-
-  for (const sub of subscriptions) {
-    const currentEnd = new Date(sub.end_date);
-    currentEnd.setDate(currentEnd.getDate() - freeze.freeze_days);
-    const newEndDate = currentEnd.toISOString().split('T')[0];
-
-    await sub.update({
-      end_date: newEndDate,
-      notes: (sub.notes || '') + `\n[Freeze Cancelled] Reverted ${freeze.freeze_days} days - ${freeze.title}`
-    });
-  }
-
-  return subscriptions.length;
-}
-
-/**
- * Notify parents about a freeze
- */
-async function notifyParentsAboutFreeze(freeze, isCancellation = false) {
-  try {
-    const subscriptions = await getAffectedSubscriptions(freeze);
-
-    // Collect unique parent IDs from affected players
-    const playerIds = [...new Set(subscriptions.map(s => s.player_id))];
-    const players = await Player.findAll({
-      where: { id: { [Op.in]: playerIds } },
-      attributes: ['id', 'first_name', 'last_name', 'parent_id'],
-      include: [{ model: User, as: 'parent', attributes: ['id'] }]
-    });
-
-    const parentIds = [...new Set(players.filter(p => p.parent_id).map(p => p.parent_id))];
-
-    const scopeText = freeze.scope === 'global' ? 'all branches' :
-      freeze.scope === 'branch' ? `branch` : `program`;
-
-    for (const parentId of parentIds) {
-      if (isCancellation) {
-        await NotificationService.create({
-          userId: parentId,
-          type: 'freeze_cancelled',
-          title: `Subscription Freeze Cancelled: ${freeze.title}`,
-          titleAr: `تم إلغاء تجميد الاشتراك: ${freeze.title_ar || freeze.title}`,
-          message: `The subscription freeze "${freeze.title}" (${freeze.start_date} to ${freeze.end_date}) has been cancelled. ${freeze.freeze_days} days have been subtracted back from your subscription.`,
-          messageAr: `تم إلغاء تجميد الاشتراك "${freeze.title_ar || freeze.title}" (${freeze.start_date} إلى ${freeze.end_date}). تم خصم ${freeze.freeze_days} أيام من اشتراكك.`,
-          data: { freeze_id: freeze.id }
-        });
-      } else {
-        await NotificationService.create({
-          userId: parentId,
-          type: 'freeze_created',
-          title: `Subscription Frozen: ${freeze.title}`,
-          titleAr: `تجميد الاشتراك: ${freeze.title_ar || freeze.title}`,
-          message: `Your subscription has been extended by ${freeze.freeze_days} days due to "${freeze.title}" (${freeze.start_date} to ${freeze.end_date}). No action needed.`,
-          messageAr: `تم تمديد اشتراكك ${freeze.freeze_days} أيام بسبب "${freeze.title_ar || freeze.title}" (${freeze.start_date} إلى ${freeze.end_date}). لا حاجة لأي إجراء.`,
-          data: { freeze_id: freeze.id }
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Failed to notify parents about freeze:', error);
-  }
-}
-
 // ─────────────────────────────────────────────
 // CONTROLLER METHODS
 // ─────────────────────────────────────────────
@@ -269,55 +129,32 @@ exports.createFreeze = asyncHandler(async (req, res) => {
   }
 
   // Check for overlapping freezes with same scope
-  const overlap = await SubscriptionFreeze.findOne({
-    where: {
-      status: { [Op.in]: ['scheduled', 'active'] },
-      start_date: { [Op.lte]: end_date },
-      end_date: { [Op.gte]: start_date },
-      ...(effectiveScope === 'branch' ? { branch_id: effectiveBranchId } : {}),
-      ...(effectiveScope === 'program' ? { program_id: effectiveProgramId } : {}),
-      ...(effectiveScope === 'program' ? { player_id: effectivePlayerId || null } : {}),
-      scope: effectiveScope
-    }
+  const overlap = await subscriptionLifecycle.findOverlappingFreeze({
+    scope: effectiveScope,
+    branchId: effectiveBranchId,
+    programId: effectiveProgramId,
+    playerId: effectivePlayerId,
+    startDate: start_date,
+    endDate: end_date
   });
 
   if (overlap) {
     throw new AppError('An overlapping freeze already exists for this scope', 400);
   }
 
-  const freeze_days = calcFreezeDays(start_date, end_date);
-
-  // Determine initial status
-  const today = new Date().toISOString().split('T')[0];
-  let initialStatus = 'scheduled';
-  if (start_date <= today && end_date >= today) {
-    initialStatus = 'active';
-  } else if (end_date < today) {
-    initialStatus = 'completed';
-  }
-
-  const freeze = await SubscriptionFreeze.create({
+  // Applied immediately: matching subscriptions are extended and parents notified
+  const freeze = await subscriptionLifecycle.createFreeze({
     title,
     title_ar: title_ar || null,
     start_date,
     end_date,
-    freeze_days,
     scope: effectiveScope,
     branch_id: (effectiveScope === 'branch' || effectiveScope === 'program') ? effectiveBranchId : null,
     program_id: effectiveScope === 'program' ? effectiveProgramId : null,
-    player_id: effectiveScope === 'program' ? effectivePlayerId : null,
-    status: initialStatus,
-    created_by: req.user.id,
-    applied: false,
-    subscriptions_affected: 0
-  });
-
-  // Immediately apply: extend all matching subscriptions
-  const affected = await extendSubscriptions(freeze);
-  await freeze.update({ applied: true, subscriptions_affected: affected });
-
-  // Notify parents
-  await notifyParentsAboutFreeze(freeze, false);
+    player_id: effectiveScope === 'program' ? effectivePlayerId : null
+  }, { actor: req.user });
+  const affected = freeze.subscriptions_affected;
+  const freeze_days = freeze.freeze_days;
 
   // Reload with associations
   const result = await SubscriptionFreeze.findByPk(freeze.id, { include: includeAssociations });
@@ -358,19 +195,8 @@ exports.updateFreeze = asyncHandler(async (req, res) => {
       throw new AppError('Cannot cancel a completed freeze', 400);
     }
 
-    // Revert: subtract freeze days back from subscriptions
-    if (freeze.applied) {
-      const reverted = await revertSubscriptions(freeze);
-      await freeze.update({
-        status: 'cancelled',
-        subscriptions_affected: reverted
-      });
-
-      // Notify parents about cancellation
-      await notifyParentsAboutFreeze(freeze, true);
-    } else {
-      await freeze.update({ status: 'cancelled' });
-    }
+    // Revert: subtract freeze days back from subscriptions and notify parents
+    await subscriptionLifecycle.cancelFreeze(freeze);
 
     const result = await SubscriptionFreeze.findByPk(freeze.id, { include: includeAssociations });
 
@@ -3,6 +3,21 @@ const { Op } = require('sequelize');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const { paginate, formatPaginationResponse } = require('../utils/helpers');
 const { ROLES } = require('../config/constants');
+const permissionService = require('../services/permission.service');
+
+/**
+ * Validate permission overrides submitted with a user form.
+ * Requires permissions.manage and never lets an admin grant more than they hold.
+ */
+const resolvePermissionOverrides = (actor, permissions) => {
+  if (!permissionService.hasPermission(actor, 'permissions.manage')) {
+    throw new AppError('You do not have permission to change user permissions', 403);
+  }
+
+  const overrides = permissionService.normalizeOverrides(permissions);
+  permissionService.assertCanGrant(actor, overrides.grant);
+  return overrides;
+};
 
 /**
  * @desc    Get all users
@@ -132,7 +147,7 @@ exports.createUser = asyncHandler(async (req, res) => {
   if (email) userData.email = email;
   if (password) userData.password = password;
   if (name_ar) userData.name_ar = name_ar;
-  if (permissions) userData.permissions = permissions;
+  if (permissions) userData.permissions = resolvePermissionOverrides(req.user, permissions);
 
   const user = await User.create(userData);
 
@@ -307,9 +322,15 @@ exports.updateUser = asyncHandler(async (req, res) => {
     updateData.name_ar = name_ar;
   }
 
-  // Add permissions if provided (for super_admin users)
+  // Per-user permission overrides ({ grant, revoke })
   if (permissions !== undefined) {
-    updateData.permissions = permissions;
+    if (user.role === ROLES.OWNER) {
+      throw new AppError('Owners always hold every permission', 400);
+    }
+    if (user.id === req.user.id) {
+      throw new AppError('You cannot change your own permissions', 403);
+    }
+    updateData.permissions = permissions === null ? null : resolvePermissionOverrides(req.user, permissions);
   }
 
   // Update password if provided (password reset by admin)
@@ -12,6 +12,12 @@ const {
   Announcement
 } = require('../models');
 const smsService = require('../services/sms.service');
+const autoRenewService = require('../services/autoRenew.service');
+const installmentService = require('../services/installment.service');
+const subscriptionLifecycle = require('../services/subscriptionLifecycle.service');
+const waitlistService = require('../services/waitlist.service');
+const scheduleService = require('../services/schedule.service');
+const { CURRENT_SUBSCRIPTION_STATUSES } = require('../config/constants');
 const { formatPhoneNumber } = require('../utils/helpers');
 const { emitAnnouncementCreated } = require('../socket');
 
@@ -23,6 +29,10 @@ class SMSScheduler {
     this.jobs = [];
     this.isRunning = false;
     this.isAutoAnnouncementsRunning = false;
+    this.isAutoRenewRunning = false;
+    this.isInstallmentsRunning = false;
+    this.isLifecycleRunning = false;
+    this.isWaitlistRunning = false;
   }
 
   /**
@@ -52,7 +62,50 @@ class SMSScheduler {
 
     this.jobs.push(autoAnnouncementsJob);
 
-    console.log('✅ Scheduler initialized. Jobs: SMS daily at 9:00 AM and automatic announcements every minute (Asia/Riyadh)');
+    // Subscription auto-renewal charges - runs daily at 8:00 AM
+    const autoRenewJob = cron.schedule('0 8 * * *', async () => {
+      console.log('⏰ Running subscription auto-renewals at', new Date().toISOString());
+      await this.runAutoRenewals();
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Riyadh'
+    });
+
+    this.jobs.push(autoRenewJob);
+
+    // Suspend subscriptions with overdue installments - runs daily at 8:30 AM
+    const installmentsJob = cron.schedule('30 8 * * *', async () => {
+      console.log('⏰ Checking overdue installments at', new Date().toISOString());
+      await this.runInstallmentSuspensions();
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Riyadh'
+    });
+
+    this.jobs.push(installmentsJob);
+
+    // Subscription lifecycle (freeze, expiring, expired) - runs daily at 00:05 AM
+    const lifecycleJob = cron.schedule('5 0 * * *', async () => {
+      console.log('⏰ Running subscription lifecycle transitions at', new Date().toISOString());
+      await this.runSubscriptionLifecycle();
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Riyadh'
+    });
+
+    this.jobs.push(lifecycleJob);
+
+    // Waitlist offers (expire, cascade to the next family) - runs every 15 minutes
+    const waitlistJob = cron.schedule('*/15 * * * *', async () => {
+      await this.runWaitlistOffers();
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Riyadh'
+    });
+
+    this.jobs.push(waitlistJob);
+
+    console.log('✅ Scheduler initialized. Jobs: subscription lifecycle daily at 00:05 AM, SMS daily at 9:00 AM, auto-renewals daily at 8:00 AM, overdue installments daily at 8:30 AM, waitlist offers every 15 minutes and automatic announcements every minute (Asia/Riyadh)');
   }
 
   /**
@@ -122,6 +175,99 @@ class SMSScheduler {
     }
   }
 
+  /**
+   * Charge saved cards for subscriptions due for auto-renewal
+   */
+  async runAutoRenewals() {
+    if (this.isAutoRenewRunning) {
+      console.log('⚠️ Auto-renewal already running, skipping...');
+      return { skipped: true };
+    }
+
+    this.isAutoRenewRunning = true;
+
+    try {
+      const results = await autoRenewService.processDueRenewals();
+      console.log('📊 Auto-renewal Results:', results);
+      return results;
+    } catch (error) {
+      console.error('❌ Auto-renewal Error:', error);
+      return { error: error.message };
+    } finally {
+      this.isAutoRenewRunning = false;
+    }
+  }
+
+  /**
+   * Suspend subscriptions whose installments are overdue
+   */
+  async runInstallmentSuspensions() {
+    if (this.isInstallmentsRunning) {
+      console.log('⚠️ Installment check already running, skipping...');
+      return { skipped: true };
+    }
+
+    this.isInstallmentsRunning = true;
+
+    try {
+      const results = await installmentService.suspendOverdue();
+      console.log('📊 Overdue installment Results:', results);
+      return results;
+    } catch (error) {
+      console.error('❌ Overdue installment Error:', error);
+      return { error: error.message };
+    } finally {
+      this.isInstallmentsRunning = false;
+    }
+  }
+
+  /**
+   * Move subscriptions along their lifecycle (frozen, expiring, expired)
+   */
+  async runSubscriptionLifecycle() {
+    if (this.isLifecycleRunning) {
+      console.log('⚠️ Subscription lifecycle already running, skipping...');
+      return { skipped: true };
+    }
+
+    this.isLifecycleRunning = true;
+
+    try {
+      const results = await subscriptionLifecycle.runDailyTransitions();
+      console.log('📊 Subscription lifecycle Results:', results);
+      return results;
+    } catch (error) {
+      console.error('❌ Subscription lifecycle Error:', error);
+      return { error: error.message };
+    } finally {
+      this.isLifecycleRunning = false;
+    }
+  }
+
+  /**
+   * Expire unanswered waitlist offers and offer free spots to the next families
+   */
+  async runWaitlistOffers() {
+    if (this.isWaitlistRunning) {
+      return { skipped: true };
+    }
+
+    this.isWaitlistRunning = true;
+
+    try {
+      const results = await waitlistService.processExpired();
+      if (results.expired || results.offered) {
+        console.log('📊 Waitlist Results:', results);
+      }
+      return results;
+    } catch (error) {
+      console.error('❌ Waitlist Error:', error);
+      return { error: error.message };
+    } finally {
+      this.isWaitlistRunning = false;
+    }
+  }
+
   /**
    * Run automatic announcements scheduler
    */
@@ -138,13 +284,18 @@ class SMSScheduler {
       const announcements = await AutomaticAnnouncement.findAll({
         where: { is_active: true }
       });
+      const closed = await scheduleService.getClosedBranches(now.dateStr);
 
       for (const autoAnnouncement of announcements) {
         if (!this.shouldSendAutomaticAnnouncement(autoAnnouncement, now)) {
           continue;
         }
 
+        // Nothing goes out on days the academy (or the targeted branch) is closed
         const targetBranchId = this.getTargetBranchIdFromAudience(autoAnnouncement.target_audience);
+        if (closed.all || (targetBranchId && scheduleService.isBranchClosed(closed, targetBranchId))) {
+          continue;
+        }
         const createdAnnouncement = await Announcement.create({
           title: autoAnnouncement.name,
           content: autoAnnouncement.message,
@@ -295,7 +446,7 @@ class SMSScheduler {
 
     // Find expiring subscriptions
     const whereClause = {
-      status: 'active',
+      status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES },
       end_date: targetDateStr
     };
 
@@ -495,10 +646,11 @@ class SMSScheduler {
       ]
     });
 
-    // Filter programs that have sessions on that day
+    // Filter programs that have sessions on that day, skipping closed branches
+    const closed = await scheduleService.getClosedBranches(tomorrow.toISOString().split('T')[0]);
     const programsWithSessions = programs.filter(program => {
       const schedule = program.schedule || [];
-      return schedule.some(s => s.day?.toLowerCase() === dayOfWeek);
+      return schedule.some(s => s.day?.toLowerCase() === dayOfWeek) && !scheduleService.isBranchClosed(closed, program.branch_id);
     });
 
     // Group by parent
@@ -632,7 +784,7 @@ class SMSScheduler {
             const targetDateStr = targetDate.toISOString().split('T')[0];
 
             const count = await Subscription.count({
-              where: { status: 'active', end_date: targetDateStr }
+              where: { status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES }, end_date: targetDateStr }
             });
             shouldSend = count > 0;
           }
@@ -644,7 +796,7 @@ class SMSScheduler {
           const targetDateStr = targetDate.toISOString().split('T')[0];
 
           const count = await Subscription.count({
-            where: { status: 'active', end_date: targetDateStr }
+            where: { status: 'expired', end_date: targetDateStr }
           });
           shouldSend = count > 0;
         }
@@ -730,7 +882,7 @@ class SMSScheduler {
     return {
       isRunning: this.isRunning,
       jobsCount: this.jobs.length,
-      nextRun: this.jobs.length > 0 ? 'Auto SMS daily at 09:00 AM, automatic announcements every minute (Asia/Riyadh)' : 'Not scheduled'
+      nextRun: this.jobs.length > 0 ? 'Subscription lifecycle daily at 00:05 AM, auto SMS daily at 09:00 AM, auto-renewals daily at 08:00 AM, overdue installments daily at 08:30 AM, waitlist offers every 15 minutes, automatic announcements every minute (Asia/Riyadh)' : 'Not scheduled'
     };
   }
 }
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { User, Session } = require('../models');
 const { ROLES, ROLE_HIERARCHY } = require('../config/constants');
+const permissionService = require('../services/permission.service');
 
 /**
  * Verify JWT token and attach user to request
@@ -95,6 +96,46 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate two-factor enrolment: either a normal session, or the setup
+ * token login issues when policy requires 2FA for a user who hasn't enrolled
+ */
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  const setupToken = req.body?.setup_token;
+
+  if (!setupToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(setupToken, process.env.JWT_SECRET);
+    if (decoded.type !== '2fa_setup') {
+      throw new Error('Invalid token type');
+    }
+
+    const user = await User.findByPk(decoded.userId, {
+      attributes: { exclude: ['password', 'password_reset_token', 'password_reset_expires'] }
+    });
+
+    if (!user || !user.is_active) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    req.user = user;
+    req.twoFactorSetup = true;
+
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired setup token. Please login again.'
+    });
+  }
+};
+
 /**
  * Check if user has required role(s)
  * @param  {...string} allowedRoles - Roles that are allowed to access the route
@@ -119,6 +160,30 @@ const authorize = (...allowedRoles) => {
   };
 };
 
+/**
+ * Check if user holds a permission (role default or per-user grant)
+ * @param  {...string} permissions - Any one of these is sufficient
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.'
+      });
+    }
+
+    if (!permissionService.hasPermission(req.user, ...permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action.'
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Check if user has minimum role level
  * @param {string} minimumRole - Minimum role required
@@ -159,6 +224,11 @@ const optionalAuth = async (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Refresh / two-factor tokens are not access tokens
+    if (decoded.type) {
+      return next();
+    }
     
     const user = await User.findByPk(decoded.userId, {
       attributes: { exclude: ['password', 'password_reset_token', 'password_reset_expires'] }
@@ -204,7 +274,9 @@ const authorizeOwnerOrAdmin = (ownerField = 'user_id') => {
 
 module.exports = {
   authenticate,
+  authenticateTwoFactorSetup,
   authorize,
+  requirePermission,
   authorizeMinimum,
   optionalAuth,
   authorizeOwnerOrAdmin,
@@ -0,0 +1,48 @@
+const { resolveBranchIds } = require('../utils/branchScope');
+
+const forbidden = (res, message) => res.status(403).json({
+  success: false,
+  message
+});
+
+/**
+ * Resolve the caller's branches into req.branchScope and reject requests that
+ * name another branch via the query string or body.branch_id. Use after authenticate.
+ */
+const scopeToBranch = async (req, res, next) => {
+  try {
+    const branchIds = await resolveBranchIds(req.user);
+
+    if (branchIds && branchIds.length === 0) {
+      return forbidden(res, 'Your account is not assigned to a branch.');
+    }
+
+    req.branchScope = branchIds;
+
+    if (branchIds) {
+      const requested = [req.query.branch_id, req.query.branchId, req.body?.branch_id].filter(Boolean);
+      if (requested.some(id => !branchIds.includes(String(id)))) {
+        return forbidden(res, 'You can only access data from your own branch.');
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * router.param handler for :branchId route segments
+ */
+const checkBranchParam = (req, res, next, branchId) => {
+  if (req.branchScope && !req.branchScope.includes(String(branchId))) {
+    return forbidden(res, 'You can only access data from your own branch.');
+  }
+  next();
+};
+
+module.exports = {
+  scopeToBranch,
+  checkBranchParam
+};
@@ -0,0 +1,119 @@
+const { MemoryStore, RedisStore } = require('../utils/rateLimitStore');
+const { formatPhoneNumber } = require('../utils/helpers');
+const NotificationService = require('../services/notification.service');
+const { RATE_LIMITS } = require('../config/constants');
+
+/**
+ * Pick the counter store. RATE_LIMIT_REDIS_URL switches to Redis when a
+ * client library is installed; otherwise counters live in process memory.
+ */
+const createStore = () => {
+  if (process.env.RATE_LIMIT_REDIS_URL) {
+    try {
+      const Redis = require('ioredis');
+      return new RedisStore(new Redis(process.env.RATE_LIMIT_REDIS_URL));
+    } catch (error) {
+      console.warn('⚠️ RATE_LIMIT_REDIS_URL is set but ioredis is not installed. Using in-memory rate limiting.');
+    }
+  }
+  return new MemoryStore();
+};
+
+let store = createStore();
+
+const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+const getRateLimitStore = () => store;
+
+/**
+ * Extract the value each limit is keyed by (null = skip that limit)
+ */
+const keyGenerators = {
+  ip: (req) => req.ip,
+  phone: (req) => (req.body?.phone ? formatPhoneNumber(req.body.phone) : null),
+  email: (req) => (req.body?.email ? String(req.body.email).trim().toLowerCase() : null)
+};
+
+const sendAlert = async (name, keyType, id, req) => {
+  try {
+    await NotificationService.notifySystemAlert(
+      'Auth rate limit reached',
+      `Too many ${name} requests from ${keyType} ${id}. Further requests are blocked until the window resets.`,
+      { limiter: name, key_type: keyType, key: id, ip: req.ip, path: req.originalUrl }
+    );
+  } catch (error) {
+    console.error('Failed to send rate limit alert:', error);
+  }
+};
+
+/**
+ * Create a rate limiting middleware
+ * @param {string} name - Limiter name (namespaces the counters)
+ * @param {Object} config - { windowMs, ip?, phone?, email? } max requests per key type
+ * @param {Object} options
+ * @param {string} options.message - Response message when blocked
+ * @param {boolean} options.alert - Notify super admins the first time a key is blocked in a window
+ */
+const rateLimit = (name, { windowMs, ...limits }, { message, alert = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      for (const [keyType, max] of Object.entries(limits)) {
+        const id = keyGenerators[keyType](req);
+        if (!id) continue;
+
+        const { count, resetAt } = await store.increment(`${name}:${keyType}:${id}`, windowMs);
+
+        if (count > max) {
+          const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+          if (alert && count === max + 1) {
+            await sendAlert(name, keyType, id, req);
+          }
+
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            success: false,
+            message: message || 'Too many requests. Please try again later.',
+            retry_after: retryAfter
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      // Never lock users out because the counter store is unavailable
+      console.error('Rate limiter error:', error.message);
+      next();
+    }
+  };
+};
+
+const authLimiters = {
+  login: rateLimit('login', RATE_LIMITS.LOGIN, {
+    message: 'Too many login attempts. Please try again later.',
+    alert: true
+  }),
+  sendOtp: rateLimit('send-otp', RATE_LIMITS.SEND_OTP, {
+    message: 'Too many OTP requests. Please try again later.'
+  }),
+  verifyOtp: rateLimit('verify-otp', RATE_LIMITS.VERIFY_OTP, {
+    message: 'Too many verification attempts. Please try again later.',
+    alert: true
+  }),
+  forgotPassword: rateLimit('forgot-password', RATE_LIMITS.FORGOT_PASSWORD, {
+    message: 'Too many password reset requests. Please try again later.'
+  }),
+  setupKey: rateLimit('setup-key', RATE_LIMITS.SETUP_KEY, {
+    message: 'Too many setup key attempts. Please try again later.',
+    alert: true
+  })
+};
+
+module.exports = {
+  rateLimit,
+  authLimiters,
+  setRateLimitStore,
+  getRateLimitStore
+};
@@ -2,7 +2,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { UPLOAD_LIMITS } = require('../config/constants');
+const { UPLOAD_LIMITS, BANK_RECONCILIATION } = require('../config/constants');
 
 // Ensure upload directories exist
 const createUploadDirs = () => {
@@ -78,6 +78,24 @@ const imageFilter = (req, file, cb) => {
   }
 };
 
+// Bank statement filter (CSV / MT940 / CAMT.053 by extension; browsers report varied mimetypes)
+const statementFilter = (req, file, cb) => {
+  if (BANK_RECONCILIATION.STATEMENT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error(`Invalid file type. Statements must be ${BANK_RECONCILIATION.STATEMENT_EXTENSIONS.join(', ')} files.`), false);
+  }
+};
+
+// CSV filter (exchange rate sheets)
+const csvFilter = (req, file, cb) => {
+  if (['.csv', '.txt'].includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only .csv files are allowed.'), false);
+  }
+};
+
 // Create multer instances
 const upload = multer({
   storage,
@@ -95,6 +113,23 @@ const uploadImage = multer({
   }
 });
 
+// Statements are parsed straight from memory and not kept on disk
+const uploadStatementFile = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: statementFilter,
+  limits: {
+    fileSize: UPLOAD_LIMITS.MAX_FILE_SIZE
+  }
+});
+
+const uploadCsvFile = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: csvFilter,
+  limits: {
+    fileSize: UPLOAD_LIMITS.MAX_FILE_SIZE
+  }
+});
+
 // Upload middlewares
 const uploadAvatar = uploadImage.single('avatar');
 const uploadDocument = upload.single('document');
@@ -102,6 +137,8 @@ const uploadReceipt = upload.single('receipt');
 const uploadAnnouncementImage = uploadImage.single('announcement_image');
 const uploadProgramImage = uploadImage.single('program_image');
 const uploadMultipleImages = uploadImage.array('images', 5);
+const uploadStatement = uploadStatementFile.single('statement');
+const uploadExchangeRates = uploadCsvFile.single('rates');
 
 module.exports = {
   upload,
@@ -111,6 +148,8 @@ module.exports = {
   uploadReceipt,
   uploadAnnouncementImage,
   uploadProgramImage,
-  uploadMultipleImages
+  uploadMultipleImages,
+  uploadStatement,
+  uploadExchangeRates
 };
 
@@ -1,4 +1,4 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 
 module.exports = (sequelize) => {
   const Attendance = sequelize.define('Attendance', {
@@ -83,6 +83,18 @@ module.exports = (sequelize) => {
     tableName: 'attendance',
     timestamps: true,
     underscored: true,
+    // Branch isolation through the player's branch (see utils/branchScope)
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        const ids = branchIds.map(id => sequelize.escape(id)).join(', ');
+        return {
+          where: {
+            player_id: { [Op.in]: sequelize.literal(`(SELECT id FROM players WHERE branch_id IN (${ids}))`) }
+          }
+        };
+      }
+    },
     indexes: [
       {
         unique: true,
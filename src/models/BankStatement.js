@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * An imported bank statement file (CSV, MT940 or CAMT.053). Its lines are
+ * matched to pending bank-transfer payments by services/bankReconciliation.
+ */
+module.exports = (sequelize) => {
+  const BankStatement = sequelize.define('BankStatement', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    branch_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'branches',
+        key: 'id'
+      },
+      comment: 'Branch bank account (null = academy account, matches every branch)'
+    },
+    format: {
+      type: DataTypes.ENUM('csv', 'mt940', 'camt053'),
+      allowNull: false
+    },
+    file_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    account_number: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'IBAN / account from the file, when present'
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      defaultValue: 'SAR'
+    },
+    period_start: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    period_end: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    line_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    duplicate_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: 'Lines skipped because an earlier import already had them'
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'reconciled'),
+      defaultValue: 'open'
+    },
+    imported_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'bank_statements',
+    timestamps: true,
+    underscored: true,
+    // Branch isolation: Model.scope({ method: ['branch', branchIds] }) (see utils/branchScope)
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        return { where: { branch_id: branchIds } };
+      }
+    },
+    indexes: [
+      { fields: ['branch_id'] },
+      { fields: ['created_at'] }
+    ]
+  });
+
+  // Associations
+  BankStatement.associate = (models) => {
+    BankStatement.hasMany(models.BankStatementLine, {
+      foreignKey: 'statement_id',
+      as: 'lines'
+    });
+    BankStatement.belongsTo(models.Branch, {
+      foreignKey: 'branch_id',
+      as: 'branch'
+    });
+    BankStatement.belongsTo(models.User, {
+      foreignKey: 'imported_by',
+      as: 'importer'
+    });
+  };
+
+  return BankStatement;
+};
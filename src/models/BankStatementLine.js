@@ -0,0 +1,149 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * One booking on an imported bank statement. Credits are matched to pending
+ * payments (matched -> completed); debits are kept for reference as ignored.
+ */
+module.exports = (sequelize) => {
+  const BankStatementLine = sequelize.define('BankStatementLine', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    statement_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'bank_statements',
+        key: 'id'
+      }
+    },
+    line_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    booking_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    value_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    direction: {
+      type: DataTypes.ENUM('credit', 'debit'),
+      allowNull: false,
+      defaultValue: 'credit'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(13, 3),
+      allowNull: false
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      defaultValue: 'SAR'
+    },
+    bank_reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Bank transaction reference'
+    },
+    reference: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Payer reference / end-to-end id'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    counterparty_name: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    counterparty_account: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    fingerprint: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'Hash of date, amount and references; detects re-imported lines'
+    },
+    status: {
+      type: DataTypes.ENUM('unmatched', 'proposed', 'matched', 'completed', 'ignored'),
+      defaultValue: 'unmatched'
+    },
+    payment_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'payments',
+        key: 'id'
+      }
+    },
+    match_type: {
+      type: DataTypes.ENUM('invoice_number', 'reference', 'amount', 'manual'),
+      allowNull: true
+    },
+    proposals: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '[{ payment_id, invoice_number, total_amount, score, reasons }] for review'
+    },
+    matched_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Reviewer who confirmed a proposal or matched by hand (null = automatic)'
+    },
+    completed_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'bank_statement_lines',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['statement_id', 'line_number'] },
+      { fields: ['fingerprint'] },
+      { fields: ['payment_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  // Associations
+  BankStatementLine.associate = (models) => {
+    BankStatementLine.belongsTo(models.BankStatement, {
+      foreignKey: 'statement_id',
+      as: 'statement'
+    });
+    BankStatementLine.belongsTo(models.Payment, {
+      foreignKey: 'payment_id',
+      as: 'payment'
+    });
+    BankStatementLine.belongsTo(models.User, {
+      foreignKey: 'matched_by',
+      as: 'matcher'
+    });
+    BankStatementLine.belongsTo(models.User, {
+      foreignKey: 'completed_by',
+      as: 'completer'
+    });
+  };
+
+  return BankStatementLine;
+};
@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const { CURRENCY } = require('../config/constants');
 
 module.exports = (sequelize) => {
   const Branch = sequelize.define('Branch', {
@@ -80,6 +81,18 @@ module.exports = (sequelize) => {
         saturday: { open: '08:00', close: '22:00', closed: false }
       }
     },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: CURRENCY.DEFAULT,
+      validate: {
+        isIn: {
+          args: [Object.keys(CURRENCY.MINOR_UNITS)],
+          msg: 'Unsupported currency'
+        }
+      },
+      comment: 'Base currency: prices, payments and expenses of the branch'
+    },
     is_active: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
@@ -0,0 +1,158 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * A cashier's shift at a branch front desk (see services/cashDrawer.service).
+ * Cash payments and cash refunds settled during the shift attach to it; at
+ * closing the counted cash is compared with the float plus takings, and an
+ * accountant signs the session off.
+ */
+module.exports = (sequelize) => {
+  const CashDrawerSession = sequelize.define('CashDrawerSession', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    branch_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'branches',
+        key: 'id'
+      }
+    },
+    cashier_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'closed', 'signed_off'),
+      defaultValue: 'open'
+    },
+    opening_float: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    opened_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    opening_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    cash_sales: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Cash payments taken, frozen at closing'
+    },
+    cash_refunds: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Cash refunds paid out, frozen at closing'
+    },
+    expected_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'opening_float + cash_sales - cash_refunds'
+    },
+    counted_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    variance: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'counted - expected (negative = short)'
+    },
+    denominations: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Counted notes / coins: { "500": 2, "100": 4, "0.5": 3 }'
+    },
+    closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    closed_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    closing_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    signed_off_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    signed_off_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    sign_off_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'cash_drawer_sessions',
+    timestamps: true,
+    underscored: true,
+    // Branch isolation: Model.scope({ method: ['branch', branchIds] }) (see utils/branchScope)
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        return { where: { branch_id: branchIds } };
+      }
+    },
+    indexes: [
+      { fields: ['branch_id', 'status'] },
+      { fields: ['cashier_id', 'status'] },
+      { fields: ['closed_at'] }
+    ]
+  });
+
+  // Associations
+  CashDrawerSession.associate = (models) => {
+    CashDrawerSession.belongsTo(models.Branch, {
+      foreignKey: 'branch_id',
+      as: 'branch'
+    });
+    CashDrawerSession.belongsTo(models.User, {
+      foreignKey: 'cashier_id',
+      as: 'cashier'
+    });
+    CashDrawerSession.belongsTo(models.User, {
+      foreignKey: 'closed_by',
+      as: 'closer'
+    });
+    CashDrawerSession.belongsTo(models.User, {
+      foreignKey: 'signed_off_by',
+      as: 'signer'
+    });
+    CashDrawerSession.hasMany(models.Payment, {
+      foreignKey: 'cash_session_id',
+      as: 'payments'
+    });
+    CashDrawerSession.hasMany(models.Refund, {
+      foreignKey: 'cash_session_id',
+      as: 'refunds'
+    });
+  };
+
+  return CashDrawerSession;
+};
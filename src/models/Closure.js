@@ -0,0 +1,138 @@
+const { DataTypes, Op } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Closure = sequelize.define('Closure', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    title_ar: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    type: {
+      type: DataTypes.ENUM('holiday', 'ramadan', 'national_day', 'weather', 'maintenance', 'other'),
+      allowNull: false,
+      defaultValue: 'holiday'
+    },
+    branch_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'branches',
+        key: 'id'
+      },
+      comment: 'Null = academy-wide'
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Inclusive; equals start_date for one-day closures'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    compensate: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Extend subscriptions by the closed days through a subscription freeze'
+    },
+    freeze_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'subscription_freezes',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    sessions_cancelled: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    cancelled_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'closures',
+    timestamps: true,
+    underscored: true,
+    whereMergeStrategy: 'and',
+    scopes: {
+      // Academy-wide closures apply to every branch
+      branch(branchIds) {
+        return { where: { [Op.or]: [{ branch_id: null }, { branch_id: branchIds }] } };
+      }
+    },
+    validate: {
+      endsAfterStart() {
+        if (this.end_date < this.start_date) {
+          throw new Error('Closure end date cannot be before its start date');
+        }
+      }
+    },
+    indexes: [
+      { fields: ['branch_id'] },
+      { fields: ['status'] },
+      { fields: ['start_date', 'end_date'] }
+    ]
+  });
+
+  // Associations
+  Closure.associate = (models) => {
+    Closure.belongsTo(models.Branch, {
+      foreignKey: 'branch_id',
+      as: 'branch'
+    });
+
+    Closure.belongsTo(models.SubscriptionFreeze, {
+      foreignKey: 'freeze_id',
+      as: 'freeze'
+    });
+
+    Closure.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
+    Closure.belongsTo(models.User, {
+      foreignKey: 'cancelled_by',
+      as: 'canceller'
+    });
+  };
+
+  return Closure;
+};
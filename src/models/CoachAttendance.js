@@ -47,6 +47,13 @@ module.exports = (sequelize) => {
     tableName: 'coach_attendance',
     timestamps: true,
     underscored: true,
+    // Branch isolation: Model.scope({ method: ['branch', branchIds] }) (see utils/branchScope)
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        return { where: { branch_id: branchIds } };
+      }
+    },
     indexes: [
       {
         unique: true,
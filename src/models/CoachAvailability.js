@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // One weekly window of a coach's availability template. A coach without any
+  // window can be booked at any time.
+  const CoachAvailability = sequelize.define('CoachAvailability', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    coach_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    day_of_week: {
+      type: DataTypes.ENUM('sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'),
+      allowNull: false
+    },
+    start_time: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    end_time: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    effective_from: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Null = since always'
+    },
+    effective_until: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Null = until further notice'
+    },
+    notes: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'coach_availability',
+    timestamps: true,
+    underscored: true,
+    validate: {
+      endsAfterStart() {
+        if (this.end_time <= this.start_time) {
+          throw new Error('Availability must end after it starts');
+        }
+      }
+    },
+    indexes: [
+      { fields: ['coach_id', 'day_of_week'] }
+    ]
+  });
+
+  // Associations
+  CoachAvailability.associate = (models) => {
+    CoachAvailability.belongsTo(models.User, {
+      foreignKey: 'coach_id',
+      as: 'coach'
+    });
+
+    CoachAvailability.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return CoachAvailability;
+};
@@ -0,0 +1,128 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const CoachLeave = sequelize.define('CoachLeave', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    coach_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    branch_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'branches',
+        key: 'id'
+      },
+      comment: "The coach's branch, whose admins approve the request"
+    },
+    type: {
+      type: DataTypes.ENUM('annual', 'sick', 'emergency', 'training', 'other'),
+      allowNull: false,
+      defaultValue: 'annual'
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Inclusive'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    sessions_affected: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Booked sessions of the coach during the leave, when it was approved'
+    },
+    requested_by: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reviewed_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    review_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'coach_leaves',
+    timestamps: true,
+    underscored: true,
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        return { where: { branch_id: branchIds } };
+      }
+    },
+    validate: {
+      endsAfterStart() {
+        if (this.end_date < this.start_date) {
+          throw new Error('Leave end date cannot be before its start date');
+        }
+      }
+    },
+    indexes: [
+      { fields: ['coach_id', 'status'] },
+      { fields: ['branch_id'] },
+      { fields: ['start_date', 'end_date'] }
+    ]
+  });
+
+  // Associations
+  CoachLeave.associate = (models) => {
+    CoachLeave.belongsTo(models.User, {
+      foreignKey: 'coach_id',
+      as: 'coach'
+    });
+
+    CoachLeave.belongsTo(models.Branch, {
+      foreignKey: 'branch_id',
+      as: 'branch'
+    });
+
+    CoachLeave.belongsTo(models.User, {
+      foreignKey: 'requested_by',
+      as: 'requester'
+    });
+
+    CoachLeave.belongsTo(models.User, {
+      foreignKey: 'reviewed_by',
+      as: 'reviewer'
+    });
+  };
+
+  return CoachLeave;
+};
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Which discount rule produced (part of) a payment's discount_amount.
+ * Reserved at checkout, redeemed when the payment completes and released
+ * when it fails; reserved and redeemed rows count towards promo code limits.
+ */
+module.exports = (sequelize) => {
+  const DiscountRedemption = sequelize.define('DiscountRedemption', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    discount_rule_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'discount_rules',
+        key: 'id'
+      }
+    },
+    payment_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'payments',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Payer'
+    },
+    player_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Discount on the price basis of the payment (incl. VAT for inclusive prices)'
+    },
+    status: {
+      type: DataTypes.ENUM('reserved', 'redeemed', 'released'),
+      allowNull: false,
+      defaultValue: 'reserved'
+    },
+    redeemed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'discount_redemptions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['discount_rule_id', 'status'] },
+      { fields: ['payment_id'] },
+      { fields: ['user_id'] }
+    ]
+  });
+
+  // Associations
+  DiscountRedemption.associate = (models) => {
+    DiscountRedemption.belongsTo(models.DiscountRule, { foreignKey: 'discount_rule_id', as: 'rule' });
+    DiscountRedemption.belongsTo(models.Payment, { foreignKey: 'payment_id', as: 'payment' });
+    DiscountRedemption.belongsTo(models.User, { foreignKey: 'user_id', as: 'user' });
+    DiscountRedemption.belongsTo(models.Player, { foreignKey: 'player_id', as: 'player' });
+  };
+
+  return DiscountRedemption;
+};
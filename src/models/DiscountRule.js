@@ -0,0 +1,153 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Automatic discount rule evaluated at checkout (see services/discountRule.service).
+ * Unlike a Discount, a rule is not consumed: every payment it matches gets it,
+ * except promo codes, which are capped by usage_limit / per_user_limit.
+ */
+module.exports = (sequelize) => {
+  const DiscountRule = sequelize.define('DiscountRule', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    branch_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'branches',
+        key: 'id'
+      },
+      comment: 'Null = every branch'
+    },
+    program_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'programs',
+        key: 'id'
+      }
+    },
+    pricing_plan_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'program_pricing_plans',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    name_ar: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    rule_type: {
+      type: DataTypes.ENUM('sibling', 'bundle', 'early_bird', 'promo_code'),
+      allowNull: false
+    },
+    discount_type: {
+      type: DataTypes.ENUM('percentage', 'fixed'),
+      allowNull: false,
+      defaultValue: 'percentage'
+    },
+    discount_value: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      },
+      comment: 'Used by early_bird / promo_code rules; sibling and bundle rules use tiers'
+    },
+    tiers: {
+      type: DataTypes.JSON,
+      defaultValue: []
+      // Sibling: child position, bundle: number of programs incl. this one
+      // Example: [{ min: 2, value: 10 }, { min: 3, value: 15 }]
+    },
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      unique: true,
+      comment: 'Promo code (promo_code rules only)'
+    },
+    usage_limit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Total redemptions allowed (null = unlimited)'
+    },
+    per_user_limit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Redemptions allowed per payer (null = unlimited)'
+    },
+    days_before_start: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Early bird: pay at least this many days before the paid period starts'
+    },
+    valid_from: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    valid_until: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Higher priority rules are applied first'
+    },
+    stackable: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether the rule combines with other discounts'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'discount_rules',
+    timestamps: true,
+    underscored: true,
+    // Branch isolation: Model.scope({ method: ['branch', branchIds] }) (see utils/branchScope)
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        return { where: { branch_id: branchIds } };
+      }
+    },
+    indexes: [
+      { fields: ['branch_id'] },
+      { fields: ['rule_type', 'is_active'] },
+      { unique: true, fields: ['code'] }
+    ]
+  });
+
+  // Associations
+  DiscountRule.associate = (models) => {
+    DiscountRule.belongsTo(models.Branch, { foreignKey: 'branch_id', as: 'branch' });
+    DiscountRule.belongsTo(models.Program, { foreignKey: 'program_id', as: 'program' });
+    DiscountRule.belongsTo(models.ProgramPricingPlan, { foreignKey: 'pricing_plan_id', as: 'pricingPlan' });
+    DiscountRule.belongsTo(models.User, { foreignKey: 'created_by', as: 'creator' });
+    DiscountRule.hasMany(models.DiscountRedemption, { foreignKey: 'discount_rule_id', as: 'redemptions' });
+  };
+
+  return DiscountRule;
+};
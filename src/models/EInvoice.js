@@ -0,0 +1,146 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const EInvoice = sequelize.define('EInvoice', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    payment_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'payments',
+        key: 'id'
+      }
+    },
+    branch_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'branches',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('invoice', 'credit_note'),
+      allowNull: false,
+      defaultValue: 'invoice'
+    },
+    invoice_number: {
+      type: DataTypes.STRING(60),
+      allowNull: false,
+      unique: true
+    },
+    uuid: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      allowNull: false
+    },
+    chain_key: {
+      type: DataTypes.STRING(36),
+      allowNull: false,
+      comment: 'Hash chain of the document - the branch ID, or "academy" for payments without a branch'
+    },
+    icv: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Invoice counter value - sequential per branch chain'
+    },
+    issued_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      defaultValue: 'SAR'
+    },
+    taxable_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    total_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    invoice_hash: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Base64 SHA-256 of the invoice XML'
+    },
+    previous_hash: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Hash of the previous invoice in the same chain (PIH)'
+    },
+    qr_code: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Base64 TLV payload'
+    },
+    xml: {
+      type: DataTypes.TEXT('long'),
+      allowNull: false
+    },
+    reference_invoice_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'e_invoices',
+        key: 'id'
+      }
+    },
+    reason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'e_invoices',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['payment_id'] },
+      { fields: ['branch_id'] },
+      { unique: true, fields: ['chain_key', 'icv'] },
+      { fields: ['type'] },
+      { fields: ['reference_invoice_id'] }
+    ]
+  });
+
+  // Associations
+  EInvoice.associate = (models) => {
+    EInvoice.belongsTo(models.Payment, {
+      foreignKey: 'payment_id',
+      as: 'payment'
+    });
+    EInvoice.belongsTo(models.Branch, {
+      foreignKey: 'branch_id',
+      as: 'branch'
+    });
+    EInvoice.belongsTo(EInvoice, {
+      foreignKey: 'reference_invoice_id',
+      as: 'reference_invoice'
+    });
+    EInvoice.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return EInvoice;
+};
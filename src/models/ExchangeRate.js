@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Exchange rate effective from a date: 1 base_currency = rate quote_currency.
+ * A rate applies until the next effective_date for the same pair
+ * (see services/exchangeRate.service).
+ */
+module.exports = (sequelize) => {
+  const ExchangeRate = sequelize.define('ExchangeRate', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    base_currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false
+    },
+    quote_currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false
+    },
+    rate: {
+      type: DataTypes.DECIMAL(18, 8),
+      allowNull: false,
+      validate: {
+        min: 0.00000001
+      }
+    },
+    effective_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    source: {
+      type: DataTypes.ENUM('manual', 'csv'),
+      defaultValue: 'manual'
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'exchange_rates',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { unique: true, fields: ['base_currency', 'quote_currency', 'effective_date'] },
+      { fields: ['effective_date'] }
+    ]
+  });
+
+  // Associations
+  ExchangeRate.associate = (models) => {
+    ExchangeRate.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return ExchangeRate;
+};
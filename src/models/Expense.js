@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const { CURRENCY } = require('../config/constants');
 
 module.exports = (sequelize) => {
   const Expense = sequelize.define('Expense', {
@@ -28,12 +29,13 @@ module.exports = (sequelize) => {
       allowNull: true
     },
     amount: {
-      type: DataTypes.DECIMAL(10, 2),
+      type: DataTypes.DECIMAL(11, 3),
       allowNull: false
     },
     currency: {
       type: DataTypes.STRING(3),
-      defaultValue: 'SAR'
+      allowNull: false,
+      comment: "Defaults to the branch's base currency (see hooks)"
     },
     expense_date: {
       type: DataTypes.DATEONLY,
@@ -80,6 +82,23 @@ module.exports = (sequelize) => {
     tableName: 'expenses',
     timestamps: true,
     underscored: true,
+    // Branch isolation: Model.scope({ method: ['branch', branchIds] }) (see utils/branchScope)
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        return { where: { branch_id: branchIds } };
+      }
+    },
+    hooks: {
+      beforeValidate: async (expense, options) => {
+        if (!expense.currency) {
+          const branch = expense.branch_id
+            ? await sequelize.models.Branch.findByPk(expense.branch_id, { attributes: ['currency'], transaction: options.transaction })
+            : null;
+          expense.currency = branch?.currency || CURRENCY.DEFAULT;
+        }
+      }
+    },
     indexes: [
       { fields: ['branch_id'] },
       { fields: ['category'] },
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Holiday = sequelize.define('Holiday', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    calendar_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'holiday_calendars',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    name_ar: {
+      type: DataTypes.STRING(150),
+      allowNull: true
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Inclusive; equals start_date for one-day holidays'
+    }
+  }, {
+    tableName: 'holidays',
+    timestamps: true,
+    underscored: true,
+    validate: {
+      endsAfterStart() {
+        if (this.end_date < this.start_date) {
+          throw new Error('Holiday end date cannot be before its start date');
+        }
+      }
+    },
+    indexes: [
+      { fields: ['calendar_id'] },
+      { fields: ['start_date', 'end_date'] }
+    ]
+  });
+
+  // Associations
+  Holiday.associate = (models) => {
+    Holiday.belongsTo(models.HolidayCalendar, {
+      foreignKey: 'calendar_id',
+      as: 'calendar'
+    });
+  };
+
+  return Holiday;
+};
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const HolidayCalendar = sequelize.define('HolidayCalendar', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    name_ar: {
+      type: DataTypes.STRING(150),
+      allowNull: true
+    },
+    branch_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'branches',
+        key: 'id'
+      },
+      comment: 'Null = academy-wide'
+    },
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Used by recurring sessions that name no calendar'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'holiday_calendars',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['branch_id'] },
+      { fields: ['is_default'] }
+    ]
+  });
+
+  // Associations
+  HolidayCalendar.associate = (models) => {
+    HolidayCalendar.belongsTo(models.Branch, {
+      foreignKey: 'branch_id',
+      as: 'branch'
+    });
+
+    HolidayCalendar.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
+    HolidayCalendar.hasMany(models.Holiday, {
+      foreignKey: 'calendar_id',
+      as: 'holidays'
+    });
+  };
+
+  return HolidayCalendar;
+};
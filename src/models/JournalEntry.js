@@ -0,0 +1,122 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * A balanced general ledger entry (see services/ledger.service). Payments,
+ * refunds and expenses post one automatically (source_type / source_id);
+ * corrections are made by posting a reversal, never by editing lines.
+ */
+module.exports = (sequelize) => {
+  const JournalEntry = sequelize.define('JournalEntry', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    entry_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    entry_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    branch_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'branches',
+        key: 'id'
+      },
+      comment: 'Cost center (null = head office)'
+    },
+    source_type: {
+      type: DataTypes.ENUM('payment', 'refund', 'expense', 'manual'),
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    source_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Sum of debits (= sum of credits)'
+    },
+    status: {
+      type: DataTypes.ENUM('posted', 'reversed'),
+      defaultValue: 'posted'
+    },
+    reversal_of_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'journal_entries',
+        key: 'id'
+      }
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'journal_entries',
+    timestamps: true,
+    underscored: true,
+    // Branch isolation: Model.scope({ method: ['branch', branchIds] }) (see utils/branchScope)
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        return { where: { branch_id: branchIds } };
+      }
+    },
+    indexes: [
+      { fields: ['entry_date'] },
+      { fields: ['branch_id'] },
+      { fields: ['source_type', 'source_id'] }
+    ],
+    hooks: {
+      beforeValidate: async (entry, options) => {
+        if (!entry.entry_number) {
+          const count = await JournalEntry.count({ transaction: options.transaction });
+          const date = new Date();
+          const year = date.getFullYear();
+          const month = String(date.getMonth() + 1).padStart(2, '0');
+          entry.entry_number = `JE-${year}${month}-${String(count + 1).padStart(6, '0')}`;
+        }
+      }
+    }
+  });
+
+  // Associations
+  JournalEntry.associate = (models) => {
+    JournalEntry.hasMany(models.JournalLine, {
+      foreignKey: 'journal_entry_id',
+      as: 'lines'
+    });
+    JournalEntry.belongsTo(models.Branch, {
+      foreignKey: 'branch_id',
+      as: 'branch'
+    });
+    JournalEntry.belongsTo(JournalEntry, {
+      foreignKey: 'reversal_of_id',
+      as: 'reversal_of'
+    });
+    JournalEntry.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return JournalEntry;
+};
@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const { CURRENCY } = require('../config/constants');
+
+/**
+ * One debit or credit of a journal entry. branch_id is the line's cost
+ * center, so a single manual entry can allocate a cost across branches.
+ * Amounts are in the source document's currency; every line of an entry
+ * shares it.
+ */
+module.exports = (sequelize) => {
+  const JournalLine = sequelize.define('JournalLine', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    journal_entry_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'journal_entries',
+        key: 'id'
+      }
+    },
+    account_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ledger_accounts',
+        key: 'id'
+      }
+    },
+    branch_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'branches',
+        key: 'id'
+      },
+      comment: 'Cost center (null = head office)'
+    },
+    debit: {
+      type: DataTypes.DECIMAL(13, 3),
+      allowNull: false,
+      defaultValue: 0
+    },
+    credit: {
+      type: DataTypes.DECIMAL(13, 3),
+      allowNull: false,
+      defaultValue: 0
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: CURRENCY.DEFAULT,
+      comment: 'Currency of the source document'
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    }
+  }, {
+    tableName: 'journal_lines',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['journal_entry_id'] },
+      { fields: ['account_id'] },
+      { fields: ['branch_id'] }
+    ]
+  });
+
+  // Associations
+  JournalLine.associate = (models) => {
+    JournalLine.belongsTo(models.JournalEntry, {
+      foreignKey: 'journal_entry_id',
+      as: 'entry'
+    });
+    JournalLine.belongsTo(models.LedgerAccount, {
+      foreignKey: 'account_id',
+      as: 'account'
+    });
+    JournalLine.belongsTo(models.Branch, {
+      foreignKey: 'branch_id',
+      as: 'branch'
+    });
+  };
+
+  return JournalLine;
+};
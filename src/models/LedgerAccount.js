@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Chart of accounts for the general ledger (see services/ledger.service).
+ * System accounts are created on first use and receive the automatic
+ * postings; accountants may add their own for manual journal entries.
+ */
+module.exports = (sequelize) => {
+  const LedgerAccount = sequelize.define('LedgerAccount', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    code: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      unique: true
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    name_ar: {
+      type: DataTypes.STRING(150),
+      allowNull: true
+    },
+    type: {
+      type: DataTypes.ENUM('asset', 'liability', 'equity', 'revenue', 'expense'),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    is_system: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Used by automatic postings; cannot be deactivated'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'ledger_accounts',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['type'] }
+    ]
+  });
+
+  // Associations
+  LedgerAccount.associate = (models) => {
+    LedgerAccount.hasMany(models.JournalLine, {
+      foreignKey: 'account_id',
+      as: 'lines'
+    });
+  };
+
+  return LedgerAccount;
+};
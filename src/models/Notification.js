@@ -21,8 +21,13 @@ module.exports = (sequelize) => {
         'payment_received',
         'payment_overdue',
         'subscription_expiring',
+        'subscription_renewed',
+        'payment_failed',
+        'payment_refunded',
         'low_attendance',
         'staff_activity',
+        'waitlist_spot_available',
+        'waitlist_update',
         'system_alert',
         'general'
       ),
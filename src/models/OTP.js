@@ -16,7 +16,7 @@ module.exports = (sequelize) => {
       allowNull: false
     },
     purpose: {
-      type: DataTypes.ENUM('login', 'register', 'reset_password', 'verify_phone'),
+      type: DataTypes.ENUM('login', 'register', 'reset_password', 'verify_phone', 'two_factor'),
       defaultValue: 'login'
     },
     attempts: {
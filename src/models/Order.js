@@ -0,0 +1,145 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Order = sequelize.define('Order', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    order_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    branch_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'branches',
+        key: 'id'
+      },
+      comment: 'Pickup branch'
+    },
+    payment_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'payments',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'paid', 'ready_for_pickup', 'delivered', 'cancelled', 'refunded'),
+      defaultValue: 'pending'
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    total_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      defaultValue: 'SAR'
+    },
+    stock_deducted: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    paid_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ready_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancellation_reason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    handled_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'orders',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['user_id'] },
+      { fields: ['branch_id'] },
+      { fields: ['payment_id'] },
+      { fields: ['status'] }
+    ],
+    hooks: {
+      beforeValidate: async (order) => {
+        if (!order.order_number) {
+          const count = await Order.count();
+          const date = new Date();
+          const year = date.getFullYear();
+          const month = String(date.getMonth() + 1).padStart(2, '0');
+          order.order_number = `ORD-${year}${month}-${String(count + 1).padStart(6, '0')}`;
+        }
+      }
+    }
+  });
+
+  // Associations
+  Order.associate = (models) => {
+    Order.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+    Order.belongsTo(models.Branch, {
+      foreignKey: 'branch_id',
+      as: 'branch'
+    });
+    Order.belongsTo(models.Payment, {
+      foreignKey: 'payment_id',
+      as: 'payment'
+    });
+    Order.belongsTo(models.User, {
+      foreignKey: 'handled_by',
+      as: 'handler'
+    });
+    Order.hasMany(models.OrderItem, {
+      foreignKey: 'order_id',
+      as: 'items'
+    });
+  };
+
+  return Order;
+};
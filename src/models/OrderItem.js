@@ -0,0 +1,104 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OrderItem = sequelize.define('OrderItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    order_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    variant_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'product_variants',
+        key: 'id'
+      }
+    },
+    player_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'players',
+        key: 'id'
+      },
+      comment: 'Player the item is for (drives size selection)'
+    },
+    product_name: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    product_name_ar: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    sku: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    size: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    total_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    }
+  }, {
+    tableName: 'order_items',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['order_id'] },
+      { fields: ['product_id'] },
+      { fields: ['variant_id'] }
+    ]
+  });
+
+  // Associations
+  OrderItem.associate = (models) => {
+    OrderItem.belongsTo(models.Order, {
+      foreignKey: 'order_id',
+      as: 'order'
+    });
+    OrderItem.belongsTo(models.Product, {
+      foreignKey: 'product_id',
+      as: 'product'
+    });
+    OrderItem.belongsTo(models.ProductVariant, {
+      foreignKey: 'variant_id',
+      as: 'variant'
+    });
+    OrderItem.belongsTo(models.Player, {
+      foreignKey: 'player_id',
+      as: 'player'
+    });
+  };
+
+  return OrderItem;
+};
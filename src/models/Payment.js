@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const { CURRENCY } = require('../config/constants');
 
 module.exports = (sequelize) => {
   const Payment = sequelize.define('Payment', {
@@ -61,24 +62,35 @@ module.exports = (sequelize) => {
       allowNull: true
     },
     amount: {
-      type: DataTypes.DECIMAL(10, 2),
+      type: DataTypes.DECIMAL(11, 3),
       allowNull: false
     },
     tax_amount: {
-      type: DataTypes.DECIMAL(10, 2),
+      type: DataTypes.DECIMAL(11, 3),
       defaultValue: 0
     },
+    tax_rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      comment: 'VAT percent applied when the payment was priced'
+    },
     discount_amount: {
-      type: DataTypes.DECIMAL(10, 2),
+      type: DataTypes.DECIMAL(11, 3),
       defaultValue: 0
     },
     total_amount: {
-      type: DataTypes.DECIMAL(10, 2),
+      type: DataTypes.DECIMAL(11, 3),
       allowNull: false
     },
+    refunded_amount: {
+      type: DataTypes.DECIMAL(11, 3),
+      defaultValue: 0,
+      comment: 'Sum of completed / in-flight refunds (see Refund)'
+    },
     currency: {
       type: DataTypes.STRING(3),
-      defaultValue: 'SAR'
+      allowNull: false,
+      comment: "Defaults to the branch's base currency (see hooks)"
     },
     payment_method: {
       type: DataTypes.ENUM('cash', 'credit_card', 'bank_transfer', 'mada', 'apple_pay', 'stc_pay'),
@@ -104,6 +116,11 @@ module.exports = (sequelize) => {
       type: DataTypes.DATEONLY,
       allowNull: true
     },
+    installment_number: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '1-based position in the subscription\'s installment schedule'
+    },
     receipt_url: {
       type: DataTypes.STRING(500),
       allowNull: true
@@ -116,6 +133,15 @@ module.exports = (sequelize) => {
         key: 'id'
       }
     },
+    cash_session_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'cash_drawer_sessions',
+        key: 'id'
+      },
+      comment: 'Cash drawer shift that took the payment (cash only)'
+    },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -128,8 +154,21 @@ module.exports = (sequelize) => {
     tableName: 'payments',
     timestamps: true,
     underscored: true,
+    // Branch isolation: Model.scope({ method: ['branch', branchIds] }) (see utils/branchScope)
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        return { where: { branch_id: branchIds } };
+      }
+    },
     hooks: {
-      beforeValidate: async (payment) => {
+      beforeValidate: async (payment, options) => {
+        if (!payment.currency) {
+          const branch = payment.branch_id
+            ? await sequelize.models.Branch.findByPk(payment.branch_id, { attributes: ['currency'], transaction: options.transaction })
+            : null;
+          payment.currency = branch?.currency || CURRENCY.DEFAULT;
+        }
         if (!payment.invoice_number) {
           const count = await Payment.count();
           const date = new Date();
@@ -167,6 +206,30 @@ module.exports = (sequelize) => {
       foreignKey: 'processed_by',
       as: 'processor'
     });
+    Payment.hasMany(models.EInvoice, {
+      foreignKey: 'payment_id',
+      as: 'e_invoices'
+    });
+    Payment.hasOne(models.Order, {
+      foreignKey: 'payment_id',
+      as: 'order'
+    });
+    Payment.hasMany(models.PaymentEvent, {
+      foreignKey: 'payment_id',
+      as: 'events'
+    });
+    Payment.hasMany(models.Refund, {
+      foreignKey: 'payment_id',
+      as: 'refunds'
+    });
+    Payment.hasMany(models.DiscountRedemption, {
+      foreignKey: 'payment_id',
+      as: 'discount_redemptions'
+    });
+    Payment.belongsTo(models.CashDrawerSession, {
+      foreignKey: 'cash_session_id',
+      as: 'cash_session'
+    });
   };
 
   return Payment;
@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Settlement log for payments (see services/paymentSettlement.service).
+ * Gateway events are recorded once per (provider, event_id) so replayed
+ * webhooks / callbacks are recognised and ignored.
+ */
+module.exports = (sequelize) => {
+  const PaymentEvent = sequelize.define('PaymentEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    payment_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'payments',
+        key: 'id'
+      }
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: 'moyasar / tap / mock, or manual for staff actions'
+    },
+    event_id: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Gateway event ID (null for staff actions)'
+    },
+    source: {
+      type: DataTypes.ENUM('webhook', 'callback', 'verify', 'manual', 'mock', 'auto_renew'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: 'Status reported by the event'
+    },
+    previous_status: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    applied: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Whether the event changed the payment'
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    actor_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'payment_events',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['provider', 'event_id']
+      },
+      { fields: ['payment_id'] }
+    ]
+  });
+
+  // Associations
+  PaymentEvent.associate = (models) => {
+    PaymentEvent.belongsTo(models.Payment, {
+      foreignKey: 'payment_id',
+      as: 'payment'
+    });
+    PaymentEvent.belongsTo(models.User, {
+      foreignKey: 'actor_id',
+      as: 'actor'
+    });
+  };
+
+  return PaymentEvent;
+};
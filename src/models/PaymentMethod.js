@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Saved (tokenized) card for recurring charges.
+ * Only the provider's reusable token is stored - never card numbers.
+ */
+module.exports = (sequelize) => {
+  const PaymentMethod = sequelize.define('PaymentMethod', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    provider: {
+      type: DataTypes.ENUM('moyasar', 'tap', 'mock'),
+      allowNull: false
+    },
+    token: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Provider token (Moyasar) or saved card id (Tap)'
+    },
+    customer_id: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Provider customer the card is saved under (Tap)'
+    },
+    brand: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    last_four: {
+      type: DataTypes.STRING(4),
+      allowNull: true
+    },
+    expiry_month: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    expiry_year: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    holder_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'removed'),
+      defaultValue: 'active'
+    }
+  }, {
+    tableName: 'payment_methods',
+    timestamps: true,
+    underscored: true
+  });
+
+  // Instance methods
+  PaymentMethod.prototype.isExpired = function(at = new Date()) {
+    if (!this.expiry_month || !this.expiry_year) return false;
+    // Cards are valid through the last day of their expiry month
+    return new Date(this.expiry_year, this.expiry_month, 1) <= at;
+  };
+
+  PaymentMethod.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.token;
+    delete values.customer_id;
+    return values;
+  };
+
+  // Associations
+  PaymentMethod.associate = (models) => {
+    PaymentMethod.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+    PaymentMethod.hasMany(models.Subscription, {
+      foreignKey: 'payment_method_id',
+      as: 'subscriptions'
+    });
+  };
+
+  return PaymentMethod;
+};
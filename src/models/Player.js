@@ -159,6 +159,13 @@ module.exports = (sequelize) => {
     tableName: 'players',
     timestamps: true,
     underscored: true,
+    // Branch isolation: Model.scope({ method: ['branch', branchIds] }) (see utils/branchScope)
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        return { where: { branch_id: branchIds } };
+      }
+    },
     hooks: {
       beforeValidate: async (player) => {
         // Generate registration number before validation runs
@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Product = sequelize.define('Product', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    legacy_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      unique: true,
+      comment: 'Numeric ID from the former products.json store'
+    },
+    name: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    name_ar: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    description_ar: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    category: {
+      type: DataTypes.ENUM('jersey', 'shoes', 'equipment', 'accessory', 'other'),
+      defaultValue: 'other'
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    badge: {
+      type: DataTypes.JSON,
+      defaultValue: {}
+      // Example: { en: 'New', ar: 'جديد', color: 'bg-primary' }
+    },
+    image_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    branch_ids: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Branches where the product is sold (null = all branches)'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'products',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['is_active'] },
+      { fields: ['category'] }
+    ]
+  });
+
+  /**
+   * Whether the product is sold at a branch
+   */
+  Product.prototype.isAvailableAt = function(branchId) {
+    if (!branchId || !Array.isArray(this.branch_ids) || this.branch_ids.length === 0) return true;
+    return this.branch_ids.map(String).includes(String(branchId));
+  };
+
+  // Associations
+  Product.associate = (models) => {
+    Product.hasMany(models.ProductVariant, {
+      foreignKey: 'product_id',
+      as: 'variants'
+    });
+    Product.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return Product;
+};
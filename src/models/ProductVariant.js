@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ProductVariant = sequelize.define('ProductVariant', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    product_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    sku: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    size: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Jersey / shoe size (matches Player.jersey_size / shoe_size)'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    name_ar: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Overrides Product.price (null = product price)'
+    },
+    stock_quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    low_stock_threshold: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'product_variants',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['product_id'] },
+      { fields: ['size'] },
+      { fields: ['is_active'] }
+    ]
+  });
+
+  ProductVariant.prototype.isLowStock = function() {
+    return this.stock_quantity <= this.low_stock_threshold;
+  };
+
+  // Associations
+  ProductVariant.associate = (models) => {
+    ProductVariant.belongsTo(models.Product, {
+      foreignKey: 'product_id',
+      as: 'product'
+    });
+  };
+
+  return ProductVariant;
+};
@@ -60,22 +60,27 @@ module.exports = (sequelize) => {
       defaultValue: 0
     },
     price_monthly: {
-      type: DataTypes.DECIMAL(10, 2),
+      type: DataTypes.DECIMAL(11, 3),
       allowNull: false,
       defaultValue: 0
     },
     price_quarterly: {
-      type: DataTypes.DECIMAL(10, 2),
+      type: DataTypes.DECIMAL(11, 3),
       allowNull: true
     },
     price_annual: {
-      type: DataTypes.DECIMAL(10, 2),
+      type: DataTypes.DECIMAL(11, 3),
       allowNull: true
     },
     registration_fee: {
-      type: DataTypes.DECIMAL(10, 2),
+      type: DataTypes.DECIMAL(11, 3),
       defaultValue: 0
     },
+    prices_include_tax: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      comment: 'Whether program prices already include VAT'
+    },
     schedule: {
       type: DataTypes.JSON,
       defaultValue: []
@@ -29,10 +29,21 @@ module.exports = (sequelize) => {
       comment: 'Duration in months (1=monthly, 3=quarterly, 12=annual, null=custom)'
     },
     price: {
-      type: DataTypes.DECIMAL(10, 2),
+      type: DataTypes.DECIMAL(11, 3),
       allowNull: false,
       defaultValue: 0
     },
+    prices_include_tax: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      comment: 'Overrides Program.prices_include_tax (null = inherit)'
+    },
+    max_installments: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Most installments the plan can be split into (1 = pay in full)'
+    },
     description: {
       type: DataTypes.TEXT,
       allowNull: true
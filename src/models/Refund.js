@@ -0,0 +1,158 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * One (possibly partial) refund of a payment (see services/refund.service).
+ * A payment may be refunded several times until refunds reach its total;
+ * each refund records what it did to the linked subscription.
+ */
+module.exports = (sequelize) => {
+  const Refund = sequelize.define('Refund', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    payment_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'payments',
+        key: 'id'
+      }
+    },
+    branch_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'branches',
+        key: 'id'
+      }
+    },
+    subscription_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'subscriptions',
+        key: 'id'
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(11, 3),
+      allowNull: false,
+      comment: 'Refunded amount incl. VAT'
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(11, 3),
+      defaultValue: 0,
+      comment: 'VAT share of the refunded amount'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    method: {
+      type: DataTypes.ENUM('manual', 'gateway'),
+      defaultValue: 'manual'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'completed', 'failed'),
+      defaultValue: 'pending',
+      comment: 'pending while the gateway refund is in flight'
+    },
+    gateway_refund_id: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    subscription_action: {
+      type: DataTypes.ENUM('none', 'shortened', 'cancelled'),
+      defaultValue: 'none'
+    },
+    subscription_days_removed: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    previous_end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    credit_note_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'e_invoices',
+        key: 'id'
+      }
+    },
+    approved_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    cash_session_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'cash_drawer_sessions',
+        key: 'id'
+      },
+      comment: 'Cash drawer shift that paid the refund out (cash only)'
+    },
+    refunded_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    failure_reason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    }
+  }, {
+    tableName: 'refunds',
+    timestamps: true,
+    underscored: true,
+    // Branch isolation: Model.scope({ method: ['branch', branchIds] }) (see utils/branchScope)
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        return { where: { branch_id: branchIds } };
+      }
+    },
+    indexes: [
+      { fields: ['payment_id'] },
+      { fields: ['branch_id'] },
+      { fields: ['status', 'refunded_at'] }
+    ]
+  });
+
+  // Associations
+  Refund.associate = (models) => {
+    Refund.belongsTo(models.Payment, {
+      foreignKey: 'payment_id',
+      as: 'payment'
+    });
+    Refund.belongsTo(models.Branch, {
+      foreignKey: 'branch_id',
+      as: 'branch'
+    });
+    Refund.belongsTo(models.Subscription, {
+      foreignKey: 'subscription_id',
+      as: 'subscription'
+    });
+    Refund.belongsTo(models.EInvoice, {
+      foreignKey: 'credit_note_id',
+      as: 'credit_note'
+    });
+    Refund.belongsTo(models.User, {
+      foreignKey: 'approved_by',
+      as: 'approver'
+    });
+    Refund.belongsTo(models.CashDrawerSession, {
+      foreignKey: 'cash_session_id',
+      as: 'cash_session'
+    });
+  };
+
+  return Refund;
+};
@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ScheduleProposal = sequelize.define('ScheduleProposal', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    branch_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'branches',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'First day of the term'
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Last day of the term'
+    },
+    status: {
+      type: DataTypes.ENUM('draft', 'committing', 'committed', 'discarded'),
+      allowNull: false,
+      defaultValue: 'draft',
+      comment: 'committing while its series are being booked'
+    },
+    input: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Programs with weekly hours, facilities and options the proposal was built from'
+    },
+    sessions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Proposed weekly slots with the reason each was chosen'
+    },
+    unplaced: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Sessions that could not be placed, with explanations'
+    },
+    summary: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    series_ids: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Session series created on commit'
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    committed_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    committed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'schedule_proposals',
+    timestamps: true,
+    underscored: true,
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        return { where: { branch_id: branchIds } };
+      }
+    },
+    indexes: [
+      { fields: ['branch_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  // Associations
+  ScheduleProposal.associate = (models) => {
+    ScheduleProposal.belongsTo(models.Branch, {
+      foreignKey: 'branch_id',
+      as: 'branch'
+    });
+
+    ScheduleProposal.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
+    ScheduleProposal.belongsTo(models.User, {
+      foreignKey: 'committed_by',
+      as: 'committer'
+    });
+  };
+
+  return ScheduleProposal;
+};
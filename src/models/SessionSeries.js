@@ -0,0 +1,191 @@
+const { DataTypes } = require('sequelize');
+const { formatRRule } = require('../utils/recurrence');
+
+module.exports = (sequelize) => {
+  const SessionSeries = sequelize.define('SessionSeries', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    program_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'programs',
+        key: 'id'
+      }
+    },
+    branch_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'branches',
+        key: 'id'
+      }
+    },
+    coach_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    start_time: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    end_time: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    facility: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    max_capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Recurrence rule (FREQ=WEEKLY): see utils/recurrence
+    interval_weeks: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        isIn: [[1, 2]]
+      }
+    },
+    by_day: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+      // Example: ['sunday', 'tuesday']
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    until_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    occurrence_count: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    exception_dates: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'EXDATEs: occurrences that never hold a session'
+    },
+    holiday_calendar_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'holiday_calendars',
+        key: 'id'
+      },
+      comment: 'Null = the default calendar of the branch, else the academy-wide default'
+    },
+    generated_until: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Sessions exist up to this date'
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'ended', 'cancelled'),
+      defaultValue: 'active'
+    },
+    source: {
+      type: DataTypes.ENUM('manual', 'program_schedule', 'schedule_builder'),
+      defaultValue: 'manual'
+    },
+    split_from_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'session_series',
+        key: 'id'
+      },
+      comment: 'Series this one continues after a "this and following" edit'
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    rrule: {
+      type: DataTypes.VIRTUAL,
+      get() {
+        return formatRRule({
+          interval: this.interval_weeks,
+          by_day: this.by_day || [],
+          until: this.until_date,
+          count: this.occurrence_count
+        });
+      }
+    }
+  }, {
+    tableName: 'session_series',
+    timestamps: true,
+    underscored: true,
+    // Branch isolation: Model.scope({ method: ['branch', branchIds] }) (see utils/branchScope)
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        return { where: { branch_id: branchIds } };
+      }
+    },
+    indexes: [
+      { fields: ['program_id'] },
+      { fields: ['branch_id'] },
+      { fields: ['coach_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  // Associations
+  SessionSeries.associate = (models) => {
+    SessionSeries.belongsTo(models.Program, {
+      foreignKey: 'program_id',
+      as: 'program'
+    });
+
+    SessionSeries.belongsTo(models.Branch, {
+      foreignKey: 'branch_id',
+      as: 'branch'
+    });
+
+    SessionSeries.belongsTo(models.User, {
+      foreignKey: 'coach_id',
+      as: 'coach'
+    });
+
+    SessionSeries.belongsTo(models.HolidayCalendar, {
+      foreignKey: 'holiday_calendar_id',
+      as: 'holiday_calendar'
+    });
+
+    SessionSeries.belongsTo(models.SessionSeries, {
+      foreignKey: 'split_from_id',
+      as: 'split_from'
+    });
+
+    SessionSeries.hasMany(models.TrainingSession, {
+      foreignKey: 'series_id',
+      as: 'sessions'
+    });
+  };
+
+  return SessionSeries;
+};
@@ -1,4 +1,20 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
+const { SUBSCRIPTION_TRANSITIONS } = require('../config/constants');
+
+// Status history row for a created / updated subscription. Callers describe
+// the change with options.lifecycle = { source, reason, actorId, metadata }.
+const recordEvent = (subscription, fromStatus, options) => {
+  const lifecycle = options.lifecycle || {};
+  return subscription.sequelize.models.SubscriptionEvent.create({
+    subscription_id: subscription.id,
+    from_status: fromStatus,
+    to_status: subscription.status,
+    source: lifecycle.source || 'system',
+    reason: lifecycle.reason || null,
+    actor_id: lifecycle.actorId || null,
+    metadata: lifecycle.metadata || null
+  }, { transaction: options.transaction });
+};
 
 module.exports = (sequelize) => {
   const Subscription = sequelize.define('Subscription', {
@@ -36,8 +52,9 @@ module.exports = (sequelize) => {
       allowNull: false
     },
     status: {
-      type: DataTypes.ENUM('active', 'expired', 'suspended', 'cancelled', 'pending'),
-      defaultValue: 'pending'
+      type: DataTypes.ENUM('pending', 'active', 'expiring', 'expired', 'suspended', 'frozen', 'cancelled'),
+      defaultValue: 'pending',
+      comment: 'Changed only along SUBSCRIPTION_TRANSITIONS (see services/subscriptionLifecycle.service)'
     },
     amount: {
       type: DataTypes.DECIMAL(10, 2),
@@ -59,6 +76,28 @@ module.exports = (sequelize) => {
       type: DataTypes.BOOLEAN,
       defaultValue: false
     },
+    payment_method_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'payment_methods',
+        key: 'id'
+      },
+      comment: 'Saved card charged for auto-renewal'
+    },
+    auto_renew_attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: 'Failed renewal charges since the last success'
+    },
+    auto_renew_next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    auto_renew_last_error: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
     renewed_from_id: {
       type: DataTypes.UUID,
       allowNull: true,
@@ -67,6 +106,11 @@ module.exports = (sequelize) => {
         key: 'id'
       }
     },
+    installment_count: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Number of scheduled installment payments (null = paid in full)'
+    },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -74,7 +118,35 @@ module.exports = (sequelize) => {
   }, {
     tableName: 'subscriptions',
     timestamps: true,
-    underscored: true
+    underscored: true,
+    validate: {
+      statusTransition() {
+        if (this.isNewRecord || !this.changed('status')) return;
+        const from = this.previous('status');
+        if (!(SUBSCRIPTION_TRANSITIONS[from] || []).includes(this.status)) {
+          throw new Error(`Cannot change subscription status from ${from} to ${this.status}`);
+        }
+      }
+    },
+    hooks: {
+      afterCreate: (subscription, options) => recordEvent(subscription, null, options),
+      afterUpdate: (subscription, options) => {
+        if (!subscription.changed('status')) return;
+        return recordEvent(subscription, subscription.previous('status'), options);
+      }
+    },
+    // Branch isolation through the player's branch (see utils/branchScope)
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        const ids = branchIds.map(id => sequelize.escape(id)).join(', ');
+        return {
+          where: {
+            player_id: { [Op.in]: sequelize.literal(`(SELECT id FROM players WHERE branch_id IN (${ids}))`) }
+          }
+        };
+      }
+    }
   });
 
   // Associations
@@ -95,6 +167,18 @@ module.exports = (sequelize) => {
       foreignKey: 'renewed_from_id',
       as: 'previous_subscription'
     });
+    Subscription.hasOne(Subscription, {
+      foreignKey: 'renewed_from_id',
+      as: 'renewal'
+    });
+    Subscription.belongsTo(models.PaymentMethod, {
+      foreignKey: 'payment_method_id',
+      as: 'payment_method'
+    });
+    Subscription.hasMany(models.SubscriptionEvent, {
+      foreignKey: 'subscription_id',
+      as: 'events'
+    });
   };
 
   return Subscription;
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * One subscription status change (see services/subscriptionLifecycle.service).
+ * Written by the Subscription model hooks, so every path that changes a
+ * status - staff, payments, the daily job, freezes - leaves a row here.
+ */
+module.exports = (sequelize) => {
+  const SubscriptionEvent = sequelize.define('SubscriptionEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    subscription_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'subscriptions',
+        key: 'id'
+      }
+    },
+    from_status: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Null when the subscription was created'
+    },
+    to_status: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    source: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      defaultValue: 'system',
+      comment: 'manual / payment / lifecycle_job / freeze / refund / installment / renewal / migration / system'
+    },
+    reason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    actor_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+  }, {
+    tableName: 'subscription_events',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['subscription_id', 'created_at'] }
+    ]
+  });
+
+  // Associations
+  SubscriptionEvent.associate = (models) => {
+    SubscriptionEvent.belongsTo(models.Subscription, {
+      foreignKey: 'subscription_id',
+      as: 'subscription'
+    });
+    SubscriptionEvent.belongsTo(models.User, {
+      foreignKey: 'actor_id',
+      as: 'actor'
+    });
+  };
+
+  return SubscriptionEvent;
+};
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SystemSetting = sequelize.define('SystemSetting', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    key: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    value: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    updated_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'system_settings',
+    timestamps: true,
+    underscored: true
+  });
+
+  // Static methods
+  SystemSetting.getValue = async function(key, defaultValue = null) {
+    const setting = await SystemSetting.findOne({ where: { key } });
+    return setting && setting.value !== null ? setting.value : defaultValue;
+  };
+
+  SystemSetting.setValue = async function(key, value, userId = null, description = null) {
+    const [setting] = await SystemSetting.findOrCreate({
+      where: { key },
+      defaults: { key, value, updated_by: userId, description }
+    });
+
+    await setting.update({
+      value,
+      updated_by: userId,
+      ...(description && { description })
+    });
+
+    return setting;
+  };
+
+  // Associations
+  SystemSetting.associate = (models) => {
+    SystemSetting.belongsTo(models.User, {
+      foreignKey: 'updated_by',
+      as: 'updater'
+    });
+  };
+
+  return SystemSetting;
+};
@@ -64,6 +64,19 @@ module.exports = (sequelize) => {
       type: DataTypes.BOOLEAN,
       defaultValue: true
     },
+    series_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'session_series',
+        key: 'id'
+      }
+    },
+    series_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Occurrence of the series this session stands for (kept when the session is moved)'
+    },
     is_cancelled: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
@@ -104,6 +117,13 @@ module.exports = (sequelize) => {
     tableName: 'training_sessions',
     timestamps: true,
     underscored: true,
+    // Branch isolation: Model.scope({ method: ['branch', branchIds] }) (see utils/branchScope)
+    whereMergeStrategy: 'and',
+    scopes: {
+      branch(branchIds) {
+        return { where: { branch_id: branchIds } };
+      }
+    },
     indexes: [
       { fields: ['program_id'] },
       { fields: ['branch_id'] },
@@ -113,6 +133,11 @@ module.exports = (sequelize) => {
       { fields: ['is_cancelled'] },
       { fields: ['is_recurring'] },
       { fields: ['attendance_marked'] },
+      {
+        unique: true,
+        name: 'series_occurrence',
+        fields: ['series_id', 'series_date']
+      },
       {
         name: 'coach_schedule_conflict_check',
         fields: ['coach_id', 'date', 'start_time', 'end_time']
@@ -150,6 +175,11 @@ module.exports = (sequelize) => {
       as: 'canceller'
     });
 
+    TrainingSession.belongsTo(models.SessionSeries, {
+      foreignKey: 'series_id',
+      as: 'series'
+    });
+
     TrainingSession.hasMany(models.Attendance, {
       foreignKey: 'session_id',
       as: 'attendance_records'
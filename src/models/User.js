@@ -78,6 +78,49 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    failed_login_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    locked_until: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lockout_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Consecutive lockouts since the last successful login (drives lock duration)'
+    },
+    two_factor_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    two_factor_method: {
+      type: DataTypes.ENUM('totp', 'sms'),
+      allowNull: true
+    },
+    two_factor_secret: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'Base32 TOTP secret (set during setup, active once two_factor_enabled)'
+    },
+    two_factor_recovery_codes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'SHA-256 hashes of unused recovery codes'
+    },
+    two_factor_last_step: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: 'Last accepted TOTP time step (prevents code replay)'
+    },
+    two_factor_enabled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     password_reset_token: {
       type: DataTypes.STRING(255),
       allowNull: true
@@ -101,8 +144,8 @@ module.exports = (sequelize) => {
       type: DataTypes.JSON,
       allowNull: true,
       defaultValue: null
-      // Custom permissions for super_admin role
-      // Example: { branches: ['read', 'write'], users: ['read', 'write', 'delete'] }
+      // Per-user overrides on top of the role defaults (see config/permissions.js)
+      // Example: { grant: ['expenses.view'], revoke: ['payments.delete'] }
     }
   }, {
     tableName: 'users',
@@ -129,11 +172,18 @@ module.exports = (sequelize) => {
     return bcrypt.compare(candidatePassword, this.password);
   };
 
+  User.prototype.isLocked = function() {
+    return Boolean(this.locked_until) && new Date(this.locked_until) > new Date();
+  };
+
   User.prototype.toJSON = function() {
     const values = { ...this.get() };
     delete values.password;
     delete values.password_reset_token;
     delete values.password_reset_expires;
+    delete values.two_factor_secret;
+    delete values.two_factor_recovery_codes;
+    delete values.two_factor_last_step;
     return values;
   };
 
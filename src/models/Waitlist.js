@@ -44,7 +44,7 @@ module.exports = (sequelize) => {
       allowNull: false
     },
     status: {
-      type: DataTypes.ENUM('waiting', 'notified', 'enrolled', 'expired', 'cancelled'),
+      type: DataTypes.ENUM('waiting', 'notified', 'enrolled', 'declined', 'expired', 'cancelled'),
       defaultValue: 'waiting'
     },
     notified_at: {
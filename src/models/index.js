@@ -13,10 +13,12 @@ const sequelize = new Sequelize(
     host: dbConfig.host,
     port: dbConfig.port,
     dialect: dbConfig.dialect,
+    storage: dbConfig.storage,
     logging: dbConfig.logging,
     define: dbConfig.define,
     pool: dbConfig.pool,
-    timezone: dbConfig.timezone || '+03:00', // Saudi Arabia timezone
+    // SQLite (integration tests) only supports UTC
+    ...(dbConfig.dialect !== 'sqlite' && { timezone: dbConfig.timezone || '+03:00' }), // Saudi Arabia timezone
     dialectOptions: dbConfig.dialectOptions || {
       dateStrings: true,
       typeCast: true
@@ -51,6 +53,32 @@ const AccountantAutoAnnouncement = require('./AccountantAutoAnnouncement')(seque
 const Discount = require('./Discount')(sequelize);
 const SubscriptionFreeze = require('./SubscriptionFreeze')(sequelize);
 const AuditLog = require('./AuditLog')(sequelize);
+const EInvoice = require('./EInvoice')(sequelize);
+const Product = require('./Product')(sequelize);
+const ProductVariant = require('./ProductVariant')(sequelize);
+const Order = require('./Order')(sequelize);
+const OrderItem = require('./OrderItem')(sequelize);
+const SystemSetting = require('./SystemSetting')(sequelize);
+const PaymentMethod = require('./PaymentMethod')(sequelize);
+const PaymentEvent = require('./PaymentEvent')(sequelize);
+const Refund = require('./Refund')(sequelize);
+const DiscountRule = require('./DiscountRule')(sequelize);
+const DiscountRedemption = require('./DiscountRedemption')(sequelize);
+const SubscriptionEvent = require('./SubscriptionEvent')(sequelize);
+const LedgerAccount = require('./LedgerAccount')(sequelize);
+const JournalEntry = require('./JournalEntry')(sequelize);
+const JournalLine = require('./JournalLine')(sequelize);
+const BankStatement = require('./BankStatement')(sequelize);
+const BankStatementLine = require('./BankStatementLine')(sequelize);
+const CashDrawerSession = require('./CashDrawerSession')(sequelize);
+const ExchangeRate = require('./ExchangeRate')(sequelize);
+const HolidayCalendar = require('./HolidayCalendar')(sequelize);
+const Holiday = require('./Holiday')(sequelize);
+const SessionSeries = require('./SessionSeries')(sequelize);
+const Closure = require('./Closure')(sequelize);
+const ScheduleProposal = require('./ScheduleProposal')(sequelize);
+const CoachAvailability = require('./CoachAvailability')(sequelize);
+const CoachLeave = require('./CoachLeave')(sequelize);
 
 // Define associations
 const models = {
@@ -79,7 +107,33 @@ const models = {
   AccountantAutoAnnouncement,
   Discount,
   SubscriptionFreeze,
-  AuditLog
+  AuditLog,
+  EInvoice,
+  Product,
+  ProductVariant,
+  Order,
+  OrderItem,
+  SystemSetting,
+  PaymentMethod,
+  PaymentEvent,
+  Refund,
+  DiscountRule,
+  DiscountRedemption,
+  SubscriptionEvent,
+  LedgerAccount,
+  JournalEntry,
+  JournalLine,
+  BankStatement,
+  BankStatementLine,
+  CashDrawerSession,
+  ExchangeRate,
+  HolidayCalendar,
+  Holiday,
+  SessionSeries,
+  Closure,
+  ScheduleProposal,
+  CoachAvailability,
+  CoachLeave
 };
 
 // Run associations
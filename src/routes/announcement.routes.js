@@ -1,11 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const announcementController = require('../controllers/announcement.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const { announcementValidators, commonValidators } = require('../utils/validators');
 const { uploadAnnouncementImage } = require('../middleware/upload');
-const { ROLES } = require('../config/constants');
 
 // All routes require authentication
 router.use(authenticate);
@@ -25,7 +24,7 @@ router.get('/:id', announcementController.getAnnouncementById);
 
 // Create new announcement
 router.post('/',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('announcements.manage'),
   announcementValidators.create,
   validate,
   announcementController.createAnnouncement
@@ -33,7 +32,7 @@ router.post('/',
 
 // Update announcement
 router.put('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('announcements.manage'),
   announcementValidators.update,
   validate,
   announcementController.updateAnnouncement
@@ -41,32 +40,32 @@ router.put('/:id',
 
 // Delete announcement
 router.delete('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('announcements.manage'),
   announcementController.deleteAnnouncement
 );
 
 // Upload announcement image
 router.post('/:id/image',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('announcements.manage'),
   uploadAnnouncementImage,
   announcementController.uploadImage
 );
 
 // Publish announcement
 router.patch('/:id/publish',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('announcements.manage'),
   announcementController.publishAnnouncement
 );
 
 // Unpublish announcement
 router.patch('/:id/unpublish',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('announcements.manage'),
   announcementController.unpublishAnnouncement
 );
 
 // Toggle pin status
 router.patch('/:id/pin',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('announcements.manage'),
   announcementController.togglePinStatus
 );
 
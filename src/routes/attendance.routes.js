@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const attendanceController = require('../controllers/attendance.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { scopeToBranch, checkBranchParam } = require('../middleware/branchScope');
 const { validate } = require('../middleware/validate');
 const { attendanceValidators, commonValidators } = require('../utils/validators');
-const { ROLES } = require('../config/constants');
 
-// All routes require authentication
+// All routes require authentication and are limited to the caller's branch(es)
 router.use(authenticate);
+router.use(scopeToBranch);
+router.param('branchId', checkBranchParam);
 
 // Get all attendance records
 router.get('/',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.ACCOUNTANT),
+  requirePermission('attendance.view'),
   commonValidators.pagination,
   validate,
   attendanceController.getAllAttendance
@@ -19,13 +21,13 @@ router.get('/',
 
 // Get attendance statistics
 router.get('/stats',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.ACCOUNTANT),
+  requirePermission('attendance.view'),
   attendanceController.getAttendanceStats
 );
 
 // Get attendance by date
 router.get('/date/:date',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.ACCOUNTANT),
+  requirePermission('attendance.view'),
   attendanceController.getAttendanceByDate
 );
 
@@ -33,37 +35,37 @@ router.get('/date/:date',
 
 // Get coach attendance by date
 router.get('/coach',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT),
+  requirePermission('attendance.coach'),
   attendanceController.getCoachAttendance
 );
 
 // Get coach attendance stats
 router.get('/coach/stats',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT),
+  requirePermission('attendance.coach'),
   attendanceController.getCoachAttendanceStats
 );
 
 // Get coach attendance summary (for reports)
 router.get('/coach/summary',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT),
+  requirePermission('attendance.coach'),
   attendanceController.getCoachAttendanceSummary
 );
 
 // Record/Update coach attendance
 router.post('/coach',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT),
+  requirePermission('attendance.coach'),
   attendanceController.recordCoachAttendance
 );
 
 // Bulk record coach attendance
 router.post('/coach/bulk',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT),
+  requirePermission('attendance.coach'),
   attendanceController.bulkRecordCoachAttendance
 );
 
 // Initialize coach attendance for a date
 router.post('/coach/init',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT),
+  requirePermission('attendance.coach'),
   attendanceController.initCoachAttendance
 );
 
@@ -71,19 +73,19 @@ router.post('/coach/init',
 
 // Get players list for attendance (with existing attendance status)
 router.get('/players/list',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.ACCOUNTANT),
+  requirePermission('attendance.view'),
   attendanceController.getPlayersForAttendance
 );
 
 // Initialize player attendance for a date
 router.post('/players/init',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.ACCOUNTANT),
+  requirePermission('attendance.record'),
   attendanceController.initPlayerAttendance
 );
 
 // Bulk record player attendance
 router.post('/players/bulk',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.ACCOUNTANT),
+  requirePermission('attendance.record'),
   attendanceController.bulkRecordPlayerAttendance
 );
 
@@ -92,7 +94,7 @@ router.get('/:id', attendanceController.getAttendanceById);
 
 // Record single attendance
 router.post('/',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.ACCOUNTANT),
+  requirePermission('attendance.record'),
   attendanceValidators.record,
   validate,
   attendanceController.recordAttendance
@@ -100,7 +102,7 @@ router.post('/',
 
 // Bulk record attendance
 router.post('/bulk',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.ACCOUNTANT),
+  requirePermission('attendance.record'),
   attendanceValidators.bulkRecord,
   validate,
   attendanceController.bulkRecordAttendance
@@ -108,13 +110,13 @@ router.post('/bulk',
 
 // Update attendance
 router.put('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.ACCOUNTANT),
+  requirePermission('attendance.record'),
   attendanceController.updateAttendance
 );
 
 // Delete attendance record
 router.delete('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT),
+  requirePermission('attendance.delete'),
   attendanceController.deleteAttendance
 );
 
@@ -123,7 +125,7 @@ router.get('/player/:playerId', attendanceController.getAttendanceByPlayer);
 
 // Get attendance by program
 router.get('/program/:programId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.ACCOUNTANT),
+  requirePermission('attendance.view'),
   attendanceController.getAttendanceByProgram
 );
 
@@ -132,7 +134,7 @@ router.get('/player/:playerId/summary', attendanceController.getPlayerAttendance
 
 // Get attendance report
 router.get('/report/:programId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.ACCOUNTANT),
+  requirePermission('attendance.view'),
   attendanceController.getAttendanceReport
 );
 
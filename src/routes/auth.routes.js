@@ -2,8 +2,9 @@ const express = require('express');
 const multer = require('multer');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authenticateTwoFactorSetup, requirePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
+const { authLimiters } = require('../middleware/rateLimiter');
 const { authValidators } = require('../utils/validators');
 
 // Configure multer for file uploads
@@ -28,22 +29,30 @@ router.post('/signup', upload.fields([
   { name: 'avatar', maxCount: 1 },
   { name: 'id_document', maxCount: 1 }
 ]), authController.signup); // Direct signup without OTP
-router.post('/login', authValidators.login, validate, authController.login);
-router.post('/forgot-password', authValidators.forgotPassword, validate, authController.forgotPassword);
+router.post('/login', authLimiters.login, authValidators.login, validate, authController.login);
+router.post('/forgot-password', authLimiters.forgotPassword, authValidators.forgotPassword, validate, authController.forgotPassword);
 router.post('/reset-password', authValidators.resetPassword, validate, authController.resetPassword);
 router.post('/refresh-token', authController.refreshToken);
 
 // OTP Authentication routes (for parents)
-router.post('/send-otp', authController.sendOTP);
-router.post('/verify-otp', authController.verifyOTP);
-router.post('/resend-otp', authController.resendOTP);
+router.post('/send-otp', authLimiters.sendOtp, authController.sendOTP);
+router.post('/verify-otp', authLimiters.verifyOtp, authController.verifyOTP);
+router.post('/resend-otp', authLimiters.sendOtp, authController.resendOTP);
 router.post('/complete-registration', authController.completeOTPRegistration);
 
 // Admin registration routes
 router.get('/setup-status', authController.checkSetupStatus);
-router.post('/verify-setup-key', authController.verifySetupKey);
-router.post('/register-admin', authController.registerAdmin);
-router.post('/reset-admin-password', authController.resetAdminPasswordWithSetupKey);
+router.post('/verify-setup-key', authLimiters.setupKey, authController.verifySetupKey);
+router.post('/register-admin', authLimiters.setupKey, authController.registerAdmin);
+router.post('/reset-admin-password', authLimiters.setupKey, authController.resetAdminPasswordWithSetupKey);
+
+// Two-factor login step (token from /login)
+router.post('/2fa/verify', authLimiters.verifyOtp, authController.verifyTwoFactorLogin);
+router.post('/2fa/resend', authLimiters.sendOtp, authController.resendTwoFactorCode);
+
+// Two-factor enrolment (session, or setup_token when policy forces enrolment at login)
+router.post('/2fa/setup', authLimiters.sendOtp, authenticateTwoFactorSetup, authController.setupTwoFactor);
+router.post('/2fa/enable', authLimiters.verifyOtp, authenticateTwoFactorSetup, authController.enableTwoFactor);
 
 // Protected routes
 router.use(authenticate);
@@ -53,5 +62,13 @@ router.post('/change-password', authValidators.changePassword, validate, authCon
 router.post('/logout', authController.logout);
 router.post('/logout-all', authController.logoutAll);
 
+// Two-factor management
+router.get('/2fa/status', authController.getTwoFactorStatus);
+router.post('/2fa/disable', authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authController.regenerateRecoveryCodes);
+router.get('/2fa/policy', requirePermission('security.view_policy'), authController.getTwoFactorPolicy);
+router.put('/2fa/policy', requirePermission('security.manage_policy'), authController.updateTwoFactorPolicy);
+router.delete('/2fa/users/:userId', requirePermission('security.reset_two_factor'), authController.resetUserTwoFactor);
+
 module.exports = router;
 
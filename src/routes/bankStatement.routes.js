@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const bankStatementController = require('../controllers/bankStatement.controller');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { scopeToBranch } = require('../middleware/branchScope');
+const { uploadStatement } = require('../middleware/upload');
+
+// All routes require authentication
+router.use(authenticate);
+router.use(scopeToBranch);
+
+// Statement import and bank-transfer reconciliation
+router.get('/', requirePermission('payments.reconcile'), bankStatementController.getStatements);
+router.post('/', requirePermission('payments.reconcile'), uploadStatement, bankStatementController.importStatement);
+router.get('/:id', requirePermission('payments.reconcile'), bankStatementController.getStatement);
+router.post('/:id/match', requirePermission('payments.reconcile'), bankStatementController.matchStatement);
+router.patch('/:id/lines/:lineId', requirePermission('payments.reconcile'), bankStatementController.reviewLine);
+router.post('/:id/complete', requirePermission('payments.reconcile'), bankStatementController.completeMatches);
+
+module.exports = router;
@@ -1,10 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const branchController = require('../controllers/branch.controller');
-const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { authenticate, requirePermission, optionalAuth } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const { branchValidators, commonValidators } = require('../utils/validators');
-const { ROLES } = require('../config/constants');
 
 // Public routes (for landing page)
 router.get('/public', branchController.getPublicBranches);
@@ -21,7 +20,7 @@ router.get('/',
 
 // Get branch statistics
 router.get('/stats',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('branches.stats'),
   branchController.getBranchStats
 );
 
@@ -30,7 +29,7 @@ router.get('/:id', branchController.getBranchById);
 
 // Create new branch
 router.post('/',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('branches.create'),
   branchValidators.create,
   validate,
   branchController.createBranch
@@ -38,7 +37,7 @@ router.post('/',
 
 // Update branch
 router.put('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('branches.update'),
   branchValidators.update,
   validate,
   branchController.updateBranch
@@ -46,7 +45,7 @@ router.put('/:id',
 
 // Delete branch
 router.delete('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('branches.delete'),
   branchController.deleteBranch
 );
 
@@ -55,25 +54,25 @@ router.get('/:id/programs', branchController.getBranchPrograms);
 
 // Get branch players
 router.get('/:id/players',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('branches.view_players'),
   branchController.getBranchPlayers
 );
 
 // Get branch staff
 router.get('/:id/staff',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('branches.view_staff'),
   branchController.getBranchStaff
 );
 
 // Assign manager to branch
 router.post('/:id/assign-manager',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('branches.manage'),
   branchController.assignManager
 );
 
 // Toggle branch status
 router.patch('/:id/status',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('branches.manage'),
   branchController.toggleBranchStatus
 );
 
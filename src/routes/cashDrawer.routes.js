@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const cashDrawerController = require('../controllers/cashDrawer.controller');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { scopeToBranch } = require('../middleware/branchScope');
+
+// All routes require authentication
+router.use(authenticate);
+router.use(scopeToBranch);
+
+// Front-desk cash drawer shifts
+router.post('/open', requirePermission('cash_drawers.operate'), cashDrawerController.openSession);
+router.get('/current', requirePermission('cash_drawers.operate'), cashDrawerController.getCurrentSession);
+router.get('/', requirePermission('cash_drawers.operate', 'cash_drawers.review'), cashDrawerController.getSessions);
+router.get('/:id', requirePermission('cash_drawers.operate', 'cash_drawers.review'), cashDrawerController.getSession);
+router.post('/:id/close', requirePermission('cash_drawers.operate', 'cash_drawers.review'), cashDrawerController.closeSession);
+router.post('/:id/sign-off', requirePermission('cash_drawers.review'), cashDrawerController.signOffSession);
+
+module.exports = router;
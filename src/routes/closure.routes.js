@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const closureController = require('../controllers/closure.controller');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { scopeToBranch } = require('../middleware/branchScope');
+const { validate } = require('../middleware/validate');
+const { body, query, param } = require('express-validator');
+
+const CLOSURE_TYPES = ['holiday', 'ramadan', 'national_day', 'weather', 'maintenance', 'other'];
+
+// All routes require authentication and are limited to the caller's branch(es)
+router.use(authenticate);
+router.use(scopeToBranch);
+
+// Academy and branch closures
+router.get('/',
+  requirePermission('closures.view'),
+  [
+    query('branch_id').optional().isUUID().withMessage('Branch ID must be valid'),
+    query('status').optional().isIn(['active', 'cancelled']).withMessage('Invalid status'),
+    query('type').optional().isIn(CLOSURE_TYPES).withMessage('Invalid closure type'),
+    query('from').optional().isDate().withMessage('Invalid from date'),
+    query('to').optional().isDate().withMessage('Invalid to date')
+  ],
+  validate,
+  closureController.getClosures
+);
+
+router.get('/:id',
+  requirePermission('closures.view'),
+  param('id').isUUID().withMessage('Invalid closure ID'),
+  validate,
+  closureController.getClosure
+);
+
+router.post('/',
+  requirePermission('closures.manage'),
+  [
+    body('title').trim().notEmpty().withMessage('Title is required'),
+    body('type').optional().isIn(CLOSURE_TYPES).withMessage('Invalid closure type'),
+    body('branch_id').optional({ nullable: true }).isUUID().withMessage('Branch ID must be valid'),
+    body('start_date').isDate().withMessage('Valid start date is required'),
+    body('end_date').optional().isDate().withMessage('Invalid end date'),
+    body('reason').optional().isString().withMessage('Reason must be a string'),
+    body('compensate').optional().isBoolean().withMessage('compensate must be boolean')
+  ],
+  validate,
+  closureController.createClosure
+);
+
+router.post('/:id/cancel',
+  requirePermission('closures.manage'),
+  param('id').isUUID().withMessage('Invalid closure ID'),
+  validate,
+  closureController.cancelClosure
+);
+
+module.exports = router;
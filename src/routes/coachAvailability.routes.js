@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const coachAvailabilityController = require('../controllers/coachAvailability.controller');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { scopeToBranch } = require('../middleware/branchScope');
+const { validate } = require('../middleware/validate');
+const { body, query, param } = require('express-validator');
+const { normalizeArabicNumerals } = require('../utils/helpers');
+const normalizeNumerals = (v) => (typeof v === 'string' ? normalizeArabicNumerals(v) : v);
+
+const LEAVE_TYPES = ['annual', 'sick', 'emergency', 'training', 'other'];
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
+
+// All routes require authentication and are limited to the caller's branch(es)
+router.use(authenticate);
+router.use(scopeToBranch);
+
+// Leave requests
+router.get('/leave',
+  requirePermission('coach_leave.request'),
+  [
+    query('coach_id').optional().isUUID().withMessage('Coach ID must be valid'),
+    query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled']).withMessage('Invalid status'),
+    query('from').optional().isDate().withMessage('Invalid from date'),
+    query('to').optional().isDate().withMessage('Invalid to date')
+  ],
+  validate,
+  coachAvailabilityController.getLeaves
+);
+
+router.post('/leave',
+  requirePermission('coach_leave.request'),
+  [
+    body('coach_id').optional().isUUID().withMessage('Coach ID must be valid'),
+    body('type').optional().isIn(LEAVE_TYPES).withMessage('Invalid leave type'),
+    body('start_date').isDate().withMessage('Valid start date is required'),
+    body('end_date').optional().isDate().withMessage('Invalid end date'),
+    body('reason').optional().isString().withMessage('Reason must be a string')
+  ],
+  validate,
+  coachAvailabilityController.requestLeave
+);
+
+router.get('/leave/:id',
+  requirePermission('coach_leave.request'),
+  param('id').isUUID().withMessage('Invalid leave ID'),
+  validate,
+  coachAvailabilityController.getLeave
+);
+
+router.post('/leave/:id/approve',
+  requirePermission('coach_leave.review'),
+  param('id').isUUID().withMessage('Invalid leave ID'),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  validate,
+  coachAvailabilityController.approveLeave
+);
+
+router.post('/leave/:id/reject',
+  requirePermission('coach_leave.review'),
+  param('id').isUUID().withMessage('Invalid leave ID'),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  validate,
+  coachAvailabilityController.rejectLeave
+);
+
+router.post('/leave/:id/cancel',
+  requirePermission('coach_leave.request'),
+  param('id').isUUID().withMessage('Invalid leave ID'),
+  validate,
+  coachAvailabilityController.cancelLeave
+);
+
+// Substitute coaches for the sessions of a leave
+router.get('/leave/:id/substitutes',
+  requirePermission('coach_leave.review'),
+  param('id').isUUID().withMessage('Invalid leave ID'),
+  validate,
+  coachAvailabilityController.getSubstitutes
+);
+
+router.post('/leave/:id/substitutes',
+  requirePermission('coach_leave.review'),
+  [
+    param('id').isUUID().withMessage('Invalid leave ID'),
+    body('session_id').isUUID().withMessage('Session ID is required and must be valid'),
+    body('coach_id').isUUID().withMessage('Coach ID is required and must be valid')
+  ],
+  validate,
+  coachAvailabilityController.assignSubstitute
+);
+
+// Weekly availability template
+router.get('/:coachId/availability',
+  requirePermission('coach_availability.view'),
+  param('coachId').isUUID().withMessage('Invalid coach ID'),
+  validate,
+  coachAvailabilityController.getAvailability
+);
+
+router.put('/:coachId/availability',
+  requirePermission('coach_availability.manage'),
+  [
+    param('coachId').isUUID().withMessage('Invalid coach ID'),
+    body('windows').isArray().withMessage('windows must be an array'),
+    body('windows.*.day_of_week').isString().withMessage('Each window needs a day_of_week'),
+    body('windows.*.start_time').customSanitizer(normalizeNumerals).matches(TIME_PATTERN).withMessage('Valid start time is required (HH:MM)'),
+    body('windows.*.end_time').customSanitizer(normalizeNumerals).matches(TIME_PATTERN).withMessage('Valid end time is required (HH:MM)'),
+    body('windows.*.effective_from').optional({ nullable: true }).isDate().withMessage('Invalid effective from date'),
+    body('windows.*.effective_until').optional({ nullable: true }).isDate().withMessage('Invalid effective until date')
+  ],
+  validate,
+  coachAvailabilityController.setAvailability
+);
+
+module.exports = router;
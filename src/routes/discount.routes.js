@@ -1,15 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const discountController = require('../controllers/discount.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const discountRuleController = require('../controllers/discountRule.controller');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
+const { scopeToBranch } = require('../middleware/branchScope');
 
 // All routes require authentication
 router.use(authenticate);
+router.use(scopeToBranch);
 
-// Routes for super_admin, owner, accountant, and branch_admin
-router.get('/', authorize('super_admin', 'owner', 'accountant', 'branch_admin'), discountController.getAllDiscounts);
+// Automatic discount rules (sibling, bundle, early bird, promo codes)
+router.get('/rules', requirePermission('discounts.view'), discountRuleController.getDiscountRules);
+router.post('/rules', requirePermission('discounts.create'), discountRuleController.createDiscountRule);
+router.patch('/rules/:id', requirePermission('discounts.update'), discountRuleController.updateDiscountRule);
+router.get('/quote', authorize('super_admin', 'owner', 'accountant', 'parent'), discountRuleController.getDiscountQuote);
+
+// Discount management (discounts.* permissions)
+router.get('/', requirePermission('discounts.view'), discountController.getAllDiscounts);
 router.get('/available', authorize('super_admin', 'owner', 'accountant', 'parent', 'self_player'), discountController.getAvailableDiscounts);
-router.post('/', authorize('super_admin', 'owner', 'accountant', 'branch_admin'), discountController.createDiscount);
-router.patch('/:id', authorize('super_admin', 'owner', 'accountant', 'branch_admin'), discountController.updateDiscount);
+router.post('/', requirePermission('discounts.create'), discountController.createDiscount);
+router.patch('/:id', requirePermission('discounts.update'), discountController.updateDiscount);
 
 module.exports = router;
@@ -2,9 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
 const evaluationController = require('../controllers/evaluation.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
-const { ROLES } = require('../config/constants');
 
 // All routes require authentication
 router.use(authenticate);
@@ -15,7 +14,7 @@ router.use(authenticate);
  * @access  Coach, Branch Admin, Owner, Super Admin
  */
 router.post('/',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('evaluations.manage'),
   [
     body('player_id').isUUID().withMessage('Valid player ID is required'),
     body('evaluation_type').optional().isIn(['quick', 'detailed']).withMessage('Invalid evaluation type'),
@@ -48,7 +47,7 @@ router.post('/',
  * @access  Coach, Branch Admin, Owner, Super Admin
  */
 router.get('/',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('evaluations.manage'),
   [
     query('player_id').optional().isUUID().withMessage('Invalid player ID'),
     query('evaluation_type').optional().isIn(['quick', 'detailed']).withMessage('Invalid evaluation type'),
@@ -67,7 +66,7 @@ router.get('/',
  * @access  Coach, Branch Admin, Owner, Super Admin
  */
 router.get('/player/:playerId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.PARENT),
+  requirePermission('evaluations.view_player'),
   [
     param('playerId').isUUID().withMessage('Invalid player ID'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
@@ -83,7 +82,7 @@ router.get('/player/:playerId',
  * @access  Coach, Branch Admin, Owner, Super Admin
  */
 router.get('/player/:playerId/summary',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.PARENT),
+  requirePermission('evaluations.view_player'),
   [
     param('playerId').isUUID().withMessage('Invalid player ID'),
   ],
@@ -97,7 +96,7 @@ router.get('/player/:playerId/summary',
  * @access  Coach, Branch Admin, Owner, Super Admin
  */
 router.get('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('evaluations.manage'),
   [
     param('id').isUUID().withMessage('Invalid evaluation ID'),
   ],
@@ -111,7 +110,7 @@ router.get('/:id',
  * @access  Coach (own only), Super Admin
  */
 router.put('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('evaluations.manage'),
   [
     param('id').isUUID().withMessage('Invalid evaluation ID'),
     body('overall_rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
@@ -139,7 +138,7 @@ router.put('/:id',
  * @access  Coach (own only), Super Admin
  */
 router.delete('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('evaluations.manage'),
   [
     param('id').isUUID().withMessage('Invalid evaluation ID'),
   ],
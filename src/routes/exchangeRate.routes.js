@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const exchangeRateController = require('../controllers/exchangeRate.controller');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { uploadExchangeRates } = require('../middleware/upload');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Currencies and stored exchange rates
+router.get('/currencies', requirePermission('exchange_rates.view'), exchangeRateController.getCurrencies);
+router.get('/convert', requirePermission('exchange_rates.view'), exchangeRateController.convert);
+router.get('/', requirePermission('exchange_rates.view'), exchangeRateController.getRates);
+router.post('/', requirePermission('exchange_rates.manage'), exchangeRateController.createRate);
+router.post('/import', requirePermission('exchange_rates.manage'), uploadExchangeRates, exchangeRateController.importRates);
+router.delete('/:id', requirePermission('exchange_rates.manage'), exchangeRateController.deleteRate);
+
+module.exports = router;
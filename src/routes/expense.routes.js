@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const expenseController = require('../controllers/expense.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { scopeToBranch, checkBranchParam } = require('../middleware/branchScope');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -36,15 +37,17 @@ const upload = multer({
   }
 });
 
-// All routes require authentication
+// All routes require authentication and are limited to the caller's branch(es)
 router.use(authenticate);
+router.use(scopeToBranch);
+router.param('branchId', checkBranchParam);
 
-// Routes for accountants and admins
-router.get('/', authorize('accountant', 'admin'), expenseController.getExpenses);
-router.get('/stats', authorize('accountant', 'admin'), expenseController.getExpenseStats);
-router.get('/:id', authorize('accountant', 'admin'), expenseController.getExpenseById);
-router.post('/', authorize('accountant', 'admin'), upload.single('receipt'), expenseController.createExpense);
-router.put('/:id', authorize('accountant', 'admin'), upload.single('receipt'), expenseController.updateExpense);
-router.delete('/:id', authorize('accountant', 'admin'), expenseController.deleteExpense);
+// Expense management (expenses.* permissions)
+router.get('/', requirePermission('expenses.view'), expenseController.getExpenses);
+router.get('/stats', requirePermission('expenses.view'), expenseController.getExpenseStats);
+router.get('/:id', requirePermission('expenses.view'), expenseController.getExpenseById);
+router.post('/', requirePermission('expenses.manage'), upload.single('receipt'), expenseController.createExpense);
+router.put('/:id', requirePermission('expenses.manage'), upload.single('receipt'), expenseController.updateExpense);
+router.delete('/:id', requirePermission('expenses.manage'), expenseController.deleteExpense);
 
 module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const holidayCalendarController = require('../controllers/holidayCalendar.controller');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { scopeToBranch } = require('../middleware/branchScope');
+const { validate } = require('../middleware/validate');
+const { body, param } = require('express-validator');
+
+// All routes require authentication and are limited to the caller's branch(es)
+router.use(authenticate);
+router.use(scopeToBranch);
+
+// Academy and branch holiday calendars used by recurring sessions
+router.get('/', requirePermission('holidays.view'), holidayCalendarController.getCalendars);
+
+router.get('/:id',
+  requirePermission('holidays.view'),
+  param('id').isUUID().withMessage('Invalid calendar ID'),
+  validate,
+  holidayCalendarController.getCalendar
+);
+
+router.post('/',
+  requirePermission('holidays.manage'),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('branch_id').optional({ nullable: true }).isUUID().withMessage('Branch ID must be valid'),
+    body('is_default').optional().isBoolean().withMessage('is_default must be boolean'),
+    body('holidays').optional().isArray().withMessage('holidays must be an array'),
+    body('holidays.*.name').trim().notEmpty().withMessage('Each holiday needs a name'),
+    body('holidays.*.start_date').isDate().withMessage('Each holiday needs a valid start date'),
+    body('holidays.*.end_date').optional().isDate().withMessage('Invalid holiday end date')
+  ],
+  validate,
+  holidayCalendarController.createCalendar
+);
+
+router.put('/:id',
+  requirePermission('holidays.manage'),
+  [
+    param('id').isUUID().withMessage('Invalid calendar ID'),
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('is_default').optional().isBoolean().withMessage('is_default must be boolean'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be boolean')
+  ],
+  validate,
+  holidayCalendarController.updateCalendar
+);
+
+router.delete('/:id',
+  requirePermission('holidays.manage'),
+  param('id').isUUID().withMessage('Invalid calendar ID'),
+  validate,
+  holidayCalendarController.deleteCalendar
+);
+
+router.post('/:id/holidays',
+  requirePermission('holidays.manage'),
+  [
+    param('id').isUUID().withMessage('Invalid calendar ID'),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('start_date').isDate().withMessage('Valid start date is required'),
+    body('end_date').optional().isDate().withMessage('Invalid end date')
+  ],
+  validate,
+  holidayCalendarController.addHoliday
+);
+
+router.delete('/:id/holidays/:holidayId',
+  requirePermission('holidays.manage'),
+  param('id').isUUID().withMessage('Invalid calendar ID'),
+  param('holidayId').isUUID().withMessage('Invalid holiday ID'),
+  validate,
+  holidayCalendarController.removeHoliday
+);
+
+module.exports = router;
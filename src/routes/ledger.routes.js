@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const ledgerController = require('../controllers/ledger.controller');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { scopeToBranch } = require('../middleware/branchScope');
+
+// All routes require authentication
+router.use(authenticate);
+router.use(scopeToBranch);
+
+// Chart of accounts
+router.get('/accounts', requirePermission('ledger.view'), ledgerController.getAccounts);
+router.post('/accounts', requirePermission('ledger.manage'), ledgerController.createAccount);
+
+// Journal
+router.get('/journal', requirePermission('ledger.view'), ledgerController.getJournalEntries);
+router.post('/journal', requirePermission('ledger.manage'), ledgerController.createJournalEntry);
+router.post('/journal/:id/reverse', requirePermission('ledger.manage'), ledgerController.reverseJournalEntry);
+router.post('/backfill', requirePermission('ledger.manage'), ledgerController.backfillLedger);
+
+// Financial statements
+router.get('/trial-balance', requirePermission('ledger.view'), ledgerController.getTrialBalance);
+router.get('/profit-and-loss', requirePermission('ledger.view'), ledgerController.getProfitAndLoss);
+router.get('/balance-sheet', requirePermission('ledger.view'), ledgerController.getBalanceSheet);
+
+module.exports = router;
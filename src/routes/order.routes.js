@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/order.controller');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { orderValidators, commonValidators } = require('../utils/validators');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Checkout cart
+router.post('/checkout',
+  orderValidators.checkout,
+  validate,
+  orderController.checkout
+);
+
+// List orders
+router.get('/',
+  commonValidators.pagination,
+  validate,
+  orderController.getOrders
+);
+
+// Get order by ID
+router.get('/:id',
+  commonValidators.uuid('id'),
+  validate,
+  orderController.getOrderById
+);
+
+// Mark ready for pickup / delivered
+router.patch('/:id/status',
+  requirePermission('orders.fulfil'),
+  commonValidators.uuid('id'),
+  orderValidators.updateStatus,
+  validate,
+  orderController.updateOrderStatus
+);
+
+// Cancel pending order
+router.patch('/:id/cancel',
+  commonValidators.uuid('id'),
+  validate,
+  orderController.cancelOrder
+);
+
+module.exports = router;
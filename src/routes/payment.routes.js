@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/payment.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const paymentMethodController = require('../controllers/paymentMethod.controller');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
+const { scopeToBranch, checkBranchParam } = require('../middleware/branchScope');
 const { uploadReceipt } = require('../middleware/upload');
 const { validate } = require('../middleware/validate');
 const { paymentValidators, commonValidators } = require('../utils/validators');
@@ -22,10 +24,12 @@ router.post('/gateway/webhook', paymentController.handleGatewayWebhook);
 
 // All other routes require authentication
 router.use(authenticate);
+router.use(scopeToBranch);
+router.param('branchId', checkBranchParam);
 
 // Get all payments
 router.get('/',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('payments.view'),
   commonValidators.pagination,
   validate,
   paymentController.getAllPayments
@@ -40,23 +44,57 @@ router.post('/receipt',
 
 // Create payment with receipt (Admin/Accountant)
 router.post('/admin/receipt',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('payments.create'),
   uploadReceipt,
   paymentController.createAdminReceiptPayment
 );
 
+// Split a plan into installments (Parent)
+router.post('/installments',
+  authorize(ROLES.PARENT),
+  paymentController.createInstallmentPlan
+);
+
+// Split a plan into installments (Admin/Accountant)
+router.post('/admin/installments',
+  requirePermission('payments.create'),
+  paymentController.createInstallmentPlan
+);
+
 // Get payment statistics
 router.get('/stats',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT),
+  requirePermission('payments.reports'),
   paymentController.getPaymentStats
 );
 
 // Get revenue report
 router.get('/revenue',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT),
+  requirePermission('payments.reports'),
   paymentController.getRevenueReport
 );
 
+// ═══════════════════════════════════════════════════════════════
+//  SAVED CARDS (auto-renewal)
+// ═══════════════════════════════════════════════════════════════
+
+// Get my saved cards
+router.get('/methods',
+  requirePermission('payment_methods.manage'),
+  paymentMethodController.getMyPaymentMethods
+);
+
+// Save a tokenized card
+router.post('/methods',
+  requirePermission('payment_methods.manage'),
+  paymentMethodController.savePaymentMethod
+);
+
+// Remove a saved card
+router.delete('/methods/:id',
+  requirePermission('payment_methods.manage'),
+  paymentMethodController.deletePaymentMethod
+);
+
 // ═══════════════════════════════════════════════════════════════
 //  ONLINE PAYMENT GATEWAY ROUTES (authenticated)
 // ═══════════════════════════════════════════════════════════════
@@ -67,12 +105,18 @@ router.post('/gateway/initiate',
   paymentController.initiateOnlinePayment
 );
 
+// Pay an existing pending payment online (installments)
+router.post('/gateway/initiate/:paymentId',
+  authorize(ROLES.PARENT),
+  paymentController.initiatePendingPayment
+);
+
 // Verify payment status with gateway
 router.get('/gateway/verify/:paymentId', paymentController.verifyGatewayPayment);
 
 // Process refund via gateway
 router.post('/gateway/:paymentId/refund',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT),
+  requirePermission('payments.refund'),
   paymentController.processGatewayRefund
 );
 
@@ -84,7 +128,7 @@ router.get('/:id', paymentController.getPaymentById);
 
 // Create new payment
 router.post('/',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('payments.create'),
   paymentValidators.create,
   validate,
   paymentController.createPayment
@@ -92,13 +136,13 @@ router.post('/',
 
 // Update payment
 router.put('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT),
+  requirePermission('payments.update'),
   paymentController.updatePayment
 );
 
 // Delete payment
 router.delete('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT),
+  requirePermission('payments.delete'),
   paymentController.deletePayment
 );
 
@@ -110,36 +154,45 @@ router.get('/player/:playerId', paymentController.getPaymentsByPlayer);
 
 // Get payments by branch
 router.get('/branch/:branchId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('payments.view'),
   paymentController.getPaymentsByBranch
 );
 
 // Process refund
 router.post('/:id/refund',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT),
+  requirePermission('payments.refund'),
   paymentController.processRefund
 );
 
+// Get refunds of a payment
+router.get('/:id/refunds',
+  requirePermission('payments.view'),
+  paymentController.getPaymentRefunds
+);
+
 // Mark payment as completed
 router.patch('/:id/complete',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('payments.complete'),
   paymentController.markAsCompleted
 );
 
 // Cancel payment
 router.patch('/:id/cancel',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT),
+  requirePermission('payments.cancel'),
   paymentController.cancelPayment
 );
 
 // Get pending payments
 router.get('/status/pending',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('payments.view'),
   paymentController.getPendingPayments
 );
 
 // Generate invoice
 router.get('/:id/invoice', paymentController.generateInvoice);
 
+// Download invoice / receipt PDF
+router.get('/:id/invoice/pdf', paymentController.downloadInvoicePdf);
+
 module.exports = router;
 
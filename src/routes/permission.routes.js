@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const permissionController = require('../controllers/permission.controller');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { commonValidators } = require('../utils/validators');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Any signed-in user can see what they are allowed to do
+router.get('/me', permissionController.getMyPermissions);
+
+router.get('/', requirePermission('permissions.manage'), permissionController.getCatalog);
+router.get('/roles/:role', requirePermission('permissions.manage'), permissionController.getRolePermissions);
+
+router.get('/users/:userId',
+  requirePermission('permissions.manage'),
+  commonValidators.uuid('userId'),
+  validate,
+  permissionController.getUserPermissions
+);
+
+router.put('/users/:userId',
+  requirePermission('permissions.manage'),
+  commonValidators.uuid('userId'),
+  validate,
+  permissionController.updateUserPermissions
+);
+
+module.exports = router;
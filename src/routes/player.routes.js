@@ -1,14 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const playerController = require('../controllers/player.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { scopeToBranch, checkBranchParam } = require('../middleware/branchScope');
 const { validate } = require('../middleware/validate');
 const { playerValidators, commonValidators } = require('../utils/validators');
 const { uploadAvatar, uploadDocument } = require('../middleware/upload');
-const { ROLES } = require('../config/constants');
 
-// All routes require authentication
+// All routes require authentication and are limited to the caller's branch(es)
 router.use(authenticate);
+router.use(scopeToBranch);
+router.param('branchId', checkBranchParam);
 
 // Get all players
 router.get('/',
@@ -22,7 +24,7 @@ router.post('/link', playerController.linkPlayer);
 
 // Get player statistics - MUST be before /:id
 router.get('/stats',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('players.view'),
   playerController.getPlayerStats
 );
 
@@ -31,13 +33,13 @@ router.get('/parent/:parentId', playerController.getPlayersByParent);
 
 // Get players by branch - MUST be before /:id
 router.get('/branch/:branchId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('players.view'),
   playerController.getPlayersByBranch
 );
 
 // Get players by program - MUST be before /:id
 router.get('/program/:programId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('players.view'),
   playerController.getPlayersByProgram
 );
 
@@ -60,7 +62,7 @@ router.put('/:id',
 
 // Delete player
 router.delete('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('players.delete'),
   playerController.deletePlayer
 );
 
@@ -78,13 +80,13 @@ router.post('/:id/id-document',
 
 // Update player status
 router.patch('/:id/status',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('players.manage'),
   playerController.updatePlayerStatus
 );
 
 // Assign player to program
 router.post('/:id/assign-program',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('players.manage'),
   playerController.assignToProgram
 );
 
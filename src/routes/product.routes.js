@@ -3,7 +3,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const productController = require('../controllers/product.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -41,18 +41,18 @@ const upload = multer({
 // Public
 router.get('/', productController.getProducts);
 
-// Protected: Super admin/owner can manage products
+// Protected: requires products.manage
 router.get(
   '/admin',
   authenticate,
-  authorize('super_admin', 'owner'),
+  requirePermission('products.manage'),
   productController.getAllProductsAdmin
 );
 
 router.post(
   '/',
   authenticate,
-  authorize('super_admin', 'owner'),
+  requirePermission('products.manage'),
   upload.single('image'),
   productController.createProduct
 );
@@ -60,22 +60,29 @@ router.post(
 router.patch(
   '/:id',
   authenticate,
-  authorize('super_admin', 'owner'),
+  requirePermission('products.manage'),
   upload.single('image'),
   productController.updateProduct
 );
 
+router.patch(
+  '/:id/variants/:variantId/stock',
+  authenticate,
+  requirePermission('products.manage'),
+  productController.updateVariantStock
+);
+
 router.patch(
   '/:id/toggle-status',
   authenticate,
-  authorize('super_admin', 'owner'),
+  requirePermission('products.manage'),
   productController.toggleProductStatus
 );
 
 router.delete(
   '/:id',
   authenticate,
-  authorize('super_admin', 'owner'),
+  requirePermission('products.manage'),
   productController.deleteProduct
 );
 
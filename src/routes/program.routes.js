@@ -1,11 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const programController = require('../controllers/program.controller');
-const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { authenticate, requirePermission, optionalAuth } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const { programValidators, commonValidators } = require('../utils/validators');
 const { uploadProgramImage } = require('../middleware/upload');
-const { ROLES } = require('../config/constants');
 
 // Public routes
 router.get('/public', programController.getPublicPrograms);
@@ -22,7 +21,7 @@ router.get('/',
 
 // Get program statistics
 router.get('/stats',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('programs.stats'),
   programController.getProgramStats
 );
 
@@ -31,7 +30,7 @@ router.get('/:id', programController.getProgramById);
 
 // Create new program
 router.post('/',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('programs.create'),
   programValidators.create,
   validate,
   programController.createProgram
@@ -39,7 +38,7 @@ router.post('/',
 
 // Update program
 router.put('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('programs.update'),
   programValidators.update,
   validate,
   programController.updateProgram
@@ -47,13 +46,13 @@ router.put('/:id',
 
 // Delete program
 router.delete('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('programs.delete'),
   programController.deleteProgram
 );
 
 // Upload program image
 router.post('/:id/image',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('programs.update'),
   uploadProgramImage,
   programController.uploadImage
 );
@@ -63,13 +62,13 @@ router.get('/:id/schedule', programController.getProgramSchedule);
 
 // Update program schedule
 router.put('/:id/schedule',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('programs.update'),
   programController.updateProgramSchedule
 );
 
 // Get program players
 router.get('/:id/players',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('programs.view_players'),
   programController.getProgramPlayers
 );
 
@@ -79,24 +78,24 @@ router.get('/:id/coaches',
 );
 
 router.post('/:id/coaches',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('programs.assign_coaches'),
   programController.assignCoaches
 );
 
 router.delete('/:id/coaches/:coachId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('programs.assign_coaches'),
   programController.removeCoachFromProgram
 );
 
 // Assign coach to program (legacy - kept for backward compatibility)
 router.post('/:id/assign-coach',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('programs.assign_coaches'),
   programController.assignCoach
 );
 
 // Toggle program status
 router.patch('/:id/status',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('programs.update'),
   programController.toggleProgramStatus
 );
 
@@ -1,19 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const scheduleController = require('../controllers/schedule.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const scheduleBuilderController = require('../controllers/scheduleBuilder.controller');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { scopeToBranch, checkBranchParam } = require('../middleware/branchScope');
 const { validate } = require('../middleware/validate');
 const { body, query, param } = require('express-validator');
-const { ROLES } = require('../config/constants');
 const { normalizeArabicNumerals } = require('../utils/helpers');
 const normalizeNumerals = (v) => (typeof v === 'string' ? normalizeArabicNumerals(v) : v);
 
-// All routes require authentication
+// All routes require authentication and are limited to the caller's branch(es)
 router.use(authenticate);
+router.use(scopeToBranch);
+router.param('branchId', checkBranchParam);
 
 // Get branch schedule (all sessions for a branch)
 router.get('/branch/:branchId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT, ROLES.COACH, ROLES.PARENT),
+  requirePermission('schedule.view'),
   param('branchId').isUUID().withMessage('Invalid branch ID'),
   query('startDate').optional().isDate().withMessage('Invalid start date'),
   query('endDate').optional().isDate().withMessage('Invalid end date'),
@@ -26,7 +29,7 @@ router.get('/branch/:branchId',
 
 // Get week schedule for a branch
 router.get('/branch/:branchId/week',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT, ROLES.COACH, ROLES.PARENT),
+  requirePermission('schedule.view'),
   param('branchId').isUUID().withMessage('Invalid branch ID'),
   query('startDate').optional().isDate().withMessage('Invalid start date'),
   validate,
@@ -35,7 +38,7 @@ router.get('/branch/:branchId/week',
 
 // Get day schedule for a branch
 router.get('/branch/:branchId/day',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH, ROLES.PARENT),
+  requirePermission('schedule.view_day'),
   param('branchId').isUUID().withMessage('Invalid branch ID'),
   query('date').optional().isDate().withMessage('Invalid date'),
   validate,
@@ -44,7 +47,7 @@ router.get('/branch/:branchId/day',
 
 // Get program schedule
 router.get('/program/:programId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT, ROLES.COACH, ROLES.PARENT),
+  requirePermission('schedule.view'),
   param('programId').isUUID().withMessage('Invalid program ID'),
   query('startDate').optional().isDate().withMessage('Invalid start date'),
   query('endDate').optional().isDate().withMessage('Invalid end date'),
@@ -54,15 +57,114 @@ router.get('/program/:programId',
 
 // Generate recurring sessions for a program
 router.post('/program/:programId/generate',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('schedule.manage'),
   param('programId').isUUID().withMessage('Invalid program ID'),
   body('startDate').optional().isDate().withMessage('Invalid start date'),
   body('endDate').optional().isDate().withMessage('Invalid end date'),
   body('weeksAhead').optional().isInt({ min: 1, max: 52 }).withMessage('weeksAhead must be between 1 and 52'),
+  body('coach_id').optional().isUUID().withMessage('Coach ID must be valid'),
   validate,
   scheduleController.generateRecurringSessions
 );
 
+// Recurring series of a program
+router.get('/program/:programId/series',
+  requirePermission('schedule.view'),
+  param('programId').isUUID().withMessage('Invalid program ID'),
+  query('status').optional().isIn(['active', 'ended', 'cancelled']).withMessage('Invalid status'),
+  validate,
+  scheduleController.getProgramSeries
+);
+
+// A recurring series and its upcoming sessions
+router.get('/series/:seriesId',
+  requirePermission('schedule.view'),
+  param('seriesId').isUUID().withMessage('Invalid series ID'),
+  validate,
+  scheduleController.getSeries
+);
+
+// Generate the missing sessions of a series
+router.post('/series/:seriesId/generate',
+  requirePermission('schedule.manage'),
+  param('seriesId').isUUID().withMessage('Invalid series ID'),
+  body('endDate').optional().isDate().withMessage('Invalid end date'),
+  body('weeksAhead').optional().isInt({ min: 1, max: 52 }).withMessage('weeksAhead must be between 1 and 52'),
+  validate,
+  scheduleController.generateSeriesSessions
+);
+
+// Exception dates of a series
+router.post('/series/:seriesId/exceptions',
+  requirePermission('schedule.manage'),
+  [
+    param('seriesId').isUUID().withMessage('Invalid series ID'),
+    body('dates').isArray({ min: 1 }).withMessage('dates must be a non-empty array'),
+    body('dates.*').isDate().withMessage('Each exception date must be a valid date'),
+    body('reason').optional().isString().withMessage('Reason must be a string')
+  ],
+  validate,
+  scheduleController.addSeriesExceptions
+);
+
+router.delete('/series/:seriesId/exceptions/:date',
+  requirePermission('schedule.manage'),
+  param('seriesId').isUUID().withMessage('Invalid series ID'),
+  param('date').isDate().withMessage('Invalid date'),
+  validate,
+  scheduleController.removeSeriesException
+);
+
+// Schedule builder: proposed term timetables, reviewed before they are booked
+router.post('/builder/proposals',
+  requirePermission('schedule.manage'),
+  [
+    body('branch_id').isUUID().withMessage('Branch ID is required and must be valid'),
+    body('name').optional().isString().withMessage('Name must be a string'),
+    body('start_date').isDate().withMessage('Valid start date is required'),
+    body('end_date').isDate().withMessage('Valid end date is required'),
+    body('programs').isArray({ min: 1 }).withMessage('programs must be a non-empty array'),
+    body('programs.*.program_id').isUUID().withMessage('Each program needs a valid program_id'),
+    body('programs.*.weekly_hours').customSanitizer(normalizeNumerals).isFloat({ gt: 0, max: 40 }).withMessage('weekly_hours must be between 0 and 40'),
+    body('programs.*.session_minutes').optional().customSanitizer(normalizeNumerals).isInt({ min: 15, max: 480 }).withMessage('session_minutes must be between 15 and 480'),
+    body('programs.*.days').optional().isArray({ min: 1 }).withMessage('days must be a non-empty array'),
+    body('programs.*.facilities').optional().isArray().withMessage('facilities must be an array'),
+    body('programs.*.coach_ids').optional().isArray({ min: 1 }).withMessage('coach_ids must be a non-empty array'),
+    body('programs.*.coach_ids.*').optional().isUUID().withMessage('Each coach ID must be valid')
+  ],
+  validate,
+  scheduleBuilderController.buildProposal
+);
+
+router.get('/builder/proposals',
+  requirePermission('schedule.manage'),
+  query('branch_id').optional().isUUID().withMessage('Branch ID must be valid'),
+  query('status').optional().isIn(['draft', 'committed', 'discarded']).withMessage('Invalid status'),
+  validate,
+  scheduleBuilderController.getProposals
+);
+
+router.get('/builder/proposals/:proposalId',
+  requirePermission('schedule.manage'),
+  param('proposalId').isUUID().withMessage('Invalid proposal ID'),
+  validate,
+  scheduleBuilderController.getProposal
+);
+
+router.post('/builder/proposals/:proposalId/commit',
+  requirePermission('schedule.manage'),
+  param('proposalId').isUUID().withMessage('Invalid proposal ID'),
+  validate,
+  scheduleBuilderController.commitProposal
+);
+
+router.delete('/builder/proposals/:proposalId',
+  requirePermission('schedule.manage'),
+  param('proposalId').isUUID().withMessage('Invalid proposal ID'),
+  validate,
+  scheduleBuilderController.discardProposal
+);
+
 // Get coach weekly schedule
 router.get('/coach/:coachId/week',
   param('coachId').isUUID().withMessage('Invalid coach ID'),
@@ -73,7 +175,7 @@ router.get('/coach/:coachId/week',
 
 // Create a single training session
 router.post('/session',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('schedule.manage'),
   [
     body('program_id').isUUID().withMessage('Program ID is required and must be valid'),
     body('coach_id').isUUID().withMessage('Coach ID is required and must be valid'),
@@ -83,6 +185,15 @@ router.post('/session',
     body('facility').optional().isString().withMessage('Facility must be a string'),
     body('max_capacity').optional().customSanitizer(normalizeNumerals).isInt({ min: 1 }).withMessage('Max capacity must be a positive integer'),
     body('is_recurring').optional().isBoolean().withMessage('is_recurring must be boolean'),
+    body('recurrence').optional().isObject().withMessage('recurrence must be an object'),
+    body('recurrence.rrule').optional().isString().withMessage('rrule must be a string'),
+    body('recurrence.frequency').optional().isIn(['weekly', 'biweekly']).withMessage('Frequency must be weekly or biweekly'),
+    body('recurrence.by_day').optional().isArray({ min: 1 }).withMessage('by_day must be a non-empty array'),
+    body('recurrence.until').optional({ nullable: true }).isDate().withMessage('Invalid until date'),
+    body('recurrence.count').optional({ nullable: true }).isInt({ min: 1, max: 1000 }).withMessage('count must be between 1 and 1000'),
+    body('recurrence.exception_dates').optional().isArray().withMessage('exception_dates must be an array'),
+    body('recurrence.exception_dates.*').isDate().withMessage('Each exception date must be a valid date'),
+    body('recurrence.holiday_calendar_id').optional({ nullable: true }).isUUID().withMessage('Holiday calendar ID must be valid'),
     body('notes').optional().isString().withMessage('Notes must be a string')
   ],
   validate,
@@ -91,7 +202,7 @@ router.post('/session',
 
 // Update a training session
 router.put('/session/:sessionId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('schedule.manage'),
   [
     param('sessionId').isUUID().withMessage('Invalid session ID'),
     body('coach_id').optional().isUUID().withMessage('Coach ID must be valid'),
@@ -100,7 +211,8 @@ router.put('/session/:sessionId',
     body('end_time').optional().customSanitizer(normalizeNumerals).matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/).withMessage('Valid end time is required (HH:MM or HH:MM:SS)'),
     body('facility').optional().isString().withMessage('Facility must be a string'),
     body('max_capacity').optional().customSanitizer(normalizeNumerals).isInt({ min: 1 }).withMessage('Max capacity must be a positive integer'),
-    body('notes').optional().isString().withMessage('Notes must be a string')
+    body('notes').optional().isString().withMessage('Notes must be a string'),
+    body('scope').optional().isIn(['this', 'following', 'all']).withMessage('Scope must be this, following or all')
   ],
   validate,
   scheduleController.updateSession
@@ -108,11 +220,12 @@ router.put('/session/:sessionId',
 
 // Cancel/Delete a training session
 router.delete('/session/:sessionId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('schedule.manage'),
   [
     param('sessionId').isUUID().withMessage('Invalid session ID'),
     body('reason').optional().isString().withMessage('Reason must be a string'),
-    body('permanent').optional().isBoolean().withMessage('permanent must be boolean')
+    body('permanent').optional().isBoolean().withMessage('permanent must be boolean'),
+    body('scope').optional().isIn(['this', 'following', 'all']).withMessage('Scope must be this, following or all')
   ],
   validate,
   scheduleController.cancelSession
@@ -120,7 +233,7 @@ router.delete('/session/:sessionId',
 
 // Validate session scheduling (check conflicts)
 router.post('/validate',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('schedule.manage'),
   [
     body('coach_id').isUUID().withMessage('Coach ID is required and must be valid'),
     body('branch_id').isUUID().withMessage('Branch ID is required and must be valid'),
@@ -136,7 +249,7 @@ router.post('/validate',
 
 // Get schedule statistics
 router.get('/stats',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT),
+  requirePermission('schedule.stats'),
   query('branchId').optional().isUUID().withMessage('Invalid branch ID'),
   query('startDate').optional().isDate().withMessage('Invalid start date'),
   query('endDate').optional().isDate().withMessage('Invalid end date'),
@@ -148,16 +261,16 @@ router.get('/stats',
 
 // Get program waitlist
 router.get('/program/:programId/waitlist',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT),
+  requirePermission('waitlist.view'),
   param('programId').isUUID().withMessage('Invalid program ID'),
-  query('status').optional().isIn(['waiting', 'notified', 'enrolled', 'expired', 'cancelled']).withMessage('Invalid status'),
+  query('status').optional().isIn(['waiting', 'notified', 'enrolled', 'declined', 'expired', 'cancelled']).withMessage('Invalid status'),
   validate,
   scheduleController.getProgramWaitlist
 );
 
 // Add player to waitlist
 router.post('/program/:programId/waitlist',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.PARENT),
+  requirePermission('waitlist.join'),
   param('programId').isUUID().withMessage('Invalid program ID'),
   [
     body('player_id').isUUID().withMessage('Player ID is required and must be valid'),
@@ -170,7 +283,7 @@ router.post('/program/:programId/waitlist',
 
 // Remove player from waitlist
 router.delete('/waitlist/:waitlistId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.PARENT),
+  requirePermission('waitlist.join'),
   param('waitlistId').isUUID().withMessage('Invalid waitlist ID'),
   validate,
   scheduleController.removeFromWaitlist
@@ -178,21 +291,38 @@ router.delete('/waitlist/:waitlistId',
 
 // Update waitlist status
 router.patch('/waitlist/:waitlistId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('waitlist.manage'),
   param('waitlistId').isUUID().withMessage('Invalid waitlist ID'),
   [
-    body('status').isIn(['waiting', 'notified', 'enrolled', 'expired', 'cancelled']).withMessage('Invalid status'),
+    body('status').isIn(['waiting', 'notified', 'enrolled', 'declined', 'expired', 'cancelled']).withMessage('Invalid status'),
     body('notes').optional().isString().withMessage('Notes must be a string')
   ],
   validate,
   scheduleController.updateWaitlistStatus
 );
 
+// Accept an offered spot (parent of the player, or branch staff)
+router.post('/waitlist/:waitlistId/accept',
+  requirePermission('waitlist.join'),
+  param('waitlistId').isUUID().withMessage('Invalid waitlist ID'),
+  validate,
+  scheduleController.acceptWaitlistOffer
+);
+
+// Decline an offered spot
+router.post('/waitlist/:waitlistId/decline',
+  requirePermission('waitlist.join'),
+  param('waitlistId').isUUID().withMessage('Invalid waitlist ID'),
+  body('reason').optional().isString().withMessage('Reason must be a string'),
+  validate,
+  scheduleController.declineWaitlistOffer
+);
+
 // ==================== Calendar Export Routes ====================
 
 // Export branch schedule as iCal
 router.get('/export/branch/:branchId/ical',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('schedule.export'),
   param('branchId').isUUID().withMessage('Invalid branch ID'),
   query('startDate').optional().isDate().withMessage('Invalid start date'),
   query('endDate').optional().isDate().withMessage('Invalid end date'),
@@ -202,7 +332,7 @@ router.get('/export/branch/:branchId/ical',
 
 // Export coach schedule as iCal
 router.get('/export/coach/:coachId/ical',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('schedule.export'),
   param('coachId').isUUID().withMessage('Invalid coach ID'),
   query('startDate').optional().isDate().withMessage('Invalid start date'),
   query('endDate').optional().isDate().withMessage('Invalid end date'),
@@ -212,7 +342,7 @@ router.get('/export/coach/:coachId/ical',
 
 // Export single session as iCal
 router.get('/export/session/:sessionId/ical',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('schedule.export'),
   param('sessionId').isUUID().withMessage('Invalid session ID'),
   validate,
   scheduleController.exportSessionICal
@@ -220,7 +350,7 @@ router.get('/export/session/:sessionId/ical',
 
 // Export branch schedule as PDF
 router.get('/export/branch/:branchId/pdf',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.COACH),
+  requirePermission('schedule.export'),
   param('branchId').isUUID().withMessage('Invalid branch ID'),
   query('period').optional().isIn(['daily', 'weekly', 'monthly']).withMessage('Period must be daily, weekly, or monthly'),
   validate,
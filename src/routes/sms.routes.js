@@ -1,17 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const smsController = require('../controllers/sms.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const { smsValidators, commonValidators } = require('../utils/validators');
-const { ROLES } = require('../config/constants');
 
 // All routes require authentication
 router.use(authenticate);
 
 // Get all SMS messages
 router.get('/',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.view'),
   commonValidators.pagination,
   validate,
   smsController.getAllSMS
@@ -19,25 +18,25 @@ router.get('/',
 
 // Get SMS statistics
 router.get('/stats',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('sms.stats'),
   smsController.getSMSStats
 );
 
 // Get SMS templates
 router.get('/templates/list',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.view'),
   smsController.getTemplates
 );
 
 // Get SMS balance
 router.get('/account/balance',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('sms.stats'),
   smsController.getBalance
 );
 
 // Get scheduler status
 router.get('/scheduler-status',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('sms.stats'),
   smsController.getSchedulerStatus
 );
 
@@ -45,61 +44,61 @@ router.get('/scheduler-status',
 
 // Get all auto SMS settings
 router.get('/auto-settings',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.auto_settings'),
   smsController.getAutoSMSSettings
 );
 
 // Create auto SMS setting
 router.post('/auto-settings',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.auto_settings'),
   smsController.createAutoSMSSetting
 );
 
 // Get auto SMS setting by ID
 router.get('/auto-settings/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.auto_settings'),
   smsController.getAutoSMSSettingById
 );
 
 // Update auto SMS setting
 router.put('/auto-settings/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.auto_settings'),
   smsController.updateAutoSMSSetting
 );
 
 // Delete auto SMS setting
 router.delete('/auto-settings/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.auto_settings'),
   smsController.deleteAutoSMSSetting
 );
 
 // Trigger auto SMS manually (testing)
 router.post('/trigger-auto',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('sms.trigger_auto'),
   smsController.triggerAutoSMS
 );
 
 // Get SMS by ID (must be after all other specific routes)
 router.get('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.view'),
   smsController.getSMSById
 );
 
 // Update SMS message
 router.put('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.schedule'),
   smsController.updateSMS
 );
 
 // Delete SMS message
 router.delete('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.schedule'),
   smsController.deleteSMS
 );
 
 // Send SMS
 router.post('/send',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.send'),
   smsValidators.send,
   validate,
   smsController.sendSMS
@@ -107,25 +106,25 @@ router.post('/send',
 
 // Send bulk SMS to branch
 router.post('/send-branch',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.send_branch'),
   smsController.sendToBranch
 );
 
 // Send bulk SMS to program
 router.post('/send-program',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.send_program'),
   smsController.sendToProgram
 );
 
 // Schedule SMS
 router.post('/schedule',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.schedule'),
   smsController.scheduleSMS
 );
 
 // Cancel scheduled SMS
 router.delete('/:id/cancel',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('sms.schedule'),
   smsController.cancelScheduledSMS
 );
 
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const statsController = require('../controllers/stats.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
 const { ROLES } = require('../config/constants');
 
 // All routes require authentication
@@ -9,25 +9,31 @@ router.use(authenticate);
 
 // Super Admin Dashboard Stats
 router.get('/super-admin',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('stats.overview'),
   statsController.getSuperAdminStats
 );
 
 // Financial Stats (with date range and branch filter)
 router.get('/financial',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT),
+  requirePermission('stats.financial'),
   statsController.getFinancialStats
 );
 
 // Accountant Dashboard Stats
 router.get('/accountant',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT),
+  requirePermission('stats.financial'),
   statsController.getAccountantStats
 );
 
+// Cash Drawer Variance (closed shifts by branch and cashier)
+router.get('/cash-drawers',
+  requirePermission('stats.financial'),
+  statsController.getCashDrawerStats
+);
+
 // Branch Dashboard Stats
 router.get('/branch/:branchId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT),
+  requirePermission('stats.branch'),
   statsController.getBranchStats
 );
 
@@ -1,13 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const subscriptionController = require('../controllers/subscription.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { scopeToBranch, checkBranchParam } = require('../middleware/branchScope');
 const { validate } = require('../middleware/validate');
 const { commonValidators } = require('../utils/validators');
-const { ROLES } = require('../config/constants');
 
-// All routes require authentication
+// All routes require authentication and are limited to the caller's branch(es)
 router.use(authenticate);
+router.use(scopeToBranch);
+router.param('branchId', checkBranchParam);
 
 // Get all subscriptions
 router.get('/',
@@ -18,70 +20,82 @@ router.get('/',
 
 // Get subscription statistics
 router.get('/stats',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('subscriptions.view'),
   subscriptionController.getSubscriptionStats
 );
 
 // Get expiring subscriptions
 router.get('/expiring',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('subscriptions.view'),
   subscriptionController.getExpiringSubscriptions
 );
 
 // Get overdue subscriptions
 router.get('/overdue',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('subscriptions.view'),
   subscriptionController.getOverdueSubscriptions
 );
 
 // Get expiry summary (counts by urgency)
 router.get('/expiry-summary',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('subscriptions.view'),
   subscriptionController.getExpirySummary
 );
 
 // Send bulk renewal reminders
 router.post('/send-bulk-reminders',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('subscriptions.remind'),
   subscriptionController.sendBulkReminders
 );
 
 // Get subscription by ID
 router.get('/:id', subscriptionController.getSubscriptionById);
 
+// Get installment schedule
+router.get('/:id/installments', subscriptionController.getSubscriptionInstallments);
+
+// Get status history
+router.get('/:id/history', subscriptionController.getSubscriptionHistory);
+
 // Create new subscription
 router.post('/',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('subscriptions.create'),
   subscriptionController.createSubscription
 );
 
 // Update subscription
 router.put('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT),
+  requirePermission('subscriptions.update'),
   subscriptionController.updateSubscription
 );
 
 // Renew subscription
 router.post('/:id/renew',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('subscriptions.renew'),
   subscriptionController.renewSubscription
 );
 
 // Apply discount to subscription
 router.post('/:id/discount',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT),
+  requirePermission('subscriptions.discount'),
   subscriptionController.applyDiscount
 );
 
+// Turn auto-renewal on/off (parent, with a saved card)
+router.patch('/:id/auto-renew',
+  requirePermission('subscriptions.auto_renew'),
+  subscriptionController.updateAutoRenew
+);
+
 // Cancel subscription
 router.patch('/:id/cancel',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT),
+  requirePermission('subscriptions.cancel'),
   subscriptionController.cancelSubscription
 );
 
 // Send renewal reminder for single subscription
 router.post('/:id/send-reminder',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.ACCOUNTANT, ROLES.BRANCH_ADMIN),
+  requirePermission('subscriptions.remind'),
   subscriptionController.sendRenewalReminder
 );
 
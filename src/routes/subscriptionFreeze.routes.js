@@ -1,15 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const freezeController = require('../controllers/subscriptionFreeze.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 // All routes require authentication
 router.use(authenticate);
 
-// Routes for super_admin, owner, and branch_admin
-router.get('/', authorize('super_admin', 'owner', 'branch_admin'), freezeController.getAllFreezes);
-router.get('/active', authorize('super_admin', 'owner', 'accountant'), freezeController.getActiveFreezes);
-router.post('/', authorize('super_admin', 'owner', 'branch_admin'), freezeController.createFreeze);
-router.patch('/:id', authorize('super_admin', 'owner', 'branch_admin'), freezeController.updateFreeze);
+// Freeze management (freezes.* permissions)
+router.get('/', requirePermission('freezes.view'), freezeController.getAllFreezes);
+router.get('/active', requirePermission('freezes.view_active'), freezeController.getActiveFreezes);
+router.post('/', requirePermission('freezes.manage'), freezeController.createFreeze);
+router.patch('/:id', requirePermission('freezes.manage'), freezeController.updateFreeze);
 
 module.exports = router;
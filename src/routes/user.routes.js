@@ -1,18 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const { userValidators, commonValidators } = require('../utils/validators');
 const { uploadAvatar } = require('../middleware/upload');
-const { ROLES } = require('../config/constants');
 
 // All routes require authentication
 router.use(authenticate);
 
-// Get all users (admin only)
+// Get all users (users.view)
 router.get('/', 
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('users.view'),
   commonValidators.pagination,
   validate,
   userController.getAllUsers
@@ -25,31 +24,31 @@ router.put('/profile',
 
 // Get audience tree for announcement targeting - MUST be before /:id
 router.get('/audience-tree',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT),
+  requirePermission('users.directory'),
   userController.getAudienceTree
 );
 
 // Get users by role - MUST be before /:id to avoid conflict
 router.get('/role/:role',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT),
+  requirePermission('users.directory'),
   userController.getUsersByRole
 );
 
 // Get users by branch - MUST be before /:id to avoid conflict
 router.get('/branch/:branchId',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN, ROLES.ACCOUNTANT),
+  requirePermission('users.directory'),
   userController.getUsersByBranch
 );
 
 // Get user by ID
 router.get('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER, ROLES.BRANCH_ADMIN),
+  requirePermission('users.view'),
   userController.getUserById
 );
 
-// Create new user (admin only)
+// Create new user (users.create)
 router.post('/',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('users.create'),
   userValidators.create,
   validate,
   userController.createUser
@@ -57,7 +56,7 @@ router.post('/',
 
 // Update user
 router.put('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('users.update'),
   userValidators.update,
   validate,
   userController.updateUser
@@ -65,7 +64,7 @@ router.put('/:id',
 
 // Delete user (soft delete)
 router.delete('/:id',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('users.delete'),
   userController.deleteUser
 );
 
@@ -77,7 +76,7 @@ router.post('/:id/avatar',
 
 // Activate/Deactivate user
 router.patch('/:id/status',
-  authorize(ROLES.SUPER_ADMIN, ROLES.OWNER),
+  requirePermission('users.status'),
   userController.toggleUserStatus
 );
 
@@ -5,6 +5,8 @@
 
 const { Payment, Subscription, Player, ProgramPricingPlan, Program } = require('../models');
 const { Op } = require('sequelize');
+const { CURRENT_SUBSCRIPTION_STATUSES } = require('../config/constants');
+const subscriptionLifecycle = require('../services/subscriptionLifecycle.service');
 
 async function migratePaymentsToSubscriptions() {
   console.log('🚀 Starting migration: Creating subscriptions from existing payments...\n');
@@ -49,7 +51,7 @@ async function migratePaymentsToSubscriptions() {
       const existingSub = await Subscription.findOne({
         where: {
           player_id: payment.player_id,
-          status: { [Op.in]: ['active', 'pending'] }
+          status: { [Op.in]: [...CURRENT_SUBSCRIPTION_STATUSES, 'pending'] }
         }
       });
 
@@ -145,11 +147,13 @@ async function migratePaymentsToSubscriptions() {
           plan_type: planType,
           start_date: startDate,
           end_date: endDate,
-          status: endDate > new Date() ? 'active' : 'expired',
+          status: subscriptionLifecycle.statusForDates({ end_date: endDate.toISOString().split('T')[0] }),
           amount: paymentAmount,
           total_amount: paymentAmount,
           is_auto_renew: false,
           notes: `Migrated from payment ${payment.invoice_number}${pricingPlan ? `. Plan: ${pricingPlan.name} (${durationMonths} months)` : ''}`
+        }, {
+          lifecycle: { source: 'migration', metadata: { payment_id: payment.id } }
         });
 
         // Link subscription to payment
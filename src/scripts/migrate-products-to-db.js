@@ -0,0 +1,121 @@
+/**
+ * One-shot migration: import the store catalogue from src/data/products.json
+ * into the products / product_variants tables.
+ *
+ * Safe to re-run: products already imported (matched by legacy_id) are skipped.
+ * Jerseys get one variant per size, everything else a single variant.
+ *
+ * Run with: node src/scripts/migrate-products-to-db.js [--stock=0]
+ *   --stock  Initial stock quantity for every imported variant (default: 0)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { sequelize, Product, ProductVariant } = require('../models');
+
+const DATA_FILE = path.join(__dirname, '../data/products.json');
+const JERSEY_SIZES = ['XS', 'S', 'M', 'L', 'XL'];
+
+const getArg = (name, fallback) => {
+  const arg = process.argv.find((value) => value.startsWith(`--${name}=`));
+  return arg ? arg.split('=')[1] : fallback;
+};
+
+const detectCategory = (item) => {
+  const name = `${item.name?.en || ''} ${item.name?.ar || ''}`.toLowerCase();
+  if (name.includes('jersey') || name.includes('قميص')) return 'jersey';
+  if (name.includes('shoe') || name.includes('حذاء')) return 'shoes';
+  if (name.includes('bottle') || name.includes('زجاجة')) return 'accessory';
+  return 'other';
+};
+
+async function migrateProductsToDb() {
+  console.log('🚀 Starting migration: Importing products.json into the database...\n');
+
+  const initialStock = parseInt(getArg('stock', '0'), 10) || 0;
+
+  let items;
+  try {
+    items = JSON.parse(await fs.readFile(DATA_FILE, 'utf8'));
+  } catch (error) {
+    console.log(`⚠️  Could not read ${DATA_FILE}: ${error.message}`);
+    return;
+  }
+
+  if (!Array.isArray(items)) {
+    throw new Error('products.json does not contain an array');
+  }
+
+  console.log(`📋 Found ${items.length} products in products.json\n`);
+
+  let created = 0;
+  let skipped = 0;
+  let errors = 0;
+
+  for (const item of items) {
+    const legacyId = Number(item.id);
+
+    try {
+      const existing = await Product.findOne({ where: { legacy_id: legacyId } });
+      if (existing) {
+        console.log(`⏭️  Skipped: ${item.name?.en} - already imported`);
+        skipped++;
+        continue;
+      }
+
+      const category = detectCategory(item);
+
+      await sequelize.transaction(async (transaction) => {
+        const product = await Product.create({
+          legacy_id: legacyId,
+          name: item.name?.en || item.name?.ar,
+          name_ar: item.name?.ar || item.name?.en,
+          description: item.description?.en || null,
+          description_ar: item.description?.ar || null,
+          category,
+          price: Number(item.price) || 0,
+          badge: item.badge || {},
+          image_url: item.image_url || null,
+          branch_ids: null,
+          is_active: item.is_active !== false,
+          created_by: item.created_by || null,
+          created_at: item.created_at ? new Date(item.created_at) : new Date(),
+          updated_at: item.updated_at ? new Date(item.updated_at) : new Date()
+        }, { transaction, silent: true });
+
+        const sizes = category === 'jersey' ? JERSEY_SIZES : [null];
+        await ProductVariant.bulkCreate(sizes.map((size, index) => ({
+          product_id: product.id,
+          sku: `P${String(legacyId).padStart(4, '0')}${size ? `-${size}` : ''}`,
+          size,
+          stock_quantity: initialStock,
+          sort_order: index
+        })), { transaction });
+      });
+
+      console.log(`✅ Imported: ${item.name?.en} (${category})`);
+      created++;
+    } catch (err) {
+      console.error(`❌ Error importing product ${item.id}:`, err.message);
+      errors++;
+    }
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Migration Summary:');
+  console.log(`   ✅ Imported: ${created} products`);
+  console.log(`   ⏭️  Skipped: ${skipped} products`);
+  console.log(`   ❌ Errors: ${errors}`);
+  console.log('='.repeat(60));
+}
+
+// Run migration
+migrateProductsToDb()
+  .then(() => {
+    console.log('\n✅ Migration completed!');
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('\n❌ Migration failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,423 @@
+/**
+ * Auto-Renew Service - recurring subscription billing with saved cards
+ *
+ * Parents save a card (tokenized by the gateway, see PaymentService.saveCard)
+ * and opt a subscription into auto-renewal. The daily scheduler job calls
+ * processDueRenewals(), which charges the card AUTO_RENEW.DAYS_BEFORE_END days
+ * before end_date at the subscription's current plan price:
+ *
+ *   sub A (auto-renew) ──charged──> sub B (renewed_from_id = A, auto-renew)
+ *          │
+ *          └──declined──> retry after 24h, 48h, 96h ... ──> auto-renew off
+ *
+ * The parent is notified of every success and failure.
+ */
+
+const { Op } = require('sequelize');
+const { Subscription, Payment, PaymentMethod, ProgramPricingPlan, Player } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { PAYMENT_STATUS, CURRENT_SUBSCRIPTION_STATUSES, AUTO_RENEW } = require('../config/constants');
+const paymentService = require('./payment.service');
+const taxService = require('./tax.service');
+const paymentSettlement = require('./paymentSettlement.service');
+const NotificationService = require('./notification.service');
+const { toMinorUnits } = require('../utils/currency');
+const { toDateOnly, addDays } = require('../utils/helpers');
+
+const toCard = (paymentMethod) => ({
+  token: paymentMethod.token,
+  customerId: paymentMethod.customer_id
+});
+
+class AutoRenewService {
+  // ═══════════════════════════════════════════════════════════════
+  //  SAVED CARDS
+  // ═══════════════════════════════════════════════════════════════
+
+  async listCards(user) {
+    return PaymentMethod.findAll({
+      where: { user_id: user.id, status: 'active' },
+      order: [['is_default', 'DESC'], ['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Save a card tokenized by the gateway's frontend form
+   * @param {object} user - Card owner (req.user)
+   * @param {object} params
+   * @param {string} params.token - Provider card token
+   * @param {boolean} params.isDefault - Make it the default card (the first card always is)
+   */
+  async saveCard(user, { token, isDefault = false }) {
+    if (!token) {
+      throw new AppError('Card token is required', 400);
+    }
+
+    let saved;
+    try {
+      saved = await paymentService.saveCard({
+        token,
+        customer: {
+          first_name: user.first_name,
+          last_name: user.last_name,
+          email: user.email,
+          phone: user.phone
+        }
+      });
+    } catch (error) {
+      throw new AppError(`Could not save card: ${error.message}`, 400);
+    }
+
+    const existing = await PaymentMethod.count({ where: { user_id: user.id, status: 'active' } });
+    const makeDefault = Boolean(isDefault) || existing === 0;
+
+    if (makeDefault) {
+      await PaymentMethod.update({ is_default: false }, { where: { user_id: user.id } });
+    }
+
+    return PaymentMethod.create({
+      user_id: user.id,
+      provider: paymentService.provider,
+      token: saved.token,
+      customer_id: saved.customerId,
+      brand: saved.brand,
+      last_four: saved.lastFour,
+      expiry_month: saved.expiryMonth,
+      expiry_year: saved.expiryYear,
+      holder_name: saved.holderName,
+      is_default: makeDefault
+    });
+  }
+
+  /**
+   * Remove a saved card; subscriptions renewing with it stop auto-renewing
+   * @returns {Promise<number>} Number of subscriptions switched off
+   */
+  async removeCard(user, cardId) {
+    const card = await this.getActiveCard(user.id, cardId, { allowExpired: true });
+
+    try {
+      await paymentService.deleteSavedCard(toCard(card));
+    } catch (error) {
+      // The local card is removed regardless; the provider token is never used again
+      console.error('Error deleting saved card at provider:', error.message);
+    }
+
+    await card.update({ status: 'removed', is_default: false });
+
+    const [affected] = await Subscription.update(
+      { is_auto_renew: false, payment_method_id: null },
+      { where: { payment_method_id: card.id, is_auto_renew: true } }
+    );
+
+    return affected;
+  }
+
+  /**
+   * @throws {AppError} 404 when the card is not one of the user's active cards, 400 when expired
+   */
+  async getActiveCard(userId, cardId, { allowExpired = false } = {}) {
+    const card = await PaymentMethod.findOne({
+      where: { id: cardId, user_id: userId, status: 'active' }
+    });
+
+    if (!card) {
+      throw new AppError('Saved card not found', 404);
+    }
+
+    if (!allowExpired && card.isExpired()) {
+      throw new AppError('This card has expired', 400);
+    }
+
+    return card;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  OPT-IN
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Pricing plan a subscription renews on: the plan of its latest payment
+   */
+  async resolvePricingPlan(subscription) {
+    const payment = await Payment.findOne({
+      where: { subscription_id: subscription.id, pricing_plan_id: { [Op.ne]: null } },
+      order: [['created_at', 'DESC']]
+    });
+
+    if (!payment) return null;
+
+    return ProgramPricingPlan.findByPk(payment.pricing_plan_id, {
+      include: [{ association: 'program' }]
+    });
+  }
+
+  /**
+   * Turn auto-renewal on (with a saved card of the user) or off
+   * @param {object} user - Card owner (req.user)
+   * @param {object} subscription - Subscription instance
+   * @param {object} params
+   * @param {boolean} params.enabled
+   * @param {string} params.paymentMethodId - Saved card to charge (defaults to the user's default card)
+   */
+  async setAutoRenew(user, subscription, { enabled, paymentMethodId = null }) {
+    if (!enabled) {
+      return subscription.update({
+        is_auto_renew: false,
+        auto_renew_next_attempt_at: null
+      });
+    }
+
+    if (!CURRENT_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+      throw new AppError('Only active subscriptions can auto-renew', 400);
+    }
+
+    let card;
+    if (paymentMethodId) {
+      card = await this.getActiveCard(user.id, paymentMethodId);
+    } else {
+      card = await PaymentMethod.findOne({
+        where: { user_id: user.id, status: 'active', is_default: true }
+      });
+      if (!card) {
+        throw new AppError('Save a card before turning on auto-renewal', 400);
+      }
+      if (card.isExpired()) {
+        throw new AppError('This card has expired', 400);
+      }
+    }
+
+    const pricingPlan = await this.resolvePricingPlan(subscription);
+    if (!pricingPlan || !pricingPlan.is_active) {
+      throw new AppError('This subscription has no active pricing plan to renew on', 400);
+    }
+
+    return subscription.update({
+      is_auto_renew: true,
+      payment_method_id: card.id,
+      auto_renew_attempts: 0,
+      auto_renew_next_attempt_at: null,
+      auto_renew_last_error: null
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  RENEWAL JOB
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Auto-renewing subscriptions whose charge is due at `now`
+   */
+  async findDueSubscriptions(now = new Date()) {
+    return Subscription.findAll({
+      where: {
+        is_auto_renew: true,
+        status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES },
+        payment_method_id: { [Op.ne]: null },
+        end_date: { [Op.lte]: toDateOnly(addDays(now, AUTO_RENEW.DAYS_BEFORE_END)) },
+        auto_renew_attempts: { [Op.lt]: AUTO_RENEW.MAX_ATTEMPTS },
+        [Op.or]: [
+          { auto_renew_next_attempt_at: null },
+          { auto_renew_next_attempt_at: { [Op.lte]: now } }
+        ]
+      },
+      include: [
+        { association: 'player' },
+        { association: 'payment_method' }
+      ],
+      order: [['end_date', 'ASC']]
+    });
+  }
+
+  /**
+   * Charge every due subscription (called daily by the scheduler)
+   * @returns {Promise<object>} { due, renewed, failed, skipped }
+   */
+  async processDueRenewals(now = new Date()) {
+    const results = { due: 0, renewed: 0, failed: 0, skipped: 0 };
+    const subscriptions = await this.findDueSubscriptions(now);
+    results.due = subscriptions.length;
+
+    for (const subscription of subscriptions) {
+      try {
+        const outcome = await this.renewSubscription(subscription, now);
+        results[outcome.status] += 1;
+      } catch (error) {
+        console.error(`❌ Auto-renew error for subscription ${subscription.id}:`, error);
+        results.failed += 1;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Charge one subscription's saved card and create its renewal
+   * @returns {Promise<object>} { status: 'renewed' | 'failed' | 'skipped', renewal?, payment?, error? }
+   */
+  async renewSubscription(subscription, now = new Date()) {
+    const player = subscription.player || await Player.findByPk(subscription.player_id);
+    const card = subscription.payment_method || await PaymentMethod.findByPk(subscription.payment_method_id);
+
+    // Already renewed (e.g. the parent paid manually): auto-renew moves to the renewal
+    const existingRenewal = await Subscription.findOne({ where: { renewed_from_id: subscription.id } });
+    if (existingRenewal) {
+      if (!existingRenewal.is_auto_renew && card?.status === 'active') {
+        await existingRenewal.update({ is_auto_renew: true, payment_method_id: card.id });
+      }
+      await subscription.update({ is_auto_renew: false, auto_renew_next_attempt_at: null });
+      return { status: 'skipped', renewal: existingRenewal };
+    }
+
+    if (!card || card.status !== 'active') {
+      return this._recordFailure(subscription, player, 'Saved card was removed', now, { final: true });
+    }
+    if (card.isExpired(now)) {
+      return this._recordFailure(subscription, player, 'Saved card has expired', now, { final: true, card });
+    }
+
+    const pricingPlan = await this.resolvePricingPlan(subscription);
+    if (!pricingPlan || !pricingPlan.is_active) {
+      return this._recordFailure(subscription, player, 'Pricing plan is no longer available', now, { final: true, card });
+    }
+
+    const amounts = await taxService.calculateForPayment({
+      branch: player.branch_id,
+      type: 'subscription',
+      price: parseFloat(pricingPlan.price) || 0,
+      pricingPlan
+    });
+
+    // A charge whose request errored may still have reached the gateway:
+    // ask for it before charging again, and retry it under the same key
+    let payment = await this._findInterruptedCharge(subscription, player);
+    let gatewayPayment = payment ? await paymentService.findCharge(payment.id) : null;
+
+    payment = payment || await Payment.create({
+      user_id: card.user_id,
+      player_id: player.id,
+      branch_id: player.branch_id,
+      pricing_plan_id: pricingPlan.id,
+      type: 'subscription',
+      description: `${pricingPlan.program?.name || 'Program'} - ${pricingPlan.name} (auto-renewal)`,
+      amount: amounts.amount,
+      tax_amount: amounts.tax_amount,
+      tax_rate: amounts.tax_rate,
+      discount_amount: amounts.discount_amount,
+      total_amount: amounts.total_amount,
+      payment_method: 'credit_card',
+      status: PAYMENT_STATUS.PENDING,
+      metadata: {
+        program_id: subscription.program_id,
+        auto_renew: true,
+        renewal_of: subscription.id,
+        payment_method_id: card.id,
+        attempt: subscription.auto_renew_attempts + 1,
+        gateway_provider: paymentService.provider,
+        prices_include_tax: amounts.prices_include_tax
+      }
+    });
+
+    try {
+      gatewayPayment = gatewayPayment || await paymentService.chargeSavedCard({
+        card: toCard(card),
+        amount: toMinorUnits(payment.total_amount, payment.currency),
+        currency: payment.currency,
+        description: payment.description,
+        idempotencyKey: payment.id,
+        metadata: {
+          payment_id: payment.id,
+          subscription_id: subscription.id,
+          player_id: player.id,
+          user_id: card.user_id
+        }
+      });
+    } catch (error) {
+      // The outcome is unknown, so the payment stays pending for the next attempt
+      await payment.update({
+        metadata: { ...payment.metadata, gateway_error: error.message },
+        notes: `Auto-renewal gateway error: ${error.message}`
+      });
+      return this._recordFailure(subscription, player, error.message, now, { card, payment });
+    }
+
+    const eventId = paymentSettlement.gatewayEventId(gatewayPayment.id, gatewayPayment.status);
+
+    if (gatewayPayment.status !== 'completed') {
+      const reason = gatewayPayment.raw?.message || gatewayPayment.raw?.source?.message || `Charge ${gatewayPayment.status}`;
+      await paymentSettlement.settle(payment.id, {
+        status: PAYMENT_STATUS.FAILED,
+        source: 'auto_renew',
+        eventId,
+        gatewayPayment,
+        updates: { transaction_id: gatewayPayment.id, notes: `Auto-renewal charge failed: ${reason}` }
+      });
+      return this._recordFailure(subscription, player, reason, now, { card, payment });
+    }
+
+    // Settlement creates the renewal from metadata.renewal_of and issues the e-invoice
+    const settlement = await paymentSettlement.settle(payment.id, {
+      status: PAYMENT_STATUS.COMPLETED,
+      source: 'auto_renew',
+      eventId,
+      gatewayPayment,
+      updates: {
+        transaction_id: gatewayPayment.id,
+        paid_at: now,
+        notes: `Auto-renewal via ${paymentService.provider} - ${card.brand || 'Card'} ****${card.last_four || '****'}`
+      },
+      notifyPayer: false
+    });
+    const renewal = settlement.subscription;
+
+    await subscription.update({
+      is_auto_renew: false,
+      auto_renew_attempts: 0,
+      auto_renew_next_attempt_at: null,
+      auto_renew_last_error: null
+    });
+
+    await NotificationService.notifySubscriptionRenewed(card.user_id, { subscription: renewal, player, payment: settlement.payment });
+
+    return { status: 'renewed', renewal, payment: settlement.payment };
+  }
+
+  /**
+   * Pending auto-renewal payment of a subscription whose charge request errored
+   */
+  async _findInterruptedCharge(subscription, player) {
+    const pending = await Payment.findAll({
+      where: { player_id: player.id, status: PAYMENT_STATUS.PENDING, payment_method: 'credit_card' },
+      order: [['created_at', 'DESC']]
+    });
+    return pending.find(payment => payment.metadata?.renewal_of === subscription.id && payment.metadata?.gateway_error) || null;
+  }
+
+  /**
+   * Count a failed attempt, schedule the retry with exponential backoff
+   * (or switch auto-renew off) and tell the parent
+   */
+  async _recordFailure(subscription, player, reason, now, { final = false, card = null, payment = null } = {}) {
+    const attempts = subscription.auto_renew_attempts + 1;
+    const exhausted = final || attempts >= AUTO_RENEW.MAX_ATTEMPTS;
+    const nextAttemptAt = exhausted
+      ? null
+      : new Date(now.getTime() + AUTO_RENEW.RETRY_BASE_HOURS * Math.pow(2, attempts - 1) * 60 * 60 * 1000);
+
+    await subscription.update({
+      auto_renew_attempts: attempts,
+      auto_renew_next_attempt_at: nextAttemptAt,
+      auto_renew_last_error: String(reason).slice(0, 500),
+      ...(exhausted && { is_auto_renew: false })
+    });
+
+    const userId = card?.user_id || player?.parent_id || player?.self_user_id;
+    if (userId) {
+      await NotificationService.notifyAutoRenewFailed(userId, { subscription, player, reason, nextAttemptAt });
+    }
+
+    return { status: 'failed', payment, error: reason, nextAttemptAt };
+  }
+}
+
+module.exports = new AutoRenewService();
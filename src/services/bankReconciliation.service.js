@@ -0,0 +1,450 @@
+/**
+ * Bank Reconciliation Service - match bank statement lines to pending transfers
+ *
+ * Bank-transfer and receipt payments stay pending until the money shows up on
+ * the academy's account. Importing a statement (utils/bankStatementParser)
+ * matches every credit line against pending bank-transfer payments:
+ *
+ *   invoice_number  the line's reference / description contains the invoice number
+ *   reference       ... or the payment's transaction_id, with the same amount
+ *   amount          the only pending payment of that amount (and the only line with it)
+ *
+ * Anything else gets scored proposals (amount, invoice digits, payer name,
+ * dates) for a reviewer to confirm or dismiss. Matched lines are completed in
+ * bulk through paymentSettlement, each with an audit log entry.
+ *
+ * Re-imported lines are recognised by their fingerprint and skipped.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, BankStatement, BankStatementLine, Payment, Branch } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { PAYMENT_STATUS, BANK_RECONCILIATION, CURRENCY } = require('../config/constants');
+const { parseStatement } = require('../utils/bankStatementParser');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { roundToCurrency } = require('../utils/currency');
+const paymentSettlement = require('./paymentSettlement.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Amounts in the line's currency, to its minor unit (3 decimals for KWD / BHD)
+const lineAmount = (line) => roundToCurrency(line.amount, line.currency);
+const fixedAmount = (line) => lineAmount(line).toFixed(CURRENCY.MINOR_UNITS[line.currency] ?? 2);
+const amountKey = (line) => `${line.currency}:${fixedAmount(line)}`;
+
+// A transfer only settles a payment in the same currency
+const sameCurrency = (payment, line) => (payment.currency || CURRENCY.DEFAULT) === line.currency;
+const sameAmount = (payment, line) => sameCurrency(payment, line)
+  && roundToCurrency(payment.total_amount, line.currency) === lineAmount(line);
+
+// Uppercase letters and digits only, so "INV-202610-000001" matches "inv 202610000001"
+const compact = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const words = (value) => String(value || '')
+  .toLowerCase()
+  .split(/[^a-z0-9؀-ۿ]+/)
+  .filter(word => word.length >= 3);
+
+class BankReconciliationService {
+  /**
+   * Import a statement file and match its lines
+   * @param {Buffer|string} file - File contents
+   * @param {object} options
+   * @param {string} options.format - csv | mt940 | camt053 (detected when omitted)
+   * @param {string} options.fileName
+   * @param {string} options.branchId - Branch whose payments the account receives (null = all)
+   * @param {object} options.actor - Importing user
+   * @returns {Promise<object>} { statement, summary }
+   */
+  async importStatement(file, { format = null, fileName = null, branchId = null, actor = null } = {}) {
+    // Lines the file gives no currency for are in the currency of the receiving branch
+    const branch = branchId ? await Branch.findByPk(branchId, { attributes: ['currency'] }) : null;
+    const parsed = parseStatement(file, {
+      format,
+      fileName: fileName || '',
+      defaultCurrency: branch?.currency || CURRENCY.DEFAULT
+    });
+    if (!parsed.lines.length) {
+      throw new AppError('Statement has no transactions', 400);
+    }
+
+    const fingerprints = this._fingerprint(parsed);
+    const existing = await BankStatementLine.findAll({
+      where: { fingerprint: { [Op.in]: fingerprints } },
+      attributes: ['fingerprint']
+    });
+    const seen = new Set(existing.map(line => line.fingerprint));
+    const fresh = parsed.lines
+      .map((line, index) => ({ ...line, fingerprint: fingerprints[index] }))
+      .filter(line => !seen.has(line.fingerprint));
+
+    if (!fresh.length) {
+      throw new AppError('Every transaction in this statement has already been imported', 409);
+    }
+
+    const statement = await sequelize.transaction(async (transaction) => {
+      const created = await BankStatement.create({
+        branch_id: branchId,
+        format: parsed.format,
+        file_name: fileName,
+        account_number: parsed.account_number,
+        currency: parsed.currency,
+        period_start: parsed.period_start,
+        period_end: parsed.period_end,
+        line_count: fresh.length,
+        duplicate_count: parsed.lines.length - fresh.length,
+        imported_by: actor?.id || null
+      }, { transaction });
+
+      await BankStatementLine.bulkCreate(fresh.map((line, index) => ({
+        ...line,
+        statement_id: created.id,
+        line_number: index + 1,
+        // Money going out of the account never settles a payment
+        status: line.direction === 'credit' ? 'unmatched' : 'ignored'
+      })), { transaction });
+
+      return created;
+    });
+
+    await this.matchStatement(statement);
+    return { statement, summary: await this.getSummary(statement) };
+  }
+
+  /**
+   * (Re)match the statement's unmatched and proposed lines against pending payments
+   * @returns {Promise<object>} Line counts by status
+   */
+  async matchStatement(statement) {
+    const lines = await BankStatementLine.findAll({
+      where: { statement_id: statement.id, status: { [Op.in]: ['unmatched', 'proposed'] } },
+      order: [['line_number', 'ASC']]
+    });
+    if (!lines.length) return this.getSummary(statement);
+
+    const candidates = await this._findCandidates(statement);
+    const claimed = await this._claimedPaymentIds();
+    const amountCounts = lines.reduce((counts, line) => {
+      const key = amountKey(line);
+      return { ...counts, [key]: (counts[key] || 0) + 1 };
+    }, {});
+
+    for (const line of lines) {
+      const open = candidates.filter(payment => !claimed.has(payment.id));
+      const match = this._exactMatch(line, open, amountCounts);
+
+      if (match) {
+        claimed.add(match.payment.id);
+        await line.update({ status: 'matched', payment_id: match.payment.id, match_type: match.type, proposals: null, matched_by: null });
+      } else {
+        const proposals = this._propose(line, open);
+        await line.update({ status: proposals.length ? 'proposed' : 'unmatched', payment_id: null, match_type: null, proposals: proposals.length ? proposals : null });
+      }
+    }
+
+    return this.getSummary(statement);
+  }
+
+  /**
+   * Reviewer decision on a line: match it to a payment, dismiss it or reset it
+   * @param {object} line - BankStatementLine
+   * @param {object} params
+   * @param {string} params.action - match | ignore | unmatch
+   * @param {object} params.payment - Payment to match (action match)
+   * @param {object} params.actor
+   * @throws {AppError} 400 when the line or payment cannot be matched
+   */
+  async reviewLine(line, { action, payment = null, actor = null }) {
+    if (line.status === 'completed') {
+      throw new AppError('Completed lines cannot be changed', 400);
+    }
+    if (line.direction === 'debit' && action === 'match') {
+      throw new AppError('Outgoing transactions cannot settle a payment', 400);
+    }
+
+    if (action === 'ignore') {
+      return line.update({ status: 'ignored', payment_id: null, match_type: null, matched_by: actor?.id || null });
+    }
+    if (action === 'unmatch') {
+      return line.update({
+        status: line.direction === 'debit' ? 'ignored' : 'unmatched',
+        payment_id: null,
+        match_type: null,
+        matched_by: null
+      });
+    }
+    if (action !== 'match') {
+      throw new AppError('Action must be one of: match, ignore, unmatch', 400);
+    }
+
+    if (!payment) {
+      throw new AppError('Payment not found', 404);
+    }
+    if (payment.status !== PAYMENT_STATUS.PENDING) {
+      throw new AppError(`Payment is ${payment.status}, only pending payments can be matched`, 400);
+    }
+    if (!sameCurrency(payment, line)) {
+      throw new AppError(`Line is in ${line.currency} but the payment is in ${payment.currency}`, 400);
+    }
+    if (!sameAmount(payment, line)) {
+      throw new AppError(`Line amount ${lineAmount(line)} does not match payment total ${roundToCurrency(payment.total_amount, line.currency)}`, 400);
+    }
+
+    const taken = await BankStatementLine.findOne({
+      where: { payment_id: payment.id, status: { [Op.in]: ['matched', 'completed'] }, id: { [Op.ne]: line.id } }
+    });
+    if (taken) {
+      throw new AppError('Payment is already matched to another statement line', 400);
+    }
+
+    return line.update({ status: 'matched', payment_id: payment.id, match_type: 'manual', matched_by: actor?.id || null });
+  }
+
+  /**
+   * Complete the payments of matched lines
+   * @param {object} statement - BankStatement
+   * @param {object} options
+   * @param {string[]} options.lineIds - Only these lines (default: every matched line)
+   * @param {object} options.actor - Staff user completing the payments
+   * @returns {Promise<object>} { completed, failed, results }
+   */
+  async completeMatched(statement, { lineIds = null, actor }) {
+    const lines = await BankStatementLine.findAll({
+      where: {
+        statement_id: statement.id,
+        status: 'matched',
+        ...(lineIds && { id: { [Op.in]: lineIds } })
+      },
+      include: [{ association: 'payment' }],
+      order: [['line_number', 'ASC']]
+    });
+
+    const results = [];
+    for (const line of lines) {
+      results.push(await this._completeLine(statement, line, actor));
+    }
+
+    const completed = results.filter(result => result.completed).length;
+    const summary = await this.getSummary(statement);
+    if (!summary.unmatched && !summary.proposed && !summary.matched) {
+      await statement.update({ status: 'reconciled' });
+    }
+
+    await logAuditEvent({
+      module: 'payments',
+      entityType: 'bank_statement',
+      entityId: statement.id,
+      action: 'complete',
+      actor,
+      before: null,
+      after: { completed, failed: results.length - completed },
+      metadata: { payment_ids: results.filter(result => result.completed).map(result => result.payment_id) }
+    });
+
+    return { completed, failed: results.length - completed, results };
+  }
+
+  /**
+   * Line counts by status
+   */
+  async getSummary(statement) {
+    const rows = await BankStatementLine.findAll({
+      where: { statement_id: statement.id },
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+
+    const summary = { unmatched: 0, proposed: 0, matched: 0, completed: 0, ignored: 0 };
+    rows.forEach(row => { summary[row.status] = parseInt(row.count, 10); });
+    return { lines: Object.values(summary).reduce((sum, count) => sum + count, 0), ...summary };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  // Stable per-line hash; repeats of an identical line in one file are numbered
+  _fingerprint(parsed) {
+    const occurrences = {};
+    return parsed.lines.map(line => {
+      const base = [
+        parsed.account_number || '',
+        line.booking_date,
+        line.direction,
+        fixedAmount(line),
+        line.bank_reference || '',
+        line.reference || '',
+        line.description || ''
+      ].join('|');
+      occurrences[base] = (occurrences[base] || 0) + 1;
+      return crypto.createHash('sha256').update(`${base}#${occurrences[base]}`).digest('hex');
+    });
+  }
+
+  async _findCandidates(statement) {
+    const since = new Date(Date.now() - BANK_RECONCILIATION.MATCH_WINDOW_DAYS * DAY_MS);
+    if (statement.period_start) {
+      since.setTime(Math.min(since.getTime(), new Date(statement.period_start).getTime() - BANK_RECONCILIATION.MATCH_WINDOW_DAYS * DAY_MS));
+    }
+
+    return Payment.findAll({
+      where: {
+        status: PAYMENT_STATUS.PENDING,
+        payment_method: 'bank_transfer',
+        created_at: { [Op.gte]: since },
+        ...(statement.branch_id && { branch_id: statement.branch_id })
+      },
+      include: [
+        { association: 'user', attributes: ['id', 'first_name', 'last_name', 'name_ar'] },
+        { association: 'player', attributes: ['id', 'first_name', 'last_name', 'first_name_ar', 'last_name_ar'] }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+  }
+
+  // Payments already waiting on another line
+  async _claimedPaymentIds() {
+    const lines = await BankStatementLine.findAll({
+      where: { status: 'matched', payment_id: { [Op.ne]: null } },
+      attributes: ['payment_id']
+    });
+    return new Set(lines.map(line => line.payment_id));
+  }
+
+  _exactMatch(line, candidates, amountCounts) {
+    const text = compact(`${line.reference || ''} ${line.description || ''} ${line.bank_reference || ''}`);
+    const exact = candidates.filter(payment => sameAmount(payment, line));
+
+    const byInvoice = exact.find(payment => payment.invoice_number && text.includes(compact(payment.invoice_number)));
+    if (byInvoice) return { payment: byInvoice, type: 'invoice_number' };
+
+    const byReference = exact.find(payment => compact(payment.transaction_id).length >= 4 && text.includes(compact(payment.transaction_id)));
+    if (byReference) return { payment: byReference, type: 'reference' };
+
+    if (exact.length === 1 && amountCounts[amountKey(line)] === 1) {
+      return { payment: exact[0], type: 'amount' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Scored suggestions (0-100) for a line without an exact match
+   */
+  _propose(line, candidates) {
+    const text = compact(`${line.reference || ''} ${line.description || ''}`);
+    const numbers = new Set((`${line.reference || ''} ${line.description || ''}`.match(/\d+/g) || []).map(number => number.replace(/^0+/, '')));
+    const lineWords = new Set(words(`${line.counterparty_name || ''} ${line.description || ''}`));
+
+    return candidates
+      .filter(payment => sameCurrency(payment, line))
+      .map(payment => {
+        let score = 0;
+        const reasons = [];
+        const total = roundToCurrency(payment.total_amount, line.currency);
+        const amount = lineAmount(line);
+
+        if (total === amount) {
+          score += 50;
+          reasons.push('same amount');
+        } else if (Math.abs(total - amount) <= total * 0.05) {
+          score += 20;
+          reasons.push('amount within 5%');
+        }
+
+        if (payment.invoice_number && text.includes(compact(payment.invoice_number))) {
+          score += 40;
+          reasons.push('invoice number in reference');
+        } else {
+          const sequence = String(payment.invoice_number || '').split('-').pop().replace(/^0+/, '');
+          if (sequence.length >= 2 && numbers.has(sequence)) {
+            score += 25;
+            reasons.push('invoice sequence in reference');
+          }
+        }
+
+        const names = words([
+          payment.user?.first_name, payment.user?.last_name, payment.user?.name_ar,
+          payment.player?.first_name, payment.player?.last_name, payment.player?.first_name_ar, payment.player?.last_name_ar
+        ].filter(Boolean).join(' '));
+        const shared = new Set(names.filter(name => lineWords.has(name))).size;
+        if (shared) {
+          score += shared >= 2 ? 25 : 15;
+          reasons.push('payer name');
+        }
+
+        if (Math.abs(this._daysBetween(payment.createdAt, line.booking_date)) <= 14) {
+          score += 10;
+          reasons.push('booked within two weeks of the payment');
+        }
+
+        return {
+          payment_id: payment.id,
+          invoice_number: payment.invoice_number,
+          total_amount: total,
+          score: Math.min(score, 100),
+          reasons
+        };
+      })
+      .filter(proposal => proposal.score >= BANK_RECONCILIATION.PROPOSAL_MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, BANK_RECONCILIATION.MAX_PROPOSALS);
+  }
+
+  _daysBetween(from, toDate) {
+    return Math.round((new Date(toDate) - new Date(new Date(from).toISOString().split('T')[0])) / DAY_MS);
+  }
+
+  async _completeLine(statement, line, actor) {
+    const existing = line.payment;
+    const result = { line_id: line.id, payment_id: line.payment_id, invoice_number: existing?.invoice_number || null, completed: false };
+
+    try {
+      const { payment, changed } = await paymentSettlement.settle(line.payment_id, {
+        status: PAYMENT_STATUS.COMPLETED,
+        source: 'manual',
+        actor,
+        updates: {
+          // Paid when the bank booked it (not when the statement was processed)
+          paid_at: new Date(line.booking_date),
+          ...(!existing?.transaction_id && line.bank_reference && { transaction_id: line.bank_reference })
+        }
+      });
+
+      if (!changed && payment.status !== PAYMENT_STATUS.COMPLETED) {
+        throw new AppError(`Payment is ${payment.status} and cannot be completed`, 400);
+      }
+
+      await line.update({ status: 'completed', completed_by: actor.id, completed_at: new Date() });
+
+      if (changed) {
+        await logAuditEvent({
+          module: 'payments',
+          entityType: 'payment',
+          entityId: payment.id,
+          action: 'update',
+          actor,
+          before: existing,
+          after: payment,
+          metadata: {
+            transition: 'completed',
+            source: 'bank_statement',
+            statement_id: statement.id,
+            statement_line_id: line.id,
+            match_type: line.match_type
+          }
+        });
+      }
+
+      result.completed = true;
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    return result;
+  }
+}
+
+module.exports = new BankReconciliationService();
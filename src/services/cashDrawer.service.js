@@ -0,0 +1,427 @@
+/**
+ * Cash Drawer Service - front-desk cashier shifts and daily closing
+ *
+ *   open       a cashier opens a drawer at a branch with a float; one open
+ *              drawer per cashier at a time
+ *   takings    every cash payment completed through paymentSettlement attaches
+ *              to the open drawer of the staff member who took it (or, when
+ *              they have none, to the branch's only open drawer); manual
+ *              refunds of cash payments are paid out of the drawer the same way
+ *   close      the cashier counts the drawer (a total or notes / coins);
+ *              expected = float + cash taken - cash refunded,
+ *              variance = counted - expected (negative = short)
+ *   sign-off   an accountant other than the cashier approves the closing, or
+ *              sends it back to be counted again
+ *
+ * Payments that find no open drawer are still completed - the dashboard
+ * reports them as unattached so the shortfall can be chased.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, CashDrawerSession, Payment, Refund, Branch, User } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { CASH_DRAWER, CURRENCY, PAYMENT_STATUS, PAYMENT_METHODS, REFUND_STATUS } = require('../config/constants');
+const taxService = require('./tax.service');
+
+const { round } = taxService;
+const { STATUS } = CASH_DRAWER;
+
+class CashDrawerService {
+  /**
+   * Open a drawer for the cashier at a branch
+   */
+  async openSession({ branchId, cashier, openingFloat = 0, notes = null }) {
+    const float = parseFloat(openingFloat);
+    if (Number.isNaN(float) || float < 0) {
+      throw new AppError('Opening float must be zero or more', 400);
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const open = await CashDrawerSession.findOne({
+        where: { cashier_id: cashier.id, status: STATUS.OPEN },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (open) {
+        throw new AppError('You already have an open cash drawer - close it first', 400);
+      }
+
+      return CashDrawerSession.create({
+        branch_id: branchId,
+        cashier_id: cashier.id,
+        opening_float: round(float),
+        opened_at: new Date(),
+        opening_notes: notes
+      }, { transaction });
+    });
+  }
+
+  /**
+   * The cashier's open drawer, if any
+   */
+  async getOpenSession(cashierId) {
+    return CashDrawerSession.findOne({ where: { cashier_id: cashierId, status: STATUS.OPEN } });
+  }
+
+  /**
+   * Attach a cash payment being completed to the open drawer that took it.
+   * Called by paymentSettlement inside its transaction.
+   */
+  async attachPayment(payment, { actor, transaction }) {
+    if (payment.payment_method !== PAYMENT_METHODS.CASH || payment.cash_session_id) return null;
+
+    const session = await this._findDrawer(payment.branch_id, actor?.id, transaction);
+    if (!session) return null;
+
+    await payment.update({ cash_session_id: session.id }, { transaction });
+    return session;
+  }
+
+  /**
+   * Pay a manual refund of a cash payment out of the approver's open drawer.
+   * Called by refund.service inside its transaction.
+   */
+  async attachRefund(refund, payment, { transaction }) {
+    if (refund.method !== 'manual' || payment.payment_method !== PAYMENT_METHODS.CASH || refund.cash_session_id) {
+      return null;
+    }
+
+    const session = await this._findDrawer(refund.branch_id || payment.branch_id, refund.approved_by, transaction);
+    if (!session) return null;
+
+    await refund.update({ cash_session_id: session.id }, { transaction });
+    return session;
+  }
+
+  /**
+   * Running (open drawer) or frozen (closed drawer) totals
+   */
+  async getTotals(session, { transaction } = {}) {
+    if (session.status !== STATUS.OPEN) {
+      return {
+        opening_float: parseFloat(session.opening_float),
+        cash_sales: parseFloat(session.cash_sales),
+        cash_refunds: parseFloat(session.cash_refunds),
+        expected_amount: parseFloat(session.expected_amount),
+        counted_amount: parseFloat(session.counted_amount),
+        variance: parseFloat(session.variance),
+        payments_count: await Payment.count({ where: { cash_session_id: session.id }, transaction })
+      };
+    }
+
+    const [sales, paymentsCount, refunds] = await Promise.all([
+      Payment.sum('total_amount', {
+        where: { cash_session_id: session.id, status: { [Op.in]: [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.REFUNDED] } },
+        transaction
+      }),
+      Payment.count({ where: { cash_session_id: session.id }, transaction }),
+      Refund.sum('amount', {
+        where: { cash_session_id: session.id, status: REFUND_STATUS.COMPLETED },
+        transaction
+      })
+    ]);
+
+    const openingFloat = parseFloat(session.opening_float) || 0;
+    return {
+      opening_float: openingFloat,
+      cash_sales: round(sales || 0),
+      cash_refunds: round(refunds || 0),
+      expected_amount: round(openingFloat + (sales || 0) - (refunds || 0)),
+      counted_amount: null,
+      variance: null,
+      payments_count: paymentsCount
+    };
+  }
+
+  /**
+   * Count the drawer and close the shift.
+   * @param {number} options.countedAmount - Cash in the drawer (or give denominations)
+   * @param {object} options.denominations - { face value: count }, e.g. { "500": 2, "0.5": 4 }
+   */
+  async closeSession(sessionId, { countedAmount = null, denominations = null, notes = null, actor }) {
+    const counted = this._countedAmount(countedAmount, denominations);
+
+    return sequelize.transaction(async (transaction) => {
+      const session = await CashDrawerSession.findByPk(sessionId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!session) {
+        throw new AppError('Cash drawer not found', 404);
+      }
+      if (session.status !== STATUS.OPEN) {
+        throw new AppError('This cash drawer is already closed', 400);
+      }
+
+      const totals = await this.getTotals(session, { transaction });
+      const variance = round(counted - totals.expected_amount);
+      const currency = await this._currency(session, transaction);
+      if (Math.abs(variance) > this._tolerance(currency) && !(notes && String(notes).trim())) {
+        throw new AppError(`The drawer is ${variance < 0 ? 'short' : 'over'} by ${Math.abs(variance)} ${currency} - add a note explaining the difference`, 400);
+      }
+
+      await session.update({
+        status: STATUS.CLOSED,
+        cash_sales: totals.cash_sales,
+        cash_refunds: totals.cash_refunds,
+        expected_amount: totals.expected_amount,
+        counted_amount: counted,
+        variance,
+        denominations: denominations || null,
+        closed_at: new Date(),
+        closed_by: actor.id,
+        closing_notes: notes
+      }, { transaction });
+
+      return session;
+    });
+  }
+
+  /**
+   * Accountant review of a closed drawer: approve, or reopen it for a recount
+   */
+  async signOff(sessionId, { approve = true, notes = null, actor }) {
+    return sequelize.transaction(async (transaction) => {
+      const session = await CashDrawerSession.findByPk(sessionId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!session) {
+        throw new AppError('Cash drawer not found', 404);
+      }
+      if (session.status !== STATUS.CLOSED) {
+        throw new AppError('Only closed cash drawers can be signed off', 400);
+      }
+      if (String(session.cashier_id) === String(actor.id)) {
+        throw new AppError('A cash drawer must be signed off by someone other than its cashier', 403);
+      }
+
+      if (!approve) {
+        if (!notes || !String(notes).trim()) {
+          throw new AppError('Please give a reason for sending the drawer back', 400);
+        }
+        const cashierOpen = await CashDrawerSession.count({
+          where: { cashier_id: session.cashier_id, status: STATUS.OPEN },
+          transaction
+        });
+        if (cashierOpen) {
+          throw new AppError('The cashier has another drawer open - it must be closed before this one is sent back', 400);
+        }
+        // Back to the cashier: totals are recomputed at the next closing
+        await session.update({
+          status: STATUS.OPEN,
+          counted_amount: null,
+          variance: null,
+          expected_amount: null,
+          closed_at: null,
+          closed_by: null,
+          sign_off_notes: notes
+        }, { transaction });
+        return session;
+      }
+
+      const tolerance = this._tolerance(await this._currency(session, transaction));
+      if (Math.abs(parseFloat(session.variance)) > tolerance && !(notes && String(notes).trim())) {
+        throw new AppError('Signing off a drawer with a variance needs a note', 400);
+      }
+
+      await session.update({
+        status: STATUS.SIGNED_OFF,
+        signed_off_by: actor.id,
+        signed_off_at: new Date(),
+        sign_off_notes: notes
+      }, { transaction });
+
+      return session;
+    });
+  }
+
+  /**
+   * Variance of closed drawers in a period, by branch and by cashier
+   * @param {Array|null} options.branchIds - null for every branch
+   */
+  async getVarianceReport({ branchIds = null, startDate = null, endDate = null } = {}) {
+    const where = { status: { [Op.in]: [STATUS.CLOSED, STATUS.SIGNED_OFF] } };
+    if (branchIds) where.branch_id = { [Op.in]: branchIds };
+    if (startDate || endDate) {
+      where.closed_at = {};
+      if (startDate) where.closed_at[Op.gte] = new Date(startDate);
+      if (endDate) where.closed_at[Op.lte] = new Date(`${endDate}T23:59:59.999Z`);
+    }
+
+    const sessions = await CashDrawerSession.findAll({
+      where,
+      include: [
+        { model: Branch, as: 'branch', attributes: ['id', 'name', 'name_ar', 'currency'] },
+        { model: User, as: 'cashier', attributes: ['id', 'first_name', 'last_name'] }
+      ],
+      order: [['closed_at', 'ASC']]
+    });
+
+    const byBranch = new Map();
+    const byCashier = new Map();
+    const totals = this._emptyBucket();
+
+    sessions.forEach((session) => {
+      this._addToBucket(totals, session);
+
+      if (!byBranch.has(session.branch_id)) {
+        byBranch.set(session.branch_id, {
+          branch_id: session.branch_id,
+          branch_name: session.branch?.name || null,
+          ...this._emptyBucket()
+        });
+      }
+      this._addToBucket(byBranch.get(session.branch_id), session);
+
+      if (!byCashier.has(session.cashier_id)) {
+        byCashier.set(session.cashier_id, {
+          cashier_id: session.cashier_id,
+          cashier_name: session.cashier ? `${session.cashier.first_name} ${session.cashier.last_name}` : null,
+          ...this._emptyBucket()
+        });
+      }
+      this._addToBucket(byCashier.get(session.cashier_id), session);
+    });
+
+    return {
+      period: { start: startDate, end: endDate },
+      tolerance: CASH_DRAWER.VARIANCE_TOLERANCE,
+      totals,
+      by_branch: [...byBranch.values()],
+      by_cashier: [...byCashier.values()].sort((a, b) => a.variance - b.variance),
+      flagged: sessions
+        .filter(session => Math.abs(parseFloat(session.variance)) > this._tolerance(session.branch?.currency))
+        .map(session => ({
+          id: session.id,
+          branch_name: session.branch?.name || null,
+          currency: session.branch?.currency || CURRENCY.DEFAULT,
+          cashier_id: session.cashier_id,
+          closed_at: session.closed_at,
+          expected_amount: parseFloat(session.expected_amount),
+          counted_amount: parseFloat(session.counted_amount),
+          variance: parseFloat(session.variance),
+          status: session.status,
+          closing_notes: session.closing_notes
+        }))
+    };
+  }
+
+  /**
+   * Figures for the accountant dashboard
+   */
+  async getDashboard({ branchIds = null } = {}) {
+    const branchWhere = branchIds ? { branch_id: { [Op.in]: branchIds } } : {};
+    const startOfToday = new Date(new Date().toISOString().split('T')[0]);
+
+    const [openSessions, awaitingSignOff, closedToday, unattachedCount, unattachedAmount] = await Promise.all([
+      CashDrawerSession.count({ where: { ...branchWhere, status: STATUS.OPEN } }),
+      CashDrawerSession.count({ where: { ...branchWhere, status: STATUS.CLOSED } }),
+      CashDrawerSession.findAll({
+        where: { ...branchWhere, status: { [Op.in]: [STATUS.CLOSED, STATUS.SIGNED_OFF] }, closed_at: { [Op.gte]: startOfToday } },
+        attributes: ['variance']
+      }),
+      Payment.count({ where: this._unattachedWhere(branchWhere, startOfToday) }),
+      Payment.sum('total_amount', { where: this._unattachedWhere(branchWhere, startOfToday) })
+    ]);
+
+    return {
+      open_sessions: openSessions,
+      awaiting_sign_off: awaitingSignOff,
+      closed_today: closedToday.length,
+      variance_today: round(closedToday.reduce((sum, session) => sum + (parseFloat(session.variance) || 0), 0)),
+      unattached_cash_today: {
+        count: unattachedCount,
+        amount: unattachedAmount || 0
+      }
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  // Drawers count cash in their branch's currency
+  async _currency(session, transaction) {
+    const branch = await Branch.findByPk(session.branch_id, { attributes: ['currency'], transaction });
+    return branch?.currency || CURRENCY.DEFAULT;
+  }
+
+  _tolerance(currency) {
+    const { VARIANCE_TOLERANCE } = CASH_DRAWER;
+    return VARIANCE_TOLERANCE[currency] ?? VARIANCE_TOLERANCE[CURRENCY.DEFAULT];
+  }
+
+  // The staff member's own open drawer at the branch, else the branch's only open drawer
+  async _findDrawer(branchId, staffId, transaction) {
+    if (!branchId) return null;
+
+    if (staffId) {
+      const own = await CashDrawerSession.findOne({
+        where: { branch_id: branchId, cashier_id: staffId, status: STATUS.OPEN },
+        transaction
+      });
+      if (own) return own;
+    }
+
+    const open = await CashDrawerSession.findAll({
+      where: { branch_id: branchId, status: STATUS.OPEN },
+      limit: 2,
+      transaction
+    });
+    return open.length === 1 ? open[0] : null;
+  }
+
+  _countedAmount(countedAmount, denominations) {
+    let fromDenominations = null;
+    if (denominations) {
+      if (typeof denominations !== 'object' || Array.isArray(denominations)) {
+        throw new AppError('denominations must be an object of { face value: count }', 400);
+      }
+      fromDenominations = round(Object.entries(denominations).reduce((sum, [value, count]) => {
+        const face = parseFloat(value);
+        const pieces = parseInt(count, 10);
+        if (!(face > 0) || Number.isNaN(pieces) || pieces < 0) {
+          throw new AppError(`Invalid denomination: ${value} x ${count}`, 400);
+        }
+        return sum + face * pieces;
+      }, 0));
+    }
+
+    if (countedAmount === null || countedAmount === undefined || countedAmount === '') {
+      if (fromDenominations === null) {
+        throw new AppError('Please enter the counted amount or the denominations', 400);
+      }
+      return fromDenominations;
+    }
+
+    const counted = parseFloat(countedAmount);
+    if (Number.isNaN(counted) || counted < 0) {
+      throw new AppError('Counted amount must be zero or more', 400);
+    }
+    if (fromDenominations !== null && round(counted) !== fromDenominations) {
+      throw new AppError(`Counted amount ${round(counted)} does not match the denominations (${fromDenominations})`, 400);
+    }
+    return round(counted);
+  }
+
+  _unattachedWhere(branchWhere, since) {
+    return {
+      ...branchWhere,
+      payment_method: PAYMENT_METHODS.CASH,
+      status: PAYMENT_STATUS.COMPLETED,
+      cash_session_id: null,
+      paid_at: { [Op.gte]: since }
+    };
+  }
+
+  _emptyBucket() {
+    return { sessions: 0, expected: 0, counted: 0, variance: 0, short_sessions: 0, over_sessions: 0 };
+  }
+
+  _addToBucket(bucket, session) {
+    const variance = parseFloat(session.variance) || 0;
+    bucket.sessions += 1;
+    bucket.expected = round(bucket.expected + (parseFloat(session.expected_amount) || 0));
+    bucket.counted = round(bucket.counted + (parseFloat(session.counted_amount) || 0));
+    bucket.variance = round(bucket.variance + variance);
+    if (variance < 0) bucket.short_sessions += 1;
+    if (variance > 0) bucket.over_sessions += 1;
+  }
+}
+
+module.exports = new CashDrawerService();
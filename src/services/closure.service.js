@@ -0,0 +1,197 @@
+/**
+ * Closure Service - days the academy (or one branch) is closed
+ *
+ * Creating a closure (Eid, national day, Ramadan schedule break, weather):
+ *   - cancels the sessions of the closed days through the regular session
+ *     cancellation, so families get the usual cancellation notice
+ *   - optionally creates a SubscriptionFreeze over the same days, extending
+ *     the affected subscriptions to compensate
+ *   - keeps recurring series from generating sessions on those days
+ * The closure, its cancellations and its freeze are written in one transaction;
+ * families are only told once it has committed.
+ *
+ * While a closure is active, session reminders and automatic announcements
+ * for the closed branch(es) are not sent (see ScheduleService.getClosedBranches).
+ * Cancelling a closure reverts its freeze; cancelled sessions stay cancelled.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Closure, TrainingSession, SubscriptionFreeze } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { assertDate } = require('../utils/recurrence');
+const scheduleService = require('./schedule.service');
+const subscriptionLifecycle = require('./subscriptionLifecycle.service');
+
+class ClosureService {
+  /**
+   * Close the academy (branchId null) or a branch between two dates (inclusive)
+   * @returns {Promise<object>} { closure, sessions, freeze }
+   */
+  async create({
+    title,
+    titleAr = null,
+    type = 'holiday',
+    branchId = null,
+    startDate,
+    endDate = null,
+    reason = null,
+    compensate = false,
+    actor
+  }) {
+    assertDate(startDate, 'Start date');
+    const lastDate = assertDate(endDate || startDate, 'End date');
+    if (lastDate < startDate) {
+      throw new AppError('End date cannot be before start date', 400);
+    }
+
+    const freezeScope = branchId ? 'branch' : 'global';
+    if (compensate) {
+      const overlap = await subscriptionLifecycle.findOverlappingFreeze({
+        scope: freezeScope,
+        branchId,
+        startDate,
+        endDate: lastDate
+      });
+      if (overlap) {
+        throw new AppError(`These days are already compensated by the freeze "${overlap.title}"`, 400);
+      }
+    }
+
+    const { closure, sessions, freeze } = await sequelize.transaction(async (transaction) => {
+      const closure = await Closure.create({
+        title,
+        title_ar: titleAr,
+        type,
+        branch_id: branchId,
+        start_date: startDate,
+        end_date: lastDate,
+        reason,
+        compensate: Boolean(compensate),
+        created_by: actor.id
+      }, { transaction });
+
+      const sessions = await this.cancelSessions(closure, { actor, transaction });
+
+      let freeze = null;
+      if (compensate) {
+        freeze = await subscriptionLifecycle.createFreeze({
+          title,
+          title_ar: titleAr,
+          start_date: startDate,
+          end_date: lastDate,
+          scope: freezeScope,
+          branch_id: branchId
+        }, { actor, transaction });
+      }
+
+      await closure.update({ freeze_id: freeze?.id || null, sessions_cancelled: sessions.length }, { transaction });
+
+      return { closure, sessions, freeze };
+    });
+
+    // Committed: now tell the families
+    for (const session of sessions) {
+      await scheduleService.announceCancellation(session, this._reason(closure));
+    }
+    if (freeze) {
+      await subscriptionLifecycle.afterFreeze(freeze);
+    }
+
+    await logAuditEvent({
+      module: 'schedule',
+      entityType: 'closure',
+      entityId: closure.id,
+      action: 'create',
+      actor,
+      before: null,
+      after: closure.toJSON(),
+      metadata: { sessions_cancelled: sessions.map(session => session.id), freeze_id: freeze?.id || null }
+    });
+
+    return { closure, sessions, freeze };
+  }
+
+  /**
+   * Cancel the sessions of a closure's days that have not been held.
+   * Inside a transaction the caller announces the cancellations after commit.
+   * @returns {Promise<object[]>} Cancelled sessions
+   */
+  async cancelSessions(closure, { actor = null, transaction = null } = {}) {
+    const sessions = await TrainingSession.findAll({
+      where: {
+        date: { [Op.between]: [closure.start_date, closure.end_date] },
+        is_cancelled: false,
+        attendance_marked: false,
+        ...(closure.branch_id && { branch_id: closure.branch_id })
+      },
+      order: [['date', 'ASC'], ['start_time', 'ASC']],
+      transaction
+    });
+
+    const reason = this._reason(closure);
+    for (const session of sessions) {
+      await scheduleService.cancelSession(session, { reason, actor, transaction });
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Reopen: the closure no longer blocks sessions, reminders or announcements
+   * and its compensating freeze is reverted
+   */
+  async cancel(closure, { actor }) {
+    if (closure.status !== 'active') {
+      throw new AppError('This closure is already cancelled', 400);
+    }
+
+    const before = closure.toJSON();
+    const freeze = closure.freeze_id ? await SubscriptionFreeze.findByPk(closure.freeze_id) : null;
+    if (freeze && ['scheduled', 'active'].includes(freeze.status)) {
+      await subscriptionLifecycle.cancelFreeze(freeze);
+    }
+
+    await closure.update({ status: 'cancelled', cancelled_by: actor.id, cancelled_at: new Date() });
+
+    await logAuditEvent({
+      module: 'schedule',
+      entityType: 'closure',
+      entityId: closure.id,
+      action: 'cancel',
+      actor,
+      before,
+      after: closure.toJSON(),
+      metadata: { freeze_id: freeze?.id || null }
+    });
+
+    return closure;
+  }
+
+  /**
+   * Active closures overlapping a date range, academy-wide and of the given branches
+   * @param {string[]|null} branchIds - null = every branch
+   */
+  async getClosures({ from, to, branchIds = null }) {
+    return Closure.findAll({
+      where: {
+        status: 'active',
+        start_date: { [Op.lte]: to },
+        end_date: { [Op.gte]: from },
+        ...(branchIds && { [Op.or]: [{ branch_id: null }, { branch_id: branchIds }] })
+      },
+      order: [['start_date', 'ASC']]
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  // Cancellation reason given to the closure's sessions
+  _reason(closure) {
+    return closure.reason ? `${closure.title}: ${closure.reason}` : closure.title;
+  }
+}
+
+module.exports = new ClosureService();
@@ -0,0 +1,466 @@
+/**
+ * Coach Availability Service - weekly availability templates and leave
+ *
+ * A coach's availability template is a set of weekly windows (Sunday
+ * 16:00-21:00, ...). Coaches without a template can be booked at any time;
+ * with one, sessions must fit inside a window (ScheduleService.checkCoachAvailability).
+ *
+ * Leave is requested in advance by the coach (or staff on their behalf) and
+ * approved or rejected by the admins of the coach's branch. Approved leave:
+ *   - blocks new sessions for the coach on those days (ScheduleService.validateSession)
+ *   - is recorded as 'leave' coach attendance for the days without a record
+ *   - lists the coach's booked sessions during the leave, each with suggested
+ *     substitute coaches, so the branch admin can reassign them
+ */
+
+const { Op } = require('sequelize');
+const {
+  sequelize, CoachAvailability, CoachLeave, CoachAttendance, CoachProgram, TrainingSession, User, Program
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { today } = require('../utils/helpers');
+const { ROLES } = require('../config/constants');
+const { DAYS, addDays, assertDate, daysBetween, normalizeDay } = require('../utils/recurrence');
+const NotificationService = require('./notification.service');
+const scheduleService = require('./schedule.service');
+const { emitScheduleUpdate } = require('../socket');
+
+const DEFAULT_SUGGESTIONS = 3;
+// Longest leave recorded day by day in coach attendance
+const MAX_ATTENDANCE_DAYS = 90;
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
+
+// '9:00' -> '09:00:00'
+const normalizeTime = (value, label) => {
+  if (!TIME_PATTERN.test(String(value || ''))) {
+    throw new AppError(`${label} must be a time in HH:MM format`, 400);
+  }
+  const [hours, minutes] = String(value).split(':');
+  return `${hours.padStart(2, '0')}:${minutes}:00`;
+};
+
+const fullName = user => [user.first_name, user.last_name].filter(Boolean).join(' ');
+
+class CoachAvailabilityService {
+  /**
+   * A coach's availability windows, in week order
+   */
+  async getTemplate(coachId) {
+    const windows = await CoachAvailability.findAll({
+      where: { coach_id: coachId },
+      order: [['start_time', 'ASC']]
+    });
+    return windows.sort((a, b) => DAYS.indexOf(a.day_of_week) - DAYS.indexOf(b.day_of_week));
+  }
+
+  /**
+   * Replace a coach's availability template. An empty list removes it: the
+   * coach can then be booked at any time.
+   * @param {object[]} windows - [{ day_of_week, start_time, end_time, effective_from?, effective_until?, notes? }]
+   */
+  async setTemplate(coach, windows, { actor }) {
+    const rows = windows.map((window) => {
+      const row = {
+        coach_id: coach.id,
+        day_of_week: normalizeDay(window.day_of_week),
+        start_time: normalizeTime(window.start_time, 'Start time'),
+        end_time: normalizeTime(window.end_time, 'End time'),
+        effective_from: window.effective_from ? assertDate(window.effective_from, 'Effective from') : null,
+        effective_until: window.effective_until ? assertDate(window.effective_until, 'Effective until') : null,
+        notes: window.notes || null,
+        created_by: actor.id
+      };
+      if (row.end_time <= row.start_time) {
+        throw new AppError(`Availability on ${row.day_of_week} must end after it starts`, 400);
+      }
+      if (row.effective_from && row.effective_until && row.effective_until < row.effective_from) {
+        throw new AppError('Effective until cannot be before effective from', 400);
+      }
+      return row;
+    });
+
+    const before = (await this.getTemplate(coach.id)).map(window => window.toJSON());
+    await sequelize.transaction(async (transaction) => {
+      await CoachAvailability.destroy({ where: { coach_id: coach.id }, transaction });
+      if (rows.length) {
+        await CoachAvailability.bulkCreate(rows, { transaction });
+      }
+    });
+
+    const template = await this.getTemplate(coach.id);
+    await logAuditEvent({
+      module: 'schedule',
+      entityType: 'coach_availability',
+      entityId: coach.id,
+      action: 'update',
+      actor,
+      before,
+      after: template.map(window => window.toJSON())
+    });
+
+    return template;
+  }
+
+  /**
+   * Request leave for a coach; the admins of the coach's branch are notified
+   * @returns {Promise<object>} CoachLeave
+   */
+  async requestLeave({ coach, type = 'annual', startDate, endDate = null, reason = null, actor }) {
+    assertDate(startDate, 'Start date');
+    const lastDate = assertDate(endDate || startDate, 'End date');
+    if (lastDate < startDate) {
+      throw new AppError('End date cannot be before start date', 400);
+    }
+    if (lastDate < today()) {
+      throw new AppError('Leave cannot be requested for past days only', 400);
+    }
+
+    const overlap = await CoachLeave.findOne({
+      where: {
+        coach_id: coach.id,
+        status: { [Op.in]: ['pending', 'approved'] },
+        start_date: { [Op.lte]: lastDate },
+        end_date: { [Op.gte]: startDate }
+      }
+    });
+    if (overlap) {
+      throw new AppError(`These days overlap a ${overlap.status} leave (${overlap.start_date} - ${overlap.end_date})`, 400);
+    }
+
+    const leave = await CoachLeave.create({
+      coach_id: coach.id,
+      branch_id: coach.branch_id || null,
+      type,
+      start_date: startDate,
+      end_date: lastDate,
+      reason,
+      requested_by: actor.id
+    });
+
+    const sessions = await this.affectedSessions(leave);
+    if (leave.branch_id) {
+      await NotificationService.notifyBranchAdmins(leave.branch_id, {
+        type: 'staff_activity',
+        title: `Leave request: ${fullName(coach)}`,
+        titleAr: `طلب إجازة: ${coach.name_ar || fullName(coach)}`,
+        message: `${fullName(coach)} requested ${type} leave from ${startDate} to ${lastDate} (${sessions.length} booked session(s)).`,
+        messageAr: `طلب ${coach.name_ar || fullName(coach)} إجازة من ${startDate} إلى ${lastDate} (${sessions.length} حصة محجوزة).`,
+        data: { leave_id: leave.id, coach_id: coach.id, sessions_affected: sessions.length }
+      });
+    }
+
+    await logAuditEvent({
+      module: 'schedule',
+      entityType: 'coach_leave',
+      entityId: leave.id,
+      action: 'create',
+      actor,
+      before: null,
+      after: leave.toJSON()
+    });
+
+    return leave;
+  }
+
+  /**
+   * Approve a pending leave
+   * @returns {Promise<object>} { leave, sessions: [{ session, suggestions }] }
+   */
+  async approve(leave, { actor, notes = null }) {
+    this._assertPending(leave);
+    if (String(leave.coach_id) === String(actor.id)) {
+      throw new AppError('You cannot approve your own leave', 403);
+    }
+
+    const before = leave.toJSON();
+    const sessions = await this.affectedSessions(leave);
+
+    await sequelize.transaction(async (transaction) => {
+      await leave.update({
+        status: 'approved',
+        reviewed_by: actor.id,
+        reviewed_at: new Date(),
+        review_notes: notes,
+        sessions_affected: sessions.length
+      }, { transaction });
+      await this._recordAttendance(leave, actor, transaction);
+    });
+
+    await this._notifyCoach(leave, 'approved');
+    await logAuditEvent({
+      module: 'schedule',
+      entityType: 'coach_leave',
+      entityId: leave.id,
+      action: 'approve',
+      actor,
+      before,
+      after: leave.toJSON(),
+      metadata: { sessions_affected: sessions.map(session => session.id) }
+    });
+
+    return { leave, sessions: await this.suggestionsFor(leave, sessions) };
+  }
+
+  /**
+   * Reject a pending leave
+   */
+  async reject(leave, { actor, notes = null }) {
+    this._assertPending(leave);
+
+    const before = leave.toJSON();
+    await leave.update({ status: 'rejected', reviewed_by: actor.id, reviewed_at: new Date(), review_notes: notes });
+
+    await this._notifyCoach(leave, 'rejected');
+    await logAuditEvent({
+      module: 'schedule',
+      entityType: 'coach_leave',
+      entityId: leave.id,
+      action: 'reject',
+      actor,
+      before,
+      after: leave.toJSON()
+    });
+
+    return leave;
+  }
+
+  /**
+   * Withdraw a pending leave, or cut an approved one short: its upcoming
+   * days are released and their 'leave' attendance removed
+   */
+  async cancel(leave, { actor }) {
+    if (!['pending', 'approved'].includes(leave.status)) {
+      throw new AppError(`This leave is already ${leave.status}`, 400);
+    }
+    if (leave.status === 'approved' && leave.end_date < today()) {
+      throw new AppError('This leave has already been taken', 400);
+    }
+
+    const before = leave.toJSON();
+    await sequelize.transaction(async (transaction) => {
+      if (leave.status === 'approved') {
+        await CoachAttendance.destroy({
+          where: {
+            coach_id: leave.coach_id,
+            status: 'leave',
+            date: { [Op.between]: [[leave.start_date, today()].sort()[1], leave.end_date] }
+          },
+          transaction
+        });
+      }
+      await leave.update({ status: 'cancelled' }, { transaction });
+    });
+
+    await logAuditEvent({
+      module: 'schedule',
+      entityType: 'coach_leave',
+      entityId: leave.id,
+      action: 'cancel',
+      actor,
+      before,
+      after: leave.toJSON()
+    });
+
+    return leave;
+  }
+
+  /**
+   * The coach's booked sessions during a leave that have not been held
+   */
+  async affectedSessions(leave) {
+    return TrainingSession.findAll({
+      where: {
+        coach_id: leave.coach_id,
+        date: { [Op.between]: [leave.start_date, leave.end_date] },
+        is_cancelled: false,
+        attendance_marked: false
+      },
+      include: [{ model: Program, as: 'program', attributes: ['id', 'name', 'name_ar'] }],
+      order: [['date', 'ASC'], ['start_time', 'ASC']]
+    });
+  }
+
+  /**
+   * Affected sessions still assigned to the coach on leave, each with suggested substitutes
+   * @returns {Promise<object[]>} [{ session, suggestions }]
+   */
+  async suggestionsFor(leave, sessions = null) {
+    const list = sessions || await this.affectedSessions(leave);
+    const result = [];
+    for (const session of list) {
+      result.push({ session, suggestions: await this.suggestSubstitutes(session) });
+    }
+    return result;
+  }
+
+  /**
+   * Coaches who could take a session: free at that time, not on leave, available
+   * per their template. Coaches of the program come first (primary first), then
+   * the other coaches of the branch, the least busy that day first.
+   * @returns {Promise<object[]>} [{ coach_id, name, assigned_to_program, is_primary, sessions_that_day, reason }]
+   */
+  async suggestSubstitutes(session, { limit = DEFAULT_SUGGESTIONS } = {}) {
+    const [assignments, branchCoaches] = await Promise.all([
+      CoachProgram.findAll({ where: { program_id: session.program_id } }),
+      User.findAll({
+        where: { role: ROLES.COACH, is_active: true, branch_id: session.branch_id },
+        attributes: ['id', 'first_name', 'last_name', 'name_ar', 'is_active']
+      })
+    ]);
+
+    const programCoachIds = assignments.map(assignment => assignment.coach_id);
+    const outsideBranch = programCoachIds.filter(id => !branchCoaches.some(coach => coach.id === id));
+    const programCoaches = outsideBranch.length
+      ? await User.findAll({
+        where: { id: outsideBranch, role: ROLES.COACH, is_active: true },
+        attributes: ['id', 'first_name', 'last_name', 'name_ar', 'is_active']
+      })
+      : [];
+
+    const candidates = [...branchCoaches, ...programCoaches].filter(coach => coach.id !== session.coach_id);
+    const suggestions = [];
+    for (const coach of candidates) {
+      const validation = await scheduleService.validateSession({
+        coach_id: coach.id,
+        branch_id: session.branch_id,
+        date: session.date,
+        start_time: session.start_time,
+        end_time: session.end_time,
+        session_id: session.id
+      });
+      if (validation.coachConflicts.length || validation.leaveConflicts.length || validation.availabilityConflicts.length) {
+        continue;
+      }
+
+      const assignment = assignments.find(entry => entry.coach_id === coach.id);
+      const sessionsThatDay = await TrainingSession.count({
+        where: { coach_id: coach.id, date: session.date, is_cancelled: false }
+      });
+      suggestions.push({
+        coach_id: coach.id,
+        name: fullName(coach),
+        name_ar: coach.name_ar,
+        assigned_to_program: Boolean(assignment),
+        is_primary: Boolean(assignment?.is_primary),
+        sessions_that_day: sessionsThatDay,
+        reason: [
+          assignment ? 'coaches this program' : 'coaches at this branch',
+          'free at this time',
+          sessionsThatDay ? `${sessionsThatDay} other session(s) that day` : 'no other sessions that day'
+        ].join(', ')
+      });
+    }
+
+    return suggestions
+      .sort((a, b) => (
+        Number(b.assigned_to_program) - Number(a.assigned_to_program)
+        || Number(b.is_primary) - Number(a.is_primary)
+        || a.sessions_that_day - b.sessions_that_day
+        || a.name.localeCompare(b.name)
+      ))
+      .slice(0, limit);
+  }
+
+  /**
+   * Hand a session over to a substitute coach
+   */
+  async assignSubstitute(session, coachId, { actor }) {
+    if (session.is_cancelled || session.attendance_marked) {
+      throw new AppError('Only upcoming sessions can be reassigned', 400);
+    }
+    const coach = await User.findOne({ where: { id: coachId, role: ROLES.COACH, is_active: true } });
+    if (!coach) {
+      throw new AppError('Coach not found', 404);
+    }
+
+    const validation = await scheduleService.validateSession({
+      ...session.toJSON(),
+      coach_id: coach.id,
+      session_id: session.id
+    });
+    if (!validation.isValid) {
+      throw new AppError(`${fullName(coach)} cannot take this session: they are booked, on leave or unavailable at that time`, 409);
+    }
+
+    const before = session.toJSON();
+    await session.update({ coach_id: coach.id });
+
+    await NotificationService.create({
+      userId: coach.id,
+      type: 'staff_activity',
+      title: 'Session assigned to you',
+      titleAr: 'تم إسناد حصة إليك',
+      message: `You are covering the ${session.program?.name || ''} session on ${session.date} at ${session.start_time}.`,
+      messageAr: `تم تكليفك بتغطية حصة ${session.program?.name_ar || session.program?.name || ''} بتاريخ ${session.date} في تمام الساعة ${session.start_time}.`,
+      data: { session_id: session.id, replaces_coach_id: before.coach_id }
+    });
+    emitScheduleUpdate('updated', { ...session.toJSON(), branch_id: session.branch_id });
+
+    await logAuditEvent({
+      module: 'schedule',
+      entityType: 'training_session',
+      entityId: session.id,
+      action: 'update',
+      actor,
+      before,
+      after: session.toJSON(),
+      metadata: { substitute_for: before.coach_id }
+    });
+
+    return session;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  _assertPending(leave) {
+    if (leave.status !== 'pending') {
+      throw new AppError(`This leave is already ${leave.status}`, 400);
+    }
+  }
+
+  // 'leave' coach attendance for the leave days that have no record yet
+  async _recordAttendance(leave, actor, transaction) {
+    const branchId = leave.branch_id || (await User.findByPk(leave.coach_id, { attributes: ['branch_id'], transaction }))?.branch_id;
+    if (!branchId) return;
+
+    const days = Math.min(daysBetween(leave.start_date, leave.end_date) + 1, MAX_ATTENDANCE_DAYS);
+    const dates = Array.from({ length: days }, (_, index) => addDays(leave.start_date, index));
+    const existing = await CoachAttendance.findAll({
+      where: { coach_id: leave.coach_id, date: dates },
+      attributes: ['date'],
+      transaction
+    });
+    const recorded = new Set(existing.map(record => record.date));
+
+    const rows = dates.filter(date => !recorded.has(date)).map(date => ({
+      coach_id: leave.coach_id,
+      branch_id: branchId,
+      date,
+      status: 'leave',
+      notes: leave.reason ? `Approved leave: ${leave.reason}` : 'Approved leave',
+      recorded_by: actor.id
+    }));
+    if (rows.length) {
+      await CoachAttendance.bulkCreate(rows, { transaction });
+    }
+  }
+
+  async _notifyCoach(leave, decision) {
+    const approved = decision === 'approved';
+    await NotificationService.create({
+      userId: leave.coach_id,
+      type: 'staff_activity',
+      title: approved ? 'Leave approved' : 'Leave rejected',
+      titleAr: approved ? 'تمت الموافقة على الإجازة' : 'تم رفض الإجازة',
+      message: `Your leave from ${leave.start_date} to ${leave.end_date} was ${decision}.${leave.review_notes ? ` ${leave.review_notes}` : ''}`,
+      messageAr: `${approved ? 'تمت الموافقة على' : 'تم رفض'} إجازتك من ${leave.start_date} إلى ${leave.end_date}.${leave.review_notes ? ` ${leave.review_notes}` : ''}`,
+      data: { leave_id: leave.id, status: leave.status }
+    });
+  }
+}
+
+module.exports = new CoachAvailabilityService();
@@ -0,0 +1,342 @@
+/**
+ * Discount Rule Service - automatic discounts evaluated at checkout
+ *
+ * Rule types (DiscountRule.rule_type):
+ *   sibling     - tier by the child's position among the parent's children with an
+ *                 active subscription (e.g. 2nd child 10%, 3rd child 15%)
+ *   bundle      - tier by the number of programs the player is enrolled in, this one included
+ *   early_bird  - paid at least days_before_start days before the paid period starts
+ *   promo_code  - entered by the payer; capped by usage_limit / per_user_limit
+ *
+ * Stacking: candidates are applied in priority order (highest first, larger
+ * discount on ties). The first one always applies; each later one only when it
+ * and every discount already applied are stackable. Percentages apply to what
+ * is left of the price. A manual Discount picked at checkout goes first and
+ * stacks with stackable rules.
+ *
+ * Amounts are on the price basis (incl. VAT for tax-inclusive prices), as
+ * taxService.calculateForPayment expects. Each applied rule is reserved as a
+ * DiscountRedemption with the payment, redeemed when the payment completes and
+ * released when it fails (see paymentSettlement).
+ */
+
+const { Op, fn, col } = require('sequelize');
+const { DiscountRule, DiscountRedemption, Discount, Player, Subscription } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { CURRENT_SUBSCRIPTION_STATUSES, SUBSCRIPTION_STATUS } = require('../config/constants');
+const taxService = require('./tax.service');
+const { toDateOnly } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Redemptions that count towards promo code limits
+const COUNTED_STATUSES = ['reserved', 'redeemed'];
+
+const normalizeCode = (code) => (code ? String(code).trim().toUpperCase() : null);
+
+// Value of the highest tier reached by `count` (tiers: [{ min, value }])
+const tierValue = (tiers, count) => {
+  const reached = (Array.isArray(tiers) ? tiers : [])
+    .filter(tier => count >= parseInt(tier.min, 10))
+    .sort((a, b) => parseInt(b.min, 10) - parseInt(a.min, 10));
+  return reached.length ? parseFloat(reached[0].value) || 0 : 0;
+};
+
+const discountOn = (base, type, value, currency) => (type === 'percentage'
+  ? taxService.round(base * (parseFloat(value) || 0) / 100, currency)
+  : Math.min(parseFloat(value) || 0, base));
+
+class DiscountRuleService {
+  /**
+   * Normalize a promo code as stored on DiscountRule.code
+   */
+  normalizeCode(code) {
+    return normalizeCode(code);
+  }
+
+  /**
+   * Work out the discount for a checkout
+   * @param {object} params
+   * @param {object} params.player - Player being paid for
+   * @param {object} params.pricingPlan - ProgramPricingPlan (optional)
+   * @param {object} params.program - Program (optional, defaults to the plan's / player's)
+   * @param {number} params.price - List price on the payment's price basis
+   * @param {string} params.discountId - Manual Discount picked at checkout (optional)
+   * @param {string} params.promoCode - Promo code entered by the payer (optional)
+   * @param {string} params.userId - Payer (for per-user promo limits)
+   * @param {string} params.currency - Currency amounts are rounded to (default: the player's branch currency)
+   * @returns {Promise<object>} { price, discount_amount, discount_id, applied: [{ source, rule_id, discount_id, rule_type, name, code, amount }] }
+   * @throws {AppError} 400 for an unknown, expired or used-up promo code
+   */
+  async evaluate({
+    player, pricingPlan = null, program = null, price, discountId = null, promoCode = null, userId = null,
+    currency = player.branch?.currency, now = new Date()
+  }) {
+    const listPrice = Math.max(taxService.round(price, currency), 0);
+    const programId = pricingPlan?.program_id || program?.id || player.program_id || null;
+    const context = { player, pricingPlan, program: program || pricingPlan?.program || null, programId, now };
+
+    const candidates = [];
+
+    const manual = discountId ? await this._findManualDiscount(discountId, now) : null;
+    if (manual) {
+      candidates.push({
+        source: 'discount',
+        discount_id: manual.id,
+        name: manual.reason || 'Discount',
+        discount_type: manual.discount_type,
+        value: manual.discount_value,
+        priority: Infinity,
+        stackable: true
+      });
+    }
+
+    const code = normalizeCode(promoCode);
+    const rules = await this._findRules({ player, pricingPlan, programId, code, now });
+
+    if (code) {
+      const promo = rules.find(rule => rule.rule_type === 'promo_code');
+      if (!promo) {
+        throw new AppError('Invalid or expired promo code', 400);
+      }
+      await this._assertPromoAvailable(promo, userId);
+    }
+
+    for (const rule of rules) {
+      const value = await this._ruleValue(rule, context);
+      if (value > 0) {
+        candidates.push({
+          source: 'rule',
+          rule_id: rule.id,
+          rule_type: rule.rule_type,
+          name: rule.name,
+          code: rule.code || null,
+          discount_type: rule.discount_type,
+          value,
+          priority: rule.priority || 0,
+          stackable: Boolean(rule.stackable)
+        });
+      }
+    }
+
+    candidates.sort((a, b) => (b.priority - a.priority)
+      || (discountOn(listPrice, b.discount_type, b.value, currency) - discountOn(listPrice, a.discount_type, a.value, currency)));
+
+    const applied = [];
+    let remaining = listPrice;
+    for (const candidate of candidates) {
+      if (applied.length && (!candidate.stackable || applied.some(entry => !entry.stackable))) continue;
+
+      const amount = discountOn(remaining, candidate.discount_type, candidate.value, currency);
+      if (amount <= 0) continue;
+
+      remaining = taxService.round(remaining - amount, currency);
+      applied.push({ ...candidate, amount });
+    }
+
+    return {
+      price: listPrice,
+      discount_amount: taxService.round(listPrice - remaining, currency),
+      discount_id: manual && applied.some(entry => entry.source === 'discount') ? manual.id : null,
+      applied: applied.map(({ source, rule_id, discount_id, rule_type, name, code: ruleCode, amount }) => ({
+        source,
+        rule_id: rule_id || null,
+        discount_id: discount_id || null,
+        rule_type: rule_type || null,
+        name,
+        code: ruleCode || null,
+        amount
+      }))
+    };
+  }
+
+  /**
+   * Reserve the rules applied to a new payment. Promo limits are checked again
+   * under a row lock so two checkouts cannot both take the last use.
+   * @param {object} payment - Payment just created from the evaluate() result
+   * @param {object[]} applied - evaluate().applied
+   * @param {object} options.transaction - Transaction the payment was created in
+   */
+  async reserve(payment, applied, { transaction } = {}) {
+    for (const entry of applied.filter(item => item.rule_id)) {
+      const rule = await DiscountRule.findByPk(entry.rule_id, {
+        ...(transaction && { lock: transaction.LOCK.UPDATE }),
+        transaction
+      });
+      if (rule?.rule_type === 'promo_code') {
+        await this._assertPromoAvailable(rule, payment.user_id, { transaction });
+      }
+
+      await DiscountRedemption.create({
+        discount_rule_id: entry.rule_id,
+        payment_id: payment.id,
+        user_id: payment.user_id,
+        player_id: payment.player_id,
+        code: entry.code,
+        amount: entry.amount
+      }, { transaction });
+    }
+  }
+
+  /**
+   * Mark a completed payment's redemptions as used
+   */
+  async redeem(paymentId, { transaction } = {}) {
+    await DiscountRedemption.update(
+      { status: 'redeemed', redeemed_at: new Date() },
+      { where: { payment_id: paymentId, status: { [Op.ne]: 'redeemed' } }, transaction }
+    );
+  }
+
+  /**
+   * Give back the promo uses held by a failed / cancelled payment
+   */
+  async release(paymentId, { transaction } = {}) {
+    await DiscountRedemption.update(
+      { status: 'released' },
+      { where: { payment_id: paymentId, status: 'reserved' }, transaction }
+    );
+  }
+
+  /**
+   * Number of redemptions counting towards a rule's limits
+   */
+  async getUsageCount(ruleId, { userId = null, transaction } = {}) {
+    return DiscountRedemption.count({
+      where: {
+        discount_rule_id: ruleId,
+        status: { [Op.in]: COUNTED_STATUSES },
+        ...(userId && { user_id: userId })
+      },
+      transaction
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  async _findManualDiscount(discountId, now) {
+    const discount = await Discount.findByPk(discountId);
+    if (!discount || discount.status !== 'active') return null;
+    if (discount.expires_at && discount.expires_at < toDateOnly(now)) return null;
+    return discount;
+  }
+
+  /**
+   * Active rules in the checkout's scope; promo code rules only for the entered code
+   */
+  async _findRules({ player, pricingPlan, programId, code, now }) {
+    const today = toDateOnly(now);
+
+    return DiscountRule.findAll({
+      where: {
+        is_active: true,
+        [Op.and]: [
+          { [Op.or]: [{ branch_id: null }, { branch_id: player.branch_id }] },
+          { [Op.or]: [{ program_id: null }, ...(programId ? [{ program_id: programId }] : [])] },
+          { [Op.or]: [{ pricing_plan_id: null }, ...(pricingPlan ? [{ pricing_plan_id: pricingPlan.id }] : [])] },
+          { [Op.or]: [{ valid_from: null }, { valid_from: { [Op.lte]: today } }] },
+          { [Op.or]: [{ valid_until: null }, { valid_until: { [Op.gte]: today } }] },
+          code
+            ? { [Op.or]: [{ rule_type: { [Op.ne]: 'promo_code' } }, { code }] }
+            : { rule_type: { [Op.ne]: 'promo_code' } }
+        ]
+      },
+      order: [['priority', 'DESC'], ['created_at', 'ASC']]
+    });
+  }
+
+  async _assertPromoAvailable(rule, userId, { transaction } = {}) {
+    if (rule.usage_limit !== null && rule.usage_limit !== undefined
+      && await this.getUsageCount(rule.id, { transaction }) >= rule.usage_limit) {
+      throw new AppError('Promo code usage limit reached', 400);
+    }
+    if (userId && rule.per_user_limit !== null && rule.per_user_limit !== undefined
+      && await this.getUsageCount(rule.id, { userId, transaction }) >= rule.per_user_limit) {
+      throw new AppError('You have already used this promo code', 400);
+    }
+  }
+
+  /**
+   * Discount value a rule gives this checkout (percent or amount per discount_type; 0 = not eligible)
+   */
+  async _ruleValue(rule, context) {
+    switch (rule.rule_type) {
+      case 'sibling':
+        return context.player.parent_id ? tierValue(rule.tiers, await this._siblingPosition(context.player)) : 0;
+      case 'bundle':
+        return tierValue(rule.tiers, await this._programCount(context.player, context.programId));
+      case 'early_bird':
+        return await this._isEarlyBird(rule, context) ? parseFloat(rule.discount_value) || 0 : 0;
+      case 'promo_code':
+        return parseFloat(rule.discount_value) || 0;
+      default:
+        return 0;
+    }
+  }
+
+  // 1 for the first child with an active subscription, 2 for the second, ...
+  // Children rank by their first subscription start, then by when they were
+  // added, so the eldest enrolment keeps position 1 when it renews.
+  async _siblingPosition(player) {
+    const family = await Player.findAll({ where: { parent_id: player.parent_id }, attributes: ['id', 'created_at'], raw: true });
+    const familyIds = family.map(child => child.id);
+
+    const [starts, current] = await Promise.all([
+      Subscription.findAll({
+        where: { player_id: { [Op.in]: familyIds }, status: { [Op.ne]: SUBSCRIPTION_STATUS.CANCELLED } },
+        attributes: ['player_id', [fn('MIN', col('start_date')), 'first_start']],
+        group: ['player_id'],
+        raw: true
+      }),
+      Subscription.findAll({
+        where: { player_id: { [Op.in]: familyIds }, status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES } },
+        attributes: ['player_id'],
+        raw: true
+      })
+    ]);
+
+    const firstStart = new Map(starts.map(row => [row.player_id, toDateOnly(row.first_start)]));
+    const enrolled = new Set(current.map(row => row.player_id));
+    const rankKey = (child) => [firstStart.get(child.id) || '9999-12-31', new Date(child.created_at).toISOString(), child.id];
+    const before = (a, b) => {
+      const index = a.findIndex((value, i) => value !== b[i]);
+      return index !== -1 && a[index] < b[index];
+    };
+
+    const self = family.find(child => child.id === player.id);
+    const ownKey = rankKey(self);
+    return family.filter(child => child.id !== player.id && enrolled.has(child.id) && before(rankKey(child), ownKey)).length + 1;
+  }
+
+  // Programs the player is actively enrolled in, counting this checkout's program
+  async _programCount(player, programId) {
+    const others = await Subscription.count({
+      where: {
+        player_id: player.id,
+        status: { [Op.in]: CURRENT_SUBSCRIPTION_STATUSES },
+        ...(programId && { program_id: { [Op.ne]: programId } })
+      },
+      distinct: true,
+      col: 'program_id'
+    });
+    return others + 1;
+  }
+
+  // The paid period starts at the program start or where the current subscription ends
+  async _isEarlyBird(rule, { player, program, programId, now }) {
+    // Lazy require: paymentSettlement redeems through this service
+    const paymentSettlement = require('./paymentSettlement.service');
+    const { startDate } = await paymentSettlement.getRenewalAnchor({ playerId: player.id, programId });
+
+    const periodStart = program?.start_date && program.start_date > toDateOnly(startDate)
+      ? new Date(program.start_date)
+      : new Date(startDate);
+    const daysAhead = Math.floor((new Date(toDateOnly(periodStart)) - new Date(toDateOnly(now))) / DAY_MS);
+
+    return daysAhead >= (rule.days_before_start || 0);
+  }
+}
+
+module.exports = new DiscountRuleService();
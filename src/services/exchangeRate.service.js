@@ -0,0 +1,241 @@
+/**
+ * Exchange Rate Service - stored rates and conversion to a reporting currency
+ *
+ * Each branch prices, takes payments and records expenses in its own base
+ * currency (Branch.currency). Rates are stored per pair with an effective
+ * date (1 base = rate quote), entered by hand or imported offline from a CSV
+ * sheet. Converting an amount on a date uses the latest rate effective on or
+ * before that date, looked up as:
+ *
+ *   1. the pair as stored                AED -> SAR
+ *   2. the inverse of the stored pair    SAR -> AED stored, 1 / rate
+ *   3. through the default currency      AED -> SAR -> KWD
+ *
+ * A missing rate is an error, never a silent 1:1 conversion.
+ */
+
+const { sequelize, ExchangeRate } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { CURRENCY } = require('../config/constants');
+const { normalizeCurrency, roundToCurrency } = require('../utils/currency');
+const { normalizeArabicNumerals } = require('../utils/helpers');
+const { splitCsv, detectDelimiter, normalizeHeader, parseDate } = require('../utils/bankStatementParser');
+
+// Normalized CSV header -> field
+const CSV_COLUMNS = {
+  effective_date: ['date', 'effectivedate', 'effectivefrom', 'validfrom', 'التاريخ'],
+  base_currency: ['base', 'basecurrency', 'from', 'fromcurrency', 'currency', 'العملة'],
+  quote_currency: ['quote', 'quotecurrency', 'to', 'tocurrency'],
+  rate: ['rate', 'exchangerate', 'السعر']
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class ExchangeRateService {
+  /**
+   * Currency reports are converted to unless another is asked for
+   */
+  getReportingCurrency() {
+    return normalizeCurrency(process.env.REPORTING_CURRENCY);
+  }
+
+  /**
+   * Create or replace the rate of a pair for a date
+   * @returns {Promise<object>} { rate, created, changed }
+   */
+  async setRate({ baseCurrency, quoteCurrency, rate, effectiveDate, source = 'manual', actor = null, transaction = null }) {
+    const values = this._validate({ baseCurrency, quoteCurrency, rate, effectiveDate });
+
+    const existing = await ExchangeRate.findOne({
+      where: {
+        base_currency: values.base_currency,
+        quote_currency: values.quote_currency,
+        effective_date: values.effective_date
+      },
+      transaction
+    });
+
+    if (existing) {
+      const changed = parseFloat(existing.rate) !== values.rate;
+      if (changed) {
+        await existing.update({ rate: values.rate, source, created_by: actor?.id || null }, { transaction });
+      }
+      return { rate: existing, created: false, changed };
+    }
+
+    const created = await ExchangeRate.create({ ...values, source, created_by: actor?.id || null }, { transaction });
+    return { rate: created, created: true, changed: true };
+  }
+
+  /**
+   * Import a CSV sheet of rates (date, base, quote, rate; quote defaults to
+   * the default currency). All rows are validated before anything is saved.
+   * @returns {Promise<object>} { rows, created, updated, unchanged }
+   */
+  async importCsv(buffer, { actor = null } = {}) {
+    const content = buffer.toString('utf8').replace(/^﻿/, '');
+    const [header, ...rows] = splitCsv(content, detectDelimiter(content));
+    if (!header || !rows.length) {
+      throw new AppError('The rates file is empty', 400);
+    }
+
+    const columns = {};
+    header.map(normalizeHeader).forEach((name, index) => {
+      const field = Object.keys(CSV_COLUMNS).find(key => CSV_COLUMNS[key].includes(name));
+      if (field && columns[field] === undefined) columns[field] = index;
+    });
+    const missing = ['effective_date', 'base_currency', 'rate'].filter(field => columns[field] === undefined);
+    if (missing.length) {
+      throw new AppError(`The rates file has no ${missing.join(', ')} column`, 400);
+    }
+
+    const errors = [];
+    const parsed = rows.map((fields, index) => {
+      const value = (field) => (columns[field] === undefined ? '' : String(fields[columns[field]] ?? '').trim());
+      try {
+        return this._validate({
+          baseCurrency: value('base_currency'),
+          quoteCurrency: value('quote_currency') || CURRENCY.DEFAULT,
+          rate: normalizeArabicNumerals(value('rate')).replace(/,/g, ''),
+          effectiveDate: parseDate(value('effective_date'))
+        });
+      } catch (error) {
+        // Row 1 is the header
+        errors.push(`Row ${index + 2}: ${error.message}`);
+        return null;
+      }
+    });
+
+    if (errors.length) {
+      throw new AppError(`The rates file has errors - ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (and ${errors.length - 5} more)` : ''}`, 400);
+    }
+
+    const summary = { rows: parsed.length, created: 0, updated: 0, unchanged: 0 };
+    await sequelize.transaction(async (transaction) => {
+      for (const row of parsed) {
+        const result = await this.setRate({
+          baseCurrency: row.base_currency,
+          quoteCurrency: row.quote_currency,
+          rate: row.rate,
+          effectiveDate: row.effective_date,
+          source: 'csv',
+          actor,
+          transaction
+        });
+        if (result.created) summary.created += 1;
+        else if (result.changed) summary.updated += 1;
+        else summary.unchanged += 1;
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Converter to one currency, with every stored rate loaded once
+   * (reports convert many small groups).
+   * @returns {Promise<object>} { currency, rate(from, date), convert(amount, from, date) }
+   */
+  async createConverter(targetCurrency = null) {
+    const target = normalizeCurrency(targetCurrency, this.getReportingCurrency());
+    const rates = await ExchangeRate.findAll({
+      attributes: ['base_currency', 'quote_currency', 'rate', 'effective_date'],
+      order: [['effective_date', 'DESC']]
+    });
+
+    const byPair = new Map();
+    rates.forEach((rate) => {
+      const key = `${rate.base_currency}/${rate.quote_currency}`;
+      if (!byPair.has(key)) byPair.set(key, []);
+      byPair.get(key).push({ date: rate.effective_date, rate: parseFloat(rate.rate) });
+    });
+
+    const rate = (from, date = null) => this._resolve(byPair, normalizeCurrency(from), target, this._day(date));
+
+    return {
+      currency: target,
+      rate,
+      convert: (amount, from, date = null) => roundToCurrency((parseFloat(amount) || 0) * rate(from, date), target)
+    };
+  }
+
+  /**
+   * Convert one amount (latest rate on or before the date)
+   */
+  async convert(amount, { from, to = null, date = null }) {
+    const converter = await this.createConverter(to);
+    return {
+      amount: converter.convert(amount, from, date),
+      currency: converter.currency,
+      rate: converter.rate(from, date)
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  _validate({ baseCurrency, quoteCurrency, rate, effectiveDate }) {
+    if (!baseCurrency || !quoteCurrency) {
+      throw new AppError('Both currencies are required', 400);
+    }
+    const base = normalizeCurrency(baseCurrency);
+    const quote = normalizeCurrency(quoteCurrency);
+    if (base === quote) {
+      throw new AppError('A rate needs two different currencies', 400);
+    }
+
+    const value = parseFloat(rate);
+    if (!(value > 0)) {
+      throw new AppError('Rate must be greater than zero', 400);
+    }
+    if (!effectiveDate || !DATE_PATTERN.test(effectiveDate)) {
+      throw new AppError('Effective date must be in YYYY-MM-DD format', 400);
+    }
+
+    return {
+      base_currency: base,
+      quote_currency: quote,
+      rate: Math.round(value * 1e8) / 1e8,
+      effective_date: effectiveDate
+    };
+  }
+
+  _day(date) {
+    if (!date) return null;
+    if (typeof date === 'string' && DATE_PATTERN.test(date)) return date;
+    return new Date(date).toISOString().split('T')[0];
+  }
+
+  // Latest rate of the stored pair effective on the day (the latest overall without a day)
+  _lookup(byPair, from, to, day) {
+    const list = byPair.get(`${from}/${to}`);
+    if (!list) return null;
+    const match = day ? list.find(entry => entry.date <= day) : list[0];
+    return match ? match.rate : null;
+  }
+
+  _direct(byPair, from, to, day) {
+    const rate = this._lookup(byPair, from, to, day);
+    if (rate) return rate;
+    const inverse = this._lookup(byPair, to, from, day);
+    return inverse ? 1 / inverse : null;
+  }
+
+  _resolve(byPair, from, to, day) {
+    if (from === to) return 1;
+
+    const direct = this._direct(byPair, from, to, day);
+    if (direct) return direct;
+
+    if (from !== CURRENCY.DEFAULT && to !== CURRENCY.DEFAULT) {
+      const toDefault = this._direct(byPair, from, CURRENCY.DEFAULT, day);
+      const fromDefault = this._direct(byPair, CURRENCY.DEFAULT, to, day);
+      if (toDefault && fromDefault) return toDefault * fromDefault;
+    }
+
+    throw new AppError(`No exchange rate from ${from} to ${to}${day ? ` on or before ${day}` : ''} - add or import one first`, 400);
+  }
+}
+
+module.exports = new ExchangeRateService();
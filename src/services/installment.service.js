@@ -0,0 +1,257 @@
+/**
+ * Installment Service - pay multi-month plans in scheduled installments
+ *
+ * A pricing plan with max_installments > 1 can be split into N pending
+ * Payments (installment_number 1..N) that share one Subscription. Due dates
+ * are spread evenly over the subscription period, the first one due on its
+ * start date:
+ *
+ *   annual plan, 4 installments
+ *   ├─ #1 due start         ──paid──> subscription active
+ *   ├─ #2 due start + 3m
+ *   ├─ #3 due start + 6m    ──unpaid GRACE_DAYS after due──> suspended
+ *   └─ #4 due start + 9m                    (active again once paid)
+ *
+ * Payments settle through paymentSettlement like any other, which activates
+ * the subscription unless another installment is still overdue. The daily
+ * scheduler job calls suspendOverdue().
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Subscription, Payment, Player } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { PAYMENT_STATUS, SUBSCRIPTION_STATUS, CURRENT_SUBSCRIPTION_STATUSES, INSTALLMENTS } = require('../config/constants');
+const taxService = require('./tax.service');
+const paymentSettlement = require('./paymentSettlement.service');
+const NotificationService = require('./notification.service');
+const subscriptionLifecycle = require('./subscriptionLifecycle.service');
+const { toDateOnly, addDays, addMonths } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Split an amount into `count` parts; rounding differences go to the last part
+const splitAmount = (value, count, currency) => {
+  const total = parseFloat(value) || 0;
+  const part = taxService.round(total / count, currency);
+  const parts = Array(count - 1).fill(part);
+  parts.push(taxService.round(total - part * (count - 1), currency));
+  return parts;
+};
+
+class InstallmentService {
+  /**
+   * Last date an installment may stay unpaid before it counts as overdue
+   */
+  getOverdueCutoff(now = new Date()) {
+    return toDateOnly(addDays(now, -INSTALLMENTS.GRACE_DAYS));
+  }
+
+  /**
+   * Due dates and amounts of an N-installment schedule (nothing is saved)
+   * @param {object} params
+   * @param {object} params.amounts - Full-plan amounts from taxService.calculateForPayment
+   * @param {number} params.count - Number of installments
+   * @param {Date|string} params.startDate - Subscription start (first installment due)
+   * @param {Date|string} params.endDate - Subscription end
+   * @param {string} params.currency - Currency the installments are rounded to
+   * @returns {object[]} [{ installment_number, due_date, amount, tax_amount, discount_amount, total_amount }]
+   */
+  buildSchedule({ amounts, count, startDate, endDate, currency }) {
+    const periodDays = Math.max(Math.round((new Date(endDate) - new Date(startDate)) / DAY_MS), count);
+    const amount = splitAmount(amounts.amount, count, currency);
+    const tax = splitAmount(amounts.tax_amount, count, currency);
+    const discount = splitAmount(amounts.discount_amount, count, currency);
+    const total = splitAmount(amounts.total_amount, count, currency);
+
+    return total.map((totalAmount, index) => ({
+      installment_number: index + 1,
+      due_date: toDateOnly(addDays(startDate, Math.floor(index * periodDays / count))),
+      amount: amount[index],
+      tax_amount: tax[index],
+      discount_amount: discount[index],
+      total_amount: totalAmount
+    }));
+  }
+
+  /**
+   * Create a pending subscription and its installment payments
+   * @param {object} params
+   * @param {object} params.player - Player (with branch)
+   * @param {object} params.pricingPlan - ProgramPricingPlan (with program)
+   * @param {number} params.installments - Number of installments (2..plan.max_installments)
+   * @param {object} params.actor - User creating the schedule (parent or staff)
+   * @returns {Promise<object>} { subscription, payments }
+   */
+  async createSchedule({ player, pricingPlan, installments, actor }) {
+    const count = parseInt(installments, 10);
+    const maxInstallments = pricingPlan.max_installments || 1;
+
+    if (maxInstallments < 2) {
+      throw new AppError('This pricing plan cannot be paid in installments', 400);
+    }
+    if (!Number.isInteger(count) || count < 2 || count > maxInstallments) {
+      throw new AppError(`Installments must be between 2 and ${maxInstallments} for this plan`, 400);
+    }
+    if (!pricingPlan.is_active) {
+      throw new AppError('Pricing plan is no longer available', 400);
+    }
+
+    const amounts = await taxService.calculateForPayment({
+      branch: player.branch || player.branch_id,
+      type: 'subscription',
+      price: parseFloat(pricingPlan.price) || 0,
+      pricingPlan
+    });
+
+    const { startDate, renewedFromId } = await paymentSettlement.getRenewalAnchor({
+      playerId: player.id,
+      programId: pricingPlan.program_id
+    });
+    const endDate = addMonths(startDate, pricingPlan.duration_months || 1);
+    const schedule = this.buildSchedule({ amounts, count, startDate, endDate, currency: player.branch?.currency });
+    const planLabel = `${pricingPlan.program?.name || 'Program'} - ${pricingPlan.name}`;
+
+    return sequelize.transaction(async (transaction) => {
+      const subscription = await Subscription.create({
+        player_id: player.id,
+        program_id: pricingPlan.program_id,
+        start_date: toDateOnly(startDate),
+        end_date: toDateOnly(endDate),
+        amount: amounts.amount,
+        discount_amount: amounts.discount_amount,
+        total_amount: amounts.total_amount,
+        status: SUBSCRIPTION_STATUS.PENDING,
+        renewed_from_id: renewedFromId,
+        installment_count: count,
+        notes: `Installment plan - ${pricingPlan.name} (${count} installments)`
+      }, {
+        transaction,
+        lifecycle: { source: 'installment', actorId: actor.id }
+      });
+
+      const payments = [];
+      for (const installment of schedule) {
+        payments.push(await Payment.create({
+          ...installment,
+          user_id: player.parent_id || player.self_user_id || actor.id,
+          player_id: player.id,
+          branch_id: player.branch_id,
+          subscription_id: subscription.id,
+          pricing_plan_id: pricingPlan.id,
+          type: 'subscription',
+          description: `${planLabel} (installment ${installment.installment_number}/${count})`,
+          tax_rate: amounts.tax_rate,
+          status: PAYMENT_STATUS.PENDING,
+          metadata: {
+            program_id: pricingPlan.program_id,
+            installment_count: count,
+            prices_include_tax: amounts.prices_include_tax,
+            created_by: actor.id
+          }
+        }, { transaction }));
+      }
+
+      return { subscription, payments };
+    });
+  }
+
+  /**
+   * Installment payments of a subscription in schedule order
+   */
+  async getPayments(subscriptionId) {
+    return Payment.findAll({
+      where: { subscription_id: subscriptionId, installment_number: { [Op.ne]: null } },
+      attributes: ['id', 'invoice_number', 'installment_number', 'due_date', 'total_amount', 'status', 'paid_at'],
+      order: [['installment_number', 'ASC']]
+    });
+  }
+
+  /**
+   * Schedule overview for one subscription (parents' dashboard / staff)
+   */
+  summarize(subscription, payments, now = new Date()) {
+    const cutoff = this.getOverdueCutoff(now);
+    const isPaid = (p) => p.status === PAYMENT_STATUS.COMPLETED;
+    const open = payments.filter(p => p.status === PAYMENT_STATUS.PENDING);
+    const nextDue = open[0] || null;
+
+    return {
+      subscription_id: subscription.id,
+      subscription_status: subscription.status,
+      installment_count: subscription.installment_count,
+      paid_count: payments.filter(isPaid).length,
+      paid_amount: taxService.round(payments.filter(isPaid).reduce((sum, p) => sum + parseFloat(p.total_amount), 0), payments[0]?.currency),
+      remaining_amount: taxService.round(open.reduce((sum, p) => sum + parseFloat(p.total_amount), 0), payments[0]?.currency),
+      overdue_count: open.filter(p => p.due_date < cutoff).length,
+      next_due: nextDue ? { payment_id: nextDue.id, due_date: nextDue.due_date, amount: parseFloat(nextDue.total_amount) } : null,
+      installments: payments.map(p => ({
+        payment_id: p.id,
+        invoice_number: p.invoice_number,
+        number: p.installment_number,
+        due_date: p.due_date,
+        amount: parseFloat(p.total_amount),
+        status: p.status,
+        paid_at: p.paid_at,
+        overdue: p.status === PAYMENT_STATUS.PENDING && p.due_date < cutoff
+      }))
+    };
+  }
+
+  /**
+   * Installment subscriptions with at least one overdue installment
+   * @param {object} options
+   * @param {object} options.Model - Subscription model to query (scoped for branch staff)
+   * @param {string[]} options.statuses - Subscription statuses to include
+   */
+  async findOverdue({ now = new Date(), Model = Subscription, statuses = [...CURRENT_SUBSCRIPTION_STATUSES, SUBSCRIPTION_STATUS.SUSPENDED] } = {}) {
+    return Model.findAll({
+      where: {
+        status: { [Op.in]: statuses },
+        installment_count: { [Op.ne]: null }
+      },
+      include: [
+        {
+          association: 'payments',
+          where: {
+            status: PAYMENT_STATUS.PENDING,
+            due_date: { [Op.lt]: this.getOverdueCutoff(now) }
+          },
+          attributes: ['id', 'invoice_number', 'installment_number', 'due_date', 'total_amount']
+        },
+        { association: 'player', include: [{ association: 'parent', attributes: ['id', 'phone', 'first_name'] }] },
+        { association: 'program', attributes: ['id', 'name'] }
+      ],
+      order: [['end_date', 'ASC']]
+    });
+  }
+
+  /**
+   * Suspend current (active / expiring) subscriptions with an overdue installment and tell the payer
+   * @returns {Promise<object>} { suspended }
+   */
+  async suspendOverdue(now = new Date()) {
+    const subscriptions = await this.findOverdue({ now, statuses: CURRENT_SUBSCRIPTION_STATUSES });
+
+    for (const subscription of subscriptions) {
+      await subscriptionLifecycle.transition(subscription, SUBSCRIPTION_STATUS.SUSPENDED, {
+        source: 'installment',
+        reason: `Installment ${subscription.payments[0].installment_number} overdue`,
+        metadata: { payment_id: subscription.payments[0].id }
+      });
+
+      const player = subscription.player || await Player.findByPk(subscription.player_id);
+      const userId = player?.parent_id || player?.self_user_id;
+      if (userId) {
+        await NotificationService.notifyInstallmentOverdue(userId, {
+          subscription,
+          player,
+          payment: subscription.payments[0]
+        });
+      }
+    }
+
+    return { suspended: subscriptions.length };
+  }
+}
+
+module.exports = new InstallmentService();
@@ -0,0 +1,103 @@
+/**
+ * Inventory Service - stock levels for store product variants
+ *
+ * Stock changes always go through adjustStock() so the row is locked,
+ * stock never goes negative and crossing the low-stock threshold raises
+ * a system alert for super admins.
+ */
+
+const { sequelize, ProductVariant, Product } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const NotificationService = require('./notification.service');
+
+class InventoryService {
+  /**
+   * Change the stock of a variant by a delta
+   * @param {string} variantId - ProductVariant ID
+   * @param {number} delta - Positive to restock, negative to sell
+   * @param {object} options
+   * @param {object} options.transaction - Outer transaction (optional)
+   * @returns {Promise<object>} Updated variant
+   */
+  async adjustStock(variantId, delta, { transaction = null } = {}) {
+    const change = parseInt(delta, 10);
+    if (!Number.isInteger(change)) {
+      throw new AppError('Stock adjustment must be a whole number', 400);
+    }
+
+    const run = async (t) => {
+      const variant = await ProductVariant.findByPk(variantId, {
+        include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'name_ar'] }],
+        lock: t.LOCK.UPDATE,
+        transaction: t
+      });
+
+      if (!variant) {
+        throw new AppError('Product variant not found', 404);
+      }
+
+      const wasLow = variant.isLowStock();
+      const newQuantity = variant.stock_quantity + change;
+      if (newQuantity < 0) {
+        throw new AppError(`Insufficient stock for ${variant.sku} (available: ${variant.stock_quantity})`, 400);
+      }
+
+      await variant.update({ stock_quantity: newQuantity }, { transaction: t });
+
+      if (!wasLow && variant.isLowStock()) {
+        const alert = () => this.notifyLowStock(variant);
+        if (t.afterCommit) t.afterCommit(alert);
+        else alert();
+      }
+
+      return variant;
+    };
+
+    return transaction ? run(transaction) : sequelize.transaction(run);
+  }
+
+  /**
+   * Set the absolute stock level of a variant
+   * @param {string} variantId - ProductVariant ID
+   * @param {number} quantity - New stock quantity
+   * @returns {Promise<object>} Updated variant
+   */
+  async setStock(variantId, quantity) {
+    const target = parseInt(quantity, 10);
+    if (!Number.isInteger(target) || target < 0) {
+      throw new AppError('Stock quantity must be a whole number of 0 or more', 400);
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const variant = await ProductVariant.findByPk(variantId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!variant) {
+        throw new AppError('Product variant not found', 404);
+      }
+      return this.adjustStock(variantId, target - variant.stock_quantity, { transaction });
+    });
+  }
+
+  /**
+   * Alert super admins that a variant reached its low-stock threshold
+   * @param {object} variant - ProductVariant with product loaded
+   */
+  async notifyLowStock(variant) {
+    try {
+      const productName = variant.product?.name || 'Product';
+      await NotificationService.notifySystemAlert(
+        `Low stock: ${productName} (${variant.size || variant.sku})`,
+        `Only ${variant.stock_quantity} left of ${variant.sku} (threshold ${variant.low_stock_threshold})`,
+        {
+          product_id: variant.product_id,
+          variant_id: variant.id,
+          sku: variant.sku,
+          stock_quantity: variant.stock_quantity
+        }
+      );
+    } catch (notifyErr) {
+      console.error('Error sending low stock alert:', notifyErr);
+    }
+  }
+}
+
+module.exports = new InventoryService();
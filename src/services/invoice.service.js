@@ -0,0 +1,377 @@
+/**
+ * Invoice Service - PDF tax invoices / receipts (pdfkit)
+ *
+ * Renders a bilingual (English + Arabic RTL) document for a completed payment:
+ * branch logo, seller VAT details, line items, discount and VAT breakdown and
+ * the ZATCA QR code issued by zatca.service.
+ *
+ * Branch.settings used:
+ *   settings.logo - Logo path under /uploads (e.g. /uploads/branches/logo.png)
+ *
+ * Arabic text is set in Noto Naskh Arabic (@expo-google-fonts/noto-naskh-arabic).
+ * Another font with Arabic glyphs can be configured via .env:
+ *   INVOICE_ARABIC_FONT=/path/to/NotoNaskhArabic-Regular.ttf
+ * Without a usable font the document is rendered in English only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const zatcaService = require('./zatca.service');
+const { CURRENCY } = require('../config/constants');
+
+const UPLOADS_ROOT = path.join(__dirname, '../..');
+
+const PAGE_MARGIN = 50;
+const COLORS = {
+  primary: '#4F46E5',
+  text: '#000000',
+  muted: '#666666',
+  border: '#DDDDDD'
+};
+
+const formatAmount = (value, currency = CURRENCY.DEFAULT) =>
+  (parseFloat(value) || 0).toFixed(CURRENCY.MINOR_UNITS[String(currency).toUpperCase()] ?? 2);
+
+const bundledArabicFont = () => {
+  try {
+    return require.resolve('@expo-google-fonts/noto-naskh-arabic/400Regular/NotoNaskhArabic_400Regular.ttf');
+  } catch (error) {
+    return null;
+  }
+};
+
+// INVOICE_ARABIC_FONT first, then the bundled font
+const resolveArabicFont = () => {
+  const configured = process.env.INVOICE_ARABIC_FONT || null;
+  if (configured && fs.existsSync(configured)) return configured;
+
+  const bundled = bundledArabicFont();
+  if (configured) {
+    console.warn(`⚠️ INVOICE_ARABIC_FONT not found at ${configured}.${bundled ? ' Using the bundled Noto Naskh Arabic.' : ''}`);
+  }
+  if (bundled) return bundled;
+
+  console.warn('⚠️ No Arabic invoice font available. PDF invoices will be rendered in English only.');
+  return null;
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().split('T')[0] : '-');
+
+class InvoiceService {
+  constructor() {
+    this.arabicFont = resolveArabicFont();
+  }
+
+  /**
+   * Public download URL of a payment's PDF invoice
+   * @param {string} paymentId - Payment UUID
+   * @returns {string} Relative API URL
+   */
+  getPdfUrl(paymentId) {
+    return `/api/payments/${paymentId}/invoice/pdf`;
+  }
+
+  /**
+   * Line items of a payment. Payments carrying `metadata.items`
+   * ([{ description, quantity, unit_price }]) are itemised, everything
+   * else is a single line for the payment amount.
+   * @param {object} payment - Payment instance
+   * @returns {Array<object>} Line items
+   */
+  getLineItems(payment) {
+    const items = Array.isArray(payment.metadata?.items) ? payment.metadata.items : [];
+
+    if (items.length > 0) {
+      return items.map((item) => {
+        const quantity = parseInt(item.quantity) || 1;
+        const unitPrice = parseFloat(item.unit_price) || 0;
+        return {
+          description: item.description || item.name || payment.type,
+          description_ar: item.description_ar || item.name_ar || null,
+          quantity,
+          unit_price: unitPrice,
+          amount: quantity * unitPrice
+        };
+      });
+    }
+
+    return [{
+      description: payment.description || payment.type,
+      description_ar: null,
+      quantity: 1,
+      unit_price: parseFloat(payment.amount) || 0,
+      amount: parseFloat(payment.amount) || 0
+    }];
+  }
+
+  /**
+   * Render the PDF invoice of a payment.
+   * The whole document is rendered before anything is sent, so a drawing error
+   * still reaches the caller as an ordinary error response.
+   * @param {object} payment - Payment with user, player and branch loaded
+   * @param {object} eInvoice - EInvoice record (QR payload source), optional
+   * @returns {Promise<Buffer>} The PDF
+   */
+  async renderPaymentInvoice(payment, eInvoice) {
+    const qrImage = eInvoice?.qr_code
+      ? await QRCode.toBuffer(eInvoice.qr_code, { margin: 1, width: 140 })
+      : null;
+
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    const hasArabic = this._registerArabicFont(doc);
+
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    this._drawHeader(doc, payment, hasArabic);
+    this._drawParties(doc, payment, eInvoice, hasArabic);
+    this._drawLineItems(doc, payment, hasArabic);
+    this._drawTotals(doc, payment, hasArabic);
+    this._drawFooter(doc, payment, qrImage, hasArabic);
+
+    doc.end();
+    return finished;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  SECTIONS
+  // ═══════════════════════════════════════════════════════════════
+
+  _drawHeader(doc, payment, hasArabic) {
+    const top = doc.y;
+    const logoPath = this._resolveLogo(payment.branch);
+
+    if (logoPath) {
+      try {
+        doc.image(logoPath, PAGE_MARGIN, top, { fit: [80, 80] });
+      } catch (error) {
+        console.error('Failed to render branch logo:', error.message);
+      }
+    }
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.primary)
+      .text('Simplified Tax Invoice', PAGE_MARGIN, top, { align: 'center' });
+    this._arabic(doc, hasArabic, 'فاتورة ضريبية مبسطة', { fontSize: 16, align: 'center', color: COLORS.primary });
+
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text)
+      .text(`Invoice No: ${payment.invoice_number}`, { align: 'center' })
+      .text(`Date: ${formatDate(payment.paid_at || payment.created_at)}`, { align: 'center' });
+
+    doc.y = Math.max(doc.y, top + 90);
+    this._rule(doc);
+  }
+
+  _drawParties(doc, payment, eInvoice, hasArabic) {
+    const seller = zatcaService.getSellerInfo(payment.branch, payment);
+    const top = doc.y;
+    const columnWidth = (doc.page.width - PAGE_MARGIN * 2) / 2 - 10;
+
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text)
+      .text('Seller', PAGE_MARGIN, top, { width: columnWidth });
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.text)
+      .text(seller.name, { width: columnWidth })
+      .text(`VAT No: ${seller.vatNumber || '-'}`, { width: columnWidth })
+      .text(`CR No: ${seller.crNumber || '-'}`, { width: columnWidth })
+      .text([seller.address, seller.city].filter(Boolean).join(', ') || '-', { width: columnWidth });
+    if (payment.branch?.name_ar) {
+      this._arabic(doc, hasArabic, payment.branch.name_ar, { x: PAGE_MARGIN, width: columnWidth, align: 'left' });
+    }
+    const sellerBottom = doc.y;
+
+    const customerX = PAGE_MARGIN + columnWidth + 20;
+    const customerName = payment.user ? `${payment.user.first_name} ${payment.user.last_name}` : '-';
+    doc.font('Helvetica-Bold').fontSize(11)
+      .text('Customer', customerX, top, { width: columnWidth });
+    doc.font('Helvetica').fontSize(9)
+      .text(customerName, customerX, doc.y, { width: columnWidth });
+    if (payment.user?.phone) {
+      doc.text(payment.user.phone, customerX, doc.y, { width: columnWidth });
+    }
+    if (payment.player) {
+      doc.text(`Player: ${payment.player.first_name} ${payment.player.last_name}`, customerX, doc.y, { width: columnWidth });
+      if (payment.player.registration_number) {
+        doc.text(`Reg. No: ${payment.player.registration_number}`, customerX, doc.y, { width: columnWidth });
+      }
+    }
+    doc.text(`Payment method: ${payment.payment_method || '-'}`, customerX, doc.y, { width: columnWidth });
+    if (eInvoice) {
+      doc.fillColor(COLORS.muted).text(`UUID: ${eInvoice.uuid}`, customerX, doc.y, { width: columnWidth });
+    }
+
+    doc.x = PAGE_MARGIN;
+    doc.y = Math.max(sellerBottom, doc.y) + 10;
+    this._rule(doc);
+  }
+
+  _drawLineItems(doc, payment, hasArabic) {
+    const columns = this._itemColumns(doc);
+    const currency = payment.currency || 'SAR';
+
+    const headerTop = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text);
+    doc.text('Description', columns.description.x, headerTop, { width: columns.description.width });
+    doc.text('Qty', columns.quantity.x, headerTop, { width: columns.quantity.width, align: 'right' });
+    doc.text('Unit Price', columns.unitPrice.x, headerTop, { width: columns.unitPrice.width, align: 'right' });
+    doc.text(`Amount (${currency})`, columns.amount.x, headerTop, { width: columns.amount.width, align: 'right' });
+
+    if (hasArabic) {
+      const arabicTop = headerTop + 14;
+      this._arabic(doc, true, 'الوصف', { x: columns.description.x, y: arabicTop, width: columns.description.width, align: 'left' });
+      this._arabic(doc, true, 'الكمية', { x: columns.quantity.x, y: arabicTop, width: columns.quantity.width });
+      this._arabic(doc, true, 'سعر الوحدة', { x: columns.unitPrice.x, y: arabicTop, width: columns.unitPrice.width });
+      this._arabic(doc, true, 'المبلغ', { x: columns.amount.x, y: arabicTop, width: columns.amount.width });
+    }
+
+    doc.y = headerTop + (hasArabic ? 32 : 18);
+    this._rule(doc, 4);
+
+    doc.font('Helvetica').fontSize(9);
+    for (const item of this.getLineItems(payment)) {
+      const rowTop = doc.y;
+      doc.fillColor(COLORS.text)
+        .text(item.description, columns.description.x, rowTop, { width: columns.description.width });
+      const descriptionBottom = doc.y;
+      if (item.description_ar) {
+        this._arabic(doc, hasArabic, item.description_ar, { x: columns.description.x, width: columns.description.width, align: 'left' });
+      }
+      const rowBottom = Math.max(descriptionBottom, doc.y);
+
+      doc.text(String(item.quantity), columns.quantity.x, rowTop, { width: columns.quantity.width, align: 'right' });
+      doc.text(formatAmount(item.unit_price, currency), columns.unitPrice.x, rowTop, { width: columns.unitPrice.width, align: 'right' });
+      doc.text(formatAmount(item.amount, currency), columns.amount.x, rowTop, { width: columns.amount.width, align: 'right' });
+
+      doc.y = rowBottom + 6;
+    }
+
+    doc.x = PAGE_MARGIN;
+    this._rule(doc);
+  }
+
+  _drawTotals(doc, payment, hasArabic) {
+    const seller = zatcaService.getSellerInfo(payment.branch, payment);
+    const amount = parseFloat(payment.amount) || 0;
+    const discount = parseFloat(payment.discount_amount) || 0;
+    const tax = parseFloat(payment.tax_amount) || 0;
+    const total = parseFloat(payment.total_amount) || (amount - discount + tax);
+    const currency = payment.currency || 'SAR';
+
+    const rows = [
+      { label: 'Subtotal', labelAr: 'المجموع الفرعي', value: amount },
+      ...(discount > 0 ? [{ label: 'Discount', labelAr: 'الخصم', value: -discount }] : []),
+      { label: 'Taxable Amount', labelAr: 'المبلغ الخاضع للضريبة', value: total - tax },
+      { label: `VAT (${tax > 0 ? seller.vatRate : 0}%)`, labelAr: 'ضريبة القيمة المضافة', value: tax },
+      { label: 'Total', labelAr: 'الإجمالي', value: total, bold: true }
+    ];
+
+    const labelX = doc.page.width / 2;
+    const labelWidth = 130;
+    const valueX = labelX + labelWidth;
+    const valueWidth = doc.page.width - PAGE_MARGIN - valueX;
+
+    for (const row of rows) {
+      const rowTop = doc.y;
+      doc.font(row.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(row.bold ? 11 : 9).fillColor(COLORS.text)
+        .text(row.label, labelX, rowTop, { width: labelWidth })
+        .text(`${formatAmount(row.value, currency)} ${currency}`, valueX, rowTop, { width: valueWidth, align: 'right' });
+      this._arabic(doc, hasArabic, row.labelAr, { x: labelX, width: labelWidth, align: 'left' });
+      doc.y += 4;
+    }
+
+    doc.x = PAGE_MARGIN;
+    doc.moveDown();
+  }
+
+  _drawFooter(doc, payment, qrImage, hasArabic) {
+    const top = doc.y;
+
+    if (qrImage) {
+      doc.image(qrImage, PAGE_MARGIN, top, { width: 110 });
+    }
+
+    if (payment.status === 'completed') {
+      doc.font('Helvetica-Bold').fontSize(16).fillColor('#059669')
+        .text('PAID', PAGE_MARGIN, top + 20, { align: 'right' });
+      this._arabic(doc, hasArabic, 'مدفوع', { fontSize: 14, color: '#059669' });
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+        .text(`Paid at: ${formatDate(payment.paid_at)}`, { align: 'right' });
+    }
+
+    doc.y = Math.max(doc.y, top + (qrImage ? 120 : 0));
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text('This is a system generated invoice.', PAGE_MARGIN, doc.y + 10, { align: 'center' });
+    this._arabic(doc, hasArabic, 'هذه فاتورة صادرة إلكترونياً من النظام.', { fontSize: 8, align: 'center', color: COLORS.muted });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  HELPERS
+  // ═══════════════════════════════════════════════════════════════
+
+  _itemColumns(doc) {
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    return {
+      description: { x: PAGE_MARGIN, width: width * 0.5 },
+      quantity: { x: PAGE_MARGIN + width * 0.5, width: width * 0.1 },
+      unitPrice: { x: PAGE_MARGIN + width * 0.6, width: width * 0.2 },
+      amount: { x: PAGE_MARGIN + width * 0.8, width: width * 0.2 }
+    };
+  }
+
+  _registerArabicFont(doc) {
+    if (!this.arabicFont || !fs.existsSync(this.arabicFont)) return false;
+
+    try {
+      doc.registerFont('Arabic', this.arabicFont);
+      return true;
+    } catch (error) {
+      console.error('Failed to load Arabic invoice font:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Write a right-to-left line. fontkit shapes and orders Arabic glyphs,
+   * so the string is passed in logical order and right-aligned by default.
+   */
+  _arabic(doc, hasArabic, text, { x, y, width, align = 'right', fontSize = 9, color = COLORS.text } = {}) {
+    if (!hasArabic || !text) return;
+
+    const options = { align, features: ['rtla'] };
+    if (width) options.width = width;
+
+    doc.font('Arabic').fontSize(fontSize).fillColor(color);
+    if (x !== undefined) {
+      doc.text(text, x, y !== undefined ? y : doc.y, options);
+    } else {
+      doc.text(text, options);
+      doc.moveDown(0.2);
+    }
+    doc.font('Helvetica');
+  }
+
+  _rule(doc, spacing = 10) {
+    doc.moveTo(PAGE_MARGIN, doc.y + spacing / 2)
+      .lineTo(doc.page.width - PAGE_MARGIN, doc.y + spacing / 2)
+      .strokeColor(COLORS.border)
+      .stroke();
+    doc.y += spacing;
+  }
+
+  _resolveLogo(branch) {
+    const logo = branch?.settings?.logo;
+    if (!logo || !logo.startsWith('/uploads/')) return null;
+
+    const logoPath = path.join(UPLOADS_ROOT, path.normalize(logo));
+    return logoPath.startsWith(path.join(UPLOADS_ROOT, 'uploads')) && fs.existsSync(logoPath) ? logoPath : null;
+  }
+}
+
+// Singleton instance
+const invoiceService = new InvoiceService();
+
+module.exports = invoiceService;
@@ -0,0 +1,648 @@
+/**
+ * Ledger Service - double-entry general ledger
+ *
+ * Automatic postings (one JournalEntry per source document):
+ *   payment completed  Dr cash / bank / card clearing     total_amount
+ *                      Cr revenue (by payment type)        total_amount - tax_amount
+ *                      Cr VAT payable                      tax_amount
+ *   refund completed   Dr refunds (contra revenue)         amount - tax_amount
+ *                      Dr VAT payable                      tax_amount
+ *                      Cr the account the payment came in  amount
+ *   expense recorded   Dr expense account (by category)   amount
+ *                      Cr cash / bank / company card       amount
+ *
+ * Payments post from paymentSettlement and refunds from refund.service inside
+ * their own transactions, so the ledger never disagrees with the documents.
+ * Edited or deleted expenses are reversed (and re-posted), never changed.
+ *
+ * Every line carries a cost center (the document's branch); reports can be
+ * run for a set of branches. Dates follow the revenue report: payments on
+ * paid_at, refunds on refunded_at, expenses on expense_date, so the P&L
+ * reconciles with GET /api/payments/revenue and the expense statistics.
+ *
+ * Lines are posted in the document's currency (the refunded payment's for
+ * refunds; manual entries default to their branch's). Reports convert each
+ * currency and day at that day's rate into the reporting currency
+ * (?currency=), like the revenue report and the financial stats.
+ */
+
+const { Op, fn, col } = require('sequelize');
+const {
+  sequelize, LedgerAccount, JournalEntry, JournalLine, Payment, Refund, Expense, Branch
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { CURRENCY, LEDGER_ACCOUNTS, PAYMENT_STATUS, REFUND_STATUS } = require('../config/constants');
+const exchangeRateService = require('./exchangeRate.service');
+const { toDateOnly } = require('../utils/helpers');
+const { normalizeCurrency, roundToCurrency } = require('../utils/currency');
+
+// System accounts, created on first use
+const CHART_OF_ACCOUNTS = [
+  { code: LEDGER_ACCOUNTS.CASH, type: 'asset', name: 'Cash on hand', name_ar: 'النقدية في الصندوق' },
+  { code: LEDGER_ACCOUNTS.BANK, type: 'asset', name: 'Bank accounts', name_ar: 'الحسابات البنكية' },
+  { code: LEDGER_ACCOUNTS.CARD_CLEARING, type: 'asset', name: 'Card payments clearing', name_ar: 'مدفوعات البطاقات قيد التسوية' },
+  { code: LEDGER_ACCOUNTS.CARD_PAYABLE, type: 'liability', name: 'Company card payable', name_ar: 'مستحقات بطاقة الشركة' },
+  { code: LEDGER_ACCOUNTS.VAT_PAYABLE, type: 'liability', name: 'VAT payable', name_ar: 'ضريبة القيمة المضافة المستحقة' },
+  { code: LEDGER_ACCOUNTS.OWNER_EQUITY, type: 'equity', name: "Owner's equity", name_ar: 'حقوق الملكية' },
+  { code: LEDGER_ACCOUNTS.SUBSCRIPTION_REVENUE, type: 'revenue', name: 'Subscription revenue', name_ar: 'إيرادات الاشتراكات' },
+  { code: LEDGER_ACCOUNTS.REGISTRATION_REVENUE, type: 'revenue', name: 'Registration fees', name_ar: 'رسوم التسجيل' },
+  { code: LEDGER_ACCOUNTS.STORE_REVENUE, type: 'revenue', name: 'Store sales', name_ar: 'مبيعات المتجر' },
+  { code: LEDGER_ACCOUNTS.OTHER_REVENUE, type: 'revenue', name: 'Other revenue', name_ar: 'إيرادات أخرى' },
+  { code: LEDGER_ACCOUNTS.REFUNDS, type: 'revenue', name: 'Refunds', name_ar: 'المبالغ المستردة', description: 'Contra revenue (debit balance)' },
+  { code: LEDGER_ACCOUNTS.EXPENSES.utilities, type: 'expense', name: 'Utilities', name_ar: 'المرافق' },
+  { code: LEDGER_ACCOUNTS.EXPENSES.rent, type: 'expense', name: 'Rent', name_ar: 'الإيجار' },
+  { code: LEDGER_ACCOUNTS.EXPENSES.salaries, type: 'expense', name: 'Salaries', name_ar: 'الرواتب' },
+  { code: LEDGER_ACCOUNTS.EXPENSES.equipment, type: 'expense', name: 'Equipment', name_ar: 'المعدات' },
+  { code: LEDGER_ACCOUNTS.EXPENSES.maintenance, type: 'expense', name: 'Maintenance', name_ar: 'الصيانة' },
+  { code: LEDGER_ACCOUNTS.EXPENSES.supplies, type: 'expense', name: 'Supplies', name_ar: 'المستلزمات' },
+  { code: LEDGER_ACCOUNTS.EXPENSES.marketing, type: 'expense', name: 'Marketing', name_ar: 'التسويق' },
+  { code: LEDGER_ACCOUNTS.EXPENSES.transportation, type: 'expense', name: 'Transportation', name_ar: 'النقل' },
+  { code: LEDGER_ACCOUNTS.EXPENSES.other, type: 'expense', name: 'Other expenses', name_ar: 'مصروفات أخرى' }
+];
+
+const REVENUE_ACCOUNT_BY_PAYMENT_TYPE = {
+  subscription: LEDGER_ACCOUNTS.SUBSCRIPTION_REVENUE,
+  registration: LEDGER_ACCOUNTS.REGISTRATION_REVENUE,
+  product: LEDGER_ACCOUNTS.STORE_REVENUE
+};
+
+const EXPENSE_CREDIT_ACCOUNTS = {
+  cash: LEDGER_ACCOUNTS.CASH,
+  bank_transfer: LEDGER_ACCOUNTS.BANK,
+  cheque: LEDGER_ACCOUNTS.BANK,
+  credit_card: LEDGER_ACCOUNTS.CARD_PAYABLE
+};
+
+// Accounts whose balance is normally a debit
+const DEBIT_TYPES = ['asset', 'expense'];
+
+class LedgerService {
+  /**
+   * Account receiving a customer payment made with `paymentMethod`
+   */
+  receiptAccountFor(paymentMethod) {
+    if (paymentMethod === 'cash') return LEDGER_ACCOUNTS.CASH;
+    if (paymentMethod === 'bank_transfer') return LEDGER_ACCOUNTS.BANK;
+    return LEDGER_ACCOUNTS.CARD_CLEARING;
+  }
+
+  /**
+   * Create any missing system accounts
+   */
+  async ensureChartOfAccounts({ transaction = null } = {}) {
+    const existing = await LedgerAccount.findAll({ attributes: ['code'], transaction });
+    const codes = new Set(existing.map(account => account.code));
+    const missing = CHART_OF_ACCOUNTS.filter(account => !codes.has(account.code));
+
+    if (missing.length) {
+      await LedgerAccount.bulkCreate(missing.map(account => ({ ...account, is_system: true })), { transaction });
+    }
+  }
+
+  /**
+   * Post a balanced journal entry
+   * @param {object} params
+   * @param {string} params.date - Entry date (YYYY-MM-DD)
+   * @param {string} params.branchId - Cost center for lines without their own
+   * @param {string} params.sourceType - payment | refund | expense | manual
+   * @param {string} params.sourceId - Source document id
+   * @param {object[]} params.lines - [{ account (code) | account_id, debit, credit, branch_id, description }]
+   * @param {string} params.currency - Currency of the amounts (default: the branch's base currency)
+   * @param {object} params.actor - User posting a manual entry
+   * @param {object} params.transaction
+   * @returns {Promise<object>} JournalEntry with lines
+   * @throws {AppError} 400 when the entry does not balance or names an unknown account
+   */
+  async postEntry({
+    date,
+    branchId = null,
+    sourceType = 'manual',
+    sourceId = null,
+    description = null,
+    lines,
+    currency = null,
+    actor = null,
+    reversalOfId = null,
+    transaction = null
+  }) {
+    const entryCurrency = currency ? normalizeCurrency(currency) : await this._branchCurrency(branchId, transaction);
+    const round = (value) => roundToCurrency(value, entryCurrency);
+
+    const entryLines = (lines || [])
+      .map(line => ({ ...line, debit: round(line.debit || 0), credit: round(line.credit || 0) }))
+      .filter(line => line.debit !== 0 || line.credit !== 0);
+
+    if (entryLines.length < 2) {
+      throw new AppError('A journal entry needs at least two lines', 400);
+    }
+    if (entryLines.some(line => line.debit < 0 || line.credit < 0 || (line.debit > 0 && line.credit > 0))) {
+      throw new AppError('Each line must have either a positive debit or a positive credit', 400);
+    }
+
+    const totalDebit = round(entryLines.reduce((sum, line) => sum + line.debit, 0));
+    const totalCredit = round(entryLines.reduce((sum, line) => sum + line.credit, 0));
+    if (totalDebit !== totalCredit) {
+      throw new AppError(`Journal entry does not balance (debits ${totalDebit}, credits ${totalCredit})`, 400);
+    }
+
+    const accounts = await this._resolveAccounts(entryLines, transaction);
+
+    const entry = await JournalEntry.create({
+      entry_date: date ? toDateOnly(date) : toDateOnly(new Date()),
+      branch_id: branchId,
+      source_type: sourceType,
+      source_id: sourceId,
+      description,
+      total: totalDebit,
+      reversal_of_id: reversalOfId,
+      created_by: actor?.id || null
+    }, { transaction });
+
+    entry.lines = await JournalLine.bulkCreate(entryLines.map(line => ({
+      journal_entry_id: entry.id,
+      account_id: line.account_id || accounts.get(line.account).id,
+      branch_id: line.branch_id !== undefined ? line.branch_id : branchId,
+      debit: line.debit,
+      credit: line.credit,
+      currency: entryCurrency,
+      description: line.description || null
+    })), { transaction });
+
+    return entry;
+  }
+
+  /**
+   * Post a completed payment (once)
+   */
+  async postPayment(payment, { transaction = null } = {}) {
+    const currency = payment.currency || CURRENCY.DEFAULT;
+    const round = (value) => roundToCurrency(value, currency);
+    const total = round(payment.total_amount);
+    if (total <= 0 || await this.findPosted('payment', payment.id, { transaction })) return null;
+
+    const tax = round(payment.tax_amount || 0);
+    return this.postEntry({
+      date: payment.paid_at || new Date(),
+      branchId: payment.branch_id || null,
+      sourceType: 'payment',
+      sourceId: payment.id,
+      description: `Payment ${payment.invoice_number}`,
+      lines: [
+        { account: this.receiptAccountFor(payment.payment_method), debit: total },
+        { account: REVENUE_ACCOUNT_BY_PAYMENT_TYPE[payment.type] || LEDGER_ACCOUNTS.OTHER_REVENUE, credit: round(total - tax) },
+        { account: LEDGER_ACCOUNTS.VAT_PAYABLE, credit: tax }
+      ],
+      currency,
+      transaction
+    });
+  }
+
+  /**
+   * Post a completed refund (once); it goes back out of the account the payment came in to
+   */
+  async postRefund(refund, payment, { transaction = null } = {}) {
+    const currency = payment.currency || CURRENCY.DEFAULT;
+    const round = (value) => roundToCurrency(value, currency);
+    const amount = round(refund.amount);
+    if (amount <= 0 || await this.findPosted('refund', refund.id, { transaction })) return null;
+
+    const tax = round(refund.tax_amount || 0);
+    return this.postEntry({
+      date: refund.refunded_at || new Date(),
+      branchId: refund.branch_id || payment.branch_id || null,
+      sourceType: 'refund',
+      sourceId: refund.id,
+      description: `Refund of payment ${payment.invoice_number}`,
+      lines: [
+        { account: LEDGER_ACCOUNTS.REFUNDS, debit: round(amount - tax) },
+        { account: LEDGER_ACCOUNTS.VAT_PAYABLE, debit: tax },
+        { account: this.receiptAccountFor(payment.payment_method), credit: amount }
+      ],
+      currency,
+      transaction
+    });
+  }
+
+  /**
+   * Post an expense (once)
+   */
+  async postExpense(expense, { actor = null, transaction = null } = {}) {
+    const currency = expense.currency || CURRENCY.DEFAULT;
+    const amount = roundToCurrency(expense.amount, currency);
+    if (amount <= 0 || await this.findPosted('expense', expense.id, { transaction })) return null;
+
+    return this.postEntry({
+      date: expense.expense_date || new Date(),
+      branchId: expense.branch_id,
+      sourceType: 'expense',
+      sourceId: expense.id,
+      description: `Expense: ${expense.title}`,
+      lines: [
+        { account: LEDGER_ACCOUNTS.EXPENSES[expense.category] || LEDGER_ACCOUNTS.EXPENSES.other, debit: amount },
+        { account: EXPENSE_CREDIT_ACCOUNTS[expense.payment_method] || LEDGER_ACCOUNTS.CASH, credit: amount }
+      ],
+      currency,
+      actor,
+      transaction
+    });
+  }
+
+  /**
+   * Replace an edited expense's entry: reverse the old one and post the new figures
+   */
+  async repostExpense(expense, { actor = null, transaction = null } = {}) {
+    await this.reverseSource('expense', expense.id, {
+      reason: `Expense updated: ${expense.title}`,
+      actor,
+      transaction
+    });
+    return this.postExpense(expense, { actor, transaction });
+  }
+
+  /**
+   * Reverse the live entry of a source document (e.g. a deleted expense)
+   * @returns {Promise<object|null>} The reversing entry
+   */
+  async reverseSource(sourceType, sourceId, { reason = null, actor = null, transaction = null } = {}) {
+    const entry = await this.findPosted(sourceType, sourceId, { transaction });
+    return entry ? this.reverseEntry(entry, { reason, actor, transaction }) : null;
+  }
+
+  /**
+   * Post the mirror image of an entry and mark it reversed
+   * @throws {AppError} 400 when the entry is already reversed or is itself a reversal
+   */
+  async reverseEntry(entry, { reason = null, actor = null, date = null, transaction = null } = {}) {
+    if (entry.status === 'reversed') {
+      throw new AppError('Journal entry is already reversed', 400);
+    }
+    if (entry.reversal_of_id) {
+      throw new AppError('A reversing entry cannot be reversed', 400);
+    }
+
+    const lines = entry.lines || await JournalLine.findAll({ where: { journal_entry_id: entry.id }, transaction });
+
+    const reversal = await this.postEntry({
+      date: date || new Date(),
+      branchId: entry.branch_id,
+      sourceType: entry.source_type,
+      sourceId: entry.source_id,
+      description: reason || `Reversal of ${entry.entry_number}`,
+      lines: lines.map(line => ({
+        account_id: line.account_id,
+        branch_id: line.branch_id,
+        debit: line.credit,
+        credit: line.debit,
+        description: line.description
+      })),
+      currency: lines[0]?.currency,
+      actor,
+      reversalOfId: entry.id,
+      transaction
+    });
+
+    await entry.update({ status: 'reversed' }, { transaction });
+    return reversal;
+  }
+
+  /**
+   * The live (posted, not a reversal) entry of a source document
+   */
+  async findPosted(sourceType, sourceId, { transaction = null } = {}) {
+    return JournalEntry.findOne({
+      where: { source_type: sourceType, source_id: sourceId, status: 'posted', reversal_of_id: null },
+      transaction
+    });
+  }
+
+  /**
+   * Post entries for documents recorded before the ledger existed (idempotent)
+   * @returns {Promise<object>} { payments, refunds, expenses }
+   */
+  async backfill({ actor = null } = {}) {
+    const results = { payments: 0, refunds: 0, expenses: 0 };
+
+    const payments = await Payment.findAll({
+      where: { status: { [Op.in]: [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.REFUNDED] } },
+      order: [['paid_at', 'ASC']]
+    });
+    for (const payment of payments) {
+      if (await sequelize.transaction(transaction => this.postPayment(payment, { transaction }))) results.payments++;
+    }
+
+    const refunds = await Refund.findAll({
+      where: { status: REFUND_STATUS.COMPLETED },
+      include: [{ association: 'payment' }],
+      order: [['refunded_at', 'ASC']]
+    });
+    for (const refund of refunds) {
+      if (await sequelize.transaction(transaction => this.postRefund(refund, refund.payment, { transaction }))) results.refunds++;
+    }
+
+    const expenses = await Expense.findAll({ order: [['expense_date', 'ASC']] });
+    for (const expense of expenses) {
+      if (await sequelize.transaction(transaction => this.postExpense(expense, { actor, transaction }))) results.expenses++;
+    }
+
+    return results;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  REPORTS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Debit / credit totals and balance per account
+   * @param {object} params
+   * @param {string} params.from - First entry date (optional: from the beginning)
+   * @param {string} params.to - Last entry date
+   * @param {string[]} params.branchIds - Cost centers (null = all)
+   * @param {string} params.currency - Reporting currency (default: the academy's)
+   */
+  async getTrialBalance({ from = null, to, branchIds = null, currency = null }) {
+    const converter = await exchangeRateService.createConverter(currency);
+    const round = (value) => roundToCurrency(value, converter.currency);
+    const rows = await this._sumLines({ from, to, branchIds, converter });
+    const accounts = await this._accountsFor(rows);
+
+    const lines = rows
+      .map(row => {
+        const account = accounts.get(row.account_id);
+        const net = round(row.debit - row.credit);
+        return {
+          account_id: account.id,
+          code: account.code,
+          name: account.name,
+          name_ar: account.name_ar,
+          type: account.type,
+          debit: row.debit,
+          credit: row.credit,
+          balance_debit: net > 0 ? net : 0,
+          balance_credit: net < 0 ? -net : 0
+        };
+      })
+      .sort((a, b) => a.code.localeCompare(b.code));
+
+    const totals = {
+      debit: round(lines.reduce((sum, line) => sum + line.balance_debit, 0)),
+      credit: round(lines.reduce((sum, line) => sum + line.balance_credit, 0))
+    };
+
+    return { from, to, currency: converter.currency, accounts: lines, totals, balanced: totals.debit === totals.credit };
+  }
+
+  /**
+   * Revenue and expenses for a period, per account and per cost center,
+   * with a reconciliation against payments, refunds and expenses
+   */
+  async getProfitAndLoss({ from, to, branchIds = null, currency = null }) {
+    const converter = await exchangeRateService.createConverter(currency);
+    const round = (value) => roundToCurrency(value, converter.currency);
+    const rows = await this._sumLines({ from, to, branchIds, byBranch: true, converter });
+    const accounts = await this._accountsFor(rows);
+
+    const revenue = new Map();
+    const expenses = new Map();
+    const costCenters = new Map();
+
+    for (const row of rows) {
+      const account = accounts.get(row.account_id);
+      if (!['revenue', 'expense'].includes(account.type)) continue;
+
+      const amount = account.type === 'revenue' ? round(row.credit - row.debit) : round(row.debit - row.credit);
+      const group = account.type === 'revenue' ? revenue : expenses;
+      const current = group.get(account.id) || { code: account.code, name: account.name, name_ar: account.name_ar, amount: 0 };
+      current.amount = round(current.amount + amount);
+      group.set(account.id, current);
+
+      const key = row.branch_id || null;
+      const center = costCenters.get(key) || { branch_id: key, revenue: 0, expenses: 0 };
+      center[account.type === 'revenue' ? 'revenue' : 'expenses'] = round(center[account.type === 'revenue' ? 'revenue' : 'expenses'] + amount);
+      costCenters.set(key, center);
+    }
+
+    const sortByCode = (map) => [...map.values()].sort((a, b) => a.code.localeCompare(b.code));
+    const totalRevenue = round([...revenue.values()].reduce((sum, account) => sum + account.amount, 0));
+    const totalExpenses = round([...expenses.values()].reduce((sum, account) => sum + account.amount, 0));
+
+    const branchNames = await this._branchNames([...costCenters.keys()].filter(Boolean));
+    const reconciliation = await this._reconcile({ from, to, branchIds, revenue: totalRevenue, expenses: totalExpenses, converter });
+
+    return {
+      period: { from, to },
+      currency: converter.currency,
+      revenue: { accounts: sortByCode(revenue), total: totalRevenue },
+      expenses: { accounts: sortByCode(expenses), total: totalExpenses },
+      net_income: round(totalRevenue - totalExpenses),
+      cost_centers: [...costCenters.values()].map(center => ({
+        ...center,
+        branch_name: center.branch_id ? branchNames.get(center.branch_id) || 'Unknown' : 'Head office',
+        net_income: round(center.revenue - center.expenses)
+      })),
+      reconciliation
+    };
+  }
+
+  /**
+   * Assets, liabilities and equity as of a date; revenue minus expenses to
+   * date is shown as current earnings under equity
+   */
+  async getBalanceSheet({ asOf, branchIds = null, currency = null }) {
+    const converter = await exchangeRateService.createConverter(currency);
+    const round = (value) => roundToCurrency(value, converter.currency);
+    const rows = await this._sumLines({ to: asOf, branchIds, converter });
+    const accounts = await this._accountsFor(rows);
+
+    const sections = { asset: [], liability: [], equity: [] };
+    let earnings = 0;
+
+    for (const row of rows) {
+      const account = accounts.get(row.account_id);
+      const debitBalance = round(row.debit - row.credit);
+
+      if (account.type === 'revenue' || account.type === 'expense') {
+        earnings -= debitBalance;
+      } else {
+        sections[account.type].push({
+          code: account.code,
+          name: account.name,
+          name_ar: account.name_ar,
+          amount: DEBIT_TYPES.includes(account.type) ? debitBalance : -debitBalance
+        });
+      }
+    }
+
+    sections.equity.push({ code: null, name: 'Current earnings', name_ar: 'الأرباح الحالية', amount: round(earnings) });
+
+    const total = (items) => round(items.reduce((sum, item) => sum + item.amount, 0));
+    const byCode = (a, b) => (a.code || '9999').localeCompare(b.code || '9999');
+    const totalAssets = total(sections.asset);
+    const totalLiabilities = total(sections.liability);
+    const totalEquity = total(sections.equity);
+
+    return {
+      as_of: asOf,
+      currency: converter.currency,
+      assets: { accounts: sections.asset.sort(byCode), total: totalAssets },
+      liabilities: { accounts: sections.liability.sort(byCode), total: totalLiabilities },
+      equity: { accounts: sections.equity.sort(byCode), total: totalEquity },
+      balanced: totalAssets === round(totalLiabilities + totalEquity)
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  // Code -> account for the lines' account codes, creating system accounts on first use
+  async _resolveAccounts(lines, transaction) {
+    const codes = [...new Set(lines.filter(line => !line.account_id).map(line => line.account))];
+    if (lines.some(line => !line.account_id && !line.account)) {
+      throw new AppError('Each line needs an account', 400);
+    }
+
+    const find = () => LedgerAccount.findAll({ where: { code: { [Op.in]: codes } }, transaction });
+    let accounts = codes.length ? await find() : [];
+    if (accounts.length < codes.length) {
+      await this.ensureChartOfAccounts({ transaction });
+      accounts = await find();
+    }
+
+    const byCode = new Map(accounts.map(account => [account.code, account]));
+    const unknown = codes.find(code => !byCode.get(code)?.is_active);
+    if (unknown) {
+      throw new AppError(`Unknown or inactive ledger account: ${unknown}`, 400);
+    }
+
+    const accountIds = lines.filter(line => line.account_id).map(line => line.account_id);
+    if (accountIds.length) {
+      const active = await LedgerAccount.count({ where: { id: { [Op.in]: accountIds } }, transaction });
+      if (active < new Set(accountIds).size) {
+        throw new AppError('Unknown ledger account', 400);
+      }
+    }
+
+    return byCode;
+  }
+
+  // Debit / credit sums per account (and cost center) for entries in the date range,
+  // converted to the reporting currency at each entry day's rate
+  async _sumLines({ from = null, to = null, branchIds = null, byBranch = false, converter }) {
+    const entryDate = {};
+    if (from) entryDate[Op.gte] = from;
+    if (to) entryDate[Op.lte] = to;
+    const entryDay = col('entry.entry_date');
+
+    const rows = await JournalLine.findAll({
+      where: branchIds ? { branch_id: { [Op.in]: branchIds } } : {},
+      attributes: [
+        'account_id',
+        ...(byBranch ? ['branch_id'] : []),
+        'currency',
+        [entryDay, 'day'],
+        [fn('SUM', col('JournalLine.debit')), 'debit'],
+        [fn('SUM', col('JournalLine.credit')), 'credit']
+      ],
+      include: [{
+        association: 'entry',
+        attributes: [],
+        where: Object.getOwnPropertySymbols(entryDate).length ? { entry_date: entryDate } : {}
+      }],
+      group: ['account_id', ...(byBranch ? ['JournalLine.branch_id'] : []), 'JournalLine.currency', entryDay],
+      raw: true
+    });
+
+    // Rounded once per account, so every converted entry still balances
+    const sums = new Map();
+    for (const row of rows) {
+      const key = `${row.account_id}:${row.branch_id || ''}`;
+      const sum = sums.get(key) || { account_id: row.account_id, branch_id: row.branch_id || null, debit: 0, credit: 0 };
+      const rate = converter.rate(row.currency, row.day);
+      sum.debit += (parseFloat(row.debit) || 0) * rate;
+      sum.credit += (parseFloat(row.credit) || 0) * rate;
+      sums.set(key, sum);
+    }
+
+    return [...sums.values()].map(sum => ({
+      ...sum,
+      debit: roundToCurrency(sum.debit, converter.currency),
+      credit: roundToCurrency(sum.credit, converter.currency)
+    }));
+  }
+
+  // Base currency of a cost center (head office uses the academy's)
+  async _branchCurrency(branchId, transaction) {
+    const branch = branchId ? await Branch.findByPk(branchId, { attributes: ['currency'], transaction }) : null;
+    return branch?.currency || CURRENCY.DEFAULT;
+  }
+
+  async _accountsFor(rows) {
+    const accounts = await LedgerAccount.findAll({
+      where: { id: { [Op.in]: [...new Set(rows.map(row => row.account_id))] } }
+    });
+    return new Map(accounts.map(account => [account.id, account]));
+  }
+
+  async _branchNames(branchIds) {
+    if (!branchIds.length) return new Map();
+    const branches = await Branch.findAll({ where: { id: { [Op.in]: branchIds } }, attributes: ['id', 'name'] });
+    return new Map(branches.map(branch => [branch.id, branch.name]));
+  }
+
+  /**
+   * Same figures straight from the documents: revenue excl. VAT of payments
+   * paid in the period (as the revenue report), less refunds made in it, and
+   * expenses - converted the same way as the ledger lines
+   */
+  async _reconcile({ from, to, branchIds, revenue, expenses, converter }) {
+    const range = { [Op.between]: [new Date(`${from}T00:00:00.000Z`), new Date(`${to}T23:59:59.999Z`)] };
+    const branchFilter = branchIds ? { branch_id: { [Op.in]: branchIds } } : {};
+    const paidDay = fn('DATE', col('Payment.paid_at'));
+    const refundDay = fn('DATE', col('Refund.refunded_at'));
+
+    const [paid, refunded, spent] = await Promise.all([
+      Payment.findAll({
+        where: { ...branchFilter, status: { [Op.in]: [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.REFUNDED] }, paid_at: range },
+        attributes: ['currency', [paidDay, 'day'], [fn('SUM', col('total_amount')), 'total'], [fn('SUM', col('tax_amount')), 'tax']],
+        group: ['currency', paidDay],
+        raw: true
+      }),
+      Refund.findAll({
+        where: { ...branchFilter, status: REFUND_STATUS.COMPLETED, refunded_at: range },
+        attributes: [[refundDay, 'day'], [fn('SUM', col('Refund.amount')), 'total'], [fn('SUM', col('Refund.tax_amount')), 'tax']],
+        include: [{ association: 'payment', attributes: ['currency'] }],
+        group: ['payment.currency', refundDay],
+        raw: true
+      }),
+      Expense.findAll({
+        where: { ...branchFilter, expense_date: { [Op.between]: [from, to] } },
+        attributes: ['currency', ['expense_date', 'day'], [fn('SUM', col('amount')), 'total']],
+        group: ['currency', 'expense_date'],
+        raw: true
+      })
+    ]);
+
+    const round = (value) => roundToCurrency(value, converter.currency);
+    const netOf = (rows, currencyKey = 'currency') => round(rows.reduce((sum, row) => (
+      sum + ((parseFloat(row.total) || 0) - (parseFloat(row.tax) || 0)) * converter.rate(row[currencyKey], row.day)
+    ), 0));
+
+    const documents = {
+      payments_net: netOf(paid),
+      refunds_net: netOf(refunded, 'payment.currency'),
+      expenses: netOf(spent)
+    };
+    const difference = {
+      revenue: round(revenue - (documents.payments_net - documents.refunds_net)),
+      expenses: round(expenses - documents.expenses)
+    };
+
+    return {
+      documents,
+      difference,
+      reconciled: difference.revenue === 0 && difference.expenses === 0
+    };
+  }
+}
+
+module.exports = new LedgerService();
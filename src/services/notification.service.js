@@ -1,6 +1,7 @@
 const { Notification, User } = require('../models');
 const { Op } = require('sequelize');
-const { ROLES } = require('../config/constants');
+const { ROLES, CURRENCY } = require('../config/constants');
+const { arabicCurrency } = require('../utils/currency');
 
 /**
  * Notification Service
@@ -134,16 +135,41 @@ class NotificationService {
 
   /**
    * Payment received notification
+   * @param {object} options
+   * @param {string} options.invoiceUrl - PDF invoice link to attach (optional)
+   * @param {boolean} options.notifyAdmins - Notify super admins (default: true)
+   * @param {boolean} options.notifyPayer - Send the payer a receipt notification (default: false)
    */
-  static async notifyPaymentReceived(payment, player, amount) {
-    return this.notifySuperAdmins({
-      type: 'payment_received',
-      title: `Payment Received: ${amount} SAR`,
-      titleAr: `تم استلام دفعة: ${amount} ريال`,
-      message: `Payment from ${player?.first_name || 'Unknown'} ${player?.last_name || ''}`,
-      messageAr: `دفعة من ${player?.first_name_ar || player?.first_name || 'غير معروف'}`,
-      data: { payment_id: payment.id, player_id: player?.id, amount }
-    });
+  static async notifyPaymentReceived(payment, player, amount, { invoiceUrl = null, notifyAdmins = true, notifyPayer = false } = {}) {
+    const currency = payment.currency || CURRENCY.DEFAULT;
+    const data = {
+      payment_id: payment.id,
+      player_id: player?.id,
+      amount,
+      ...(invoiceUrl && { invoice_url: invoiceUrl })
+    };
+
+    const results = await Promise.all([
+      notifyAdmins ? this.notifySuperAdmins({
+        type: 'payment_received',
+        title: `Payment Received: ${amount} ${currency}`,
+        titleAr: `تم استلام دفعة: ${amount} ${arabicCurrency(currency)}`,
+        message: `Payment from ${player?.first_name || 'Unknown'} ${player?.last_name || ''}`,
+        messageAr: `دفعة من ${player?.first_name_ar || player?.first_name || 'غير معروف'}`,
+        data
+      }) : Promise.resolve([]),
+      notifyPayer && payment.user_id ? this.create({
+        userId: payment.user_id,
+        type: 'payment_received',
+        title: `Payment Confirmed: ${amount} ${currency}`,
+        titleAr: `تم تأكيد الدفع: ${amount} ${arabicCurrency(currency)}`,
+        message: `Your payment ${payment.invoice_number || ''} has been received${invoiceUrl ? '. Your invoice is ready to download.' : '.'}`,
+        messageAr: `تم استلام دفعتك ${payment.invoice_number || ''}${invoiceUrl ? '. فاتورتك جاهزة للتحميل.' : '.'}`,
+        data
+      }) : Promise.resolve(null)
+    ]);
+
+    return results.flat().filter(Boolean);
   }
 
   /**
@@ -160,6 +186,149 @@ class NotificationService {
     });
   }
 
+  /**
+   * Installment overdue and subscription suspended - notifies the payer
+   */
+  static async notifyInstallmentOverdue(userId, { subscription, player, payment }) {
+    const amount = parseFloat(payment?.total_amount) || 0;
+    const currency = payment?.currency || CURRENCY.DEFAULT;
+
+    return this.create({
+      userId,
+      type: 'payment_overdue',
+      title: `Installment Overdue: ${player?.first_name || ''} ${player?.last_name || ''}`.trim(),
+      titleAr: `قسط متأخر: ${player?.first_name_ar || player?.first_name || ''}`.trim(),
+      message: `Installment ${payment?.installment_number || ''} of ${amount} ${currency} was due on ${payment?.due_date}. The subscription is suspended until it is paid.`,
+      messageAr: `القسط ${payment?.installment_number || ''} بقيمة ${amount} ${arabicCurrency(currency)} كان مستحقاً في ${payment?.due_date}. تم إيقاف الاشتراك حتى يتم السداد.`,
+      data: {
+        subscription_id: subscription.id,
+        payment_id: payment?.id,
+        player_id: player?.id,
+        amount,
+        due_date: payment?.due_date
+      }
+    });
+  }
+
+  /**
+   * Auto-renewal charged successfully - notifies the card owner
+   */
+  static async notifySubscriptionRenewed(userId, { subscription, player, payment }) {
+    const amount = payment.total_amount || payment.amount || 0;
+    const currency = payment.currency || CURRENCY.DEFAULT;
+    return this.create({
+      userId,
+      type: 'subscription_renewed',
+      title: `Subscription Renewed: ${player?.first_name || ''} ${player?.last_name || ''}`.trim(),
+      titleAr: `تم تجديد الاشتراك: ${player?.first_name_ar || player?.first_name || ''}`.trim(),
+      message: `${amount} ${currency} was charged to your saved card. The new subscription runs from ${subscription.start_date} to ${subscription.end_date}.`,
+      messageAr: `تم خصم ${amount} ${arabicCurrency(currency)} من بطاقتك المحفوظة. يبدأ الاشتراك الجديد من ${subscription.start_date} حتى ${subscription.end_date}.`,
+      data: {
+        subscription_id: subscription.id,
+        renewed_from_id: subscription.renewed_from_id,
+        payment_id: payment.id,
+        player_id: player?.id,
+        amount
+      }
+    });
+  }
+
+  /**
+   * Auto-renewal charge failed - notifies the card owner
+   * @param {object} options
+   * @param {Date} options.nextAttemptAt - When the charge is retried (null = auto-renew switched off)
+   */
+  static async notifyAutoRenewFailed(userId, { subscription, player, reason, nextAttemptAt = null }) {
+    const playerName = `${player?.first_name || ''} ${player?.last_name || ''}`.trim();
+    const retryDate = nextAttemptAt ? new Date(nextAttemptAt).toISOString().split('T')[0] : null;
+
+    return this.create({
+      userId,
+      type: 'payment_failed',
+      title: `Auto-renewal failed: ${playerName}`,
+      titleAr: `فشل التجديد التلقائي: ${player?.first_name_ar || player?.first_name || ''}`.trim(),
+      message: retryDate
+        ? `We could not charge your saved card (${reason}). We will try again on ${retryDate}.`
+        : `We could not charge your saved card (${reason}). Auto-renewal has been turned off - please renew manually before ${subscription.end_date}.`,
+      messageAr: retryDate
+        ? `تعذر الخصم من بطاقتك المحفوظة. سنحاول مرة أخرى في ${retryDate}.`
+        : `تعذر الخصم من بطاقتك المحفوظة وتم إيقاف التجديد التلقائي. يرجى التجديد يدوياً قبل ${subscription.end_date}.`,
+      data: {
+        subscription_id: subscription.id,
+        player_id: player?.id,
+        reason,
+        next_attempt_at: nextAttemptAt
+      }
+    });
+  }
+
+  /**
+   * Refund issued - notifies the payer
+   */
+  static async notifyRefundIssued(userId, { payment, refund, player }) {
+    const amount = parseFloat(refund.amount) || 0;
+    const currency = payment.currency || CURRENCY.DEFAULT;
+    const playerName = `${player?.first_name || ''} ${player?.last_name || ''}`.trim();
+
+    return this.create({
+      userId,
+      type: 'payment_refunded',
+      title: `Refund Issued: ${amount} ${currency}`,
+      titleAr: `تم إصدار استرداد: ${amount} ${arabicCurrency(currency)}`,
+      message: `${amount} ${currency} of payment ${payment.invoice_number || ''} has been refunded${playerName ? ` (${playerName})` : ''}. Reason: ${refund.reason}`,
+      messageAr: `تم استرداد ${amount} ${arabicCurrency(currency)} من الدفعة ${payment.invoice_number || ''}.`,
+      data: {
+        payment_id: payment.id,
+        refund_id: refund.id,
+        player_id: player?.id,
+        amount,
+        subscription_action: refund.subscription_action
+      }
+    });
+  }
+
+  /**
+   * Waitlist spot offered - notifies the parent, who has until expiresAt to accept
+   */
+  static async notifyWaitlistSpotAvailable(userId, { entry, program, player, expiresAt }) {
+    const playerName = `${player?.first_name || ''} ${player?.last_name || ''}`.trim();
+    const deadline = new Date(expiresAt).toISOString().replace('T', ' ').slice(0, 16);
+
+    return this.create({
+      userId,
+      type: 'waitlist_spot_available',
+      title: 'Spot Available!',
+      titleAr: 'مقعد متاح!',
+      message: `A spot has opened up in ${program.name}${playerName ? ` for ${playerName}` : ''}! Please accept or decline before ${deadline}.`,
+      messageAr: `أصبح هناك مقعد متاح في ${program.name_ar || program.name}! يرجى القبول أو الاعتذار قبل ${deadline}.`,
+      data: {
+        program_id: program.id,
+        player_id: entry.player_id,
+        waitlist_id: entry.id,
+        expires_at: expiresAt
+      }
+    });
+  }
+
+  /**
+   * Waitlist offer lapsed - notifies the parent that the spot moved on
+   */
+  static async notifyWaitlistOfferExpired(userId, { entry, program }) {
+    return this.create({
+      userId,
+      type: 'waitlist_update',
+      title: `Waitlist offer expired: ${program.name}`,
+      titleAr: `انتهت صلاحية عرض قائمة الانتظار: ${program.name_ar || program.name}`,
+      message: `The spot offered in ${program.name} was not accepted in time and has been offered to the next family. You can join the waitlist again.`,
+      messageAr: `لم يتم قبول المقعد المعروض في ${program.name_ar || program.name} في الوقت المحدد وتم عرضه على العائلة التالية.`,
+      data: {
+        program_id: program.id,
+        player_id: entry.player_id,
+        waitlist_id: entry.id
+      }
+    });
+  }
+
   /**
    * Subscription expiring soon notification
    */
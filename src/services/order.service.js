@@ -0,0 +1,425 @@
+/**
+ * Order Service - store checkout and order lifecycle
+ *
+ * An order is paid through a Payment of type 'product' created here and sent
+ * to the configured gateway (paymentService.createPayment). The payment
+ * carries metadata.order_id; payment completion / refund / failure paths call
+ * syncWithPayment() so the order follows its payment:
+ *
+ *   pending ──paid──> paid ──> ready_for_pickup ──> delivered
+ *      │                 │             │
+ *      └─> cancelled     └─────────────┴──> refunded (stock returned)
+ *
+ * Stock is deducted when the order is paid, not at checkout.
+ */
+
+const { sequelize, Order, OrderItem, Product, ProductVariant, Player, Branch, Payment } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { ROLES, PAYMENT_STATUS, ORDER_STATUS } = require('../config/constants');
+const paymentService = require('./payment.service');
+const taxService = require('./tax.service');
+const { toMinorUnits } = require('../utils/currency');
+const inventoryService = require('./inventory.service');
+const NotificationService = require('./notification.service');
+
+// Staff-driven fulfilment transitions
+const FULFILMENT_TRANSITIONS = {
+  [ORDER_STATUS.PAID]: [ORDER_STATUS.READY_FOR_PICKUP, ORDER_STATUS.DELIVERED],
+  [ORDER_STATUS.READY_FOR_PICKUP]: [ORDER_STATUS.DELIVERED]
+};
+
+// Product category -> Player size field used when no size is chosen
+const PLAYER_SIZE_FIELDS = {
+  jersey: 'jersey_size',
+  shoes: 'shoe_size'
+};
+
+class OrderService {
+  // ═══════════════════════════════════════════════════════════════
+  //  CHECKOUT
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Create an order from cart items and start the gateway payment
+   * @param {object} params
+   * @param {object} params.user - Buyer (req.user)
+   * @param {string} params.branchId - Pickup branch (defaults to the first player's branch)
+   * @param {Array} params.items - [{ product_id, variant_id?, size?, player_id?, quantity }]
+   * @param {string} params.notes - Buyer notes (optional)
+   * @returns {Promise<object>} { order, payment, gatewayPayment }
+   */
+  async checkout({ user, branchId = null, items, notes = null }) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new AppError('Cart is empty', 400);
+    }
+
+    const lines = [];
+    for (const item of items) {
+      lines.push(await this._resolveLine(item, user));
+    }
+
+    const pickupBranchId = branchId || lines.find((line) => line.player)?.player.branch_id || user.branch_id;
+    const branch = pickupBranchId ? await Branch.findByPk(pickupBranchId) : null;
+    if (!branch) {
+      throw new AppError('Pickup branch is required', 400);
+    }
+
+    for (const line of lines) {
+      if (!line.product.isAvailableAt(branch.id)) {
+        throw new AppError(`${line.product.name} is not available at ${branch.name}`, 400);
+      }
+    }
+    this._assertStock(lines);
+
+    const grossSubtotal = taxService.round(lines.reduce((sum, line) => sum + line.total_price, 0));
+    const amounts = await taxService.calculateForPayment({
+      branch,
+      type: 'product',
+      price: grossSubtotal
+    });
+    const netRatio = grossSubtotal > 0 ? amounts.amount / grossSubtotal : 1;
+
+    const { order, payment } = await sequelize.transaction(async (transaction) => {
+      const createdOrder = await Order.create({
+        user_id: user.id,
+        branch_id: branch.id,
+        status: ORDER_STATUS.PENDING,
+        subtotal: amounts.amount,
+        tax_amount: amounts.tax_amount,
+        total_amount: amounts.total_amount,
+        notes
+      }, { transaction });
+
+      await OrderItem.bulkCreate(lines.map((line) => ({
+        order_id: createdOrder.id,
+        product_id: line.product.id,
+        variant_id: line.variant.id,
+        player_id: line.player?.id || null,
+        product_name: line.product.name,
+        product_name_ar: line.product.name_ar,
+        sku: line.variant.sku,
+        size: line.variant.size,
+        quantity: line.quantity,
+        unit_price: line.unit_price,
+        total_price: line.total_price
+      })), { transaction });
+
+      const createdPayment = await Payment.create({
+        user_id: user.id,
+        player_id: lines.find((line) => line.player)?.player.id || null,
+        branch_id: branch.id,
+        type: 'product',
+        description: `Store order ${createdOrder.order_number}`,
+        amount: amounts.amount,
+        tax_amount: amounts.tax_amount,
+        tax_rate: amounts.tax_rate,
+        discount_amount: amounts.discount_amount,
+        total_amount: amounts.total_amount,
+        payment_method: 'online',
+        status: PAYMENT_STATUS.PENDING,
+        metadata: {
+          order_id: createdOrder.id,
+          gateway_provider: paymentService.provider,
+          prices_include_tax: amounts.prices_include_tax,
+          // Net unit prices for the invoice line table
+          items: lines.map((line) => ({
+            description: `${line.product.name}${line.variant.size ? ` (${line.variant.size})` : ''}`,
+            description_ar: line.product.name_ar,
+            quantity: line.quantity,
+            unit_price: taxService.round(line.unit_price * netRatio)
+          }))
+        }
+      }, { transaction });
+
+      await createdOrder.update({ payment_id: createdPayment.id }, { transaction });
+
+      return { order: createdOrder, payment: createdPayment };
+    });
+
+    try {
+      const gatewayPayment = await paymentService.createPayment({
+        amount: toMinorUnits(payment.total_amount, payment.currency), // In halalas / fils
+        currency: payment.currency,
+        description: payment.description,
+        metadata: {
+          payment_id: payment.id,
+          order_id: order.id,
+          user_id: user.id
+        },
+        callbackUrl: `${process.env.PAYMENT_CALLBACK_URL}?payment_id=${payment.id}`
+      });
+
+      await payment.update({
+        transaction_id: gatewayPayment.id,
+        metadata: {
+          ...payment.metadata,
+          gateway_payment_id: gatewayPayment.id
+        }
+      });
+
+      return { order, payment, gatewayPayment };
+    } catch (gatewayError) {
+      await payment.update({
+        status: PAYMENT_STATUS.FAILED,
+        notes: `Gateway error: ${gatewayError.message}`
+      });
+      await order.update({
+        status: ORDER_STATUS.CANCELLED,
+        cancelled_at: new Date(),
+        cancellation_reason: 'Payment could not be initiated'
+      });
+
+      throw new AppError(`Payment gateway error: ${gatewayError.message}`, 500);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  PAYMENT SYNC
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Move the order of a payment to match the payment status
+   * @param {object} payment - Payment instance (metadata.order_id links the order)
+   * @returns {Promise<object|null>} Order, or null if the payment has no order
+   */
+  async syncWithPayment(payment) {
+    const orderId = payment?.metadata?.order_id;
+    if (!orderId) return null;
+
+    switch (payment.status) {
+      case PAYMENT_STATUS.COMPLETED:
+        return this.markPaid(orderId, payment);
+      case PAYMENT_STATUS.REFUNDED:
+        return this.markRefunded(orderId);
+      case PAYMENT_STATUS.FAILED:
+      case PAYMENT_STATUS.CANCELLED: {
+        const order = await Order.findByPk(orderId);
+        if (!order || order.status !== ORDER_STATUS.PENDING) return order;
+        return this.cancel(orderId, { reason: `Payment ${payment.status}` });
+      }
+      default:
+        return Order.findByPk(orderId);
+    }
+  }
+
+  /**
+   * Mark a pending order as paid and deduct stock. Idempotent.
+   */
+  async markPaid(orderId, payment) {
+    const paidAt = payment?.paid_at || new Date();
+
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const order = await Order.findByPk(orderId, { lock: transaction.LOCK.UPDATE, transaction });
+        if (!order || order.status !== ORDER_STATUS.PENDING) return order;
+
+        const items = await OrderItem.findAll({ where: { order_id: order.id }, transaction });
+        for (const item of items) {
+          await inventoryService.adjustStock(item.variant_id, -item.quantity, { transaction });
+        }
+
+        return order.update({
+          status: ORDER_STATUS.PAID,
+          paid_at: paidAt,
+          stock_deducted: true
+        }, { transaction });
+      });
+    } catch (stockErr) {
+      if (!(stockErr instanceof AppError)) throw stockErr;
+
+      // The customer has paid - never leave the order pending because stock ran out
+      const order = await Order.findByPk(orderId);
+      if (!order || order.status !== ORDER_STATUS.PENDING) return order;
+
+      await order.update({
+        status: ORDER_STATUS.PAID,
+        paid_at: paidAt,
+        stock_deducted: false,
+        notes: `${order.notes || ''}\nStock not deducted: ${stockErr.message}`.trim()
+      });
+      await NotificationService.notifySystemAlert(
+        `Order ${order.order_number} paid without stock`,
+        stockErr.message,
+        { order_id: order.id }
+      );
+      return order;
+    }
+  }
+
+  /**
+   * Mark an order refunded and return deducted stock that is still at the branch
+   */
+  async markRefunded(orderId) {
+    return sequelize.transaction(async (transaction) => {
+      const order = await Order.findByPk(orderId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!order || [ORDER_STATUS.REFUNDED, ORDER_STATUS.CANCELLED].includes(order.status)) return order;
+
+      // Delivered goods are with the customer; restock them manually when returned
+      const restock = order.stock_deducted && order.status !== ORDER_STATUS.DELIVERED;
+      if (restock) {
+        const items = await OrderItem.findAll({ where: { order_id: order.id }, transaction });
+        for (const item of items) {
+          await inventoryService.adjustStock(item.variant_id, item.quantity, { transaction });
+        }
+      }
+
+      return order.update({
+        status: ORDER_STATUS.REFUNDED,
+        stock_deducted: restock ? false : order.stock_deducted
+      }, { transaction });
+    });
+  }
+
+  /**
+   * Cancel a pending order (and its pending payment)
+   */
+  async cancel(orderId, { reason = null, actor = null } = {}) {
+    const order = await Order.findByPk(orderId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+    if (order.status === ORDER_STATUS.CANCELLED) return order;
+    if (order.status !== ORDER_STATUS.PENDING) {
+      throw new AppError('Only pending orders can be cancelled. Refund the payment instead.', 400);
+    }
+
+    await order.update({
+      status: ORDER_STATUS.CANCELLED,
+      cancelled_at: new Date(),
+      cancellation_reason: reason,
+      handled_by: actor?.id || order.handled_by
+    });
+
+    if (order.payment_id) {
+      await Payment.update(
+        { status: PAYMENT_STATUS.CANCELLED },
+        { where: { id: order.payment_id, status: PAYMENT_STATUS.PENDING } }
+      );
+    }
+
+    return order;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  FULFILMENT
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Advance a paid order (ready for pickup / delivered)
+   * @param {object} order - Order instance
+   * @param {string} status - Target status
+   * @param {object} actor - Staff user
+   * @returns {Promise<object>} Updated order
+   */
+  async updateFulfilment(order, status, actor) {
+    const allowed = FULFILMENT_TRANSITIONS[order.status] || [];
+    if (!allowed.includes(status)) {
+      throw new AppError(`Cannot change order from ${order.status} to ${status}`, 400);
+    }
+
+    const updates = { status, handled_by: actor.id };
+    if (status === ORDER_STATUS.READY_FOR_PICKUP) updates.ready_at = new Date();
+    if (status === ORDER_STATUS.DELIVERED) updates.delivered_at = new Date();
+
+    await order.update(updates);
+
+    if (status === ORDER_STATUS.READY_FOR_PICKUP) {
+      const branch = await Branch.findByPk(order.branch_id, { attributes: ['id', 'name', 'name_ar'] });
+      await NotificationService.create({
+        userId: order.user_id,
+        type: 'general',
+        title: `Order ${order.order_number} is ready for pickup`,
+        titleAr: `الطلب ${order.order_number} جاهز للاستلام`,
+        message: `You can collect your order at ${branch?.name || 'the academy'}`,
+        messageAr: `يمكنك استلام طلبك من ${branch?.name_ar || branch?.name || 'الأكاديمية'}`,
+        data: { order_id: order.id }
+      });
+    }
+
+    return order;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  async _resolveLine(item, user) {
+    const quantity = parseInt(item.quantity, 10) || 1;
+    if (quantity < 1) {
+      throw new AppError('Quantity must be at least 1', 400);
+    }
+
+    const product = await Product.findByPk(item.product_id, {
+      include: [{ model: ProductVariant, as: 'variants', where: { is_active: true }, required: false }]
+    });
+    if (!product || !product.is_active) {
+      throw new AppError('Product not found', 404);
+    }
+
+    let player = null;
+    if (item.player_id) {
+      player = await Player.findByPk(item.player_id);
+      if (!player) {
+        throw new AppError('Player not found', 404);
+      }
+      if (user.role === ROLES.PARENT && player.parent_id !== user.id && player.self_user_id !== user.id) {
+        throw new AppError('Not authorized to order for this player', 403);
+      }
+    }
+
+    const variant = this._pickVariant(product, item, player);
+
+    const unitPrice = taxService.round(variant.price !== null ? variant.price : product.price);
+    return {
+      product,
+      variant,
+      player,
+      quantity,
+      unit_price: unitPrice,
+      total_price: taxService.round(unitPrice * quantity)
+    };
+  }
+
+  // Explicit variant > explicit size > the player's size > the only variant
+  _pickVariant(product, item, player) {
+    const variants = product.variants || [];
+
+    if (item.variant_id) {
+      const variant = variants.find((v) => v.id === item.variant_id);
+      if (!variant) throw new AppError(`Selected option of ${product.name} is not available`, 400);
+      return variant;
+    }
+
+    const sizeField = PLAYER_SIZE_FIELDS[product.category];
+    const size = item.size || (sizeField && player ? player[sizeField] : null);
+    if (size) {
+      const variant = variants.find((v) => String(v.size || '').toUpperCase() === String(size).toUpperCase());
+      if (!variant) throw new AppError(`Size ${size} of ${product.name} is not available`, 400);
+      return variant;
+    }
+
+    if (variants.length === 1) return variants[0];
+    if (variants.length === 0) throw new AppError(`${product.name} is not available`, 400);
+    throw new AppError(`Please select a size for ${product.name}`, 400);
+  }
+
+  _assertStock(lines) {
+    const required = new Map();
+    for (const line of lines) {
+      const current = required.get(line.variant.id) || { variant: line.variant, product: line.product, quantity: 0 };
+      current.quantity += line.quantity;
+      required.set(line.variant.id, current);
+    }
+
+    for (const { variant, product, quantity } of required.values()) {
+      if (variant.stock_quantity < quantity) {
+        throw new AppError(
+          `Only ${variant.stock_quantity} left of ${product.name}${variant.size ? ` (${variant.size})` : ''}`,
+          400
+        );
+      }
+    }
+  }
+}
+
+module.exports = new OrderService();
@@ -7,12 +7,14 @@
  *   - mock    : Local development (no real payments)
  * 
  * Supports: Mada, STC Pay, Apple Pay, Visa/Mastercard
+ * Saved cards (tokenized) can be charged later for subscription auto-renewal.
  * 
  * Configuration via .env:
  *   PAYMENT_PROVIDER=moyasar|tap|mock
  */
 
 const axios = require('axios');
+const { toMinorUnits, fromMinorUnits } = require('../utils/currency');
 
 class PaymentService {
   constructor() {
@@ -42,7 +44,7 @@ class PaymentService {
   /**
    * Create a payment session/charge
    * @param {object} options Payment options
-   * @param {number} options.amount - Amount in smallest currency unit (halalas for SAR)
+   * @param {number} options.amount - Amount in the currency's minor unit (halalas for SAR, fils for KWD - see utils/currency)
    * @param {string} options.currency - Currency code (default: SAR)
    * @param {string} options.description - Payment description
    * @param {object} options.metadata - Additional metadata (subscription_id, player_id, etc.)
@@ -90,17 +92,18 @@ class PaymentService {
   /**
    * Process refund
    * @param {string} paymentId - Original payment ID
-   * @param {number} amount - Amount to refund (optional, full refund if not specified)
+   * @param {number} amount - Amount to refund in minor units (optional, full refund if not specified)
+   * @param {string} currency - Currency of the payment (default: SAR)
    * @returns {Promise<object>} Refund result
    */
-  async refund(paymentId, amount = null) {
-    console.log(`[Payment:${this.provider}] Refunding payment: ${paymentId}, amount: ${amount || 'full'}`);
+  async refund(paymentId, amount = null, currency = 'SAR') {
+    console.log(`[Payment:${this.provider}] Refunding payment: ${paymentId}, amount: ${amount || 'full'} ${currency}`);
 
     switch (this.provider) {
       case 'moyasar':
         return this._refundMoyasar(paymentId, amount);
       case 'tap':
-        return this._refundTap(paymentId, amount);
+        return this._refundTap(paymentId, amount, currency);
       case 'mock':
         return this._refundMock(paymentId, amount);
       default:
@@ -108,6 +111,100 @@ class PaymentService {
     }
   }
 
+  /**
+   * Save a card for recurring charges
+   * The card form tokenizes the card in the browser with the publishable key;
+   * only the resulting token reaches the backend.
+   * @param {object} options
+   * @param {string} options.token - Card token from the provider's frontend form
+   * @param {object} options.customer - Card owner (first_name, last_name, email, phone)
+   * @returns {Promise<object>} Reusable card reference ({ token, customerId, brand, lastFour, expiryMonth, expiryYear })
+   */
+  async saveCard({ token, customer = {} }) {
+    console.log(`[Payment:${this.provider}] Saving card for recurring charges`);
+
+    switch (this.provider) {
+      case 'moyasar':
+        return this._saveMoyasarCard({ token });
+      case 'tap':
+        return this._saveTapCard({ token, customer });
+      case 'mock':
+        return this._saveMockCard({ token });
+      default:
+        throw new Error(`Unknown payment provider: ${this.provider}`);
+    }
+  }
+
+  /**
+   * Charge a saved card without the customer present (merchant-initiated)
+   * @param {object} options
+   * @param {object} options.card - Saved card ({ token, customerId })
+   * @param {number} options.amount - Amount in the currency's minor unit (halalas for SAR, fils for KWD - see utils/currency)
+   * @param {string} options.currency - Currency code (default: SAR)
+   * @param {string} options.description - Payment description
+   * @param {object} options.metadata - Additional metadata
+   * @param {string} options.idempotencyKey - UUID of our Payment; the gateway charges it at most once
+   * @returns {Promise<object>} Normalized payment (status completed / failed / ...)
+   */
+  async chargeSavedCard(options) {
+    const { card, amount, currency = 'SAR', description, metadata = {}, idempotencyKey = null } = options;
+
+    console.log(`[Payment:${this.provider}] Charging saved card: ${amount} ${currency} - ${description}`);
+
+    switch (this.provider) {
+      case 'moyasar':
+        return this._chargeMoyasarCard({ card, amount, currency, description, metadata, idempotencyKey });
+      case 'tap':
+        return this._chargeTapCard({ card, amount, currency, description, metadata, idempotencyKey });
+      case 'mock':
+        return this._chargeMockCard({ card, amount, currency, description, metadata, idempotencyKey });
+      default:
+        throw new Error(`Unknown payment provider: ${this.provider}`);
+    }
+  }
+
+  /**
+   * Look up a saved-card charge by the idempotency key it was sent with,
+   * e.g. after the charge request failed without an answer
+   * @param {string} idempotencyKey - Key passed to chargeSavedCard
+   * @returns {Promise<object|null>} Normalized payment, or null if the gateway has no such charge
+   */
+  async findCharge(idempotencyKey) {
+    console.log(`[Payment:${this.provider}] Looking up charge: ${idempotencyKey}`);
+
+    switch (this.provider) {
+      case 'moyasar':
+        return this._findMoyasarCharge(idempotencyKey);
+      case 'tap':
+        // Tap answers a repeated reference.idempotent with the original
+        // charge, so charging again with the same key is the lookup
+        return null;
+      case 'mock':
+        return this._findMockCharge(idempotencyKey);
+      default:
+        throw new Error(`Unknown payment provider: ${this.provider}`);
+    }
+  }
+
+  /**
+   * Delete a saved card at the provider
+   * @param {object} card - Saved card ({ token, customerId })
+   */
+  async deleteSavedCard(card) {
+    console.log(`[Payment:${this.provider}] Deleting saved card`);
+
+    switch (this.provider) {
+      case 'moyasar':
+        return this._deleteMoyasarCard(card);
+      case 'tap':
+        return this._deleteTapCard(card);
+      case 'mock':
+        return this._deleteMockCard(card);
+      default:
+        throw new Error(`Unknown payment provider: ${this.provider}`);
+    }
+  }
+
   /**
    * Verify webhook signature
    * @param {object} payload - Webhook payload
@@ -220,6 +317,15 @@ class PaymentService {
     }
   }
 
+  async _findMoyasarCharge(givenId) {
+    try {
+      return await this._getMoyasarPayment(givenId);
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
   async _refundMoyasar(paymentId, amount) {
     const config = this.config.moyasar;
 
@@ -249,6 +355,100 @@ class PaymentService {
     }
   }
 
+  async _saveMoyasarCard({ token }) {
+    const config = this.config.moyasar;
+
+    try {
+      // Tokens created with save_only=true are reusable for later charges
+      const response = await axios.get(
+        `${config.baseUrl}/tokens/${token}`,
+        {
+          auth: {
+            username: config.secretKey,
+            password: '',
+          },
+        }
+      );
+
+      const data = response.data;
+      if (data.status && data.status !== 'active') {
+        throw new Error(`Card token is ${data.status}`);
+      }
+
+      return {
+        token: data.id,
+        customerId: null,
+        brand: data.brand,
+        lastFour: data.last_four,
+        expiryMonth: parseInt(data.month, 10) || null,
+        expiryYear: parseInt(data.year, 10) || null,
+        holderName: data.name || null,
+        provider: 'moyasar',
+      };
+    } catch (error) {
+      console.error('[Payment:moyasar] Save card error:', error.response?.data || error.message);
+      throw this._handleMoyasarError(error);
+    }
+  }
+
+  async _chargeMoyasarCard({ card, amount, currency, description, metadata, idempotencyKey }) {
+    const config = this.config.moyasar;
+
+    try {
+      const response = await axios.post(
+        `${config.baseUrl}/payments`,
+        {
+          given_id: idempotencyKey || undefined, // Becomes the payment ID; Moyasar refuses a second payment with it
+          amount: amount,
+          currency: currency,
+          description: description,
+          callback_url: config.callbackUrl,
+          metadata: metadata,
+          source: {
+            type: 'token',
+            token: card.token,
+            '3ds': false,
+            manual: false,
+          },
+        },
+        {
+          auth: {
+            username: config.secretKey,
+            password: '',
+          },
+          headers: {
+            'Content-Type': 'application/json',
+          },
+        }
+      );
+
+      return this._normalizeMoyasarPayment(response.data);
+    } catch (error) {
+      console.error('[Payment:moyasar] Charge saved card error:', error.response?.data || error.message);
+      throw this._handleMoyasarError(error);
+    }
+  }
+
+  async _deleteMoyasarCard(card) {
+    const config = this.config.moyasar;
+
+    try {
+      await axios.delete(
+        `${config.baseUrl}/tokens/${card.token}`,
+        {
+          auth: {
+            username: config.secretKey,
+            password: '',
+          },
+        }
+      );
+      return { success: true, provider: 'moyasar' };
+    } catch (error) {
+      console.error('[Payment:moyasar] Delete card error:', error.response?.data || error.message);
+      throw this._handleMoyasarError(error);
+    }
+  }
+
   _normalizeMoyasarPayment(data) {
     return {
       id: data.id,
@@ -315,7 +515,7 @@ class PaymentService {
       const response = await axios.post(
         `${config.baseUrl}/charges`,
         {
-          amount: amount / 100, // Tap uses major currency units (SAR, not halalas)
+          amount: fromMinorUnits(amount, currency), // Tap uses major currency units (SAR, not halalas)
           currency: currency,
           description: description,
           metadata: metadata,
@@ -365,7 +565,7 @@ class PaymentService {
     }
   }
 
-  async _refundTap(paymentId, amount) {
+  async _refundTap(paymentId, amount, currency) {
     const config = this.config.tap;
 
     try {
@@ -374,7 +574,7 @@ class PaymentService {
         reason: 'requested_by_customer',
       };
       if (amount) {
-        payload.amount = amount / 100; // Convert to major units
+        payload.amount = fromMinorUnits(amount, currency); // Convert to major units
       }
 
       const response = await axios.post(
@@ -391,7 +591,7 @@ class PaymentService {
       return {
         success: true,
         refundId: response.data.id,
-        amount: response.data.amount * 100, // Convert back to halalas
+        amount: toMinorUnits(response.data.amount, response.data.currency || currency), // Convert back to minor units
         status: response.data.status,
         provider: 'tap',
       };
@@ -401,11 +601,125 @@ class PaymentService {
     }
   }
 
+  async _saveTapCard({ token, customer }) {
+    const config = this.config.tap;
+    const headers = {
+      Authorization: `Bearer ${config.secretKey}`,
+      'Content-Type': 'application/json',
+    };
+
+    try {
+      // Tap saves cards against a customer, so create one per saved card
+      const customerResponse = await axios.post(
+        `${config.baseUrl}/customers`,
+        {
+          first_name: customer.first_name,
+          last_name: customer.last_name,
+          email: customer.email,
+          phone: customer.phone ? { country_code: '966', number: String(customer.phone).replace(/^\+?966/, '') } : undefined,
+        },
+        { headers }
+      );
+      const customerId = customerResponse.data.id;
+
+      const cardResponse = await axios.post(
+        `${config.baseUrl}/card/${customerId}`,
+        { source: token },
+        { headers }
+      );
+      const data = cardResponse.data;
+
+      return {
+        token: data.id,
+        customerId,
+        brand: data.brand || data.scheme,
+        lastFour: data.last_four,
+        expiryMonth: parseInt(data.exp_month, 10) || null,
+        expiryYear: parseInt(data.exp_year, 10) || null,
+        holderName: data.name || null,
+        provider: 'tap',
+      };
+    } catch (error) {
+      console.error('[Payment:tap] Save card error:', error.response?.data || error.message);
+      throw this._handleTapError(error);
+    }
+  }
+
+  async _chargeTapCard({ card, amount, currency, description, metadata, idempotencyKey }) {
+    const config = this.config.tap;
+    const headers = {
+      Authorization: `Bearer ${config.secretKey}`,
+      'Content-Type': 'application/json',
+    };
+
+    try {
+      // Every charge needs a fresh single-use token issued from the saved card
+      const tokenResponse = await axios.post(
+        `${config.baseUrl}/tokens`,
+        {
+          saved_card: {
+            card_id: card.token,
+            customer_id: card.customerId,
+          },
+        },
+        { headers }
+      );
+
+      const response = await axios.post(
+        `${config.baseUrl}/charges`,
+        {
+          amount: fromMinorUnits(amount, currency), // Tap uses major currency units
+          currency: currency,
+          description: description,
+          metadata: metadata,
+          ...(idempotencyKey && { reference: { idempotent: idempotencyKey } }),
+          customer_initiated: false,
+          threeDSecure: false,
+          save_card: false,
+          customer: {
+            id: card.customerId,
+          },
+          source: {
+            id: tokenResponse.data.id,
+          },
+          redirect: {
+            url: config.callbackUrl,
+          },
+        },
+        { headers }
+      );
+
+      return this._normalizeTapPayment(response.data);
+    } catch (error) {
+      console.error('[Payment:tap] Charge saved card error:', error.response?.data || error.message);
+      throw this._handleTapError(error);
+    }
+  }
+
+  async _deleteTapCard(card) {
+    const config = this.config.tap;
+
+    try {
+      await axios.delete(
+        `${config.baseUrl}/card/${card.customerId}/${card.token}`,
+        {
+          headers: {
+            Authorization: `Bearer ${config.secretKey}`,
+          },
+        }
+      );
+      return { success: true, provider: 'tap' };
+    } catch (error) {
+      console.error('[Payment:tap] Delete card error:', error.response?.data || error.message);
+      throw this._handleTapError(error);
+    }
+  }
+
   _normalizeTapPayment(data) {
     return {
       id: data.id,
       status: this._normalizeTapStatus(data.status),
-      amount: Math.round(data.amount * 100), // Convert to halalas for consistency
+      amount: toMinorUnits(data.amount, data.currency), // Convert to minor units for consistency
       currency: data.currency,
       description: data.description,
       metadata: data.metadata || {},
@@ -507,17 +821,94 @@ class PaymentService {
     }
 
     const payment = global._mockPayments[paymentId];
-    payment.status = 'refunded';
+    const refundAmount = amount || payment.amount - (payment.refunded || 0);
+    if ((payment.refunded || 0) + refundAmount > payment.amount) {
+      throw new Error('Refund amount exceeds the captured amount');
+    }
+
+    // Partial refunds leave the payment captured until nothing is left
+    payment.refunded = (payment.refunded || 0) + refundAmount;
+    if (payment.refunded >= payment.amount) {
+      payment.status = 'refunded';
+    }
 
     return {
       success: true,
       refundId: `mock_ref_${Date.now()}`,
-      amount: amount || payment.amount,
+      amount: refundAmount,
       status: 'refunded',
       provider: 'mock',
     };
   }
 
+  /**
+   * Mock card tokens: any token saves a Visa ending 4242, except tokens
+   * containing "decline" which save a card (0002) whose charges always fail.
+   */
+  async _saveMockCard({ token }) {
+    if (!token) {
+      throw new Error('Card token is required');
+    }
+
+    if (!global._mockCards) {
+      global._mockCards = {};
+    }
+
+    const declines = String(token).includes('decline');
+    const cardId = `mock_card_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const nextYear = new Date().getFullYear() + 1;
+
+    global._mockCards[cardId] = { declines };
+
+    return {
+      token: cardId,
+      customerId: null,
+      brand: 'visa',
+      lastFour: declines ? '0002' : '4242',
+      expiryMonth: 12,
+      expiryYear: nextYear,
+      holderName: 'Mock Card',
+      provider: 'mock',
+    };
+  }
+
+  async _chargeMockCard({ card, amount, currency, description, metadata, idempotencyKey }) {
+    const savedCard = global._mockCards?.[card.token];
+    if (!savedCard) {
+      throw new Error(`Mock card not found: ${card.token}`);
+    }
+
+    const previous = await this._findMockCharge(idempotencyKey);
+    if (previous) return previous;
+
+    const payment = await this._createMockPayment({ amount, currency, description, metadata });
+    const stored = global._mockPayments[payment.id];
+    stored.idempotencyKey = idempotencyKey;
+
+    stored.status = savedCard.declines ? 'failed' : 'completed';
+    stored.source.lastFour = savedCard.declines ? '0002' : '4242';
+    if (savedCard.declines) {
+      stored.raw = { message: 'Card declined' };
+    }
+
+    return { ...stored };
+  }
+
+  async _findMockCharge(idempotencyKey) {
+    if (!idempotencyKey) return null;
+
+    const charge = Object.values(global._mockPayments || {})
+      .find((payment) => payment.idempotencyKey === idempotencyKey);
+    return charge ? { ...charge } : null;
+  }
+
+  async _deleteMockCard(card) {
+    if (global._mockCards) {
+      delete global._mockCards[card.token];
+    }
+    return { success: true, provider: 'mock' };
+  }
+
   /**
    * Complete a mock payment (for testing)
    * @param {string} paymentId - Mock payment ID
@@ -0,0 +1,368 @@
+/**
+ * Payment Settlement Service - the single place a payment reaches a final status
+ *
+ * Gateway webhooks, the browser callback, status verification, staff approval,
+ * the mock gateway and auto-renewal charges all call settle(). Each call runs in
+ * one transaction holding a row lock on the payment, so a webhook racing the
+ * callback is serialised:
+ *
+ *   1. duplicate gateway events (same provider + event_id) are ignored
+ *   2. the status changes only along ALLOWED_TRANSITIONS (repeats are no-ops)
+ *   3. on completion the subscription is activated / created exactly once
+ *      (cash payments also attach to the open cash drawer that took them)
+ *
+ * Side effects that must not roll back the payment (e-invoice, payer receipt,
+ * store order sync) run after commit, and only for the call that changed the status.
+ */
+
+const { sequelize, Payment, PaymentEvent, Subscription, ProgramPricingPlan, Player, Discount } = require('../models');
+const { Op } = require('sequelize');
+const { AppError } = require('../middleware/errorHandler');
+const { PAYMENT_STATUS, SUBSCRIPTION_STATUS, CURRENT_SUBSCRIPTION_STATUSES, INSTALLMENTS } = require('../config/constants');
+const NotificationService = require('./notification.service');
+const paymentService = require('./payment.service');
+const zatcaService = require('./zatca.service');
+const invoiceService = require('./invoice.service');
+const orderService = require('./order.service');
+const discountRuleService = require('./discountRule.service');
+const subscriptionLifecycle = require('./subscriptionLifecycle.service');
+const ledgerService = require('./ledger.service');
+const cashDrawerService = require('./cashDrawer.service');
+const { toDateOnly, addDays, addMonths } = require('../utils/helpers');
+
+// Target status -> statuses it may be reached from
+const ALLOWED_TRANSITIONS = {
+  [PAYMENT_STATUS.COMPLETED]: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED, PAYMENT_STATUS.CANCELLED],
+  [PAYMENT_STATUS.FAILED]: [PAYMENT_STATUS.PENDING],
+  [PAYMENT_STATUS.CANCELLED]: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED],
+  [PAYMENT_STATUS.REFUNDED]: [PAYMENT_STATUS.COMPLETED]
+};
+
+// Sources driven by the gateway rather than by staff
+const GATEWAY_SOURCES = ['webhook', 'callback', 'verify', 'mock', 'auto_renew'];
+
+class PaymentSettlementService {
+  /**
+   * Event ID for paths that only know the gateway payment and its status
+   * (callback / verify). A callback and webhook reporting the same capture
+   * share it, so whichever arrives second is recorded as a duplicate.
+   */
+  gatewayEventId(gatewayPaymentId, status) {
+    return gatewayPaymentId ? `${gatewayPaymentId}:${status}` : null;
+  }
+
+  /**
+   * Move a payment to a final status. Safe to call any number of times from any path.
+   * @param {string} paymentId
+   * @param {object} options
+   * @param {string} options.status - Target status (completed / failed / cancelled / refunded)
+   * @param {string} options.source - webhook | callback | verify | manual | mock | auto_renew
+   * @param {string} options.eventId - Gateway event ID; an already processed ID is ignored
+   * @param {object} options.gatewayPayment - Normalized gateway payment (stored on the event)
+   * @param {object} options.actor - Staff user settling the payment (manual)
+   * @param {object} options.updates - Extra payment fields to set with the status (transaction_id, notes, ...)
+   * @param {boolean} options.notifyPayer - Send the payer a receipt on completion (default: true)
+   * @returns {Promise<object>} { payment, subscription, changed, duplicate, previousStatus }
+   */
+  async settle(paymentId, {
+    status,
+    source,
+    eventId = null,
+    gatewayPayment = null,
+    actor = null,
+    updates = {},
+    notifyPayer = true
+  }) {
+    if (!ALLOWED_TRANSITIONS[status]) {
+      throw new AppError(`Cannot settle a payment as ${status}`, 400);
+    }
+
+    const provider = GATEWAY_SOURCES.includes(source) ? (gatewayPayment?.provider || paymentService.provider) : 'manual';
+
+    let result;
+    try {
+      result = await this._settleInTransaction(paymentId, { status, source, eventId, gatewayPayment, actor, updates, provider });
+    } catch (error) {
+      // A concurrent call recorded the same gateway event first
+      if (error.name === 'SequelizeUniqueConstraintError' && eventId) {
+        const payment = await Payment.findByPk(paymentId);
+        return { payment, subscription: null, changed: false, duplicate: true, previousStatus: payment?.status };
+      }
+      throw error;
+    }
+
+    if (result.changed) {
+      await this._afterCommit(result.payment, { actor, notifyPayer });
+    }
+
+    return result;
+  }
+
+  async _settleInTransaction(paymentId, { status, source, eventId, gatewayPayment, actor, updates, provider }) {
+    return sequelize.transaction(async (transaction) => {
+      const payment = await Payment.findByPk(paymentId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!payment) {
+        throw new AppError('Payment not found', 404);
+      }
+
+      const previousStatus = payment.status;
+
+      if (eventId) {
+        const processed = await PaymentEvent.findOne({
+          where: { provider, event_id: eventId },
+          transaction
+        });
+        if (processed) {
+          return { payment, subscription: null, changed: false, duplicate: true, previousStatus };
+        }
+      }
+
+      const changed = ALLOWED_TRANSITIONS[status].includes(previousStatus);
+      let subscription = null;
+
+      if (changed) {
+        await payment.update({
+          ...updates,
+          status,
+          ...(status === PAYMENT_STATUS.COMPLETED && { paid_at: updates.paid_at || payment.paid_at || new Date() }),
+          ...(actor && { processed_by: actor.id })
+        }, { transaction });
+
+        if (status === PAYMENT_STATUS.COMPLETED) {
+          subscription = await this._fulfil(payment, { source, transaction });
+          await this._markDiscountUsed(payment, transaction);
+          await cashDrawerService.attachPayment(payment, { actor, transaction });
+          await ledgerService.postPayment(payment, { transaction });
+        } else if (status === PAYMENT_STATUS.FAILED || status === PAYMENT_STATUS.CANCELLED) {
+          // Give back promo code uses held by the checkout
+          await discountRuleService.release(payment.id, { transaction });
+        } else if (status === PAYMENT_STATUS.REFUNDED) {
+          // Refunded outside the app (gateway dashboard): record what the Refund ledger is missing
+          await require('./refund.service').recordExternalRefund(payment, { transaction });
+        }
+      }
+
+      await PaymentEvent.create({
+        payment_id: payment.id,
+        provider,
+        event_id: eventId,
+        source,
+        status,
+        previous_status: previousStatus,
+        applied: changed,
+        payload: gatewayPayment ? (gatewayPayment.raw || gatewayPayment) : null,
+        actor_id: actor?.id || null
+      }, { transaction });
+
+      return { payment, subscription, changed, duplicate: false, previousStatus };
+    });
+  }
+
+  /**
+   * Create the subscription a completed payment pays for.
+   * Starts where the player's latest subscription for the program ends (renewal),
+   * or where metadata.renewal_of ends for auto-renewal charges.
+   */
+  async createSubscriptionFromPayment({
+    payment,
+    pricingPlan,
+    programIdOverride = null,
+    notes = null,
+    transaction = null
+  }) {
+    if (!payment?.player_id || !pricingPlan) return null;
+
+    const programId = programIdOverride || pricingPlan.program_id;
+    const { startDate, renewedFromId } = await this.getRenewalAnchor({
+      playerId: payment.player_id,
+      programId,
+      renewalOf: payment.metadata?.renewal_of,
+      transaction
+    });
+    const endDate = addMonths(startDate, pricingPlan.duration_months || 1);
+
+    return Subscription.create({
+      player_id: payment.player_id,
+      program_id: programId,
+      start_date: toDateOnly(startDate),
+      end_date: toDateOnly(endDate),
+      amount: parseFloat(payment.amount || 0),
+      discount_amount: parseFloat(payment.discount_amount || 0),
+      total_amount: parseFloat(payment.total_amount || payment.amount || 0),
+      status: SUBSCRIPTION_STATUS.ACTIVE,
+      // Opted in at checkout with a saved card (see initiateOnlinePayment)
+      is_auto_renew: Boolean(payment.metadata?.auto_renew && payment.metadata?.payment_method_id),
+      payment_method_id: payment.metadata?.auto_renew ? payment.metadata.payment_method_id || null : null,
+      renewed_from_id: renewedFromId,
+      notes
+    }, {
+      transaction,
+      lifecycle: { source: 'payment', metadata: { payment_id: payment.id } }
+    });
+  }
+
+  // E-invoicing must never block the payment flow; failures are logged and the
+  // invoice is issued lazily the next time GET /:id/invoice is requested.
+  async issueEInvoice(payment, actor = null) {
+    try {
+      return await zatcaService.issueInvoice(payment, { actor });
+    } catch (invoiceErr) {
+      console.error('Error issuing e-invoice:', invoiceErr);
+      return null;
+    }
+  }
+
+  // Store orders follow their payment (paid / refunded / cancelled); failures are
+  // logged for staff to reconcile from the orders screen.
+  async syncOrder(payment) {
+    if (!payment?.metadata?.order_id) return null;
+    try {
+      return await orderService.syncWithPayment(payment);
+    } catch (orderErr) {
+      console.error('Error updating store order:', orderErr);
+      return null;
+    }
+  }
+
+  // The payer gets a receipt notification; the PDF invoice link is attached
+  // unless disabled with ATTACH_INVOICE_PDF=false.
+  async notifyPayerOfReceipt(payment, player = null) {
+    const amount = payment.total_amount || payment.amount || 0;
+    await NotificationService.notifyPaymentReceived(payment, player, amount, {
+      invoiceUrl: process.env.ATTACH_INVOICE_PDF !== 'false' ? invoiceService.getPdfUrl(payment.id) : null,
+      notifyAdmins: false,
+      notifyPayer: true
+    });
+  }
+
+  /**
+   * Where a new subscription for the player / program starts: the end of
+   * `renewalOf` when given, else the end of their latest subscription, else today
+   * @returns {Promise<object>} { startDate, renewedFromId }
+   */
+  async getRenewalAnchor({ playerId, programId, renewalOf = null, transaction = null }) {
+    if (renewalOf) {
+      const renewed = await Subscription.findByPk(renewalOf, { attributes: ['id', 'end_date'], transaction });
+      if (renewed) {
+        return { startDate: new Date(renewed.end_date), renewedFromId: renewed.id };
+      }
+    }
+
+    const where = {
+      player_id: playerId,
+      status: {
+        [Op.in]: [
+          ...CURRENT_SUBSCRIPTION_STATUSES,
+          SUBSCRIPTION_STATUS.FROZEN,
+          SUBSCRIPTION_STATUS.EXPIRED,
+          SUBSCRIPTION_STATUS.SUSPENDED,
+          SUBSCRIPTION_STATUS.PENDING
+        ]
+      }
+    };
+    if (programId) where.program_id = programId;
+
+    const latestSubscription = await Subscription.findOne({
+      where,
+      attributes: ['id', 'end_date'],
+      order: [['end_date', 'DESC'], ['created_at', 'DESC']],
+      transaction
+    });
+
+    if (latestSubscription?.end_date) {
+      return { startDate: new Date(latestSubscription.end_date), renewedFromId: latestSubscription.id };
+    }
+
+    return { startDate: new Date(), renewedFromId: null };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Activate the payment's subscription, or create it from the pricing plan
+   */
+  async _fulfil(payment, { source, transaction }) {
+    if (payment.subscription_id) {
+      const subscription = await Subscription.findByPk(payment.subscription_id, { transaction });
+      if (subscription && [SUBSCRIPTION_STATUS.PENDING, SUBSCRIPTION_STATUS.SUSPENDED].includes(subscription.status)
+        && !(await this._hasOverdueInstallments(subscription, transaction))) {
+        await subscriptionLifecycle.transition(subscription, SUBSCRIPTION_STATUS.ACTIVE, {
+          source: 'payment',
+          reason: `Payment ${payment.invoice_number || payment.id} completed`,
+          metadata: { payment_id: payment.id },
+          transaction
+        });
+      }
+      return subscription;
+    }
+
+    const planId = payment.pricing_plan_id || payment.metadata?.pricing_plan_id;
+    if (!payment.player_id || !planId) return null;
+
+    const pricingPlan = await ProgramPricingPlan.findByPk(planId, { transaction });
+    if (!pricingPlan) return null;
+
+    const planLabel = `${pricingPlan.name} (${pricingPlan.duration_months} months)`;
+    let notes;
+    if (source === 'auto_renew') {
+      notes = `Auto-renewal - ${planLabel}`;
+    } else if (GATEWAY_SOURCES.includes(source)) {
+      notes = `Online payment - ${planLabel}`;
+    } else {
+      notes = `Auto-created from payment ${payment.invoice_number || payment.id}. Plan: ${planLabel}`;
+    }
+
+    const subscription = await this.createSubscriptionFromPayment({
+      payment: payment.toJSON(),
+      pricingPlan,
+      programIdOverride: payment.metadata?.program_id || null,
+      notes,
+      transaction
+    });
+
+    await payment.update({ subscription_id: subscription.id }, { transaction });
+    return subscription;
+  }
+
+  // An installment subscription stays suspended while any other installment is overdue
+  async _hasOverdueInstallments(subscription, transaction) {
+    if (!subscription.installment_count) return false;
+
+    const overdue = await Payment.count({
+      where: {
+        subscription_id: subscription.id,
+        status: PAYMENT_STATUS.PENDING,
+        due_date: { [Op.lt]: toDateOnly(addDays(new Date(), -INSTALLMENTS.GRACE_DAYS)) }
+      },
+      transaction
+    });
+    return overdue > 0;
+  }
+
+  async _markDiscountUsed(payment, transaction) {
+    await discountRuleService.redeem(payment.id, { transaction });
+
+    const discountId = payment.metadata?.discount_id;
+    if (!discountId) return;
+
+    await Discount.update(
+      { status: 'used', used_at: new Date(), payment_id: payment.id },
+      { where: { id: discountId, status: 'active' }, transaction }
+    );
+  }
+
+  async _afterCommit(payment, { actor, notifyPayer }) {
+    if (payment.status === PAYMENT_STATUS.COMPLETED) {
+      await this.issueEInvoice(payment, actor);
+      if (notifyPayer) {
+        const player = payment.player_id ? await Player.findByPk(payment.player_id) : null;
+        await this.notifyPayerOfReceipt(payment, player);
+      }
+    }
+    await this.syncOrder(payment);
+  }
+}
+
+module.exports = new PaymentSettlementService();
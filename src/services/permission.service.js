@@ -0,0 +1,125 @@
+/**
+ * Permission Service
+ * Resolves what a user may do: role defaults from the permission catalog,
+ * plus per-user grants/revokes stored in User.permissions.
+ */
+
+const { PERMISSIONS } = require('../config/permissions');
+const { ROLES } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+class PermissionService {
+  exists(name) {
+    return Object.prototype.hasOwnProperty.call(PERMISSIONS, name);
+  }
+
+  /**
+   * Catalog grouped by module (prefix before the dot) for the admin UI
+   */
+  getCatalog() {
+    const modules = {};
+
+    for (const [name, { description, roles }] of Object.entries(PERMISSIONS)) {
+      const module = name.split('.')[0];
+      if (!modules[module]) modules[module] = [];
+      modules[module].push({ name, description, roles: [ROLES.OWNER, ...roles] });
+    }
+
+    return Object.entries(modules).map(([module, permissions]) => ({ module, permissions }));
+  }
+
+  getRoleDefaults(role) {
+    if (role === ROLES.OWNER) return [...ALL_PERMISSIONS];
+    return ALL_PERMISSIONS.filter(name => PERMISSIONS[name].roles.includes(role));
+  }
+
+  /**
+   * Read User.permissions into { grant, revoke }. Anything else stored in the
+   * column (older free-form objects) is ignored.
+   */
+  getOverrides(user) {
+    let raw = user?.permissions;
+    if (typeof raw === 'string') {
+      try {
+        raw = JSON.parse(raw);
+      } catch (error) {
+        raw = null;
+      }
+    }
+
+    const pick = (list) => (Array.isArray(list) ? list.filter(name => this.exists(name)) : []);
+
+    return {
+      grant: pick(raw?.grant),
+      revoke: pick(raw?.revoke)
+    };
+  }
+
+  /**
+   * Validate and de-duplicate overrides submitted by an admin
+   * @throws {AppError} 400 for unknown permission names
+   */
+  normalizeOverrides({ grant = [], revoke = [] } = {}) {
+    if (!Array.isArray(grant) || !Array.isArray(revoke)) {
+      throw new AppError('grant and revoke must be arrays of permission names', 400);
+    }
+
+    const unknown = [...grant, ...revoke].filter(name => !this.exists(name));
+    if (unknown.length) {
+      throw new AppError(`Unknown permission(s): ${[...new Set(unknown)].join(', ')}`, 400);
+    }
+
+    const revokeSet = new Set(revoke);
+    return {
+      grant: [...new Set(grant)].filter(name => !revokeSet.has(name)),
+      revoke: [...revokeSet]
+    };
+  }
+
+  getEffectivePermissions(user) {
+    if (!user) return [];
+    if (user.role === ROLES.OWNER) return [...ALL_PERMISSIONS];
+
+    const { grant, revoke } = this.getOverrides(user);
+    const effective = new Set([...this.getRoleDefaults(user.role), ...grant]);
+    revoke.forEach(name => effective.delete(name));
+
+    return ALL_PERMISSIONS.filter(name => effective.has(name));
+  }
+
+  /**
+   * True when the user holds at least one of the given permissions
+   */
+  hasPermission(user, ...permissions) {
+    if (!user) return false;
+    if (user.role === ROLES.OWNER) return true;
+
+    const effective = new Set(this.getEffectivePermissions(user));
+    return permissions.some(name => effective.has(name));
+  }
+
+  /**
+   * True when the user's role carries the permission, rather than a per-user grant
+   */
+  hasRolePermission(user, permission) {
+    if (!user) return false;
+    return this.getRoleDefaults(user.role).includes(permission);
+  }
+
+  /**
+   * Admins can only hand out permissions they hold themselves
+   * @throws {AppError} 403 when granting something the actor lacks
+   */
+  assertCanGrant(actor, grant) {
+    const held = new Set(this.getEffectivePermissions(actor));
+    const missing = grant.filter(name => !held.has(name));
+
+    if (missing.length) {
+      throw new AppError(`You cannot grant permissions you do not hold: ${missing.join(', ')}`, 403);
+    }
+  }
+}
+
+module.exports = new PermissionService();
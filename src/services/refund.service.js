@@ -0,0 +1,350 @@
+/**
+ * Refund Service - partial / full refunds and their effect on the subscription
+ *
+ * A completed payment can be refunded several times until the refunds reach
+ * its total. Each refund is a Refund row; payment.refunded_amount holds the
+ * running sum (in-flight gateway refunds included, so two staff members cannot
+ * refund the same money twice). The payment only becomes 'refunded' once
+ * nothing is left, through paymentSettlement.settle().
+ *
+ * The linked subscription follows the refund (subscription_action):
+ *
+ *   auto   - full refund cancels it; a partial refund shortens end_date by the
+ *            refunded share of the paid period (cancels when nothing is left)
+ *   cancel - cancel it regardless of the amount
+ *   none   - leave it untouched (goodwill refunds)
+ */
+
+const { sequelize, Payment, Refund, Subscription, Player } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { CURRENCY, PAYMENT_STATUS, SUBSCRIPTION_STATUS, REFUND_STATUS } = require('../config/constants');
+const paymentService = require('./payment.service');
+const paymentSettlement = require('./paymentSettlement.service');
+const subscriptionLifecycle = require('./subscriptionLifecycle.service');
+const ledgerService = require('./ledger.service');
+const cashDrawerService = require('./cashDrawer.service');
+const zatcaService = require('./zatca.service');
+const NotificationService = require('./notification.service');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { toMinorUnits, roundToCurrency } = require('../utils/currency');
+const { toDateOnly } = require('../utils/helpers');
+
+const SUBSCRIPTION_ACTIONS = ['auto', 'cancel', 'none'];
+
+// Subscriptions a refund can still change
+const ADJUSTABLE_SUBSCRIPTION_STATUSES = [
+  SUBSCRIPTION_STATUS.ACTIVE,
+  SUBSCRIPTION_STATUS.EXPIRING,
+  SUBSCRIPTION_STATUS.FROZEN,
+  SUBSCRIPTION_STATUS.PENDING,
+  SUBSCRIPTION_STATUS.SUSPENDED
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / DAY_MS);
+
+class RefundService {
+  /**
+   * Amount of a payment that can still be refunded
+   */
+  getRefundableAmount(payment) {
+    return roundToCurrency((parseFloat(payment.total_amount) || 0) - (parseFloat(payment.refunded_amount) || 0), payment.currency);
+  }
+
+  /**
+   * Refund (part of) a completed payment
+   * @param {string} paymentId
+   * @param {object} options
+   * @param {number} options.amount - Amount incl. VAT (default: everything still refundable)
+   * @param {string} options.reason - Required
+   * @param {object} options.actor - Staff member approving the refund
+   * @param {string} options.method - manual (cash / transfer back) | gateway (refund the card)
+   * @param {string} options.subscriptionAction - auto | cancel | none (default: auto)
+   * @param {function} options.assertAccess - Called with the payment before anything changes (branch checks)
+   * @returns {Promise<object>} { payment, refund, subscription }
+   */
+  async refundPayment(paymentId, {
+    amount = null,
+    reason,
+    actor,
+    method = 'manual',
+    subscriptionAction = 'auto',
+    assertAccess = null
+  }) {
+    if (!reason || !String(reason).trim()) {
+      throw new AppError('A refund reason is required', 400);
+    }
+    if (!SUBSCRIPTION_ACTIONS.includes(subscriptionAction)) {
+      throw new AppError(`subscription_action must be one of: ${SUBSCRIPTION_ACTIONS.join(', ')}`, 400);
+    }
+    if (amount !== null && amount !== undefined && !(parseFloat(amount) > 0)) {
+      throw new AppError('Refund amount must be greater than zero', 400);
+    }
+
+    // Reserve the amount on the payment (manual refunds complete right away)
+    let refund = await sequelize.transaction(async (transaction) => {
+      const payment = await Payment.findByPk(paymentId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!payment) {
+        throw new AppError('Payment not found', 404);
+      }
+      if (assertAccess) assertAccess(payment);
+
+      if (payment.status !== PAYMENT_STATUS.COMPLETED) {
+        throw new AppError('Only completed payments can be refunded', 400);
+      }
+
+      const refundable = this.getRefundableAmount(payment);
+      const refundAmount = amount ? roundToCurrency(amount, payment.currency) : refundable;
+      if (refundable <= 0) {
+        throw new AppError('Payment has already been fully refunded', 400);
+      }
+      if (refundAmount > refundable) {
+        throw new AppError(`Refund amount exceeds the refundable balance of ${refundable} ${payment.currency || CURRENCY.DEFAULT}`, 400);
+      }
+
+      if (method === 'gateway' && !(payment.transaction_id || payment.metadata?.gateway_payment_id)) {
+        throw new AppError('No gateway payment ID found - cannot process online refund', 400);
+      }
+
+      const created = await Refund.create({
+        payment_id: payment.id,
+        branch_id: payment.branch_id,
+        subscription_id: payment.subscription_id,
+        amount: refundAmount,
+        tax_amount: this._taxShare(payment, refundAmount),
+        reason: String(reason).trim(),
+        method,
+        status: REFUND_STATUS.PENDING,
+        approved_by: actor?.id || null
+      }, { transaction });
+
+      await payment.update({
+        refunded_amount: roundToCurrency((parseFloat(payment.refunded_amount) || 0) + refundAmount, payment.currency)
+      }, { transaction });
+
+      if (method !== 'gateway') {
+        await this._complete(created, payment, { subscriptionAction, transaction });
+      }
+
+      return created;
+    });
+
+    if (refund.method === 'gateway') {
+      refund = await this._refundAtGateway(refund, { subscriptionAction });
+    }
+
+    return this._afterRefund(refund, { actor });
+  }
+
+  /**
+   * Record the rest of a payment the gateway reports as refunded outside the
+   * app (e.g. from the gateway dashboard). Called by paymentSettlement inside
+   * its transaction; full refunds cancel the subscription.
+   */
+  async recordExternalRefund(payment, { transaction }) {
+    const remaining = this.getRefundableAmount(payment);
+    if (remaining <= 0) return null;
+
+    const refund = await Refund.create({
+      payment_id: payment.id,
+      branch_id: payment.branch_id,
+      subscription_id: payment.subscription_id,
+      amount: remaining,
+      tax_amount: this._taxShare(payment, remaining),
+      reason: 'Refunded at the payment gateway',
+      method: 'gateway',
+      status: REFUND_STATUS.PENDING
+    }, { transaction });
+
+    await payment.update({ refunded_amount: payment.total_amount }, { transaction });
+    return this._complete(refund, payment, { subscriptionAction: 'auto', transaction });
+  }
+
+  /**
+   * Refunds of a payment, newest first
+   */
+  async listForPayment(paymentId) {
+    return Refund.findAll({
+      where: { payment_id: paymentId },
+      include: [
+        { association: 'approver', attributes: ['id', 'first_name', 'last_name'] },
+        { association: 'credit_note', attributes: ['id', 'invoice_number'] }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  // VAT is refunded in the same proportion as it was charged
+  _taxShare(payment, amount) {
+    const total = parseFloat(payment.total_amount) || 0;
+    const tax = parseFloat(payment.tax_amount) || 0;
+    return total > 0 ? roundToCurrency(amount * tax / total, payment.currency) : 0;
+  }
+
+  async _refundAtGateway(refund, { subscriptionAction }) {
+    const payment = await Payment.findByPk(refund.payment_id);
+    const gatewayPaymentId = payment.transaction_id || payment.metadata?.gateway_payment_id;
+
+    let refundResult;
+    try {
+      refundResult = await paymentService.refund(gatewayPaymentId, toMinorUnits(refund.amount, payment.currency), payment.currency);
+    } catch (error) {
+      // Release the reserved amount so the refund can be retried
+      await sequelize.transaction(async (transaction) => {
+        const locked = await Payment.findByPk(refund.payment_id, { lock: transaction.LOCK.UPDATE, transaction });
+        await locked.update({
+          refunded_amount: roundToCurrency((parseFloat(locked.refunded_amount) || 0) - parseFloat(refund.amount), locked.currency)
+        }, { transaction });
+        await refund.update({
+          status: REFUND_STATUS.FAILED,
+          failure_reason: String(error.message).slice(0, 500)
+        }, { transaction });
+      });
+      throw new AppError(`Refund failed: ${error.message}`, 500);
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const locked = await Payment.findByPk(refund.payment_id, { lock: transaction.LOCK.UPDATE, transaction });
+      await refund.update({ gateway_refund_id: refundResult.refundId || null }, { transaction });
+      return this._complete(refund, locked, { subscriptionAction, transaction });
+    });
+  }
+
+  async _complete(refund, payment, { subscriptionAction, transaction }) {
+    const fullyRefunded = this.getRefundableAmount(payment) <= 0;
+    const adjustment = subscriptionAction === 'none'
+      ? {}
+      : await this._adjustSubscription(refund, payment, {
+        cancel: subscriptionAction === 'cancel' || fullyRefunded,
+        transaction
+      });
+
+    await refund.update({
+      ...adjustment,
+      status: REFUND_STATUS.COMPLETED,
+      refunded_at: new Date()
+    }, { transaction });
+
+    await cashDrawerService.attachRefund(refund, payment, { transaction });
+    await ledgerService.postRefund(refund, payment, { transaction });
+    return refund;
+  }
+
+  /**
+   * Shorten the subscription by the refunded share of its paid period,
+   * or cancel it when nothing (or less than a day) would be left
+   */
+  async _adjustSubscription(refund, payment, { cancel, transaction }) {
+    if (!payment.subscription_id) return {};
+
+    const subscription = await Subscription.findByPk(payment.subscription_id, { transaction });
+    if (!subscription || !ADJUSTABLE_SUBSCRIPTION_STATUSES.includes(subscription.status)) return {};
+
+    const previousEndDate = subscription.end_date;
+    const today = toDateOnly(new Date());
+
+    if (!cancel) {
+      // Period paid for = current length + days already taken off by earlier refunds
+      const earlierDays = await Refund.sum('subscription_days_removed', {
+        where: { payment_id: payment.id, status: REFUND_STATUS.COMPLETED },
+        transaction
+      }) || 0;
+      const paidDays = daysBetween(subscription.start_date, subscription.end_date) + earlierDays;
+      const share = parseFloat(refund.amount) / (parseFloat(payment.total_amount) || 1);
+      const daysRemoved = Math.round(paidDays * share);
+      const endDate = toDateOnly(new Date(new Date(subscription.end_date).getTime() - daysRemoved * DAY_MS));
+
+      if (endDate > today && endDate > subscription.start_date) {
+        await subscription.update({ end_date: endDate }, { transaction });
+        return {
+          subscription_action: 'shortened',
+          subscription_days_removed: daysRemoved,
+          previous_end_date: previousEndDate
+        };
+      }
+    }
+
+    await subscriptionLifecycle.transition(subscription, SUBSCRIPTION_STATUS.CANCELLED, {
+      source: 'refund',
+      reason: refund.reason || 'Payment refunded',
+      metadata: { refund_id: refund.id, payment_id: payment.id },
+      updates: {
+        is_auto_renew: false,
+        ...(subscription.end_date > today && subscription.start_date <= today && { end_date: today })
+      },
+      transaction
+    });
+
+    return {
+      subscription_action: 'cancelled',
+      subscription_days_removed: Math.max(daysBetween(subscription.end_date, previousEndDate), 0),
+      previous_end_date: previousEndDate
+    };
+  }
+
+  async _afterRefund(refund, { actor }) {
+    let payment = await Payment.findByPk(refund.payment_id);
+
+    // Nothing left to refund: the payment itself becomes refunded (store orders follow)
+    if (this.getRefundableAmount(payment) <= 0 && payment.status === PAYMENT_STATUS.COMPLETED) {
+      ({ payment } = await paymentSettlement.settle(payment.id, {
+        status: PAYMENT_STATUS.REFUNDED,
+        source: 'manual',
+        actor,
+        updates: {
+          notes: `${payment.notes || ''}\nRefunded by: ${actor?.first_name || ''} ${actor?.last_name || ''}`.trim()
+        }
+      }));
+    }
+
+    const creditNote = await this._issueCreditNote(payment, refund, actor);
+    if (creditNote) {
+      await refund.update({ credit_note_id: creditNote.id });
+    }
+
+    await logAuditEvent({
+      module: 'payments',
+      entityType: 'refund',
+      entityId: refund.id,
+      action: 'create',
+      actor,
+      before: null,
+      after: refund,
+      metadata: {
+        payment_id: payment.id,
+        amount: parseFloat(refund.amount),
+        method: refund.method,
+        subscription_action: refund.subscription_action
+      }
+    });
+
+    if (payment.user_id) {
+      const player = payment.player_id ? await Player.findByPk(payment.player_id) : null;
+      await NotificationService.notifyRefundIssued(payment.user_id, { payment, refund, player });
+    }
+
+    const subscription = refund.subscription_id ? await Subscription.findByPk(refund.subscription_id) : null;
+    return { payment, refund, subscription };
+  }
+
+  // Credit notes must never block the refund; failures are logged
+  async _issueCreditNote(payment, refund, actor) {
+    try {
+      return await zatcaService.issueCreditNote(payment, {
+        amount: parseFloat(refund.amount),
+        reason: refund.reason,
+        actor
+      });
+    } catch (invoiceErr) {
+      console.error('Error issuing credit note:', invoiceErr);
+      return null;
+    }
+  }
+}
+
+module.exports = new RefundService();
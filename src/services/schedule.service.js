@@ -1,7 +1,9 @@
 const { Op } = require('sequelize');
-const { TrainingSession, Program, Branch, User, Player, Waitlist, Notification, SMS } = require('../models');
+const { TrainingSession, Program, Branch, User, Player, Notification, SMS, Closure, CoachLeave, CoachAvailability } = require('../models');
 const notificationService = require('./notification.service');
 const smsService = require('./sms.service');
+const waitlistService = require('./waitlist.service');
+const { emitScheduleUpdate } = require('../socket');
 
 class ScheduleService {
   /**
@@ -103,6 +105,104 @@ class ScheduleService {
     });
   }
 
+  /**
+   * Approved leave of a coach covering a date
+   * @param {string} coachId - Coach UUID
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Array of leaves
+   */
+  async checkCoachLeave(coachId, date) {
+    if (!coachId) return [];
+
+    return await CoachLeave.findAll({
+      where: {
+        coach_id: coachId,
+        status: 'approved',
+        start_date: { [Op.lte]: date },
+        end_date: { [Op.gte]: date }
+      },
+      attributes: ['id', 'coach_id', 'type', 'start_date', 'end_date']
+    });
+  }
+
+  /**
+   * Check a session against the coach's availability template. Coaches without
+   * a template are always available.
+   * @param {string} coachId - Coach UUID
+   * @param {string} date - Session date (YYYY-MM-DD)
+   * @param {string} startTime - Start time (HH:MM:SS)
+   * @param {string} endTime - End time (HH:MM:SS)
+   * @returns {Promise<Array>} Empty, or one entry with the coach's windows that day
+   */
+  async checkCoachAvailability(coachId, date, startTime, endTime) {
+    if (!coachId) return [];
+
+    const windows = await CoachAvailability.findAll({
+      where: {
+        coach_id: coachId,
+        [Op.and]: [
+          { [Op.or]: [{ effective_from: null }, { effective_from: { [Op.lte]: date } }] },
+          { [Op.or]: [{ effective_until: null }, { effective_until: { [Op.gte]: date } }] }
+        ]
+      },
+      attributes: ['id', 'day_of_week', 'start_time', 'end_time'],
+      order: [['start_time', 'ASC']]
+    });
+    if (!windows.length) return [];
+
+    // '16:00' -> '16:00:00', so times compare as strings
+    const time = value => (String(value).length === 5 ? `${value}:00` : String(value));
+    const dayOfWeek = this.getDayOfWeek(date);
+    const sameDay = windows.filter(window => window.day_of_week === dayOfWeek);
+    const fits = sameDay.some(window => time(window.start_time) <= time(startTime) && time(window.end_time) >= time(endTime));
+
+    return fits ? [] : [{
+      coach_id: coachId,
+      date,
+      day_of_week: dayOfWeek,
+      available: sameDay.map(window => ({ start_time: window.start_time, end_time: window.end_time }))
+    }];
+  }
+
+  /**
+   * Active closures of a branch (or the whole academy) on a date
+   * @param {string} branchId - Branch UUID
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {Object} options - { allBranches: closures of every branch }
+   * @returns {Promise<Array>} Array of closures
+   */
+  async checkClosures(branchId, date, { allBranches = false } = {}) {
+    return await Closure.findAll({
+      where: {
+        status: 'active',
+        start_date: { [Op.lte]: date },
+        end_date: { [Op.gte]: date },
+        ...(!allBranches && { [Op.or]: [{ branch_id: null }, ...(branchId ? [{ branch_id: branchId }] : [])] })
+      },
+      attributes: ['id', 'title', 'title_ar', 'branch_id', 'start_date', 'end_date']
+    });
+  }
+
+  /**
+   * Branches closed on a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise<Object>} { all: academy-wide closure, branchIds }
+   */
+  async getClosedBranches(date) {
+    const closures = await this.checkClosures(null, date, { allBranches: true });
+    return {
+      all: closures.some(closure => !closure.branch_id),
+      branchIds: closures.map(closure => closure.branch_id).filter(Boolean)
+    };
+  }
+
+  /**
+   * Whether a branch is closed, given getClosedBranches()
+   */
+  isBranchClosed(closed, branchId) {
+    return closed.all || (Boolean(branchId) && closed.branchIds.includes(String(branchId)));
+  }
+
   /**
    * Validate session scheduling
    * @param {Object} sessionData - Session data to validate
@@ -128,10 +228,18 @@ class ScheduleService {
       session_id
     );
 
+    const closureConflicts = await this.checkClosures(branch_id, date);
+    const leaveConflicts = await this.checkCoachLeave(coach_id, date);
+    const availabilityConflicts = await this.checkCoachAvailability(coach_id, date, start_time, end_time);
+
     return {
-      isValid: coachConflicts.length === 0 && facilityConflicts.length === 0,
+      isValid: [coachConflicts, facilityConflicts, closureConflicts, leaveConflicts, availabilityConflicts]
+        .every(conflicts => conflicts.length === 0),
       coachConflicts,
-      facilityConflicts
+      facilityConflicts,
+      closureConflicts,
+      leaveConflicts,
+      availabilityConflicts
     };
   }
 
@@ -150,54 +258,59 @@ class ScheduleService {
   }
 
   /**
-   * Generate recurring sessions for a program
+   * Generate recurring sessions for a program from its weekly schedule.
+   * Idempotent: one series per schedule slot, extended on later runs.
    * @param {string} programId - Program UUID
-   * @param {Object} options - Options for generating sessions
-   * @returns {Promise<Array>} Created sessions
+   * @param {Object} options - { startDate, endDate, weeksAhead, coachId, actor }
+   * @returns {Promise<Object>} { created, skipped, series }
    */
   async generateRecurringSessions(programId, options = {}) {
-    const { startDate, endDate, weeksAhead = 12 } = options;
+    // Required lazily: the series service validates through this service
+    return require('./sessionSeries.service').generateForProgram(programId, options);
+  }
 
-    const program = await Program.findByPk(programId);
-    if (!program || !program.schedule || program.schedule.length === 0) {
-      throw new Error('Program not found or has no schedule defined');
+  /**
+   * Cancel (or delete) a single training session and tell the enrolled families.
+   * Inside a transaction nobody is told: call announceCancellation once it has committed.
+   * @param {Object} session - TrainingSession instance
+   * @param {Object} options - { reason, permanent, actor, transaction }
+   */
+  async cancelSession(session, { reason = null, permanent = false, actor = null, transaction = null } = {}) {
+    const { id, branch_id: branchId } = session;
+
+    if (permanent) {
+      // Families are told while the session still exists
+      await this.notifyEnrolledPlayers(id, 'cancelled', { reason });
+      await session.destroy();
+      emitScheduleUpdate('deleted', { id, branch_id: branchId, cancellation_reason: reason });
+      return session;
     }
 
-    const start = new Date(startDate || new Date());
-    const end = new Date(endDate || new Date(start.getTime() + (weeksAhead * 7 * 24 * 60 * 60 * 1000)));
-
-    const sessionsToCreate = [];
-    const currentDate = new Date(start);
-
-    while (currentDate <= end) {
-      const dayOfWeek = this.getDayOfWeek(currentDate.toISOString().split('T')[0]);
-
-      // Check if this day has sessions in the program schedule
-      const daySchedule = program.schedule.find(s => s.day === dayOfWeek);
-
-      if (daySchedule && daySchedule.sessions) {
-        for (const session of daySchedule.sessions) {
-          sessionsToCreate.push({
-            program_id: programId,
-            branch_id: program.branch_id,
-            coach_id: session.coach_id,
-            date: currentDate.toISOString().split('T')[0],
-            day_of_week: dayOfWeek,
-            start_time: session.start_time,
-            end_time: session.end_time,
-            facility: session.facility || null,
-            max_capacity: session.max_capacity || program.capacity,
-            current_enrollment: program.current_enrollment,
-            is_recurring: true
-          });
-        }
-      }
+    await session.update({
+      is_cancelled: true,
+      cancellation_reason: reason,
+      cancelled_by: actor?.id || null,
+      cancelled_at: new Date()
+    }, { transaction });
 
-      currentDate.setDate(currentDate.getDate() + 1);
+    if (!transaction) {
+      await this.announceCancellation(session, reason);
     }
 
-    // Bulk create sessions
-    return await TrainingSession.bulkCreate(sessionsToCreate);
+    return session;
+  }
+
+  /**
+   * Tell the enrolled families and connected clients that a session was cancelled
+   */
+  async announceCancellation(session, reason = null) {
+    await this.notifyEnrolledPlayers(session.id, 'cancelled', { reason });
+    emitScheduleUpdate('cancelled', {
+      id: session.id,
+      branch_id: session.branch_id,
+      is_cancelled: true,
+      cancellation_reason: reason
+    });
   }
 
   /**
@@ -261,6 +374,20 @@ class ScheduleService {
           messageAr = `تم إعادة جدولة حصة ${session.program.name_ar}. الوقت الجديد: ${additionalData.newDate} في تمام الساعة ${additionalData.newTime}`;
           break;
 
+        case 'series_cancelled':
+          titleEn = 'Sessions Cancelled';
+          titleAr = 'تم إلغاء الحصص';
+          messageEn = `${additionalData.sessionsAffected} ${session.program.name} sessions from ${additionalData.fromDate} have been cancelled. ${additionalData.reason ? 'Reason: ' + additionalData.reason : ''}`;
+          messageAr = `تم إلغاء ${additionalData.sessionsAffected} حصص من ${session.program.name_ar} ابتداءً من ${additionalData.fromDate}. ${additionalData.reason ? 'السبب: ' + additionalData.reason : ''}`;
+          break;
+
+        case 'series_updated':
+          titleEn = 'Sessions Rescheduled';
+          titleAr = 'تم إعادة جدولة الحصص';
+          messageEn = `${additionalData.sessionsAffected} ${session.program.name} sessions from ${additionalData.fromDate} have been rescheduled. New time: ${additionalData.newTime}`;
+          messageAr = `تم إعادة جدولة ${additionalData.sessionsAffected} حصص من ${session.program.name_ar} ابتداءً من ${additionalData.fromDate}. الوقت الجديد: ${additionalData.newTime}`;
+          break;
+
         case 'created':
           titleEn = 'New Session Scheduled';
           titleAr = 'حصة جديدة مجدولة';
@@ -293,7 +420,7 @@ class ScheduleService {
       });
 
       // Prepare SMS for critical changes (cancellations, reschedules)
-      if (['cancelled', 'rescheduled'].includes(changeType) && player.parent.phone) {
+      if (['cancelled', 'rescheduled', 'series_cancelled', 'series_updated'].includes(changeType) && player.parent.phone) {
         const language = player.parent.preferences?.language || 'ar';
         const smsMessage = language === 'ar' ? messageAr : messageEn;
 
@@ -367,7 +494,11 @@ class ScheduleService {
       ]
     });
 
+    // No reminders for branches closed that day
+    const closed = await this.getClosedBranches(targetTime.toISOString().split('T')[0]);
+
     for (const session of upcomingSessions) {
+      if (this.isBranchClosed(closed, session.branch_id)) continue;
       if (!session.program || !session.program.players) continue;
 
       for (const player of session.program.players) {
@@ -396,90 +527,11 @@ class ScheduleService {
   }
 
   /**
-   * Handle waitlist when a spot opens up
+   * Handle waitlist when a spot opens up (offers go through the waitlist service)
    * @param {string} programId - Program UUID
    */
   async processWaitlist(programId) {
-    const program = await Program.findByPk(programId);
-    if (!program) return;
-
-    // Check if there are available spots
-    if (program.current_enrollment >= program.capacity) return;
-
-    const availableSpots = program.capacity - program.current_enrollment;
-
-    // Get waiting players in order
-    const waitingPlayers = await Waitlist.findAll({
-      where: {
-        program_id: programId,
-        status: 'waiting'
-      },
-      order: [['position', 'ASC']],
-      limit: availableSpots,
-      include: [
-        {
-          model: Player,
-          as: 'player',
-          include: [
-            {
-              model: User,
-              as: 'parent'
-            }
-          ]
-        }
-      ]
-    });
-
-    for (const waitlistEntry of waitingPlayers) {
-      // Notify parent about available spot
-      const expiresAt = new Date(Date.now() + (48 * 60 * 60 * 1000)); // 48 hours to respond
-
-      await waitlistEntry.update({
-        status: 'notified',
-        notified_at: new Date(),
-        expires_at: expiresAt
-      });
-
-      // Send notification
-      if (waitlistEntry.player?.parent) {
-        const titleEn = 'Spot Available!';
-        const titleAr = 'مقعد متاح!';
-        const messageEn = `A spot has opened up in ${program.name}! Please confirm enrollment within 48 hours.`;
-        const messageAr = `أصبح هناك مقعد متاح في ${program.name_ar}! يرجى تأكيد التسجيل خلال 48 ساعة.`;
-
-        await Notification.create({
-          user_id: waitlistEntry.player.parent.id,
-          type: 'waitlist_spot_available',
-          title: titleEn,
-          title_ar: titleAr,
-          message: messageEn,
-          message_ar: messageAr,
-          data: {
-            program_id: programId,
-            player_id: waitlistEntry.player_id,
-            waitlist_id: waitlistEntry.id,
-            expires_at: expiresAt
-          }
-        });
-
-        // Send SMS
-        if (waitlistEntry.player.parent.phone) {
-          const language = waitlistEntry.player.parent.preferences?.language || 'ar';
-          try {
-            await smsService.sendSMS({
-              recipient_type: 'individual',
-              recipients: [{
-                phone: waitlistEntry.player.parent.phone,
-                user_id: waitlistEntry.player.parent.id
-              }],
-              message: language === 'ar' ? messageAr : messageEn
-            });
-          } catch (error) {
-            console.error('Failed to send waitlist SMS:', error);
-          }
-        }
-      }
-    }
+    return waitlistService.offerSpots(programId);
   }
 }
 
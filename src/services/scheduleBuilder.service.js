@@ -0,0 +1,535 @@
+/**
+ * Schedule Builder Service - proposes a term timetable for a branch
+ *
+ * Input: the programs to schedule with their required weekly hours (and
+ * optionally session length, days, facilities and coaches). The builder
+ * places weekly slots so that:
+ *
+ *   - every slot is inside the branch working hours (Branch.working_hours)
+ *   - the coach is one assigned to the program (CoachProgram, primary first),
+ *     is not booked elsewhere at that time and, if they have an availability
+ *     template (CoachAvailability), is available then
+ *   - the facility (Branch.facilities) is not booked at that time
+ *   - a program trains at most once a day, its sessions spread over the week
+ *
+ * Sessions already booked during the term count as weekly bookings: a coach
+ * or facility busy on one Sunday afternoon is treated as busy every Sunday
+ * afternoon. Programs with the fewest options are placed first.
+ *
+ * The result is saved as a draft ScheduleProposal with an explanation for each
+ * slot and for each session that could not be placed. Nothing is booked until
+ * the proposal is committed, which creates one weekly SessionSeries per slot.
+ */
+
+const { Op } = require('sequelize');
+const { ScheduleProposal, SessionSeries, Branch, Program, CoachProgram, CoachAvailability, TrainingSession, User } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { today } = require('../utils/helpers');
+const { DAYS, addDays, dayOfWeek, daysBetween, assertDate, normalizeDay, normalizeRule } = require('../utils/recurrence');
+const sessionSeriesService = require('./sessionSeries.service');
+
+const DEFAULT_SESSION_MINUTES = 60;
+const SLOT_STEP_MINUTES = 30;
+
+const REASONS = {
+  coach_busy: 'every assigned coach is already booked',
+  coach_unavailable: 'no free coach is available at that time per their availability template',
+  facility_busy: 'every facility is already booked',
+  program_same_day: 'the program already trains that day',
+  outside_working_hours: 'the branch is closed or the session does not fit in its working hours'
+};
+
+// '16:00' / '16:00:00' -> 960
+const toMinutes = (value) => {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// 960 -> '16:00:00'
+const toTime = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}:00`;
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const fullName = user => (user ? [user.first_name, user.last_name].filter(Boolean).join(' ') : null);
+
+// Branch.facilities entries are names, or objects with a name
+const facilityName = entry => (entry && typeof entry === 'object' ? entry.name : entry);
+
+class ScheduleBuilderService {
+  /**
+   * Build and save a draft proposal
+   * @param {object} params - { branchId, name, startDate, endDate, programs: [{ program_id,
+   *   weekly_hours, session_minutes?, days?, facilities?, coach_ids? }], actor }
+   * @returns {Promise<object>} ScheduleProposal
+   */
+  async build({ branchId, name = null, startDate, endDate, programs, actor }) {
+    assertDate(startDate, 'Start date');
+    assertDate(endDate, 'End date');
+    if (endDate < startDate) {
+      throw new AppError('End date cannot be before start date', 400);
+    }
+    if (!Array.isArray(programs) || !programs.length) {
+      throw new AppError('Select at least one program to schedule', 400);
+    }
+
+    const branch = await Branch.findByPk(branchId);
+    if (!branch) {
+      throw new AppError('Branch not found', 404);
+    }
+
+    const requests = await this._loadRequests(branch, programs, { startDate, endDate });
+    const coachIds = [...new Set(requests.flatMap(request => request.coaches.map(coach => coach.id)))];
+    const busy = await this._weeklyBookings(branch.id, coachIds, startDate, endDate);
+    const hours = this._workingHours(branch);
+
+    const placed = [];
+    const unplaced = [];
+    // Fewest options first: the flexible programs fit around them
+    const ordered = [...requests].sort((a, b) => (
+      this._options(a, hours) - this._options(b, hours) || b.sessions_needed - a.sessions_needed
+    ));
+    for (const request of ordered) {
+      const result = this._placeProgram(request, { hours, busy, placed });
+      placed.push(...result.placed);
+      if (result.missing) {
+        unplaced.push(result.unplaced);
+      }
+    }
+
+    const sessions = placed
+      .sort((a, b) => DAYS.indexOf(a.day) - DAYS.indexOf(b.day) || a.start - b.start)
+      .map(slot => this._describeSlot(slot));
+
+    const proposal = await ScheduleProposal.create({
+      branch_id: branch.id,
+      name: name || `${branch.name} ${startDate} - ${endDate}`,
+      start_date: startDate,
+      end_date: endDate,
+      input: { programs },
+      sessions,
+      unplaced,
+      summary: {
+        programs: requests.length,
+        weekly_sessions_requested: requests.reduce((sum, request) => sum + request.sessions_needed, 0),
+        weekly_sessions_placed: sessions.length,
+        weekly_sessions_unplaced: unplaced.reduce((sum, entry) => sum + entry.missing, 0),
+        weekly_hours_requested: requests.reduce((sum, request) => sum + request.weekly_hours, 0),
+        weekly_hours_placed: sessions.reduce((sum, slot) => sum + slot.minutes, 0) / 60
+      },
+      created_by: actor.id
+    });
+
+    await logAuditEvent({
+      module: 'schedule',
+      entityType: 'schedule_proposal',
+      entityId: proposal.id,
+      action: 'create',
+      actor,
+      before: null,
+      after: { id: proposal.id, name: proposal.name, summary: proposal.summary }
+    });
+
+    return proposal;
+  }
+
+  /**
+   * Book a draft proposal: one weekly series per slot, from the term start (or
+   * today, if the term has started) until the term end. Occurrences that clash
+   * with bookings made since the proposal was built are skipped and reported.
+   * The proposal is claimed (draft -> committing) first, so it is booked once;
+   * if booking fails, its series are removed and it goes back to draft.
+   * @returns {Promise<object>} { proposal, series, created, skipped }
+   */
+  async commit(proposal, { actor }) {
+    if (proposal.status !== 'draft') {
+      throw new AppError(`This proposal is already ${proposal.status}`, 400);
+    }
+    if (proposal.end_date < today()) {
+      throw new AppError('This term has already ended', 400);
+    }
+    if (!proposal.sessions.length) {
+      throw new AppError('This proposal has no sessions to book', 400);
+    }
+
+    const [claimed] = await ScheduleProposal.update(
+      { status: 'committing' },
+      { where: { id: proposal.id, status: 'draft' } }
+    );
+    if (!claimed) {
+      await proposal.reload();
+      throw new AppError(`This proposal is already ${proposal.status}`, proposal.status === 'committing' ? 409 : 400);
+    }
+
+    const seriesList = [];
+    const created = [];
+    const skipped = [];
+    try {
+      await this._bookSlots(proposal, { actor, seriesList, created, skipped });
+    } catch (error) {
+      const seriesIds = seriesList.map(series => series.id);
+      await TrainingSession.destroy({ where: { series_id: seriesIds } });
+      await SessionSeries.destroy({ where: { id: seriesIds } });
+      await ScheduleProposal.update({ status: 'draft' }, { where: { id: proposal.id } });
+      throw error;
+    }
+
+    await proposal.update({
+      status: 'committed',
+      series_ids: seriesList.map(series => series.id),
+      committed_by: actor.id,
+      committed_at: new Date()
+    });
+
+    await logAuditEvent({
+      module: 'schedule',
+      entityType: 'schedule_proposal',
+      entityId: proposal.id,
+      action: 'commit',
+      actor,
+      before: { status: 'draft' },
+      after: { status: 'committed', series_ids: proposal.series_ids },
+      metadata: { sessions_created: created.length, sessions_skipped: skipped.length }
+    });
+
+    return { proposal, series: seriesList, created, skipped };
+  }
+
+  /**
+   * Drop a draft proposal without booking anything
+   */
+  async discard(proposal, { actor }) {
+    if (proposal.status !== 'draft') {
+      throw new AppError(`This proposal is already ${proposal.status}`, 400);
+    }
+
+    const [discarded] = await ScheduleProposal.update(
+      { status: 'discarded' },
+      { where: { id: proposal.id, status: 'draft' } }
+    );
+    await proposal.reload();
+    if (!discarded) {
+      throw new AppError(`This proposal is already ${proposal.status}`, proposal.status === 'committing' ? 409 : 400);
+    }
+
+    await logAuditEvent({
+      module: 'schedule',
+      entityType: 'schedule_proposal',
+      entityId: proposal.id,
+      action: 'discard',
+      actor,
+      before: { status: 'draft' },
+      after: { status: 'discarded' }
+    });
+
+    return proposal;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  // Create the series of each slot, collecting them as they are booked
+  async _bookSlots(proposal, { actor, seriesList, created, skipped }) {
+    const from = [proposal.start_date, today()].sort()[1];
+    const weeksAhead = Math.ceil((daysBetween(today(), proposal.end_date) + 1) / 7);
+    const programs = await Program.findAll({
+      where: { id: [...new Set(proposal.sessions.map(slot => slot.program_id))] }
+    });
+
+    for (const slot of proposal.sessions) {
+      const program = programs.find(candidate => candidate.id === slot.program_id);
+      if (!program) {
+        skipped.push({ program_id: slot.program_id, day: slot.day, start_time: slot.start_time, reason: 'program_deleted' });
+        continue;
+      }
+
+      // First occurrence on the slot's day
+      const startDate = addDays(from, (DAYS.indexOf(slot.day) - DAYS.indexOf(dayOfWeek(from)) + 7) % 7);
+      if (startDate > proposal.end_date) continue;
+
+      const result = await sessionSeriesService.createSeries({
+        program,
+        coachId: slot.coach_id,
+        startDate,
+        startTime: slot.start_time,
+        endTime: slot.end_time,
+        facility: slot.facility,
+        rule: normalizeRule({ byDay: [slot.day], until: proposal.end_date }),
+        source: 'schedule_builder',
+        weeksAhead,
+        actor
+      });
+      seriesList.push(result.series);
+      created.push(...result.created);
+      skipped.push(...result.skipped.map(entry => ({ ...entry, series_id: result.series.id })));
+    }
+  }
+
+  // Programs with their coaches, facilities, days and the number of weekly sessions needed
+  async _loadRequests(branch, entries, { startDate, endDate }) {
+    const ids = entries.map(entry => entry.program_id);
+    if (new Set(ids).size !== ids.length) {
+      throw new AppError('Each program can be listed only once', 400);
+    }
+
+    const [programs, assignments] = await Promise.all([
+      Program.findAll({ where: { id: ids } }),
+      CoachProgram.findAll({
+        where: { program_id: ids },
+        include: [{ model: User, as: 'coach', attributes: ['id', 'first_name', 'last_name', 'is_active'] }],
+        order: [['is_primary', 'DESC'], ['assigned_at', 'ASC']]
+      })
+    ]);
+    const branchFacilities = (branch.facilities || []).map(facilityName).filter(Boolean);
+
+    // Availability windows in effect during the term, as { coach_id, day, start, end }
+    const templates = await CoachAvailability.findAll({
+      where: {
+        coach_id: [...new Set(assignments.map(assignment => assignment.coach_id))],
+        [Op.and]: [
+          { [Op.or]: [{ effective_from: null }, { effective_from: { [Op.lte]: endDate } }] },
+          { [Op.or]: [{ effective_until: null }, { effective_until: { [Op.gte]: startDate } }] }
+        ]
+      }
+    });
+    const availability = templates.map(window => ({
+      coach_id: window.coach_id,
+      day: window.day_of_week,
+      start: toMinutes(window.start_time),
+      end: toMinutes(window.end_time)
+    }));
+
+    return entries.map((entry) => {
+      const program = programs.find(candidate => candidate.id === entry.program_id);
+      if (!program) {
+        throw new AppError(`Program ${entry.program_id} not found`, 404);
+      }
+      if (program.branch_id !== branch.id) {
+        throw new AppError(`Program "${program.name}" belongs to another branch`, 400);
+      }
+
+      const weeklyHours = Number(entry.weekly_hours);
+      const minutes = parseInt(entry.session_minutes || DEFAULT_SESSION_MINUTES, 10);
+      if (!(weeklyHours > 0) || !(minutes >= 15)) {
+        throw new AppError(`Program "${program.name}" needs weekly hours and a session length of at least 15 minutes`, 400);
+      }
+
+      const facilities = entry.facilities && entry.facilities.length ? entry.facilities : branchFacilities;
+      const unknown = facilities.filter(facility => !branchFacilities.includes(facility));
+      if (unknown.length) {
+        throw new AppError(`Unknown facilities for this branch: ${unknown.join(', ')}`, 400);
+      }
+
+      const coaches = assignments
+        .filter(assignment => assignment.program_id === program.id && assignment.coach?.is_active !== false)
+        .filter(assignment => !entry.coach_ids || entry.coach_ids.includes(assignment.coach_id))
+        .map(assignment => ({
+          id: assignment.coach_id,
+          name: fullName(assignment.coach),
+          is_primary: assignment.is_primary,
+          availability: availability.filter(window => window.coach_id === assignment.coach_id)
+        }));
+
+      return {
+        program,
+        weekly_hours: weeklyHours,
+        minutes,
+        sessions_needed: Math.ceil((weeklyHours * 60) / minutes),
+        days: entry.days && entry.days.length ? entry.days.map(normalizeDay) : DAYS,
+        // null = no facility to book, e.g. a branch without listed facilities
+        facilities: facilities.length ? facilities : [null],
+        coaches
+      };
+    });
+  }
+
+  // Non-cancelled sessions of the term as weekly { day, start, end } bookings per coach and facility
+  async _weeklyBookings(branchId, coachIds, startDate, endDate) {
+    const sessions = await TrainingSession.findAll({
+      where: {
+        date: { [Op.between]: [startDate, endDate] },
+        is_cancelled: false,
+        [Op.or]: [{ branch_id: branchId }, ...(coachIds.length ? [{ coach_id: coachIds }] : [])]
+      },
+      attributes: ['id', 'branch_id', 'coach_id', 'facility', 'date', 'start_time', 'end_time']
+    });
+
+    return sessions.map(session => ({
+      day: dayOfWeek(session.date),
+      start: toMinutes(session.start_time),
+      end: toMinutes(session.end_time),
+      coach_id: session.coach_id,
+      facility: session.branch_id === branchId ? session.facility : null
+    }));
+  }
+
+  // { sunday: { open: 480, close: 1320 } }, closed days left out
+  _workingHours(branch) {
+    const hours = {};
+    for (const day of DAYS) {
+      const entry = branch.working_hours?.[day];
+      if (!entry || entry.closed || !entry.open || !entry.close) continue;
+      hours[day] = { open: toMinutes(entry.open), close: toMinutes(entry.close) };
+    }
+    return hours;
+  }
+
+  // Rough size of a program's search space, to place the tightest programs first
+  _options(request, hours) {
+    const days = request.days.filter(day => hours[day]).length;
+    return request.coaches.length * request.facilities.length * days;
+  }
+
+  /**
+   * Place one program's weekly sessions
+   * @returns {object} { placed, missing, unplaced }
+   */
+  _placeProgram(request, { hours, busy, placed }) {
+    const { program, coaches, facilities, minutes } = request;
+    const own = [];
+    // Why the candidate slots of the last (failed) search were rejected
+    let reasons = {};
+
+    for (let index = 0; index < request.sessions_needed && coaches.length; index += 1) {
+      reasons = {};
+      const count = (reason) => { reasons[reason] = (reasons[reason] || 0) + 1; };
+      const slot = this._findSlot(request, { hours, busy, placed: [...placed, ...own], own, count });
+      if (!slot) break;
+      own.push(slot);
+    }
+
+    const missing = request.sessions_needed - own.length;
+    if (!missing) {
+      return { placed: own, missing };
+    }
+
+    return {
+      placed: own,
+      missing,
+      unplaced: {
+        program_id: program.id,
+        program_name: program.name,
+        requested: request.sessions_needed,
+        placed: own.length,
+        missing,
+        session_minutes: minutes,
+        reasons: coaches.length ? reasons : { no_coach: 1 },
+        explanation: this._explainUnplaced(request, own, reasons)
+      }
+    };
+  }
+
+  // First free (day, time, coach, facility) for the program's next session, or null
+  _findSlot(request, { hours, busy, placed, own, count }) {
+    const { program, minutes, facilities } = request;
+    const usedDays = own.map(slot => slot.day);
+
+    for (const day of this._dayOrder(request.days, usedDays)) {
+      const window = hours[day];
+      if (!window || window.close - window.open < minutes) {
+        count('outside_working_hours');
+        continue;
+      }
+      if (usedDays.includes(day)) {
+        count('program_same_day');
+        continue;
+      }
+
+      for (let start = window.open; start + minutes <= window.close; start += SLOT_STEP_MINUTES) {
+        const candidate = { day, start, end: start + minutes };
+        const bookings = [...busy, ...placed].filter(booking => booking.day === day && overlaps(booking, candidate));
+
+        // Least-loaded coach first, the primary coach breaking ties
+        const free = this._byLoad(request.coaches, placed)
+          .filter(option => !bookings.some(booking => booking.coach_id === option.id));
+        const coach = free.find(option => this._isAvailable(option, candidate));
+        if (!coach) {
+          count(free.length ? 'coach_unavailable' : 'coach_busy');
+          continue;
+        }
+        const facility = facilities.find(option => option === null || !bookings.some(booking => booking.facility === option));
+        if (facility === undefined) {
+          count('facility_busy');
+          continue;
+        }
+
+        return {
+          ...candidate,
+          program_id: program.id,
+          program_name: program.name,
+          coach_id: coach.id,
+          coach_name: coach.name,
+          coach_is_primary: coach.is_primary,
+          facility,
+          spread: usedDays.length ? Math.min(...usedDays.map(used => this._dayDistance(day, used))) : null
+        };
+      }
+    }
+    return null;
+  }
+
+  // Days furthest from the program's other sessions first, in week order otherwise
+  _dayOrder(days, usedDays) {
+    if (!usedDays.length) return days;
+    const distance = day => Math.min(...usedDays.map(used => this._dayDistance(day, used)));
+    return [...days].sort((a, b) => distance(b) - distance(a) || DAYS.indexOf(a) - DAYS.indexOf(b));
+  }
+
+  _dayDistance(a, b) {
+    const gap = Math.abs(DAYS.indexOf(a) - DAYS.indexOf(b));
+    return Math.min(gap, 7 - gap);
+  }
+
+  // Coaches without a template are always available
+  _isAvailable(coach, slot) {
+    return !coach.availability.length || coach.availability.some(window => (
+      window.day === slot.day && window.start <= slot.start && window.end >= slot.end
+    ));
+  }
+
+  _byLoad(coaches, placed) {
+    const load = id => placed.filter(slot => slot.coach_id === id).length;
+    return [...coaches].sort((a, b) => load(a.id) - load(b.id) || Number(b.is_primary) - Number(a.is_primary));
+  }
+
+  _describeSlot(slot) {
+    const parts = [
+      slot.coach_is_primary ? `primary coach ${slot.coach_name} is free` : `coach ${slot.coach_name} is free`,
+      slot.facility ? `${slot.facility} is free` : 'no facility needed',
+      'inside working hours'
+    ];
+    if (slot.spread !== null) {
+      parts.push(`${slot.spread} day(s) from the program's nearest other session`);
+    }
+
+    return {
+      program_id: slot.program_id,
+      program_name: slot.program_name,
+      day: slot.day,
+      start_time: toTime(slot.start),
+      end_time: toTime(slot.end),
+      minutes: slot.end - slot.start,
+      coach_id: slot.coach_id,
+      coach_name: slot.coach_name,
+      facility: slot.facility,
+      explanation: `Earliest conflict-free time on ${slot.day}: ${parts.join(', ')}`
+    };
+  }
+
+  _explainUnplaced(request, own, reasons) {
+    const { program, sessions_needed: needed, minutes } = request;
+    const missing = needed - own.length;
+    const prefix = `${missing} of ${needed} weekly ${minutes}-minute session(s) for "${program.name}" could not be placed`;
+
+    if (!request.coaches.length) {
+      return `${prefix}: no active coach is assigned to the program`;
+    }
+    const causes = Object.entries(reasons)
+      .sort((a, b) => b[1] - a[1])
+      .map(([reason, times]) => `${REASONS[reason]} (${times} slot(s))`);
+    return `${prefix}: ${causes.join('; ') || 'no time slot is available'}`;
+  }
+}
+
+module.exports = new ScheduleBuilderService();
@@ -0,0 +1,660 @@
+/**
+ * Session Series Service - recurring training sessions
+ *
+ * A series holds a weekly recurrence rule (see utils/recurrence) and the
+ * session template (coach, times, facility). Its TrainingSession rows are
+ * materialized ahead of time; each carries series_id and series_date, the
+ * occurrence it stands for, so generating again only fills what is missing:
+ *
+ *   - occurrences that already have a row (even cancelled or moved) are left alone
+ *   - exception dates (EXDATE), holidays of the series' calendar and closures
+ *     are skipped
+ *   - a slot already taken by a one-off session of the program is skipped
+ *   - occurrences that clash with a coach or facility booking are skipped and
+ *     reported
+ *
+ * Editing or cancelling an occurrence applies to "this" session, "following"
+ * (this one and the rest of the series - the series is split in two) or "all"
+ * upcoming sessions of the series. Sessions already held are never changed.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, SessionSeries, TrainingSession, HolidayCalendar, Holiday, Closure, Program, CoachProgram } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const scheduleService = require('./schedule.service');
+const {
+  DAYS,
+  addDays,
+  dayOfWeek,
+  daysBetween,
+  assertDate,
+  normalizeDay,
+  normalizeRule,
+  parseRRule,
+  expandOccurrences
+} = require('../utils/recurrence');
+const { today } = require('../utils/helpers');
+
+const DEFAULT_WEEKS_AHEAD = 12;
+const SCOPES = ['this', 'following', 'all'];
+
+// '16:00' -> '16:00:00'
+const normalizeTime = value => (value && /^\d{1,2}:\d{2}$/.test(value) ? `${value.padStart(5, '0')}:00` : value);
+
+class SessionSeriesService {
+  /**
+   * Recurrence rule from a request: an RRULE string, or frequency / by_day /
+   * until / count fields (by_day defaults to the day of startDate)
+   */
+  ruleFromRequest({ rrule, frequency = 'weekly', by_day: byDay, until, count }, startDate) {
+    if (rrule) return parseRRule(rrule);
+    if (!['weekly', 'biweekly'].includes(frequency)) {
+      throw new AppError('Frequency must be weekly or biweekly', 400);
+    }
+    return normalizeRule({
+      interval: frequency === 'biweekly' ? 2 : 1,
+      byDay: byDay && byDay.length ? byDay : [dayOfWeek(startDate)],
+      until: until || null,
+      count: count || null
+    });
+  }
+
+  /**
+   * Create a series and materialize its sessions
+   * @returns {Promise<object>} { series, created, skipped }
+   */
+  async createSeries({
+    program,
+    coachId,
+    startDate,
+    startTime,
+    endTime,
+    facility = null,
+    maxCapacity = null,
+    notes = null,
+    rule,
+    exceptionDates = [],
+    holidayCalendarId = null,
+    source = 'manual',
+    weeksAhead = DEFAULT_WEEKS_AHEAD,
+    actor = null
+  }) {
+    assertDate(startDate, 'Start date');
+    if (holidayCalendarId && !(await HolidayCalendar.findByPk(holidayCalendarId))) {
+      throw new AppError('Holiday calendar not found', 404);
+    }
+
+    const series = await SessionSeries.create({
+      program_id: program.id,
+      branch_id: program.branch_id,
+      coach_id: coachId,
+      start_time: normalizeTime(startTime),
+      end_time: normalizeTime(endTime),
+      facility: facility || null,
+      max_capacity: maxCapacity || null,
+      notes,
+      interval_weeks: rule.interval,
+      by_day: rule.by_day,
+      start_date: startDate,
+      until_date: rule.until,
+      occurrence_count: rule.count,
+      exception_dates: [...new Set(exceptionDates.map(date => assertDate(date, 'Exception date')))].sort(),
+      holiday_calendar_id: holidayCalendarId,
+      source,
+      created_by: actor?.id || null
+    });
+
+    const result = await this.materialize(series, { from: startDate, weeksAhead });
+    return { series, ...result };
+  }
+
+  /**
+   * Create the series' missing sessions up to `to` (default weeksAhead from today).
+   * Safe to run any number of times.
+   * @returns {Promise<object>} { created, skipped }
+   */
+  async materialize(series, { from = null, to = null, weeksAhead = DEFAULT_WEEKS_AHEAD } = {}) {
+    if (series.status !== 'active') {
+      return { created: [], skipped: [] };
+    }
+
+    // Never back-fill sessions in the past unless asked for explicitly
+    const windowStart = [series.start_date, from || today()].sort()[1];
+    const windowEnd = [to || addDays(today(), weeksAhead * 7), series.until_date].filter(Boolean).sort()[0];
+    if (windowEnd < windowStart) {
+      return { created: [], skipped: [] };
+    }
+
+    const occurrences = expandOccurrences(this._rule(series), {
+      startDate: series.start_date,
+      from: windowStart,
+      to: windowEnd,
+      exceptionDates: series.exception_dates || [],
+      holidays: await this.getHolidays(series, windowStart, windowEnd)
+    });
+
+    const [existing, oneOffs, program] = await Promise.all([
+      TrainingSession.findAll({ where: { series_id: series.id }, attributes: ['series_date'] }),
+      TrainingSession.findAll({
+        where: {
+          program_id: series.program_id,
+          series_id: null,
+          start_time: { [Op.in]: [series.start_time, series.start_time.slice(0, 5)] },
+          date: { [Op.between]: [windowStart, windowEnd] }
+        },
+        attributes: ['date']
+      }),
+      Program.findByPk(series.program_id, { attributes: ['id', 'capacity', 'current_enrollment'] })
+    ]);
+    const generated = new Set(existing.map(session => session.series_date));
+    const taken = new Set(oneOffs.map(session => session.date));
+
+    const created = [];
+    const skipped = [];
+    for (const occurrence of occurrences) {
+      const { date } = occurrence;
+      if (generated.has(date)) continue;
+
+      if (occurrence.skipped) {
+        skipped.push({ date, reason: occurrence.skipped, ...(occurrence.holiday && { holiday: occurrence.holiday }) });
+        continue;
+      }
+      if (taken.has(date)) {
+        skipped.push({ date, reason: 'exists' });
+        continue;
+      }
+
+      const validation = await scheduleService.validateSession({
+        coach_id: series.coach_id,
+        branch_id: series.branch_id,
+        facility: series.facility,
+        date,
+        start_time: series.start_time,
+        end_time: series.end_time
+      });
+      if (!validation.isValid) {
+        skipped.push({
+          date,
+          reason: 'conflict',
+          conflicts: [
+            ...validation.coachConflicts,
+            ...validation.facilityConflicts,
+            ...validation.closureConflicts,
+            ...validation.leaveConflicts
+          ].map(conflict => conflict.id),
+          ...(validation.availabilityConflicts.length && { unavailable: true })
+        });
+        continue;
+      }
+
+      created.push(await TrainingSession.create({
+        program_id: series.program_id,
+        branch_id: series.branch_id,
+        coach_id: series.coach_id,
+        date,
+        day_of_week: occurrence.day_of_week,
+        start_time: series.start_time,
+        end_time: series.end_time,
+        facility: series.facility,
+        max_capacity: series.max_capacity || program?.capacity || undefined,
+        current_enrollment: program?.current_enrollment || 0,
+        is_recurring: true,
+        series_id: series.id,
+        series_date: date,
+        notes: series.notes
+      }));
+    }
+
+    if (!series.generated_until || series.generated_until < windowEnd) {
+      await series.update({ generated_until: windowEnd });
+    }
+
+    return { created, skipped };
+  }
+
+  /**
+   * Sessions for a program's weekly schedule (Program.schedule), one series per
+   * day and start time. Running it again extends the series instead of
+   * duplicating sessions.
+   * @returns {Promise<object>} { created, skipped, series }
+   */
+  async generateForProgram(programId, { startDate, endDate, weeksAhead = DEFAULT_WEEKS_AHEAD, coachId = null, actor = null } = {}) {
+    const program = await Program.findByPk(programId);
+    if (!program) {
+      throw new AppError('Program not found', 404);
+    }
+
+    const slots = this._scheduleSlots(program.schedule);
+    if (!slots.length) {
+      throw new AppError('Program has no schedule defined', 400);
+    }
+
+    const from = startDate || today();
+    const to = endDate || addDays(from, weeksAhead * 7);
+    const defaultCoach = coachId || (await this._programCoach(program.id));
+
+    const existingSeries = await SessionSeries.findAll({
+      where: { program_id: program.id, source: 'program_schedule', status: 'active' }
+    });
+
+    const created = [];
+    const skipped = [];
+    const seriesList = [];
+    for (const slot of slots) {
+      let series = existingSeries.find(candidate => candidate.by_day.includes(slot.day) && candidate.start_time === slot.start_time);
+
+      if (!series) {
+        const coach = slot.coach_id || defaultCoach;
+        if (!coach) {
+          skipped.push({ day: slot.day, start_time: slot.start_time, reason: 'no_coach' });
+          continue;
+        }
+        series = await SessionSeries.create({
+          program_id: program.id,
+          branch_id: program.branch_id,
+          coach_id: coach,
+          start_time: slot.start_time,
+          end_time: slot.end_time,
+          facility: slot.facility || null,
+          max_capacity: slot.max_capacity || null,
+          by_day: [slot.day],
+          start_date: from,
+          until_date: program.end_date || null,
+          source: 'program_schedule',
+          created_by: actor?.id || null
+        });
+      }
+
+      const result = await this.materialize(series, { from, to });
+      created.push(...result.created);
+      skipped.push(...result.skipped.map(entry => ({ ...entry, series_id: series.id })));
+      seriesList.push(series);
+    }
+
+    return { created, skipped, series: seriesList };
+  }
+
+  /**
+   * Holiday ranges a series skips between two dates: its own calendar, or the
+   * academy-wide and branch default calendars, plus active closures of the
+   * academy and the series' branch
+   */
+  async getHolidays(series, from, to) {
+    const calendarWhere = series.holiday_calendar_id
+      ? { id: series.holiday_calendar_id }
+      : { is_default: true, [Op.or]: [{ branch_id: null }, { branch_id: series.branch_id }] };
+
+    const holidays = await Holiday.findAll({
+      where: {
+        start_date: { [Op.lte]: to },
+        end_date: { [Op.gte]: from }
+      },
+      include: [{
+        model: HolidayCalendar,
+        as: 'calendar',
+        attributes: [],
+        where: { ...calendarWhere, is_active: true }
+      }],
+      attributes: ['name', 'start_date', 'end_date'],
+      order: [['start_date', 'ASC']]
+    });
+
+    const closures = await Closure.findAll({
+      where: {
+        status: 'active',
+        start_date: { [Op.lte]: to },
+        end_date: { [Op.gte]: from },
+        [Op.or]: [{ branch_id: null }, { branch_id: series.branch_id }]
+      },
+      attributes: [['title', 'name'], 'start_date', 'end_date']
+    });
+
+    return [...holidays, ...closures].map(range => range.toJSON());
+  }
+
+  /**
+   * Apply changes to this / following / all sessions of the session's series
+   * @returns {Promise<object>} { sessions, series, conflicts } - nothing is saved when there are conflicts
+   */
+  async updateOccurrences(session, changes, { scope = 'this', actor = null } = {}) {
+    this._assertScope(scope);
+    const series = await this._seriesOf(session);
+    const targets = await this._targets(session, series, scope, { includeCancelled: false });
+
+    const dayShift = changes.date ? daysBetween(session.date, changes.date) : 0;
+    const values = {};
+    ['coach_id', 'start_time', 'end_time', 'facility', 'max_capacity', 'notes'].forEach((field) => {
+      if (changes[field] !== undefined) values[field] = field.endsWith('_time') ? normalizeTime(changes[field]) : changes[field];
+    });
+
+    const plan = targets.map((target) => {
+      const date = addDays(target.date, dayShift);
+      return { target, update: { ...values, date, day_of_week: dayOfWeek(date) } };
+    });
+
+    const conflicts = [];
+    for (const { target, update } of plan) {
+      const validation = await scheduleService.validateSession({
+        coach_id: update.coach_id || target.coach_id,
+        branch_id: target.branch_id,
+        facility: update.facility !== undefined ? update.facility : target.facility,
+        date: update.date,
+        start_time: update.start_time || target.start_time,
+        end_time: update.end_time || target.end_time,
+        session_id: target.id
+      });
+      if (!validation.isValid) {
+        conflicts.push({
+          session_id: target.id,
+          date: update.date,
+          coach: validation.coachConflicts,
+          facility: validation.facilityConflicts,
+          closure: validation.closureConflicts,
+          leave: validation.leaveConflicts,
+          availability: validation.availabilityConflicts
+        });
+      }
+    }
+    if (conflicts.length) {
+      return { sessions: [], series, conflicts };
+    }
+
+    const updatedSeries = await sequelize.transaction(async (transaction) => {
+      let owner = series;
+      if (scope !== 'this') {
+        owner = await this._reshapeSeries(series, session, scope, { values, dayShift, actor, transaction });
+      }
+
+      // Occurrence dates move with the sessions once the rule itself moved
+      const moveOccurrence = scope !== 'this' && dayShift !== 0;
+      if (moveOccurrence || owner.id !== series.id) {
+        await TrainingSession.update(
+          { series_date: null },
+          { where: { id: plan.map(({ target }) => target.id) }, transaction }
+        );
+      }
+      for (const { target, update } of plan) {
+        await target.update({
+          ...update,
+          ...(owner.id !== series.id && { series_id: owner.id }),
+          ...((moveOccurrence || owner.id !== series.id) && {
+            series_date: moveOccurrence ? addDays(target.series_date, dayShift) : target.series_date
+          })
+        }, { transaction });
+      }
+
+      return owner;
+    });
+
+    if (scope !== 'this' && (changes.date || changes.start_time)) {
+      const [first] = plan;
+      await scheduleService.notifyEnrolledPlayers(first.target.id, 'series_updated', {
+        scope,
+        fromDate: first.target.date,
+        newTime: first.target.start_time,
+        sessionsAffected: plan.length
+      });
+    }
+
+    return { sessions: plan.map(({ target }) => target), series: updatedSeries, conflicts: [] };
+  }
+
+  /**
+   * Cancel (or delete) this / following / all upcoming sessions of the series.
+   * Families are told once per call.
+   * @returns {Promise<object>} { sessions, series }
+   */
+  async cancelOccurrences(session, { scope = 'this', reason = null, permanent = false, actor = null } = {}) {
+    this._assertScope(scope);
+    const series = await this._seriesOf(session);
+    const targets = await this._targets(session, series, scope, { includeCancelled: false });
+
+    // Tell families while the sessions still exist
+    if (targets.length) {
+      if (scope === 'this') {
+        await scheduleService.notifyEnrolledPlayers(session.id, 'cancelled', { reason });
+      } else {
+        await scheduleService.notifyEnrolledPlayers(targets[0].id, 'series_cancelled', {
+          reason,
+          scope,
+          fromDate: targets[0].date,
+          sessionsAffected: targets.length
+        });
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (scope === 'this') {
+        // A deleted occurrence must not be generated again
+        if (permanent) {
+          await series.update({
+            exception_dates: [...new Set([...(series.exception_dates || []), session.series_date])].sort()
+          }, { transaction });
+        }
+      } else if (scope === 'following' && session.series_date > series.start_date) {
+        await series.update({ until_date: addDays(session.series_date, -1), occurrence_count: null, status: 'ended' }, { transaction });
+      } else {
+        await series.update({ status: 'cancelled' }, { transaction });
+      }
+
+      for (const target of targets) {
+        if (permanent) {
+          await target.destroy({ transaction });
+        } else {
+          await target.update({
+            is_cancelled: true,
+            cancellation_reason: reason,
+            cancelled_by: actor?.id || null,
+            cancelled_at: new Date()
+          }, { transaction });
+        }
+      }
+    });
+
+    return { sessions: targets, series };
+  }
+
+  /**
+   * Add exception dates: they are never generated, and sessions already on
+   * those dates are cancelled
+   * @returns {Promise<object>} { series, cancelled }
+   */
+  async addExceptions(series, dates, { reason = null, actor = null } = {}) {
+    const exceptions = [...new Set(dates.map(date => assertDate(date, 'Exception date')))];
+    await series.update({ exception_dates: [...new Set([...(series.exception_dates || []), ...exceptions])].sort() });
+
+    const sessions = await TrainingSession.findAll({
+      where: { series_id: series.id, series_date: exceptions, is_cancelled: false }
+    });
+    for (const session of sessions) {
+      await scheduleService.notifyEnrolledPlayers(session.id, 'cancelled', { reason });
+      await session.update({
+        is_cancelled: true,
+        cancellation_reason: reason,
+        cancelled_by: actor?.id || null,
+        cancelled_at: new Date()
+      });
+    }
+
+    return { series, cancelled: sessions };
+  }
+
+  /**
+   * Remove an exception date: the occurrence is reinstated (or generated)
+   * @returns {Promise<object>} { series, session, skipped }
+   */
+  async removeException(series, date) {
+    assertDate(date, 'Exception date');
+    if (!(series.exception_dates || []).includes(date)) {
+      throw new AppError(`${date} is not an exception date of this series`, 404);
+    }
+    await series.update({ exception_dates: series.exception_dates.filter(exception => exception !== date) });
+
+    const existing = await TrainingSession.findOne({ where: { series_id: series.id, series_date: date } });
+    if (existing) {
+      if (existing.is_cancelled) {
+        const validation = await scheduleService.validateSession({ ...existing.toJSON(), session_id: existing.id });
+        if (!validation.isValid) {
+          return { series, session: null, skipped: [{ date, reason: 'conflict' }] };
+        }
+        await existing.update({ is_cancelled: false, cancellation_reason: null, cancelled_by: null, cancelled_at: null });
+      }
+      return { series, session: existing, skipped: [] };
+    }
+
+    const result = await this.materialize(series, { from: date, to: date });
+    return { series, session: result.created[0] || null, skipped: result.skipped };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  _rule(series) {
+    return {
+      interval: series.interval_weeks,
+      by_day: series.by_day,
+      until: series.until_date,
+      count: series.occurrence_count
+    };
+  }
+
+  _assertScope(scope) {
+    if (!SCOPES.includes(scope)) {
+      throw new AppError(`Scope must be one of: ${SCOPES.join(', ')}`, 400);
+    }
+  }
+
+  async _seriesOf(session) {
+    const series = session.series_id ? await SessionSeries.findByPk(session.series_id) : null;
+    if (!series) {
+      throw new AppError('This session is not part of a recurring series', 400);
+    }
+    return series;
+  }
+
+  // Sessions a scoped change applies to; held sessions (before today) never change
+  async _targets(session, series, scope, { includeCancelled }) {
+    if (scope === 'this') return [session];
+
+    const where = {
+      series_id: series.id,
+      id: { [Op.ne]: session.id },
+      date: { [Op.gte]: today() },
+      ...(!includeCancelled && { is_cancelled: false })
+    };
+    if (scope === 'following') {
+      where.series_date = { [Op.gte]: session.series_date };
+    }
+
+    const others = await TrainingSession.findAll({ where, order: [['date', 'ASC'], ['start_time', 'ASC']] });
+    return [session, ...others].sort((a, b) => (a.date === b.date ? 0 : (a.date < b.date ? -1 : 1)));
+  }
+
+  /**
+   * Carry a "following" / "all" edit into the rule. "all" edits the series in
+   * place; "following" ends it before this occurrence and continues in a new
+   * series. Returns the series the sessions belong to afterwards.
+   */
+  async _reshapeSeries(series, session, scope, { values, dayShift, actor, transaction }) {
+    const shiftDay = day => DAYS[(DAYS.indexOf(day) + dayShift % 7 + 7) % 7];
+    const template = {
+      ...(values.coach_id && { coach_id: values.coach_id }),
+      ...(values.start_time && { start_time: values.start_time }),
+      ...(values.end_time && { end_time: values.end_time }),
+      ...(values.facility !== undefined && { facility: values.facility || null }),
+      ...(values.max_capacity && { max_capacity: values.max_capacity }),
+      ...(values.notes !== undefined && { notes: values.notes }),
+      ...(dayShift && { by_day: [...new Set(series.by_day.map(shiftDay))].sort((a, b) => DAYS.indexOf(a) - DAYS.indexOf(b)) })
+    };
+
+    if (scope === 'all' || session.series_date <= series.start_date) {
+      await series.update({
+        ...template,
+        ...(dayShift && {
+          start_date: addDays(series.start_date, dayShift),
+          exception_dates: (series.exception_dates || []).map(date => addDays(date, dayShift))
+        })
+      }, { transaction });
+      return series;
+    }
+
+    // Occurrences the old rule produced before the split count against COUNT
+    let remaining = null;
+    if (series.occurrence_count) {
+      const before = expandOccurrences(this._rule(series), {
+        startDate: series.start_date,
+        to: addDays(session.series_date, -1)
+      }).length;
+      remaining = Math.max(series.occurrence_count - before, 1);
+    }
+
+    const continuation = await SessionSeries.create({
+      ...series.toJSON(),
+      id: undefined,
+      rrule: undefined,
+      created_at: undefined,
+      updated_at: undefined,
+      createdAt: undefined,
+      updatedAt: undefined,
+      ...template,
+      start_date: addDays(session.series_date, dayShift),
+      occurrence_count: remaining,
+      until_date: series.until_date,
+      exception_dates: (series.exception_dates || [])
+        .filter(date => date >= session.series_date)
+        .map(date => addDays(date, dayShift)),
+      generated_until: series.generated_until ? addDays(series.generated_until, dayShift) : null,
+      split_from_id: series.id,
+      created_by: actor?.id || series.created_by
+    }, { transaction });
+
+    await series.update({
+      until_date: addDays(session.series_date, -1),
+      occurrence_count: null,
+      status: 'ended'
+    }, { transaction });
+
+    // Cancelled occurrences move too, so the continuation does not re-create them
+    const cancelled = await TrainingSession.findAll({
+      where: { series_id: series.id, series_date: { [Op.gte]: session.series_date }, is_cancelled: true },
+      transaction
+    });
+    for (const occurrence of cancelled) {
+      await occurrence.update({
+        series_id: continuation.id,
+        series_date: addDays(occurrence.series_date, dayShift)
+      }, { transaction });
+    }
+
+    return continuation;
+  }
+
+  // Program.schedule entries: { day, start_time, end_time, coach_id?, facility? }
+  // or the older { day, sessions: [...] } shape
+  _scheduleSlots(schedule) {
+    return (Array.isArray(schedule) ? schedule : []).flatMap((entry) => {
+      if (!entry?.day) return [];
+      const day = normalizeDay(entry.day);
+      const sessions = Array.isArray(entry.sessions) ? entry.sessions : [entry];
+      return sessions
+        .filter(session => session.start_time && session.end_time)
+        .map(session => ({
+          ...session,
+          day,
+          start_time: normalizeTime(session.start_time),
+          end_time: normalizeTime(session.end_time)
+        }));
+    });
+  }
+
+  async _programCoach(programId) {
+    const assignments = await CoachProgram.findAll({
+      where: { program_id: programId },
+      order: [['is_primary', 'DESC']]
+    });
+    return assignments[0]?.coach_id || null;
+  }
+}
+
+module.exports = new SessionSeriesService();
@@ -0,0 +1,359 @@
+/**
+ * Subscription Lifecycle Service - the subscription state machine
+ *
+ *   pending ──paid──> active ──ends within EXPIRING_DAYS──> expiring ──end_date passed──> expired
+ *                       │  ▲                                   │                            │
+ *                       │  └──── paid / extended / thawed ─────┘                            │
+ *                       ├──> suspended (overdue installment)                                │
+ *                       ├──> frozen (while a SubscriptionFreeze is in progress)             │
+ *                       └──> cancelled                              active <── staff ───────┘
+ *
+ * Allowed moves are SUBSCRIPTION_TRANSITIONS (config/constants); the Subscription
+ * model rejects anything else and writes a SubscriptionEvent for every change.
+ * Call transition() to change a status with its source / reason / actor.
+ *
+ * The daily scheduler job calls runDailyTransitions(): freezes starting or
+ * ending today freeze / thaw their subscriptions, active subscriptions close
+ * to their end become expiring and past-dated ones expire.
+ */
+
+const { Op } = require('sequelize');
+const { Subscription, SubscriptionEvent, SubscriptionFreeze, Program, Player } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const NotificationService = require('./notification.service');
+const { toDateOnly, toAcademyDate, addDays } = require('../utils/helpers');
+const {
+  SUBSCRIPTION_STATUS, SUBSCRIPTION_TRANSITIONS, CURRENT_SUBSCRIPTION_STATUSES, SUBSCRIPTION_LIFECYCLE
+} = require('../config/constants');
+
+// Inclusive number of days between two dates
+const daysInclusive = (startDate, endDate) => Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24)) + 1;
+
+// Statuses whose end date still decides between active / expiring / expired
+const DATED_STATUSES = [SUBSCRIPTION_STATUS.PENDING, SUBSCRIPTION_STATUS.SUSPENDED, ...CURRENT_SUBSCRIPTION_STATUSES];
+
+class SubscriptionLifecycleService {
+  /**
+   * Whether a subscription may move from one status to another
+   */
+  canTransition(fromStatus, toStatus) {
+    return (SUBSCRIPTION_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Change a subscription's status (and optionally other fields) and log it
+   * @param {object} subscription - Subscription instance
+   * @param {string} status - Target status; the current status only applies `updates`
+   * @param {object} options
+   * @param {string} options.source - manual | payment | lifecycle_job | freeze | refund | installment | renewal | ...
+   * @param {string} options.reason - Shown in the subscription history
+   * @param {object} options.actor - Staff user making the change
+   * @param {object} options.updates - Other fields to save with the status
+   * @param {object} options.metadata - Extra details for the history row
+   * @param {object} options.transaction
+   * @returns {Promise<object>} The updated subscription
+   * @throws {AppError} 400 when the transition is not allowed
+   */
+  async transition(subscription, status, {
+    source = 'system',
+    reason = null,
+    actor = null,
+    updates = {},
+    metadata = null,
+    transaction = null
+  } = {}) {
+    if (status !== subscription.status && !this.canTransition(subscription.status, status)) {
+      throw new AppError(`Cannot change subscription status from ${subscription.status} to ${status}`, 400);
+    }
+
+    return subscription.update({ ...updates, status }, {
+      transaction,
+      lifecycle: { source, reason, actorId: actor?.id || null, metadata }
+    });
+  }
+
+  /**
+   * Status a paid-up subscription should have on `now` based on its end date
+   */
+  statusForDates(subscription, now = new Date()) {
+    const today = toAcademyDate(now);
+    if (subscription.end_date < today) return SUBSCRIPTION_STATUS.EXPIRED;
+    if (subscription.end_date <= toDateOnly(addDays(today, SUBSCRIPTION_LIFECYCLE.EXPIRING_DAYS))) {
+      return SUBSCRIPTION_STATUS.EXPIRING;
+    }
+    return SUBSCRIPTION_STATUS.ACTIVE;
+  }
+
+  /**
+   * Status history of a subscription, oldest first
+   */
+  async getHistory(subscriptionId) {
+    return SubscriptionEvent.findAll({
+      where: { subscription_id: subscriptionId },
+      include: [{ association: 'actor', attributes: ['id', 'first_name', 'last_name', 'role'] }],
+      order: [['created_at', 'ASC']]
+    });
+  }
+
+  /**
+   * Subscriptions a freeze applies to (scope: global / branch / program / player)
+   * @param {object} freeze - SubscriptionFreeze
+   * @param {string[]} statuses - Subscription statuses to include
+   */
+  async findFreezeSubscriptions(freeze, statuses = [SUBSCRIPTION_STATUS.PENDING, SUBSCRIPTION_STATUS.FROZEN, ...CURRENT_SUBSCRIPTION_STATUSES], { transaction = null } = {}) {
+    const where = {
+      status: { [Op.in]: statuses },
+      end_date: { [Op.gte]: freeze.start_date }
+    };
+    if (freeze.scope === 'program') where.program_id = freeze.program_id;
+    if (freeze.player_id) where.player_id = freeze.player_id;
+
+    const include = freeze.scope === 'branch'
+      ? [{ model: Program, as: 'program', attributes: ['id', 'name'], where: { branch_id: freeze.branch_id }, required: true }]
+      : [];
+
+    return Subscription.findAll({ where, include, transaction });
+  }
+
+  /**
+   * A scheduled / active freeze of the same scope overlapping the dates
+   * @returns {Promise<object|null>}
+   */
+  async findOverlappingFreeze({ scope, branchId = null, programId = null, playerId = null, startDate, endDate }) {
+    return SubscriptionFreeze.findOne({
+      where: {
+        status: { [Op.in]: ['scheduled', 'active'] },
+        start_date: { [Op.lte]: endDate },
+        end_date: { [Op.gte]: startDate },
+        ...(scope === 'branch' ? { branch_id: branchId } : {}),
+        ...(scope === 'program' ? { program_id: programId, player_id: playerId || null } : {}),
+        scope
+      }
+    });
+  }
+
+  /**
+   * Create a freeze and apply it straight away: matching subscriptions are
+   * extended by the frozen days, a freeze in progress freezes them now, and
+   * parents are notified
+   * @param {object} attributes - title, title_ar, start_date, end_date, scope, branch_id, program_id, player_id
+   * @param {object} options
+   * @param {object} options.transaction - Apply inside the caller's transaction; the caller
+   *   then runs afterFreeze() once it has committed
+   * @returns {Promise<object>} The freeze
+   */
+  async createFreeze(attributes, { actor, transaction = null }) {
+    const today = toAcademyDate();
+    let status = 'scheduled';
+    if (attributes.start_date <= today && attributes.end_date >= today) {
+      status = 'active';
+    } else if (attributes.end_date < today) {
+      status = 'completed';
+    }
+
+    const freeze = await SubscriptionFreeze.create({
+      ...attributes,
+      freeze_days: daysInclusive(attributes.start_date, attributes.end_date),
+      status,
+      created_by: actor.id,
+      applied: false,
+      subscriptions_affected: 0
+    }, { transaction });
+
+    const affected = await this._shiftFreezeSubscriptions(freeze, 1, transaction);
+    await freeze.update({ applied: true, subscriptions_affected: affected }, { transaction });
+
+    if (!transaction) {
+      await this.afterFreeze(freeze);
+    }
+
+    return freeze;
+  }
+
+  /**
+   * Once a new freeze is in place: freeze the subscriptions it covers today and notify parents
+   */
+  async afterFreeze(freeze) {
+    await this.syncFreezes();
+    await this._notifyFreeze(freeze, false);
+  }
+
+  /**
+   * Cancel a freeze: subtract its days back from the subscriptions, thaw the
+   * ones it was holding and notify parents
+   */
+  async cancelFreeze(freeze) {
+    if (!freeze.applied) {
+      return freeze.update({ status: 'cancelled' });
+    }
+
+    const reverted = await this._shiftFreezeSubscriptions(freeze, -1);
+    await freeze.update({ status: 'cancelled', subscriptions_affected: reverted });
+
+    await this.syncFreezes();
+    await this._notifyFreeze(freeze, true);
+
+    return freeze;
+  }
+
+  /**
+   * Bring freezes and frozen subscriptions in line with `now`: freezes in
+   * progress freeze their current subscriptions; subscriptions no longer
+   * covered by one go back to active / expiring.
+   * @returns {Promise<object>} { frozen, thawed }
+   */
+  async syncFreezes(now = new Date()) {
+    const today = toAcademyDate(now);
+
+    await SubscriptionFreeze.update(
+      { status: 'active' },
+      { where: { status: 'scheduled', start_date: { [Op.lte]: today }, end_date: { [Op.gte]: today } } }
+    );
+    await SubscriptionFreeze.update(
+      { status: 'completed' },
+      { where: { status: { [Op.in]: ['scheduled', 'active'] }, end_date: { [Op.lt]: today } } }
+    );
+
+    const freezes = await SubscriptionFreeze.findAll({ where: { status: 'active', applied: true } });
+    const covered = new Set();
+    let frozen = 0;
+
+    for (const freeze of freezes) {
+      const subscriptions = await this.findFreezeSubscriptions(freeze, [SUBSCRIPTION_STATUS.FROZEN, ...CURRENT_SUBSCRIPTION_STATUSES]);
+      for (const subscription of subscriptions) {
+        covered.add(subscription.id);
+        if (subscription.status === SUBSCRIPTION_STATUS.FROZEN) continue;
+
+        await this.transition(subscription, SUBSCRIPTION_STATUS.FROZEN, {
+          source: 'freeze',
+          reason: freeze.title,
+          metadata: { freeze_id: freeze.id }
+        });
+        frozen++;
+      }
+    }
+
+    const thawing = await Subscription.findAll({ where: { status: SUBSCRIPTION_STATUS.FROZEN } });
+    let thawed = 0;
+    for (const subscription of thawing.filter(s => !covered.has(s.id))) {
+      await this.transition(subscription, this.statusForDates(subscription, now), {
+        source: 'freeze',
+        reason: 'Freeze ended'
+      });
+      thawed++;
+    }
+
+    return { frozen, thawed };
+  }
+
+  /**
+   * Daily lifecycle job: freezes, active <-> expiring and expiry
+   * @returns {Promise<object>} { frozen, thawed, expiring, reactivated, expired }
+   */
+  async runDailyTransitions(now = new Date()) {
+    const results = { ...(await this.syncFreezes(now)), expiring: 0, reactivated: 0, expired: 0 };
+    // The job runs just after midnight in the academy, which is still yesterday in UTC
+    const today = toAcademyDate(now);
+    const expiringFrom = toDateOnly(addDays(today, SUBSCRIPTION_LIFECYCLE.EXPIRING_DAYS));
+
+    const expired = await Subscription.findAll({
+      where: { status: { [Op.in]: DATED_STATUSES }, end_date: { [Op.lt]: today } }
+    });
+    for (const subscription of expired) {
+      await this.transition(subscription, SUBSCRIPTION_STATUS.EXPIRED, {
+        source: 'lifecycle_job',
+        reason: `Ended on ${subscription.end_date}`
+      });
+      results.expired++;
+    }
+
+    const expiring = await Subscription.findAll({
+      where: {
+        status: SUBSCRIPTION_STATUS.ACTIVE,
+        start_date: { [Op.lte]: today },
+        end_date: { [Op.between]: [today, expiringFrom] }
+      }
+    });
+    for (const subscription of expiring) {
+      await this.transition(subscription, SUBSCRIPTION_STATUS.EXPIRING, {
+        source: 'lifecycle_job',
+        reason: `Ends on ${subscription.end_date}`
+      });
+      results.expiring++;
+    }
+
+    // Extended since (refund reversal, freeze, staff edit)
+    const extended = await Subscription.findAll({
+      where: { status: SUBSCRIPTION_STATUS.EXPIRING, end_date: { [Op.gt]: expiringFrom } }
+    });
+    for (const subscription of extended) {
+      await this.transition(subscription, SUBSCRIPTION_STATUS.ACTIVE, {
+        source: 'lifecycle_job',
+        reason: `Extended to ${subscription.end_date}`
+      });
+      results.reactivated++;
+    }
+
+    return results;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  // Extend (direction 1) or revert (direction -1) end dates by the freeze days
+  async _shiftFreezeSubscriptions(freeze, direction, transaction = null) {
+    const subscriptions = await this.findFreezeSubscriptions(freeze, undefined, { transaction });
+    const days = freeze.freeze_days * direction;
+
+    for (const sub of subscriptions) {
+      await sub.update({
+        end_date: toDateOnly(addDays(sub.end_date, days)),
+        notes: (sub.notes || '') + (direction > 0
+          ? `\n[Freeze] Extended ${freeze.freeze_days} days - ${freeze.title} (${freeze.start_date} to ${freeze.end_date})`
+          : `\n[Freeze Cancelled] Reverted ${freeze.freeze_days} days - ${freeze.title}`)
+      }, { transaction });
+    }
+
+    return subscriptions.length;
+  }
+
+  async _notifyFreeze(freeze, isCancellation) {
+    try {
+      const subscriptions = await this.findFreezeSubscriptions(freeze);
+      const players = await Player.findAll({
+        where: { id: { [Op.in]: [...new Set(subscriptions.map(s => s.player_id))] } },
+        attributes: ['id', 'parent_id']
+      });
+      const parentIds = [...new Set(players.filter(p => p.parent_id).map(p => p.parent_id))];
+
+      for (const parentId of parentIds) {
+        if (isCancellation) {
+          await NotificationService.create({
+            userId: parentId,
+            type: 'freeze_cancelled',
+            title: `Subscription Freeze Cancelled: ${freeze.title}`,
+            titleAr: `تم إلغاء تجميد الاشتراك: ${freeze.title_ar || freeze.title}`,
+            message: `The subscription freeze "${freeze.title}" (${freeze.start_date} to ${freeze.end_date}) has been cancelled. ${freeze.freeze_days} days have been subtracted back from your subscription.`,
+            messageAr: `تم إلغاء تجميد الاشتراك "${freeze.title_ar || freeze.title}" (${freeze.start_date} إلى ${freeze.end_date}). تم خصم ${freeze.freeze_days} أيام من اشتراكك.`,
+            data: { freeze_id: freeze.id }
+          });
+        } else {
+          await NotificationService.create({
+            userId: parentId,
+            type: 'freeze_created',
+            title: `Subscription Frozen: ${freeze.title}`,
+            titleAr: `تجميد الاشتراك: ${freeze.title_ar || freeze.title}`,
+            message: `Your subscription has been extended by ${freeze.freeze_days} days due to "${freeze.title}" (${freeze.start_date} to ${freeze.end_date}). No action needed.`,
+            messageAr: `تم تمديد اشتراكك ${freeze.freeze_days} أيام بسبب "${freeze.title_ar || freeze.title}" (${freeze.start_date} إلى ${freeze.end_date}). لا حاجة لأي إجراء.`,
+            data: { freeze_id: freeze.id }
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Failed to notify parents about freeze:', error);
+    }
+  }
+}
+
+module.exports = new SubscriptionLifecycleService();
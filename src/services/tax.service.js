@@ -0,0 +1,164 @@
+/**
+ * Tax Service - server-side VAT for payment totals
+ *
+ * Rates come from Branch.settings:
+ *   settings.vat_rate           - Default VAT percent for the branch (default: 15)
+ *   settings.vat_rates          - Per payment type overrides, e.g. { registration: 0, product: 15 }
+ *   settings.prices_include_tax - Default pricing basis when no program/plan is involved (default: true)
+ *
+ * Pricing basis: ProgramPricingPlan.prices_include_tax, falling back to
+ * Program.prices_include_tax, then the branch setting.
+ *
+ * Calculated payment columns:
+ *   amount          - List price excluding VAT
+ *   discount_amount - Discount excluding VAT
+ *   tax_amount      - VAT on (amount - discount_amount)
+ *   total_amount    - amount - discount_amount + tax_amount
+ *
+ * Every figure is rounded half-up to the currency's minor unit (2 decimals,
+ * 3 for KWD / BHD / OMR / JOD). For tax-inclusive prices the customer-facing
+ * total is kept exactly and VAT is extracted from it, so the total never
+ * drifts by a halala.
+ */
+
+const { Branch } = require('../models');
+const { CURRENCY, DEFAULT_VAT_RATE } = require('../config/constants');
+const { roundToCurrency } = require('../utils/currency');
+
+class TaxService {
+  /**
+   * Round a money value to the currency's minor unit (half-up)
+   * @param {number|string} value
+   * @param {string} currency - ISO code (default: CURRENCY.DEFAULT)
+   * @returns {number}
+   */
+  round(value, currency = CURRENCY.DEFAULT) {
+    return roundToCurrency(value, currency);
+  }
+
+  /**
+   * Get the VAT percent for a branch and payment type
+   * @param {object|null} branch - Branch instance
+   * @param {string} type - Payment type (subscription, registration, product, other)
+   * @returns {number} VAT percent
+   */
+  getRate(branch, type = null) {
+    const settings = branch?.settings || {};
+    const typeRate = type ? settings.vat_rates?.[type] : undefined;
+
+    if (typeRate !== undefined && typeRate !== null && typeRate !== '') {
+      return parseFloat(typeRate) || 0;
+    }
+    if (settings.vat_rate !== undefined && settings.vat_rate !== null && settings.vat_rate !== '') {
+      return parseFloat(settings.vat_rate) || 0;
+    }
+    return DEFAULT_VAT_RATE;
+  }
+
+  /**
+   * Whether prices are entered tax-inclusive
+   * @param {object} sources
+   * @param {object} sources.pricingPlan - ProgramPricingPlan (optional)
+   * @param {object} sources.program - Program (optional)
+   * @param {object} sources.branch - Branch (optional)
+   * @returns {boolean}
+   */
+  isInclusive({ pricingPlan = null, program = null, branch = null } = {}) {
+    const flags = [
+      pricingPlan?.prices_include_tax,
+      program?.prices_include_tax,
+      branch?.settings?.prices_include_tax
+    ];
+    const flag = flags.find((value) => value !== undefined && value !== null);
+    return flag === undefined ? true : Boolean(flag);
+  }
+
+  /**
+   * Split a price into net amount, discount, VAT and total
+   * @param {object} params
+   * @param {number} params.price - List price (inclusive or exclusive of VAT)
+   * @param {number} params.discount - Discount on the same basis as price
+   * @param {number} params.rate - VAT percent
+   * @param {boolean} params.inclusive - Whether price and discount include VAT
+   * @param {string} params.currency - Currency the figures are rounded to
+   * @returns {object} { amount, discount_amount, taxable_amount, tax_amount, total_amount, tax_rate }
+   */
+  calculate({ price, discount = 0, rate = DEFAULT_VAT_RATE, inclusive = true, currency = CURRENCY.DEFAULT }) {
+    const roundAmount = (value) => roundToCurrency(value, currency);
+    const gross = Math.max(roundAmount(price), 0);
+    const grossDiscount = Math.min(Math.max(roundAmount(discount), 0), gross);
+    const taxRate = parseFloat(rate) || 0;
+    const factor = 1 + taxRate / 100;
+
+    if (inclusive) {
+      const total = roundAmount(gross - grossDiscount);
+      const taxable = roundAmount(total / factor);
+      const amount = roundAmount(gross / factor);
+
+      return {
+        amount,
+        discount_amount: roundAmount(amount - taxable),
+        taxable_amount: taxable,
+        tax_amount: roundAmount(total - taxable),
+        total_amount: total,
+        tax_rate: taxRate
+      };
+    }
+
+    const taxable = roundAmount(gross - grossDiscount);
+    const tax = roundAmount(taxable * taxRate / 100);
+
+    return {
+      amount: gross,
+      discount_amount: grossDiscount,
+      taxable_amount: taxable,
+      tax_amount: tax,
+      total_amount: roundAmount(taxable + tax),
+      tax_rate: taxRate
+    };
+  }
+
+  /**
+   * Calculate payment columns for a branch, payment type and pricing source
+   * @param {object} params
+   * @param {object|string} params.branch - Branch instance or ID
+   * @param {string} params.type - Payment type
+   * @param {number} params.price - List price
+   * @param {number} params.discount - Discount on the same basis as price
+   * @param {object} params.pricingPlan - ProgramPricingPlan (optional)
+   * @param {object} params.program - Program (optional)
+   * @param {boolean} params.inclusive - Explicit pricing basis (optional)
+   * @returns {Promise<object>} Payment amount fields incl. tax_rate
+   */
+  async calculateForPayment({ branch, type = 'subscription', price, discount = 0, pricingPlan = null, program = null, inclusive }) {
+    const branchRecord = typeof branch === 'string' ? await Branch.findByPk(branch) : branch;
+    const pricesIncludeTax = inclusive !== undefined && inclusive !== null
+      ? Boolean(inclusive)
+      : this.isInclusive({ pricingPlan, program: program || pricingPlan?.program, branch: branchRecord });
+
+    const result = this.calculate({
+      price,
+      discount,
+      rate: this.getRate(branchRecord, type),
+      inclusive: pricesIncludeTax,
+      currency: branchRecord?.currency || CURRENCY.DEFAULT
+    });
+
+    return { ...result, prices_include_tax: pricesIncludeTax };
+  }
+
+  /**
+   * Split a set of completed payments into net revenue and VAT collected
+   * @param {object} totals - { total, tax } sums
+   * @param {string} currency - Currency of the sums
+   * @returns {object} { gross, vat, net }
+   */
+  splitRevenue({ total, tax }, currency = CURRENCY.DEFAULT) {
+    const roundAmount = (value) => roundToCurrency(value, currency);
+    const gross = roundAmount(total);
+    const vat = roundAmount(tax);
+    return { gross, vat, net: roundAmount(gross - vat) };
+  }
+}
+
+module.exports = new TaxService();
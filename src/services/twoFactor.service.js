@@ -0,0 +1,244 @@
+/**
+ * Two-Factor Authentication Service
+ * Staff 2FA via TOTP authenticator apps (RFC 6238) or SMS codes, with
+ * single-use recovery codes and an academy-wide per-role policy.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { OTP, SystemSetting } = require('../models');
+const smsService = require('./sms.service');
+const { TWO_FACTOR } = require('../config/constants');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const POLICY_KEY = 'two_factor_policy';
+
+class TwoFactorService {
+  // ==================== TOTP ====================
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TWO_FACTOR.TOTP_PERIOD_SECONDS);
+  }
+
+  /**
+   * TOTP code for a given time step (HMAC-SHA1, 6 digits)
+   */
+  generateTotp(secret, step = this.currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % 10 ** TWO_FACTOR.TOTP_DIGITS).padStart(TWO_FACTOR.TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Verify a TOTP code allowing one step of clock drift either way.
+   * @returns {number|null} The matched time step, or null
+   */
+  verifyTotp(secret, code, lastUsedStep = null) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== TWO_FACTOR.TOTP_DIGITS) {
+      return null;
+    }
+
+    const now = this.currentStep();
+    for (let drift = -TWO_FACTOR.TOTP_WINDOW; drift <= TWO_FACTOR.TOTP_WINDOW; drift++) {
+      const step = now + drift;
+      // A code can only be used once
+      if (lastUsedStep !== null && lastUsedStep !== undefined && step <= Number(lastUsedStep)) {
+        continue;
+      }
+      const expected = this.generateTotp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  getOtpauthUrl(user, secret) {
+    const issuer = TWO_FACTOR.ISSUER;
+    const account = user.email || user.phone;
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TWO_FACTOR.TOTP_DIGITS}&period=${TWO_FACTOR.TOTP_PERIOD_SECONDS}`;
+  }
+
+  // ==================== SMS ====================
+
+  async sendSmsCode(user, req = null) {
+    if (!user.phone) {
+      throw new Error('User has no phone number for SMS verification');
+    }
+
+    const otp = await OTP.createOTP(user.phone, 'two_factor', req);
+    const message = `رمز الدخول الخاص بك هو: ${otp.code}\nYour sign-in code is: ${otp.code}\nValid for 5 minutes.`;
+    await smsService.send(user.phone, message);
+
+    return otp;
+  }
+
+  maskPhone(phone) {
+    if (!phone) return null;
+    return `${phone.slice(0, 4)}****${phone.slice(-3)}`;
+  }
+
+  // ==================== RECOVERY CODES ====================
+
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * @returns {{ codes: string[], hashes: string[] }} Plain codes (shown once) and their hashes (stored)
+   */
+  generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < TWO_FACTOR.RECOVERY_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(code => this.hashRecoveryCode(code)) };
+  }
+
+  // ==================== VERIFICATION ====================
+
+  /**
+   * Verify a second-factor code for a user with 2FA enabled (or being enabled).
+   * Accepted TOTP steps and used recovery codes are persisted so they can't be replayed.
+   * @returns {Promise<string|null>} 'totp' | 'sms' | 'recovery', or null when invalid
+   */
+  async verifyCode(user, code, { allowRecovery = true } = {}) {
+    if (!code) return null;
+
+    if (user.two_factor_method === 'totp' && user.two_factor_secret) {
+      const step = this.verifyTotp(user.two_factor_secret, code, user.two_factor_last_step);
+      if (step !== null) {
+        await user.update({ two_factor_last_step: step });
+        return 'totp';
+      }
+    }
+
+    if (user.two_factor_method === 'sms' && user.phone) {
+      const result = await OTP.verifyOTP(user.phone, String(code).trim(), 'two_factor');
+      if (result.valid) {
+        return 'sms';
+      }
+    }
+
+    if (allowRecovery && user.two_factor_enabled && Array.isArray(user.two_factor_recovery_codes)) {
+      const hash = this.hashRecoveryCode(code);
+      if (user.two_factor_recovery_codes.includes(hash)) {
+        await user.update({
+          two_factor_recovery_codes: user.two_factor_recovery_codes.filter(h => h !== hash)
+        });
+        return 'recovery';
+      }
+    }
+
+    return null;
+  }
+
+  // ==================== TOKENS ====================
+
+  /**
+   * Short-lived token proving the password step passed.
+   * type '2fa' = waiting for a code, '2fa_setup' = must enrol before signing in.
+   */
+  signToken(user, type) {
+    return jwt.sign(
+      { userId: user.id, type },
+      process.env.JWT_SECRET,
+      { expiresIn: TWO_FACTOR.TOKEN_EXPIRES_IN }
+    );
+  }
+
+  verifyToken(token, type) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== type) {
+      throw new Error('Invalid token type');
+    }
+    return decoded;
+  }
+
+  // ==================== POLICY ====================
+
+  isAvailableFor(user) {
+    return TWO_FACTOR.STAFF_ROLES.includes(user.role);
+  }
+
+  async getPolicy() {
+    const policy = await SystemSetting.getValue(POLICY_KEY, {});
+    return {
+      required_roles: Array.isArray(policy.required_roles) ? policy.required_roles : []
+    };
+  }
+
+  async setPolicy({ required_roles = [] }, userId) {
+    const roles = [...new Set(required_roles)].filter(role => TWO_FACTOR.STAFF_ROLES.includes(role));
+    await SystemSetting.setValue(POLICY_KEY, { required_roles: roles }, userId, 'Roles that must use two-factor authentication');
+    return { required_roles: roles };
+  }
+
+  async isRequiredFor(user) {
+    if (!this.isAvailableFor(user)) return false;
+    const policy = await this.getPolicy();
+    return policy.required_roles.includes(user.role);
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,321 @@
+/**
+ * Waitlist Service - offers, acceptance and expiry for full programs
+ *
+ *   waiting    the family is queued; `position` is its place in the queue
+ *   notified   a spot was offered; the family has WAITLIST.OFFER_HOURS to
+ *              accept or decline, and the spot is held for them meanwhile
+ *   enrolled   the offer was accepted: the player joins the program and a
+ *              pending registration Payment is raised for the program's fee
+ *   declined / expired / cancelled
+ *              the entry leaves the queue; its spot cascades to the next
+ *              waiting family
+ *
+ * Positions of the open entries (waiting + notified) are kept as 1..n with no
+ * gaps whenever an entry leaves the queue. Spots on offer = capacity - current
+ * enrollment - offers still held.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Waitlist, Program, Player, Payment, Branch, User } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { WAITLIST, PAYMENT_STATUS } = require('../config/constants');
+const { logAuditEvent } = require('../utils/auditLogger');
+const { emitWaitlistUpdate } = require('../socket');
+const NotificationService = require('./notification.service');
+const smsService = require('./sms.service');
+const taxService = require('./tax.service');
+
+const { STATUS } = WAITLIST;
+const OPEN_STATUSES = [STATUS.WAITING, STATUS.NOTIFIED];
+
+class WaitlistService {
+  /**
+   * Offer free spots in a program to the next waiting families
+   * @returns {Promise<object[]>} Entries that received an offer
+   */
+  async offerSpots(programId, now = new Date()) {
+    const offered = await sequelize.transaction(async (transaction) => {
+      const program = await Program.findByPk(programId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!program || !program.capacity) return [];
+
+      const held = await Waitlist.count({
+        where: { program_id: programId, status: STATUS.NOTIFIED, expires_at: { [Op.gt]: now } },
+        transaction
+      });
+      const available = program.capacity - program.current_enrollment - held;
+      if (available <= 0) return [];
+
+      const entries = await Waitlist.findAll({
+        where: { program_id: programId, status: STATUS.WAITING },
+        order: [['position', 'ASC']],
+        limit: available,
+        transaction
+      });
+
+      const expiresAt = new Date(now.getTime() + WAITLIST.OFFER_HOURS * 60 * 60 * 1000);
+      for (const entry of entries) {
+        await entry.update({ status: STATUS.NOTIFIED, notified_at: now, expires_at: expiresAt }, { transaction });
+      }
+
+      return entries.map(entry => ({ entry, program }));
+    });
+
+    for (const { entry, program } of offered) {
+      await this._notifyOffer(entry, program);
+      emitWaitlistUpdate('status-updated', entry.toJSON());
+    }
+
+    return offered.map(({ entry }) => entry);
+  }
+
+  /**
+   * Accept an offered spot: enroll the player and raise the registration fee
+   * @returns {Promise<object>} { entry, player, payment }
+   */
+  async accept(entryId, { actor = null, now = new Date() } = {}) {
+    const result = await sequelize.transaction(async (transaction) => {
+      const entry = await this._findOffer(entryId, now, transaction);
+
+      const program = await Program.findByPk(entry.program_id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!program) {
+        throw new AppError('Program not found', 404);
+      }
+      if (program.capacity && program.current_enrollment >= program.capacity) {
+        throw new AppError('The program has no free spot left - please contact the branch', 400);
+      }
+
+      const player = await Player.findByPk(entry.player_id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!player) {
+        throw new AppError('Player not found', 404);
+      }
+      if (player.program_id === program.id) {
+        throw new AppError('Player is already enrolled in this program', 400);
+      }
+
+      if (player.program_id) {
+        await Program.decrement('current_enrollment', { where: { id: player.program_id }, transaction });
+      }
+      await Program.increment('current_enrollment', { where: { id: program.id }, transaction });
+      const previousProgramId = player.program_id;
+      await player.update({ program_id: program.id, branch_id: program.branch_id }, { transaction });
+
+      const payment = await this._createRegistrationPayment(entry, program, transaction);
+
+      await entry.update({ status: STATUS.ENROLLED, enrolled_at: now }, { transaction });
+      await this.renumber(entry.program_id, { transaction });
+
+      return { entry, player, payment, previousProgramId };
+    });
+
+    await this._audit(result.entry, 'accept', actor, {
+      payment_id: result.payment?.id || null,
+      previous_program_id: result.previousProgramId
+    });
+    emitWaitlistUpdate('status-updated', result.entry.toJSON());
+
+    // A player moving out of another full program frees a spot there
+    if (result.previousProgramId) {
+      await this.offerSpots(result.previousProgramId, now);
+    }
+
+    return { entry: result.entry, player: result.player, payment: result.payment };
+  }
+
+  /**
+   * Decline an offered spot; it cascades to the next waiting family
+   */
+  async decline(entryId, { actor = null, reason = null, now = new Date() } = {}) {
+    const entry = await sequelize.transaction(async (transaction) => {
+      const offer = await this._findOffer(entryId, now, transaction);
+      await offer.update({
+        status: STATUS.DECLINED,
+        notes: reason ? [offer.notes, `Declined: ${reason}`].filter(Boolean).join('\n') : offer.notes
+      }, { transaction });
+      await this.renumber(offer.program_id, { transaction });
+      return offer;
+    });
+
+    await this._audit(entry, 'decline', actor, { reason });
+    emitWaitlistUpdate('status-updated', entry.toJSON());
+    await this.offerSpots(entry.program_id, now);
+
+    return entry;
+  }
+
+  /**
+   * Take an entry out of the queue (status cancelled / expired, or deleted)
+   * and pass a held spot on
+   */
+  async remove(entry, { status = null, notes, now = new Date() } = {}) {
+    await sequelize.transaction(async (transaction) => {
+      if (status) {
+        await entry.update({ status, ...(notes !== undefined && { notes }) }, { transaction });
+      } else {
+        await entry.destroy({ transaction });
+      }
+      await this.renumber(entry.program_id, { transaction });
+    });
+
+    return this.offerSpots(entry.program_id, now);
+  }
+
+  /**
+   * Expire offers past their deadline, then offer every free spot to the
+   * next families (scheduled job)
+   * @returns {Promise<object>} { expired, offered }
+   */
+  async processExpired(now = new Date()) {
+    const stale = await Waitlist.findAll({
+      where: { status: STATUS.NOTIFIED, expires_at: { [Op.lte]: now } },
+      include: [{ model: Program, as: 'program', attributes: ['id', 'name', 'name_ar'] }]
+    });
+
+    for (const entry of stale) {
+      await entry.update({ status: STATUS.EXPIRED });
+      if (entry.program) {
+        await NotificationService.notifyWaitlistOfferExpired(entry.parent_id, { entry, program: entry.program });
+      }
+      emitWaitlistUpdate('status-updated', entry.toJSON());
+    }
+
+    // Every program with a queue, so spots freed by any other path are offered too
+    const queued = await Waitlist.findAll({
+      attributes: ['program_id'],
+      where: { status: { [Op.in]: OPEN_STATUSES } },
+      group: ['program_id'],
+      raw: true
+    });
+    const programIds = new Set([...stale.map(entry => entry.program_id), ...queued.map(row => row.program_id)]);
+
+    let offered = 0;
+    for (const programId of programIds) {
+      await this.renumber(programId);
+      offered += (await this.offerSpots(programId, now)).length;
+    }
+
+    return { expired: stale.length, offered };
+  }
+
+  /**
+   * Next position at the end of a program's queue
+   */
+  async nextPosition(programId, { transaction = null } = {}) {
+    const max = await Waitlist.max('position', {
+      where: { program_id: programId, status: { [Op.in]: OPEN_STATUSES } },
+      transaction
+    });
+    return (max || 0) + 1;
+  }
+
+  /**
+   * Close the gaps in a program's queue: open entries become 1..n in their
+   * current order
+   */
+  async renumber(programId, { transaction = null } = {}) {
+    const entries = await Waitlist.findAll({
+      where: { program_id: programId, status: { [Op.in]: OPEN_STATUSES } },
+      order: [['position', 'ASC'], ['created_at', 'ASC']],
+      transaction
+    });
+
+    let changed = 0;
+    for (const [index, entry] of entries.entries()) {
+      if (entry.position !== index + 1) {
+        await entry.update({ position: index + 1 }, { transaction });
+        changed += 1;
+      }
+    }
+    return changed;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  async _findOffer(entryId, now, transaction) {
+    const entry = await Waitlist.findByPk(entryId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!entry) {
+      throw new AppError('Waitlist entry not found', 404);
+    }
+    if (entry.status !== STATUS.NOTIFIED) {
+      throw new AppError(`This waitlist entry has no open offer (status: ${entry.status})`, 400);
+    }
+    if (entry.expires_at && new Date(entry.expires_at) <= now) {
+      throw new AppError('This offer has expired and the spot has moved to the next family', 400);
+    }
+    return entry;
+  }
+
+  // No payment when the program charges no registration fee
+  async _createRegistrationPayment(entry, program, transaction) {
+    const fee = parseFloat(program.registration_fee) || 0;
+    if (fee <= 0) return null;
+
+    const amounts = await taxService.calculateForPayment({
+      branch: await Branch.findByPk(program.branch_id, { transaction }),
+      type: 'registration',
+      price: fee,
+      program
+    });
+
+    return Payment.create({
+      user_id: entry.parent_id,
+      player_id: entry.player_id,
+      branch_id: program.branch_id,
+      type: 'registration',
+      description: `${program.name} - registration fee (waitlist)`,
+      amount: amounts.amount,
+      tax_amount: amounts.tax_amount,
+      tax_rate: amounts.tax_rate,
+      discount_amount: amounts.discount_amount,
+      total_amount: amounts.total_amount,
+      status: PAYMENT_STATUS.PENDING,
+      metadata: {
+        program_id: program.id,
+        waitlist_id: entry.id,
+        prices_include_tax: amounts.prices_include_tax
+      }
+    }, { transaction });
+  }
+
+  async _notifyOffer(entry, program) {
+    const [parent, player] = await Promise.all([
+      User.findByPk(entry.parent_id, { attributes: ['id', 'phone', 'preferences'] }),
+      Player.findByPk(entry.player_id, { attributes: ['id', 'first_name', 'last_name'] })
+    ]);
+    if (!parent) return;
+
+    await NotificationService.notifyWaitlistSpotAvailable(parent.id, { entry, program, player, expiresAt: entry.expires_at });
+
+    if (parent.phone) {
+      const language = parent.preferences?.language || 'ar';
+      try {
+        await smsService.sendSMS({
+          recipient_type: 'individual',
+          recipients: [{ phone: parent.phone, user_id: parent.id }],
+          message: language === 'ar'
+            ? `أصبح هناك مقعد متاح في ${program.name_ar || program.name}! يرجى تأكيد التسجيل خلال ${WAITLIST.OFFER_HOURS} ساعة.`
+            : `A spot has opened up in ${program.name}! Please confirm enrollment within ${WAITLIST.OFFER_HOURS} hours.`
+        });
+      } catch (error) {
+        console.error('Failed to send waitlist SMS:', error);
+      }
+    }
+  }
+
+  async _audit(entry, action, actor, metadata) {
+    if (!actor) return;
+    await logAuditEvent({
+      module: 'waitlist',
+      entityType: 'waitlist',
+      entityId: entry.id,
+      action,
+      actor,
+      before: { status: STATUS.NOTIFIED },
+      after: { status: entry.status, enrolled_at: entry.enrolled_at },
+      metadata
+    });
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,506 @@
+/**
+ * ZATCA Service - Fatoora (phase 2) simplified tax invoices
+ *
+ * Produces for every completed payment:
+ *   - UBL 2.1 XML (simplified tax invoice 388 / credit note 381)
+ *   - TLV-encoded Base64 QR payload
+ *   - Invoice hash chained to the previous invoice of the same branch (PIH)
+ *
+ * Seller details come from Branch.settings:
+ *   settings.vat_number              - 15-digit VAT registration number
+ *   settings.commercial_registration - CR number
+ *   settings.legal_name              - Registered seller name (falls back to branch name)
+ *   settings.vat_rate / vat_rates    - VAT percent (see tax.service; Payment.tax_rate wins)
+ *
+ * Optional cryptographic stamp via .env:
+ *   ZATCA_PRIVATE_KEY=<PEM encoded EC private key>
+ */
+
+const crypto = require('crypto');
+const { sequelize, EInvoice, Payment, Branch, User } = require('../models');
+const taxService = require('./tax.service');
+
+// Base64 SHA-256 of "0" - the PIH of the very first invoice in a chain
+const INITIAL_PREVIOUS_HASH = 'NWZlY2ViNjZmZmM4NmYzOGQ5NTI3ODZjNmQ2OTZjNzljMmRiYzIzOWRkNGU5MWI0NjcyOWQ3M2EyN2ZiNTdlOQ==';
+
+const INVOICE_TYPE_CODES = {
+  invoice: '388',
+  credit_note: '381'
+};
+
+// Chain of payments that have no branch
+const ACADEMY_CHAIN = 'academy';
+
+// 0200000 = simplified tax invoice (B2C)
+const SIMPLIFIED_INVOICE_SUBTYPE = '0200000';
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// TLV lengths are a single byte
+const TLV_MAX_LENGTH = 255;
+
+// Longest prefix of the text that fits in maxBytes of UTF-8, without splitting a character
+const truncateUtf8 = (text, maxBytes) => {
+  let result = '';
+  let bytes = 0;
+  for (const char of text) {
+    bytes += Buffer.byteLength(char, 'utf8');
+    if (bytes > maxBytes) break;
+    result += char;
+  }
+  return result;
+};
+
+const toAmount = (value) => (Math.round((parseFloat(value) || 0) * 100) / 100).toFixed(2);
+
+class ZatcaService {
+  constructor() {
+    this.privateKey = process.env.ZATCA_PRIVATE_KEY || null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  MAIN METHODS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Issue the simplified tax invoice for a completed payment.
+   * Safe to call repeatedly - returns the existing invoice if one was issued.
+   * @param {object|string} paymentOrId - Payment instance or ID
+   * @param {object} options
+   * @param {object} options.actor - User issuing the invoice (optional)
+   * @returns {Promise<object|null>} EInvoice record, or null if the payment is not completed
+   */
+  async issueInvoice(paymentOrId, { actor = null } = {}) {
+    const payment = await this._loadPayment(paymentOrId);
+    if (!payment || payment.status !== 'completed') return null;
+
+    return this._issue(payment, async (transaction) => {
+      const existing = await EInvoice.findOne({
+        where: { payment_id: payment.id, type: 'invoice' },
+        transaction
+      });
+      if (existing) return { existing };
+
+      return {
+        type: 'invoice',
+        invoiceNumber: payment.invoice_number,
+        amounts: this._paymentAmounts(payment),
+        issuedAt: payment.paid_at ? new Date(payment.paid_at) : new Date()
+      };
+    }, actor);
+  }
+
+  /**
+   * Issue a credit note against a payment's tax invoice (used on refund).
+   * The notes of one invoice never credit more than its total.
+   * @param {object|string} paymentOrId - Payment instance or ID
+   * @param {object} options
+   * @param {number} options.amount - Refunded amount incl. VAT (default: what is left to credit)
+   * @param {string} options.reason - Refund reason (printed on the credit note)
+   * @param {object} options.actor - User issuing the credit note (optional)
+   * @returns {Promise<object|null>} EInvoice record of type credit_note, or null if nothing is left to credit
+   */
+  async issueCreditNote(paymentOrId, { amount = null, reason = null, actor = null } = {}) {
+    const payment = await this._loadPayment(paymentOrId);
+    if (!payment) return null;
+
+    // A credit note must reference an issued invoice
+    const original = await EInvoice.findOne({
+      where: { payment_id: payment.id, type: 'invoice' }
+    }) || await this.issueInvoice(payment, { actor });
+
+    if (!original) return null;
+
+    return this._issue(payment, async (transaction) => {
+      const creditNotes = await EInvoice.findAll({
+        where: { payment_id: payment.id, type: 'credit_note' },
+        attributes: ['total_amount'],
+        transaction
+      });
+      const credited = creditNotes.reduce((sum, note) => sum + (parseFloat(note.total_amount) || 0), 0);
+
+      const amounts = this._creditAmounts(original, amount, credited);
+      if (amounts.total <= 0) return { existing: null };
+
+      return {
+        type: 'credit_note',
+        invoiceNumber: `${payment.invoice_number}-CN${creditNotes.length + 1}`,
+        amounts,
+        issuedAt: new Date(),
+        reference: original,
+        reason
+      };
+    }, actor);
+  }
+
+  /**
+   * Build the TLV (tag-length-value) Base64 QR payload.
+   * Text longer than 255 UTF-8 bytes (a long Arabic seller name) is cut at a character boundary.
+   * @param {object} fields
+   * @param {string} fields.sellerName - Tag 1
+   * @param {string} fields.vatNumber - Tag 2
+   * @param {string} fields.timestamp - Tag 3 (ISO 8601)
+   * @param {string} fields.total - Tag 4 (invoice total incl. VAT)
+   * @param {string} fields.vatTotal - Tag 5
+   * @param {string} fields.invoiceHash - Tag 6 (optional)
+   * @param {Buffer} fields.signature - Tag 7 (optional)
+   * @param {Buffer} fields.publicKey - Tag 8 (optional)
+   * @returns {string} Base64 encoded TLV
+   * @throws {Error} When a binary value (signature, public key) is longer than 255 bytes
+   */
+  buildQrPayload({ sellerName, vatNumber, timestamp, total, vatTotal, invoiceHash, signature, publicKey }) {
+    const entries = [sellerName, vatNumber, timestamp, total, vatTotal, invoiceHash, signature, publicKey];
+
+    const buffers = entries.map((value, index) => {
+      if (value === undefined || value === null) return null;
+      const valueBuffer = Buffer.isBuffer(value)
+        ? value
+        : Buffer.from(truncateUtf8(String(value), TLV_MAX_LENGTH), 'utf8');
+      if (valueBuffer.length > TLV_MAX_LENGTH) {
+        throw new Error(`QR tag ${index + 1} is ${valueBuffer.length} bytes; TLV values are limited to ${TLV_MAX_LENGTH}`);
+      }
+      return Buffer.concat([Buffer.from([index + 1, valueBuffer.length]), valueBuffer]);
+    }).filter(Boolean);
+
+    return Buffer.concat(buffers).toString('base64');
+  }
+
+  /**
+   * Build the UBL 2.1 XML document
+   * @param {object} data - Invoice data (see _issue)
+   * @param {string|null} qrCode - QR payload to embed (omitted when hashing)
+   * @returns {string} XML
+   */
+  buildInvoiceXml(data, qrCode = null) {
+    const {
+      type, uuid, invoiceNumber, icv, issuedAt, currency, seller, customer,
+      lineDescription, amounts, previousHash, reference, reason
+    } = data;
+
+    const issueDate = issuedAt.toISOString().slice(0, 10);
+    const issueTime = issuedAt.toISOString().slice(11, 19);
+    const taxCategory = amounts.tax > 0 ? 'S' : 'O';
+    const vatPercent = amounts.tax > 0 ? toAmount(seller.vatRate) : '0.00';
+
+    const taxCategoryXml = `
+        <cac:TaxCategory>
+          <cbc:ID>${taxCategory}</cbc:ID>
+          <cbc:Percent>${vatPercent}</cbc:Percent>${taxCategory === 'O' ? `
+          <cbc:TaxExemptionReasonCode>VATEX-SA-OOS</cbc:TaxExemptionReasonCode>
+          <cbc:TaxExemptionReason>Not subject to VAT</cbc:TaxExemptionReason>` : ''}
+          <cac:TaxScheme>
+            <cbc:ID>VAT</cbc:ID>
+          </cac:TaxScheme>
+        </cac:TaxCategory>`;
+
+    const billingReferenceXml = reference ? `
+  <cac:BillingReference>
+    <cac:InvoiceDocumentReference>
+      <cbc:ID>${escapeXml(reference.invoice_number)}</cbc:ID>
+    </cac:InvoiceDocumentReference>
+  </cac:BillingReference>` : '';
+
+    const qrXml = qrCode ? `
+  <cac:AdditionalDocumentReference>
+    <cbc:ID>QR</cbc:ID>
+    <cac:Attachment>
+      <cbc:EmbeddedDocumentBinaryObject mimeCode="text/plain">${qrCode}</cbc:EmbeddedDocumentBinaryObject>
+    </cac:Attachment>
+  </cac:AdditionalDocumentReference>` : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2" xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2" xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2" xmlns:ext="urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2">
+  <cbc:ProfileID>reporting:1.0</cbc:ProfileID>
+  <cbc:ID>${escapeXml(invoiceNumber)}</cbc:ID>
+  <cbc:UUID>${uuid}</cbc:UUID>
+  <cbc:IssueDate>${issueDate}</cbc:IssueDate>
+  <cbc:IssueTime>${issueTime}</cbc:IssueTime>
+  <cbc:InvoiceTypeCode name="${SIMPLIFIED_INVOICE_SUBTYPE}">${INVOICE_TYPE_CODES[type]}</cbc:InvoiceTypeCode>${reason ? `
+  <cbc:Note>${escapeXml(reason)}</cbc:Note>` : ''}
+  <cbc:DocumentCurrencyCode>${currency}</cbc:DocumentCurrencyCode>
+  <cbc:TaxCurrencyCode>${currency}</cbc:TaxCurrencyCode>${billingReferenceXml}
+  <cac:AdditionalDocumentReference>
+    <cbc:ID>ICV</cbc:ID>
+    <cbc:UUID>${icv}</cbc:UUID>
+  </cac:AdditionalDocumentReference>
+  <cac:AdditionalDocumentReference>
+    <cbc:ID>PIH</cbc:ID>
+    <cac:Attachment>
+      <cbc:EmbeddedDocumentBinaryObject mimeCode="text/plain">${previousHash}</cbc:EmbeddedDocumentBinaryObject>
+    </cac:Attachment>
+  </cac:AdditionalDocumentReference>${qrXml}
+  <cac:AccountingSupplierParty>
+    <cac:Party>
+      <cac:PartyIdentification>
+        <cbc:ID schemeID="CRN">${escapeXml(seller.crNumber)}</cbc:ID>
+      </cac:PartyIdentification>
+      <cac:PostalAddress>
+        <cbc:StreetName>${escapeXml(seller.address)}</cbc:StreetName>
+        <cbc:CityName>${escapeXml(seller.city)}</cbc:CityName>
+        <cac:Country>
+          <cbc:IdentificationCode>SA</cbc:IdentificationCode>
+        </cac:Country>
+      </cac:PostalAddress>
+      <cac:PartyTaxScheme>
+        <cbc:CompanyID>${escapeXml(seller.vatNumber)}</cbc:CompanyID>
+        <cac:TaxScheme>
+          <cbc:ID>VAT</cbc:ID>
+        </cac:TaxScheme>
+      </cac:PartyTaxScheme>
+      <cac:PartyLegalEntity>
+        <cbc:RegistrationName>${escapeXml(seller.name)}</cbc:RegistrationName>
+      </cac:PartyLegalEntity>
+    </cac:Party>
+  </cac:AccountingSupplierParty>
+  <cac:AccountingCustomerParty>
+    <cac:Party>
+      <cac:PartyLegalEntity>
+        <cbc:RegistrationName>${escapeXml(customer.name)}</cbc:RegistrationName>
+      </cac:PartyLegalEntity>
+    </cac:Party>
+  </cac:AccountingCustomerParty>
+  <cac:Delivery>
+    <cbc:ActualDeliveryDate>${issueDate}</cbc:ActualDeliveryDate>
+  </cac:Delivery>${reason && type === 'credit_note' ? `
+  <cac:PaymentMeans>
+    <cbc:PaymentMeansCode>10</cbc:PaymentMeansCode>
+    <cbc:InstructionNote>${escapeXml(reason)}</cbc:InstructionNote>
+  </cac:PaymentMeans>` : ''}${amounts.discount > 0 ? `
+  <cac:AllowanceCharge>
+    <cbc:ChargeIndicator>false</cbc:ChargeIndicator>
+    <cbc:AllowanceChargeReason>discount</cbc:AllowanceChargeReason>
+    <cbc:Amount currencyID="${currency}">${toAmount(amounts.discount)}</cbc:Amount>
+    <cac:TaxCategory>
+      <cbc:ID>${taxCategory}</cbc:ID>
+      <cbc:Percent>${vatPercent}</cbc:Percent>
+      <cac:TaxScheme>
+        <cbc:ID>VAT</cbc:ID>
+      </cac:TaxScheme>
+    </cac:TaxCategory>
+  </cac:AllowanceCharge>` : ''}
+  <cac:TaxTotal>
+    <cbc:TaxAmount currencyID="${currency}">${toAmount(amounts.tax)}</cbc:TaxAmount>
+  </cac:TaxTotal>
+  <cac:TaxTotal>
+    <cbc:TaxAmount currencyID="${currency}">${toAmount(amounts.tax)}</cbc:TaxAmount>
+    <cac:TaxSubtotal>
+      <cbc:TaxableAmount currencyID="${currency}">${toAmount(amounts.taxable)}</cbc:TaxableAmount>
+      <cbc:TaxAmount currencyID="${currency}">${toAmount(amounts.tax)}</cbc:TaxAmount>${taxCategoryXml}
+    </cac:TaxSubtotal>
+  </cac:TaxTotal>
+  <cac:LegalMonetaryTotal>
+    <cbc:LineExtensionAmount currencyID="${currency}">${toAmount(amounts.lineTotal)}</cbc:LineExtensionAmount>
+    <cbc:TaxExclusiveAmount currencyID="${currency}">${toAmount(amounts.taxable)}</cbc:TaxExclusiveAmount>
+    <cbc:TaxInclusiveAmount currencyID="${currency}">${toAmount(amounts.total)}</cbc:TaxInclusiveAmount>
+    <cbc:AllowanceTotalAmount currencyID="${currency}">${toAmount(amounts.discount)}</cbc:AllowanceTotalAmount>
+    <cbc:PayableAmount currencyID="${currency}">${toAmount(amounts.total)}</cbc:PayableAmount>
+  </cac:LegalMonetaryTotal>
+  <cac:InvoiceLine>
+    <cbc:ID>1</cbc:ID>
+    <cbc:InvoicedQuantity unitCode="PCE">1.000000</cbc:InvoicedQuantity>
+    <cbc:LineExtensionAmount currencyID="${currency}">${toAmount(amounts.lineTotal)}</cbc:LineExtensionAmount>
+    <cac:TaxTotal>
+      <cbc:TaxAmount currencyID="${currency}">${toAmount(amounts.tax)}</cbc:TaxAmount>
+      <cbc:RoundingAmount currencyID="${currency}">${toAmount(amounts.lineTotal + amounts.tax)}</cbc:RoundingAmount>
+    </cac:TaxTotal>
+    <cac:Item>
+      <cbc:Name>${escapeXml(lineDescription)}</cbc:Name>
+      <cac:ClassifiedTaxCategory>
+        <cbc:ID>${taxCategory}</cbc:ID>
+        <cbc:Percent>${vatPercent}</cbc:Percent>
+        <cac:TaxScheme>
+          <cbc:ID>VAT</cbc:ID>
+        </cac:TaxScheme>
+      </cac:ClassifiedTaxCategory>
+    </cac:Item>
+    <cac:Price>
+      <cbc:PriceAmount currencyID="${currency}">${toAmount(amounts.lineTotal)}</cbc:PriceAmount>
+    </cac:Price>
+  </cac:InvoiceLine>
+</Invoice>
+`;
+  }
+
+  /**
+   * Get seller identity for a branch from Branch.settings
+   * @param {object} branch - Branch instance (may be null)
+   * @param {object} payment - Payment being invoiced (optional, supplies the applied VAT rate)
+   * @returns {object} Seller details
+   */
+  getSellerInfo(branch, payment = null) {
+    const settings = branch?.settings || {};
+
+    return {
+      name: settings.legal_name || branch?.name || 'Aspire Academy',
+      vatNumber: settings.vat_number || '',
+      crNumber: settings.commercial_registration || '',
+      address: branch?.address || '',
+      city: branch?.city || '',
+      vatRate: payment?.tax_rate !== undefined && payment?.tax_rate !== null
+        ? parseFloat(payment.tax_rate)
+        : taxService.getRate(branch, payment?.type)
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════
+
+  async _loadPayment(paymentOrId) {
+    const paymentId = typeof paymentOrId === 'string' ? paymentOrId : paymentOrId?.id;
+    if (!paymentId) return null;
+
+    return Payment.findByPk(paymentId, {
+      include: [
+        { model: Branch, as: 'branch' },
+        { model: User, as: 'user', attributes: ['id', 'first_name', 'last_name'] }
+      ]
+    });
+  }
+
+  _paymentAmounts(payment) {
+    const amount = parseFloat(payment.amount) || 0;
+    const discount = parseFloat(payment.discount_amount) || 0;
+    const tax = parseFloat(payment.tax_amount) || 0;
+    const total = parseFloat(payment.total_amount) || (amount - discount + tax);
+
+    return {
+      lineTotal: amount,
+      discount,
+      taxable: Math.round((total - tax) * 100) / 100,
+      tax,
+      total
+    };
+  }
+
+  _creditAmounts(original, amount, credited = 0) {
+    const originalTotal = parseFloat(original.total_amount) || 0;
+    const originalTax = parseFloat(original.tax_amount) || 0;
+    const remaining = Math.max(Math.round((originalTotal - credited) * 100) / 100, 0);
+    const total = amount ? Math.min(parseFloat(amount), remaining) : remaining;
+
+    // VAT is credited in the same proportion as the original invoice
+    const tax = originalTotal > 0 ? Math.round((total * originalTax / originalTotal) * 100) / 100 : 0;
+    const taxable = Math.round((total - tax) * 100) / 100;
+
+    return {
+      lineTotal: taxable,
+      discount: 0,
+      taxable,
+      tax,
+      total
+    };
+  }
+
+  _hash(xml) {
+    return crypto.createHash('sha256').update(xml, 'utf8').digest('base64');
+  }
+
+  _sign(invoiceHash) {
+    if (!this.privateKey) return {};
+
+    try {
+      const key = crypto.createPrivateKey(this.privateKey);
+      const signature = crypto.sign('sha256', Buffer.from(invoiceHash, 'base64'), key);
+      const publicKey = crypto.createPublicKey(key).export({ type: 'spki', format: 'der' });
+      return { signature, publicKey };
+    } catch (error) {
+      console.error('[ZATCA] Failed to sign invoice hash:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Append a document to the payment's hash chain.
+   * prepare(transaction) runs once the payment and the chain are locked, so
+   * its checks and numbering can't race another issue. It returns
+   * { existing } to skip issuing, or the document fields.
+   */
+  async _issue(payment, prepare, actor = null) {
+    const branchId = payment.branch_id || null;
+    const chainKey = branchId || ACADEMY_CHAIN;
+    const seller = this.getSellerInfo(payment.branch, payment);
+    const customer = {
+      name: payment.user ? `${payment.user.first_name} ${payment.user.last_name}` : 'Customer'
+    };
+
+    return sequelize.transaction(async (transaction) => {
+      await Payment.findByPk(payment.id, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+
+      // Lock the tail of the chain so concurrent issues get sequential counters
+      const previous = await EInvoice.findOne({
+        where: { chain_key: chainKey },
+        order: [['icv', 'DESC']],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const document = await prepare(transaction);
+      if ('existing' in document) return document.existing;
+
+      const { type, invoiceNumber, amounts, issuedAt, reference = null, reason = null } = document;
+      const data = {
+        type,
+        uuid: crypto.randomUUID(),
+        invoiceNumber,
+        icv: (previous?.icv || 0) + 1,
+        issuedAt,
+        currency: payment.currency || 'SAR',
+        seller,
+        customer,
+        lineDescription: payment.description || payment.type,
+        amounts,
+        previousHash: previous?.invoice_hash || INITIAL_PREVIOUS_HASH,
+        reference,
+        reason
+      };
+
+      // The hash covers the document without the QR; the QR then carries the hash
+      const invoiceHash = this._hash(this.buildInvoiceXml(data));
+      const { signature, publicKey } = this._sign(invoiceHash);
+
+      const qrCode = this.buildQrPayload({
+        sellerName: seller.name,
+        vatNumber: seller.vatNumber,
+        timestamp: issuedAt.toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        total: toAmount(amounts.total),
+        vatTotal: toAmount(amounts.tax),
+        invoiceHash,
+        signature,
+        publicKey
+      });
+
+      return EInvoice.create({
+        payment_id: payment.id,
+        branch_id: branchId,
+        chain_key: chainKey,
+        type,
+        invoice_number: invoiceNumber,
+        uuid: data.uuid,
+        icv: data.icv,
+        issued_at: issuedAt,
+        currency: data.currency,
+        taxable_amount: amounts.taxable,
+        tax_amount: amounts.tax,
+        total_amount: amounts.total,
+        invoice_hash: invoiceHash,
+        previous_hash: data.previousHash,
+        qr_code: qrCode,
+        xml: this.buildInvoiceXml(data, qrCode),
+        reference_invoice_id: reference?.id || null,
+        reason,
+        created_by: actor?.id || null
+      }, { transaction });
+    });
+  }
+}
+
+// Singleton instance
+const zatcaService = new ZatcaService();
+
+module.exports = zatcaService;
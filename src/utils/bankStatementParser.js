@@ -0,0 +1,452 @@
+/**
+ * Bank statement parsers
+ *
+ * Turns a statement file into
+ *   { format, account_number, currency, period_start, period_end, lines: [...] }
+ * where every line is
+ *   { booking_date, value_date, direction (credit|debit), amount (positive),
+ *     currency, bank_reference, reference, description, counterparty_name, counterparty_account }
+ *
+ * Supported formats: CSV exports (column names are matched loosely, ',' ';'
+ * or tab separated), SWIFT MT940 and ISO 20022 CAMT.053.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+const { normalizeArabicNumerals } = require('./helpers');
+
+const FORMATS = ['csv', 'mt940', 'camt053'];
+
+// ═══════════════════════════════════════════════════════════════
+//  SHARED
+// ═══════════════════════════════════════════════════════════════
+
+const clean = (value) => {
+  const text = value === undefined || value === null ? '' : String(value).replace(/\s+/g, ' ').trim();
+  return text || null;
+};
+
+/**
+ * Parse an amount written with either decimal separator ("1,150.00", "1.150,500", "(200)").
+ * The written precision is kept: KWD and BHD statements carry 3 decimals.
+ * @returns {number|null}
+ */
+const parseAmount = (value) => {
+  let text = normalizeArabicNumerals(String(value ?? '')).replace(/[^\d.,()\-+]/g, '');
+  if (!text) return null;
+
+  const negative = text.startsWith('-') || text.startsWith('(') || text.endsWith('-');
+  text = text.replace(/[()\-+]/g, '');
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma > lastDot) {
+    // Comma is the decimal separator after a thousands dot ("1.150,500") or when it
+    // cannot be a thousands separator ("150,5", "1150,500"); "1,150" stays 1150
+    const thousands = lastDot === -1 && /^\d{1,3}(,\d{3})+$/.test(text);
+    text = thousands ? text.replace(/,/g, '') : text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(text);
+  if (Number.isNaN(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+/**
+ * Parse a date to YYYY-MM-DD. Slash / dot / dash dates are day-first (31/01/2026).
+ * @returns {string|null}
+ */
+const parseDate = (value) => {
+  const text = normalizeArabicNumerals(String(value ?? '')).trim();
+  let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (match) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return `${year}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+  return null;
+};
+
+// YYMMDD (MT940)
+const parseShortDate = (value) => `20${value.slice(0, 2)}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+
+const decodeXml = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const periodOf = (lines) => {
+  const dates = lines.map(line => line.booking_date).sort();
+  return { period_start: dates[0] || null, period_end: dates[dates.length - 1] || null };
+};
+
+/**
+ * Guess the format from the file name and contents
+ */
+const detectFormat = (content, fileName = '') => {
+  if (/\.xml$/i.test(fileName) || /<(\w+:)?BkToCstmrStmt\b/.test(content)) return 'camt053';
+  if (/^:20:/m.test(content) && /^:61:/m.test(content)) return 'mt940';
+  return 'csv';
+};
+
+// ═══════════════════════════════════════════════════════════════
+//  CSV
+// ═══════════════════════════════════════════════════════════════
+
+// Normalized header -> field
+const CSV_COLUMNS = {
+  booking_date: ['date', 'bookingdate', 'transactiondate', 'postingdate', 'bookeddate', 'التاريخ'],
+  value_date: ['valuedate', 'تاريخالقيمة'],
+  amount: ['amount', 'transactionamount', 'المبلغ'],
+  credit: ['credit', 'creditamount', 'deposit', 'deposits', 'moneyin', 'دائن'],
+  debit: ['debit', 'debitamount', 'withdrawal', 'withdrawals', 'moneyout', 'مدين'],
+  currency: ['currency', 'ccy', 'العملة'],
+  bank_reference: ['bankreference', 'transactionid', 'transactionreference', 'transactionref'],
+  reference: ['reference', 'ref', 'paymentreference', 'customerreference', 'endtoendid', 'المرجع'],
+  description: ['description', 'details', 'narrative', 'narration', 'remarks', 'memo', 'الوصف', 'البيان'],
+  counterparty_name: ['name', 'payer', 'payername', 'counterparty', 'counterpartyname', 'sender', 'remitter', 'الاسم'],
+  counterparty_account: ['iban', 'account', 'counterpartyaccount', 'payeriban', 'senderaccount', 'senderiban']
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9؀-ۿ]/g, '');
+
+// Split CSV text into rows of fields (quoted fields may contain delimiters, quotes and newlines)
+const splitCsv = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// The delimiter that splits the header line into the most fields
+const detectDelimiter = (content) => {
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  return [';', '\t', ','].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ), ',');
+};
+
+const parseCsv = (content) => {
+  const [header, ...rows] = splitCsv(content, detectDelimiter(content));
+  if (!header) {
+    throw new AppError('Statement file is empty', 400);
+  }
+
+  const columns = {};
+  header.map(normalizeHeader).forEach((name, index) => {
+    const field = Object.keys(CSV_COLUMNS).find(key => CSV_COLUMNS[key].includes(name));
+    if (field && columns[field] === undefined) columns[field] = index;
+  });
+
+  if (columns.booking_date === undefined || (columns.amount === undefined && columns.credit === undefined)) {
+    throw new AppError('CSV statement needs a date column and an amount (or credit / debit) column', 400);
+  }
+
+  const lines = rows.map((fields, index) => {
+    const get = (field) => (columns[field] === undefined ? null : clean(fields[columns[field]]));
+
+    const bookingDate = parseDate(get('booking_date'));
+    if (!bookingDate) {
+      throw new AppError(`Row ${index + 2}: unrecognised date "${get('booking_date') || ''}"`, 400);
+    }
+
+    let amount = columns.amount !== undefined ? parseAmount(get('amount')) : null;
+    if (amount === null) {
+      const credit = parseAmount(get('credit')) || 0;
+      const debit = parseAmount(get('debit')) || 0;
+      amount = credit ? Math.abs(credit) : -Math.abs(debit);
+    }
+    if (!amount) {
+      throw new AppError(`Row ${index + 2}: missing amount`, 400);
+    }
+
+    return {
+      booking_date: bookingDate,
+      value_date: parseDate(get('value_date')),
+      direction: amount > 0 ? 'credit' : 'debit',
+      amount: Math.abs(amount),
+      currency: get('currency'),
+      bank_reference: get('bank_reference'),
+      reference: get('reference'),
+      description: get('description'),
+      counterparty_name: get('counterparty_name'),
+      counterparty_account: get('counterparty_account')
+    };
+  });
+
+  return { account_number: null, currency: null, ...periodOf(lines), lines };
+};
+
+// ═══════════════════════════════════════════════════════════════
+//  MT940
+// ═══════════════════════════════════════════════════════════════
+
+// :61:YYMMDD[MMDD]{C|D|RC|RD}[funds code]amount{type}{customer ref}[//bank ref][\nsupplementary]
+const MT940_STATEMENT_LINE = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d*)([A-Z][A-Z0-9]{3})([^\n]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/;
+
+// Structured :86: sub-fields (?20-?29 remittance, ?32-?33 name, ?31 account)
+const parseMt940Details = (details) => {
+  if (!/\?\d{2}/.test(details)) {
+    return { description: clean(details) };
+  }
+
+  const fields = {};
+  details.replace(/\n/g, '').split('?').slice(1).forEach(part => {
+    const code = part.slice(0, 2);
+    fields[code] = (fields[code] || '') + part.slice(2);
+  });
+
+  const remittance = Object.keys(fields).filter(code => code >= '20' && code <= '29').sort().map(code => fields[code]).join('');
+  return {
+    description: clean(remittance) || clean(fields['00']),
+    counterparty_name: clean(`${fields['32'] || ''}${fields['33'] || ''}`),
+    counterparty_account: clean(fields['31'])
+  };
+};
+
+const parseMt940 = (content) => {
+  const tags = [];
+  content.replace(/\r/g, '').split('\n').forEach(row => {
+    const match = row.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (match) {
+      tags.push({ tag: match[1], value: match[2] });
+    } else if (tags.length && row.trim() && row.trim() !== '-') {
+      tags[tags.length - 1].value += `\n${row}`;
+    }
+  });
+
+  let accountNumber = null;
+  let currency = null;
+  let periodStart = null;
+  let periodEnd = null;
+  const lines = [];
+
+  tags.forEach(({ tag, value }) => {
+    if (tag === '25') {
+      accountNumber = accountNumber || clean(value);
+    } else if (tag === '60F' || tag === '60M') {
+      const balance = value.match(/^[CD](\d{6})([A-Z]{3})/);
+      if (balance) {
+        periodStart = periodStart || parseShortDate(balance[1]);
+        currency = currency || balance[2];
+      }
+    } else if (tag === '62F' || tag === '62M') {
+      const balance = value.match(/^[CD](\d{6})/);
+      if (balance) periodEnd = parseShortDate(balance[1]);
+    } else if (tag === '61') {
+      const match = value.match(MT940_STATEMENT_LINE);
+      if (!match) {
+        throw new AppError(`MT940 statement line ${lines.length + 1} could not be read`, 400);
+      }
+      const [, valueDate, entryDate, mark, , amount, , customerRef, bankRef, supplementary] = match;
+
+      // Entry date (MMDD) takes the value date's year, or the next one across new year
+      let bookingDate = parseShortDate(valueDate);
+      if (entryDate) {
+        let year = parseInt(`20${valueDate.slice(0, 2)}`, 10);
+        if (entryDate.slice(0, 2) === '01' && valueDate.slice(2, 4) === '12') year += 1;
+        if (entryDate.slice(0, 2) === '12' && valueDate.slice(2, 4) === '01') year -= 1;
+        bookingDate = `${year}-${entryDate.slice(0, 2)}-${entryDate.slice(2, 4)}`;
+      }
+
+      lines.push({
+        booking_date: bookingDate,
+        value_date: parseShortDate(valueDate),
+        // Reversal of a debit is money in, reversal of a credit money out
+        direction: mark === 'C' || mark === 'RD' ? 'credit' : 'debit',
+        amount: parseAmount(amount.replace(',', '.')),
+        currency,
+        bank_reference: clean(bankRef),
+        reference: clean(customerRef) === 'NONREF' ? null : clean(customerRef),
+        description: clean(supplementary),
+        counterparty_name: null,
+        counterparty_account: null
+      });
+    } else if (tag === '86' && lines.length) {
+      const line = lines[lines.length - 1];
+      const details = parseMt940Details(value);
+      line.description = [line.description, details.description].filter(Boolean).join(' ') || null;
+      line.counterparty_name = details.counterparty_name || null;
+      line.counterparty_account = details.counterparty_account || null;
+    }
+  });
+
+  if (!lines.length && !accountNumber) {
+    throw new AppError('File is not an MT940 statement', 400);
+  }
+
+  return {
+    account_number: accountNumber,
+    currency,
+    period_start: periodStart || periodOf(lines).period_start,
+    period_end: periodEnd || periodOf(lines).period_end,
+    lines
+  };
+};
+
+// ═══════════════════════════════════════════════════════════════
+//  CAMT.053
+// ═══════════════════════════════════════════════════════════════
+
+// Inner XML of every <name> element (namespace prefixes allowed)
+const xmlBlocks = (xml, name) => {
+  const pattern = new RegExp(`<(?:\\w+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+};
+
+// Text of the first element along a path of nested names
+const xmlText = (xml, ...path) => {
+  let current = xml;
+  for (const name of path) {
+    const [block] = xmlBlocks(current, name);
+    if (block === undefined) return null;
+    current = block;
+  }
+  return clean(decodeXml(current.replace(/<[^>]+>/g, ' ')));
+};
+
+const xmlAmount = (xml, name = 'Amt') => {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${name}(?:\\s+Ccy="([A-Z]{3})")?[^>]*>([^<]+)<`));
+  return match ? { amount: parseAmount(match[2]), currency: match[1] || null } : null;
+};
+
+const parseCamt053 = (content) => {
+  const [statement] = xmlBlocks(content, 'Stmt');
+  if (!statement) {
+    throw new AppError('File is not a CAMT.053 statement', 400);
+  }
+
+  const account = xmlBlocks(statement, 'Acct')[0] || '';
+  const lines = [];
+
+  xmlBlocks(statement, 'Ntry').forEach(entry => {
+    const entryAmount = xmlAmount(entry);
+    const direction = xmlText(entry, 'CdtDbtInd') === 'DBIT' ? 'debit' : 'credit';
+    const bookingDate = parseDate(xmlText(entry, 'BookgDt', 'Dt') || xmlText(entry, 'BookgDt', 'DtTm'));
+    const valueDate = parseDate(xmlText(entry, 'ValDt', 'Dt') || xmlText(entry, 'ValDt', 'DtTm'));
+    const bankReference = xmlText(entry, 'AcctSvcrRef');
+
+    if (!entryAmount || !bookingDate) {
+      throw new AppError(`CAMT.053 entry ${lines.length + 1} has no amount or booking date`, 400);
+    }
+
+    // Batch bookings list each transfer under TxDtls
+    const transactions = xmlBlocks(entry, 'TxDtls');
+    (transactions.length ? transactions : [entry]).forEach(details => {
+      const own = transactions.length > 1 ? xmlAmount(details, 'TxAmt') || xmlAmount(details) : null;
+      const party = direction === 'credit' ? 'Dbtr' : 'Cdtr';
+      const endToEnd = xmlText(details, 'Refs', 'EndToEndId');
+      const remittance = [
+        ...xmlBlocks(details, 'Ustrd').map(text => clean(decodeXml(text))),
+        xmlText(details, 'Strd', 'Ref')
+      ].filter(Boolean).join(' ');
+
+      lines.push({
+        booking_date: bookingDate,
+        value_date: valueDate,
+        direction,
+        amount: Math.abs((own || entryAmount).amount),
+        currency: (own || entryAmount).currency,
+        bank_reference: xmlText(details, 'Refs', 'AcctSvcrRef') || bankReference,
+        reference: endToEnd && endToEnd !== 'NOTPROVIDED' ? endToEnd : null,
+        description: clean(remittance) || xmlText(entry, 'AddtlNtryInf'),
+        counterparty_name: xmlText(details, 'RltdPties', party, 'Nm'),
+        counterparty_account: xmlText(details, 'RltdPties', `${party}Acct`, 'IBAN')
+          || xmlText(details, 'RltdPties', `${party}Acct`, 'Othr', 'Id')
+      });
+    });
+  });
+
+  return {
+    account_number: xmlText(account, 'IBAN') || xmlText(account, 'Othr', 'Id'),
+    currency: xmlText(account, 'Ccy'),
+    period_start: parseDate(xmlText(statement, 'FrToDt', 'FrDtTm')) || periodOf(lines).period_start,
+    period_end: parseDate(xmlText(statement, 'FrToDt', 'ToDtTm')) || periodOf(lines).period_end,
+    lines
+  };
+};
+
+// ═══════════════════════════════════════════════════════════════
+//  ENTRY POINT
+// ═══════════════════════════════════════════════════════════════
+
+const PARSERS = { csv: parseCsv, mt940: parseMt940, camt053: parseCamt053 };
+
+/**
+ * Parse a statement file
+ * @param {Buffer|string} file - File contents
+ * @param {object} options
+ * @param {string} options.format - csv | mt940 | camt053 (detected when omitted)
+ * @param {string} options.fileName - Used for format detection
+ * @param {string} options.defaultCurrency - Currency of lines the file does not name (default: SAR)
+ * @returns {object} { format, account_number, currency, period_start, period_end, lines }
+ * @throws {AppError} 400 when the file cannot be read
+ */
+const parseStatement = (file, { format = null, fileName = '', defaultCurrency = 'SAR' } = {}) => {
+  const content = String(Buffer.isBuffer(file) ? file.toString('utf8') : file || '').replace(/^﻿/, '');
+  if (!content.trim()) {
+    throw new AppError('Statement file is empty', 400);
+  }
+  if (format && !FORMATS.includes(format)) {
+    throw new AppError(`Format must be one of: ${FORMATS.join(', ')}`, 400);
+  }
+
+  const detected = format || detectFormat(content, fileName);
+  const statement = PARSERS[detected](content);
+  const currency = (statement.currency || defaultCurrency).toUpperCase();
+
+  return {
+    format: detected,
+    ...statement,
+    currency,
+    lines: statement.lines.map(line => ({ ...line, currency: (line.currency || currency).toUpperCase() }))
+  };
+};
+
+module.exports = {
+  FORMATS,
+  parseStatement,
+  detectFormat,
+  parseAmount,
+  parseDate,
+  splitCsv,
+  detectDelimiter,
+  normalizeHeader
+};
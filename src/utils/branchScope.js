@@ -0,0 +1,109 @@
+/**
+ * Branch scoping helpers
+ *
+ * Branch admins and coaches only see data from their own branch(es). The
+ * scopeToBranch middleware resolves those branches once per request into
+ * req.branchScope (null = every branch); controllers then query through
+ * scoped(Model, req) and check single records with assertBranchAccess.
+ *
+ * Permissions handed out through a per-user grant reach no further than the
+ * user's own branch (see permissionScope).
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+const { BRANCH_SCOPED_ROLES, ROLES } = require('../config/constants');
+const permissionService = require('../services/permission.service');
+
+/**
+ * Branch ids a user is limited to, or null when they can see every branch.
+ * Coaches also reach the branches of the programs they are assigned to.
+ * @returns {Promise<string[]|null>}
+ */
+const resolveBranchIds = async (user) => {
+  if (!user || !BRANCH_SCOPED_ROLES.includes(user.role)) {
+    return null;
+  }
+
+  const branchIds = new Set();
+  if (user.branch_id) branchIds.add(String(user.branch_id));
+
+  if (user.role === ROLES.COACH) {
+    const { CoachProgram, Program } = require('../models');
+    const assignments = await CoachProgram.findAll({
+      where: { coach_id: user.id },
+      include: [{ model: Program, as: 'program', attributes: ['id', 'branch_id'] }]
+    });
+    assignments.forEach(({ program }) => {
+      if (program?.branch_id) branchIds.add(String(program.branch_id));
+    });
+  }
+
+  return [...branchIds];
+};
+
+const getBranchScope = (req) => req.branchScope || null;
+
+const withinScope = (branchIds, branchId) =>
+  !branchIds || (Boolean(branchId) && branchIds.includes(String(branchId)));
+
+const canAccessBranch = (req, branchId) => withinScope(getBranchScope(req), branchId);
+
+/**
+ * Branches the caller may use a permission in, or null for every branch.
+ * Callers whose role does not carry the permission (they hold it through a
+ * grant) are limited to their own branch - none when they have no branch.
+ * @returns {string[]|null}
+ */
+const permissionScope = (req, permission) => {
+  const branchIds = getBranchScope(req);
+  if (branchIds || permissionService.hasRolePermission(req.user, permission)) {
+    return branchIds;
+  }
+  return req.user?.branch_id ? [String(req.user.branch_id)] : [];
+};
+
+/**
+ * @throws {AppError} 403 when the record's branch is outside the caller's scope
+ */
+const assertBranchAccess = (req, branchId, message = 'You do not have access to data from this branch') => {
+  if (!canAccessBranch(req, branchId)) {
+    throw new AppError(message, 403);
+  }
+};
+
+/**
+ * @throws {AppError} 403 when the branch is outside where the caller may use the permission
+ */
+const assertPermissionScope = (req, permission, branchId, message = 'You do not have access to data from this branch') => {
+  if (!withinScope(permissionScope(req, permission), branchId)) {
+    throw new AppError(message, 403);
+  }
+};
+
+/**
+ * Model restricted to the caller's branches via its `branch` scope
+ * (to where they may use the permission, when one is given)
+ */
+const scoped = (Model, req, permission = null) => {
+  const branchIds = permission ? permissionScope(req, permission) : getBranchScope(req);
+  return branchIds ? Model.scope({ method: ['branch', branchIds] }) : Model;
+};
+
+/**
+ * Where fragment for filtering includes/joins by branch ({} when unscoped)
+ */
+const branchWhere = (req, field = 'branch_id') => {
+  const branchIds = getBranchScope(req);
+  return branchIds ? { [field]: branchIds } : {};
+};
+
+module.exports = {
+  resolveBranchIds,
+  getBranchScope,
+  canAccessBranch,
+  assertBranchAccess,
+  permissionScope,
+  assertPermissionScope,
+  scoped,
+  branchWhere
+};
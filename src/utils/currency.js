@@ -0,0 +1,64 @@
+/**
+ * Currency helpers
+ *
+ * Amounts are stored in major units (DECIMAL columns); payment gateways take
+ * integers in the currency's minor unit. The factor follows CURRENCY.MINOR_UNITS:
+ * 575.00 SAR -> 57500 halalas, but 57.500 KWD -> 57500 fils.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+const { CURRENCY } = require('../config/constants');
+
+const isSupportedCurrency = (code) =>
+  typeof code === 'string' && Object.prototype.hasOwnProperty.call(CURRENCY.MINOR_UNITS, code.toUpperCase());
+
+/**
+ * Upper-cased ISO code, or the default currency when empty
+ * @throws {AppError} 400 for currencies the academy does not handle
+ */
+const normalizeCurrency = (code, fallback = CURRENCY.DEFAULT) => {
+  if (code === undefined || code === null || code === '') return fallback;
+  if (!isSupportedCurrency(code)) {
+    throw new AppError(`Unsupported currency: ${code}. Use one of: ${Object.keys(CURRENCY.MINOR_UNITS).join(', ')}`, 400);
+  }
+  return code.toUpperCase();
+};
+
+const minorUnitFactor = (currency = CURRENCY.DEFAULT) =>
+  10 ** (CURRENCY.MINOR_UNITS[String(currency).toUpperCase()] ?? 2);
+
+/**
+ * Major units -> gateway integer (halalas, fils, ...)
+ */
+const toMinorUnits = (amount, currency = CURRENCY.DEFAULT) =>
+  Math.round((parseFloat(amount) || 0) * minorUnitFactor(currency));
+
+/**
+ * Gateway integer -> major units
+ */
+const fromMinorUnits = (amount, currency = CURRENCY.DEFAULT) =>
+  (parseInt(amount, 10) || 0) / minorUnitFactor(currency);
+
+/**
+ * Round half-up to the currency's minor unit (2 or 3 decimals)
+ */
+const roundToCurrency = (amount, currency = CURRENCY.DEFAULT) => {
+  const factor = minorUnitFactor(currency);
+  const number = parseFloat(amount) || 0;
+  return Math.sign(number) * Math.round((Math.abs(number) + Number.EPSILON) * factor) / factor;
+};
+
+/**
+ * Currency name for Arabic copy: riyal for SAR, the ISO code otherwise
+ */
+const arabicCurrency = (code = CURRENCY.DEFAULT) => (code === 'SAR' ? 'ريال' : code);
+
+module.exports = {
+  isSupportedCurrency,
+  normalizeCurrency,
+  minorUnitFactor,
+  toMinorUnits,
+  fromMinorUnits,
+  roundToCurrency,
+  arabicCurrency
+};
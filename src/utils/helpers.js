@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { ACADEMY_TIMEZONE } = require('../config/constants');
 
 /**
  * Convert Eastern Arabic (٠١٢٣٤٥٦٧٨٩) and Extended Arabic-Indic (۰۱۲۳۴۵۶۷۸۹)
@@ -173,6 +174,59 @@ const generateCode = (prefix = '', length = 6) => {
   return code;
 };
 
+/**
+ * Calendar date (YYYY-MM-DD, UTC) of a date or timestamp
+ * @param {Date|string|number} value - Date to format
+ * @returns {string} Date-only string
+ */
+const toDateOnly = (value) => new Date(value).toISOString().split('T')[0];
+
+/**
+ * Calendar date (YYYY-MM-DD) of a moment in the academy time zone.
+ * 00:05 in Riyadh is still the previous day in UTC.
+ * @param {Date|string|number} value - Moment (defaults to now)
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Date-only string
+ */
+const toAcademyDate = (value = Date.now(), timeZone = ACADEMY_TIMEZONE) => new Intl.DateTimeFormat('en-CA', {
+  timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+}).format(new Date(value));
+
+/**
+ * Today's date (YYYY-MM-DD, UTC)
+ * @returns {string} Date-only string
+ */
+const today = () => toDateOnly(Date.now());
+
+/**
+ * Add days to a date, in UTC
+ * @param {Date|string|number} value - Start date
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {Date} New date
+ */
+const addDays = (value, days) => {
+  const date = new Date(value);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date;
+};
+
+/**
+ * Add calendar months to a date, in UTC. The day is clamped to the end of
+ * the target month, so Jan 31 plus one month is Feb 28 (or 29).
+ * @param {Date|string|number} value - Start date
+ * @param {number} months - Months to add (defaults to 1)
+ * @returns {Date} New date
+ */
+const addMonths = (value, months) => {
+  const date = new Date(value);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + (months || 1));
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date;
+};
+
 module.exports = {
   normalizeArabicNumerals,
   generateToken,
@@ -184,6 +238,11 @@ module.exports = {
   sanitizeObject,
   sleep,
   formatCurrency,
-  generateCode
+  generateCode,
+  toDateOnly,
+  toAcademyDate,
+  today,
+  addDays,
+  addMonths
 };
 
@@ -0,0 +1,80 @@
+/**
+ * Rate limit stores
+ *
+ * A store only needs `increment(key, windowMs)` -> { count, resetAt } and
+ * `reset(key)`. MemoryStore is used by default (single process); RedisStore
+ * wraps any Redis-compatible client (ioredis / node-redis v4) so counters are
+ * shared between instances.
+ */
+
+class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+
+    // Drop expired windows so the map doesn't grow forever
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    if (this.cleanupTimer.unref) this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  async resetAll() {
+    this.hits.clear();
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+class RedisStore {
+  /**
+   * @param {Object} client - Redis-compatible client exposing incr, pexpire, pttl, del
+   * @param {Object} options
+   * @param {string} options.prefix - Key prefix
+   */
+  constructor(client, { prefix = 'rl:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async increment(key, windowMs) {
+    const redisKey = `${this.prefix}${key}`;
+    const count = Number(await this.client.incr(redisKey));
+
+    let ttl = Number(await this.client.pttl(redisKey));
+    if (count === 1 || ttl < 0) {
+      await this.client.pexpire(redisKey, windowMs);
+      ttl = windowMs;
+    }
+
+    return { count, resetAt: Date.now() + ttl };
+  }
+
+  async reset(key) {
+    await this.client.del(`${this.prefix}${key}`);
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  RedisStore
+};
@@ -0,0 +1,191 @@
+/**
+ * Weekly recurrence rules (an RRULE subset, RFC 5545)
+ *
+ *   FREQ=WEEKLY;INTERVAL=2;BYDAY=SU,TU;UNTIL=20261231
+ *   FREQ=WEEKLY;BYDAY=MO;COUNT=10
+ *
+ * Only weekly rules are supported: INTERVAL 1 (weekly) or 2 (biweekly), one or
+ * more BYDAY days, and at most one of UNTIL / COUNT. Weeks start on Sunday.
+ * As in RFC 5545, COUNT counts the occurrences the rule produces; exception
+ * dates and holidays are removed afterwards.
+ *
+ * Dates are 'YYYY-MM-DD' strings, computed in UTC.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = { weekly: 1, biweekly: 2 };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest a rule without UNTIL / COUNT / window may be expanded
+const MAX_OCCURRENCES = 1000;
+
+const parseDay = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDay = date => date.toISOString().split('T')[0];
+
+const addDays = (value, days) => {
+  const date = parseDay(value);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDay(date);
+};
+
+const dayOfWeek = value => DAYS[parseDay(value).getUTCDay()];
+
+const daysBetween = (from, to) => Math.round((parseDay(to) - parseDay(from)) / (24 * 60 * 60 * 1000));
+
+const assertDate = (value, label) => {
+  if (!value || !DATE_PATTERN.test(value) || Number.isNaN(parseDay(value).getTime())) {
+    throw new AppError(`${label} must be a date in YYYY-MM-DD format`, 400);
+  }
+  return value;
+};
+
+// 'sunday' / 'SU' / 'Sun' -> 'sunday'
+const normalizeDay = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  const day = DAYS.find(name => name === text || name.slice(0, 2) === text || name.slice(0, 3) === text);
+  if (!day) {
+    throw new AppError(`Unknown day: ${value}`, 400);
+  }
+  return day;
+};
+
+/**
+ * Validate a rule and put its days in week order
+ * @returns {object} { interval, by_day, until, count }
+ */
+const normalizeRule = ({ interval = 1, byDay, until = null, count = null }) => {
+  const weeks = parseInt(interval, 10);
+  if (![1, 2].includes(weeks)) {
+    throw new AppError('Sessions can repeat weekly or biweekly only', 400);
+  }
+
+  const days = [...new Set((Array.isArray(byDay) ? byDay : [byDay]).filter(Boolean).map(normalizeDay))];
+  if (!days.length) {
+    throw new AppError('A recurrence needs at least one day of the week', 400);
+  }
+
+  if (until && count) {
+    throw new AppError('A recurrence ends on a date or after a number of sessions, not both', 400);
+  }
+  const total = count === null || count === undefined || count === '' ? null : parseInt(count, 10);
+  if (total !== null && !(total > 0 && total <= MAX_OCCURRENCES)) {
+    throw new AppError(`Count must be between 1 and ${MAX_OCCURRENCES}`, 400);
+  }
+
+  return {
+    interval: weeks,
+    by_day: days.sort((a, b) => DAYS.indexOf(a) - DAYS.indexOf(b)),
+    until: until ? assertDate(until, 'Until') : null,
+    count: total
+  };
+};
+
+/**
+ * Parse an RRULE string ("RRULE:" prefix optional)
+ * @returns {object} { interval, by_day, until, count }
+ */
+const parseRRule = (text) => {
+  const parts = {};
+  String(text || '').replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((part) => {
+    const [key, value = ''] = part.split('=');
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  });
+
+  if (parts.FREQ !== 'WEEKLY') {
+    throw new AppError('Only FREQ=WEEKLY recurrence rules are supported', 400);
+  }
+
+  let until = null;
+  if (parts.UNTIL) {
+    const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) {
+      throw new AppError(`Invalid UNTIL: ${parts.UNTIL}`, 400);
+    }
+    until = `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  return normalizeRule({
+    interval: parts.INTERVAL || 1,
+    byDay: parts.BYDAY ? parts.BYDAY.split(',').map(code => DAYS[DAY_CODES.indexOf(code)] || code) : [],
+    until,
+    count: parts.COUNT || null
+  });
+};
+
+/**
+ * RRULE string of a rule
+ */
+const formatRRule = ({ interval = 1, by_day: byDay = [], until = null, count = null }) => [
+  'FREQ=WEEKLY',
+  interval > 1 ? `INTERVAL=${interval}` : null,
+  `BYDAY=${byDay.map(day => DAY_CODES[DAYS.indexOf(day)]).join(',')}`,
+  until ? `UNTIL=${until.replace(/-/g, '')}` : null,
+  count ? `COUNT=${count}` : null
+].filter(Boolean).join(';');
+
+/**
+ * Occurrence dates of a rule from startDate, within an optional [from, to] window
+ * @param {object} rule - { interval, by_day, until, count }
+ * @param {object} options
+ * @param {string[]} options.exceptionDates - Dates never to hold a session
+ * @param {object[]} options.holidays - { start_date, end_date, name } ranges to skip
+ * @returns {object[]} { date, day_of_week, skipped: null | 'exception' | 'holiday', holiday }
+ */
+const expandOccurrences = (rule, { startDate, from = null, to = null, exceptionDates = [], holidays = [] }) => {
+  assertDate(startDate, 'Start date');
+  const last = [rule.until, to].filter(Boolean).sort()[0] || null;
+  if (!last && !rule.count) {
+    throw new AppError('An open-ended recurrence needs an end of the window to expand', 400);
+  }
+
+  const exceptions = new Set(exceptionDates);
+  const weekStart = addDays(startDate, -parseDay(startDate).getUTCDay());
+  const occurrences = [];
+  let produced = 0;
+
+  for (let week = 0; produced < MAX_OCCURRENCES; week += rule.interval) {
+    const firstOfWeek = addDays(weekStart, week * 7);
+    if (last && firstOfWeek > last) break;
+
+    for (const day of rule.by_day) {
+      const date = addDays(firstOfWeek, DAYS.indexOf(day));
+      if (date < startDate) continue;
+      if ((last && date > last) || (rule.count && produced >= rule.count)) break;
+      produced += 1;
+
+      if (from && date < from) continue;
+      const holiday = holidays.find(range => range.start_date <= date && date <= (range.end_date || range.start_date));
+      occurrences.push({
+        date,
+        day_of_week: day,
+        skipped: exceptions.has(date) ? 'exception' : (holiday ? 'holiday' : null),
+        holiday: holiday ? holiday.name : null
+      });
+    }
+
+    if (rule.count && produced >= rule.count) break;
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  DAYS,
+  FREQUENCIES,
+  addDays,
+  dayOfWeek,
+  daysBetween,
+  assertDate,
+  normalizeDay,
+  normalizeRule,
+  parseRRule,
+  formatRRule,
+  expandOccurrences
+};
@@ -319,7 +319,20 @@ const programValidators = {
       .optional()
       .customSanitizer(normalizeNumerals)
       .isInt({ min: 1 })
-      .withMessage('Duration must be at least 1 month')
+      .withMessage('Duration must be at least 1 month'),
+    body('pricing_plans.*.max_installments')
+      .optional()
+      .customSanitizer(normalizeNumerals)
+      .isInt({ min: 1, max: 12 })
+      .withMessage('Installments must be between 1 and 12'),
+    body('prices_include_tax')
+      .optional()
+      .isBoolean()
+      .withMessage('prices_include_tax must be a boolean'),
+    body('pricing_plans.*.prices_include_tax')
+      .optional({ nullable: true })
+      .isBoolean()
+      .withMessage('prices_include_tax must be a boolean')
   ],
 
   update: [
@@ -335,7 +348,11 @@ const programValidators = {
     body('pricing_plans')
       .optional()
       .isArray()
-      .withMessage('Pricing plans must be an array')
+      .withMessage('Pricing plans must be an array'),
+    body('prices_include_tax')
+      .optional()
+      .isBoolean()
+      .withMessage('prices_include_tax must be a boolean')
   ]
 };
 
@@ -359,7 +376,51 @@ const paymentValidators = {
     body('payment_method')
       .optional()
       .isIn(['cash', 'credit_card', 'bank_transfer', 'mada', 'apple_pay', 'stc_pay'])
-      .withMessage('Invalid payment method')
+      .withMessage('Invalid payment method'),
+    body('discount_amount')
+      .optional()
+      .customSanitizer(normalizeNumerals)
+      .isDecimal()
+      .withMessage('Discount must be a valid decimal number'),
+    body('prices_include_tax')
+      .optional()
+      .isBoolean()
+      .withMessage('prices_include_tax must be a boolean')
+  ]
+};
+
+// Store order validators
+const orderValidators = {
+  checkout: [
+    body('items')
+      .isArray({ min: 1 })
+      .withMessage('Cart must contain at least one item'),
+    body('items.*.product_id')
+      .isUUID(4)
+      .withMessage('Product ID must be a valid UUID'),
+    body('items.*.variant_id')
+      .optional()
+      .isUUID(4)
+      .withMessage('Variant ID must be a valid UUID'),
+    body('items.*.player_id')
+      .optional()
+      .isUUID(4)
+      .withMessage('Player ID must be a valid UUID'),
+    body('items.*.quantity')
+      .optional()
+      .customSanitizer(normalizeNumerals)
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Quantity must be between 1 and 50'),
+    body('branch_id')
+      .optional()
+      .isUUID(4)
+      .withMessage('Branch ID must be a valid UUID')
+  ],
+
+  updateStatus: [
+    body('status')
+      .isIn(['ready_for_pickup', 'delivered'])
+      .withMessage('Status must be ready_for_pickup or delivered')
   ]
 };
 
@@ -498,6 +559,7 @@ module.exports = {
   branchValidators,
   programValidators,
   paymentValidators,
+  orderValidators,
   attendanceValidators,
   smsValidators,
   announcementValidators
@@ -0,0 +1,41 @@
+const request = require('supertest');
+const { DEFAULT_PASSWORD } = require('./fixtures');
+
+/**
+ * Log a fixture user in through the real endpoint and return its tokens
+ */
+const login = async (app, user, password = DEFAULT_PASSWORD) => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ phone: user.phone, password });
+
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${user.phone}: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+
+  return res.body.data;
+};
+
+/**
+ * Supertest agent bound to a logged-in user:
+ *   const api = await actingAs(app, superAdmin);
+ *   await api.get('/api/players');
+ */
+const actingAs = async (app, user) => {
+  const { accessToken } = await login(app, user);
+  const withAuth = (req) => req.set('Authorization', `Bearer ${accessToken}`);
+
+  return {
+    token: accessToken,
+    get: (url) => withAuth(request(app).get(url)),
+    post: (url) => withAuth(request(app).post(url)),
+    put: (url) => withAuth(request(app).put(url)),
+    patch: (url) => withAuth(request(app).patch(url)),
+    delete: (url) => withAuth(request(app).delete(url))
+  };
+};
+
+module.exports = {
+  login,
+  actingAs
+};
@@ -0,0 +1,19 @@
+const { sequelize } = require('../../src/models');
+
+/**
+ * Recreate every table from the model definitions.
+ * Each Jest worker gets its own in-memory SQLite database, so test files
+ * never see each other's rows.
+ */
+const resetDatabase = async () => {
+  await sequelize.sync({ force: true });
+};
+
+const closeDatabase = async () => {
+  await sequelize.close();
+};
+
+module.exports = {
+  resetDatabase,
+  closeDatabase
+};
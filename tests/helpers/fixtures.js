@@ -0,0 +1,122 @@
+const { Branch, Program, ProgramPricingPlan, User, Player, Subscription } = require('../../src/models');
+
+const DEFAULT_PASSWORD = 'Password123!';
+
+let sequence = 0;
+const next = () => ++sequence;
+
+/**
+ * Unique Saudi mobile number (+9665XXXXXXXX)
+ */
+const uniquePhone = () => `+9665${String(10000000 + next()).slice(-8)}`;
+
+const toDateOnly = (date) => date.toISOString().split('T')[0];
+
+const addDays = (days, from = new Date()) => {
+  const date = new Date(from);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+const createBranch = (overrides = {}) => {
+  const n = next();
+  return Branch.create({
+    name: `Test Branch ${n}`,
+    name_ar: `فرع تجريبي ${n}`,
+    code: `TST-${n}`,
+    city: 'Riyadh',
+    ...overrides
+  });
+};
+
+const createProgram = (branch, overrides = {}) => Program.create({
+  name: `Test Program ${next()}`,
+  name_ar: 'برنامج تجريبي',
+  type: 'training',
+  branch_id: branch.id,
+  price_monthly: 500,
+  ...overrides
+});
+
+const createPricingPlan = (program, overrides = {}) => ProgramPricingPlan.create({
+  program_id: program.id,
+  name: 'Monthly',
+  name_ar: 'شهري',
+  duration_months: 1,
+  price: 575,
+  ...overrides
+});
+
+/**
+ * Create a user with a known password (see DEFAULT_PASSWORD)
+ */
+const createUser = (role, overrides = {}) => {
+  const n = next();
+  return User.create({
+    first_name: `${role} ${n}`,
+    last_name: 'Test',
+    email: `${role}_${n}@test.academy.local`,
+    phone: uniquePhone(),
+    password: DEFAULT_PASSWORD,
+    role,
+    is_active: true,
+    is_verified: true,
+    ...overrides
+  });
+};
+
+const createPlayer = ({ parent, branch, program = null }, overrides = {}) => Player.create({
+  first_name: `Player ${next()}`,
+  last_name: 'Test',
+  date_of_birth: '2015-05-01',
+  gender: 'male',
+  parent_id: parent.id,
+  branch_id: branch.id,
+  program_id: program ? program.id : null,
+  ...overrides
+});
+
+const createSubscription = ({ player, program }, overrides = {}) => Subscription.create({
+  player_id: player.id,
+  program_id: program.id,
+  start_date: toDateOnly(addDays(-10)),
+  end_date: toDateOnly(addDays(20)),
+  amount: 500,
+  total_amount: 575,
+  status: 'active',
+  ...overrides
+});
+
+/**
+ * Seed one branch with a program, a monthly plan, staff of every role,
+ * a parent and their child enrolled in the program.
+ */
+const seedAcademy = async () => {
+  const branch = await createBranch();
+  const program = await createProgram(branch);
+  const pricingPlan = await createPricingPlan(program);
+
+  const superAdmin = await createUser('super_admin');
+  const accountant = await createUser('accountant');
+  const branchAdmin = await createUser('branch_admin', { branch_id: branch.id });
+  const coach = await createUser('coach', { branch_id: branch.id });
+  const parent = await createUser('parent', { branch_id: branch.id });
+
+  const player = await createPlayer({ parent, branch, program });
+
+  return { branch, program, pricingPlan, superAdmin, accountant, branchAdmin, coach, parent, player };
+};
+
+module.exports = {
+  DEFAULT_PASSWORD,
+  uniquePhone,
+  toDateOnly,
+  addDays,
+  createBranch,
+  createProgram,
+  createPricingPlan,
+  createUser,
+  createPlayer,
+  createSubscription,
+  seedAcademy
+};
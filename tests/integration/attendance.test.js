@@ -0,0 +1,82 @@
+const app = require('../../src/app');
+const { Attendance } = require('../../src/models');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy, createPlayer, toDateOnly } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Attendance', () => {
+  let academy;
+  let secondPlayer;
+  let coachApi;
+  const sessionDate = toDateOnly(new Date());
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    secondPlayer = await createPlayer({ parent: academy.parent, branch: academy.branch, program: academy.program });
+    coachApi = await actingAs(app, academy.coach);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('records attendance for a whole session in one request', async () => {
+    const res = await coachApi
+      .post('/api/attendance/bulk')
+      .send({
+        program_id: academy.program.id,
+        session_date: sessionDate,
+        attendance: [
+          { player_id: academy.player.id, status: 'present' },
+          { player_id: secondPlayer.id, status: 'absent' }
+        ]
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.errors).toEqual([]);
+
+    const records = await Attendance.findAll({ where: { program_id: academy.program.id, session_date: sessionDate } });
+    expect(records).toHaveLength(2);
+    expect(records.find(r => r.player_id === academy.player.id).status).toBe('present');
+    expect(records.find(r => r.player_id === secondPlayer.id).status).toBe('absent');
+  });
+
+  it('updates existing records instead of duplicating them', async () => {
+    const res = await coachApi
+      .post('/api/attendance/bulk')
+      .send({
+        program_id: academy.program.id,
+        session_date: sessionDate,
+        attendance: [{ player_id: secondPlayer.id, status: 'late' }]
+      });
+
+    expect(res.status).toBe(200);
+
+    const records = await Attendance.findAll({ where: { player_id: secondPlayer.id, session_date: sessionDate } });
+    expect(records).toHaveLength(1);
+    expect(records[0].status).toBe('late');
+  });
+
+  it('validates the payload', async () => {
+    const res = await coachApi
+      .post('/api/attendance/bulk')
+      .send({ program_id: academy.program.id, session_date: sessionDate, attendance: [] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('is not available to parents', async () => {
+    const parentApi = await actingAs(app, academy.parent);
+
+    const res = await parentApi
+      .post('/api/attendance/bulk')
+      .send({
+        program_id: academy.program.id,
+        session_date: sessionDate,
+        attendance: [{ player_id: academy.player.id, status: 'present' }]
+      });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { OTP, User, Session } = require('../../src/models');
+const smsService = require('../../src/services/sms.service');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { createBranch, createUser, uniquePhone, DEFAULT_PASSWORD } = require('../helpers/fixtures');
+
+describe('Auth', () => {
+  let branch;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    branch = await createBranch();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('OTP registration', () => {
+    it('sends an OTP, verifies it and completes registration', async () => {
+      const smsSpy = jest.spyOn(smsService, 'mockSend');
+      const phone = uniquePhone();
+
+      const sendRes = await request(app)
+        .post('/api/auth/send-otp')
+        .send({ phone });
+
+      expect(sendRes.status).toBe(200);
+      expect(sendRes.body.data.phone).toBe(phone);
+      // The code is only echoed back in development
+      expect(sendRes.body.data.otp).toBeUndefined();
+
+      const otp = await OTP.findOne({ where: { phone, is_used: false } });
+      expect(otp).not.toBeNull();
+      expect(smsSpy).toHaveBeenCalledWith(phone, expect.stringContaining(otp.code));
+
+      const verifyRes = await request(app)
+        .post('/api/auth/verify-otp')
+        .send({ phone, code: otp.code });
+
+      expect(verifyRes.status).toBe(200);
+      expect(verifyRes.body.data.requires_registration).toBe(true);
+
+      const completeRes = await request(app)
+        .post('/api/auth/complete-registration')
+        .send({
+          verification_token: verifyRes.body.data.verification_token,
+          first_name: 'Sara',
+          last_name: 'Test',
+          password: DEFAULT_PASSWORD,
+          branch_id: branch.id
+        });
+
+      expect(completeRes.status).toBe(201);
+      expect(completeRes.body.data.accessToken).toBeDefined();
+
+      const user = await User.findOne({ where: { phone } });
+      expect(user.role).toBe('parent');
+      expect(user.is_verified).toBe(true);
+      expect(user.branch_id).toBe(branch.id);
+    });
+
+    it('rejects a wrong code', async () => {
+      const phone = uniquePhone();
+      await request(app).post('/api/auth/send-otp').send({ phone }).expect(200);
+
+      const otp = await OTP.findOne({ where: { phone, is_used: false } });
+      const wrongCode = otp.code === '000000' ? '111111' : '000000';
+
+      const res = await request(app)
+        .post('/api/auth/verify-otp')
+        .send({ phone, code: wrongCode });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('throttles repeated OTP requests for the same phone', async () => {
+      const phone = uniquePhone();
+      await request(app).post('/api/auth/send-otp').send({ phone }).expect(200);
+
+      const res = await request(app).post('/api/auth/send-otp').send({ phone });
+
+      expect(res.status).toBe(429);
+    });
+  });
+
+  describe('Password sessions', () => {
+    let parent;
+
+    beforeAll(async () => {
+      parent = await createUser('parent', { branch_id: branch.id });
+    });
+
+    it('rejects an invalid password', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ phone: parent.phone, password: 'wrong-password' });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('logs in, refreshes the token and logs out', async () => {
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ phone: parent.phone, password: DEFAULT_PASSWORD });
+
+      expect(loginRes.status).toBe(200);
+      const { accessToken, refreshToken } = loginRes.body.data;
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const refreshRes = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken });
+
+      expect(refreshRes.status).toBe(200);
+      const token = refreshRes.body.data.accessToken;
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const session = await Session.findOne({ where: { user_id: parent.id, token } });
+      expect(session.is_active).toBe(false);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it('rejects requests without a token', async () => {
+      await request(app).get('/api/auth/me').expect(401);
+    });
+  });
+});
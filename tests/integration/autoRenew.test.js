@@ -0,0 +1,245 @@
+const app = require('../../src/app');
+const { Payment, Subscription, PaymentMethod, Notification } = require('../../src/models');
+const autoRenewService = require('../../src/services/autoRenew.service');
+const paymentService = require('../../src/services/payment.service');
+const { AUTO_RENEW } = require('../../src/config/constants');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy, createUser, createPlayer, createSubscription, toDateOnly, addDays } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Subscription auto-renewal', () => {
+  let academy;
+  let parentApi;
+
+  // Subscription paid on the academy's monthly plan, ending in `daysLeft` days
+  const createPaidSubscription = async (daysLeft, player = academy.player) => {
+    const subscription = await createSubscription(
+      { player, program: academy.program },
+      { end_date: toDateOnly(addDays(daysLeft)) }
+    );
+    await Payment.create({
+      user_id: academy.parent.id,
+      player_id: player.id,
+      branch_id: academy.branch.id,
+      subscription_id: subscription.id,
+      pricing_plan_id: academy.pricingPlan.id,
+      amount: 500,
+      tax_amount: 75,
+      total_amount: 575,
+      status: 'completed'
+    });
+    return subscription;
+  };
+
+  const saveCard = async (token = 'tok_visa') => {
+    const res = await parentApi.post('/api/payments/methods').send({ token });
+    expect(res.status).toBe(201);
+    return res.body.data;
+  };
+
+  const enableAutoRenew = (subscription, card) => parentApi
+    .patch(`/api/subscriptions/${subscription.id}/auto-renew`)
+    .send({ enabled: true, payment_method_id: card.id });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    parentApi = await actingAs(app, academy.parent);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('saved cards', () => {
+    it('saves a tokenized card without exposing the token', async () => {
+      const card = await saveCard();
+
+      expect(card.last_four).toBe('4242');
+      expect(card.is_default).toBe(true);
+      expect(card.token).toBeUndefined();
+
+      const list = await parentApi.get('/api/payments/methods').expect(200);
+      expect(list.body.data.map(c => c.id)).toContain(card.id);
+    });
+
+    it('requires a gateway token', async () => {
+      const res = await parentApi.post('/api/payments/methods').send({});
+      expect(res.status).toBe(400);
+      expect(await PaymentMethod.count({ where: { user_id: academy.parent.id } })).toBe(1);
+    });
+
+    it('is limited to parents unless granted', async () => {
+      const adminApi = await actingAs(app, academy.superAdmin);
+      await adminApi.post('/api/payments/methods').send({ token: 'tok_visa' }).expect(403);
+
+      const coach = await createUser('coach', { branch_id: academy.branch.id, permissions: { grant: ['payment_methods.manage'], revoke: [] } });
+      const coachApi = await actingAs(app, coach);
+      await coachApi.post('/api/payments/methods').send({ token: 'tok_visa' }).expect(201);
+    });
+  });
+
+  describe('opt-in', () => {
+    it('turns auto-renewal on with one of the parent\'s saved cards', async () => {
+      const subscription = await createPaidSubscription(20);
+      const card = await saveCard();
+
+      const res = await enableAutoRenew(subscription, card);
+      expect(res.status).toBe(200);
+
+      await subscription.reload();
+      expect(subscription.is_auto_renew).toBe(true);
+      expect(subscription.payment_method_id).toBe(card.id);
+    });
+
+    it('rejects another parent\'s card and other parents\' subscriptions', async () => {
+      const subscription = await createPaidSubscription(20);
+      const otherParent = await createUser('parent');
+      const otherApi = await actingAs(app, otherParent);
+      const otherCard = (await otherApi.post('/api/payments/methods').send({ token: 'tok_visa' })).body.data;
+
+      await enableAutoRenew(subscription, otherCard).expect(404);
+      await otherApi
+        .patch(`/api/subscriptions/${subscription.id}/auto-renew`)
+        .send({ enabled: true, payment_method_id: otherCard.id })
+        .expect(403);
+    });
+
+    it('turns auto-renewal off when the card is removed', async () => {
+      const subscription = await createPaidSubscription(20);
+      const card = await saveCard();
+      await enableAutoRenew(subscription, card).expect(200);
+
+      const res = await parentApi.delete(`/api/payments/methods/${card.id}`).expect(200);
+      expect(res.body.data.subscriptions_auto_renew_disabled).toBe(1);
+
+      await subscription.reload();
+      expect(subscription.is_auto_renew).toBe(false);
+    });
+
+    it('carries the opt-in from an online checkout onto the new subscription', async () => {
+      const player = await createPlayer({ parent: academy.parent, branch: academy.branch, program: academy.program });
+      const card = await saveCard();
+
+      const initRes = await parentApi
+        .post('/api/payments/gateway/initiate')
+        .send({ player_id: player.id, pricing_plan_id: academy.pricingPlan.id, auto_renew: true, payment_method_id: card.id })
+        .expect(200);
+
+      await parentApi.post(`/api/payments/gateway/mock/${initRes.body.data.payment_id}/complete`).send({}).expect(200);
+
+      const subscription = await Subscription.findOne({ where: { player_id: player.id } });
+      expect(subscription.is_auto_renew).toBe(true);
+      expect(subscription.payment_method_id).toBe(card.id);
+    });
+  });
+
+  describe('renewal job', () => {
+    it('charges the saved card before end_date and chains the renewal', async () => {
+      const player = await createPlayer({ parent: academy.parent, branch: academy.branch, program: academy.program });
+      const notDueYet = await createPaidSubscription(AUTO_RENEW.DAYS_BEFORE_END + 5, player);
+      const subscription = await createPaidSubscription(AUTO_RENEW.DAYS_BEFORE_END - 1, player);
+      const card = await saveCard();
+      await enableAutoRenew(subscription, card).expect(200);
+      await enableAutoRenew(notDueYet, card).expect(200);
+
+      const results = await autoRenewService.processDueRenewals();
+      expect(results.renewed).toBeGreaterThanOrEqual(1);
+
+      const renewal = await Subscription.findOne({ where: { renewed_from_id: subscription.id } });
+      expect(renewal.start_date).toBe(subscription.end_date);
+      expect(renewal.status).toBe('active');
+      expect(renewal.is_auto_renew).toBe(true);
+      expect(renewal.payment_method_id).toBe(card.id);
+
+      const payment = await Payment.findOne({ where: { subscription_id: renewal.id } });
+      expect(payment.status).toBe('completed');
+      expect(parseFloat(payment.total_amount)).toBe(575);
+      expect(payment.metadata.renewal_of).toBe(subscription.id);
+
+      await subscription.reload();
+      expect(subscription.is_auto_renew).toBe(false);
+      expect(await Subscription.count({ where: { renewed_from_id: notDueYet.id } })).toBe(0);
+
+      const notification = await Notification.findOne({
+        where: { user_id: academy.parent.id, type: 'subscription_renewed' }
+      });
+      expect(notification.data.subscription_id).toBe(renewal.id);
+
+      // Running again the same day does not charge twice
+      await autoRenewService.processDueRenewals();
+      expect(await Payment.count({ where: { player_id: player.id, status: 'completed' } })).toBe(3);
+    });
+
+    it('retries declined charges with backoff and gives up after the last attempt', async () => {
+      const subscription = await createPaidSubscription(1);
+      const card = await saveCard('tok_decline');
+      await enableAutoRenew(subscription, card).expect(200);
+
+      let now = new Date();
+      await autoRenewService.processDueRenewals(now);
+
+      await subscription.reload();
+      expect(subscription.auto_renew_attempts).toBe(1);
+      expect(subscription.is_auto_renew).toBe(true);
+      expect(new Date(subscription.auto_renew_next_attempt_at).getTime())
+        .toBe(now.getTime() + AUTO_RENEW.RETRY_BASE_HOURS * 60 * 60 * 1000);
+      expect(await Payment.count({ where: { player_id: academy.player.id, status: 'failed' } })).toBe(1);
+
+      const failure = await Notification.findOne({
+        where: { user_id: academy.parent.id, type: 'payment_failed' }
+      });
+      expect(failure.data.subscription_id).toBe(subscription.id);
+
+      // Not retried before the backoff elapses
+      await autoRenewService.processDueRenewals(now);
+      await subscription.reload();
+      expect(subscription.auto_renew_attempts).toBe(1);
+
+      for (let attempt = 2; attempt <= AUTO_RENEW.MAX_ATTEMPTS; attempt++) {
+        now = new Date(subscription.auto_renew_next_attempt_at);
+        await autoRenewService.processDueRenewals(now);
+        await subscription.reload();
+        expect(subscription.auto_renew_attempts).toBe(attempt);
+      }
+
+      expect(subscription.is_auto_renew).toBe(false);
+      expect(subscription.auto_renew_next_attempt_at).toBeNull();
+      expect(await Subscription.count({ where: { renewed_from_id: subscription.id } })).toBe(0);
+    });
+
+    it('asks the gateway about a charge that errored before charging again', async () => {
+      const player = await createPlayer({ parent: academy.parent, branch: academy.branch, program: academy.program });
+      const subscription = await createPaidSubscription(1, player);
+      const card = await saveCard();
+      await enableAutoRenew(subscription, card).expect(200);
+
+      // The card is charged, but the response never arrives
+      const charge = paymentService.chargeSavedCard.bind(paymentService);
+      const spy = jest.spyOn(paymentService, 'chargeSavedCard').mockImplementationOnce(async (options) => {
+        await charge(options);
+        throw new Error('socket hang up');
+      });
+
+      const now = new Date();
+      await autoRenewService.processDueRenewals(now);
+      await subscription.reload();
+      expect(subscription.auto_renew_attempts).toBe(1);
+
+      const payment = await Payment.findOne({ where: { player_id: player.id, status: 'pending' } });
+      expect(payment.metadata.gateway_error).toBe('socket hang up');
+      expect(spy.mock.calls[0][0].idempotencyKey).toBe(payment.id);
+
+      await autoRenewService.processDueRenewals(new Date(subscription.auto_renew_next_attempt_at));
+      expect(spy).toHaveBeenCalledTimes(1);
+      spy.mockRestore();
+
+      await payment.reload();
+      expect(payment.status).toBe('completed');
+      expect(await Payment.count({ where: { player_id: player.id } })).toBe(2);
+      expect(await Subscription.count({ where: { renewed_from_id: subscription.id } })).toBe(1);
+      const charges = Object.values(global._mockPayments).filter(entry => entry.metadata?.payment_id === payment.id);
+      expect(charges).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,265 @@
+const app = require('../../src/app');
+const { Payment, BankStatementLine, AuditLog, JournalEntry } = require('../../src/models');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy, createBranch, createPlayer, toDateOnly, addDays } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Bank statement reconciliation', () => {
+  let academy;
+  let accountantApi;
+
+  // Pending bank transfer, as left by a receipt upload
+  const pendingTransfer = async (total, overrides = {}) => {
+    const player = overrides.player || academy.player;
+    const tax = Math.round((total * 15 / 115) * 100) / 100;
+    const payment = await Payment.create({
+      user_id: academy.parent.id,
+      player_id: player.id,
+      branch_id: player.branch_id,
+      type: 'registration',
+      payment_method: 'bank_transfer',
+      amount: total - tax,
+      tax_amount: tax,
+      total_amount: total,
+      ...overrides,
+      player: undefined
+    });
+    return payment.reload();
+  };
+
+  const importFile = (content, fileName, fields = {}) => {
+    const req = accountantApi.post('/api/bank-statements');
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('statement', Buffer.from(content), fileName);
+  };
+
+  const linesOf = async (statementId) => BankStatementLine.findAll({
+    where: { statement_id: statementId },
+    order: [['line_number', 'ASC']]
+  });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    accountantApi = await actingAs(app, academy.accountant);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('CSV import', () => {
+    let statementId;
+    let payments;
+    const today = toDateOnly(new Date());
+
+    it('matches by invoice number, reference and unique amount, and proposes the rest', async () => {
+      const branch = await createBranch();
+      const sara = await createPlayer({ parent: academy.parent, branch }, { first_name: 'Sara', last_name: 'Haddad' });
+      const omar = await createPlayer({ parent: academy.parent, branch }, { first_name: 'Omar', last_name: 'Nasser' });
+
+      payments = {
+        byInvoice: await pendingTransfer(575, { player: sara }),
+        byReference: await pendingTransfer(1150, { player: sara, transaction_id: 'TRX-98765' }),
+        byAmount: await pendingTransfer(345, { player: omar }),
+        sara: await pendingTransfer(230, { player: sara }),
+        omar: await pendingTransfer(230, { player: omar })
+      };
+
+      const csv = [
+        'Date,Description,Reference,Amount,Name,Transaction ID',
+        `${today},"Fees ${payments.byInvoice.invoice_number}",,575.00,Khalid Haddad,BNK-1`,
+        `${today},Transfer,TRX98765,"1,150.00",Khalid Haddad,BNK-2`,
+        `${today},Monthly fees,,345,Someone,BNK-3`,
+        `${today},Training Sara Haddad,,230,Khalid Haddad,BNK-4`,
+        `${today},Electricity,,-410.50,SEC,BNK-5`
+      ].join('\n');
+
+      const res = await importFile(csv, 'october.csv', { branch_id: branch.id }).expect(201);
+      statementId = res.body.data.statement.id;
+      expect(res.body.data.statement.format).toBe('csv');
+      expect(res.body.data.summary).toEqual(expect.objectContaining({ lines: 5, matched: 3, proposed: 1, ignored: 1 }));
+
+      const lines = await linesOf(statementId);
+      expect(lines.map(line => [line.status, line.match_type, line.payment_id])).toEqual([
+        ['matched', 'invoice_number', payments.byInvoice.id],
+        ['matched', 'reference', payments.byReference.id],
+        ['matched', 'amount', payments.byAmount.id],
+        ['proposed', null, null],
+        ['ignored', null, null]
+      ]);
+
+      // Both 230 transfers are candidates; the payer name puts Sara's first
+      const proposals = lines[3].proposals;
+      expect(proposals.map(p => p.payment_id)).toEqual([payments.sara.id, payments.omar.id]);
+      expect(proposals[0].score).toBeGreaterThan(proposals[1].score);
+      expect(proposals[0].reasons).toEqual(expect.arrayContaining(['same amount', 'payer name']));
+    });
+
+    it('skips lines that were already imported', async () => {
+      const csv = [
+        'Date,Description,Reference,Amount,Name,Transaction ID',
+        `${today},Monthly fees,,345,Someone,BNK-3`
+      ].join('\n');
+      const again = await importFile(csv, 'october-again.csv');
+      expect(again.status).toBe(409);
+
+      const extended = `${csv}\n${toDateOnly(addDays(1))},Late fees,,99,Someone,BNK-6`;
+      const res = await importFile(extended, 'october-extended.csv').expect(201);
+      expect(res.body.data.statement.line_count).toBe(1);
+      expect(res.body.data.statement.duplicate_count).toBe(1);
+    });
+
+    it('lets a reviewer confirm a proposal, but only for the same amount', async () => {
+      const [, , , proposed] = await linesOf(statementId);
+
+      const wrongAmount = await accountantApi
+        .patch(`/api/bank-statements/${statementId}/lines/${proposed.id}`)
+        .send({ payment_id: payments.byAmount.id });
+      expect(wrongAmount.status).toBe(400);
+
+      const res = await accountantApi
+        .patch(`/api/bank-statements/${statementId}/lines/${proposed.id}`)
+        .send({ payment_id: payments.sara.id })
+        .expect(200);
+      expect(res.body.data.status).toBe('matched');
+      expect(res.body.data.match_type).toBe('manual');
+      expect(res.body.data.matched_by).toBe(academy.accountant.id);
+      expect(res.body.data.payment.invoice_number).toBe(payments.sara.invoice_number);
+    });
+
+    it('bulk-completes matched payments with an audit trail', async () => {
+      const res = await accountantApi.post(`/api/bank-statements/${statementId}/complete`).expect(200);
+      expect(res.body.data.completed).toBe(4);
+      expect(res.body.data.failed).toBe(0);
+      expect(res.body.data.status).toBe('reconciled');
+
+      const byReference = await Payment.findByPk(payments.byReference.id);
+      expect(byReference.status).toBe('completed');
+      expect(byReference.transaction_id).toBe('TRX-98765');
+      expect(toDateOnly(byReference.paid_at)).toBe(today);
+
+      const byInvoice = await Payment.findByPk(payments.byInvoice.id);
+      expect(byInvoice.transaction_id).toBe('BNK-1');
+      expect(byInvoice.processed_by).toBe(academy.accountant.id);
+      expect(await JournalEntry.count({ where: { source_type: 'payment', source_id: byInvoice.id } })).toBe(1);
+
+      const audits = await AuditLog.findAll({ where: { entity_type: 'payment', entity_id: byInvoice.id } });
+      expect(audits).toHaveLength(1);
+      expect(audits[0].metadata).toEqual(expect.objectContaining({ source: 'bank_statement', match_type: 'invoice_number' }));
+
+      // Left alone: Omar's 230 transfer never showed up
+      expect((await Payment.findByPk(payments.omar.id)).status).toBe('pending');
+
+      // Nothing left to complete
+      const again = await accountantApi.post(`/api/bank-statements/${statementId}/complete`).expect(200);
+      expect(again.body.data.completed).toBe(0);
+    });
+  });
+
+  describe('currencies', () => {
+    it('matches three-decimal transfers only to payments in the same currency', async () => {
+      const kuwait = await createBranch({ city: 'Kuwait City', currency: 'KWD' });
+      const kuwaitPlayer = await createPlayer({ parent: academy.parent, branch: kuwait });
+      const inKwd = await pendingTransfer(1150.505, { player: kuwaitPlayer });
+      const inSar = await pendingTransfer(1150.51);
+      const today = toDateOnly(new Date());
+
+      const csv = [
+        'Date;Description;Amount;Currency;Transaction ID',
+        `${today};Transfer;1.150,505;KWD;KW-1`,
+        `${today};Transfer;1.150,5;KWD;KW-2`
+      ].join('\n');
+      const res = await importFile(csv, 'mixed.csv').expect(201);
+
+      const lines = await linesOf(res.body.data.statement.id);
+      expect(lines.map(line => [parseFloat(line.amount), line.currency, line.payment_id])).toEqual([
+        [1150.505, 'KWD', inKwd.id],
+        [1150.5, 'KWD', null]
+      ]);
+      expect((lines[1].proposals || []).map(p => p.payment_id)).not.toContain(inSar.id);
+      const mismatch = await accountantApi.patch(`/api/bank-statements/${res.body.data.statement.id}/lines/${lines[1].id}`)
+        .send({ action: 'match', payment_id: inSar.id })
+        .expect(400);
+      expect(mismatch.body.message).toMatch(/KWD/);
+
+      // Lines without a currency are in the currency of the receiving branch
+      const forBranch = await pendingTransfer(57.525, { player: kuwaitPlayer });
+      const branchCsv = ['Date,Description,Amount', `${today},Fees,57.525`].join('\n');
+      const branchRes = await importFile(branchCsv, 'kuwait.csv', { branch_id: kuwait.id }).expect(201);
+      const [line] = await linesOf(branchRes.body.data.statement.id);
+      expect([line.currency, line.payment_id]).toEqual(['KWD', forBranch.id]);
+      expect((await inSar.reload()).status).toBe('pending');
+    });
+  });
+
+  describe('MT940 and CAMT.053', () => {
+    it('reads SWIFT MT940 statements', async () => {
+      const payment = await pendingTransfer(805);
+      const date = toDateOnly(new Date()).slice(2).replace(/-/g, '');
+      const mt940 = [
+        ':20:STMT-001',
+        ':25:SA0380000000608010167519',
+        ':28C:1/1',
+        `:60F:C${date}SAR10000,00`,
+        `:61:${date}C805,00NTRFNONREF//FT2610001`,
+        `:86:?20Academy fees ?21${payment.invoice_number}?32KHALID HADDAD`,
+        `:62F:C${date}SAR10805,00`,
+        '-'
+      ].join('\n');
+
+      const res = await importFile(mt940, 'statement.sta').expect(201);
+      expect(res.body.data.statement.format).toBe('mt940');
+      expect(res.body.data.statement.account_number).toBe('SA0380000000608010167519');
+
+      const [line] = await linesOf(res.body.data.statement.id);
+      expect(line.status).toBe('matched');
+      expect(line.payment_id).toBe(payment.id);
+      expect(line.counterparty_name).toBe('KHALID HADDAD');
+      expect(line.bank_reference).toBe('FT2610001');
+    });
+
+    it('reads ISO 20022 CAMT.053 statements', async () => {
+      const payment = await pendingTransfer(1265);
+      const today = toDateOnly(new Date());
+      const camt = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Id>STMT-2</Id>
+      <Acct><Id><IBAN>SA4420000001234567891234</IBAN></Id><Ccy>SAR</Ccy></Acct>
+      <Ntry>
+        <Amt Ccy="SAR">1265.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <BookgDt><Dt>${today}</Dt></BookgDt>
+        <AcctSvcrRef>CAMT-778</AcctSvcrRef>
+        <NtryDtls><TxDtls>
+          <Refs><EndToEndId>${payment.invoice_number}</EndToEndId></Refs>
+          <RltdPties><Dbtr><Nm>Khalid &amp; Sons</Nm></Dbtr></RltdPties>
+          <RmtInf><Ustrd>Academy fees</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+      const res = await importFile(camt, 'camt053.xml').expect(201);
+      expect(res.body.data.statement.format).toBe('camt053');
+      expect(res.body.data.summary.matched).toBe(1);
+
+      const [line] = await linesOf(res.body.data.statement.id);
+      expect(line.payment_id).toBe(payment.id);
+      expect(line.match_type).toBe('invoice_number');
+      expect(line.counterparty_name).toBe('Khalid & Sons');
+    });
+
+    it('rejects files it cannot read and keeps statements from branch admins', async () => {
+      const res = await importFile('Posted,Value\nyesterday,a lot', 'broken.csv');
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/date column/);
+
+      const branchAdminApi = await actingAs(app, academy.branchAdmin);
+      await branchAdminApi.get('/api/bank-statements').expect(403);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const app = require('../../src/app');
+const { Payment, Attendance, Expense, TrainingSession, CoachProgram } = require('../../src/models');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const {
+  seedAcademy,
+  createBranch,
+  createProgram,
+  createUser,
+  createPlayer,
+  createSubscription,
+  toDateOnly
+} = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+const createBranchData = async ({ branch, program, parent, player, coach, creator }) => {
+  const today = toDateOnly(new Date());
+
+  const payment = await Payment.create({
+    user_id: parent.id,
+    player_id: player.id,
+    branch_id: branch.id,
+    amount: 500,
+    tax_amount: 75,
+    total_amount: 575,
+    status: 'completed'
+  });
+  const subscription = await createSubscription({ player, program });
+  const attendance = await Attendance.create({
+    player_id: player.id,
+    program_id: program.id,
+    session_date: today,
+    status: 'present'
+  });
+  const expense = await Expense.create({
+    branch_id: branch.id,
+    title: 'Field rental',
+    amount: 1000,
+    expense_date: today,
+    created_by: creator.id
+  });
+  const session = await TrainingSession.create({
+    program_id: program.id,
+    branch_id: branch.id,
+    coach_id: coach.id,
+    date: today,
+    day_of_week: 'sunday',
+    start_time: '16:00:00',
+    end_time: '17:00:00',
+    max_capacity: 20
+  });
+
+  return { payment, subscription, attendance, expense, session };
+};
+
+const ids = (res) => res.body.data.map(item => item.id);
+
+describe('Branch scoping', () => {
+  let home;
+  let other;
+  let homeData;
+  let otherData;
+  let branchAdminApi;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    home = await seedAcademy();
+
+    const branch = await createBranch();
+    const program = await createProgram(branch);
+    const coach = await createUser('coach', { branch_id: branch.id });
+    const parent = await createUser('parent');
+    const player = await createPlayer({ parent, branch, program });
+    other = { branch, program, coach, parent, player };
+
+    homeData = await createBranchData({ ...home, creator: home.superAdmin });
+    otherData = await createBranchData({ ...other, creator: home.superAdmin });
+
+    await home.branchAdmin.update({ permissions: { grant: ['expenses.view'], revoke: [] } });
+    branchAdminApi = await actingAs(app, home.branchAdmin);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('lists only contain the caller\'s branch', () => {
+    it('players', async () => {
+      const res = await branchAdminApi.get('/api/players').expect(200);
+      expect(ids(res)).toEqual([home.player.id]);
+    });
+
+    it('payments', async () => {
+      const res = await branchAdminApi.get('/api/payments').expect(200);
+      expect(ids(res)).toEqual([homeData.payment.id]);
+    });
+
+    it('subscriptions', async () => {
+      const res = await branchAdminApi.get('/api/subscriptions').expect(200);
+      expect(ids(res)).toEqual([homeData.subscription.id]);
+    });
+
+    it('attendance', async () => {
+      const res = await branchAdminApi.get('/api/attendance').expect(200);
+      expect(ids(res)).toEqual([homeData.attendance.id]);
+    });
+
+    it('expenses', async () => {
+      const res = await branchAdminApi.get('/api/expenses').expect(200);
+      expect(ids(res)).toEqual([homeData.expense.id]);
+    });
+
+    it('sessions looked up by another branch\'s program', async () => {
+      const res = await branchAdminApi.get(`/api/schedule/program/${other.program.id}`).expect(200);
+      expect(res.body.data).toEqual([]);
+    });
+  });
+
+  describe('naming another branch is forbidden', () => {
+    it('rejects ?branch_id= for another branch', async () => {
+      await branchAdminApi.get(`/api/players?branch_id=${other.branch.id}`).expect(403);
+      await branchAdminApi.get(`/api/payments?branch_id=${other.branch.id}`).expect(403);
+      await branchAdminApi.get(`/api/expenses?branch_id=${other.branch.id}`).expect(403);
+    });
+
+    it('rejects :branchId routes for another branch', async () => {
+      await branchAdminApi.get(`/api/payments/branch/${other.branch.id}`).expect(403);
+      await branchAdminApi.get(`/api/players/branch/${other.branch.id}`).expect(403);
+      await branchAdminApi.get(`/api/schedule/branch/${other.branch.id}`).expect(403);
+      await branchAdminApi.get(`/api/schedule/branch/${home.branch.id}`).expect(200);
+    });
+
+    it('rejects body.branch_id for another branch', async () => {
+      const res = await branchAdminApi.post('/api/players').send({
+        first_name: 'Cross',
+        last_name: 'Branch',
+        date_of_birth: '2015-01-01',
+        gender: 'male',
+        branch_id: other.branch.id
+      });
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('records from another branch are forbidden', () => {
+    it('returns 403 when reading them', async () => {
+      await branchAdminApi.get(`/api/players/${other.player.id}`).expect(403);
+      await branchAdminApi.get(`/api/payments/${otherData.payment.id}`).expect(403);
+      await branchAdminApi.get(`/api/subscriptions/${otherData.subscription.id}`).expect(403);
+      await branchAdminApi.get(`/api/attendance/${otherData.attendance.id}`).expect(403);
+      await branchAdminApi.get(`/api/expenses/${otherData.expense.id}`).expect(403);
+    });
+
+    it('returns 403 when changing them and leaves them untouched', async () => {
+      await branchAdminApi.put(`/api/attendance/${otherData.attendance.id}`).send({ status: 'absent' }).expect(403);
+      await branchAdminApi.delete(`/api/players/${other.player.id}`).expect(403);
+      await branchAdminApi.patch(`/api/payments/${otherData.payment.id}/complete`).send({}).expect(403);
+      await branchAdminApi.put(`/api/schedule/session/${otherData.session.id}`).send({ notes: 'moved' }).expect(403);
+
+      await otherData.attendance.reload();
+      expect(otherData.attendance.status).toBe('present');
+    });
+  });
+
+  describe('coaches', () => {
+    it('are limited to their branch and the branches of programs they coach', async () => {
+      const coachApi = await actingAs(app, home.coach);
+      await coachApi.get(`/api/schedule/branch/${other.branch.id}`).expect(403);
+
+      await CoachProgram.create({ coach_id: home.coach.id, program_id: other.program.id });
+      await coachApi.get(`/api/schedule/branch/${other.branch.id}`).expect(200);
+    });
+  });
+
+  it('rejects scoped staff who are not assigned to a branch', async () => {
+    const unassigned = await createUser('branch_admin');
+    const res = await (await actingAs(app, unassigned)).get('/api/players');
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/not assigned to a branch/);
+  });
+
+  it('leaves academy-wide roles unrestricted', async () => {
+    const res = await (await actingAs(app, home.superAdmin)).get('/api/payments').expect(200);
+    expect(ids(res).sort()).toEqual([homeData.payment.id, otherData.payment.id].sort());
+  });
+});
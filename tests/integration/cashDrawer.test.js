@@ -0,0 +1,176 @@
+const app = require('../../src/app');
+const { Payment, Refund, AuditLog } = require('../../src/models');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy, createBranch, createPlayer, createUser } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Cash drawer sessions', () => {
+  let academy;
+  let accountantApi;
+  let cashierApi;
+  let drawerId;
+  let payments;
+
+  // Pending payment at the front desk, completed by the given staff member
+  const takePayment = async (api, total, { branch = academy.branch, payment_method = 'cash' } = {}) => {
+    const player = await createPlayer({ parent: academy.parent, branch, program: academy.program });
+    const tax = Math.round((total * 15 / 115) * 100) / 100;
+    const payment = await Payment.create({
+      user_id: academy.parent.id,
+      player_id: player.id,
+      branch_id: branch.id,
+      type: 'registration',
+      payment_method,
+      amount: total - tax,
+      tax_amount: tax,
+      total_amount: total
+    });
+    await api.patch(`/api/payments/${payment.id}/complete`).expect(200);
+    return payment.reload();
+  };
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    accountantApi = await actingAs(app, academy.accountant);
+    cashierApi = await actingAs(app, academy.branchAdmin);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('during the shift', () => {
+    it('opens one drawer per cashier at their branch', async () => {
+      const res = await cashierApi.post('/api/cash-drawers/open').send({ opening_float: 200 }).expect(201);
+      drawerId = res.body.data.id;
+      expect(res.body.data.branch_id).toBe(academy.branch.id);
+      expect(res.body.data.status).toBe('open');
+
+      const again = await cashierApi.post('/api/cash-drawers/open').send({ opening_float: 100 });
+      expect(again.status).toBe(400);
+
+      const otherBranch = await createBranch();
+      await cashierApi.post('/api/cash-drawers/open').send({ branch_id: otherBranch.id }).expect(403);
+    });
+
+    it('attaches cash payments and cash refunds to the open drawer', async () => {
+      payments = {
+        fees: await takePayment(cashierApi, 575),
+        kit: await takePayment(cashierApi, 230),
+        card: await takePayment(cashierApi, 345, { payment_method: 'mada' })
+      };
+      expect(payments.fees.cash_session_id).toBe(drawerId);
+      expect(payments.kit.cash_session_id).toBe(drawerId);
+      expect(payments.card.cash_session_id).toBeNull();
+
+      // The accountant has no drawer of their own: the refund leaves the branch's open drawer
+      await accountantApi.post(`/api/payments/${payments.fees.id}/refund`).send({ amount: 115, reason: 'Sibling joined late' }).expect(200);
+      const refund = await Refund.findOne({ where: { payment_id: payments.fees.id } });
+      expect(refund.cash_session_id).toBe(drawerId);
+
+      const res = await cashierApi.get('/api/cash-drawers/current').expect(200);
+      expect(res.body.data.id).toBe(drawerId);
+      expect(res.body.data.totals).toEqual(expect.objectContaining({
+        opening_float: 200, cash_sales: 805, cash_refunds: 115, expected_amount: 890, payments_count: 2
+      }));
+    });
+
+    it('completes cash payments without a drawer and reports them as unattached', async () => {
+      const elsewhere = await takePayment(accountantApi, 460, { branch: await createBranch() });
+      expect(elsewhere.status).toBe('completed');
+      expect(elsewhere.cash_session_id).toBeNull();
+
+      const res = await accountantApi.get('/api/stats/accountant').expect(200);
+      expect(res.body.data.cash_drawers).toEqual(expect.objectContaining({
+        open_sessions: 1,
+        awaiting_sign_off: 0,
+        unattached_cash_today: { count: 1, amount: 460 }
+      }));
+    });
+  });
+
+  describe('closing and sign-off', () => {
+    it('closes with counted vs expected and asks for a note when short', async () => {
+      const unexplained = await cashierApi.post(`/api/cash-drawers/${drawerId}/close`).send({ counted_amount: 880 });
+      expect(unexplained.status).toBe(400);
+      expect(unexplained.body.message).toMatch(/short by 10 SAR/);
+
+      const mismatch = await cashierApi.post(`/api/cash-drawers/${drawerId}/close`).send({
+        counted_amount: 900, denominations: { 500: 1, 100: 3, 50: 1, 10: 3 }, notes: 'Recount'
+      });
+      expect(mismatch.status).toBe(400);
+
+      const res = await cashierApi.post(`/api/cash-drawers/${drawerId}/close`).send({
+        denominations: { 500: 1, 100: 3, 50: 1, 10: 3 },
+        notes: 'Change given twice to one parent'
+      }).expect(200);
+      expect(res.body.data.status).toBe('closed');
+      expect(res.body.data.totals).toEqual(expect.objectContaining({ expected_amount: 890, counted_amount: 880, variance: -10 }));
+
+      // Closed drawers no longer take payments
+      const late = await takePayment(cashierApi, 115);
+      expect(late.cash_session_id).toBeNull();
+    });
+
+    it('is signed off by an accountant, never by the cashier', async () => {
+      await cashierApi.post(`/api/cash-drawers/${drawerId}/sign-off`).expect(403);
+
+      const stats = await accountantApi.get('/api/stats/accountant').expect(200);
+      expect(stats.body.data.cash_drawers.awaiting_sign_off).toBe(1);
+      expect(stats.body.data.cash_drawers.variance_today).toBe(-10);
+
+      const unexplained = await accountantApi.post(`/api/cash-drawers/${drawerId}/sign-off`).send({});
+      expect(unexplained.status).toBe(400);
+
+      const res = await accountantApi.post(`/api/cash-drawers/${drawerId}/sign-off`).send({ notes: 'Deducted from petty cash' }).expect(200);
+      expect(res.body.data.status).toBe('signed_off');
+      expect(res.body.data.signed_off_by).toBe(academy.accountant.id);
+
+      await accountantApi.post(`/api/cash-drawers/${drawerId}/sign-off`).send({ notes: 'Again' }).expect(400);
+
+      const audits = await AuditLog.findAll({ where: { entity_type: 'cash_drawer', entity_id: drawerId }, order: [['created_at', 'ASC']] });
+      expect(audits.map(audit => audit.action)).toEqual(['create', 'close', 'sign_off']);
+    });
+
+    it('sends a drawer back to the cashier for a recount', async () => {
+      const opened = await cashierApi.post('/api/cash-drawers/open').send({ opening_float: 100 }).expect(201);
+      const id = opened.body.data.id;
+      await cashierApi.post(`/api/cash-drawers/${id}/close`).send({ counted_amount: 40, notes: 'Float missing' }).expect(200);
+
+      const res = await accountantApi.post(`/api/cash-drawers/${id}/sign-off`).send({ approve: false, notes: 'Check the safe' }).expect(200);
+      expect(res.body.data.status).toBe('open');
+      expect(res.body.data.counted_amount).toBeNull();
+
+      const recount = await cashierApi.post(`/api/cash-drawers/${id}/close`).send({ counted_amount: 100 }).expect(200);
+      expect(recount.body.data.totals.variance).toBe(0);
+      await accountantApi.post(`/api/cash-drawers/${id}/sign-off`).expect(200);
+    });
+
+    it('holds drawers to a tolerance in their branch currency', async () => {
+      const kuwait = await createBranch({ city: 'Kuwait City', currency: 'KWD' });
+      const kuwaitApi = await actingAs(app, await createUser('branch_admin', { branch_id: kuwait.id }));
+      const opened = await kuwaitApi.post('/api/cash-drawers/open').send({ opening_float: 100 }).expect(201);
+      const url = `/api/cash-drawers/${opened.body.data.id}/close`;
+
+      // 1 KWD is well over the 5 SAR a riyal drawer may be out by
+      const unexplained = await kuwaitApi.post(url).send({ counted_amount: 99 });
+      expect(unexplained.status).toBe(400);
+      expect(unexplained.body.message).toMatch(/short by 1 KWD/);
+
+      const res = await kuwaitApi.post(url).send({ counted_amount: 99.8 }).expect(200);
+      expect(res.body.message).toBe('Cash drawer closed - short by 0.2 KWD');
+    });
+
+    it('reports variance by branch and cashier', async () => {
+      const res = await accountantApi.get('/api/stats/cash-drawers').query({ branch_id: academy.branch.id }).expect(200);
+      const report = res.body.data;
+      expect(report.totals).toEqual(expect.objectContaining({ sessions: 2, expected: 990, counted: 980, variance: -10, short_sessions: 1 }));
+      expect(report.by_cashier).toEqual([expect.objectContaining({ cashier_id: academy.branchAdmin.id, sessions: 2, variance: -10 })]);
+      expect(report.by_branch).toEqual([expect.objectContaining({ branch_id: academy.branch.id, branch_name: academy.branch.name })]);
+      expect(report.flagged.map(session => session.id)).toEqual([drawerId]);
+
+      await cashierApi.get('/api/stats/cash-drawers').expect(403);
+    });
+  });
+});
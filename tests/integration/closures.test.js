@@ -0,0 +1,195 @@
+const app = require('../../src/app');
+const {
+  Closure, TrainingSession, Subscription, SubscriptionFreeze, Notification, AutomaticAnnouncement, Announcement
+} = require('../../src/models');
+const scheduleService = require('../../src/services/schedule.service');
+const subscriptionLifecycle = require('../../src/services/subscriptionLifecycle.service');
+const scheduler = require('../../src/jobs/scheduler');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const {
+  seedAcademy, createBranch, createProgram, createUser, createSubscription, toDateOnly, addDays
+} = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Academy closures', () => {
+  let academy;
+  let superApi;
+  let otherBranch;
+  let closureId;
+
+  const createSession = (branch, program, coach, date, overrides = {}) => TrainingSession.create({
+    program_id: program.id,
+    branch_id: branch.id,
+    coach_id: coach.id,
+    date,
+    day_of_week: scheduleService.getDayOfWeek(date),
+    start_time: '16:00',
+    end_time: '17:00',
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    superApi = await actingAs(app, academy.superAdmin);
+    otherBranch = await createBranch();
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await closeDatabase();
+  });
+
+  it('cancels the branch sessions of the closed days and compensates subscriptions', async () => {
+    const { branch, program, coach, player, parent } = academy;
+    const subscription = await createSubscription({ player, program });
+    const [day1, day2, after] = [10, 11, 12].map(days => toDateOnly(addDays(days)));
+
+    const closedSessions = [
+      await createSession(branch, program, coach, day1),
+      await createSession(branch, program, coach, day2)
+    ];
+    const nextDay = await createSession(branch, program, coach, after);
+    const otherProgram = await createProgram(otherBranch);
+    const elsewhere = await createSession(otherBranch, otherProgram, await createUser('coach'), day1);
+
+    const branchAdminApi = await actingAs(app, academy.branchAdmin);
+    const res = await branchAdminApi.post('/api/closures').send({
+      title: 'Eid al-Fitr',
+      type: 'holiday',
+      branch_id: branch.id,
+      start_date: day1,
+      end_date: day2,
+      compensate: true
+    }).expect(201);
+    closureId = res.body.data.id;
+
+    expect(res.body.cancelled_sessions.sort()).toEqual(closedSessions.map(session => session.id).sort());
+    expect(res.body.data.sessions_cancelled).toBe(2);
+    for (const session of closedSessions) {
+      await session.reload();
+      expect([session.is_cancelled, session.cancellation_reason]).toEqual([true, 'Eid al-Fitr']);
+    }
+    expect((await nextDay.reload()).is_cancelled).toBe(false);
+    expect((await elsewhere.reload()).is_cancelled).toBe(false);
+
+    // Families get the regular cancellation notice for each session
+    const notices = await Notification.findAll({ where: { user_id: parent.id } });
+    expect(notices.filter(notice => notice.data.change_type === 'cancelled')).toHaveLength(2);
+
+    // Two closed days extend the subscription by two days
+    const freeze = await SubscriptionFreeze.findByPk(res.body.data.freeze.id);
+    expect([freeze.scope, freeze.branch_id, freeze.freeze_days]).toEqual(['branch', branch.id, 2]);
+    expect((await subscription.reload()).end_date).toBe(toDateOnly(addDays(22)));
+  });
+
+  it('leaves no closure, cancellation or freeze behind when compensating fails', async () => {
+    const { branch, program, coach, parent } = academy;
+    const day = toDateOnly(addDays(30));
+    const session = await createSession(branch, program, coach, day);
+    const [closures, freezes, notices] = await Promise.all([
+      Closure.count(), SubscriptionFreeze.count(), Notification.count({ where: { user_id: parent.id } })
+    ]);
+
+    jest.spyOn(subscriptionLifecycle, '_shiftFreezeSubscriptions').mockRejectedValueOnce(new Error('Database went away'));
+    await superApi.post('/api/closures').send({
+      title: 'Ramadan break',
+      branch_id: branch.id,
+      start_date: day,
+      compensate: true
+    }).expect(500);
+
+    expect(await Closure.count()).toBe(closures);
+    expect(await SubscriptionFreeze.count()).toBe(freezes);
+    expect((await session.reload()).is_cancelled).toBe(false);
+    expect(await Notification.count({ where: { user_id: parent.id } })).toBe(notices);
+
+    await session.destroy();
+  });
+
+  it('keeps sessions off closed days and lets only unscoped staff close the whole academy', async () => {
+    const day = toDateOnly(addDays(10));
+
+    const res = await superApi.post('/api/schedule/validate').send({
+      coach_id: academy.coach.id,
+      branch_id: academy.branch.id,
+      date: day,
+      start_time: '18:00',
+      end_time: '19:00'
+    }).expect(200);
+    expect(res.body.data.isValid).toBe(false);
+    expect(res.body.data.closureConflicts.map(closure => closure.id)).toEqual([closureId]);
+
+    const branchAdminApi = await actingAs(app, academy.branchAdmin);
+    await branchAdminApi.post('/api/closures').send({ title: 'National Day', start_date: day }).expect(403);
+    await branchAdminApi.post('/api/closures').send({
+      title: 'Other branch',
+      branch_id: otherBranch.id,
+      start_date: day
+    }).expect(403);
+  });
+
+  it('sends no session reminders for closed branches', async () => {
+    const tomorrow = toDateOnly(addDays(1));
+    const otherProgram = await createProgram(otherBranch);
+
+    await superApi.post('/api/closures').send({
+      title: 'Sandstorm',
+      type: 'weather',
+      branch_id: academy.branch.id,
+      start_date: tomorrow
+    }).expect(201);
+
+    // Added after the closure, bypassing the scheduling checks
+    const closed = await createSession(academy.branch, academy.program, academy.coach, tomorrow, { start_time: '20:00', end_time: '21:00' });
+    const open = await createSession(otherBranch, otherProgram, await createUser('coach'), tomorrow);
+
+    await scheduleService.sendSessionReminders(24);
+
+    expect((await closed.reload()).reminder_sent_24h).toBe(false);
+    expect((await open.reload()).reminder_sent_24h).toBe(true);
+  });
+
+  it('suppresses automatic announcements while the academy is closed', async () => {
+    const today = toDateOnly(new Date());
+    jest.spyOn(scheduler, 'getRiyadhDateTime').mockReturnValue({ dateStr: today, timeStr: '09:00', dayOfWeek: 'monday' });
+    await AutomaticAnnouncement.create({
+      name: 'Training tips',
+      message: 'Stay hydrated',
+      schedule_type: 'specific_days',
+      send_days: ['monday'],
+      send_time: '09:00',
+      created_by: academy.superAdmin.id
+    });
+
+    const res = await superApi.post('/api/closures').send({ title: 'National Day', type: 'national_day', start_date: today }).expect(201);
+    await scheduler.runAutomaticAnnouncements();
+    expect(await Announcement.count({ where: { title: 'Training tips' } })).toBe(0);
+
+    await superApi.post(`/api/closures/${res.body.data.id}/cancel`).expect(200);
+    await scheduler.runAutomaticAnnouncements();
+    expect(await Announcement.count({ where: { title: 'Training tips' } })).toBe(1);
+  });
+
+  it('exports closures as all-day events in the branch calendar', async () => {
+    const res = await superApi
+      .get(`/api/schedule/export/branch/${academy.branch.id}/ical`)
+      .expect(200);
+
+    expect(res.text).toContain('SUMMARY:Closed - Eid al-Fitr');
+    expect(res.text).toContain(`DTSTART;VALUE=DATE:${toDateOnly(addDays(10)).replace(/-/g, '')}`);
+    expect(res.text).toContain(`DTEND;VALUE=DATE:${toDateOnly(addDays(12)).replace(/-/g, '')}`);
+    expect(res.text).not.toContain('National Day');
+  });
+
+  it('reverts the compensating freeze when the closure is cancelled', async () => {
+    const res = await superApi.post(`/api/closures/${closureId}/cancel`).expect(200);
+    expect(res.body.data.status).toBe('cancelled');
+    expect(res.body.data.freeze.status).toBe('cancelled');
+
+    const subscription = await Subscription.findOne({ where: { player_id: academy.player.id } });
+    expect(subscription.end_date).toBe(toDateOnly(addDays(20)));
+
+    await superApi.post(`/api/closures/${closureId}/cancel`).expect(400);
+  });
+});
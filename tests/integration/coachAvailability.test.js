@@ -0,0 +1,195 @@
+const app = require('../../src/app');
+const { TrainingSession, CoachProgram, CoachAttendance, Notification } = require('../../src/models');
+const scheduleService = require('../../src/services/schedule.service');
+const { addDays: shift } = require('../../src/utils/recurrence');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy, createProgram, createUser, toDateOnly, addDays } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Coach availability and leave', () => {
+  let academy;
+  let adminApi;
+  let coach;
+  let coachApi;
+  let leaveDay;
+  let leaveId;
+  let session;
+  let colleagues;
+
+  const createSession = (forCoach, date, overrides = {}) => TrainingSession.create({
+    program_id: academy.program.id,
+    branch_id: academy.branch.id,
+    coach_id: forCoach.id,
+    date,
+    day_of_week: scheduleService.getDayOfWeek(date),
+    start_time: '16:00',
+    end_time: '17:00',
+    ...overrides
+  });
+
+  const validate = (forCoach, date, startTime = '16:00', endTime = '17:00') => adminApi.post('/api/schedule/validate').send({
+    coach_id: forCoach.id,
+    branch_id: academy.branch.id,
+    date,
+    start_time: startTime,
+    end_time: endTime
+  }).expect(200);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    adminApi = await actingAs(app, academy.branchAdmin);
+
+    coach = await createUser('coach', { branch_id: academy.branch.id });
+    coachApi = await actingAs(app, coach);
+    leaveDay = toDateOnly(addDays(10));
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('keeps sessions inside the coach availability template', async () => {
+    const sunday = shift(leaveDay, (7 - new Date(`${leaveDay}T00:00:00Z`).getUTCDay()) % 7);
+
+    const res = await coachApi.put(`/api/coaches/${coach.id}/availability`).send({
+      windows: [
+        { day_of_week: 'sunday', start_time: '16:00', end_time: '20:00' },
+        { day_of_week: 'tue', start_time: '9:00', end_time: '12:00' }
+      ]
+    }).expect(200);
+    expect(res.body.data.map(window => [window.day_of_week, window.start_time])).toEqual([
+      ['sunday', '16:00:00'],
+      ['tuesday', '09:00:00']
+    ]);
+
+    expect((await validate(coach, sunday, '17:00', '18:30')).body.data.isValid).toBe(true);
+    const late = await validate(coach, sunday, '19:30', '21:00');
+    expect(late.body.data.isValid).toBe(false);
+    expect(late.body.data.availabilityConflicts[0].available).toEqual([{ start_time: '16:00:00', end_time: '20:00:00' }]);
+    expect((await validate(coach, shift(sunday, 1))).body.data.availabilityConflicts).toHaveLength(1);
+
+    // Coaches manage only their own template
+    await coachApi.put(`/api/coaches/${academy.coach.id}/availability`).send({ windows: [] }).expect(403);
+
+    // Without a template the coach can be booked at any time
+    await coachApi.put(`/api/coaches/${coach.id}/availability`).send({ windows: [] }).expect(200);
+    expect((await validate(coach, shift(sunday, 1))).body.data.isValid).toBe(true);
+  });
+
+  it('lets a coach request leave that only blocks sessions once approved', async () => {
+    session = await createSession(coach, leaveDay);
+
+    const res = await coachApi.post('/api/coaches/leave').send({
+      type: 'annual',
+      start_date: leaveDay,
+      end_date: shift(leaveDay, 1),
+      reason: 'Family visit'
+    }).expect(201);
+    leaveId = res.body.data.id;
+    expect([res.body.data.status, res.body.data.branch_id]).toEqual(['pending', academy.branch.id]);
+
+    const notices = await Notification.findAll({ where: { user_id: academy.branchAdmin.id } });
+    expect(notices.map(notice => notice.data.leave_id)).toContain(leaveId);
+
+    expect((await validate(coach, leaveDay, '18:00', '19:00')).body.data.isValid).toBe(true);
+
+    // Overlapping requests and other coaches' requests are off limits
+    await coachApi.post('/api/coaches/leave').send({ start_date: shift(leaveDay, 1) }).expect(400);
+    await coachApi.post(`/api/coaches/leave/${leaveId}/approve`).send({}).expect(403);
+    const otherCoachApi = await actingAs(app, academy.coach);
+    await otherCoachApi.get(`/api/coaches/leave/${leaveId}`).expect(404);
+  });
+
+  it('approves leave, records it as coach attendance and suggests substitutes', async () => {
+    const programCoach = await createUser('coach', { branch_id: academy.branch.id, first_name: 'Program' });
+    const idleCoach = await createUser('coach', { branch_id: academy.branch.id, first_name: 'Idle' });
+    const busyCoach = await createUser('coach', { branch_id: academy.branch.id, first_name: 'Busy' });
+    await CoachProgram.create({ coach_id: programCoach.id, program_id: academy.program.id, is_primary: false });
+    await createSession(busyCoach, leaveDay, { program_id: (await createProgram(academy.branch)).id, start_time: '15:30', end_time: '16:30' });
+    colleagues = { programCoach, idleCoach, busyCoach };
+
+    const res = await adminApi.post(`/api/coaches/leave/${leaveId}/approve`).send({ notes: 'Enjoy' }).expect(200);
+    expect(res.body.data.status).toBe('approved');
+    expect(res.body.data.sessions_affected).toBe(1);
+
+    const [affected] = res.body.affected_sessions;
+    expect(affected.session.id).toBe(session.id);
+    const suggested = affected.suggestions.map(suggestion => suggestion.coach_id);
+    expect(suggested[0]).toBe(programCoach.id);
+    expect(suggested).toContain(idleCoach.id);
+    expect(suggested).not.toContain(busyCoach.id);
+    expect(suggested).not.toContain(coach.id);
+
+    const attendance = await CoachAttendance.findAll({ where: { coach_id: coach.id }, order: [['date', 'ASC']] });
+    expect(attendance.map(record => [record.date, record.status])).toEqual([
+      [leaveDay, 'leave'],
+      [shift(leaveDay, 1), 'leave']
+    ]);
+
+    // The coach can no longer be booked on those days
+    const blocked = await adminApi.post('/api/schedule/session').send({
+      program_id: academy.program.id,
+      coach_id: coach.id,
+      date: shift(leaveDay, 1),
+      start_time: '18:00',
+      end_time: '19:00'
+    }).expect(409);
+    expect(blocked.body.conflicts.leave.map(leave => leave.id)).toEqual([leaveId]);
+
+    const decision = await Notification.findOne({ where: { user_id: coach.id } });
+    expect(decision.title).toBe('Leave approved');
+  });
+
+  it('hands the affected session to a substitute who is free', async () => {
+    const { programCoach, busyCoach } = colleagues;
+
+    await adminApi.post(`/api/coaches/leave/${leaveId}/substitutes`).send({
+      session_id: session.id,
+      coach_id: busyCoach.id
+    }).expect(409);
+
+    const res = await adminApi.post(`/api/coaches/leave/${leaveId}/substitutes`).send({
+      session_id: session.id,
+      coach_id: programCoach.id
+    }).expect(200);
+    expect(res.body.data.coach_id).toBe(programCoach.id);
+    expect(await Notification.count({ where: { user_id: programCoach.id } })).toBe(1);
+
+    const remaining = await adminApi.get(`/api/coaches/leave/${leaveId}/substitutes`).expect(200);
+    expect(remaining.body.data).toEqual([]);
+  });
+
+  it('rejects leave, and releases the days of a cancelled leave', async () => {
+    const request = await coachApi.post('/api/coaches/leave').send({ type: 'training', start_date: shift(leaveDay, 14) }).expect(201);
+    const rejected = await adminApi.post(`/api/coaches/leave/${request.body.data.id}/reject`).send({ notes: 'Tournament week' }).expect(200);
+    expect(rejected.body.data.status).toBe('rejected');
+    await adminApi.post(`/api/coaches/leave/${request.body.data.id}/approve`).send({}).expect(400);
+
+    await coachApi.post(`/api/coaches/leave/${leaveId}/cancel`).expect(200);
+    expect(await CoachAttendance.count({ where: { coach_id: coach.id, status: 'leave' } })).toBe(0);
+    expect((await validate(coach, leaveDay, '18:00', '19:00')).body.data.isValid).toBe(true);
+
+    const list = await coachApi.get('/api/coaches/leave').expect(200);
+    expect(list.body.data.map(leave => leave.status).sort()).toEqual(['cancelled', 'rejected']);
+  });
+
+  it('builds proposals around coach availability', async () => {
+    const program = await createProgram(academy.branch, { name: 'Evening squad' });
+    const eveningCoach = await createUser('coach', { branch_id: academy.branch.id });
+    await CoachProgram.create({ coach_id: eveningCoach.id, program_id: program.id, is_primary: true });
+    await adminApi.put(`/api/coaches/${eveningCoach.id}/availability`).send({
+      windows: [{ day_of_week: 'tuesday', start_time: '18:00', end_time: '19:30' }]
+    }).expect(200);
+
+    const res = await adminApi.post('/api/schedule/builder/proposals').send({
+      branch_id: academy.branch.id,
+      start_date: leaveDay,
+      end_date: shift(leaveDay, 27),
+      programs: [{ program_id: program.id, weekly_hours: 2 }]
+    }).expect(201);
+
+    expect(res.body.data.sessions.map(slot => [slot.day, slot.start_time])).toEqual([['tuesday', '18:00:00']]);
+    expect(res.body.data.unplaced[0].reasons).toMatchObject({ coach_unavailable: expect.any(Number) });
+  });
+});
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const app = require('../../src/app');
+const { Payment, DiscountRedemption } = require('../../src/models');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const {
+  seedAcademy, createUser, createProgram, createPricingPlan, createPlayer, createSubscription
+} = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+const RECEIPT_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+describe('Discount rules', () => {
+  let academy;
+  let accountantApi;
+  const uploadedReceipts = [];
+
+  // Program with a 575 SAR monthly plan, so each test's rules only match its own checkouts
+  const createOffer = async () => {
+    const program = await createProgram(academy.branch);
+    const pricingPlan = await createPricingPlan(program);
+    return { program, pricingPlan };
+  };
+
+  const createFamily = async () => {
+    const parent = await createUser('parent', { branch_id: academy.branch.id });
+    return { parent, api: await actingAs(app, parent) };
+  };
+
+  const createRule = (body) => accountantApi
+    .post('/api/discounts/rules')
+    .send({ branch_id: academy.branch.id, discount_type: 'percentage', ...body })
+    .expect(201)
+    .then(res => res.body.data);
+
+  const checkout = (api, player, pricingPlan, body = {}) => api
+    .post('/api/payments/gateway/initiate')
+    .send({ player_id: player.id, pricing_plan_id: pricingPlan.id, ...body });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    accountantApi = await actingAs(app, academy.accountant);
+  });
+
+  afterAll(async () => {
+    for (const receiptUrl of uploadedReceipts) {
+      fs.rmSync(path.join(__dirname, '../..', receiptUrl), { force: true });
+    }
+    await closeDatabase();
+  });
+
+  describe('rule types', () => {
+    it('gives the second and third child the sibling tier discount', async () => {
+      const { program, pricingPlan } = await createOffer();
+      const rule = await createRule({
+        name: 'Siblings',
+        rule_type: 'sibling',
+        program_id: program.id,
+        tiers: [{ min: 2, value: 10 }, { min: 3, value: 15 }]
+      });
+      const { parent, api } = await createFamily();
+
+      const first = await createPlayer({ parent, branch: academy.branch, program });
+      await createSubscription({ player: first, program });
+      const second = await createPlayer({ parent, branch: academy.branch, program });
+
+      const res = await checkout(api, second, pricingPlan).expect(200);
+      expect(res.body.data.amount).toBe(517.5);
+      expect(res.body.data.applied_discounts).toEqual([
+        expect.objectContaining({ source: 'rule', rule_id: rule.id, rule_type: 'sibling', amount: 57.5 })
+      ]);
+
+      const payment = await Payment.findByPk(res.body.data.payment_id);
+      expect(parseFloat(payment.total_amount)).toBe(517.5);
+      expect(payment.metadata.applied_discounts[0].rule_id).toBe(rule.id);
+
+      await api.post(`/api/payments/gateway/mock/${payment.id}/complete`).send({}).expect(200);
+      const redemption = await DiscountRedemption.findOne({ where: { payment_id: payment.id } });
+      expect(redemption.status).toBe('redeemed');
+      expect(parseFloat(redemption.amount)).toBe(57.5);
+
+      // Two older siblings now enrolled: the third child gets 15%
+      const third = await createPlayer({ parent, branch: academy.branch, program });
+      const thirdRes = await checkout(api, third, pricingPlan).expect(200);
+      expect(thirdRes.body.data.amount).toBe(488.75);
+
+      // The eldest enrolment renewing while its siblings train is still the first child
+      const renewal = await checkout(api, first, pricingPlan).expect(200);
+      expect(renewal.body.data.amount).toBe(575);
+      expect(renewal.body.data.applied_discounts).toEqual([]);
+
+      // An only child gets nothing
+      const other = await createFamily();
+      const onlyChild = await createPlayer({ parent: other.parent, branch: academy.branch, program });
+      const onlyRes = await checkout(other.api, onlyChild, pricingPlan).expect(200);
+      expect(onlyRes.body.data.amount).toBe(575);
+    });
+
+    it('applies a multi-program bundle to receipt payments', async () => {
+      const { program, pricingPlan } = await createOffer();
+      await createRule({
+        name: 'Two programs',
+        rule_type: 'bundle',
+        program_id: program.id,
+        discount_type: 'fixed',
+        tiers: [{ min: 2, value: 75 }]
+      });
+      const { parent, api } = await createFamily();
+      const player = await createPlayer({ parent, branch: academy.branch, program: academy.program });
+      await createSubscription({ player, program: academy.program });
+
+      const res = await api
+        .post('/api/payments/receipt')
+        .field('player_id', player.id)
+        .field('program_id', program.id)
+        .field('pricing_plan_id', pricingPlan.id)
+        .field('amount', '575')
+        .attach('receipt', RECEIPT_PNG, { filename: 'receipt.png', contentType: 'image/png' })
+        .expect(201);
+      uploadedReceipts.push(res.body.data.receipt_url);
+
+      expect(parseFloat(res.body.data.total_amount)).toBe(500);
+      expect(res.body.data.metadata.applied_discounts[0].rule_type).toBe('bundle');
+      expect(await DiscountRedemption.count({ where: { payment_id: res.body.data.id, status: 'reserved' } })).toBe(1);
+    });
+
+    it('gives the early bird discount only when paying ahead of the period start', async () => {
+      const { program, pricingPlan } = await createOffer();
+      await createRule({
+        name: 'Early renewal',
+        rule_type: 'early_bird',
+        program_id: program.id,
+        discount_value: 20,
+        days_before_start: 14
+      });
+      const { parent, api } = await createFamily();
+
+      // Current subscription ends in 20 days, so the renewal starts 20 days out
+      const renewing = await createPlayer({ parent, branch: academy.branch, program });
+      await createSubscription({ player: renewing, program });
+      const early = await checkout(api, renewing, pricingPlan).expect(200);
+      expect(early.body.data.amount).toBe(460);
+
+      const newcomer = await createPlayer({ parent, branch: academy.branch, program });
+      const late = await checkout(api, newcomer, pricingPlan).expect(200);
+      expect(late.body.data.amount).toBe(575);
+    });
+  });
+
+  describe('promo codes', () => {
+    it('enforces the usage limit and releases uses of failed payments', async () => {
+      const { program, pricingPlan } = await createOffer();
+      await createRule({
+        name: 'Launch',
+        rule_type: 'promo_code',
+        program_id: program.id,
+        code: 'launch50',
+        discount_type: 'fixed',
+        discount_value: 50,
+        usage_limit: 1
+      });
+      const { parent, api } = await createFamily();
+      const player = await createPlayer({ parent, branch: academy.branch, program });
+
+      await checkout(api, player, pricingPlan, { promo_code: 'NOPE' }).expect(400);
+
+      const first = await checkout(api, player, pricingPlan, { promo_code: 'LAUNCH50' }).expect(200);
+      expect(first.body.data.amount).toBe(525);
+      expect(first.body.data.applied_discounts[0].code).toBe('LAUNCH50');
+
+      const used = await checkout(api, player, pricingPlan, { promo_code: 'launch50' }).expect(400);
+      expect(used.body.message).toMatch(/usage limit/);
+
+      await api.post(`/api/payments/gateway/mock/${first.body.data.payment_id}/complete`).send({ success: false }).expect(200);
+      const redemption = await DiscountRedemption.findOne({ where: { payment_id: first.body.data.payment_id } });
+      expect(redemption.status).toBe('released');
+
+      await checkout(api, player, pricingPlan, { promo_code: 'launch50' }).expect(200);
+    });
+
+    it('rejects duplicate codes and codes outside their validity window', async () => {
+      const { program, pricingPlan } = await createOffer();
+      await createRule({ name: 'Summer', rule_type: 'promo_code', code: 'SUMMER', discount_value: 10, valid_until: '2020-08-31' });
+
+      await accountantApi
+        .post('/api/discounts/rules')
+        .send({ name: 'Summer again', rule_type: 'promo_code', code: 'summer', discount_type: 'percentage', discount_value: 5 })
+        .expect(400);
+
+      const { parent, api } = await createFamily();
+      const player = await createPlayer({ parent, branch: academy.branch, program });
+      await checkout(api, player, pricingPlan, { promo_code: 'SUMMER' }).expect(400);
+    });
+  });
+
+  describe('stacking', () => {
+    it('applies only the highest priority rule unless both rules stack', async () => {
+      const { program, pricingPlan } = await createOffer();
+      const sibling = await createRule({
+        name: 'Siblings',
+        rule_type: 'sibling',
+        program_id: program.id,
+        tiers: [{ min: 2, value: 10 }],
+        priority: 10
+      });
+      await createRule({
+        name: 'Welcome',
+        rule_type: 'promo_code',
+        program_id: program.id,
+        code: 'WELCOME',
+        discount_value: 20,
+        stackable: true
+      });
+      const { parent, api } = await createFamily();
+      const first = await createPlayer({ parent, branch: academy.branch, program });
+      await createSubscription({ player: first, program });
+      const second = await createPlayer({ parent, branch: academy.branch, program });
+
+      const exclusive = await checkout(api, second, pricingPlan, { promo_code: 'WELCOME' }).expect(200);
+      expect(exclusive.body.data.applied_discounts.map(d => d.rule_type)).toEqual(['sibling']);
+      expect(exclusive.body.data.amount).toBe(517.5);
+
+      await accountantApi.patch(`/api/discounts/rules/${sibling.id}`).send({ stackable: true }).expect(200);
+
+      // 10% off 575, then 20% off the remaining 517.50
+      const quote = await api
+        .get('/api/discounts/quote')
+        .query({ player_id: second.id, pricing_plan_id: pricingPlan.id, promo_code: 'WELCOME' })
+        .expect(200);
+      expect(quote.body.data.applied_discounts.map(d => [d.rule_type, d.amount])).toEqual([
+        ['sibling', 57.5],
+        ['promo_code', 103.5]
+      ]);
+      expect(quote.body.data.discount_amount).toBe(161);
+      expect(quote.body.data.total_amount).toBe(414);
+    });
+  });
+
+  describe('rule management', () => {
+    it('keeps branch admins to rules for their own branch', async () => {
+      const branchAdminApi = await actingAs(app, academy.branchAdmin);
+
+      await branchAdminApi
+        .post('/api/discounts/rules')
+        .send({ name: 'Everywhere', rule_type: 'bundle', discount_type: 'percentage', tiers: [{ min: 2, value: 5 }] })
+        .expect(403);
+
+      const res = await branchAdminApi
+        .post('/api/discounts/rules')
+        .send({
+          branch_id: academy.branch.id,
+          name: 'Branch bundle',
+          rule_type: 'bundle',
+          discount_type: 'percentage',
+          tiers: [{ min: 1, value: 5 }]
+        });
+      expect(res.status).toBe(400);
+
+      const list = await branchAdminApi.get('/api/discounts/rules').expect(200);
+      expect(list.body.data.every(rule => rule.branch_id === academy.branch.id)).toBe(true);
+      expect(list.body.data[0]).toHaveProperty('usage_count');
+    });
+  });
+});
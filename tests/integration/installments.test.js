@@ -0,0 +1,148 @@
+const app = require('../../src/app');
+const { Payment, Subscription, Notification } = require('../../src/models');
+const installmentService = require('../../src/services/installment.service');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy, createPlayer, createPricingPlan, toDateOnly, addDays } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Installment plans', () => {
+  let academy;
+  let annualPlan;
+  let parentApi;
+  let accountantApi;
+
+  const createPlan = async (installments = 4) => {
+    const player = await createPlayer({ parent: academy.parent, branch: academy.branch, program: academy.program });
+    const res = await parentApi
+      .post('/api/payments/installments')
+      .send({ player_id: player.id, pricing_plan_id: annualPlan.id, installments })
+      .expect(201);
+    const payments = await Payment.findAll({
+      where: { subscription_id: res.body.data.subscription.id },
+      order: [['installment_number', 'ASC']]
+    });
+    return { player, subscription: res.body.data.subscription, schedule: res.body.data.schedule, payments };
+  };
+
+  const payOnline = async (payment) => {
+    await parentApi.post(`/api/payments/gateway/initiate/${payment.id}`).expect(200);
+    await parentApi.post(`/api/payments/gateway/mock/${payment.id}/complete`).send({}).expect(200);
+  };
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    annualPlan = await createPricingPlan(academy.program, {
+      name: 'Annual',
+      duration_months: 12,
+      price: 6000,
+      max_installments: 4
+    });
+    parentApi = await actingAs(app, academy.parent);
+    accountantApi = await actingAs(app, academy.accountant);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('schedule', () => {
+    it('splits the plan into installments spread over the subscription period', async () => {
+      const { subscription, schedule, payments } = await createPlan(4);
+
+      expect(subscription.status).toBe('pending');
+      expect(subscription.installment_count).toBe(4);
+      expect(payments.map(p => p.installment_number)).toEqual([1, 2, 3, 4]);
+      expect(payments[0].due_date).toBe(subscription.start_date);
+      expect(payments[3].due_date < subscription.end_date).toBe(true);
+      expect(payments.every(p => p.status === 'pending' && p.subscription_id === subscription.id)).toBe(true);
+
+      const total = payments.reduce((sum, p) => sum + parseFloat(p.total_amount), 0);
+      expect(total).toBeCloseTo(6000, 2);
+      expect(schedule.remaining_amount).toBe(6000);
+      expect(schedule.next_due.payment_id).toBe(payments[0].id);
+    });
+
+    it('rejects more installments than the plan allows and plans without installments', async () => {
+      const player = await createPlayer({ parent: academy.parent, branch: academy.branch, program: academy.program });
+
+      await parentApi
+        .post('/api/payments/installments')
+        .send({ player_id: player.id, pricing_plan_id: annualPlan.id, installments: 6 })
+        .expect(400);
+      await parentApi
+        .post('/api/payments/installments')
+        .send({ player_id: player.id, pricing_plan_id: academy.pricingPlan.id, installments: 2 })
+        .expect(400);
+      expect(await Subscription.count({ where: { player_id: player.id } })).toBe(0);
+    });
+
+    it('activates the subscription when the first installment is paid', async () => {
+      const { player, subscription, payments } = await createPlan(2);
+
+      await payOnline(payments[0]);
+
+      const subscriptions = await Subscription.findAll({ where: { player_id: player.id } });
+      expect(subscriptions).toHaveLength(1);
+      expect(subscriptions[0].status).toBe('active');
+
+      const schedule = await parentApi.get(`/api/subscriptions/${subscription.id}/installments`).expect(200);
+      expect(schedule.body.data.paid_count).toBe(1);
+      expect(schedule.body.data.next_due.payment_id).toBe(payments[1].id);
+    });
+  });
+
+  describe('overdue installments', () => {
+    it('suspends the subscription until every overdue installment is paid', async () => {
+      const { subscription, payments } = await createPlan(4);
+      await payOnline(payments[0]);
+
+      await payments[1].update({ due_date: toDateOnly(addDays(-20)) });
+      await payments[2].update({ due_date: toDateOnly(addDays(-10)) });
+
+      const results = await installmentService.suspendOverdue();
+      expect(results.suspended).toBeGreaterThanOrEqual(1);
+
+      const suspended = await Subscription.findByPk(subscription.id);
+      expect(suspended.status).toBe('suspended');
+
+      const notification = await Notification.findOne({
+        where: { user_id: academy.parent.id, type: 'payment_overdue' }
+      });
+      expect(notification.data.subscription_id).toBe(subscription.id);
+
+      const overdue = await accountantApi.get('/api/subscriptions/overdue').expect(200);
+      const listed = overdue.body.data.find(s => s.id === subscription.id);
+      expect(listed.overdue_reason).toBe('installment');
+      expect(listed.overdue_installments).toHaveLength(2);
+
+      // One of two overdue installments paid: still suspended
+      await accountantApi.patch(`/api/payments/${payments[1].id}/complete`).expect(200);
+      expect((await Subscription.findByPk(subscription.id)).status).toBe('suspended');
+
+      await accountantApi.patch(`/api/payments/${payments[2].id}/complete`).expect(200);
+      expect((await Subscription.findByPk(subscription.id)).status).toBe('active');
+    });
+
+    it('does not count installments within the grace period', async () => {
+      const { subscription, payments } = await createPlan(2);
+      await payOnline(payments[0]);
+      await payments[1].update({ due_date: toDateOnly(addDays(-1)) });
+
+      await installmentService.suspendOverdue();
+
+      expect((await Subscription.findByPk(subscription.id)).status).toBe('active');
+    });
+  });
+
+  it('shows installment plans on the parent dashboard', async () => {
+    const { subscription } = await createPlan(3);
+
+    const res = await parentApi.get(`/api/stats/parent/${academy.parent.id}`).expect(200);
+
+    const plan = res.body.data.installment_plans.find(p => p.subscription_id === subscription.id);
+    expect(plan.installments).toHaveLength(3);
+    expect(plan.program_name).toBe(academy.program.name);
+    expect(res.body.data.pending_payments.some(p => p.installment_number === 1)).toBe(true);
+  });
+});
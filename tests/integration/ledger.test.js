@@ -0,0 +1,184 @@
+const app = require('../../src/app');
+const { Payment, JournalEntry, JournalLine } = require('../../src/models');
+const ledgerService = require('../../src/services/ledger.service');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy, createBranch, createUser, createPlayer, toDateOnly } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('General ledger', () => {
+  let academy;
+  let accountantApi;
+
+  // Pending cash payment (tax-inclusive total at 15% VAT), completed by the accountant
+  const completePayment = async (total, { branch = academy.branch, payment_method = 'cash' } = {}) => {
+    const player = await createPlayer({ parent: academy.parent, branch, program: academy.program });
+    const tax = Math.round((total * 15 / 115) * 100) / 100;
+    const payment = await Payment.create({
+      user_id: academy.parent.id,
+      player_id: player.id,
+      branch_id: branch.id,
+      type: 'registration',
+      payment_method,
+      amount: total - tax,
+      tax_amount: tax,
+      total_amount: total
+    });
+    await accountantApi.patch(`/api/payments/${payment.id}/complete`).expect(200);
+    return payment.reload();
+  };
+
+  // { account code: [debit, credit] } of an entry
+  const linesOf = async (entry) => {
+    const lines = await JournalLine.findAll({ where: { journal_entry_id: entry.id }, include: ['account'] });
+    return lines.reduce((map, line) => ({
+      ...map,
+      [line.account.code]: [parseFloat(line.debit), parseFloat(line.credit)]
+    }), {});
+  };
+
+  const entriesFor = (sourceType, sourceId) => JournalEntry.findAll({
+    where: { source_type: sourceType, source_id: sourceId },
+    order: [['created_at', 'ASC']]
+  });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    accountantApi = await actingAs(app, academy.accountant);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('automatic postings', () => {
+    it('posts a completed payment once, splitting out VAT', async () => {
+      const payment = await completePayment(575);
+
+      const [entry] = await entriesFor('payment', payment.id);
+      expect(entry.entry_number).toMatch(/^JE-\d{6}-\d{6}$/);
+      expect(entry.entry_date).toBe(toDateOnly(payment.paid_at));
+      expect(entry.branch_id).toBe(academy.branch.id);
+      expect(await linesOf(entry)).toEqual({
+        1000: [575, 0],
+        4010: [0, 500],
+        2100: [0, 75]
+      });
+
+      expect(await ledgerService.postPayment(payment)).toBeNull();
+      expect(await entriesFor('payment', payment.id)).toHaveLength(1);
+    });
+
+    it('posts refunds against revenue and VAT, out of the account the payment came in to', async () => {
+      const payment = await completePayment(575, { payment_method: 'mada' });
+
+      const res = await accountantApi.post(`/api/payments/${payment.id}/refund`).send({ amount: 115, reason: 'Goodwill' }).expect(200);
+
+      const [entry] = await entriesFor('refund', res.body.data.refund.id);
+      expect(await linesOf(entry)).toEqual({
+        4900: [100, 0],
+        2100: [15, 0],
+        1020: [0, 115]
+      });
+    });
+
+    it('posts expenses, re-posts edited figures and reverses deleted expenses', async () => {
+      const created = await accountantApi.post('/api/expenses').send({
+        branch_id: academy.branch.id,
+        title: 'Pitch rent',
+        category: 'rent',
+        amount: 300,
+        payment_method: 'bank_transfer'
+      }).expect(201);
+      const expenseId = created.body.data.id;
+
+      const [entry] = await entriesFor('expense', expenseId);
+      expect(await linesOf(entry)).toEqual({ 5020: [300, 0], 1010: [0, 300] });
+
+      // Notes do not touch the books
+      await accountantApi.put(`/api/expenses/${expenseId}`).send({ notes: 'Paid in advance' }).expect(200);
+      expect(await entriesFor('expense', expenseId)).toHaveLength(1);
+
+      await accountantApi.put(`/api/expenses/${expenseId}`).send({ amount: 350 }).expect(200);
+      let entries = await entriesFor('expense', expenseId);
+      expect(entries.map(e => e.status)).toEqual(['reversed', 'posted', 'posted']);
+      expect(await linesOf(entries[1])).toEqual({ 5020: [0, 300], 1010: [300, 0] });
+      expect(entries[1].reversal_of_id).toBe(entries[0].id);
+      expect(await linesOf(entries[2])).toEqual({ 5020: [350, 0], 1010: [0, 350] });
+
+      await accountantApi.delete(`/api/expenses/${expenseId}`).expect(200);
+      entries = await entriesFor('expense', expenseId);
+      expect(entries).toHaveLength(4);
+      expect(entries[2].status).toBe('reversed');
+      expect(await linesOf(entries[3])).toEqual({ 5020: [0, 350], 1010: [350, 0] });
+    });
+  });
+
+  describe('financial statements', () => {
+    it('produces a P&L per cost center that reconciles with payments, refunds and expenses', async () => {
+      const branch = await createBranch();
+      const payment = await completePayment(1150, { branch });
+      await accountantApi.post(`/api/payments/${payment.id}/refund`).send({ amount: 230, reason: 'Partial' }).expect(200);
+      await accountantApi.post('/api/expenses').send({
+        branch_id: branch.id, title: 'Water', category: 'utilities', amount: 200
+      }).expect(201);
+
+      const res = await accountantApi.get('/api/ledger/profit-and-loss').query({ branch_id: branch.id }).expect(200);
+      const pnl = res.body.data;
+      expect(pnl.revenue.total).toBe(800);
+      expect(pnl.revenue.accounts.map(a => [a.code, a.amount])).toEqual([['4010', 1000], ['4900', -200]]);
+      expect(pnl.expenses.total).toBe(200);
+      expect(pnl.net_income).toBe(600);
+      expect(pnl.cost_centers).toEqual([expect.objectContaining({
+        branch_id: branch.id, branch_name: branch.name, revenue: 800, expenses: 200, net_income: 600
+      })]);
+      expect(pnl.reconciliation.reconciled).toBe(true);
+
+      const sheet = await accountantApi.get('/api/ledger/balance-sheet').query({ branch_id: branch.id }).expect(200);
+      expect(sheet.body.data.assets.total).toBe(720);
+      expect(sheet.body.data.liabilities.total).toBe(120);
+      expect(sheet.body.data.equity.accounts).toEqual([expect.objectContaining({ name: 'Current earnings', amount: 600 })]);
+      expect(sheet.body.data.balanced).toBe(true);
+
+      // Whole academy: every posting so far
+      const all = await accountantApi.get('/api/ledger/profit-and-loss').expect(200);
+      expect(all.body.data.reconciliation.reconciled).toBe(true);
+      expect(all.body.data.cost_centers.length).toBeGreaterThanOrEqual(2);
+
+      const trial = await accountantApi.get('/api/ledger/trial-balance').expect(200);
+      expect(trial.body.data.balanced).toBe(true);
+      expect(trial.body.data.totals.debit).toBeGreaterThan(0);
+    });
+  });
+
+  describe('manual entries', () => {
+    it('rejects unbalanced entries and reverses manual ones only', async () => {
+      const unbalanced = await accountantApi.post('/api/ledger/journal').send({
+        lines: [{ account: '3000', credit: 1000 }, { account: '1010', debit: 900 }]
+      });
+      expect(unbalanced.status).toBe(400);
+      expect(unbalanced.body.message).toMatch(/does not balance/);
+
+      const posted = await accountantApi.post('/api/ledger/journal').send({
+        description: 'Owner capital injection',
+        lines: [{ account: '1010', debit: 1000 }, { account: '3000', credit: 1000 }]
+      }).expect(201);
+      expect(posted.body.data.lines).toHaveLength(2);
+
+      const reversal = await accountantApi.post(`/api/ledger/journal/${posted.body.data.id}/reverse`).send({ reason: 'Duplicate' }).expect(201);
+      expect(reversal.body.data.reversal_of_id).toBe(posted.body.data.id);
+      await accountantApi.post(`/api/ledger/journal/${posted.body.data.id}/reverse`).expect(400);
+
+      const automatic = await JournalEntry.findOne({ where: { source_type: 'payment' } });
+      await accountantApi.post(`/api/ledger/journal/${automatic.id}/reverse`).expect(400);
+    });
+
+    it('keeps the ledger away from branch admins and parents', async () => {
+      const branchAdminApi = await actingAs(app, academy.branchAdmin);
+      await branchAdminApi.get('/api/ledger/trial-balance').expect(403);
+
+      const parentApi = await actingAs(app, await createUser('parent', { branch_id: academy.branch.id }));
+      await parentApi.post('/api/ledger/journal').send({ lines: [] }).expect(403);
+    });
+  });
+});
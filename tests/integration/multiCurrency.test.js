@@ -0,0 +1,220 @@
+const app = require('../../src/app');
+const request = require('supertest');
+const { Payment, ExchangeRate, Notification } = require('../../src/models');
+const paymentService = require('../../src/services/payment.service');
+const ledgerService = require('../../src/services/ledger.service');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy, createBranch, createProgram, createPricingPlan, createPlayer, toDateOnly, addDays } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Multi-currency', () => {
+  let academy;
+  let accountantApi;
+  let kuwait;
+  let dubai;
+
+  const today = toDateOnly(new Date());
+  const lastWeek = toDateOnly(addDays(-7));
+
+  // Completed payment in the branch's currency (VAT-free for easy figures)
+  const paidPayment = async (branch, total, overrides = {}) => {
+    const player = await createPlayer({ parent: academy.parent, branch });
+    return Payment.create({
+      user_id: academy.parent.id,
+      player_id: player.id,
+      branch_id: branch.id,
+      type: 'registration',
+      payment_method: 'cash',
+      amount: total,
+      tax_amount: 0,
+      total_amount: total,
+      status: 'completed',
+      paid_at: new Date(),
+      ...overrides
+    });
+  };
+
+  const importRates = (csv, fileName = 'rates.csv') => accountantApi
+    .post('/api/exchange-rates/import')
+    .attach('rates', Buffer.from(csv), fileName);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    accountantApi = await actingAs(app, academy.accountant);
+    kuwait = await createBranch({ city: 'Kuwait City', currency: 'KWD' });
+    dubai = await createBranch({ city: 'Dubai', currency: 'AED' });
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('branch base currency', () => {
+    it('records payments and expenses in the currency of their branch', async () => {
+      const payment = await paidPayment(kuwait, 57.5);
+      expect(payment.currency).toBe('KWD');
+      expect((await paidPayment(academy.branch, 575)).currency).toBe('SAR');
+
+      const expense = await accountantApi.post('/api/expenses').send({
+        branch_id: dubai.id, title: 'Pitch rent', category: 'rent', amount: 1000
+      }).expect(201);
+      expect(expense.body.data.currency).toBe('AED');
+    });
+
+    it('keeps the base currency once a branch has transactions', async () => {
+      const superAdminApi = await actingAs(app, academy.superAdmin);
+      const res = await superAdminApi.put(`/api/branches/${kuwait.id}`).send({ currency: 'SAR' });
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/cannot change/);
+
+      const fresh = await createBranch();
+      const updated = await superAdminApi.put(`/api/branches/${fresh.id}`).send({ currency: 'bhd' }).expect(200);
+      expect(updated.body.data.currency).toBe('BHD');
+      await superAdminApi.put(`/api/branches/${fresh.id}`).send({ currency: 'XYZ' }).expect(400);
+    });
+
+    it('charges the gateway in fils for three-decimal currencies', async () => {
+      const program = await createProgram(kuwait);
+      const plan = await createPricingPlan(program, { price: 57.525 });
+      const player = await createPlayer({ parent: academy.parent, branch: kuwait, program });
+      const parentApi = await actingAs(app, academy.parent);
+
+      const res = await parentApi
+        .post('/api/payments/gateway/initiate')
+        .send({ player_id: player.id, pricing_plan_id: plan.id })
+        .expect(200);
+      expect(res.body.data.currency).toBe('KWD');
+
+      const payment = await Payment.findByPk(res.body.data.payment_id);
+      // VAT is extracted to the fils, not the nearest hundredth
+      expect([parseFloat(payment.total_amount), parseFloat(payment.tax_amount)]).toEqual([57.525, 7.503]);
+      const charge = await paymentService.getPayment(res.body.data.gateway_payment_id);
+      expect(charge.currency).toBe('KWD');
+      expect(charge.amount).toBe(Math.round(parseFloat(payment.total_amount) * 1000));
+      expect(res.body.data.amount).toBe(parseFloat(payment.total_amount));
+
+      // The amount check on settlement uses the same minor unit
+      await paymentService.completeMockPayment(res.body.data.gateway_payment_id, true);
+      const callback = await request(app)
+        .get('/api/payments/gateway/callback')
+        .query({ payment_id: payment.id, id: res.body.data.gateway_payment_id });
+      expect(callback.headers.location).toContain('status=success');
+      expect((await payment.reload()).status).toBe('completed');
+      const notices = await Notification.findAll({ where: { data: { payment_id: payment.id } } });
+      expect(notices.length).toBeGreaterThan(0);
+      expect(notices.every(notice => notice.title.endsWith('57.525 KWD') && notice.title_ar.endsWith('57.525 KWD'))).toBe(true);
+
+      const refund = await accountantApi.post(`/api/payments/${payment.id}/refund`).send({ amount: 10.005, reason: 'Missed week' }).expect(200);
+      expect([parseFloat(refund.body.data.refund.amount), parseFloat(refund.body.data.refund.tax_amount)]).toEqual([10.005, 1.305]);
+      const over = await accountantApi.post(`/api/payments/${payment.id}/refund`).send({ amount: 50, reason: 'Too much' }).expect(400);
+      expect(over.body.message).toContain('47.52 KWD');
+    });
+  });
+
+  describe('exchange rates', () => {
+    it('imports rates from a CSV sheet and updates them on re-import', async () => {
+      const csv = [
+        'Date,Base,Quote,Rate',
+        `${lastWeek},AED,SAR,1.0200`,
+        `${lastWeek},KWD,SAR,12.2`,
+        `${today},AED,SAR,1.0210`
+      ].join('\n');
+
+      const res = await importRates(csv).expect(200);
+      expect(res.body.data).toEqual({ rows: 3, created: 3, updated: 0, unchanged: 0 });
+
+      const again = await importRates(csv.replace('12.2', '12.25')).expect(200);
+      expect(again.body.data).toEqual({ rows: 3, created: 0, updated: 1, unchanged: 2 });
+      expect(await ExchangeRate.count({ where: { source: 'csv' } })).toBe(3);
+    });
+
+    it('rejects a sheet with bad rows without saving any of it', async () => {
+      const res = await importRates(['date,currency,rate', `${today},QAR,1.03`, `${today},XXX,2`, 'soon,BHD,9.95'].join('\n'));
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/Row 3: Unsupported currency/);
+      expect(res.body.message).toMatch(/Row 4: Effective date/);
+      expect(await ExchangeRate.count({ where: { base_currency: 'QAR' } })).toBe(0);
+    });
+
+    it('converts with the rate effective on the date, inverse and cross rates included', async () => {
+      const convert = (query) => accountantApi.get('/api/exchange-rates/convert').query(query).expect(200);
+
+      expect((await convert({ amount: 100, from: 'AED', date: today })).body.data).toEqual(expect.objectContaining({ to: 'SAR', rate: 1.021, converted: 102.1 }));
+      expect((await convert({ amount: 100, from: 'AED', date: lastWeek })).body.data.converted).toBe(102);
+      expect((await convert({ amount: 122.5, from: 'SAR', to: 'KWD' })).body.data.converted).toBe(10);
+      // AED -> SAR -> KWD
+      expect((await convert({ amount: 1225, from: 'AED', to: 'KWD', date: lastWeek })).body.data.converted).toBe(102);
+
+      const missing = await accountantApi.get('/api/exchange-rates/convert').query({ amount: 1, from: 'AED', date: toDateOnly(addDays(-30)) });
+      expect(missing.status).toBe(400);
+      expect(missing.body.message).toMatch(/No exchange rate from AED to SAR/);
+    });
+  });
+
+  describe('reporting currency', () => {
+    it('converts financial stats to the reporting currency', async () => {
+      await paidPayment(dubai, 500);
+
+      const res = await accountantApi.get('/api/stats/financial')
+        .query({ from_date: lastWeek, to_date: toDateOnly(addDays(1)) })
+        .expect(200);
+      const stats = res.body.data;
+
+      // 575 + 57.5 KWD * 12.25 + 500 AED * 1.021 + the checkout charged in KWD
+      const checkout = await Payment.findOne({ where: { currency: 'KWD', type: 'subscription' } });
+      const expected = Math.round((575 + 57.5 * 12.25 + 510.5 + parseFloat(checkout.total_amount) * 12.25) * 100) / 100;
+      expect(stats.currency).toBe('SAR');
+      expect(stats.total_income).toBeCloseTo(expected, 2);
+      expect(stats.by_currency.find(c => c.currency === 'AED')).toEqual(expect.objectContaining({ total_income: 500, converted_income: 510.5 }));
+      expect(stats.revenue_by_branch.find(b => b.branch_id === dubai.id).total).toBe(510.5);
+
+      const inAed = await accountantApi.get('/api/stats/financial')
+        .query({ from_date: lastWeek, to_date: toDateOnly(addDays(1)), branch_id: academy.branch.id, currency: 'AED' })
+        .expect(200);
+      expect(inAed.body.data.currency).toBe('AED');
+      expect(inAed.body.data.total_income).toBe(Math.round(575 / 1.021 * 100) / 100);
+    });
+
+    it('converts the revenue report month by month at each day\'s rate', async () => {
+      await ExchangeRate.bulkCreate([
+        { base_currency: 'AED', quote_currency: 'SAR', rate: 1, effective_date: '2025-01-01' },
+        { base_currency: 'AED', quote_currency: 'SAR', rate: 1.1, effective_date: '2025-02-01' }
+      ]);
+      await paidPayment(dubai, 100, { paid_at: new Date('2025-01-20T10:00:00Z') });
+      await paidPayment(dubai, 100, { paid_at: new Date('2025-02-20T10:00:00Z') });
+      await paidPayment(academy.branch, 50, { paid_at: new Date('2025-02-21T10:00:00Z') });
+
+      const res = await accountantApi.get('/api/payments/revenue').query({ year: 2025 }).expect(200);
+      expect(res.body.data.currency).toBe('SAR');
+      expect(res.body.data.revenue.map(m => [m.month, m.revenue, m.transactions])).toEqual([[1, 100, 1], [2, 160, 2]]);
+      expect(res.body.data.totals.gross).toBe(260);
+    });
+
+    it('posts the ledger in the branch currency and reconciles with the converted stats', async () => {
+      const salmiya = await createBranch({ city: 'Salmiya', currency: 'KWD' });
+      const payment = await paidPayment(salmiya, 57.5, { amount: 50, tax_amount: 7.5 });
+      const entry = await ledgerService.postPayment(payment);
+      expect(entry.lines.map(line => line.currency)).toEqual(['KWD', 'KWD', 'KWD']);
+      await accountantApi.post('/api/expenses').send({
+        branch_id: salmiya.id, title: 'Water', category: 'utilities', amount: 10.125
+      }).expect(201);
+
+      const period = { from: lastWeek, to: toDateOnly(addDays(1)), branch_id: salmiya.id };
+      const pnl = (await accountantApi.get('/api/ledger/profit-and-loss').query(period).expect(200)).body.data;
+      expect(pnl.currency).toBe('SAR');
+      expect([pnl.revenue.total, pnl.expenses.total]).toEqual([612.5, 124.03]);
+      expect(pnl.reconciliation.reconciled).toBe(true);
+
+      const stats = (await accountantApi.get('/api/stats/financial')
+        .query({ from_date: period.from, to_date: period.to, branch_id: salmiya.id })
+        .expect(200)).body.data;
+      expect(stats.net_revenue_excl_vat).toBe(pnl.revenue.total);
+
+      const inKwd = (await accountantApi.get('/api/ledger/trial-balance').query({ ...period, currency: 'KWD' }).expect(200)).body.data;
+      expect(inKwd.totals).toEqual({ debit: 57.5, credit: 57.5 });
+      expect(inKwd.accounts.find(account => account.code === '1000').balance_debit).toBe(47.375);
+      expect(inKwd.balanced).toBe(true);
+    });
+  });
+});
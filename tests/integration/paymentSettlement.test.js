@@ -0,0 +1,172 @@
+const app = require('../../src/app');
+const request = require('supertest');
+const { Payment, PaymentEvent, Subscription } = require('../../src/models');
+const paymentService = require('../../src/services/payment.service');
+const paymentSettlement = require('../../src/services/paymentSettlement.service');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy, createPlayer, createSubscription } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Payment settlement', () => {
+  let academy;
+  let parentApi;
+  let accountantApi;
+
+  // Online checkout for a fresh player; the mock gateway has captured the charge
+  const initiateCapturedPayment = async () => {
+    const player = await createPlayer({ parent: academy.parent, branch: academy.branch, program: academy.program });
+    const res = await parentApi
+      .post('/api/payments/gateway/initiate')
+      .send({ player_id: player.id, pricing_plan_id: academy.pricingPlan.id })
+      .expect(200);
+
+    const { payment_id, gateway_payment_id } = res.body.data;
+    await paymentService.completeMockPayment(gateway_payment_id, true);
+    return { player, paymentId: payment_id, gatewayPaymentId: gateway_payment_id };
+  };
+
+  const sendWebhook = (paymentId, gatewayPaymentId, status = 'CAPTURED', headers = {}) => request(app)
+    .post('/api/payments/gateway/webhook')
+    .set(headers)
+    .send({ id: gatewayPaymentId, status, metadata: { payment_id: paymentId } });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    parentApi = await actingAs(app, academy.parent);
+    accountantApi = await actingAs(app, academy.accountant);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('gateway paths', () => {
+    it('creates one subscription when the webhook and the browser callback both arrive', async () => {
+      const { player, paymentId, gatewayPaymentId } = await initiateCapturedPayment();
+
+      // Sequential here: the in-memory test database has a single connection,
+      // so the row lock that serialises concurrent calls cannot be exercised
+      const callbackRes = await request(app)
+        .get('/api/payments/gateway/callback')
+        .query({ payment_id: paymentId, id: gatewayPaymentId });
+      expect(callbackRes.status).toBe(302);
+      expect(callbackRes.headers.location).toContain('status=success');
+
+      const webhookRes = await sendWebhook(paymentId, gatewayPaymentId).expect(200);
+      expect(webhookRes.body.message).toBe('Webhook already processed');
+
+      const payment = await Payment.findByPk(paymentId);
+      expect(payment.status).toBe('completed');
+      expect(await Subscription.count({ where: { player_id: player.id } })).toBe(1);
+      expect(payment.subscription_id).toBeTruthy();
+
+      const events = await PaymentEvent.findAll({ where: { payment_id: paymentId } });
+      expect(events).toHaveLength(1);
+      expect(events[0].applied).toBe(true);
+    });
+
+    it('ignores a replayed webhook event', async () => {
+      const { player, paymentId, gatewayPaymentId } = await initiateCapturedPayment();
+
+      await sendWebhook(paymentId, gatewayPaymentId, 'CAPTURED', { 'x-event-id': 'evt_replay' }).expect(200);
+      const replay = await sendWebhook(paymentId, gatewayPaymentId, 'CAPTURED', { 'x-event-id': 'evt_replay' }).expect(200);
+      expect(replay.body.message).toBe('Webhook already processed');
+
+      // A later verify reconciles nothing
+      const verify = await parentApi.get(`/api/payments/gateway/verify/${paymentId}`).expect(200);
+      expect(verify.body.data.local_status).toBe('completed');
+      expect(verify.body.data.reconciled).toBe(false);
+
+      expect(await Subscription.count({ where: { player_id: player.id } })).toBe(1);
+      expect(await PaymentEvent.count({ where: { payment_id: paymentId, event_id: 'evt_replay' } })).toBe(1);
+    });
+
+    it('settles a payment whose webhook never arrived when it is verified', async () => {
+      const { player, paymentId } = await initiateCapturedPayment();
+
+      const verify = await parentApi.get(`/api/payments/gateway/verify/${paymentId}`).expect(200);
+      expect(verify.body.data.local_status).toBe('completed');
+      expect(verify.body.data.reconciled).toBe(true);
+      expect(await Subscription.count({ where: { player_id: player.id } })).toBe(1);
+    });
+
+    it('does not let another gateway payment settle the payment', async () => {
+      const first = await initiateCapturedPayment();
+      const second = await initiateCapturedPayment();
+
+      const res = await request(app)
+        .get('/api/payments/gateway/callback')
+        .query({ payment_id: first.paymentId, id: second.gatewayPaymentId });
+      expect(res.headers.location).toContain('status=error');
+
+      const payment = await Payment.findByPk(first.paymentId);
+      expect(payment.status).toBe('pending');
+    });
+  });
+
+  describe('staff and repeated calls', () => {
+    it('completes a payment once however many times it is marked as completed', async () => {
+      const { player, paymentId } = await initiateCapturedPayment();
+
+      const first = await accountantApi.patch(`/api/payments/${paymentId}/complete`).expect(200);
+      expect(first.body.data.status).toBe('completed');
+
+      const second = await accountantApi.patch(`/api/payments/${paymentId}/complete`).expect(200);
+      expect(second.body.message).toBe('Payment is already completed');
+
+      await paymentSettlement.settle(paymentId, { status: 'completed', source: 'mock' });
+
+      expect(await Subscription.count({ where: { player_id: player.id } })).toBe(1);
+
+      const events = await PaymentEvent.findAll({ where: { payment_id: paymentId }, order: [['created_at', 'ASC']] });
+      expect(events.map(e => e.applied)).toEqual([true, false, false]);
+      expect(events[0].source).toBe('manual');
+      expect(events[0].actor_id).toBe(academy.accountant.id);
+    });
+
+    it('does not fail a payment that has already completed', async () => {
+      const { paymentId, gatewayPaymentId } = await initiateCapturedPayment();
+      await sendWebhook(paymentId, gatewayPaymentId).expect(200);
+
+      await sendWebhook(paymentId, gatewayPaymentId, 'FAILED').expect(200);
+
+      const payment = await Payment.findByPk(paymentId);
+      expect(payment.status).toBe('completed');
+    });
+
+    it('keeps status, refunds and settled amounts out of payment edits', async () => {
+      const { paymentId } = await initiateCapturedPayment();
+      const url = `/api/payments/${paymentId}`;
+
+      await accountantApi.put(url).send({ status: 'completed' }).expect(400);
+      await accountantApi.put(url).send({ refunded_amount: 100 }).expect(400);
+      await accountantApi.put(url).send({ notes: 'Paid at the front desk', status: 'pending' }).expect(200);
+      expect(await PaymentEvent.count({ where: { payment_id: paymentId } })).toBe(0);
+
+      await accountantApi.patch(`${url}/complete`).expect(200);
+      await accountantApi.put(url).send({ amount: 1 }).expect(400);
+
+      const payment = await Payment.findByPk(paymentId);
+      expect([payment.status, Number(payment.refunded_amount || 0), payment.notes]).toEqual(['completed', 0, 'Paid at the front desk']);
+      expect(Number(payment.amount)).not.toBe(1);
+    });
+  });
+
+  describe('renewals', () => {
+    it('keeps a renewal from the 31st inside the following month', async () => {
+      const player = await createPlayer({ parent: academy.parent, branch: academy.branch, program: academy.program });
+      const current = await createSubscription({ player, program: academy.program }, { end_date: '2027-01-31' });
+
+      const res = await parentApi
+        .post('/api/payments/gateway/initiate')
+        .send({ player_id: player.id, pricing_plan_id: academy.pricingPlan.id })
+        .expect(200);
+      await paymentService.completeMockPayment(res.body.data.gateway_payment_id, true);
+      await sendWebhook(res.body.data.payment_id, res.body.data.gateway_payment_id).expect(200);
+
+      const renewal = await Subscription.findOne({ where: { renewed_from_id: current.id } });
+      expect([renewal.start_date, renewal.end_date]).toEqual(['2027-01-31', '2027-02-28']);
+    });
+  });
+});
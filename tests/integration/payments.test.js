@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const app = require('../../src/app');
+const { Payment, Subscription } = require('../../src/models');
+const invoiceService = require('../../src/services/invoice.service');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+// 1x1 transparent PNG
+const RECEIPT_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+describe('Payments', () => {
+  let academy;
+  let parentApi;
+  let accountantApi;
+  const uploadedReceipts = [];
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    parentApi = await actingAs(app, academy.parent);
+    accountantApi = await actingAs(app, academy.accountant);
+  });
+
+  afterAll(async () => {
+    for (const receiptUrl of uploadedReceipts) {
+      fs.rmSync(path.join(__dirname, '../..', receiptUrl), { force: true });
+    }
+    await closeDatabase();
+  });
+
+  describe('Receipt payment', () => {
+    it('creates a pending payment with server-side VAT and a subscription on completion', async () => {
+      const { player, program, pricingPlan } = academy;
+
+      const createRes = await parentApi
+        .post('/api/payments/receipt')
+        .field('player_id', player.id)
+        .field('program_id', program.id)
+        .field('pricing_plan_id', pricingPlan.id)
+        .field('amount', '575')
+        .attach('receipt', RECEIPT_PNG, { filename: 'receipt.png', contentType: 'image/png' });
+
+      expect(createRes.status).toBe(201);
+      const payment = createRes.body.data;
+      uploadedReceipts.push(payment.receipt_url);
+
+      expect(payment.status).toBe('pending');
+      // 575 SAR tax-inclusive at the default 15% rate
+      expect(parseFloat(payment.total_amount)).toBe(575);
+      expect(parseFloat(payment.tax_amount)).toBe(75);
+      expect(parseFloat(payment.tax_rate)).toBe(15);
+
+      const completeRes = await accountantApi.patch(`/api/payments/${payment.id}/complete`);
+      expect(completeRes.status).toBe(200);
+
+      const completed = await Payment.findByPk(payment.id);
+      expect(completed.status).toBe('completed');
+      expect(completed.paid_at).not.toBeNull();
+      expect(completed.subscription_id).not.toBeNull();
+
+      const subscription = await Subscription.findByPk(completed.subscription_id);
+      expect(subscription).not.toBeNull();
+      expect(subscription.player_id).toBe(player.id);
+      expect(subscription.program_id).toBe(program.id);
+      expect(subscription.status).toBe('active');
+    });
+
+    it('requires a receipt file', async () => {
+      const res = await parentApi
+        .post('/api/payments/receipt')
+        .field('player_id', academy.player.id)
+        .field('amount', '575');
+
+      expect(res.status).toBe(400);
+    });
+
+    it('only lets staff complete payments', async () => {
+      const payment = await Payment.findOne({ where: { player_id: academy.player.id } });
+
+      const res = await parentApi.patch(`/api/payments/${payment.id}/complete`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('Online payment (mock gateway)', () => {
+    it('initiates a gateway payment and creates a subscription once the mock gateway completes it', async () => {
+      const { player, pricingPlan } = academy;
+
+      const initRes = await parentApi
+        .post('/api/payments/gateway/initiate')
+        .send({ player_id: player.id, pricing_plan_id: pricingPlan.id });
+
+      expect(initRes.status).toBe(200);
+      expect(initRes.body.data.provider).toBe('mock');
+      expect(initRes.body.data.amount).toBe(575);
+
+      const paymentId = initRes.body.data.payment_id;
+      const pending = await Payment.findByPk(paymentId);
+      expect(pending.status).toBe('pending');
+      expect(pending.transaction_id).toBe(initRes.body.data.gateway_payment_id);
+
+      await parentApi
+        .post(`/api/payments/gateway/mock/${paymentId}/complete`)
+        .send({ success: true })
+        .expect(200);
+
+      const completed = await Payment.findByPk(paymentId);
+      expect(completed.status).toBe('completed');
+      expect(completed.subscription_id).not.toBeNull();
+    });
+  });
+
+  describe('Invoice PDF', () => {
+    const binary = (res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    it('sends the rendered PDF, or an error response when rendering fails', async () => {
+      const payment = await Payment.findOne({ where: { player_id: academy.player.id, status: 'completed' } });
+      const url = `/api/payments/${payment.id}/invoice/pdf`;
+
+      const res = await parentApi.get(url).buffer(true).parse(binary).expect(200);
+      expect(res.headers['content-type']).toBe('application/pdf');
+      expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+
+      const spy = jest.spyOn(invoiceService, '_drawTotals').mockImplementation(() => {
+        throw new Error('Broken glyph');
+      });
+      const failed = await parentApi.get(url);
+      spy.mockRestore();
+
+      expect(failed.status).toBe(500);
+      expect(failed.headers['content-type']).toMatch(/json/);
+      expect(failed.body.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const app = require('../../src/app');
+const { User, Discount } = require('../../src/models');
+const { getRateLimitStore } = require('../../src/middleware/rateLimiter');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { createBranch, createUser } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Permissions', () => {
+  let owner;
+  let superAdmin;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    owner = await createUser('owner');
+    superAdmin = await createUser('super_admin');
+  });
+
+  beforeEach(async () => {
+    await getRateLimitStore().resetAll();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('role defaults', () => {
+    it('lets accountants and super admins manage expenses but not branch admins', async () => {
+      const accountant = await createUser('accountant');
+      const branch = await createBranch();
+      const branchAdmin = await createUser('branch_admin', { branch_id: branch.id });
+
+      await (await actingAs(app, accountant)).get('/api/expenses').expect(200);
+      await (await actingAs(app, superAdmin)).get('/api/expenses').expect(200);
+
+      const res = await (await actingAs(app, branchAdmin)).get('/api/expenses');
+      expect(res.status).toBe(403);
+      expect(res.body.message).toMatch(/permission/);
+    });
+
+    it('keeps the branch day sheet from accountants', async () => {
+      const branch = await createBranch();
+      const accountant = await createUser('accountant');
+      const branchAdmin = await createUser('branch_admin', { branch_id: branch.id });
+
+      await (await actingAs(app, accountant)).get(`/api/schedule/branch/${branch.id}/week`).expect(200);
+      await (await actingAs(app, accountant)).get(`/api/schedule/branch/${branch.id}/day`).expect(403);
+      await (await actingAs(app, branchAdmin)).get(`/api/schedule/branch/${branch.id}/day`).expect(200);
+    });
+
+    it('gives owners every permission', async () => {
+      const res = await (await actingAs(app, owner)).get('/api/permissions/me').expect(200);
+      const catalog = await (await actingAs(app, owner)).get('/api/permissions').expect(200);
+
+      const all = catalog.body.data.modules.flatMap(module => module.permissions.map(p => p.name));
+      expect(res.body.data.effective).toEqual(all);
+    });
+  });
+
+  describe('per-user overrides', () => {
+    it('applies grants on top of the role defaults', async () => {
+      const branch = await createBranch();
+      const branchAdmin = await createUser('branch_admin', {
+        branch_id: branch.id,
+        permissions: { grant: ['expenses.view'], revoke: [] }
+      });
+      const api = await actingAs(app, branchAdmin);
+
+      await api.get('/api/expenses').expect(200);
+      // Only view was granted
+      await api.delete('/api/expenses/00000000-0000-4000-8000-000000000000').expect(403);
+    });
+
+    it('holds other branch staff granted a branch admin permission to their branch', async () => {
+      const home = await createBranch();
+      const other = await createBranch();
+      const coach = await createUser('coach', {
+        branch_id: home.id,
+        permissions: { grant: ['discounts.view', 'discounts.create'], revoke: [] }
+      });
+      const api = await actingAs(app, coach);
+
+      const discount = { discount_type: 'fixed', discount_value: 10, reason: 'Loyalty' };
+      await api.post('/api/discounts').send({ ...discount, branch_id: other.id }).expect(403);
+      await (await actingAs(app, superAdmin)).post('/api/discounts').send({ ...discount, branch_id: other.id }).expect(201);
+      await api.post('/api/discounts').send({ ...discount, branch_id: home.id }).expect(201);
+
+      const res = await api.get('/api/discounts').expect(200);
+      expect(res.body.data.map(entry => entry.branch_id)).toEqual([home.id]);
+      expect(await Discount.count()).toBe(2);
+    });
+
+    it('holds users outside branch staff to their own branch for granted permissions', async () => {
+      const home = await createBranch();
+      const grant = { grant: ['discounts.view', 'sms.view'], revoke: [] };
+      const parentApi = await actingAs(app, await createUser('parent', { branch_id: home.id, permissions: grant }));
+      const branchlessApi = await actingAs(app, await createUser('parent', { permissions: grant }));
+
+      await (await actingAs(app, superAdmin)).post('/api/discounts')
+        .send({ discount_type: 'fixed', discount_value: 5, reason: 'Welcome', branch_id: home.id })
+        .expect(201);
+
+      const res = await parentApi.get('/api/discounts').expect(200);
+      expect(res.body.data.map(entry => entry.branch_id)).toEqual([home.id]);
+      expect((await branchlessApi.get('/api/discounts').expect(200)).body.data).toEqual([]);
+
+      // Accountants read every branch's SMS only when their role carries it
+      const accountantApi = await actingAs(app, await createUser('accountant', { permissions: { grant: ['sms.view'], revoke: [] } }));
+      const sms = await accountantApi.get('/api/sms');
+      expect(sms.status).toBe(403);
+      expect(sms.body.message).toMatch(/not assigned to a branch/);
+      await parentApi.get('/api/sms').expect(200);
+    });
+
+    it('removes revoked permissions', async () => {
+      const accountant = await createUser('accountant', {
+        permissions: { grant: [], revoke: ['expenses.view'] }
+      });
+
+      await (await actingAs(app, accountant)).get('/api/expenses').expect(403);
+    });
+
+    it('ignores the legacy free-form permissions shape', async () => {
+      const accountant = await createUser('accountant', {
+        permissions: { expenses: ['read', 'write'] }
+      });
+
+      await (await actingAs(app, accountant)).get('/api/expenses').expect(200);
+    });
+  });
+
+  describe('admin API', () => {
+    let accountant;
+
+    beforeEach(async () => {
+      accountant = await createUser('accountant');
+    });
+
+    it('requires permissions.manage', async () => {
+      const api = await actingAs(app, accountant);
+      await api.get('/api/permissions').expect(403);
+      await api.get(`/api/permissions/users/${superAdmin.id}`).expect(403);
+
+      const me = await api.get('/api/permissions/me').expect(200);
+      expect(me.body.data.effective).toContain('expenses.view');
+      expect(me.body.data.effective).not.toContain('permissions.manage');
+    });
+
+    it('updates overrides, reports effective permissions and audits the change', async () => {
+      const api = await actingAs(app, superAdmin);
+
+      const res = await api
+        .put(`/api/permissions/users/${accountant.id}`)
+        .send({ grant: ['users.view', 'users.view'], revoke: ['payments.delete'] })
+        .expect(200);
+
+      expect(res.body.data.overrides).toEqual({ grant: ['users.view'], revoke: ['payments.delete'] });
+      expect(res.body.data.effective).toContain('users.view');
+      expect(res.body.data.effective).not.toContain('payments.delete');
+
+      const stored = await User.findByPk(accountant.id);
+      expect(stored.permissions).toEqual({ grant: ['users.view'], revoke: ['payments.delete'] });
+
+      await (await actingAs(app, accountant)).get('/api/users').expect(200);
+
+      const history = await api.get(`/api/audit-logs/entity/user/${accountant.id}`).expect(200);
+      expect(history.body.data.length).toBeGreaterThan(0);
+    });
+
+    it('rejects unknown permission names', async () => {
+      const res = await (await actingAs(app, superAdmin))
+        .put(`/api/permissions/users/${accountant.id}`)
+        .send({ grant: ['payments.teleport'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/payments\.teleport/);
+    });
+
+    it('prevents granting permissions the admin does not hold', async () => {
+      const res = await (await actingAs(app, superAdmin))
+        .put(`/api/permissions/users/${accountant.id}`)
+        .send({ grant: ['security.manage_policy'] });
+
+      expect(res.status).toBe(403);
+
+      // Owners can
+      await (await actingAs(app, owner))
+        .put(`/api/permissions/users/${accountant.id}`)
+        .send({ grant: ['security.manage_policy'] })
+        .expect(200);
+    });
+
+    it('prevents editing owners and your own permissions', async () => {
+      const api = await actingAs(app, superAdmin);
+
+      await api.put(`/api/permissions/users/${owner.id}`).send({ grant: [] }).expect(400);
+      await api.put(`/api/permissions/users/${superAdmin.id}`).send({ grant: ['security.manage_policy'] }).expect(403);
+    });
+
+    it('applies the same rules when permissions are sent with the user form', async () => {
+      const res = await (await actingAs(app, superAdmin))
+        .put(`/api/users/${accountant.id}`)
+        .send({ permissions: { grant: ['security.manage_policy'] } });
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
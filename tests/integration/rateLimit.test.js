@@ -0,0 +1,122 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { Notification } = require('../../src/models');
+const { getRateLimitStore } = require('../../src/middleware/rateLimiter');
+const { RATE_LIMITS, LOGIN_LOCKOUT } = require('../../src/config/constants');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { createUser, DEFAULT_PASSWORD } = require('../helpers/fixtures');
+
+describe('Auth rate limiting and lockout', () => {
+  let superAdmin;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    superAdmin = await createUser('super_admin');
+  });
+
+  beforeEach(async () => {
+    await getRateLimitStore().resetAll();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  const systemAlerts = () => Notification.findAll({ where: { user_id: superAdmin.id, type: 'system_alert' } });
+
+  describe('Progressive lockout', () => {
+    it('locks the account after repeated failed logins, even for the right password', async () => {
+      const coach = await createUser('coach');
+
+      for (let i = 1; i < LOGIN_LOCKOUT.MAX_FAILED_ATTEMPTS; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ phone: coach.phone, password: 'wrong-password' })
+          .expect(401);
+      }
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ phone: coach.phone, password: 'wrong-password' })
+        .expect(423);
+
+      await coach.reload();
+      expect(coach.lockout_count).toBe(1);
+      expect(coach.isLocked()).toBe(true);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ phone: coach.phone, password: DEFAULT_PASSWORD })
+        .expect(423);
+
+      const alerts = await systemAlerts();
+      expect(alerts.some(a => a.data?.user_id === coach.id)).toBe(true);
+    });
+
+    it('doubles the lock duration for consecutive lockouts', async () => {
+      const accountant = await createUser('accountant', {
+        lockout_count: 1,
+        failed_login_attempts: LOGIN_LOCKOUT.MAX_FAILED_ATTEMPTS - 1
+      });
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ phone: accountant.phone, password: 'wrong-password' })
+        .expect(423);
+
+      await accountant.reload();
+      const lockedMinutes = (new Date(accountant.locked_until) - Date.now()) / 60000;
+      expect(lockedMinutes).toBeGreaterThan(LOGIN_LOCKOUT.BASE_LOCK_MINUTES * 2 - 1);
+      expect(lockedMinutes).toBeLessThanOrEqual(LOGIN_LOCKOUT.BASE_LOCK_MINUTES * 2);
+    });
+
+    it('resets the counters after a successful login', async () => {
+      const parent = await createUser('parent', { failed_login_attempts: 3 });
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ phone: parent.phone, password: DEFAULT_PASSWORD })
+        .expect(200);
+
+      await parent.reload();
+      expect(parent.failed_login_attempts).toBe(0);
+    });
+  });
+
+  describe('Request throttling', () => {
+    it('throttles setup key guesses per IP and alerts super admins', async () => {
+      for (let i = 0; i < RATE_LIMITS.SETUP_KEY.ip; i++) {
+        await request(app)
+          .post('/api/auth/verify-setup-key')
+          .send({ setup_key: `guess-${i}` })
+          .expect(401);
+      }
+
+      const res = await request(app)
+        .post('/api/auth/verify-setup-key')
+        .send({ setup_key: 'one-more-guess' });
+
+      expect(res.status).toBe(429);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+
+      const alerts = await systemAlerts();
+      expect(alerts.some(a => a.data?.limiter === 'setup-key')).toBe(true);
+    });
+
+    it('throttles logins per phone number', async () => {
+      const phone = '+966500000999';
+
+      for (let i = 0; i < RATE_LIMITS.LOGIN.phone; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ phone, password: 'whatever' })
+          .expect(401);
+      }
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ phone, password: 'whatever' })
+        .expect(429);
+    });
+  });
+});
@@ -0,0 +1,234 @@
+const app = require('../../src/app');
+const { TrainingSession, SessionSeries, Notification } = require('../../src/models');
+const scheduleService = require('../../src/services/schedule.service');
+const { addDays: shift } = require('../../src/utils/recurrence');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy, createProgram, createUser, createPlayer, toDateOnly, addDays } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Recurring session series', () => {
+  let academy;
+  let adminApi;
+  // First Sunday at least a week ahead, so every occurrence is upcoming
+  let sunday;
+
+  const sessionsOf = seriesId => TrainingSession.findAll({
+    where: { series_id: seriesId },
+    order: [['date', 'ASC']]
+  });
+
+  const createRecurring = async ({ program, coach, date = sunday, recurrence }) => {
+    const res = await adminApi.post('/api/schedule/session').send({
+      program_id: program.id,
+      coach_id: coach.id,
+      date,
+      start_time: '16:00',
+      end_time: '17:30',
+      is_recurring: true,
+      recurrence
+    });
+    expect(res.status).toBe(201);
+    return res.body;
+  };
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    adminApi = await actingAs(app, academy.branchAdmin);
+
+    const start = addDays(7);
+    sunday = toDateOnly(addDays(7 - start.getDay(), start));
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('expands a biweekly RRULE with a count, and generating again adds nothing', async () => {
+    const program = await createProgram(academy.branch);
+    const coach = await createUser('coach', { branch_id: academy.branch.id });
+
+    const body = await createRecurring({
+      program,
+      coach,
+      recurrence: { rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=SU,TU;COUNT=5' }
+    });
+    expect(body.series.rrule).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=SU,TU;COUNT=5');
+    expect(body.data.date).toBe(sunday);
+    expect(body.recurring_created).toBe(4);
+
+    const sessions = await sessionsOf(body.series.id);
+    expect(sessions.map(session => session.date)).toEqual([
+      sunday, shift(sunday, 2), shift(sunday, 14), shift(sunday, 16), shift(sunday, 28)
+    ]);
+    expect(sessions.every(session => session.series_date === session.date)).toBe(true);
+
+    const again = await adminApi.post(`/api/schedule/series/${body.series.id}/generate`).send({}).expect(201);
+    expect(again.body.data.count).toBe(0);
+    expect(await TrainingSession.count({ where: { program_id: program.id } })).toBe(5);
+  });
+
+  it('skips exception dates and the holidays of the default calendar', async () => {
+    const calendar = await adminApi.post('/api/holiday-calendars').send({
+      name: 'Branch holidays',
+      branch_id: academy.branch.id,
+      is_default: true,
+      holidays: [{ name: 'National Day', start_date: shift(sunday, 6), end_date: shift(sunday, 8) }]
+    }).expect(201);
+    expect(calendar.body.data.holidays).toHaveLength(1);
+
+    const program = await createProgram(academy.branch);
+    const coach = await createUser('coach', { branch_id: academy.branch.id });
+    const body = await createRecurring({
+      program,
+      coach,
+      recurrence: { by_day: ['sunday'], until: shift(sunday, 28), exception_dates: [shift(sunday, 14)] }
+    });
+
+    expect(body.skipped).toEqual([
+      { date: shift(sunday, 7), reason: 'holiday', holiday: 'National Day' },
+      { date: shift(sunday, 14), reason: 'exception' }
+    ]);
+    expect((await sessionsOf(body.series.id)).map(session => session.date)).toEqual([
+      sunday, shift(sunday, 21), shift(sunday, 28)
+    ]);
+
+    // Lifting the exception schedules that occurrence again
+    const res = await adminApi
+      .delete(`/api/schedule/series/${body.series.id}/exceptions/${shift(sunday, 14)}`)
+      .expect(200);
+    expect(res.body.data.session.date).toBe(shift(sunday, 14));
+    expect(res.body.data.exception_dates).toEqual([]);
+
+    // A calendar a series is built on cannot be deleted out from under it
+    await SessionSeries.update({ holiday_calendar_id: calendar.body.data.id }, { where: { id: body.series.id } });
+    await adminApi.delete(`/api/holiday-calendars/${calendar.body.data.id}`).expect(400);
+
+    // Inactive calendars no longer shape new sessions
+    await adminApi.put(`/api/holiday-calendars/${calendar.body.data.id}`).send({ is_active: false }).expect(200);
+  });
+
+  it('moves this and the following sessions into a new series', async () => {
+    const program = await createProgram(academy.branch);
+    const coach = await createUser('coach', { branch_id: academy.branch.id });
+    const parent = await createUser('parent', { branch_id: academy.branch.id });
+    await createPlayer({ parent, branch: academy.branch, program });
+
+    const body = await createRecurring({ program, coach, recurrence: { by_day: ['sunday'], count: 4 } });
+    const sessions = await sessionsOf(body.series.id);
+    const third = sessions[2];
+
+    const res = await adminApi.put(`/api/schedule/session/${third.id}`).send({
+      start_time: '18:00',
+      end_time: '19:30',
+      scope: 'following'
+    }).expect(200);
+    expect(res.body.data.sessions).toHaveLength(2);
+
+    const original = await SessionSeries.findByPk(body.series.id);
+    expect(original.status).toBe('ended');
+    expect(original.until_date).toBe(shift(sunday, 13));
+
+    const continuation = await SessionSeries.findByPk(res.body.data.series.id);
+    expect(continuation.split_from_id).toBe(original.id);
+    expect(continuation.start_time).toBe('18:00:00');
+    expect((await sessionsOf(continuation.id)).map(session => [session.date, session.start_time])).toEqual([
+      [shift(sunday, 14), '18:00:00'],
+      [shift(sunday, 21), '18:00:00']
+    ]);
+    expect((await sessionsOf(original.id)).map(session => session.start_time)).toEqual(['16:00:00', '16:00:00']);
+
+    // Families hear about the change once, not once per session
+    const notices = await Notification.findAll({ where: { user_id: parent.id } });
+    expect(notices.filter(notice => notice.data.change_type === 'series_updated')).toHaveLength(1);
+
+    // Neither series generates the moved sessions again
+    await adminApi.post(`/api/schedule/series/${original.id}/generate`).send({}).expect(201);
+    await adminApi.post(`/api/schedule/series/${continuation.id}/generate`).send({}).expect(201);
+    expect(await TrainingSession.count({ where: { program_id: program.id } })).toBe(4);
+  });
+
+  it('rejects a series-wide edit that would clash with another booking', async () => {
+    const program = await createProgram(academy.branch);
+    const coach = await createUser('coach', { branch_id: academy.branch.id });
+    const body = await createRecurring({ program, coach, recurrence: { by_day: ['sunday'], count: 3 } });
+
+    const other = await createProgram(academy.branch);
+    await TrainingSession.create({
+      program_id: other.id,
+      branch_id: academy.branch.id,
+      coach_id: coach.id,
+      date: shift(sunday, 14),
+      day_of_week: 'sunday',
+      start_time: '18:00',
+      end_time: '19:00'
+    });
+
+    const [first] = await sessionsOf(body.series.id);
+    const res = await adminApi.put(`/api/schedule/session/${first.id}`).send({
+      start_time: '18:00',
+      end_time: '19:30',
+      scope: 'all'
+    }).expect(409);
+    expect(res.body.conflicts.map(conflict => conflict.date)).toEqual([shift(sunday, 14)]);
+
+    // Nothing was saved
+    expect((await sessionsOf(body.series.id)).every(session => session.start_time === '16:00:00')).toBe(true);
+  });
+
+  it('cancels one occurrence, then the whole series with a single notice', async () => {
+    const program = await createProgram(academy.branch);
+    const coach = await createUser('coach', { branch_id: academy.branch.id });
+    const parent = await createUser('parent', { branch_id: academy.branch.id });
+    await createPlayer({ parent, branch: academy.branch, program });
+
+    const body = await createRecurring({ program, coach, recurrence: { by_day: ['sunday'], count: 4 } });
+    const sessions = await sessionsOf(body.series.id);
+
+    // Deleting one occurrence for good turns it into an exception date
+    await adminApi.delete(`/api/schedule/session/${sessions[1].id}`).send({ permanent: true }).expect(200);
+    const series = await SessionSeries.findByPk(body.series.id);
+    expect(series.exception_dates).toEqual([shift(sunday, 7)]);
+    await adminApi.post(`/api/schedule/series/${series.id}/generate`).send({}).expect(201);
+    expect(await TrainingSession.count({ where: { series_id: series.id } })).toBe(3);
+
+    const res = await adminApi.delete(`/api/schedule/session/${sessions[0].id}`).send({
+      scope: 'all',
+      reason: 'Pitch renovation'
+    }).expect(200);
+    expect(res.body.data.sessions).toHaveLength(3);
+
+    await series.reload();
+    expect(series.status).toBe('cancelled');
+    expect(await TrainingSession.count({ where: { series_id: series.id, is_cancelled: false } })).toBe(0);
+
+    const notices = await Notification.findAll({ where: { user_id: parent.id } });
+    expect(notices.map(notice => notice.data.change_type).sort()).toEqual(['cancelled', 'created', 'series_cancelled']);
+  });
+
+  it('builds one series per weekly slot from the program schedule', async () => {
+    const coach = await createUser('coach', { branch_id: academy.branch.id });
+    const program = await createProgram(academy.branch, {
+      schedule: [
+        { day: 'sunday', start_time: '08:00', end_time: '09:00' },
+        { day: 'wednesday', start_time: '08:00', end_time: '09:00' }
+      ]
+    });
+
+    const first = await scheduleService.generateRecurringSessions(program.id, {
+      startDate: sunday,
+      endDate: shift(sunday, 20),
+      coachId: coach.id
+    });
+    expect(first.series).toHaveLength(2);
+    expect(first.created).toHaveLength(6);
+
+    const second = await scheduleService.generateRecurringSessions(program.id, {
+      startDate: sunday,
+      endDate: shift(sunday, 20),
+      coachId: coach.id
+    });
+    expect(second.created).toHaveLength(0);
+    expect(await SessionSeries.count({ where: { program_id: program.id } })).toBe(2);
+  });
+});
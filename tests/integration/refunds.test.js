@@ -0,0 +1,247 @@
+const app = require('../../src/app');
+const request = require('supertest');
+const { Payment, Refund, Subscription, Notification, EInvoice } = require('../../src/models');
+const zatcaService = require('../../src/services/zatca.service');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy, createPlayer, createSubscription, toDateOnly, addDays } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Refunds', () => {
+  let academy;
+  let accountantApi;
+
+  // Completed 575 SAR payment (75 VAT) for a 30-day subscription that started 10 days ago
+  const createPaidSubscription = async (player = academy.player) => {
+    const subscription = await createSubscription({ player, program: academy.program });
+    const payment = await Payment.create({
+      user_id: academy.parent.id,
+      player_id: player.id,
+      branch_id: academy.branch.id,
+      subscription_id: subscription.id,
+      pricing_plan_id: academy.pricingPlan.id,
+      amount: 500,
+      tax_amount: 75,
+      total_amount: 575,
+      status: 'completed',
+      paid_at: new Date()
+    });
+    return { subscription, payment };
+  };
+
+  const refund = (payment, body) => accountantApi.post(`/api/payments/${payment.id}/refund`).send(body);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    accountantApi = await actingAs(app, academy.accountant);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('manual refunds', () => {
+    it('records partial refunds and shortens the subscription by the refunded share', async () => {
+      const { subscription, payment } = await createPaidSubscription();
+
+      const first = await refund(payment, { amount: 287.5, reason: 'Missed half the month' }).expect(200);
+      expect(first.body.data.payment.status).toBe('completed');
+      expect(first.body.data.refundable_amount).toBe(287.5);
+      expect(first.body.data.refund.subscription_action).toBe('shortened');
+      expect(first.body.data.refund.subscription_days_removed).toBe(15);
+      expect(parseFloat(first.body.data.refund.tax_amount)).toBe(37.5);
+      expect(first.body.data.refund.approved_by).toBe(academy.accountant.id);
+
+      await subscription.reload();
+      expect(subscription.end_date).toBe(toDateOnly(addDays(5)));
+      expect(subscription.status).toBe('active');
+
+      // 10% of the 30 paid days, measured against the original period
+      const second = await refund(payment, { amount: 57.5, reason: 'Goodwill' }).expect(200);
+      expect(second.body.data.refund.subscription_days_removed).toBe(3);
+
+      await subscription.reload();
+      expect(subscription.end_date).toBe(toDateOnly(addDays(2)));
+
+      const list = await accountantApi.get(`/api/payments/${payment.id}/refunds`).expect(200);
+      expect(list.body.data.refunds).toHaveLength(2);
+      expect(list.body.data.refunded_amount).toBe(345);
+      expect(list.body.data.refundable_amount).toBe(230);
+    });
+
+    it('refunds the rest, cancels the subscription and marks the payment refunded', async () => {
+      const { subscription, payment } = await createPaidSubscription();
+      await refund(payment, { amount: 100, reason: 'Partial' }).expect(200);
+
+      const res = await refund(payment, { reason: 'Leaving the academy' }).expect(200);
+      expect(parseFloat(res.body.data.refund.amount)).toBe(475);
+      expect(res.body.data.refund.subscription_action).toBe('cancelled');
+      expect(res.body.data.payment.status).toBe('refunded');
+
+      await subscription.reload();
+      expect(subscription.status).toBe('cancelled');
+      expect(subscription.end_date).toBe(toDateOnly(new Date()));
+
+      await payment.reload();
+      expect(parseFloat(payment.refunded_amount)).toBe(575);
+
+      const notification = await Notification.findOne({
+        where: { user_id: academy.parent.id, type: 'payment_refunded' },
+        order: [['created_at', 'DESC']]
+      });
+      expect(notification.data.payment_id).toBe(payment.id);
+
+      await refund(payment, { amount: 1, reason: 'Again' }).expect(400);
+    });
+
+    it('can leave the subscription untouched', async () => {
+      const { subscription, payment } = await createPaidSubscription();
+
+      const res = await refund(payment, { amount: 50, reason: 'Kit not delivered', subscription_action: 'none' }).expect(200);
+      expect(res.body.data.refund.subscription_action).toBe('none');
+
+      const endDate = subscription.end_date;
+      await subscription.reload();
+      expect(subscription.end_date).toBe(endDate);
+    });
+
+    it('rejects refunds without a reason or above the refundable balance', async () => {
+      const { payment } = await createPaidSubscription();
+
+      await refund(payment, { amount: 10 }).expect(400);
+      const res = await refund(payment, { amount: 600, reason: 'Too much' });
+      expect(res.status).toBe(400);
+      expect(await Refund.count({ where: { payment_id: payment.id } })).toBe(0);
+    });
+
+    it('is limited to staff with the refund permission', async () => {
+      const { payment } = await createPaidSubscription();
+      const branchAdminApi = await actingAs(app, academy.branchAdmin);
+
+      await branchAdminApi.post(`/api/payments/${payment.id}/refund`).send({ reason: 'x' }).expect(403);
+    });
+  });
+
+  describe('credit notes', () => {
+    it('numbers credit notes in order and never credits more than the invoice', async () => {
+      const { payment } = await createPaidSubscription();
+
+      const invoice = await zatcaService.issueInvoice(payment);
+      expect((await zatcaService.issueInvoice(payment)).id).toBe(invoice.id);
+
+      const notes = [];
+      for (const amount of [300, 300, 300]) {
+        notes.push(await zatcaService.issueCreditNote(payment, { amount, reason: 'Test' }));
+      }
+
+      expect(notes[2]).toBeNull();
+      expect(notes.slice(0, 2).map(note => [note.invoice_number, parseFloat(note.total_amount), note.reference_invoice_id])).toEqual([
+        [`${payment.invoice_number}-CN1`, 300, invoice.id],
+        [`${payment.invoice_number}-CN2`, 275, invoice.id]
+      ]);
+      expect(await EInvoice.count({ where: { payment_id: payment.id } })).toBe(3);
+
+      // Payments without a branch share one chain with its own counter
+      const { payment: branchless } = await createPaidSubscription();
+      await branchless.update({ branch_id: null });
+      const first = await zatcaService.issueInvoice(branchless);
+      const note = await zatcaService.issueCreditNote(branchless, { amount: 75 });
+      expect([first.chain_key, first.icv, note.icv]).toEqual(['academy', 1, 2]);
+      expect(note.previous_hash).toBe(first.invoice_hash);
+    });
+  });
+
+  describe('QR payload', () => {
+    // tag -> value of a TLV Base64 payload
+    const decodeTlv = (payload) => {
+      const bytes = Buffer.from(payload, 'base64');
+      const tags = {};
+      for (let offset = 0; offset < bytes.length; offset += 2 + bytes[offset + 1]) {
+        tags[bytes[offset]] = bytes.subarray(offset + 2, offset + 2 + bytes[offset + 1]);
+      }
+      return tags;
+    };
+
+    it('cuts a long Arabic seller name to fit a one-byte length', () => {
+      const sellerName = 'أكاديمية أسباير الرياضية لكرة القدم '.repeat(8);
+      const tags = decodeTlv(zatcaService.buildQrPayload({
+        sellerName, vatNumber: '300000000000003', timestamp: '2026-10-19T10:00:00Z', total: '575.00', vatTotal: '75.00'
+      }));
+
+      expect(Object.keys(tags)).toEqual(['1', '2', '3', '4', '5']);
+      expect(tags[1].length).toBeLessThanOrEqual(255);
+      expect(sellerName.startsWith(tags[1].toString('utf8'))).toBe(true);
+      expect(tags[4].toString('utf8')).toBe('575.00');
+
+      expect(() => zatcaService.buildQrPayload({ sellerName: 'Aspire', signature: Buffer.alloc(300) })).toThrow(/tag 7/);
+    });
+  });
+
+  describe('gateway refunds', () => {
+    const completeOnlinePayment = async () => {
+      const player = await createPlayer({ parent: academy.parent, branch: academy.branch, program: academy.program });
+      const parentApi = await actingAs(app, academy.parent);
+      const initRes = await parentApi
+        .post('/api/payments/gateway/initiate')
+        .send({ player_id: player.id, pricing_plan_id: academy.pricingPlan.id })
+        .expect(200);
+      await parentApi.post(`/api/payments/gateway/mock/${initRes.body.data.payment_id}/complete`).send({}).expect(200);
+      return { player, payment: await Payment.findByPk(initRes.body.data.payment_id) };
+    };
+
+    it('refunds part of a card payment at the gateway', async () => {
+      const { payment } = await completeOnlinePayment();
+
+      const res = await accountantApi
+        .post(`/api/payments/gateway/${payment.id}/refund`)
+        .send({ amount: 100, reason: 'Partial refund' })
+        .expect(200);
+
+      expect(res.body.data.refund_amount).toBe(100);
+      expect(res.body.data.status).toBe('completed');
+      expect(res.body.data.refund.method).toBe('gateway');
+      expect(res.body.data.refund.gateway_refund_id).toMatch(/^mock_ref_/);
+    });
+
+    it('records the rest when the gateway reports the payment refunded', async () => {
+      const { player, payment } = await completeOnlinePayment();
+      await accountantApi
+        .post(`/api/payments/gateway/${payment.id}/refund`)
+        .send({ amount: 100, reason: 'Partial refund' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/payments/gateway/webhook')
+        .send({ id: payment.transaction_id, status: 'REFUNDED', metadata: { payment_id: payment.id } })
+        .expect(200);
+
+      await payment.reload();
+      expect(payment.status).toBe('refunded');
+      expect(parseFloat(payment.refunded_amount)).toBe(parseFloat(payment.total_amount));
+
+      const refunds = await Refund.findAll({ where: { payment_id: payment.id }, order: [['created_at', 'ASC']] });
+      expect(refunds).toHaveLength(2);
+      expect(parseFloat(refunds[1].amount)).toBe(parseFloat(payment.total_amount) - 100);
+
+      const subscription = await Subscription.findOne({ where: { player_id: player.id } });
+      expect(subscription.status).toBe('cancelled');
+    });
+
+    it('releases the reserved amount when the gateway refund fails', async () => {
+      const { payment } = await completeOnlinePayment();
+      delete global._mockPayments[payment.transaction_id];
+
+      await accountantApi
+        .post(`/api/payments/gateway/${payment.id}/refund`)
+        .send({ amount: 100, reason: 'Partial refund' })
+        .expect(500);
+
+      await payment.reload();
+      expect(parseFloat(payment.refunded_amount)).toBe(0);
+      expect(payment.status).toBe('completed');
+
+      const failed = await Refund.findOne({ where: { payment_id: payment.id } });
+      expect(failed.status).toBe('failed');
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const app = require('../../src/app');
+const { TrainingSession, SessionSeries, ScheduleProposal, CoachProgram } = require('../../src/models');
+const sessionSeriesService = require('../../src/services/sessionSeries.service');
+const { addDays: shift } = require('../../src/utils/recurrence');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy, createBranch, createProgram, createUser, toDateOnly, addDays } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Schedule builder', () => {
+  let academy;
+  let adminApi;
+  let sunday;
+  let coachA;
+  let coachB;
+  let programs;
+  let proposalId;
+
+  const CLOSED = { closed: true };
+  const AFTERNOON = { open: '16:00', close: '18:00', closed: false };
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    adminApi = await actingAs(app, academy.branchAdmin);
+
+    const start = addDays(7);
+    sunday = toDateOnly(addDays(7 - start.getDay(), start));
+
+    // Two pitches, open Sunday and Tuesday afternoons only
+    await academy.branch.update({
+      facilities: ['Pitch A', 'Pitch B'],
+      working_hours: {
+        sunday: AFTERNOON,
+        monday: CLOSED,
+        tuesday: AFTERNOON,
+        wednesday: CLOSED,
+        thursday: CLOSED,
+        friday: CLOSED,
+        saturday: CLOSED
+      }
+    });
+
+    coachA = await createUser('coach', { branch_id: academy.branch.id });
+    coachB = await createUser('coach', { branch_id: academy.branch.id });
+    programs = {
+      juniors: await createProgram(academy.branch, { name: 'Juniors' }),
+      seniors: await createProgram(academy.branch, { name: 'Seniors' }),
+      goalkeepers: await createProgram(academy.branch, { name: 'Goalkeepers' })
+    };
+    await CoachProgram.create({ coach_id: coachA.id, program_id: programs.juniors.id, is_primary: true });
+    await CoachProgram.create({ coach_id: coachB.id, program_id: programs.seniors.id, is_primary: true });
+
+    // Coach B already trains at another branch on one Sunday of the term
+    const otherBranch = await createBranch();
+    await TrainingSession.create({
+      program_id: (await createProgram(otherBranch)).id,
+      branch_id: otherBranch.id,
+      coach_id: coachB.id,
+      date: shift(sunday, 7),
+      day_of_week: 'sunday',
+      start_time: '16:00',
+      end_time: '17:00'
+    });
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('proposes a conflict-free timetable and explains what could not be placed', async () => {
+    const res = await adminApi.post('/api/schedule/builder/proposals').send({
+      branch_id: academy.branch.id,
+      name: 'Autumn term',
+      start_date: sunday,
+      end_date: shift(sunday, 20),
+      programs: [
+        { program_id: programs.juniors.id, weekly_hours: 3 },
+        { program_id: programs.seniors.id, weekly_hours: 1.5, session_minutes: 90 },
+        { program_id: programs.goalkeepers.id, weekly_hours: 1 }
+      ]
+    }).expect(201);
+
+    const proposal = res.body.data;
+    proposalId = proposal.id;
+    expect(proposal.status).toBe('draft');
+    expect(proposal.sessions.map(slot => [slot.program_name, slot.day, slot.start_time, slot.end_time, slot.coach_id, slot.facility])).toEqual([
+      ['Juniors', 'sunday', '16:00:00', '17:00:00', coachA.id, 'Pitch A'],
+      ['Juniors', 'tuesday', '16:00:00', '17:00:00', coachA.id, 'Pitch A'],
+      // Coach B is busy on Sunday afternoons, and Pitch A is taken on Tuesday
+      ['Seniors', 'tuesday', '16:00:00', '17:30:00', coachB.id, 'Pitch B']
+    ]);
+    expect(proposal.sessions.every(slot => slot.explanation)).toBe(true);
+
+    const unplaced = Object.fromEntries(proposal.unplaced.map(entry => [entry.program_name, entry]));
+    expect(unplaced.Juniors).toMatchObject({ requested: 3, placed: 2, missing: 1 });
+    expect(unplaced.Juniors.reasons).toEqual({ program_same_day: 2, outside_working_hours: 5 });
+    expect(unplaced.Goalkeepers).toMatchObject({ placed: 0, missing: 1, reasons: { no_coach: 1 } });
+    expect(unplaced.Goalkeepers.explanation).toContain('no active coach is assigned');
+    expect(proposal.summary).toMatchObject({ weekly_sessions_requested: 5, weekly_sessions_placed: 3, weekly_sessions_unplaced: 2 });
+
+    // Nothing is booked until the proposal is committed
+    expect(await SessionSeries.count({ where: { source: 'schedule_builder' } })).toBe(0);
+    await adminApi.get(`/api/schedule/builder/proposals/${proposalId}`).expect(200);
+  });
+
+  it('books one weekly series per slot for the term when committed', async () => {
+    const res = await adminApi.post(`/api/schedule/builder/proposals/${proposalId}/commit`).expect(200);
+    expect(res.body.data.proposal.status).toBe('committed');
+    expect(res.body.data.series).toHaveLength(3);
+    expect(res.body.data.sessions_created).toBe(9);
+
+    const series = await SessionSeries.findAll({ where: { source: 'schedule_builder' } });
+    expect(series.every(entry => entry.until_date === shift(sunday, 20))).toBe(true);
+    expect((await ScheduleProposal.findByPk(proposalId)).series_ids.sort()).toEqual(series.map(entry => entry.id).sort());
+
+    const seniors = await TrainingSession.findAll({ where: { program_id: programs.seniors.id }, order: [['date', 'ASC']] });
+    expect(seniors.map(session => [session.date, session.facility])).toEqual([
+      [shift(sunday, 2), 'Pitch B'],
+      [shift(sunday, 9), 'Pitch B'],
+      [shift(sunday, 16), 'Pitch B']
+    ]);
+
+    await adminApi.post(`/api/schedule/builder/proposals/${proposalId}/commit`).expect(400);
+  });
+
+  it('books a proposal once, and nothing at all if booking fails', async () => {
+    const draft = await adminApi.post('/api/schedule/builder/proposals').send({
+      branch_id: academy.branch.id,
+      start_date: shift(sunday, 28),
+      end_date: shift(sunday, 41),
+      programs: [
+        { program_id: programs.juniors.id, weekly_hours: 2 },
+        { program_id: programs.seniors.id, weekly_hours: 1 }
+      ]
+    }).expect(201);
+    const commitUrl = `/api/schedule/builder/proposals/${draft.body.data.id}/commit`;
+    const seriesBefore = await SessionSeries.count();
+    const sessionsBefore = await TrainingSession.count();
+
+    const createSeries = sessionSeriesService.createSeries.bind(sessionSeriesService);
+    const spy = jest.spyOn(sessionSeriesService, 'createSeries')
+      .mockImplementationOnce(createSeries)
+      .mockRejectedValueOnce(new Error('Database went away'));
+    await adminApi.post(commitUrl).expect(500);
+    spy.mockRestore();
+
+    expect((await ScheduleProposal.findByPk(draft.body.data.id)).status).toBe('draft');
+    expect([await SessionSeries.count(), await TrainingSession.count()]).toEqual([seriesBefore, sessionsBefore]);
+
+    const statuses = (await Promise.all([adminApi.post(commitUrl), adminApi.post(commitUrl)])).map(res => res.status).sort();
+    expect(statuses[0]).toBe(200);
+    expect([400, 409]).toContain(statuses[1]);
+    expect(await SessionSeries.count()).toBe(seriesBefore + 3);
+  });
+
+  it('keeps proposals to the branch and discards drafts without booking', async () => {
+    const otherBranch = await createBranch();
+    const otherProgram = await createProgram(otherBranch);
+
+    const foreign = await adminApi.post('/api/schedule/builder/proposals').send({
+      branch_id: otherBranch.id,
+      start_date: sunday,
+      end_date: shift(sunday, 6),
+      programs: [{ program_id: otherProgram.id, weekly_hours: 1 }]
+    });
+    expect(foreign.status).toBe(403);
+
+    const superApi = await actingAs(app, academy.superAdmin);
+    await superApi.post('/api/schedule/builder/proposals').send({
+      branch_id: academy.branch.id,
+      start_date: sunday,
+      end_date: shift(sunday, 6),
+      programs: [{ program_id: otherProgram.id, weekly_hours: 1 }]
+    }).expect(400);
+
+    const draft = await superApi.post('/api/schedule/builder/proposals').send({
+      branch_id: otherBranch.id,
+      start_date: sunday,
+      end_date: shift(sunday, 6),
+      programs: [{ program_id: otherProgram.id, weekly_hours: 1 }]
+    }).expect(201);
+    await adminApi.get(`/api/schedule/builder/proposals/${draft.body.data.id}`).expect(404);
+
+    const res = await superApi.delete(`/api/schedule/builder/proposals/${draft.body.data.id}`).expect(200);
+    expect(res.body.data.status).toBe('discarded');
+    await superApi.post(`/api/schedule/builder/proposals/${draft.body.data.id}/commit`).expect(400);
+  });
+});
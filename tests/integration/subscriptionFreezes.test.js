@@ -0,0 +1,88 @@
+const app = require('../../src/app');
+const { Subscription, SubscriptionFreeze } = require('../../src/models');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const {
+  seedAcademy, createBranch, createProgram, createUser, createPlayer, createSubscription, toDateOnly, addDays
+} = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Subscription freezes', () => {
+  let academy;
+  let adminApi;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    adminApi = await actingAs(app, academy.superAdmin);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('extends subscriptions in scope by the freeze length and leaves others untouched', async () => {
+    const inScope = await createSubscription({ player: academy.player, program: academy.program });
+
+    const otherBranch = await createBranch();
+    const otherProgram = await createProgram(otherBranch);
+    const otherParent = await createUser('parent', { branch_id: otherBranch.id });
+    const otherPlayer = await createPlayer({ parent: otherParent, branch: otherBranch, program: otherProgram });
+    const outOfScope = await createSubscription({ player: otherPlayer, program: otherProgram });
+
+    const res = await adminApi
+      .post('/api/subscription-freezes')
+      .send({
+        title: 'Eid holiday',
+        start_date: toDateOnly(addDays(1)),
+        end_date: toDateOnly(addDays(7)),
+        scope: 'branch',
+        branch_id: academy.branch.id
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.freeze_days).toBe(7);
+    expect(res.body.data.subscriptions_affected).toBe(1);
+
+    await inScope.reload();
+    await outOfScope.reload();
+    expect(inScope.end_date).toBe(toDateOnly(addDays(27)));
+    expect(outOfScope.end_date).toBe(toDateOnly(addDays(20)));
+  });
+
+  it('rejects an overlapping freeze for the same scope', async () => {
+    const res = await adminApi
+      .post('/api/subscription-freezes')
+      .send({
+        title: 'Overlap',
+        start_date: toDateOnly(addDays(3)),
+        end_date: toDateOnly(addDays(5)),
+        scope: 'branch',
+        branch_id: academy.branch.id
+      });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('reverts the extension when the freeze is cancelled', async () => {
+    const freeze = await SubscriptionFreeze.findOne({ where: { branch_id: academy.branch.id } });
+
+    const res = await adminApi
+      .patch(`/api/subscription-freezes/${freeze.id}`)
+      .send({ status: 'cancelled' });
+
+    expect(res.status).toBe(200);
+
+    const subscription = await Subscription.findOne({ where: { player_id: academy.player.id } });
+    expect(subscription.end_date).toBe(toDateOnly(addDays(20)));
+  });
+
+  it('is not available to parents', async () => {
+    const parentApi = await actingAs(app, academy.parent);
+
+    const res = await parentApi
+      .post('/api/subscription-freezes')
+      .send({ title: 'Nope', start_date: toDateOnly(addDays(1)), end_date: toDateOnly(addDays(2)) });
+
+    expect(res.status).toBe(403);
+  });
+});
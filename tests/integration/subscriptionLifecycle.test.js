@@ -0,0 +1,183 @@
+const app = require('../../src/app');
+const { Subscription, SubscriptionEvent } = require('../../src/models');
+const subscriptionLifecycle = require('../../src/services/subscriptionLifecycle.service');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const {
+  seedAcademy, createUser, createProgram, createPlayer, createSubscription, toDateOnly, addDays
+} = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+describe('Subscription lifecycle', () => {
+  let academy;
+  let adminApi;
+
+  const enrol = async (overrides = {}, program = academy.program) => {
+    const player = await createPlayer({ parent: academy.parent, branch: academy.branch, program });
+    return createSubscription({ player, program }, overrides);
+  };
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    adminApi = await actingAs(app, academy.superAdmin);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('daily job', () => {
+    it('expires past-dated subscriptions and marks those about to end as expiring', async () => {
+      const ended = await enrol({ start_date: toDateOnly(addDays(-40)), end_date: toDateOnly(addDays(-2)) });
+      const endingSoon = await enrol({ end_date: toDateOnly(addDays(3)) });
+      const running = await enrol({ end_date: toDateOnly(addDays(30)) });
+      const extended = await enrol({ status: 'expiring', end_date: toDateOnly(addDays(30)) });
+
+      const results = await subscriptionLifecycle.runDailyTransitions();
+      expect(results.expired).toBeGreaterThanOrEqual(1);
+      expect(results.expiring).toBeGreaterThanOrEqual(1);
+      expect(results.reactivated).toBeGreaterThanOrEqual(1);
+
+      await Promise.all([ended, endingSoon, running, extended].map(s => s.reload()));
+      expect(ended.status).toBe('expired');
+      expect(endingSoon.status).toBe('expiring');
+      expect(running.status).toBe('active');
+      expect(extended.status).toBe('active');
+
+      const event = await SubscriptionEvent.findOne({ where: { subscription_id: ended.id, to_status: 'expired' } });
+      expect(event.from_status).toBe('active');
+      expect(event.source).toBe('lifecycle_job');
+
+      // Nothing left to do on a second run the same day
+      const again = await subscriptionLifecycle.runDailyTransitions();
+      expect(again).toEqual(expect.objectContaining({ expired: 0, expiring: 0, reactivated: 0 }));
+    });
+
+    it('rolls the day over at midnight in Riyadh, not in UTC', async () => {
+      // 00:05 today in Riyadh is 21:05 yesterday in UTC
+      const yesterday = toDateOnly(addDays(-1));
+      const now = new Date(`${yesterday}T21:05:00Z`);
+      const endedYesterday = await enrol({ end_date: yesterday });
+      const endsInAWeek = await enrol({ end_date: toDateOnly(addDays(7)) });
+
+      await subscriptionLifecycle.runDailyTransitions(now);
+
+      await Promise.all([endedYesterday, endsInAWeek].map(s => s.reload()));
+      expect(endedYesterday.status).toBe('expired');
+      expect(endsInAWeek.status).toBe('expiring');
+    });
+  });
+
+  describe('staff changes', () => {
+    it('rejects transitions the state machine does not allow', async () => {
+      const subscription = await enrol();
+
+      await adminApi.patch(`/api/subscriptions/${subscription.id}/cancel`).send({ reason: 'Moved away' }).expect(200);
+
+      const res = await adminApi.put(`/api/subscriptions/${subscription.id}`).send({ status: 'active' });
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/from cancelled to active/);
+
+      const events = await SubscriptionEvent.findAll({ where: { subscription_id: subscription.id }, order: [['created_at', 'ASC']] });
+      expect(events.map(e => e.to_status)).toEqual(['active', 'cancelled']);
+      expect(events[1]).toEqual(expect.objectContaining({
+        from_status: 'active',
+        source: 'manual',
+        reason: 'Moved away',
+        actor_id: academy.superAdmin.id
+      }));
+    });
+
+    it('saves other fields without a status change and logs no event', async () => {
+      const subscription = await enrol();
+
+      await adminApi.put(`/api/subscriptions/${subscription.id}`).send({ notes: 'Paid at the front desk' }).expect(200);
+
+      await subscription.reload();
+      expect(subscription.notes).toBe('Paid at the front desk');
+      expect(await SubscriptionEvent.count({ where: { subscription_id: subscription.id } })).toBe(1);
+    });
+
+    it('renews into a new subscription starting where the old one ends', async () => {
+      const subscription = await enrol();
+      const endDate = subscription.end_date;
+
+      const res = await adminApi.post(`/api/subscriptions/${subscription.id}/renew`).send({ duration_months: 1 }).expect(201);
+
+      expect(res.body.data.id).not.toBe(subscription.id);
+      expect(res.body.data.renewed_from_id).toBe(subscription.id);
+      expect(res.body.data.start_date).toBe(endDate);
+      expect(res.body.data.status).toBe('active');
+
+      await subscription.reload();
+      expect(subscription.end_date).toBe(endDate);
+
+      const event = await SubscriptionEvent.findOne({ where: { subscription_id: res.body.data.id } });
+      expect(event.source).toBe('renewal');
+    });
+
+    it('renews a period only once and never into the past', async () => {
+      const subscription = await enrol();
+      await adminApi.post(`/api/subscriptions/${subscription.id}/renew`).send({ duration_months: 1 }).expect(201);
+      await adminApi.post(`/api/subscriptions/${subscription.id}/renew`).send({ duration_months: 1 }).expect(409);
+
+      const lapsed = await enrol({ start_date: toDateOnly(addDays(-60)), end_date: toDateOnly(addDays(-30)), status: 'expired' });
+      const res = await adminApi.post(`/api/subscriptions/${lapsed.id}/renew`).send({ duration_months: 1 }).expect(201);
+      expect(res.body.data.start_date >= toDateOnly(new Date())).toBe(true);
+      expect(res.body.data.end_date > res.body.data.start_date).toBe(true);
+    });
+  });
+
+  describe('freezes', () => {
+    it('freezes subscriptions while a freeze is in progress and thaws them when it is cancelled', async () => {
+      const program = await createProgram(academy.branch);
+      const subscription = await enrol({}, program);
+
+      const res = await adminApi
+        .post('/api/subscription-freezes')
+        .send({
+          title: 'Pitch maintenance',
+          start_date: toDateOnly(new Date()),
+          end_date: toDateOnly(addDays(3)),
+          scope: 'program',
+          branch_id: academy.branch.id,
+          program_id: program.id
+        })
+        .expect(201);
+
+      await subscription.reload();
+      expect(subscription.status).toBe('frozen');
+      expect(subscription.end_date).toBe(toDateOnly(addDays(24)));
+
+      await adminApi.patch(`/api/subscription-freezes/${res.body.data.id}`).send({ status: 'cancelled' }).expect(200);
+
+      await subscription.reload();
+      expect(subscription.status).toBe('active');
+      expect(subscription.end_date).toBe(toDateOnly(addDays(20)));
+
+      const events = await SubscriptionEvent.findAll({ where: { subscription_id: subscription.id, source: 'freeze' } });
+      expect(events.map(e => e.to_status).sort()).toEqual(['active', 'frozen']);
+    });
+  });
+
+  describe('history', () => {
+    it('shows the status history to the parent and hides it from other parents', async () => {
+      const subscription = await enrol({ status: 'pending' });
+      await subscriptionLifecycle.transition(subscription, 'active', { source: 'payment', reason: 'Paid' });
+
+      const parentApi = await actingAs(app, academy.parent);
+      const res = await parentApi.get(`/api/subscriptions/${subscription.id}/history`).expect(200);
+      expect(res.body.data.status).toBe('active');
+      expect(res.body.data.events.map(e => [e.from_status, e.to_status])).toEqual([
+        [null, 'pending'],
+        ['pending', 'active']
+      ]);
+
+      const stranger = await createUser('parent', { branch_id: academy.branch.id });
+      const strangerApi = await actingAs(app, stranger);
+      await strangerApi.get(`/api/subscriptions/${subscription.id}/history`).expect(403);
+
+      expect((await Subscription.findByPk(subscription.id)).status).toBe('active');
+    });
+  });
+});
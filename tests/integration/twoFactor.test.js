@@ -0,0 +1,206 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { OTP } = require('../../src/models');
+const twoFactorService = require('../../src/services/twoFactor.service');
+const { getRateLimitStore } = require('../../src/middleware/rateLimiter');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { createUser, DEFAULT_PASSWORD } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+const passwordLogin = (user) => request(app)
+  .post('/api/auth/login')
+  .send({ phone: user.phone, password: DEFAULT_PASSWORD });
+
+const latestSmsCode = async (user) => {
+  const otp = await OTP.findOne({
+    where: { phone: user.phone, purpose: 'two_factor', is_used: false },
+    order: [['created_at', 'DESC']]
+  });
+  return otp.code;
+};
+
+describe('Staff two-factor authentication', () => {
+  let owner;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    owner = await createUser('owner');
+  });
+
+  beforeEach(async () => {
+    await getRateLimitStore().resetAll();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('TOTP', () => {
+    let accountant;
+    let secret;
+    let recoveryCodes;
+
+    beforeAll(async () => {
+      accountant = await createUser('accountant');
+    });
+
+    it('enrols with an authenticator app and returns recovery codes', async () => {
+      const api = await actingAs(app, accountant);
+
+      const setupRes = await api.post('/api/auth/2fa/setup').send({ method: 'totp' });
+      expect(setupRes.status).toBe(200);
+      expect(setupRes.body.data.otpauth_url).toMatch(/^otpauth:\/\/totp\//);
+      expect(setupRes.body.data.qr_code).toMatch(/^data:image\/png;base64,/);
+      secret = setupRes.body.data.secret;
+
+      await api.post('/api/auth/2fa/enable').send({ code: '000000' }).expect(400);
+
+      const enableRes = await api
+        .post('/api/auth/2fa/enable')
+        .send({ code: twoFactorService.generateTotp(secret) });
+
+      expect(enableRes.status).toBe(200);
+      expect(enableRes.body.data.recovery_codes).toHaveLength(10);
+      recoveryCodes = enableRes.body.data.recovery_codes;
+
+      const statusRes = await api.get('/api/auth/2fa/status');
+      expect(statusRes.body.data).toMatchObject({ enabled: true, method: 'totp', recovery_codes_remaining: 10 });
+    });
+
+    it('requires a code after the password and never issues tokens before it', async () => {
+      const loginRes = await passwordLogin(accountant);
+
+      expect(loginRes.status).toBe(200);
+      expect(loginRes.body.data.requires_two_factor).toBe(true);
+      expect(loginRes.body.data.accessToken).toBeUndefined();
+
+      const { two_factor_token } = loginRes.body.data;
+
+      // The challenge token is not an access token
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${two_factor_token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ two_factor_token, code: '123456' })
+        .expect(401);
+
+      // Enrolment used the current step; the next one is still within the drift window
+      const code = twoFactorService.generateTotp(secret, twoFactorService.currentStep() + 1);
+      const verifyRes = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ two_factor_token, code });
+
+      expect(verifyRes.status).toBe(200);
+      expect(verifyRes.body.data.accessToken).toBeDefined();
+
+      // Same code can't be replayed
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ two_factor_token, code })
+        .expect(401);
+    });
+
+    it('accepts each recovery code once', async () => {
+      const { two_factor_token } = (await passwordLogin(accountant)).body.data;
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ two_factor_token, code: recoveryCodes[0] })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ two_factor_token, code: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('does not let a phone OTP login skip the second factor', async () => {
+      const otp = await OTP.createOTP(accountant.phone, 'login');
+
+      const otpRes = await request(app)
+        .post('/api/auth/verify-otp')
+        .send({ phone: accountant.phone, code: otp.code });
+
+      expect(otpRes.status).toBe(200);
+      expect(otpRes.body.data.requires_two_factor).toBe(true);
+      expect(otpRes.body.data.accessToken).toBeUndefined();
+      expect(otpRes.body.data.refreshToken).toBeUndefined();
+    });
+  });
+
+  describe('SMS', () => {
+    it('enrols and signs in with SMS codes', async () => {
+      const branchAdmin = await createUser('branch_admin');
+      const api = await actingAs(app, branchAdmin);
+
+      await api.post('/api/auth/2fa/setup').send({ method: 'sms' }).expect(200);
+      await api
+        .post('/api/auth/2fa/enable')
+        .send({ code: await latestSmsCode(branchAdmin) })
+        .expect(200);
+
+      const loginRes = await passwordLogin(branchAdmin);
+      expect(loginRes.body.data).toMatchObject({ requires_two_factor: true, method: 'sms' });
+
+      const verifyRes = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ two_factor_token: loginRes.body.data.two_factor_token, code: await latestSmsCode(branchAdmin) });
+
+      expect(verifyRes.status).toBe(200);
+      expect(verifyRes.body.data.accessToken).toBeDefined();
+    });
+  });
+
+  describe('Role policy', () => {
+    it('only lets the owner change the policy', async () => {
+      const superAdmin = await createUser('super_admin');
+      const api = await actingAs(app, superAdmin);
+
+      await api.put('/api/auth/2fa/policy').send({ required_roles: [] }).expect(403);
+    });
+
+    it('forces enrolment at login for required roles and blocks disabling', async () => {
+      const ownerApi = await actingAs(app, owner);
+      await ownerApi
+        .put('/api/auth/2fa/policy')
+        .send({ required_roles: ['super_admin'] })
+        .expect(200);
+
+      const superAdmin = await createUser('super_admin');
+      const loginRes = await passwordLogin(superAdmin);
+
+      expect(loginRes.body.data.requires_two_factor_setup).toBe(true);
+      expect(loginRes.body.data.accessToken).toBeUndefined();
+      const { setup_token } = loginRes.body.data;
+
+      const setupRes = await request(app)
+        .post('/api/auth/2fa/setup')
+        .send({ setup_token, method: 'totp' });
+      expect(setupRes.status).toBe(200);
+
+      const enableRes = await request(app)
+        .post('/api/auth/2fa/enable')
+        .send({ setup_token, code: twoFactorService.generateTotp(setupRes.body.data.secret) });
+
+      expect(enableRes.status).toBe(200);
+      expect(enableRes.body.data.accessToken).toBeDefined();
+      expect(enableRes.body.data.recovery_codes).toHaveLength(10);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${enableRes.body.data.accessToken}`)
+        .send({ password: DEFAULT_PASSWORD, code: enableRes.body.data.recovery_codes[0] })
+        .expect(403);
+    });
+
+    it('is not available to parents', async () => {
+      const parent = await createUser('parent');
+      const api = await actingAs(app, parent);
+
+      await api.post('/api/auth/2fa/setup').send({ method: 'totp' }).expect(403);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const app = require('../../src/app');
+const { Program, Player, Payment, Waitlist, Notification, AuditLog } = require('../../src/models');
+const waitlistService = require('../../src/services/waitlist.service');
+const { resetDatabase, closeDatabase } = require('../helpers/db');
+const { seedAcademy, createProgram, createUser, createPlayer } = require('../helpers/fixtures');
+const { actingAs } = require('../helpers/auth');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Waitlist offers', () => {
+  let academy;
+  let adminApi;
+  let program;
+  let families;
+
+  // A family whose child is queued for the (full) program
+  const joinWaitlist = async (targetProgram) => {
+    const parent = await createUser('parent', { branch_id: academy.branch.id });
+    const player = await createPlayer({ parent, branch: academy.branch });
+    const api = await actingAs(app, parent);
+    const res = await api
+      .post(`/api/schedule/program/${targetProgram.id}/waitlist`)
+      .send({ player_id: player.id, parent_id: parent.id })
+      .expect(201);
+    return { parent, player, api, entryId: res.body.data.id };
+  };
+
+  const entryOf = family => Waitlist.findByPk(family.entryId);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    academy = await seedAcademy();
+    adminApi = await actingAs(app, academy.branchAdmin);
+    program = await createProgram(academy.branch, { capacity: 2, current_enrollment: 2, registration_fee: 115 });
+    families = [];
+    for (let i = 0; i < 3; i += 1) {
+      families.push(await joinWaitlist(program));
+    }
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('queues families in order and offers a freed spot to the first', async () => {
+    expect((await Promise.all(families.map(entryOf))).map(entry => entry.position)).toEqual([1, 2, 3]);
+
+    // Nothing is free yet
+    expect(await waitlistService.processExpired()).toEqual({ expired: 0, offered: 0 });
+
+    await Program.decrement('current_enrollment', { where: { id: program.id } });
+    expect(await waitlistService.processExpired()).toEqual({ expired: 0, offered: 1 });
+
+    const first = await entryOf(families[0]);
+    expect(first.status).toBe('notified');
+    expect(new Date(first.expires_at) - new Date(first.notified_at)).toBe(48 * HOUR);
+    expect((await entryOf(families[1])).status).toBe('waiting');
+
+    const notification = await Notification.findOne({ where: { user_id: families[0].parent.id } });
+    expect(notification.type).toBe('waitlist_spot_available');
+    expect(notification.data.waitlist_id).toBe(first.id);
+
+    // The held spot is not offered twice
+    expect((await waitlistService.processExpired()).offered).toBe(0);
+  });
+
+  it('lets only the family answer its offer, and cascades a decline', async () => {
+    await families[1].api.post(`/api/schedule/waitlist/${families[0].entryId}/accept`).expect(403);
+    await families[1].api.post(`/api/schedule/waitlist/${families[1].entryId}/accept`).expect(400);
+
+    const res = await families[0].api
+      .post(`/api/schedule/waitlist/${families[0].entryId}/decline`)
+      .send({ reason: 'Moved to Jeddah' })
+      .expect(200);
+    expect(res.body.data.status).toBe('declined');
+
+    const [second, third] = await Promise.all([entryOf(families[1]), entryOf(families[2])]);
+    expect([second.status, second.position]).toEqual(['notified', 1]);
+    expect([third.status, third.position]).toEqual(['waiting', 2]);
+  });
+
+  it('expires unanswered offers and offers the spot to the next family', async () => {
+    const later = new Date(Date.now() + 49 * HOUR);
+    expect(await waitlistService.processExpired(later)).toEqual({ expired: 1, offered: 1 });
+
+    const [second, third] = await Promise.all([entryOf(families[1]), entryOf(families[2])]);
+    expect(second.status).toBe('expired');
+    expect([third.status, third.position]).toEqual(['notified', 1]);
+
+    const expiredNotice = await Notification.findOne({ where: { user_id: families[1].parent.id, type: 'waitlist_update' } });
+    expect(expiredNotice).not.toBeNull();
+
+    const late = await families[1].api.post(`/api/schedule/waitlist/${families[1].entryId}/accept`);
+    expect(late.status).toBe(400);
+    expect(late.body.message).toMatch(/no open offer/);
+  });
+
+  it('enrolls the player on acceptance and raises the registration fee', async () => {
+    const family = families[2];
+    const res = await family.api.post(`/api/schedule/waitlist/${family.entryId}/accept`).expect(200);
+    expect(res.body.data.entry.status).toBe('enrolled');
+
+    const player = await Player.findByPk(family.player.id);
+    expect(player.program_id).toBe(program.id);
+    expect((await program.reload()).current_enrollment).toBe(2);
+
+    const payment = await Payment.findByPk(res.body.data.payment.id);
+    expect(payment).toEqual(expect.objectContaining({
+      user_id: family.parent.id,
+      player_id: family.player.id,
+      type: 'registration',
+      status: 'pending'
+    }));
+    expect(parseFloat(payment.total_amount)).toBe(115);
+    expect(payment.metadata.waitlist_id).toBe(family.entryId);
+
+    await family.api.post(`/api/schedule/waitlist/${family.entryId}/accept`).expect(400);
+
+    const audits = await AuditLog.findAll({ where: { entity_type: 'waitlist' } });
+    expect(audits.map(audit => audit.action).sort()).toEqual(['accept', 'decline']);
+  });
+
+  it('closes the gaps in the queue when entries are removed', async () => {
+    const fullProgram = await createProgram(academy.branch, { capacity: 1, current_enrollment: 1 });
+    const queue = [];
+    for (let i = 0; i < 4; i += 1) {
+      queue.push(await joinWaitlist(fullProgram));
+    }
+
+    await queue[1].api.delete(`/api/schedule/waitlist/${queue[1].entryId}`).expect(200);
+    await adminApi.patch(`/api/schedule/waitlist/${queue[2].entryId}`).send({ status: 'cancelled' }).expect(200);
+
+    const res = await adminApi.get(`/api/schedule/program/${fullProgram.id}/waitlist`).query({ status: 'waiting' }).expect(200);
+    expect(res.body.data.map(entry => [entry.player.id, entry.position])).toEqual([
+      [queue[0].player.id, 1],
+      [queue[3].player.id, 2]
+    ]);
+
+    // A newcomer joins at the end of the open queue
+    const newcomer = await joinWaitlist(fullProgram);
+    expect((await entryOf(newcomer)).position).toBe(3);
+  });
+});
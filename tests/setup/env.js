@@ -0,0 +1,19 @@
+/**
+ * Test environment
+ * Loaded by Jest (setupFiles) before any module under test is required,
+ * so src/config/database.js and the services pick these values up.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-jwt-refresh-secret';
+
+// Never reach real gateways / SMS providers from tests
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.SMS_PROVIDER = 'mock';
+delete process.env.SMS_FALLBACK_PROVIDER;
+
+process.env.FRONTEND_URL = 'http://localhost:3000';
+process.env.BACKEND_URL = 'http://localhost:5000';